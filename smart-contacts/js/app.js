@@ -2,6 +2,18 @@ import { ContactManager } from './core/ContactManager.js';
 import { AddContactModal } from './ui/AddContactModal.js';
 import { DetailModal } from './ui/DetailModal.js';
 import { ContactList } from './ui/ContactList.js';
+import { ImportModal } from './ui/ImportModal.js';
+import { UnlockModal } from './ui/UnlockModal.js';
+import { RecoveryModal } from './ui/RecoveryModal.js';
+import { Toast } from './ui/Toast.js';
+import { RecycleBinList } from './ui/RecycleBinList.js';
+import { CategoryModal } from './ui/CategoryModal.js';
+import { TagModal } from './ui/TagModal.js';
+import { DuplicateModal } from './ui/DuplicateModal.js';
+import { QuickDialPanel } from './ui/QuickDialPanel.js';
+import { LocalStorageAdapter } from './core/storage/LocalStorageAdapter.js';
+import { IndexedDBAdapter } from './core/storage/IndexedDBAdapter.js';
+import { MemoryStorageAdapter } from './core/storage/MemoryStorageAdapter.js';
 
 /**
  * 应用主控制器
@@ -10,29 +22,118 @@ import { ContactList } from './ui/ContactList.js';
 class App {
     constructor() {
         // 初始化核心模块
-        this.contactManager = new ContactManager();
+        this.contactManager = new ContactManager(this.createStorage());
         
         // 初始化UI组件
+        this.toast = new Toast();
         this.initModals();
         this.initContactList();
         this.initNavigation();
+        this.initShortcuts();
         
         // 数据变化时重新渲染列表
         this.contactManager.addListener(() => {
+            this.addModal.setCategories(this.contactManager.categories.getNames());
+            this.addModal.setTagSuggestions(this.contactManager.getAllTags());
             this.contactList.render();
+            this.quickDialPanel.render();
+            this.recycleBinList.render();
         });
         
         // 确保数据加载完成后再渲染列表
         this.ensureDataLoaded();
     }
     
+    /**
+     * 选择存储适配器：优先使用IndexedDB，可通过 ?storage=local/memory 指定
+     * @returns {StorageAdapter} 存储适配器
+     */
+    createStorage() {
+        const preferred = new URLSearchParams(location.search).get('storage');
+        if (preferred === 'memory') {
+            return new MemoryStorageAdapter();
+        }
+        if (preferred !== 'local' && IndexedDBAdapter.isSupported()) {
+            return new IndexedDBAdapter();
+        }
+        return new LocalStorageAdapter();
+    }
+
+    /**
+     * 准备存储：IndexedDB不可用时回退到localStorage，并迁移旧版保存在localStorage中的数据
+     */
+    async prepareStorage() {
+        let storage = this.contactManager.storage;
+
+        if (storage instanceof IndexedDBAdapter) {
+            try {
+                await storage.open();
+            } catch (error) {
+                // 例如部分浏览器的隐私模式禁用了IndexedDB
+                console.warn('IndexedDB不可用，改用localStorage:', error);
+                storage = new LocalStorageAdapter();
+                this.contactManager.setStorage(storage);
+            }
+        }
+
+        if (storage instanceof IndexedDBAdapter) {
+            const keys = this.contactManager.crypto.getStorageItemNames();
+            await storage.migrateItemsFrom(new LocalStorageAdapter(), keys);
+        }
+    }
+
     /**
      * 确保数据加载完成
      */
     async ensureDataLoaded() {
+        await this.prepareStorage();
+
+        // 先恢复可能被中断的密钥轮换，再判断加密状态
+        const crypto = this.contactManager.crypto;
+        await crypto.recoverRotation();
+
+        // 数据加密保存，需先解锁(或首次设置口令)才能读取
+        const status = await crypto.getStatus();
+        if (status !== 'unsupported' && status !== 'unlocked') {
+            await this.unlockModal.open(status);
+        }
+
         // 由于loadFromStorage是异步的，我们需要确保它完成后再渲染
-        await this.contactManager.loadFromStorage();
+        const loaded = await this.contactManager.loadFromStorage();
+        this.addModal.setCategories(this.contactManager.categories.getNames());
+        this.addModal.setTagSuggestions(this.contactManager.getAllTags());
         this.contactList.render();
+        this.quickDialPanel.render();
+        await this.recycleBinList.load();
+
+        if (!loaded) {
+            alert('联系人数据加载失败，存储中的数据已原样保留，请刷新页面重试');
+            return;
+        }
+        // 有无法读取的数据被隔离时，提示用户处理
+        await this.recoveryModal.open();
+
+        // 按安全策略提醒定期更换口令
+        if (await crypto.getStatus() === 'unlocked' && await crypto.isRotationDue()) {
+            const confirmed = confirm(`访问口令已使用超过${crypto.rotationIntervalDays}天，是否现在更换？`);
+            if (confirmed) {
+                this.changePassphrase();
+            }
+        }
+    }
+
+    /**
+     * 更换访问口令(轮换加密密钥)
+     */
+    async changePassphrase() {
+        if (await this.contactManager.crypto.getStatus() !== 'unlocked') {
+            alert('当前环境不支持加密，无法设置口令');
+            return;
+        }
+        const changed = await this.unlockModal.open('rotate');
+        if (changed) {
+            alert('口令已更换，所有数据已使用新密钥重新加密');
+        }
     }
 
     /**
@@ -42,22 +143,114 @@ class App {
         // 添加/编辑联系人模态框(传入保存和更新回调)
         this.addModal = new AddContactModal(
             (contactData) => this.contactManager.addContact(contactData),
-            (id, contactData) => this.contactManager.updateContact(id, contactData)
+            async (id, contactData) => {
+                const result = await this.contactManager.updateContact(id, contactData);
+                if (result.success) {
+                    this.showUndoToast(`已保存对 "${result.contact.name}" 的修改`);
+                }
+                return result;
+            }
         );
         
-        // 详情模态框(传入联系人管理器和添加模态框引用)
-        this.detailModal = new DetailModal(this.contactManager, this.addModal);
+        // 详情模态框(传入联系人管理器、添加模态框引用和删除回调)
+        this.detailModal = new DetailModal(this.contactManager, this.addModal, (contact) => {
+            this.showUndoToast(`已将 "${contact.name}" 移入回收站`);
+        });
+
+        // 导入模态框
+        this.importModal = new ImportModal(this.contactManager);
+
+        // 口令解锁模态框
+        this.unlockModal = new UnlockModal(this.contactManager.crypto);
+
+        // 数据恢复模态框
+        this.recoveryModal = new RecoveryModal(this.contactManager);
+
+        // 分类管理模态框
+        this.categoryModal = new CategoryModal(this.contactManager);
+
+        // 标签管理模态框(修改应用到全部联系人，提示可撤销)
+        this.tagModal = new TagModal(this.contactManager, (message) => this.showUndoToast(message));
+
+        // 重复联系人模态框(合并后提示可撤销)
+        this.duplicateModal = new DuplicateModal(this.contactManager, (message) => this.showUndoToast(message));
+    }
+
+    /**
+     * 显示带"撤销"按钮的提示
+     * @param {string} message 提示内容
+     */
+    showUndoToast(message) {
+        this.toast.show(message, { text: '撤销', handler: () => this.undo() });
+    }
+
+    /**
+     * 撤销最近一次操作
+     */
+    async undo() {
+        const result = await this.contactManager.undo();
+        if (result.success) {
+            this.toast.show(`已撤销：${result.label}`, { text: '重做', handler: () => this.redo() });
+        } else {
+            this.toast.show(result.error);
+        }
+    }
+
+    /**
+     * 重做最近一次撤销的操作
+     */
+    async redo() {
+        const result = await this.contactManager.redo();
+        if (result.success) {
+            this.showUndoToast(`已重做：${result.label}`);
+        } else {
+            this.toast.show(result.error);
+        }
+    }
+
+    /**
+     * 初始化快捷键：Ctrl+Z撤销，Ctrl+Y或Ctrl+Shift+Z重做
+     */
+    initShortcuts() {
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey)) {
+                return;
+            }
+            // 输入框内保留浏览器自带的文本撤销
+            const target = e.target;
+            if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) {
+                return;
+            }
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                e.preventDefault();
+                this.redo();
+            }
+        });
     }
 
     /**
      * 初始化联系人列表
      */
     initContactList() {
+        // 批量操作后提示可撤销，合并选中的联系人使用重复联系人的合并向导
         this.contactList = new ContactList(
             this.contactManager,
-            this.detailModal
+            this.detailModal,
+            this.duplicateModal,
+            (message) => this.showUndoToast(message)
         );
         this.contactList.render();
+
+        // 首页常用联系人快速拨号
+        this.quickDialPanel = new QuickDialPanel(this.contactManager, this.detailModal);
+
+        // 回收站列表
+        this.recycleBinList = new RecycleBinList(this.contactManager);
     }
 
     /**
@@ -82,6 +275,9 @@ class App {
         // 全局暴露导航方法(供HTML中调用)
         // 使用箭头函数确保this绑定正确
         window.navigate = (targetId) => this.navigate(targetId);
+        // 锁定：刷新页面即丢弃内存中的密钥
+        window.lockApp = () => location.reload();
+        window.changePassphrase = () => this.changePassphrase();
         window.showAddModal = () => this.addModal.show();
         window.closeModal = () => this.addModal.close();
         window.closeDetailModal = () => this.detailModal.close();
@@ -93,23 +289,76 @@ class App {
             this.contactManager.exportToCSV('all');
         };
         
+        window.exportAllVCard = () => {
+            this.contactManager.exportToVCard('all');
+        };
+        
+        window.exportCurrentContactVCard = () => this.detailModal.exportCurrentContact();
+        
         window.exportCurrentCategory = () => {
             if (this.contactList) {
                 this.contactManager.exportToCSV(this.contactList.currentCategory);
             }
         };
         
-        window.clearAllContacts = () => {
-            const confirmed = confirm('确定要清空所有联系人吗？此操作无法撤销！');
+        // 导入功能：选择文件后解析并显示预览
+        const importInput = document.getElementById('importFile');
+        importInput.addEventListener('change', () => {
+            const file = importInput.files[0];
+            // 清空选择，允许重复导入同一文件
+            importInput.value = '';
+            if (file) {
+                this.handleImportFile(file);
+            }
+        });
+        window.importContacts = () => importInput.click();
+        window.closeImportModal = () => this.importModal.close();
+        window.closeRecoveryModal = () => this.recoveryModal.close();
+        window.showCategoryModal = () => this.categoryModal.show();
+        window.closeCategoryModal = () => this.categoryModal.close();
+        window.showTagModal = () => this.tagModal.show();
+        window.closeTagModal = () => this.tagModal.close();
+        window.showDuplicateModal = () => this.duplicateModal.show();
+        window.closeDuplicateModal = () => this.duplicateModal.close();
+        
+        window.clearAllContacts = async () => {
+            const confirmed = confirm('确定要将所有联系人移入回收站吗？');
             if (confirmed) {
-                // 清空本地存储
-                localStorage.removeItem('contacts');
-                // 刷新页面重新加载
-                location.reload();
+                // 全部移入回收站(保存成功后列表自动刷新)
+                const success = await this.contactManager.clearAllContacts();
+                if (success) {
+                    this.showUndoToast('已将全部联系人移入回收站');
+                } else {
+                    alert('清空失败，请重试');
+                }
             }
         };
     }
 
+    /**
+     * 解析导入文件并显示预览
+     * @param {File} file 用户选择的文件
+     */
+    async handleImportFile(file) {
+        // 按扩展名区分vCard与CSV
+        if (/\.vcf$/i.test(file.name)) {
+            const result = await this.contactManager.importFromVCard(file);
+            if (result.success) {
+                this.importModal.showData(result.contacts);
+            } else {
+                alert(result.error);
+            }
+            return;
+        }
+
+        const result = await this.contactManager.importFromCSV(file);
+        if (result.success) {
+            this.importModal.showCsv(result);
+        } else {
+            alert(result.error);
+        }
+    }
+
     /**
      * 页面导航切换
      * @param {string} targetId 目标页面ID
@@ -0,0 +1,130 @@
+/**
+ * 联系人变更记录(审计日志)
+ * 每个联系人的记录单独加密保存为一条记录：[{ at, action, changes: { 字段: { from, to } } }]
+ * action为create(新建)/update(修改)/delete(移入回收站)/restore(从回收站恢复)
+ */
+export class AuditLog {
+    /**
+     * 创建审计日志实例
+     * @param {Crypto} crypto 加密工具实例
+     * @param {string} [storeName] 记录集合名
+     */
+    constructor(crypto, storeName = 'contacts-audit') {
+        this.crypto = crypto;
+        this.storeName = storeName;
+        // 不记录差异的字段(由系统维护)
+        this.ignoredFields = ['id', 'createdAt', 'updatedAt', 'deletedAt'];
+        // 联系人ID → 变更记录数组(按时间先后)
+        this.entries = new Map();
+    }
+
+    /**
+     * 从存储读取全部变更记录
+     * @returns {Promise<void>}
+     */
+    async load() {
+        const items = await this.crypto.readAndDecryptRecords(this.storeName);
+        this.entries = new Map(items.map(item => [item.id, Array.isArray(item.data) ? item.data : []]));
+    }
+
+    /**
+     * 比较两个版本的联系人数据，得到字段级差异
+     * @param {Object|null} before 修改前的数据(新建时为null)
+     * @param {Object|null} after 修改后的数据(永久删除时为null)
+     * @returns {Object} { 字段: { from, to } }，没有变化时为空对象
+     */
+    diff(before, after) {
+        const changes = {};
+        const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+        fields.forEach(field => {
+            if (this.ignoredFields.includes(field)) {
+                return;
+            }
+            const from = before ? before[field] ?? null : null;
+            const to = after ? after[field] ?? null : null;
+            if (JSON.stringify(from) !== JSON.stringify(to)) {
+                changes[field] = { from, to };
+            }
+        });
+        return changes;
+    }
+
+    /**
+     * 根据修改前后的数据判断操作类型
+     * @param {Object|null} before 修改前的数据
+     * @param {Object} after 修改后的数据
+     * @returns {string} 操作类型
+     */
+    getAction(before, after) {
+        if (!before) {
+            return 'create';
+        }
+        if (!before.deletedAt && after.deletedAt) {
+            return 'delete';
+        }
+        if (before.deletedAt && !after.deletedAt) {
+            return 'restore';
+        }
+        return 'update';
+    }
+
+    /**
+     * 记录一批联系人变更(与撤销历史使用相同的 { id, before, after } 格式)
+     * 永久删除(after为null)时同时删除该联系人的变更记录
+     * @param {Array<{id: string, before: Object|null, after: Object|null}>} changes 变更
+     * @returns {Promise<boolean>} 是否保存成功
+     */
+    async record(changes) {
+        const at = new Date().toISOString();
+        const puts = [];
+        const removed = [];
+
+        changes.forEach(change => {
+            if (!change.after) {
+                this.entries.delete(change.id);
+                removed.push(change.id);
+                return;
+            }
+            const action = this.getAction(change.before, change.after);
+            const fieldChanges = this.diff(change.before, change.after);
+            if (action === 'update' && Object.keys(fieldChanges).length === 0) {
+                return;
+            }
+            const entries = this.entries.get(change.id) || [];
+            entries.push({ at, action, changes: fieldChanges });
+            this.entries.set(change.id, entries);
+            puts.push({ id: change.id, data: entries });
+        });
+
+        if (puts.length === 0 && removed.length === 0) {
+            return true;
+        }
+        return this.crypto.encryptAndStoreRecords(this.storeName, puts, removed);
+    }
+
+    /**
+     * 获取联系人的变更记录
+     * @param {string} id 联系人ID
+     * @returns {Object[]} 变更记录(按时间先后)
+     */
+    getHistory(id) {
+        return this.entries.get(id) || [];
+    }
+
+    /**
+     * 还原某条变更完成后联系人的数据(从当前数据逐条反向回退)
+     * @param {Object} current 联系人当前数据
+     * @param {number} index 变更记录序号
+     * @returns {Object} 该版本的数据
+     */
+    getVersion(current, index) {
+        const entries = this.getHistory(current.id);
+        const version = { ...current };
+        for (let i = entries.length - 1; i > index; i--) {
+            Object.entries(entries[i].changes).forEach(([field, change]) => {
+                version[field] = change.from;
+            });
+        }
+        return version;
+    }
+}
@@ -0,0 +1,276 @@
+/**
+ * 初始的联系人类别(首次使用或升级前的数据没有类别设置时创建)
+ */
+export const DEFAULT_CATEGORIES = [
+    { name: '办公', color: '#1976d2' },
+    { name: '个人', color: '#388e3c' }
+];
+
+/**
+ * 联系人类别管理类
+ * 类别按显示顺序加密保存在单独的记录集合中：{ id, name, color, order }
+ * 只负责类别本身，修改类别时同步更新联系人由ContactManager完成
+ */
+export class CategoryManager {
+    /**
+     * 创建类别管理器实例
+     * @param {Crypto} crypto 加密工具实例
+     * @param {string} [storeName] 记录集合名
+     */
+    constructor(crypto, storeName = 'contacts-categories') {
+        this.crypto = crypto;
+        this.storeName = storeName;
+        // 新建类别时依次使用的颜色
+        this.palette = ['#1976d2', '#388e3c', '#f57c00', '#7b1fa2', '#c2185b', '#00796b', '#5d4037', '#455a64'];
+        // 找不到类别时标签使用的颜色
+        this.fallbackColor = '#757575';
+        this.maxNameLength = 20;
+        // 按显示顺序排列的类别
+        this.categories = [];
+    }
+
+    /**
+     * 从存储读取类别，没有保存过时使用初始类别
+     * @returns {Promise<void>}
+     */
+    async load() {
+        const items = await this.crypto.readAndDecryptRecords(this.storeName);
+        this.categories = items
+            .map(item => ({ ...item.data, id: item.id }))
+            .sort((a, b) => a.order - b.order)
+            .map(({ id, name, color }) => ({ id, name, color }));
+
+        if (this.categories.length === 0) {
+            this.categories = DEFAULT_CATEGORIES.map(category => ({ id: this.generateId(), ...category }));
+            await this.save();
+        }
+    }
+
+    /**
+     * 按当前顺序整体保存全部类别
+     * @returns {Promise<boolean>} 是否保存成功
+     */
+    async save() {
+        return this.crypto.encryptAndReplaceRecords(this.storeName, this.categories.map((category, order) => ({
+            id: category.id,
+            data: { ...category, order }
+        })));
+    }
+
+    /**
+     * 修改类别并保存，保存失败时回滚
+     * @param {Function} mutate 修改this.categories的函数
+     * @returns {Promise<boolean>} 是否保存成功
+     */
+    async commit(mutate) {
+        const snapshot = this.categories.map(category => ({ ...category }));
+        mutate();
+        const saveSuccess = await this.save();
+        if (!saveSuccess) {
+            this.categories = snapshot;
+        }
+        return saveSuccess;
+    }
+
+    /**
+     * 生成类别ID
+     * @returns {string} 唯一标识
+     */
+    generateId() {
+        return 'cat-' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+    }
+
+    /**
+     * 从调色板中选取尚未使用的颜色(都已使用时循环选取)
+     * @returns {string} 颜色值
+     */
+    nextColor() {
+        const used = this.categories.map(category => category.color);
+        return this.palette.find(color => !used.includes(color)) ||
+            this.palette[this.categories.length % this.palette.length];
+    }
+
+    /**
+     * 获取全部类别(按显示顺序)
+     * @returns {Array<{id: string, name: string, color: string}>} 类别数组
+     */
+    getAll() {
+        return this.categories;
+    }
+
+    /**
+     * 获取全部类别名称(按显示顺序)
+     * @returns {string[]} 类别名称数组
+     */
+    getNames() {
+        return this.categories.map(category => category.name);
+    }
+
+    /**
+     * 根据名称查找类别
+     * @param {string} name 类别名称
+     * @returns {Object|null} 类别或null
+     */
+    getByName(name) {
+        return this.categories.find(category => category.name === name) || null;
+    }
+
+    /**
+     * 根据ID查找类别
+     * @param {string} id 类别ID
+     * @returns {Object|null} 类别或null
+     */
+    getById(id) {
+        return this.categories.find(category => category.id === id) || null;
+    }
+
+    /**
+     * 类别是否存在
+     * @param {string} name 类别名称
+     * @returns {boolean}
+     */
+    has(name) {
+        return this.getByName(name) !== null;
+    }
+
+    /**
+     * 获取类别标签的颜色
+     * @param {string} name 类别名称
+     * @returns {string} 颜色值
+     */
+    getColor(name) {
+        const category = this.getByName(name);
+        return category ? category.color : this.fallbackColor;
+    }
+
+    /**
+     * 检查类别名称是否可用
+     * @param {string} name 类别名称
+     * @param {string} [excludeId] 排除的类别ID(用于重命名)
+     * @returns {string|null} 错误信息，可用时为null
+     */
+    validateName(name, excludeId = null) {
+        if (!name) {
+            return '类别名称不能为空';
+        }
+        if (name.length > this.maxNameLength) {
+            return `类别名称不能超过${this.maxNameLength}个字符`;
+        }
+        // 类别名称会直接用于标签和HTML属性
+        if (/[<>"'&]/.test(name)) {
+            return '类别名称不能包含 < > " \' & 字符';
+        }
+        // 'all'用于表示"全部"筛选
+        if (name === 'all') {
+            return '不能使用保留名称 all';
+        }
+        if (this.categories.some(category => category.name === name && category.id !== excludeId)) {
+            return `类别 "${name}" 已存在`;
+        }
+        return null;
+    }
+
+    /**
+     * 新建类别(添加到末尾)
+     * @param {string} name 类别名称
+     * @param {string} [color] 标签颜色，默认从调色板中选取
+     * @returns {Promise<Object>} 结果对象，包含成功状态和类别/错误信息
+     */
+    async add(name, color = null) {
+        const error = this.validateName(name);
+        if (error) {
+            return { success: false, error };
+        }
+
+        const category = {
+            id: this.generateId(),
+            name,
+            color: color || this.nextColor()
+        };
+        if (!await this.commit(() => this.categories.push(category))) {
+            return { success: false, error: '保存失败，请重试' };
+        }
+        return { success: true, category };
+    }
+
+    /**
+     * 补全联系人使用了但不存在的类别(例如撤销删除类别后)
+     * 名称同样按validateName检查，不符合规则的名称(如数据中含有HTML字符)不创建类别
+     * @param {string[]} names 联系人使用的类别名称
+     * @returns {Promise<boolean>} 是否保存成功(没有缺少的类别时直接返回true)
+     */
+    async ensure(names) {
+        // validateName同时排除了空名称和已存在的类别
+        const missing = [...new Set(names)].filter(name => this.validateName(name) === null);
+        if (missing.length === 0) {
+            return true;
+        }
+        return this.commit(() => {
+            missing.forEach(name => {
+                this.categories.push({
+                    id: this.generateId(),
+                    name,
+                    color: this.nextColor()
+                });
+            });
+        });
+    }
+
+    /**
+     * 修改类别的名称或颜色
+     * @param {string} id 类别ID
+     * @param {Object} changes 要修改的属性 { name, color }
+     * @returns {Promise<Object>} 结果对象，包含成功状态和修改前的类别/错误信息
+     */
+    async update(id, changes) {
+        const category = this.getById(id);
+        if (!category) {
+            return { success: false, error: '类别不存在' };
+        }
+        if (changes.name !== undefined) {
+            const error = this.validateName(changes.name, id);
+            if (error) {
+                return { success: false, error };
+            }
+        }
+
+        const previous = { ...category };
+        const saveSuccess = await this.commit(() => {
+            const index = this.categories.findIndex(item => item.id === id);
+            this.categories[index] = { ...category, ...changes };
+        });
+        if (!saveSuccess) {
+            return { success: false, error: '保存失败，请重试' };
+        }
+        return { success: true, previous };
+    }
+
+    /**
+     * 调整类别顺序
+     * @param {string} id 类别ID
+     * @param {number} offset 移动的位置数(负数向前)
+     * @returns {Promise<boolean>} 是否成功
+     */
+    async move(id, offset) {
+        const index = this.categories.findIndex(category => category.id === id);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= this.categories.length) {
+            return false;
+        }
+        return this.commit(() => {
+            const [category] = this.categories.splice(index, 1);
+            this.categories.splice(target, 0, category);
+        });
+    }
+
+    /**
+     * 删除类别(联系人的重新分配由调用方完成)
+     * @param {string} id 类别ID
+     * @returns {Promise<boolean>} 是否成功
+     */
+    async remove(id) {
+        return this.commit(() => {
+            this.categories = this.categories.filter(category => category.id !== id);
+        });
+    }
+}
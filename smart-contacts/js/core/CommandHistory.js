@@ -0,0 +1,138 @@
+import { LocalStorageAdapter } from './storage/LocalStorageAdapter.js';
+import { MemoryStorageAdapter } from './storage/MemoryStorageAdapter.js';
+
+/**
+ * 操作历史(撤销/重做)
+ * 每条命令记录受影响联系人修改前后的完整数据：
+ * { label, changes: [{ id, before, after }] }，before/after为null表示该联系人不存在
+ * 撤销即恢复before，重做即恢复after。历史加密保存在sessionStorage中，
+ * 刷新页面后仍可撤销，关闭标签页后清除
+ */
+export class CommandHistory {
+    /**
+     * 创建操作历史实例
+     * @param {Crypto} crypto 加密工具实例(历史中包含联系人数据，需加密保存)
+     * @param {StorageAdapter} [storage] 存储适配器，默认使用sessionStorage
+     */
+    constructor(crypto, storage = null) {
+        this.crypto = crypto;
+        this.storage = storage || (typeof sessionStorage !== 'undefined'
+            ? new LocalStorageAdapter(sessionStorage)
+            : new MemoryStorageAdapter());
+        this.storageKey = 'contacts-history';
+        // 最多保留的命令数
+        this.limit = 50;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * 记录一条新命令(会清空重做栈)
+     * @param {string} label 命令说明
+     * @param {Array<{id: string, before: Object|null, after: Object|null}>} changes 受影响的联系人
+     * @returns {Promise<void>}
+     */
+    async record(label, changes) {
+        if (changes.length === 0) {
+            return;
+        }
+        this.undoStack.push({ label, changes });
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        await this.save();
+    }
+
+    /**
+     * 是否可以撤销
+     * @returns {boolean}
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * 是否可以重做
+     * @returns {boolean}
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * 查看下一条要撤销的命令
+     * @returns {Object|null} 命令
+     */
+    peekUndo() {
+        return this.undoStack[this.undoStack.length - 1] || null;
+    }
+
+    /**
+     * 查看下一条要重做的命令
+     * @returns {Object|null} 命令
+     */
+    peekRedo() {
+        return this.redoStack[this.redoStack.length - 1] || null;
+    }
+
+    /**
+     * 撤销执行成功后，将命令移入重做栈
+     * @returns {Promise<void>}
+     */
+    async markUndone() {
+        this.redoStack.push(this.undoStack.pop());
+        await this.save();
+    }
+
+    /**
+     * 重做执行成功后，将命令移回撤销栈
+     * @returns {Promise<void>}
+     */
+    async markRedone() {
+        this.undoStack.push(this.redoStack.pop());
+        await this.save();
+    }
+
+    /**
+     * 清空历史
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        await this.storage.removeItem(this.storageKey);
+    }
+
+    /**
+     * 加密保存历史(失败时仅影响刷新后的撤销，不影响当前操作)
+     * @returns {Promise<void>}
+     */
+    async save() {
+        try {
+            const data = JSON.stringify({ undo: this.undoStack, redo: this.redoStack });
+            await this.storage.setItem(this.storageKey, await this.crypto.encrypt(data));
+        } catch (error) {
+            console.error('保存操作历史失败:', error);
+        }
+    }
+
+    /**
+     * 读取本次会话保存的历史(无法解密时丢弃，例如口令已更换)
+     * @returns {Promise<void>}
+     */
+    async load() {
+        try {
+            const stored = await this.storage.getItem(this.storageKey);
+            if (!stored) {
+                return;
+            }
+            const { undo, redo } = JSON.parse(await this.crypto.decrypt(stored));
+            this.undoStack = Array.isArray(undo) ? undo : [];
+            this.redoStack = Array.isArray(redo) ? redo : [];
+        } catch (error) {
+            console.warn('无法读取操作历史，已丢弃:', error);
+            await this.clear();
+        }
+    }
+}
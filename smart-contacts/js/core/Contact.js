@@ -1,3 +1,40 @@
+import { PhoneNumber } from './PhoneNumber.js';
+
+/**
+ * 电话号码的标签
+ */
+export const PHONE_LABELS = ['手机', '办公', '传真', '分机'];
+
+/**
+ * 电子邮箱的标签
+ */
+export const EMAIL_LABELS = ['个人', '工作', '其他'];
+
+/**
+ * 联系人字段的显示名称
+ */
+export const FIELD_LABELS = {
+    name: '姓名',
+    phones: '电话',
+    emails: '邮箱',
+    company: '单位',
+    title: '职位',
+    postalAddress: '地址',
+    category: '类别',
+    tags: '标签',
+    favorite: '常用联系人'
+};
+
+/**
+ * 标签名称的最大长度
+ */
+export const MAX_TAG_LENGTH = 20;
+
+/**
+ * 标签之间的分隔符(标签名称中不能包含，导出CSV/vCard时用于分隔多个标签)
+ */
+export const TAG_SEPARATORS = /[,;，；]/;
+
 /**
  * 联系人数据模型类
  * 封装联系人基本属性与方法
@@ -7,30 +44,92 @@
    * 创建联系人实例
    * @param {Object} options 联系人信息
    * @param {string} options.name 姓名
-   * @param {string} options.phone 电话
-   * @param {string} options.address 单位/地址
-   * @param {string} options.category 类别(办公/个人)
+   * @param {Array<{label: string, value: string}>} [options.phones] 电话列表(标签见PHONE_LABELS)
+   * @param {Array<{label: string, value: string}>} [options.emails] 邮箱列表(标签见EMAIL_LABELS)
+   * @param {string} [options.company] 单位
+   * @param {string} [options.title] 职位
+   * @param {string} [options.postalAddress] 通讯地址
+   * @param {string} options.category 类别名称(见CategoryManager)
+   * @param {string[]} [options.tags] 标签(一个联系人可有多个标签)
+   * @param {boolean} [options.favorite] 是否为常用联系人(置顶显示)
    * @param {string} [options.id] 唯一标识(自动生成)
+   * @param {Date|string} [options.updatedAt] 最后修改时间(默认为创建时间)
+   * @param {Date|string} [options.deletedAt] 移入回收站的时间(未删除为null)
    */
   constructor(options) {
       this.id = options.id || Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
       this.name = options.name;
-      this.phone = options.phone;
-      this.address = options.address;
+      this.phones = Contact.normalizePhones(options.phones);
+      this.emails = Contact.normalizeList(options.emails);
+      this.company = options.company || '';
+      this.title = options.title || '';
+      this.postalAddress = options.postalAddress || '';
       this.category = options.category;
+      this.tags = Contact.normalizeTags(options.tags);
+      this.favorite = Boolean(options.favorite);
       this.createdAt = new Date();
+      this.updatedAt = options.updatedAt ? new Date(options.updatedAt) : this.createdAt;
+      this.deletedAt = options.deletedAt ? new Date(options.deletedAt) : null;
+  }
+
+  /**
+   * 整理带标签的值列表：去掉首尾空格和空值
+   * @param {Array<{label: string, value: string}>} [list] 原始列表
+   * @returns {Array<{label: string, value: string}>} 整理后的列表
+   */
+  static normalizeList(list) {
+      return (Array.isArray(list) ? list : [])
+          .map(item => ({ label: item.label || '', value: String(item.value || '').trim() }))
+          .filter(item => item.value !== '');
+  }
+
+  /**
+   * 整理电话列表：可识别的号码统一保存为规范格式(见PhoneNumber.toCanonical)
+   * @param {Array<{label: string, value: string}>} [list] 原始列表
+   * @returns {Array<{label: string, value: string}>} 整理后的列表
+   */
+  static normalizePhones(list) {
+      return Contact.normalizeList(list).map(item => ({ ...item, value: PhoneNumber.normalize(item.value) }));
+  }
+
+  /**
+   * 整理标签：按分隔符拆开，去掉首尾空格、空标签和重复标签
+   * @param {string[]} [tags] 原始标签
+   * @returns {string[]} 整理后的标签
+   */
+  static normalizeTags(tags) {
+      const names = (Array.isArray(tags) ? tags : [])
+          .flatMap(tag => String(tag ?? '').split(TAG_SEPARATORS))
+          .map(tag => tag.trim().slice(0, MAX_TAG_LENGTH))
+          .filter(Boolean);
+      return [...new Set(names)];
+  }
+
+  /**
+   * 是否带有指定标签
+   * @param {string} tag 标签
+   * @returns {boolean}
+   */
+  hasTag(tag) {
+      return this.tags.includes(tag);
+  }
+
+  /**
+   * 获取主要电话(优先手机，其次第一个号码)
+   * @returns {string} 电话号码，没有电话时为空字符串
+   */
+  getPrimaryPhone() {
+      const phone = this.phones.find(item => item.label === '手机') || this.phones[0];
+      return phone ? phone.value : '';
   }
 
   /**
-   * 格式化电话号码显示
+   * 格式化电话号码显示(按号码类型，如 138-0013-8000、010-12345678 转 123)
+   * @param {string} [phone] 电话号码，默认为主要电话
    * @returns {string} 格式化后的号码
    */
-  formatPhone() {
-      // 简单格式化示例：11位手机号添加分隔符
-      if (/^\d{11}$/.test(this.phone)) {
-          return this.phone.replace(/(\d{3})(\d{4})(\d{4})/, '$1-$2-$3');
-      }
-      return this.phone;
+  formatPhone(phone = this.getPrimaryPhone()) {
+      return PhoneNumber.format(phone);
   }
 
   /**
@@ -41,10 +140,17 @@
       return {
           id: this.id,
           name: this.name,
-          phone: this.phone,
-          address: this.address,
+          phones: this.phones.map(item => ({ ...item })),
+          emails: this.emails.map(item => ({ ...item })),
+          company: this.company,
+          title: this.title,
+          postalAddress: this.postalAddress,
           category: this.category,
-          createdAt: this.createdAt.toISOString()
+          tags: [...this.tags],
+          favorite: this.favorite,
+          createdAt: this.createdAt.toISOString(),
+          updatedAt: this.updatedAt.toISOString(),
+          deletedAt: this.deletedAt ? this.deletedAt.toISOString() : null
       };
   }
 }
\ No newline at end of file
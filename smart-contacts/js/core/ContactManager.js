@@ -1,92 +1,612 @@
-import { Contact } from './Contact.js';
+import { Contact, MAX_TAG_LENGTH } from './Contact.js';
 import { Crypto } from './Crypto.js';
+import { CsvParser } from './CsvParser.js';
+import { VCard } from './VCard.js';
+import { LocalStorageAdapter } from './storage/LocalStorageAdapter.js';
+import { SchemaMigrator } from './SchemaMigrator.js';
+import { CommandHistory } from './CommandHistory.js';
+import { AuditLog } from './AuditLog.js';
+import { CategoryManager } from './CategoryManager.js';
+import { Pinyin } from './Pinyin.js';
+import { SearchIndex } from './SearchIndex.js';
+import { QueryParser, QUERY_FIELDS } from './QueryParser.js';
+import { DuplicateFinder } from './DuplicateFinder.js';
+import { PhoneNumber } from './PhoneNumber.js';
+import { PhoneLocator, PHONE_CARRIER_NAMES, UNKNOWN_REGION } from './PhoneLocator.js';
+import { ContactValidator } from './ContactSchema.js';
+
+/**
+ * CSV列与联系人字段的对应关系
+ * header为导出时使用的表头，aliases用于导入时自动匹配列
+ * phoneLabel表示该列对应某一标签的电话，email列对应全部邮箱；同一列中的多个值以分号分隔
+ * exportOnly表示只在导出时附加、导入时忽略的列(如按号码查询得到的归属地)
+ */
+export const CSV_FIELDS = [
+    { field: 'name', header: '姓名', aliases: ['姓名', '名字', 'name'] },
+    { field: 'mobile', header: '手机', aliases: ['手机', '手机号', '电话', '电话号码', 'phone', 'tel', 'mobile'], phoneLabel: '手机' },
+    { field: 'work', header: '办公电话', aliases: ['办公电话', '办公', '工作电话', '座机', 'work'], phoneLabel: '办公' },
+    { field: 'fax', header: '传真', aliases: ['传真', 'fax'], phoneLabel: '传真' },
+    { field: 'extension', header: '分机', aliases: ['分机', '分机号', 'ext', 'extension'], phoneLabel: '分机' },
+    { field: 'email', header: '邮箱', aliases: ['邮箱', '电子邮件', '电子邮箱', 'email', 'e-mail'] },
+    { field: 'company', header: '单位', aliases: ['单位', '公司', 'company', 'org'] },
+    { field: 'title', header: '职位', aliases: ['职位', '职务', 'title'] },
+    { field: 'postalAddress', header: '地址', aliases: ['地址', '通讯地址', 'address'] },
+    { field: 'category', header: '类别', aliases: ['类别', '分类', 'category'] },
+    { field: 'tags', header: '标签', aliases: ['标签', '分组', 'tags', 'tag', 'group'] },
+    { field: 'phoneRegion', header: '号码归属地', aliases: [], exportOnly: true },
+    { field: 'phoneCarrier', header: '运营商', aliases: [], exportOnly: true }
+];
+
+/**
+ * 导入时可映射的CSV列
+ */
+export const CSV_IMPORT_FIELDS = CSV_FIELDS.filter(column => !column.exportOnly);
+
+/**
+ * 联系人列表可用的排序方式(键为排序方式，值为显示名称)
+ */
+export const SORT_KEYS = {
+    name: '姓名 A–Z',
+    company: '单位',
+    category: '类别',
+    updated: '最近修改',
+    desc: '最新创建',
+    asc: '最早创建',
+    favorite: '常用联系人优先'
+};
+
+/**
+ * 合并重复联系人时需要选择取值的单值字段
+ */
+export const MERGE_FIELDS = ['name', 'company', 'title', 'postalAddress', 'category'];
 
 /**
  * 联系人管理类
  * 负责联系人数据的CRUD操作与持久化
  */
 export class ContactManager {
-    constructor() {
+    /**
+     * 创建联系人管理器实例
+     * @param {StorageAdapter} [storage] 存储适配器，默认使用localStorage
+     */
+    constructor(storage = new LocalStorageAdapter()) {
         // 确保contacts始终是数组
         this.contacts = [];
+        // 回收站中的联系人(已设置deletedAt，与正常联系人保存在同一集合)
+        this.recycleBin = [];
+        // 拼音搜索工具，以及是否启用模糊音的设置键名
+        this.pinyin = new Pinyin();
+        this.fuzzyPinyinKey = 'pinyin-fuzzy';
+        this.fuzzyPinyin = false;
+        // 列表排序方式(主要和次要排序键)的设置键名，默认按姓名拼音排序
+        this.sortOrderKey = 'contacts-sort';
+        this.sortOrder = { primary: 'name', secondary: null };
+        // 搜索索引，随联系人的增删改增量维护
+        this.searchIndex = new SearchIndex(this.pinyin);
+        // 高级搜索条件解析器
+        this.queryParser = new QueryParser();
+        this.duplicateFinder = new DuplicateFinder(this.pinyin);
+        // 联系人数据校验(表单、导入和增改共用的字段规则)
+        this.validator = new ContactValidator();
+        // 电话号码归属地和运营商查询(离线号段数据库)
+        this.phoneLocator = new PhoneLocator();
+        // 回收站保留天数的键名，超过保留期的联系人在加载时永久删除
+        this.retentionKey = 'recycle-bin-retention';
+        this.defaultRetentionDays = 30;
+        // 联系人记录集合名(每个联系人单独加密保存为一条记录)
+        this.storeName = 'contacts';
+        // 旧版本将全部联系人作为一个整体密文保存的键名
+        this.legacyStorageKey = 'contacts';
+        // 数据结构版本号的键名
+        this.schemaKey = 'contacts-schema';
+        // 升级前数据备份的记录集合名(每个版本保留一份)
+        this.backupStoreName = 'contacts-backups';
+        // 数据结构迁移器
+        this.migrator = new SchemaMigrator();
+        // 无法读取的数据移入的隔离区(保存原始密文，不做删除)
+        this.quarantineStoreName = 'contacts-quarantine';
+        // 加载失败时禁止整体重写，避免覆盖尚未读出的数据
+        this.loadFailed = false;
+        this.storage = storage;
         // 初始化加密工具
-        this.crypto = new Crypto();
-        // 初始化时从本地存储加载数据
-        this.loadFromStorage();
+        this.crypto = new Crypto(storage);
+        // 备份同样需要加密，并在轮换密钥时重新加密
+        this.crypto.encryptedStores.push(this.backupStoreName);
+        // 撤销/重做历史
+        this.history = new CommandHistory(this.crypto);
+        // 每个联系人的字段级变更记录(加密保存)
+        this.auditLog = new AuditLog(this.crypto);
+        this.crypto.encryptedStores.push(this.auditLog.storeName);
+        // 用户自定义的联系人类别(加密保存)
+        this.categories = new CategoryManager(this.crypto);
+        this.crypto.encryptedStores.push(this.categories.storeName);
+        // CSV导入导出工具
+        this.csvParser = new CsvParser();
+        // vCard导入导出工具
+        this.vcard = new VCard();
         // 事件回调存储(观察者模式)
         this.listeners = [];
+        // 数据需在口令解锁后由应用调用loadFromStorage()加载
     }
 
     /**
-     * 从本地存储加载联系人
+     * 切换存储适配器(需在加载数据之前调用)
+     * @param {StorageAdapter} storage 存储适配器
+     */
+    setStorage(storage) {
+        this.storage = storage;
+        this.crypto.storage = storage;
+    }
+
+    /**
+     * 从存储加载联系人
+     * 无法解密或内容无效的记录移入隔离区，其余记录正常加载；
+     * 数据结构需要升级但未能升级(如备份失败)时不加载，存储中的数据保持不变
+     * @returns {Promise<boolean>} 是否加载成功
      */
     async loadFromStorage() {
         try {
-            // 使用加密工具读取并解密数据
-            const data = await this.crypto.readAndDecrypt('contacts');
-            
-            if (data) {
-                // 验证数据格式，确保是数组
-                if (!Array.isArray(data)) {
-                    console.error('联系人数据格式错误，期望数组类型');
-                    this.contacts = [];
-                    return;
+            if (this.crypto.isSupported() && !this.crypto.key) {
+                // 未解锁时所有记录都无法解密，不能据此判定数据损坏
+                throw new Error('加密密钥未解锁');
+            }
+
+            const schemaVersion = await this.readSchemaVersion();
+
+            // 一次性迁移旧版本整体保存的联系人数据
+            await this.migrateLegacyContacts(schemaVersion);
+
+            // 逐条解密联系人记录，先隔离无法解密的记录，再组装为带版本号的数据
+            const records = await this.storage.getRecords(this.storeName);
+            const { items, failures } = await this.crypto.decryptRecords(records);
+            await this.quarantineRecords(failures.map(failure => ({
+                id: failure.id,
+                value: failure.value,
+                reason: failure.error instanceof SyntaxError ? '数据格式错误' : failure.error.message
+            })), schemaVersion);
+
+            let payload = {
+                schemaVersion,
+                contacts: items.map(item => ({ ...item.data, id: item.id }))
+            };
+
+            if (this.migrator.needsMigration(payload.schemaVersion)) {
+                payload = await this.upgradeSchema(payload);
+                if (this.migrator.needsMigration(payload.schemaVersion)) {
+                    // 未升级的记录不符合当前结构，不能据此判断是否有效；停止加载，存储中的数据保持不变
+                    throw new Error(`数据结构未能从版本${payload.schemaVersion}升级`);
                 }
-                
-                // 逐个验证并转换联系人数据
-                this.contacts = data
-                    .filter(item => {
-                        // 基本字段验证
-                        return item && 
-                               typeof item.name === 'string' && 
-                               typeof item.phone === 'string' &&
-                               typeof item.category === 'string';
-                    })
-                    .map(item => {
-                        const contact = new Contact(item);
-                        // 确保日期字段正确转换
-                        if (item.createdAt) {
-                            contact.createdAt = new Date(item.createdAt);
-                        }
-                        // 提供默认值，防止字段缺失
-                        contact.address = contact.address || '';
-                        return contact;
-                    });
-                
-                console.log(`成功从本地存储加载 ${this.contacts.length} 个联系人`);
             }
+
+            // 缺少必要字段的记录同样移入隔离区(保存读取时的原始密文)
+            const invalidIds = payload.contacts
+                .filter(item => !this.isValidContactData(item))
+                .map(item => item.id);
+            if (invalidIds.length > 0) {
+                const rawById = new Map(records.map(record => [record.id, record.value]));
+                await this.quarantineRecords(invalidIds.map(id => ({
+                    id,
+                    value: rawById.get(id),
+                    reason: '缺少必要字段'
+                })), schemaVersion);
+            }
+
+            const loaded = payload.contacts
+                .filter(item => this.isValidContactData(item))
+                .map(item => this.createContactFromData(item));
+            this.contacts = loaded.filter(contact => !contact.deletedAt);
+            this.recycleBin = loaded.filter(contact => contact.deletedAt);
+            this.loadFailed = false;
+            this.fuzzyPinyin = await this.getFuzzyPinyin();
+            this.sortOrder = await this.getSortOrder();
+            this.searchIndex.rebuild(this.contacts, this.fuzzyPinyin);
+            // 读取类别设置，并补全联系人使用了但尚未定义的类别
+            await this.categories.load();
+            await this.categories.ensure(loaded.map(contact => contact.category));
+            // 清理超过保留期的回收站联系人
+            await this.purgeExpired();
+            // 恢复本次会话中刷新页面前的操作历史
+            await this.history.load();
+            await this.auditLog.load();
+            return true;
         } catch (e) {
             console.error('加载联系人数据失败:', e);
-            // 出错时清空数据，避免应用崩溃
+            // 出错时清空内存数据，避免应用崩溃；存储中的数据保持不变
             this.contacts = [];
-            // 尝试清除损坏的存储数据
+            this.recycleBin = [];
+            this.searchIndex.rebuild([]);
+            this.loadFailed = true;
+            return false;
+        }
+    }
+
+    /**
+     * 将无法读取的记录移入隔离区，并从联系人集合中移除
+     * 隔离区保存原始密文，之后可用其他口令重试或导出
+     * @param {Array<{id: string, value: string, reason: string}>} entries 要隔离的记录
+     * @param {number} schemaVersion 记录所属的数据结构版本
+     * @param {string} [source] 来源('record'为单条记录，'legacy'为旧版整体数据)
+     * @returns {Promise<void>} 写入隔离区失败时抛出异常(此时不删除原记录)
+     */
+    async quarantineRecords(entries, schemaVersion, source = 'record') {
+        if (entries.length === 0) {
+            return;
+        }
+
+        const quarantinedAt = new Date().toISOString();
+        await this.storage.updateRecords(this.quarantineStoreName, entries.map(entry => ({
+            id: entry.id,
+            value: JSON.stringify({
+                source,
+                value: entry.value,
+                reason: entry.reason,
+                schemaVersion,
+                quarantinedAt
+            })
+        })));
+        if (source === 'record') {
+            await this.storage.updateRecords(this.storeName, [], entries.map(entry => entry.id));
+        }
+        console.warn(`已将 ${entries.length} 条无法读取的数据移入隔离区`);
+    }
+
+    /**
+     * 获取隔离区中的数据
+     * @returns {Promise<Object[]>} 隔离记录数组 { id, source, value, reason, schemaVersion, quarantinedAt }
+     */
+    async getQuarantine() {
+        const records = await this.storage.getRecords(this.quarantineStoreName);
+        return records.map(record => ({ ...JSON.parse(record.value), id: record.id }));
+    }
+
+    /**
+     * 使用其他口令重试解密隔离区中的数据，成功的联系人恢复到通讯录
+     * 会尝试口令对应的当前密钥及轮换前的历史密钥
+     * @param {string} passphrase 口令
+     * @returns {Promise<Object>} 结果对象 { success, recovered, remaining, error }
+     */
+    async retryQuarantine(passphrase) {
+        const keys = await this.crypto.deriveRecoveryKeys(passphrase);
+        if (keys.length === 0) {
+            return { success: false, error: '口令错误，或不是本通讯录使用过的口令' };
+        }
+
+        const entries = await this.getQuarantine();
+        const recoveredIds = [];
+        const restored = [];
+
+        for (const entry of entries) {
+            let data;
             try {
-                localStorage.removeItem('contacts');
-            } catch (clearError) {
-                console.error('清除损坏数据失败:', clearError);
+                data = JSON.parse(this.crypto.isPlainJSON(entry.value)
+                    ? entry.value
+                    : await this.crypto.decryptWithKeys(entry.value, keys));
+            } catch (error) {
+                continue;
+            }
+
+            // 旧版整体数据为数组，单条记录为对象；按隔离时的版本升级到当前结构
+            const list = entry.source === 'legacy' ? data : [{ ...data, id: entry.id }];
+            if (!Array.isArray(list)) {
+                continue;
+            }
+            let contacts;
+            try {
+                contacts = this.migrator.migrate({
+                    schemaVersion: entry.schemaVersion || 0,
+                    contacts: list.filter(item => item && typeof item === 'object')
+                }).payload.contacts.filter(item => this.isValidContactData(item));
+            } catch (error) {
+                console.error('升级隔离数据失败:', error);
+                continue;
+            }
+
+            if (contacts.length > 0) {
+                contacts
+                    .filter(item => !this.getContactById(item.id) && !this.recycleBin.some(c => c.id === item.id))
+                    .forEach(item => restored.push(this.createContactFromData(item)));
+                recoveredIds.push(entry.id);
+            }
+        }
+
+        if (recoveredIds.length === 0) {
+            return { success: false, error: '该口令无法解密隔离区中的数据' };
+        }
+
+        restored.forEach(contact => (contact.deletedAt ? this.recycleBin : this.contacts).push(contact));
+        const saveSuccess = await this.saveToStorage({ put: restored });
+        if (!saveSuccess) {
+            this.contacts = this.contacts.filter(contact => !restored.includes(contact));
+            this.recycleBin = this.recycleBin.filter(contact => !restored.includes(contact));
+            return { success: false, error: '保存恢复的联系人失败' };
+        }
+        await this.storage.updateRecords(this.quarantineStoreName, [], recoveredIds);
+
+        return {
+            success: true,
+            recovered: restored.length,
+            remaining: entries.length - recoveredIds.length
+        };
+    }
+
+    /**
+     * 导出隔离区的原始数据(JSON文件，内容仍为密文)
+     * @returns {Promise<boolean>} 是否有数据可导出
+     */
+    async exportQuarantine() {
+        const entries = await this.getQuarantine();
+        if (entries.length === 0) {
+            return false;
+        }
+        const blob = new Blob([JSON.stringify(entries, null, 2)], { type: 'application/json' });
+        this.downloadBlob(blob, `通讯录_隔离数据_${this.getDateStamp()}.json`);
+        return true;
+    }
+
+    /**
+     * 永久删除隔离区中的数据
+     * @returns {Promise<void>}
+     */
+    async clearQuarantine() {
+        await this.storage.replaceRecords(this.quarantineStoreName, []);
+    }
+
+    /**
+     * 读取存储的数据结构版本(没有版本号的旧数据为0)
+     * @returns {Promise<number>} 数据版本
+     */
+    async readSchemaVersion() {
+        const stored = await this.storage.getItem(this.schemaKey);
+        if (!stored) {
+            return 0;
+        }
+        const { schemaVersion } = JSON.parse(stored);
+        return Number.isInteger(schemaVersion) ? schemaVersion : 0;
+    }
+
+    /**
+     * 写入数据结构版本
+     * @param {number} version 数据版本
+     * @returns {Promise<void>}
+     */
+    async writeSchemaVersion(version) {
+        await this.storage.setItem(this.schemaKey, JSON.stringify({ schemaVersion: version }));
+    }
+
+    /**
+     * 升级数据结构：先备份升级前的数据，再执行迁移并写回
+     * 迁移或写入失败时用备份回滚，并继续使用升级前的数据
+     * @param {Object} payload { schemaVersion, contacts }
+     * @returns {Promise<Object>} 升级后(或回滚后)的数据
+     */
+    async upgradeSchema(payload) {
+        const fromVersion = payload.schemaVersion;
+        const hasData = payload.contacts.length > 0;
+
+        // 备份升级前的完整数据，失败时不进行升级
+        if (hasData) {
+            const backedUp = await this.backupContacts(fromVersion, payload.contacts);
+            if (!backedUp) {
+                console.error('备份数据失败，暂不升级数据结构');
+                return payload;
             }
         }
+
+        let result;
+        try {
+            result = this.migrator.migrate(payload);
+        } catch (error) {
+            // 迁移在内存中进行，失败时存储中的数据未被修改
+            console.error('数据结构升级失败:', error);
+            return payload;
+        }
+
+        const toItem = item => ({ id: item.id, data: item });
+        const saved = !hasData || await this.crypto.encryptAndReplaceRecords(
+            this.storeName,
+            result.payload.contacts.map(toItem)
+        );
+        if (!saved) {
+            console.error('写入升级后的数据失败，已回滚');
+            await this.rollbackSchema(fromVersion);
+            return payload;
+        }
+
+        await this.writeSchemaVersion(result.payload.schemaVersion);
+        return result.payload;
     }
 
     /**
-     * 保存联系人到本地存储
+     * 备份升级前的联系人数据
+     * 每个联系人单独保存为"v版本/联系人ID"记录，全部写入后再写入记录数量的清单"v版本"，
+     * 避免整个通讯录加密为一条过大的记录
+     * @param {number} version 数据版本
+     * @param {Object[]} contacts 联系人数据
+     * @returns {Promise<boolean>} 是否备份成功
+     */
+    async backupContacts(version, contacts) {
+        const manifestId = `v${version}`;
+        const prefix = `${manifestId}/`;
+        // 同时删除该版本之前的备份(包括旧清单)，避免残留已不存在的联系人
+        const stale = (await this.storage.getRecords(this.backupStoreName))
+            .map(record => record.id)
+            .filter(id => id === manifestId || id.startsWith(prefix));
+        const items = contacts.map(item => ({ id: prefix + item.id, data: item }));
+        const ids = new Set(items.map(item => item.id));
+        const stored = await this.crypto.encryptAndStoreRecords(
+            this.backupStoreName,
+            items,
+            stale.filter(id => !ids.has(id))
+        );
+        return stored && this.crypto.encryptAndStoreRecords(this.backupStoreName, [{
+            id: manifestId,
+            data: { schemaVersion: version, count: contacts.length, backedUpAt: new Date().toISOString() }
+        }]);
+    }
+
+    /**
+     * 读取升级前的备份
+     * @param {number} version 数据版本
+     * @returns {Promise<Object[]|null>} 联系人数据，没有完整的备份时为null
+     */
+    async readBackup(version) {
+        const manifestId = `v${version}`;
+        const prefix = `${manifestId}/`;
+        const backups = await this.crypto.readAndDecryptRecords(this.backupStoreName);
+        const manifest = backups.find(item => item.id === manifestId);
+        if (!manifest) {
+            return null;
+        }
+        const contacts = backups.filter(item => item.id.startsWith(prefix)).map(item => item.data);
+        return contacts.length === manifest.data.count ? contacts : null;
+    }
+
+    /**
+     * 用升级前的备份恢复联系人数据和版本号
+     * @param {number} version 要恢复到的数据版本
+     * @returns {Promise<boolean>} 是否恢复成功
+     */
+    async rollbackSchema(version) {
+        const contacts = await this.readBackup(version);
+        if (!contacts) {
+            console.error(`没有找到版本${version}的完整备份`);
+            return false;
+        }
+
+        const restored = await this.crypto.encryptAndReplaceRecords(
+            this.storeName,
+            contacts.map(item => ({ id: item.id, data: item }))
+        );
+        if (restored) {
+            await this.writeSchemaVersion(version);
+        }
+        return restored;
+    }
+
+    /**
+     * 将旧版本保存在单个键中的联系人数组迁移为逐条记录
+     * 整体无法解密时移入隔离区；单条数据的校验在加载记录时进行
+     * @param {number} schemaVersion 当前数据结构版本
+     * @returns {Promise<number>} 迁移的联系人数量
+     */
+    async migrateLegacyContacts(schemaVersion) {
+        const stored = await this.storage.getItem(this.legacyStorageKey);
+        if (!stored) {
+            return 0;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(await this.crypto.decrypt(stored));
+        } catch (error) {
+            data = null;
+        }
+        if (!Array.isArray(data)) {
+            // 隔离成功后才删除旧数据
+            await this.quarantineRecords([{
+                id: 'legacy-contacts',
+                value: stored,
+                reason: data === null ? '无法解密' : '数据格式错误'
+            }], schemaVersion, 'legacy');
+            await this.storage.removeItem(this.legacyStorageKey);
+            return 0;
+        }
+
+        const items = data.map(item => {
+            const record = item && typeof item === 'object' ? item : { value: item };
+            return { ...record, id: record.id || new Contact({}).id };
+        });
+        const success = await this.crypto.encryptAndStoreRecords(
+            this.storeName,
+            items.map(item => ({ id: item.id, data: item }))
+        );
+
+        // 全部写入成功后才删除旧数据，中断后可重新迁移
+        if (success) {
+            await this.storage.removeItem(this.legacyStorageKey);
+        }
+        return success ? items.length : 0;
+    }
+
+    /**
+     * 验证存储中的联系人数据是否包含必要字段(只检查字段类型，见ContactValidator)
+     * @param {Object} item 联系人数据
+     * @returns {boolean} 是否有效
+     */
+    isValidContactData(item) {
+        return this.validator.validate(item, { typesOnly: true }).valid;
+    }
+
+    /**
+     * 按字段规则校验联系人数据(见CONTACT_SCHEMA)，并检查同类别下是否已有同名联系人
+     * @param {Object} data 联系人数据
+     * @param {string|string[]} [excludeId] 检查重名时排除的联系人ID
+     * @returns {Object|null} 校验失败时为 { success: false, error: 第一条错误, errors: 字段名到错误信息的映射 }，通过时为null
+     */
+    validateContactData(data, excludeId = null) {
+        const { errors } = this.validator.validate(data, { context: { categories: this.categories.getNames() } });
+        if (!errors.name && !errors.category && this.hasDuplicate(data.name, data.category, excludeId)) {
+            errors.name = `已存在同名同类别的联系人: ${data.name}`;
+        }
+        if (Object.keys(errors).length === 0) {
+            return null;
+        }
+        return { success: false, error: this.validator.getFirstError(errors), errors };
+    }
+
+    /**
+     * 由存储中的数据创建联系人实例
+     * @param {Object} item 联系人数据
+     * @returns {Contact} 联系人实例
+     */
+    createContactFromData(item) {
+        const contact = new Contact(item);
+        // 确保日期字段正确转换
+        if (item.createdAt) {
+            contact.createdAt = new Date(item.createdAt);
+        }
+        if (!item.updatedAt) {
+            contact.updatedAt = contact.createdAt;
+        }
+        return contact;
+    }
+
+    /**
+     * 保存联系人到存储
+     * @param {Object} [changes] 增量变更，省略时整体重写全部联系人
+     * @param {Contact[]} [changes.put] 新增或修改的联系人
+     * @param {string[]} [changes.remove] 删除的联系人ID
      * @returns {Promise<boolean>} 是否保存成功
      */
-    async saveToStorage() {
+    async saveToStorage(changes = null) {
         try {
             // 确保联系人列表存在且为数组
             if (!Array.isArray(this.contacts)) {
                 console.error('联系人列表数据格式错误');
                 return false;
             }
+            if (!changes && this.loadFailed) {
+                // 存储中的数据没有读出，整体重写会将其覆盖
+                console.error('联系人数据未能加载，拒绝整体重写');
+                return false;
+            }
             
-            const data = this.contacts.map(contact => contact.toJSON());
+            const toItem = contact => ({ id: contact.id, data: contact.toJSON() });
             
-            // 使用加密工具加密并存储数据
-            const success = await this.crypto.encryptAndStore('contacts', data);
+            // 使用加密工具加密并存储数据(增量变更只写入涉及的记录)
+            const success = changes
+                ? await this.crypto.encryptAndStoreRecords(
+                    this.storeName,
+                    (changes.put || []).map(toItem),
+                    changes.remove || []
+                )
+                : await this.crypto.encryptAndReplaceRecords(
+                    this.storeName,
+                    [...this.contacts, ...this.recycleBin].map(toItem)
+                );
             
             if (success) {
-                console.log(`成功保存 ${this.contacts.length} 个联系人到本地存储`);
+                this.updateSearchIndex(changes);
                 this.notifyListeners();
             }
             
@@ -103,39 +623,675 @@ export class ContactManager {
     }
 
     /**
-     * 检查是否存在重复联系人(同名同类别的视为重复)
+     * 按已保存的变更更新搜索索引(回收站中的联系人不参与搜索)
+     * @param {Object} [changes] 增量变更，省略时重建全部索引
+     */
+    updateSearchIndex(changes) {
+        if (!changes) {
+            this.searchIndex.rebuild(this.contacts);
+            return;
+        }
+        (changes.put || []).forEach(contact => {
+            if (contact.deletedAt) {
+                this.searchIndex.remove(contact.id);
+            } else {
+                this.searchIndex.put(contact);
+            }
+        });
+        (changes.remove || []).forEach(id => this.searchIndex.remove(id));
+    }
+
+    /**
+     * 清空全部联系人(全部移入回收站)
+     * @returns {Promise<boolean>} 是否成功
+     */
+    async clearAllContacts() {
+        const snapshot = this.contacts;
+        const deletedAt = new Date();
+        const deleted = snapshot.map(contact => this.createContactFromData({ ...contact.toJSON(), deletedAt }));
+
+        this.contacts = [];
+        this.recycleBin.push(...deleted);
+        const saveSuccess = await this.saveToStorage({ put: deleted });
+        if (!saveSuccess) {
+            this.contacts = snapshot;
+            this.recycleBin = this.recycleBin.filter(contact => !deleted.includes(contact));
+            return false;
+        }
+        await this.recordChanges('清空全部联系人', snapshot.map((contact, index) => ({
+            id: contact.id,
+            before: contact.toJSON(),
+            after: deleted[index].toJSON()
+        })));
+        return true;
+    }
+
+    /**
+     * 批量删除联系人(移入回收站)，一次保存并可撤销
+     * @param {string[]} ids 联系人ID数组
+     * @returns {Promise<Object>} 结果对象 { success, count, error }，count为删除的联系人数量
+     */
+    async deleteContacts(ids) {
+        const snapshot = { contacts: [...this.contacts], recycleBin: [...this.recycleBin] };
+        const deletedAt = new Date();
+        const selectedIds = new Set(ids);
+        const selected = this.contacts.filter(contact => selectedIds.has(contact.id));
+        if (selected.length === 0) {
+            return { success: false, error: '请选择要删除的联系人' };
+        }
+        const deleted = selected.map(contact => this.createContactFromData({ ...contact.toJSON(), deletedAt }));
+
+        this.contacts = this.contacts.filter(contact => !selectedIds.has(contact.id));
+        this.recycleBin.push(...deleted);
+        const saveSuccess = await this.saveToStorage({ put: deleted });
+        if (!saveSuccess) {
+            this.contacts = snapshot.contacts;
+            this.recycleBin = snapshot.recycleBin;
+            return { success: false, error: '删除失败，请重试' };
+        }
+        await this.recordChanges(`删除 ${deleted.length} 个联系人`, selected.map((contact, index) => ({
+            id: contact.id,
+            before: contact.toJSON(),
+            after: deleted[index].toJSON()
+        })));
+        return { success: true, count: deleted.length };
+    }
+
+    /**
+     * 获取回收站中的联系人(最近删除的在前)
+     * @returns {Contact[]} 联系人数组
+     */
+    getDeletedContacts() {
+        return [...this.recycleBin].sort((a, b) => b.deletedAt - a.deletedAt);
+    }
+
+    /**
+     * 从回收站恢复联系人(与现有联系人同名同类别时自动重命名)
+     * @param {string} id 联系人ID
+     * @returns {Promise<Object>} 结果对象，包含成功状态和联系人/错误信息
+     */
+    async restoreContact(id) {
+        const index = this.recycleBin.findIndex(c => c.id === id);
+        if (index === -1) {
+            return { success: false, error: '回收站中不存在该联系人' };
+        }
+
+        const deletedContact = this.recycleBin[index];
+        const name = this.hasDuplicate(deletedContact.name, deletedContact.category)
+            ? this.getUniqueName(deletedContact.name, deletedContact.category)
+            : deletedContact.name;
+        const restored = this.createContactFromData({ ...deletedContact.toJSON(), name, deletedAt: null });
+
+        this.recycleBin.splice(index, 1);
+        this.contacts.push(restored);
+        const saveSuccess = await this.saveToStorage({ put: [restored] });
+        if (!saveSuccess) {
+            this.contacts.pop();
+            this.recycleBin.splice(index, 0, deletedContact);
+            return { success: false, error: '恢复失败，请重试' };
+        }
+
+        await this.recordChanges(`恢复联系人 "${restored.name}"`, [
+            { id, before: deletedContact.toJSON(), after: restored.toJSON() }
+        ]);
+        return { success: true, contact: restored };
+    }
+
+    /**
+     * 永久删除回收站中的联系人
+     * @param {string[]} ids 联系人ID数组
+     * @returns {Promise<boolean>} 是否成功
+     */
+    async purgeContacts(ids) {
+        const snapshot = this.recycleBin;
+        this.recycleBin = this.recycleBin.filter(contact => !ids.includes(contact.id));
+        const removed = snapshot.length - this.recycleBin.length;
+        if (removed === 0) {
+            return true;
+        }
+
+        const removedIds = snapshot.filter(contact => ids.includes(contact.id)).map(contact => contact.id);
+        const saveSuccess = await this.saveToStorage({ remove: removedIds });
+        if (!saveSuccess) {
+            this.recycleBin = snapshot;
+            return false;
+        }
+        // 永久删除的联系人不再保留变更记录
+        await this.auditLog.record(removedIds.map(id => ({ id, before: null, after: null })));
+        return true;
+    }
+
+    /**
+     * 清空回收站(永久删除其中全部联系人)
+     * @returns {Promise<boolean>} 是否成功
+     */
+    async emptyRecycleBin() {
+        return this.purgeContacts(this.recycleBin.map(contact => contact.id));
+    }
+
+    /**
+     * 读取回收站保留天数
+     * @returns {Promise<number>} 保留天数，0表示永久保留
+     */
+    async getRetentionDays() {
+        const stored = await this.storage.getItem(this.retentionKey);
+        const days = stored === null ? NaN : Number(stored);
+        return Number.isInteger(days) && days >= 0 ? days : this.defaultRetentionDays;
+    }
+
+    /**
+     * 设置回收站保留天数，并立即清理过期的联系人
+     * @param {number} days 保留天数，0表示永久保留
+     * @returns {Promise<void>}
+     */
+    async setRetentionDays(days) {
+        await this.storage.setItem(this.retentionKey, String(days));
+        await this.purgeExpired();
+    }
+
+    /**
+     * 读取是否启用拼音模糊音
+     * @returns {Promise<boolean>}
+     */
+    async getFuzzyPinyin() {
+        return await this.storage.getItem(this.fuzzyPinyinKey) === 'true';
+    }
+
+    /**
+     * 设置是否启用拼音模糊音(z/zh、c/ch、s/sh、n/l、in/ing)
+     * @param {boolean} enabled 是否启用
+     * @returns {Promise<void>}
+     */
+    async setFuzzyPinyin(enabled) {
+        this.fuzzyPinyin = enabled;
+        this.searchIndex.rebuild(this.contacts, enabled);
+        await this.storage.setItem(this.fuzzyPinyinKey, String(enabled));
+    }
+
+    /**
+     * 读取列表排序方式
+     * @returns {Promise<{primary: string, secondary: string|null}>} 主要和次要排序键
+     */
+    async getSortOrder() {
+        try {
+            const stored = JSON.parse(await this.storage.getItem(this.sortOrderKey));
+            if (stored && stored.primary in SORT_KEYS) {
+                const secondary = stored.secondary in SORT_KEYS && stored.secondary !== stored.primary ? stored.secondary : null;
+                return { primary: stored.primary, secondary };
+            }
+        } catch (e) {
+            console.warn('排序设置格式错误，已使用默认排序:', e);
+        }
+        return { primary: 'name', secondary: null };
+    }
+
+    /**
+     * 设置列表排序方式
+     * @param {string} primary 主要排序键(见SORT_KEYS)
+     * @param {string|null} [secondary] 次要排序键，与主要排序键相同时忽略
+     * @returns {Promise<void>}
+     */
+    async setSortOrder(primary, secondary = null) {
+        if (!(primary in SORT_KEYS)) {
+            return;
+        }
+        this.sortOrder = {
+            primary,
+            secondary: secondary in SORT_KEYS && secondary !== primary ? secondary : null
+        };
+        await this.storage.setItem(this.sortOrderKey, JSON.stringify(this.sortOrder));
+    }
+
+    /**
+     * 获取姓名的拼音排序键，非字母开头的姓名(数字、符号等)排在最后
+     * @param {string} name 姓名
+     * @returns {string} 排序键
+     */
+    getNameSortKey(name) {
+        const key = this.pinyin.getSortKey(name, true);
+        return (/^[a-z]/.test(key) ? '0' : '1') + key;
+    }
+
+    /**
+     * 按排序键排序联系人，前一个键相同时再比较后一个键
+     * @param {Contact[]} contacts 联系人数组
+     * @param {Array<string|null>} [keys] 排序键，默认使用当前的主要和次要排序键
+     * @returns {Contact[]} 排序后的新数组
+     */
+    sortContacts(contacts, keys = [this.sortOrder.primary, this.sortOrder.secondary]) {
+        // 拼音排序键的计算开销较大，每次排序时缓存
+        const cache = new Map();
+        const pinyinKey = (text, surname) => {
+            const cacheKey = `${surname ? 'n' : 't'}:${text}`;
+            if (!cache.has(cacheKey)) {
+                cache.set(cacheKey, surname ? this.getNameSortKey(text) : this.pinyin.getSortKey(text));
+            }
+            return cache.get(cacheKey);
+        };
+        const categoryOrder = this.categories.getNames();
+        // 不在分类设置中的类别排在最后
+        const categoryIndex = category => {
+            const index = categoryOrder.indexOf(category);
+            return index === -1 ? categoryOrder.length : index;
+        };
+        const compareName = (a, b) => pinyinKey(a.name, true).localeCompare(pinyinKey(b.name, true)) ||
+            a.name.localeCompare(b.name, 'zh-CN');
+
+        const comparators = {
+            name: compareName,
+            // 没有单位的排在最后
+            company: (a, b) => (a.company === '') - (b.company === '') ||
+                pinyinKey(a.company, false).localeCompare(pinyinKey(b.company, false)),
+            // 按分类管理中的顺序
+            category: (a, b) => categoryIndex(a.category) - categoryIndex(b.category),
+            updated: (a, b) => b.updatedAt.getTime() - a.updatedAt.getTime(),
+            desc: (a, b) => b.createdAt.getTime() - a.createdAt.getTime(),
+            asc: (a, b) => a.createdAt.getTime() - b.createdAt.getTime(),
+            favorite: (a, b) => b.favorite - a.favorite
+        };
+        const active = keys.filter(key => key in comparators).map(key => comparators[key]);
+
+        return [...contacts].sort((a, b) => {
+            for (const compare of active) {
+                const result = compare(a, b);
+                if (result !== 0) {
+                    return result;
+                }
+            }
+            return 0;
+        });
+    }
+
+    /**
+     * 永久删除超过保留期的回收站联系人
+     * @returns {Promise<number>} 删除的数量
+     */
+    async purgeExpired() {
+        const days = await this.getRetentionDays();
+        if (days === 0) {
+            return 0;
+        }
+        const threshold = Date.now() - days * 86400000;
+        const expired = this.recycleBin
+            .filter(contact => contact.deletedAt.getTime() < threshold)
+            .map(contact => contact.id);
+        if (expired.length > 0 && await this.purgeContacts(expired)) {
+            return expired.length;
+        }
+        return 0;
+    }
+
+    /**
+     * 获取新联系人默认使用的类别(优先"个人"，已删除时使用第一个类别)
+     * @returns {string} 类别名称
+     */
+    getDefaultCategory() {
+        return this.categories.has('个人') ? '个人' : this.categories.getNames()[0];
+    }
+
+    /**
+     * 统计使用某类别的联系人数量(包括回收站)
+     * @param {string} name 类别名称
+     * @returns {number} 联系人数量
+     */
+    countContactsInCategory(name) {
+        return [...this.contacts, ...this.recycleBin].filter(contact => contact.category === name).length;
+    }
+
+    /**
+     * 新建类别
+     * @param {string} name 类别名称
+     * @param {string} [color] 标签颜色
+     * @returns {Promise<Object>} 结果对象，包含成功状态和类别/错误信息
+     */
+    async addCategory(name, color = null) {
+        const result = await this.categories.add(name, color);
+        if (result.success) {
+            this.notifyListeners();
+        }
+        return result;
+    }
+
+    /**
+     * 修改类别名称或颜色，重命名时同步更新使用该类别的联系人
+     * @param {string} id 类别ID
+     * @param {Object} changes 要修改的属性 { name, color }
+     * @returns {Promise<Object>} 结果对象，包含成功状态和类别/错误信息
+     */
+    async updateCategory(id, changes) {
+        const result = await this.categories.update(id, changes);
+        if (!result.success) {
+            return result;
+        }
+
+        const oldName = result.previous.name;
+        if (changes.name !== undefined && changes.name !== oldName) {
+            const moved = await this.moveContactsToCategory(oldName, changes.name, `重命名类别 "${oldName}"`);
+            if (!moved) {
+                // 联系人未能更新时恢复原类别，避免联系人指向不存在的类别
+                await this.categories.update(id, result.previous);
+                return { success: false, error: '更新联系人失败，请重试' };
+            }
+        }
+
+        this.notifyListeners();
+        return { success: true, category: this.categories.getById(id) };
+    }
+
+    /**
+     * 调整类别顺序
+     * @param {string} id 类别ID
+     * @param {number} offset 移动的位置数(负数向前)
+     * @returns {Promise<boolean>} 是否成功
+     */
+    async moveCategory(id, offset) {
+        const success = await this.categories.move(id, offset);
+        if (success) {
+            this.notifyListeners();
+        }
+        return success;
+    }
+
+    /**
+     * 删除类别，使用该类别的联系人(包括回收站)移入指定类别
+     * @param {string} id 类别ID
+     * @param {string} [reassignTo] 联系人移入的类别名称(没有联系人使用该类别时可省略)
+     * @returns {Promise<Object>} 结果对象，包含成功状态和错误信息
+     */
+    async deleteCategory(id, reassignTo = null) {
+        const category = this.categories.getById(id);
+        if (!category) {
+            return { success: false, error: '类别不存在' };
+        }
+        if (this.categories.getAll().length === 1) {
+            return { success: false, error: '至少需要保留一个类别' };
+        }
+
+        if (this.countContactsInCategory(category.name) > 0) {
+            if (!reassignTo || reassignTo === category.name || !this.categories.has(reassignTo)) {
+                return { success: false, error: '请选择联系人要移入的类别' };
+            }
+            const moved = await this.moveContactsToCategory(category.name, reassignTo, `删除类别 "${category.name}"`);
+            if (!moved) {
+                return { success: false, error: '更新联系人失败，请重试' };
+            }
+        }
+
+        if (!await this.categories.remove(id)) {
+            return { success: false, error: '删除失败，请重试' };
+        }
+        this.notifyListeners();
+        return { success: true };
+    }
+
+    /**
+     * 将某类别的全部联系人(包括回收站)改为另一类别，一次保存并可撤销
+     * 移入后与目标类别中的联系人同名时自动重命名
+     * @param {string} from 原类别名称
+     * @param {string} to 目标类别名称
+     * @param {string} label 操作说明(用于撤销历史)
+     * @returns {Promise<boolean>} 是否成功
+     */
+    async moveContactsToCategory(from, to, label) {
+        const snapshot = { contacts: [...this.contacts], recycleBin: [...this.recycleBin] };
+        const changes = [];
+        const put = [];
+
+        [this.contacts, this.recycleBin].forEach(list => {
+            list.forEach((contact, index) => {
+                if (contact.category !== from) {
+                    return;
+                }
+                const name = list === this.contacts && this.hasDuplicate(contact.name, to)
+                    ? this.getUniqueName(contact.name, to)
+                    : contact.name;
+                const moved = this.createContactFromData({ ...contact.toJSON(), name, category: to });
+                list[index] = moved;
+                put.push(moved);
+                changes.push({ id: contact.id, before: contact.toJSON(), after: moved.toJSON() });
+            });
+        });
+
+        if (put.length === 0) {
+            return true;
+        }
+        const saveSuccess = await this.saveToStorage({ put });
+        if (!saveSuccess) {
+            this.contacts = snapshot.contacts;
+            this.recycleBin = snapshot.recycleBin;
+            return false;
+        }
+        await this.recordChanges(label, changes);
+        return true;
+    }
+
+    /**
+     * 批量修改联系人，一次保存并可撤销(修改的联系人更新最后修改时间)
+     * 修改后的数据与单个修改一样按字段规则校验，任一联系人未通过时全部不修改
+     * @param {string[]} ids 联系人ID数组
+     * @param {Function} update 修改函数 contact => 修改后的数据，不需要修改时返回null
+     * @param {string} label 操作说明(用于撤销历史)
+     * @returns {Promise<Object>} 结果对象 { success, count, error }，count为修改的联系人数量；
+     *   校验失败时errors为各字段的错误信息(见validateContactData)，id为未通过校验的联系人ID
+     */
+    async updateContacts(ids, update, label) {
+        const snapshot = [...this.contacts];
+        const selectedIds = new Set(ids);
+        const updatedAt = new Date();
+        const changes = [];
+        const put = [];
+
+        for (const [index, contact] of this.contacts.entries()) {
+            if (!selectedIds.has(contact.id)) {
+                continue;
+            }
+            // 依次修改，后面的联系人检查重名时能看到前面修改的结果
+            const data = update(contact);
+            if (!data) {
+                continue;
+            }
+            const merged = { ...contact.toJSON(), ...data };
+            const invalid = this.validateContactData(merged, contact.id);
+            if (invalid) {
+                this.contacts = snapshot;
+                return { ...invalid, error: `联系人 "${contact.name}": ${invalid.error}`, id: contact.id };
+            }
+            const updated = this.createContactFromData({ ...merged, updatedAt });
+            this.contacts[index] = updated;
+            put.push(updated);
+            changes.push({ id: contact.id, before: contact.toJSON(), after: updated.toJSON() });
+        }
+
+        if (put.length === 0) {
+            return { success: true, count: 0 };
+        }
+        const saveSuccess = await this.saveToStorage({ put });
+        if (!saveSuccess) {
+            this.contacts = snapshot;
+            return { success: false, error: '保存失败，请重试' };
+        }
+        await this.recordChanges(label, changes);
+        return { success: true, count: put.length };
+    }
+
+    /**
+     * 批量修改联系人的类别(与目标类别中的联系人同名时自动重命名)
+     * @param {string[]} ids 联系人ID数组
+     * @param {string} category 目标类别名称
+     * @returns {Promise<Object>} 结果对象 { success, count, error }
+     */
+    async setContactsCategory(ids, category) {
+        if (!this.categories.has(category)) {
+            return { success: false, error: `无效的类别: ${category}` };
+        }
+        return this.updateContacts(ids, contact => {
+            if (contact.category === category) {
+                return null;
+            }
+            const name = this.hasDuplicate(contact.name, category)
+                ? this.getUniqueName(contact.name, category)
+                : contact.name;
+            return { name, category };
+        }, `将 ${ids.length} 个联系人移入 "${category}"`);
+    }
+
+    /**
+     * 检查是否存在重复联系人(同名同类别的视为重复，姓名忽略空格和大小写等差异)
      * @param {string} name 联系人姓名
      * @param {string} category 联系人类别
-     * @param {string} [excludeId] 排除的联系人ID(用于编辑场景)
+     * @param {string|string[]} [excludeId] 排除的联系人ID(用于编辑、合并场景)
      * @returns {boolean} 是否存在重复
      */
     hasDuplicate(name, category, excludeId = null) {
-        return this.contacts.some(contact => 
-            contact.name === name && 
+        return this.findDuplicate(name, category, excludeId) !== undefined;
+    }
+
+    /**
+     * 查找同类别下的同名联系人(姓名的比较方式同hasDuplicate)
+     * @param {string} name 联系人姓名
+     * @param {string} category 联系人类别
+     * @param {string|string[]} [excludeId] 排除的联系人ID
+     * @returns {Contact|undefined} 找到的联系人
+     */
+    findDuplicate(name, category, excludeId = null) {
+        const normalized = this.duplicateFinder.normalizeName(name);
+        const excluded = [].concat(excludeId);
+        return this.contacts.find(contact => 
+            this.duplicateFinder.normalizeName(contact.name) === normalized && 
             contact.category === category && 
-            contact.id !== excludeId
+            !excluded.includes(contact.id)
         );
     }
 
+    /**
+     * 查找疑似重复的联系人(不含回收站)
+     * @returns {Array<{contacts: Contact[], reasons: string[]}>} 疑似重复的组，人数多的在前
+     */
+    findDuplicates() {
+        return this.duplicateFinder.findGroups(this.contacts)
+            .sort((a, b) => b.contacts.length - a.contacts.length ||
+                a.contacts[0].name.localeCompare(b.contacts[0].name, 'zh-CN'));
+    }
+
+    /**
+     * 预览合并结果：单值字段取choices指定的联系人的值(未指定时取保留的联系人的值，为空则取第一个非空值)，
+     * 电话、邮箱和标签合并去重，任一为常用联系人则合并后也是，创建时间取最早的
+     * @param {string} keepId 保留的联系人ID(合并后沿用此ID)
+     * @param {string[]} ids 要合并的全部联系人ID(包含keepId)
+     * @param {Object<string, string>} [choices] 单值字段(见MERGE_FIELDS) → 取值的联系人ID
+     * @returns {Object} { success, data } 合并后的联系人数据，或 { success: false, error }
+     */
+    previewMerge(keepId, ids, choices = {}) {
+        const contacts = [...new Set(ids)].map(id => this.getContactById(id));
+        if (contacts.length < 2 || contacts.includes(null)) {
+            return { success: false, error: '请选择至少两个联系人进行合并' };
+        }
+        const kept = contacts.find(contact => contact.id === keepId);
+        if (!kept) {
+            return { success: false, error: '保留的联系人必须是要合并的联系人之一' };
+        }
+
+        // 保留的联系人排在最前，其值优先
+        const ordered = [kept, ...contacts.filter(contact => contact !== kept)];
+        const data = kept.toJSON();
+        MERGE_FIELDS.forEach(field => {
+            const source = contacts.find(contact => contact.id === choices[field]) ||
+                ordered.find(contact => contact[field] !== '') || kept;
+            data[field] = source[field];
+        });
+
+        // 多值字段合并：号码按数字去重，邮箱不区分大小写去重
+        const mergeValues = (field, getKey) => {
+            const seen = new Set();
+            return ordered.flatMap(contact => contact[field]).filter(item => {
+                const key = getKey(item.value);
+                if (seen.has(key)) {
+                    return false;
+                }
+                seen.add(key);
+                return true;
+            }).map(item => ({ ...item }));
+        };
+        data.phones = mergeValues('phones', value => this.duplicateFinder.normalizePhone(value) || value);
+        data.emails = mergeValues('emails', value => value.toLowerCase());
+        data.tags = ordered.flatMap(contact => contact.tags);
+        data.favorite = contacts.some(contact => contact.favorite);
+        data.createdAt = new Date(Math.min(...contacts.map(contact => contact.createdAt.getTime()))).toISOString();
+
+        return { success: true, data };
+    }
+
+    /**
+     * 合并重复联系人：保留一个ID，其余移入回收站，一次保存并可撤销
+     * @param {string} keepId 保留的联系人ID
+     * @param {string[]} ids 要合并的全部联系人ID(包含keepId)
+     * @param {Object<string, string>} [choices] 单值字段 → 取值的联系人ID(见previewMerge)
+     * @returns {Promise<Object>} 结果对象，包含成功状态和合并后的联系人/错误信息
+     */
+    async mergeContacts(keepId, ids, choices = {}) {
+        const preview = this.previewMerge(keepId, ids, choices);
+        if (!preview.success) {
+            return preview;
+        }
+        const { data } = preview;
+        if (this.hasDuplicate(data.name, data.category, ids)) {
+            return { success: false, error: `已存在同名同类别的联系人: ${data.name}` };
+        }
+
+        const snapshot = { contacts: [...this.contacts], recycleBin: [...this.recycleBin] };
+        const now = new Date();
+        const merged = this.createContactFromData({ ...data, updatedAt: now });
+        const changes = [];
+        const put = [];
+
+        ids.forEach(id => {
+            const index = this.contacts.findIndex(c => c.id === id);
+            if (index === -1) {
+                return;
+            }
+            const original = this.contacts[index];
+            if (id === keepId) {
+                this.contacts[index] = merged;
+                put.push(merged);
+                changes.push({ id, before: original.toJSON(), after: merged.toJSON() });
+                return;
+            }
+            this.contacts.splice(index, 1);
+            const deleted = this.createContactFromData({ ...original.toJSON(), deletedAt: now });
+            this.recycleBin.push(deleted);
+            put.push(deleted);
+            changes.push({ id, before: original.toJSON(), after: deleted.toJSON() });
+        });
+
+        const saveSuccess = await this.saveToStorage({ put });
+        if (!saveSuccess) {
+            this.contacts = snapshot.contacts;
+            this.recycleBin = snapshot.recycleBin;
+            return { success: false, error: '合并失败，请重试' };
+        }
+
+        await this.recordChanges(`合并 ${changes.length} 个联系人为 "${merged.name}"`, changes);
+        return { success: true, contact: merged };
+    }
+
     /**
      * 添加新联系人
      * @param {Object} contactData 联系人信息
-     * @returns {Promise<Object>} 结果对象，包含成功状态和联系人/错误信息
+     * @returns {Promise<Object>} 结果对象，包含成功状态和联系人/错误信息，
+     *   校验失败时errors为各字段的错误信息(见validateContactData)
      */
     async addContact(contactData) {
-        // 检查重复
-        if (this.hasDuplicate(contactData.name, contactData.category)) {
-            return {
-                success: false,
-                error: `已存在同名同类别的联系人: ${contactData.name}`
-            };
+        // 按字段规则校验并检查重复
+        const invalid = this.validateContactData(contactData);
+        if (invalid) {
+            return invalid;
         }
         
         const contact = new Contact(contactData);
         this.contacts.push(contact);
         
-        // 尝试保存到本地存储
-        const saveSuccess = await this.saveToStorage();
+        // 尝试保存到存储(只写入新增的记录)
+        const saveSuccess = await this.saveToStorage({ put: [contact] });
         if (!saveSuccess) {
             // 如果保存失败，需要回滚数据
             this.contacts.pop();
@@ -144,6 +1300,10 @@ export class ContactManager {
                 error: '保存失败，请重试'
             };
         }
+
+        await this.recordChanges(`添加联系人 "${contact.name}"`, [
+            { id: contact.id, before: null, after: contact.toJSON() }
+        ]);
         
         return {
             success: true,
@@ -152,490 +1312,340 @@ export class ContactManager {
     }
 
     /**
-     * 根据ID获取联系人
-     * @param {string} id 联系人ID
-     * @returns {Contact|null} 找到的联系人或null
+     * 根据ID获取联系人
+     * @param {string} id 联系人ID
+     * @returns {Contact|null} 找到的联系人或null
+     */
+    getContactById(id) {
+        return this.contacts.find(c => c.id === id) || null;
+    }
+
+    /**
+     * 获取常用联系人(按姓名排序)
+     * @param {string} [category] 类别名称，'all'表示全部
+     * @returns {Contact[]} 常用联系人
+     */
+    getFavorites(category = 'all') {
+        return this.contacts
+            .filter(contact => contact.favorite && (category === 'all' || contact.category === category))
+            .sort((a, b) => a.name.localeCompare(b.name, 'zh-CN'));
+    }
+
+    /**
+     * 设置或取消常用联系人(不改变最后修改时间)
+     * @param {string} id 联系人ID
+     * @param {boolean} favorite 是否为常用联系人
+     * @returns {Promise<Object>} 结果对象，包含成功状态和联系人/错误信息
+     */
+    async setFavorite(id, favorite) {
+        const index = this.contacts.findIndex(c => c.id === id);
+        if (index === -1) {
+            return { success: false, error: '联系人不存在' };
+        }
+
+        const original = this.contacts[index];
+        if (original.favorite === favorite) {
+            return { success: true, contact: original };
+        }
+        const updated = this.createContactFromData({ ...original.toJSON(), favorite });
+        this.contacts[index] = updated;
+
+        const saveSuccess = await this.saveToStorage({ put: [updated] });
+        if (!saveSuccess) {
+            this.contacts[index] = original;
+            return { success: false, error: '保存失败，请重试' };
+        }
+
+        await this.recordChanges(`${favorite ? '设为' : '取消'}常用联系人 "${updated.name}"`, [
+            { id, before: original.toJSON(), after: updated.toJSON() }
+        ]);
+        return { success: true, contact: updated };
+    }
+
+    /**
+     * 解析搜索框中的搜索条件(语法见QueryParser)
+     * @param {string} text 搜索框中的输入
+     * @returns {Object} { success, query } 或 { success: false, error, start, end }
+     */
+    parseQuery(text) {
+        return this.queryParser.parse(text);
+    }
+
+    /**
+     * 搜索联系人，返回结果及其匹配等级
+     * 普通关键词通过搜索索引匹配姓名、单位、职位、地址、类别、标签、邮箱和电话，
+     * 文本字段同时支持拼音搜索(全拼、首字母及混合输入，姓名首字按姓氏读音)
+     * @param {string} category 类别名称，'all'表示全部
+     * @param {string|Object} keyword 搜索关键词，或parseQuery()解析得到的搜索条件
+     * @param {Object} [tagFilter] 标签筛选 { tags: 选中的标签, mode: 'and'(全部包含)/'or'(包含任一) }
+     * @param {Object} [locationFilter] 号码归属地筛选 { province: 省份, carrier: 运营商 }，
+     *   空字符串表示不限；至少有一个电话同时满足两项条件的联系人才保留
+     * @returns {Array<{contact: Contact, rank: number|null}>} 筛选结果，
+     *   按匹配等级排序(没有通过普通关键词匹配的结果rank为null)
+     */
+    searchContacts(category, keyword = '', tagFilter = null, locationFilter = null) {
+        const selectedTags = tagFilter ? tagFilter.tags : [];
+        const { province = '', carrier = '' } = locationFilter || {};
+        const matchFilters = contact => {
+            // 类别筛选
+            const matchCategory = category === 'all' || contact.category === category;
+            // 标签筛选
+            const matchTags = selectedTags.length === 0 || (tagFilter.mode === 'and'
+                ? selectedTags.every(tag => contact.hasTag(tag))
+                : selectedTags.some(tag => contact.hasTag(tag)));
+            // 号码归属地筛选
+            const matchLocation = (!province && !carrier) || contact.phones.some(phone => {
+                const location = this.phoneLocator.lookup(phone.value);
+                return location !== null &&
+                    (!province || location.province === province) &&
+                    (!carrier || location.carrier === carrier);
+            });
+            return matchCategory && matchTags && matchLocation;
+        };
+
+        const query = typeof keyword === 'string' ? { type: 'keyword', value: keyword, negate: false } : keyword;
+        if (query.type === 'keyword' && !query.negate) {
+            // 关键词为空时，只按类别和标签筛选
+            if (query.value === '') {
+                return this.contacts.filter(matchFilters).map(contact => ({ contact, rank: null }));
+            }
+            return this.searchIndex.search(query.value).filter(result => matchFilters(result.contact));
+        }
+
+        // 高级搜索：先用搜索索引求出各普通关键词的匹配结果，再逐个联系人判断条件
+        const keywordRanks = new Map();
+        const collectKeywords = node => {
+            if (node.type === 'keyword') {
+                keywordRanks.set(node, new Map(this.searchIndex.search(node.value)
+                    .map(result => [result.contact.id, result.rank])));
+            } else if (node.terms) {
+                node.terms.forEach(collectKeywords);
+            }
+        };
+        collectKeywords(query);
+
+        const results = [];
+        this.contacts.forEach(contact => {
+            if (!matchFilters(contact) || !this.matchQuery(contact, query, keywordRanks)) {
+                return;
+            }
+            // 匹配等级取命中的(非排除)关键词中最靠前的一个
+            let rank = null;
+            keywordRanks.forEach((ranks, node) => {
+                const value = ranks.get(contact.id);
+                if (!node.negate && value !== undefined && (rank === null || value < rank)) {
+                    rank = value;
+                }
+            });
+            results.push({ contact, rank });
+        });
+        return results;
+    }
+
+    /**
+     * 判断联系人是否满足搜索条件
+     * @param {Contact} contact 联系人
+     * @param {Object} node 搜索条件节点
+     * @param {Map<Object, Map<string, number>>} keywordRanks 各普通关键词的匹配结果(联系人ID → 匹配等级)
+     * @returns {boolean} 是否满足
+     */
+    matchQuery(contact, node, keywordRanks) {
+        switch (node.type) {
+            case 'and':
+                return node.terms.every(term => this.matchQuery(contact, term, keywordRanks));
+            case 'or':
+                return node.terms.some(term => this.matchQuery(contact, term, keywordRanks));
+            case 'keyword':
+                return keywordRanks.get(node).has(contact.id) !== node.negate;
+            default:
+                return this.matchFieldTerm(contact, node) !== node.negate;
+        }
+    }
+
+    /**
+     * 判断联系人是否满足字段条件(如 name:张、phone:138*、cat:办公、created:>2025-01-01)
+     * @param {Contact} contact 联系人
+     * @param {Object} term 字段条件
+     * @returns {boolean} 是否满足
+     */
+    matchFieldTerm(contact, term) {
+        const value = contact[term.field];
+        switch (QUERY_FIELDS[term.field].type) {
+            case 'date': {
+                const time = value.getTime();
+                return (term.from === null || time >= term.from) && (term.to === null || time < term.to);
+            }
+            case 'phone':
+                return value.some(phone => PhoneNumber.getSearchDigits(phone.value)
+                    .some(digits => term.pattern ? term.pattern.test(digits) : digits.includes(term.digits)));
+            case 'exact':
+                return [].concat(value).some(text => term.pattern ? term.pattern.test(text) : text.toLowerCase() === term.lower);
+            default: {
+                // 邮箱只按文本匹配，其他文本字段同时支持拼音
+                const isEmail = term.field === 'emails';
+                const texts = isEmail ? value.map(email => email.value) : [value];
+                return texts.some(text => term.pattern
+                    ? term.pattern.test(text)
+                    : text.toLowerCase().includes(term.lower) ||
+                        (!isEmail && this.pinyin.match(text, term.value, { fuzzy: this.fuzzyPinyin, surname: term.field === 'name' })));
+            }
+        }
+    }
+
+    /**
+     * 筛选联系人
+     * @param {string} category 类别名称，'all'表示全部
+     * @param {string} keyword 搜索关键词
+     * @param {Object} [tagFilter] 标签筛选 { tags: 选中的标签, mode: 'and'(全部包含)/'or'(包含任一) }
+     * @param {Object} [locationFilter] 号码归属地筛选(见searchContacts)
+     * @returns {Contact[]} 筛选后的联系人，有关键词时按匹配等级排序
+     */
+    filterContacts(category, keyword = '', tagFilter = null, locationFilter = null) {
+        return this.searchContacts(category, keyword, tagFilter, locationFilter).map(result => result.contact);
+    }
+
+    /**
+     * 统计各标签的联系人数量(不含回收站)
+     * @returns {Map<string, number>} 标签 → 数量，按标签名称排序
+     */
+    getTagCounts() {
+        const counts = new Map();
+        this.contacts.forEach(contact => {
+            contact.tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+        });
+        return new Map([...counts].sort(([a], [b]) => a.localeCompare(b, 'zh-CN')));
+    }
+
+    /**
+     * 统计电话号码归属地的联系人数量(不含回收站，一个联系人的多个电话只计一次)
+     * @returns {Object} { provinces: Map<省份, 数量>(按名称排序，UNKNOWN_REGION在最后), carriers: Map<运营商, 数量>(按PHONE_CARRIER_NAMES的顺序) }
+     */
+    getPhoneLocationCounts() {
+        const provinces = new Map();
+        const carriers = new Map();
+        const count = (counts, values) => {
+            new Set(values.filter(Boolean)).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+        };
+        this.contacts.forEach(contact => {
+            const locations = contact.phones.map(phone => this.phoneLocator.lookup(phone.value)).filter(Boolean);
+            count(provinces, locations.map(location => location.province));
+            count(carriers, locations.map(location => location.carrier));
+        });
+        return {
+            // 归属地未知的排在最后
+            provinces: new Map([...provinces].sort(([a], [b]) =>
+                (a === UNKNOWN_REGION) - (b === UNKNOWN_REGION) || a.localeCompare(b, 'zh-CN'))),
+            carriers: new Map(PHONE_CARRIER_NAMES.filter(name => carriers.has(name)).map(name => [name, carriers.get(name)]))
+        };
+    }
+
+    /**
+     * 获取全部已使用的标签(按名称排序)
+     * @returns {string[]} 标签数组
+     */
+    getAllTags() {
+        return [...this.getTagCounts().keys()];
+    }
+
+    /**
+     * 重命名标签(新名称已存在时即为合并)
+     * @param {string} oldName 原标签
+     * @param {string} newName 新标签
+     * @returns {Promise<Object>} 结果对象 { success, count, error }，count为修改的联系人数量
+     */
+    async renameTag(oldName, newName) {
+        return this.replaceTags([oldName], newName, `重命名标签 "${oldName}"`);
+    }
+
+    /**
+     * 将多个标签合并为一个
+     * @param {string[]} sources 要合并的标签
+     * @param {string} target 合并后的标签(可以是新标签)
+     * @returns {Promise<Object>} 结果对象 { success, count, error }
      */
-    getContactById(id) {
-        return this.contacts.find(c => c.id === id) || null;
+    async mergeTags(sources, target) {
+        return this.replaceTags(sources, target, `合并标签为 "${target}"`);
     }
 
     /**
-     * 获取汉字的拼音首字母
-     * @param {string} char 汉字字符
-     * @returns {string} 拼音首字母(小写)
+     * 从全部联系人中删除标签
+     * @param {string} name 标签
+     * @returns {Promise<Object>} 结果对象 { success, count, error }
      */
-    getPinyinFirstLetter(char) {
-        // 基本拉丁字母直接返回
-        if (/[a-zA-Z]/.test(char)) {
-            return char.toLowerCase();
-        }
-        
-        // 数字直接返回
-        if (/\d/.test(char)) {
-            return char;
-        }
-        
-        // 汉字拼音首字母映射表（简化版，覆盖常用汉字）
-        const pinyinMap = {
-            'a': [19968, 20320], // 啊-吖
-            'ai': [20321, 20543], // 阿-隘
-            'an': [20544, 20807], // 腌-黯
-            'ang': [20808, 20982], // 肮-盎
-            'ao': [20983, 21199], // 敖-坳
-            'ba': [21200, 21474], // 八-钯
-            'bai': [21475, 21605], // 百-掰
-            'ban': [21606, 21884], // 班-瓣
-            'bang': [21885, 22031], // 帮-磅
-            'bao': [22032, 22302], // 包-鲍
-            'bei': [22303, 22530], // 杯-辈
-            'ben': [22531, 22621], // 奔-畚
-            'beng': [22622, 22786], // 崩-蹦
-            'bi': [22787, 23009], // 逼-陛
-            'bian': [23010, 23242], // 鞭-煸
-            'biao': [23243, 23384], // 标-飑
-            'bie': [23385, 23532], // 憋-别
-            'bin': [23533, 23751], // 宾-殡
-            'bing': [23752, 23942], // 兵-并
-            'bo': [23943, 24190], // 拨-钵
-            'bu': [24191, 24382], // 不-醭
-            'ca': [24383, 24507], // 擦-礤
-            'cai': [24508, 24688], // 才-菜
-            'can': [24689, 24893], // 参-粲
-            'cang': [24894, 25049], // 仓-沧
-            'cao': [25050, 25209], // 操-糙
-            'ce': [25210, 25340], // 厕-侧
-            'ceng': [25341, 25462], // 层-蹭
-            'cha': [25463, 25667], // 插-镲
-            'chai': [25668, 25770], // 拆-钗
-            'chan': [25771, 26039], // 搀-忏
-            'chang': [26040, 26255], // 昌-唱
-            'chao': [26256, 26410], // 超-耖
-            'che': [26411, 26552], // 车-扯
-            'chen': [26553, 26782], // 臣-谶
-            'cheng': [26783, 27038], // 成-骋
-            'chi': [27039, 27295], // 痴-敕
-            'chong': [27296, 27485], // 充-铳
-            'chou': [27486, 27730], // 抽-瞅
-            'chu': [27731, 28049], // 出-刍
-            'chuai': [28050, 28150], // 揣-踹
-            'chuan': [28151, 28303], // 川-钏
-            'chuang': [28304, 28473], // 创-怆
-            'chui': [28474, 28603], // 吹-炊
-            'chun': [28604, 28779], // 春-纯
-            'chuo': [28780, 28903], // 戳-龊
-            'ci': [28904, 29134], // 疵-赐
-            'cong': [29135, 29386], // 匆-苁
-            'cou': [29387, 29505], // 凑-辏
-            'cu': [29506, 29634], // 粗-蹴
-            'cuan': [29635, 29760], // 汆-窜
-            'cui': [29761, 29901], // 崔-悴
-            'cun': [29902, 30035], // 村-寸
-            'cuo': [30036, 30253], // 磋-锉
-            'da': [30254, 30485], // 搭-耷
-            'dai': [30486, 30638], // 呆-殆
-            'dan': [30639, 30872], // 丹-旦
-            'dang': [30873, 31071], // 当-谠
-            'dao': [31072, 31293], // 刀-岛
-            'de': [31294, 31400], // 德-的
-            'deng': [31401, 31584], // 灯-凳
-            'di': [31585, 31892], // 低-缔
-            'dian': [31893, 32188], // 掂-垫
-            'diao': [32189, 32323], // 叼-碉
-            'die': [32324, 32538], // 跌-迭
-            'ding': [32539, 32780], // 丁-顶
-            'diu': [32781, 32799], // 丢-铥
-            'dong': [32800, 33054], // 东-董
-            'dou': [33055, 33270], // 兜-斗
-            'du': [33271, 33626], // 都-笃
-            'duan': [33627, 33845], // 端-短
-            'dui': [33846, 34020], // 堆-队
-            'dun': [34021, 34243], // 吨-顿
-            'duo': [34244, 34445], // 咄-躲
-            'e': [34446, 34708], // 哆-哦
-            'en': [34709, 34899], // 恩-蒽
-            'er': [34900, 35055], // 儿-尔
-            'fa': [35056, 35279], // 发-珐
-            'fan': [35280, 35529], // 帆-番
-            'fang': [35530, 35781], // 方-坊
-            'fei': [35782, 36044], // 飞-妃
-            'fen': [36045, 36310], // 分-吩
-            'feng': [36311, 36592], // 丰-风
-            'fo': [36593, 36741], // 佛-仏
-            'fou': [36742, 36757], // 否-缶
-            'fu': [36758, 37119], // 夫-弗
-            'ga': [37120, 37323], // 伽-旮
-            'gai': [37324, 37517], // 该-垓
-            'gan': [37518, 37730], // 干-杆
-            'gang': [37731, 37892], // 杠-肛
-            'gao': [37893, 38150], // 篙-皋
-            'ge': [38151, 38428], // 戈-哥
-            'gei': [38429, 38508], // 给-匌
-            'gen': [38509, 38663], // 根-亘
-            'geng': [38664, 38890], // 更-庚
-            'gong': [38891, 39139], // 工-弓
-            'gou': [39140, 39318], // 勾-佝
-            'gu': [39319, 39750], // 估-咕
-            'gua': [39751, 39927], // 瓜-刮
-            'guai': [39928, 40039], // 乖-拐
-            'guan': [40040, 40230], // 关-官
-            'guang': [40231, 40390], // 光-广
-            'gui': [40391, 40607], // 归-圭
-            'gun': [40608, 40715], // 衮-滚
-            'guo': [40716, 40889], // 郭-国
-            'ha': [40890, 41030], // 哈-铪
-            'hai': [41031, 41196], // 嗨-孩
-            'han': [41197, 41417], // 寒-函
-            'hang': [41418, 41583], // 夯-吭
-            'hao': [41584, 41775], // 壕-嚎
-            'he': [41776, 42010], // 呵-喝
-            'hei': [42011, 42089], // 黑-嘿
-            'hen': [42090, 42230], // 痕-很
-            'heng': [42231, 42419], // 亨-横
-            'hong': [42420, 42595], // 轰-哄
-            'hou': [42596, 42789], // 侯-后
-            'hu': [42790, 43311], // 乎-呼
-            'hua': [43312, 43479], // 花-华
-            'huai': [43480, 43617], // 怀-徊
-            'huan': [43618, 43820], // 欢-环
-            'huang': [43821, 44030], // 慌-皇
-            'hui': [44031, 44289], // 灰-恢
-            'hun': [44290, 44470], // 昏-浑
-            'huo': [44471, 44670], // 豁-活
-            'ji': [44671, 45252], // 击-鸡
-            'jia': [45253, 45589], // 加-夹
-            'jian': [45590, 46083], // 坚-尖
-            'jiang': [46084, 46390], // 将-江
-            'jiao': [46391, 46742], // 交-郊
-            'jie': [46743, 47093], // 阶-皆
-            'jin': [47094, 47517], // 巾-今
-            'jing': [47518, 47930], // 京-惊
-            'jiong': [47931, 48118], // 扃-迥
-            'jiu': [48119, 48299], // 纠-鸠
-            'ju': [48300, 48694], // 拘-驹
-            'juan': [48695, 48889], // 捐-卷
-            'jue': [48890, 49250], // 撅-决
-            'jun': [49251, 49450], // 军-君
-            'ka': [49451, 49625], // 卡-咖
-            'kai': [49626, 49785], // 开-揩
-            'kan': [49786, 50010], // 刊-看
-            'kang': [50011, 50160], // 扛-亢
-            'kao': [50161, 50242], // 考-拷
-            'ke': [50243, 50505], // 坷-苛
-            'ken': [50506, 50630], // 肯-啃
-            'keng': [50631, 50760], // 坑-铿
-            'kong': [50761, 50890], // 空-孔
-            'kou': [50891, 51045], // 抠-口
-            'ku': [51046, 51307], // 哭-枯
-            'kua': [51308, 51403], // 夸-垮
-            'kuai': [51404, 51507], // 快-筷
-            'kuan': [51508, 51647], // 宽-款
-            'kuang': [51648, 51832], // 匡-狂
-            'kui': [51833, 52019], // 亏-岿
-            'kun': [52020, 52230], // 昆-捆
-            'kuo': [52231, 52382], // 扩-阔
-            'la': [52383, 52586], // 垃-啦
-            'lai': [52587, 52720], // 来-崃
-            'lan': [52721, 53049], // 兰-拦
-            'lang': [53050, 53219], // 狼-廊
-            'lao': [53220, 53379], // 捞-劳
-            'le': [53380, 53539], // 乐-了
-            'lei': [53540, 53749], // 擂-勒
-            'leng': [53750, 53839], // 棱-冷
-            'li': [53840, 54480], // 厘-梨
-            'lia': [54481, 54540], // 俩-嫽
-            'lian': [54541, 54991], // 帘-怜
-            'liang': [54992, 55289], // 良-凉
-            'liao': [55290, 55647], // 辽-聊
-            'lie': [55648, 55908], // 列-裂
-            'lin': [55909, 56242], // 林-临
-            'ling': [56243, 56589], // 伶-玲
-            'liu': [56590, 56924], // 溜-流
-            'long': [56925, 57184], // 龙-笼
-            'lou': [57185, 57334], // 娄-搂
-            'lu': [57335, 57796], // 卢-炉
-            'lv': [57797, 57980], // 驴-旅
-            'luan': [57981, 58133], // 孪-滦
-            'lue': [58134, 58240], // 掠-略
-            'lun': [58241, 58480], // 抡-轮
-            'luo': [58481, 58908], // 捋-罗
-            'ma': [58909, 59170], // 妈-麻
-            'mai': [59171, 59306], // 埋-买
-            'man': [59307, 59600], // 蛮-满
-            'mang': [59601, 59770], // 忙-茫
-            'mao': [59771, 60105], // 猫-毛
-            'me': [60106, 60200], // 么-嚒
-            'mei': [60201, 60480], // 玫-眉
-            'men': [60481, 60600], // 门-闷
-            'meng': [60601, 60810], // 萌-蒙
-            'mi': [60811, 61330], // 眯-弥
-            'mian': [61331, 61580], // 绵-眠
-            'miao': [61581, 61790], // 苗-描
-            'mie': [61791, 61930], // 灭-蔑
-            'min': [61931, 62122], // 民-敏
-            'ming': [62123, 62280], // 名-明
-            'miu': [62281, 62299], // 谬-缪
-            'mo': [62300, 62689], // 摸-模
-            'mou': [62690, 62830], // 哞-牟
-            'mu': [62831, 63065], // 模-母
-            'na': [63066, 63240], // 拿-哪
-            'nai': [63241, 63370], // 乃-奶
-            'nan': [63371, 63520], // 男-南
-            'nang': [63521, 63640], // 囊-馕
-            'nao': [63641, 63840], // 挠-恼
-            'ne': [63841, 63920], // 呢-哪
-            'nei': [63921, 64030], // 馁-内
-            'nen': [64031, 64080], // 嫩-恁
-            'neng': [64081, 64170], // 能-脳
-            'ni': [64171, 64689], // 妮-泥
-            'nian': [64690, 64960], // 拈-年
-            'niang': [64961, 65040], // 娘-酿
-            'niao': [65041, 65130], // 鸟-尿
-            'nie': [65131, 65380], // 捏-聂
-            'nin': [65381, 65440], // 您-恁
-            'ning': [65441, 65580], // 宁-拧
-            'niu': [65581, 65680], // 牛-扭
-            'nong': [65681, 65790], // 农-弄
-            'nu': [65791, 65900], // 奴-努
-            'nv': [65901, 65940], // 女-钕
-            'nuan': [65941, 66010], // 暖-奻
-            'nue': [66011, 66050], // 虐-疟
-            'nuo': [66051, 66170], // 挪-诺
-            'o': [66171, 66230], // 哦-噢
-            'ou': [66231, 66430], // 欧-殴
-            'pa': [66431, 66570], // 趴-啪
-            'pai': [66571, 66740], // 拍-排
-            'pan': [66741, 67030], // 盘-潘
-            'pang': [67031, 67180], // 乓-庞
-            'pao': [67181, 67380], // 抛-跑
-            'pei': [67381, 67540], // 呸-陪
-            'pen': [67541, 67640], // 喷-盆
-            'peng': [67641, 67910], // 烹-朋
-            'pi': [67911, 68330], // 砒-皮
-            'pian': [68331, 68520], // 片-偏
-            'piao': [68521, 68700], // 飘-嫖
-            'pie': [68701, 68800], // 撇-苤
-            'pin': [68801, 69000], // 拼-贫
-            'ping': [69001, 69260], // 乒-平
-            'po': [69261, 69540], // 坡-婆
-            'pu': [69541, 69880], // 扑-铺
-            'qi': [69881, 70449], // 妻-七
-            'qia': [70450, 70580], // 掐-卡
-            'qian': [70581, 71099], // 千-牵
-            'qiang': [71100, 71309], // 枪-腔
-            'qiao': [71310, 71519], // 悄-桥
-            'qie': [71520, 71649], // 切-茄
-            'qin': [71650, 71939], // 钦-琴
-            'qing': [71940, 72249], // 衾-青
-            'qiong': [72250, 72409], // 穹-穷
-            'qiu': [72410, 72679], // 丘-秋
-            'qu': [72680, 73149], // 区-曲
-            'quan': [73150, 73349], // 圈-权
-            'que': [73350, 73649], // 炔-缺
-            'qun': [73650, 73849], // 裙-群
-            'ran': [73850, 74039], // 然-冉
-            'rang': [74040, 74199], // 瓤-嚷
-            'rao': [74200, 74359], // 饶-扰
-            're': [74360, 74449], // 惹-热
-            'ren': [74450, 74739], // 人-仁
-            'reng': [74740, 74859], // 扔-仍
-            'ri': [74860, 74929], // 日-驲
-            'rong': [74930, 75209], // 戎-荣
-            'rou': [75210, 75349], // 肉-揉
-            'ru': [75350, 75709], // 如-儒
-            'ruan': [75710, 75819], // 阮-软
-            'rui': [75820, 75939], // 蕊-瑞
-            'run': [75940, 76039], // 闰-润
-            'ruo': [76040, 76209], // 若-弱
-            'sa': [76210, 76369], // 撒-仨
-            'sai': [76370, 76509], // 腮-塞
-            'san': [76510, 76729], // 三-伞
-            'sang': [76730, 76889], // 桑-丧
-            'sao': [76890, 77049], // 搔-扫
-            'se': [77050, 77189], // 涩-色
-            'sen': [77190, 77249], // 森-椮
-            'seng': [77250, 77329], // 僧-鬙
-            'sha': [77330, 77619], // 莎-杀
-            'shai': [77620, 77729], // 筛-晒
-            'shan': [77730, 78209], // 山-删
-            'shang': [78210, 78549], // 商-伤
-            'shao': [78550, 78809], // 梢-烧
-            'she': [78810, 79039], // 奢-舌
-            'shen': [79040, 79499], // 申-身
-            'sheng': [79500, 79819], // 生-声
-            'shi': [79820, 80449], // 师-诗
-            'shou': [80450, 80709], // 收手-首
-            'shu': [80710, 81209], // 书-疏
-            'shua': [81210, 81289], // 刷-耍
-            'shuai': [81290, 81389], // 摔-帅
-            'shuan': [81390, 81489], // 拴-闩
-            'shuang': [81490, 81609], // 霜-双
-            'shui': [81610, 81709], // 谁-水
-            'shun': [81710, 81899], // 顺-舜
-            'shuo': [81900, 82019], // 说-妁
-            'si': [82020, 82529], // 司-思
-            'song': [82530, 82889], // 松-宋
-            'sou': [82890, 83139], // 搜-艘
-            'su': [83140, 83479], // 苏-酥
-            'suan': [83480, 83589], // 酸-算
-            'sui': [83590, 83869], // 虽-隋
-            'sun': [83870, 84049], // 孙-损
-            'suo': [84050, 84389], // 唆-梭
-            'ta': [84390, 84649], // 他-她
-            'tai': [84650, 84899], // 胎-苔
-            'tan': [84900, 85319], // 坍-贪
-            'tang': [85320, 85689], // 汤-唐
-            'tao': [85690, 86009], // 饕-涛
-            'te': [86010, 86099], // 忑-特
-            'teng': [86100, 86249], // 腾-疼
-            'ti': [86250, 86789], // 剔-梯
-            'tian': [86790, 87089], // 天-填
-            'tiao': [87090, 87339], // 挑-条
-            'tie': [87340, 87489], // 贴-铁
-            'ting': [87490, 87769], // 厅-听
-            'tong': [87770, 88049], // 通-同
-            'tou': [88050, 88199], // 偷-头
-            'tu': [88200, 88549], // 凸-突
-            'tuan': [88550, 88659], // 团-抟
-            'tui': [88660, 88829], // 推-颓
-            'tun': [88830, 89049], // 吞-臀
-            'tuo': [89050, 89359], // 托-脱
-            'wa': [89360, 89549], // 洼-挖
-            'wai': [89550, 89649], // 歪-崴
-            'wan': [89650, 90049], // 弯-湾
-            'wang': [90050, 90309], // 王-往
-            'wei': [90310, 90919], // 危-微
-            'wen': [90920, 91249], // 温-文
-            'weng': [91250, 91409], // 翁-嗡
-            'wo': [91410, 91629], // 挝-我
-            'wu': [91630, 92159], // 五-午
-            'xi': [92160, 92789], // 昔-西
-            'xia': [92790, 93149], // 呷-瞎
-            'xian': [93150, 93719], // 仙-先
-            'xiang': [93720, 94159], // 乡-香
-            'xiao': [94160, 94669], // 肖-消
-            'xie': [94670, 95159], // 些-歇
-            'xin': [95160, 95489], // 心-辛
-            'xing': [95490, 95929], // 星-腥
-            'xiong': [95930, 96109], // 兄-雄
-            'xiu': [96110, 96339], // 休-修
-            'xu': [96340, 96899], // 虚-徐
-            'xuan': [96900, 97229], // 轩-宣
-            'xue': [97230, 97409], // 靴-薛
-            'xun': [97410, 97809], // 熏-寻
-            'ya': [97810, 98249], // 压-呀
-            'yan': [98250, 98929], // 押-烟
-            'yang': [98930, 99329], // 央-羊
-            'yao': [99330, 99849], // 幺-腰
-            'ye': [99850, 100259], // 噎-耶
-            'yi': [100260, 100979], // 一-衣
-            'yin': [100980, 101489], // 因-阴
-            'ying': [101490, 102049], // 英-婴
-            'yo': [102050, 102109], // 哟-唷
-            'yong': [102110, 102489], // 佣-用
-            'you': [102490, 102999], // 优-游
-            'yu': [103000, 103719], // 纡-迂
-            'yuan': [103720, 104239], // 冤-元
-            'yue': [104240, 104489], // 曰-约
-            'yun': [104490, 105049], // 晕-云
-            'za': [105050, 105209], // 匝-咂
-            'zai': [105210, 105349], // 栽-宰
-            'zan': [105350, 105529], // 咱-攒
-            'zang': [105530, 105649], // 赃-脏
-            'zao': [105650, 105929], // 遭-糟
-            'ze': [105930, 106149], // 责-则
-            'zei': [106150, 106199], // 贼-谮
-            'zen': [106200, 106289], // 怎-谮
-            'zeng': [106290, 106489], // 憎-增
-            'zha': [106490, 106949], // 扎-喳
-            'zhai': [106950, 107109], // 斋-宅
-            'zhan': [107110, 107489], // 占-沾
-            'zhang': [107490, 107809], // 张-章
-            'zhao': [107810, 108049], // 钊-招
-            'zhe': [108050, 108429], // 遮-折
-            'zhen': [108430, 108909], // 针-珍
-            'zheng': [108910, 109349], // 睁-正
-            'zhi': [109350, 110179], // 之-知
-            'zhong': [110180, 110519], // 忠-中
-            'zhou': [110520, 110999], // 周-舟
-            'zhu': [111000, 111509], // 朱-珠
-            'zhua': [111510, 111589], // 抓-爪
-            'zhuai': [111590, 111649], // 拽-转
-            'zhuan': [111650, 111939], // 专-砖
-            'zhuang': [111940, 112139], // 庄-装
-            'zhui': [112140, 112349], // 追-锥
-            'zhun': [112350, 112509], // 谆-准
-            'zhuo': [112510, 112839], // 拙-卓
-            'zi': [112840, 113319], // 孜-资
-            'zong': [113320, 113539], // 宗-棕
-            'zou': [113540, 113729], // 邹-走
-            'zu': [113730, 114059], // 租-足
-            'zuan': [114060, 114169], // 钻-纂
-            'zui': [114170, 114259], // 嘴-醉
-            'zun': [114260, 114399], // 尊-遵
-            'zuo': [114400, 114789], // 昨-作
-            'zz': [114790, 114879] // 仄-咗
-        };
-        
-        const charCode = char.charCodeAt(0);
-        
-        // 遍历拼音映射表，找到对应的首字母
-        for (const [letter, [start, end]] of Object.entries(pinyinMap)) {
-            if (charCode >= start && charCode <= end) {
-                return letter[0].toLowerCase();
-            }
+    async deleteTag(name) {
+        return this.replaceTags([name], null, `删除标签 "${name}"`);
+    }
+
+    /**
+     * 为多个联系人添加标签
+     * @param {string[]} ids 联系人ID数组
+     * @param {string} tag 标签
+     * @returns {Promise<Object>} 结果对象 { success, count, error }
+     */
+    async addTagToContacts(ids, tag) {
+        const [normalized] = Contact.normalizeTags([tag]);
+        if (!normalized || normalized !== tag) {
+            return { success: false, error: `标签名称不能为空，不能包含逗号或分号，且不超过${MAX_TAG_LENGTH}个字符` };
         }
-        
-        // 无法识别的字符返回空字符串
-        return '';
+        return this.updateContacts(ids, contact => contact.hasTag(tag) ? null : { tags: [...contact.tags, tag] },
+            `为 ${ids.length} 个联系人添加标签 "${tag}"`);
     }
-    
+
     /**
-     * 获取字符串的拼音首字母组合
-     * @param {string} str 输入字符串
-     * @returns {string} 拼音首字母组合(小写)
+     * 从多个联系人中移除标签
+     * @param {string[]} ids 联系人ID数组
+     * @param {string} tag 标签
+     * @returns {Promise<Object>} 结果对象 { success, count, error }
      */
-    getPinyinInitials(str) {
-        return str.split('').map(char => this.getPinyinFirstLetter(char)).join('');
+    async removeTagFromContacts(ids, tag) {
+        return this.updateContacts(ids, contact => contact.hasTag(tag) ? { tags: contact.tags.filter(item => item !== tag) } : null,
+            `从 ${ids.length} 个联系人中移除标签 "${tag}"`);
     }
 
     /**
-     * 筛选联系人
-     * @param {string} category 类别(all/办公/个人)
-     * @param {string} keyword 搜索关键词
-     * @returns {Contact[]} 筛选后的联系人
+     * 将全部联系人(包括回收站)中的若干标签替换为另一个标签，一次保存并可撤销
+     * @param {string[]} sources 被替换的标签
+     * @param {string|null} target 替换后的标签，为null时直接删除
+     * @param {string} label 操作说明(用于撤销历史)
+     * @returns {Promise<Object>} 结果对象 { success, count, error }
      */
-    filterContacts(category, keyword = '') {
-        return this.contacts.filter(contact => {
-            // 类别筛选
-            const matchCategory = category === 'all' || contact.category === category;
-            
-            // 关键词为空时，只按类别筛选
-            if (keyword === '') {
-                return matchCategory;
+    async replaceTags(sources, target, label) {
+        if (target !== null) {
+            const [normalized] = Contact.normalizeTags([target]);
+            if (!normalized || normalized !== target) {
+                return { success: false, error: `标签名称不能为空，不能包含逗号或分号，且不超过${MAX_TAG_LENGTH}个字符` };
             }
-            
-            // 关键词不为空时，进行多字段模糊匹配
-            const lowerKeyword = keyword.toLowerCase();
-            
-            // 获取联系人各字段的拼音首字母
-            const nameInitials = this.getPinyinInitials(contact.name);
-            const addressInitials = this.getPinyinInitials(contact.address);
-            const categoryInitials = this.getPinyinInitials(contact.category);
-            
-            // 支持在多个字段中搜索，包括：姓名、电话、单位
-            // 同时支持拼音首字母搜索
-            const matchKeyword = 
-                contact.name.toLowerCase().includes(lowerKeyword) ||
-                nameInitials.includes(lowerKeyword) ||
-                contact.phone.includes(keyword) || // 电话保持原样搜索，因为可能包含数字和分隔符
-                contact.address.toLowerCase().includes(lowerKeyword) ||
-                addressInitials.includes(lowerKeyword) ||
-                contact.category.toLowerCase().includes(lowerKeyword) ||
-                categoryInitials.includes(lowerKeyword);
-            
-            return matchCategory && matchKeyword;
+        }
+
+        const snapshot = { contacts: [...this.contacts], recycleBin: [...this.recycleBin] };
+        const changes = [];
+        const put = [];
+
+        [this.contacts, this.recycleBin].forEach(list => {
+            list.forEach((contact, index) => {
+                if (!contact.tags.some(tag => sources.includes(tag))) {
+                    return;
+                }
+                // 替换后保持原有位置，与已有标签重复的由normalizeTags去重
+                const tags = contact.tags.map(tag => sources.includes(tag) ? target : tag);
+                const updated = this.createContactFromData({ ...contact.toJSON(), tags: tags.filter(tag => tag !== null) });
+                list[index] = updated;
+                put.push(updated);
+                changes.push({ id: contact.id, before: contact.toJSON(), after: updated.toJSON() });
+            });
         });
+
+        if (put.length === 0) {
+            return { success: true, count: 0 };
+        }
+        const saveSuccess = await this.saveToStorage({ put });
+        if (!saveSuccess) {
+            this.contacts = snapshot.contacts;
+            this.recycleBin = snapshot.recycleBin;
+            return { success: false, error: '保存失败，请重试' };
+        }
+        await this.recordChanges(label, changes);
+        return { success: true, count: put.length };
     }
 
     /**
@@ -654,7 +1664,7 @@ export class ContactManager {
     }
 
     /**
-     * 删除联系人
+     * 删除联系人(移入回收站)
      * @param {string} id 联系人ID
      * @returns {Promise<Object>} 删除结果，包含成功状态和错误信息
      */
@@ -668,19 +1678,26 @@ export class ContactManager {
             };
         }
 
-        // 从数组中移除联系人
-        const deletedContact = this.contacts.splice(contactIndex, 1)[0];
+        // 从数组中移除联系人，标记删除时间后放入回收站
+        const originalContact = this.contacts.splice(contactIndex, 1)[0];
+        const deletedContact = this.createContactFromData({ ...originalContact.toJSON(), deletedAt: new Date() });
+        this.recycleBin.push(deletedContact);
         
-        // 保存到本地存储
-        const saveSuccess = await this.saveToStorage();
+        // 保存到存储(只写入对应的记录)
+        const saveSuccess = await this.saveToStorage({ put: [deletedContact] });
         if (!saveSuccess) {
             // 如果保存失败，需要回滚数据
-            this.contacts.splice(contactIndex, 0, deletedContact);
+            this.recycleBin.pop();
+            this.contacts.splice(contactIndex, 0, originalContact);
             return {
                 success: false,
                 error: '删除失败，请重试'
             };
         }
+
+        await this.recordChanges(`删除联系人 "${deletedContact.name}"`, [
+            { id, before: originalContact.toJSON(), after: deletedContact.toJSON() }
+        ]);
         
         return {
             success: true,
@@ -691,8 +1708,9 @@ export class ContactManager {
     /**
      * 更新联系人
      * @param {string} id 联系人ID
-     * @param {Object} updatedData 更新的联系人数据
-     * @returns {Promise<Object>} 更新结果，包含成功状态和联系人/错误信息
+     * @param {Object} updatedData 更新的联系人数据(可只包含要修改的字段)
+     * @returns {Promise<Object>} 更新结果，包含成功状态和联系人/错误信息，
+     *   校验失败时errors为各字段的错误信息(见validateContactData)
      */
     async updateContact(id, updatedData) {
         // 查找联系人
@@ -705,16 +1723,14 @@ export class ContactManager {
             };
         }
 
-        // 检查是否存在重复联系人（排除当前ID）
-        if (this.hasDuplicate(updatedData.name, updatedData.category, id)) {
-            return {
-                success: false,
-                error: `已存在同名同类别的联系人: ${updatedData.name}`
-            };
-        }
-
         // 获取原始联系人
         const originalContact = this.contacts[contactIndex];
+
+        // 按字段规则校验修改后的完整数据，并检查重复（排除当前ID）
+        const invalid = this.validateContactData({ ...originalContact.toJSON(), ...updatedData }, id);
+        if (invalid) {
+            return invalid;
+        }
         
         // 创建更新后的联系人对象
         const updatedContact = new Contact({
@@ -722,14 +1738,15 @@ export class ContactManager {
             ...updatedData
         });
         
-        // 保留原始创建时间
+        // 保留原始创建时间，更新修改时间
         updatedContact.createdAt = originalContact.createdAt;
+        updatedContact.updatedAt = new Date();
         
         // 更新联系人列表
         this.contacts[contactIndex] = updatedContact;
         
-        // 保存到本地存储
-        const saveSuccess = await this.saveToStorage();
+        // 保存到存储(只写入修改的记录)
+        const saveSuccess = await this.saveToStorage({ put: [updatedContact] });
         if (!saveSuccess) {
             // 如果保存失败，需要回滚数据
             this.contacts[contactIndex] = originalContact;
@@ -738,6 +1755,10 @@ export class ContactManager {
                 error: '更新失败，请重试'
             };
         }
+
+        await this.recordChanges(`编辑联系人 "${updatedContact.name}"`, [
+            { id, before: originalContact.toJSON(), after: updatedContact.toJSON() }
+        ]);
         
         return {
             success: true,
@@ -745,59 +1766,217 @@ export class ContactManager {
         };
     }
 
+    /**
+     * 记录一次操作：写入撤销历史和联系人变更记录
+     * @param {string} label 操作说明
+     * @param {Array<{id: string, before: Object|null, after: Object|null}>} changes 受影响的联系人
+     * @returns {Promise<void>}
+     */
+    async recordChanges(label, changes) {
+        await this.history.record(label, changes);
+        if (!await this.auditLog.record(changes)) {
+            console.error('保存变更记录失败');
+        }
+    }
+
+    /**
+     * 获取联系人的变更记录(最新的在前)
+     * @param {string} id 联系人ID
+     * @returns {Object[]} 变更记录，index为在原始记录中的序号
+     */
+    getContactHistory(id) {
+        return this.auditLog.getHistory(id)
+            .map((entry, index) => ({ ...entry, index }))
+            .reverse();
+    }
+
+    /**
+     * 将联系人整条记录恢复为历史版本
+     * @param {string} id 联系人ID
+     * @param {number} index 变更记录序号(恢复到该次变更完成后的状态)
+     * @returns {Promise<Object>} 更新结果，包含成功状态和联系人/错误信息
+     */
+    async restoreVersion(id, index) {
+        const contact = this.getContactById(id);
+        if (!contact) {
+            return { success: false, error: '联系人不存在' };
+        }
+
+        const current = contact.toJSON();
+        const version = this.auditLog.getVersion(current, index);
+        const data = { ...current };
+        Object.keys(version)
+            .filter(key => !this.auditLog.ignoredFields.includes(key))
+            .forEach(key => {
+                data[key] = version[key] ?? '';
+            });
+
+        return this.updateContact(id, data);
+    }
+
+    /**
+     * 将联系人的单个字段恢复为历史值
+     * @param {string} id 联系人ID
+     * @param {string} field 字段名
+     * @param {*} value 历史值
+     * @returns {Promise<Object>} 更新结果，包含成功状态和联系人/错误信息
+     */
+    async restoreField(id, field, value) {
+        const contact = this.getContactById(id);
+        if (!contact) {
+            return { success: false, error: '联系人不存在' };
+        }
+        return this.updateContact(id, { ...contact.toJSON(), [field]: value ?? '' });
+    }
+
+    /**
+     * 撤销最近一次操作
+     * @returns {Promise<Object>} 结果对象 { success, label, error }
+     */
+    async undo() {
+        const command = this.history.peekUndo();
+        if (!command) {
+            return { success: false, error: '没有可以撤销的操作' };
+        }
+        if (!await this.applyHistoryChanges(command.changes, 'before')) {
+            return { success: false, error: '撤销失败，请重试' };
+        }
+        await this.history.markUndone();
+        // 撤销本身也是一次修改，按反方向记入变更记录
+        await this.auditLog.record(command.changes.map(change => ({
+            id: change.id,
+            before: change.after,
+            after: change.before
+        })).reverse());
+        return { success: true, label: command.label };
+    }
+
+    /**
+     * 重做最近一次撤销的操作
+     * @returns {Promise<Object>} 结果对象 { success, label, error }
+     */
+    async redo() {
+        const command = this.history.peekRedo();
+        if (!command) {
+            return { success: false, error: '没有可以重做的操作' };
+        }
+        if (!await this.applyHistoryChanges(command.changes, 'after')) {
+            return { success: false, error: '重做失败，请重试' };
+        }
+        await this.history.markRedone();
+        await this.auditLog.record(command.changes);
+        return { success: true, label: command.label };
+    }
+
+    /**
+     * 将命令涉及的联系人恢复为修改前或修改后的数据(一次保存，失败时回滚)
+     * @param {Array<{id: string, before: Object|null, after: Object|null}>} changes 命令中的变更
+     * @param {string} side 'before'(撤销)或'after'(重做)
+     * @returns {Promise<boolean>} 是否成功
+     */
+    async applyHistoryChanges(changes, side) {
+        const snapshot = { contacts: [...this.contacts], recycleBin: [...this.recycleBin] };
+        const put = [];
+        const remove = [];
+
+        // 撤销时按相反顺序恢复，同一联系人被多次修改时最终得到最早的数据
+        const ordered = side === 'before' ? [...changes].reverse() : changes;
+        ordered.forEach(change => {
+            const data = change[side];
+            const contact = data ? this.createContactFromData(data) : null;
+            // 已删除的联系人恢复到回收站，其余恢复到通讯录
+            const target = contact && contact.deletedAt ? this.recycleBin : this.contacts;
+            const current = [this.contacts, this.recycleBin].find(list => list.some(c => c.id === change.id));
+
+            if (current) {
+                const index = current.findIndex(c => c.id === change.id);
+                if (contact && current === target) {
+                    current[index] = contact;
+                } else {
+                    current.splice(index, 1);
+                }
+            }
+            if (contact && current !== target) {
+                target.push(contact);
+            }
+
+            if (contact) {
+                put.push(contact);
+            } else if (current) {
+                remove.push(change.id);
+            }
+        });
+
+        // 恢复的联系人所属类别可能已被删除或重命名，需重新创建
+        await this.categories.ensure(put.map(contact => contact.category));
+
+        const saveSuccess = await this.saveToStorage({ put, remove });
+        if (!saveSuccess) {
+            this.contacts = snapshot.contacts;
+            this.recycleBin = snapshot.recycleBin;
+        }
+        return saveSuccess;
+    }
+
     /**
      * 导出联系人数据为CSV格式
-     * @param {string} category 要导出的类别('all', '办公', '个人')
+     * @param {string} category 要导出的类别名称，'all'表示全部
      * @returns {boolean} 是否成功导出
      */
     exportToCSV(category = 'all') {
-        try {
-            // 获取要导出的联系人数据
-            const contactsToExport = category === 'all' 
-                ? this.contacts 
-                : this.contacts.filter(c => c.category === category);
+        // 获取要导出的联系人数据
+        const contactsToExport = category === 'all' 
+            ? this.contacts 
+            : this.contacts.filter(c => c.category === category);
 
-            if (contactsToExport.length === 0) {
-                alert('没有可导出的联系人数据');
-                return false;
-            }
+        if (contactsToExport.length === 0) {
+            alert('没有可导出的联系人数据');
+            return false;
+        }
+
+        // 生成文件名，包含当前日期
+        const categoryText = category === 'all' ? '全部' : category;
+        return this.downloadCsv(contactsToExport, `通讯录_${categoryText}_${this.getDateStamp()}.csv`);
+    }
+
+    /**
+     * 导出选中的联系人
+     * @param {string[]} ids 联系人ID数组
+     * @param {string} format 'csv'或'vcard'
+     * @param {string} [version] vCard版本('3.0'或'4.0')
+     * @returns {boolean} 是否成功导出
+     */
+    exportContacts(ids, format, version = '3.0') {
+        const selectedIds = new Set(ids);
+        const contactsToExport = this.contacts.filter(contact => selectedIds.has(contact.id));
+        if (contactsToExport.length === 0) {
+            alert('没有可导出的联系人数据');
+            return false;
+        }
 
-            // 构建CSV内容
-            const csvHeaders = ['姓名', '电话', '单位', '类别'];
-            const csvRows = contactsToExport.map(contact => [
-                `"${contact.name}"`,
-                `"${contact.phone}"`,
-                `"${contact.address}"`,
-                `"${contact.category}"`
-            ]);
+        const filename = `通讯录_已选${contactsToExport.length}人_${this.getDateStamp()}`;
+        return format === 'csv'
+            ? this.downloadCsv(contactsToExport, `${filename}.csv`)
+            : this.downloadVCard(contactsToExport, `${filename}.vcf`, version);
+    }
 
-            // 合并头部和数据行
-            const csvContent = [csvHeaders.join(','), ...csvRows.map(row => row.join(','))].join('\n');
+    /**
+     * 生成CSV文件并下载
+     * @param {Contact[]} contacts 要导出的联系人
+     * @param {string} filename 文件名
+     * @returns {boolean} 是否成功导出
+     */
+    downloadCsv(contacts, filename) {
+        try {
+            // 构建CSV内容(字段中的引号、逗号、换行由CsvParser转义)
+            const csvHeaders = CSV_FIELDS.map(column => column.header);
+            const csvRows = contacts.map(contact => this.toCsvRow(contact));
+            const csvContent = this.csvParser.stringify([csvHeaders, ...csvRows]);
 
             // 添加UTF-8 BOM，确保Excel正确显示中文
             const bom = new Uint8Array([0xEF, 0xBB, 0xBF]);
             const blob = new Blob([bom, csvContent], { type: 'text/csv;charset=utf-8;' });
-
-            // 创建下载链接
-            const link = document.createElement('a');
-            const url = URL.createObjectURL(blob);
-            link.setAttribute('href', url);
-            
-            // 生成文件名，包含当前日期
-            const now = new Date();
-            const dateStr = now.toISOString().split('T')[0]; // YYYY-MM-DD格式
-            const categoryText = category === 'all' ? '全部' : category;
-            link.setAttribute('download', `通讯录_${categoryText}_${dateStr}.csv`);
-            
-            // 触发下载
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-            
-            // 清理URL对象
-            URL.revokeObjectURL(url);
-            
-            console.log(`成功导出 ${contactsToExport.length} 个联系人`);
+            this.downloadBlob(blob, filename);
             return true;
             
         } catch (error) {
@@ -806,4 +1985,376 @@ export class ContactManager {
             return false;
         }
     }
-}
\ No newline at end of file
+
+    /**
+     * 导出联系人为vCard(.vcf)文件
+     * @param {string} category 要导出的类别名称，'all'表示全部
+     * @param {string} [version] vCard版本('3.0'或'4.0')
+     * @returns {boolean} 是否成功导出
+     */
+    exportToVCard(category = 'all', version = '3.0') {
+        const contactsToExport = category === 'all'
+            ? this.contacts
+            : this.contacts.filter(c => c.category === category);
+
+        if (contactsToExport.length === 0) {
+            alert('没有可导出的联系人数据');
+            return false;
+        }
+
+        const categoryText = category === 'all' ? '全部' : category;
+        return this.downloadVCard(contactsToExport, `通讯录_${categoryText}_${this.getDateStamp()}.vcf`, version);
+    }
+
+    /**
+     * 导出单个联系人为vCard文件
+     * @param {string} id 联系人ID
+     * @param {string} [version] vCard版本('3.0'或'4.0')
+     * @returns {boolean} 是否成功导出
+     */
+    exportContactToVCard(id, version = '3.0') {
+        const contact = this.getContactById(id);
+        if (!contact) {
+            alert('联系人不存在');
+            return false;
+        }
+        return this.downloadVCard([contact], `${contact.name}.vcf`, version);
+    }
+
+    /**
+     * 生成vCard文件并下载
+     * @param {Contact[]} contacts 要导出的联系人
+     * @param {string} filename 文件名
+     * @param {string} version vCard版本
+     * @returns {boolean} 是否成功导出
+     */
+    downloadVCard(contacts, filename, version) {
+        try {
+            const content = this.vcard.serializeAll(contacts, version);
+            const blob = new Blob([content], { type: 'text/vcard;charset=utf-8;' });
+            this.downloadBlob(blob, filename);
+            return true;
+        } catch (error) {
+            console.error('导出vCard失败:', error);
+            alert('导出失败，请重试');
+            return false;
+        }
+    }
+
+    /**
+     * 读取vCard文件，返回供预览使用的联系人数据
+     * @param {File} file 用户选择的.vcf文件
+     * @returns {Promise<Object>} 结果对象，包含解析出的联系人数据
+     */
+    async importFromVCard(file) {
+        try {
+            const text = await file.text();
+            const contacts = this.vcard.parse(text).map(data => {
+                // 不存在的类别交由预览归入默认类别，原类别名保留为标签
+                const known = this.categories.has(data.category);
+                return {
+                    ...data,
+                    category: known ? data.category : '',
+                    tags: known ? data.tags : Contact.normalizeTags([data.category, ...data.tags])
+                };
+            });
+
+            if (contacts.length === 0) {
+                return {
+                    success: false,
+                    error: 'vCard文件中没有联系人数据'
+                };
+            }
+
+            return {
+                success: true,
+                contacts
+            };
+        } catch (error) {
+            console.error('读取vCard文件失败:', error);
+            return {
+                success: false,
+                error: '无法读取vCard文件，请检查文件格式'
+            };
+        }
+    }
+
+    /**
+     * 获取当前日期字符串(用于导出文件名)
+     * @returns {string} YYYY-MM-DD格式的日期
+     */
+    getDateStamp() {
+        return new Date().toISOString().split('T')[0];
+    }
+
+    /**
+     * 触发浏览器下载
+     * @param {Blob} blob 文件内容
+     * @param {string} filename 文件名
+     */
+    downloadBlob(blob, filename) {
+        // 创建下载链接
+        const link = document.createElement('a');
+        const url = URL.createObjectURL(blob);
+        link.setAttribute('href', url);
+        link.setAttribute('download', filename);
+
+        // 触发下载
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        // 清理URL对象
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * 读取CSV文件，返回供预览和列映射使用的原始数据
+     * @param {File} file 用户选择的CSV文件
+     * @returns {Promise<Object>} 结果对象，包含表头、数据行和自动匹配的列映射
+     */
+    async importFromCSV(file) {
+        try {
+            const text = await file.text();
+            const rows = this.csvParser.parse(text);
+
+            if (rows.length === 0) {
+                return {
+                    success: false,
+                    error: 'CSV文件中没有数据'
+                };
+            }
+
+            // 根据第一行能否匹配到已知表头，判断文件是否包含表头行
+            const headerMapping = this.guessCsvMapping(rows[0]);
+            const hasHeader = Object.values(headerMapping).some(index => index !== -1);
+            const columnCount = Math.max(...rows.map(row => row.length));
+            const headers = hasHeader
+                ? rows[0]
+                : Array.from({ length: columnCount }, (_, i) => `第${i + 1}列`);
+            const dataRows = hasHeader ? rows.slice(1) : rows;
+
+            if (dataRows.length === 0) {
+                return {
+                    success: false,
+                    error: 'CSV文件中没有联系人数据'
+                };
+            }
+
+            // 无表头时按导出格式的列顺序映射
+            const mapping = hasHeader
+                ? headerMapping
+                : Object.fromEntries(CSV_IMPORT_FIELDS.map((column, i) => [column.field, i < columnCount ? i : -1]));
+
+            return {
+                success: true,
+                headers,
+                rows: dataRows,
+                mapping
+            };
+        } catch (error) {
+            console.error('读取CSV文件失败:', error);
+            return {
+                success: false,
+                error: '无法读取CSV文件，请检查文件格式'
+            };
+        }
+    }
+
+    /**
+     * 根据表头自动匹配列与联系人字段
+     * @param {string[]} headers 表头行
+     * @returns {Object} 字段名到列索引的映射(未匹配为-1)
+     */
+    guessCsvMapping(headers) {
+        const normalized = headers.map(header => header.trim().toLowerCase());
+        const mapping = {};
+        CSV_IMPORT_FIELDS.forEach(column => {
+            mapping[column.field] = normalized.findIndex(header => column.aliases.includes(header));
+        });
+        return mapping;
+    }
+
+    /**
+     * 按列映射将CSV数据行转换为联系人数据
+     * @param {string[][]} rows 数据行
+     * @param {Object} mapping 字段名到列索引的映射
+     * @returns {Object[]} 联系人数据数组
+     */
+    mapCsvRows(rows, mapping) {
+        return rows.map(row => {
+            const data = { name: '', phones: [], emails: [], company: '', title: '', postalAddress: '', category: '', tags: [] };
+            CSV_IMPORT_FIELDS.forEach(column => {
+                const index = mapping[column.field];
+                const value = index >= 0 && row[index] !== undefined ? row[index].trim() : '';
+                if (column.phoneLabel) {
+                    this.splitCsvValues(value).forEach(phone => data.phones.push({ label: column.phoneLabel, value: phone }));
+                } else if (column.field === 'email') {
+                    data.emails = this.splitCsvValues(value).map(email => ({ label: '工作', value: email }));
+                } else if (column.field === 'tags') {
+                    data.tags = this.splitCsvValues(value);
+                } else {
+                    data[column.field] = value;
+                }
+            });
+            return data;
+        });
+    }
+
+    /**
+     * 拆分CSV单元格中以分号分隔的多个值
+     * @param {string} value 单元格内容
+     * @returns {string[]} 非空值数组
+     */
+    splitCsvValues(value) {
+        return value.split(/[;；]/).map(item => item.trim()).filter(Boolean);
+    }
+
+    /**
+     * 将联系人转换为一行CSV数据(与CSV_FIELDS列顺序一致)
+     * @param {Contact} contact 联系人
+     * @returns {string[]} 单元格数组
+     */
+    toCsvRow(contact) {
+        return CSV_FIELDS.map(column => {
+            if (column.phoneLabel) {
+                return contact.phones.filter(phone => phone.label === column.phoneLabel)
+                    .map(phone => PhoneNumber.format(phone.value)).join('; ');
+            }
+            if (column.field === 'email') {
+                return contact.emails.map(email => email.value).join('; ');
+            }
+            if (column.field === 'tags') {
+                return contact.tags.join('; ');
+            }
+            if (column.field === 'phoneRegion' || column.field === 'phoneCarrier') {
+                // 各电话的归属地(或运营商)，相同的只列一次
+                const key = column.field === 'phoneRegion' ? 'region' : 'carrier';
+                const values = contact.phones
+                    .map(phone => this.phoneLocator.lookup(phone.value))
+                    .map(location => location ? location[key] : '')
+                    .filter(Boolean);
+                return [...new Set(values)].join('; ');
+            }
+            return contact[column.field];
+        });
+    }
+
+    /**
+     * 生成导入预览：校验每条数据并标记与现有联系人(或文件中靠前的行)冲突的记录
+     * @param {Object[]} dataList 待导入的联系人数据
+     * @returns {Object[]} 预览记录数组，包含data、error、duplicate与默认action
+     */
+    previewImport(dataList) {
+        const seen = new Set();
+
+        return dataList.map(item => {
+            const data = {
+                ...item,
+                // 姓名去掉首尾空格后保存
+                name: typeof item.name === 'string' ? item.name.trim() : item.name,
+                // 未提供类别时归入默认类别
+                category: item.category || this.getDefaultCategory()
+            };
+
+            const { errors } = this.validator.validate(data, { context: { categories: this.categories.getNames() } });
+            const error = this.validator.getFirstError(errors) || null;
+
+            const key = `${this.duplicateFinder.normalizeName(data.name)}\u0000${data.category}`;
+            const duplicate = !error && (this.hasDuplicate(data.name, data.category) || seen.has(key));
+            if (!error) {
+                seen.add(key);
+            }
+
+            return {
+                data,
+                error,
+                duplicate,
+                action: error ? 'skip' : (duplicate ? 'skip' : 'add')
+            };
+        });
+    }
+
+    /**
+     * 为“保留两者”生成不冲突的姓名
+     * @param {string} name 原始姓名
+     * @param {string} category 类别
+     * @returns {string} 在该类别下唯一的姓名
+     */
+    getUniqueName(name, category) {
+        let index = 2;
+        let candidate = `${name} (${index})`;
+        while (this.hasDuplicate(candidate, category)) {
+            index++;
+            candidate = `${name} (${index})`;
+        }
+        return candidate;
+    }
+
+    /**
+     * 批量导入联系人(只写入新增和覆盖的联系人，仅保存一次，失败时整体回滚)
+     * @param {Object[]} records 预览记录，action为add/skip/overwrite/keep
+     * @returns {Promise<Object>} 结果对象，包含新增、覆盖、跳过的数量
+     */
+    async importContacts(records) {
+        const snapshot = [...this.contacts];
+        const changes = [];
+        const put = [];
+        let added = 0;
+        let updated = 0;
+        let skipped = 0;
+
+        records.forEach(record => {
+            if (record.error || record.action === 'skip') {
+                skipped++;
+                return;
+            }
+
+            const { data } = record;
+            // 与预览时判断重复的规则一致
+            const existingIndex = this.contacts.indexOf(this.findDuplicate(data.name, data.category));
+
+            if (existingIndex !== -1 && record.action === 'overwrite') {
+                // 覆盖：保留原联系人的ID和创建时间
+                const original = this.contacts[existingIndex];
+                const updatedContact = new Contact({ ...original.toJSON(), ...data });
+                updatedContact.createdAt = original.createdAt;
+                updatedContact.updatedAt = new Date();
+                this.contacts[existingIndex] = updatedContact;
+                put.push(updatedContact);
+                changes.push({ id: original.id, before: original.toJSON(), after: updatedContact.toJSON() });
+                updated++;
+            } else if (existingIndex !== -1 && record.action !== 'keep') {
+                // 冲突但未选择处理方式时跳过，避免产生重复
+                skipped++;
+            } else {
+                const name = existingIndex !== -1 ? this.getUniqueName(data.name, data.category) : data.name;
+                const contact = new Contact({ ...data, name });
+                this.contacts.push(contact);
+                put.push(contact);
+                changes.push({ id: contact.id, before: null, after: contact.toJSON() });
+                added++;
+            }
+        });
+
+        if (added + updated > 0) {
+            const saveSuccess = await this.saveToStorage({ put });
+            if (!saveSuccess) {
+                // 如果保存失败，需要回滚数据
+                this.contacts = snapshot;
+                return {
+                    success: false,
+                    error: '导入失败，请重试'
+                };
+            }
+            await this.recordChanges(`导入 ${added + updated} 个联系人`, changes);
+        }
+
+        return {
+            success: true,
+            added,
+            updated,
+            skipped
+        };
+    }
+}
@@ -0,0 +1,206 @@
+import { FIELD_LABELS, MAX_TAG_LENGTH } from './Contact.js';
+import { PhoneNumber } from './PhoneNumber.js';
+
+/**
+ * 联系人字段的校验规则
+ * 表单、导入和ContactManager.addContact()/updateContact()共用同一份规则，
+ * 从存储加载时只检查字段类型和必填字段是否存在(见ContactValidator.validate的typesOnly选项)
+ *
+ * 每个字段可使用的规则：
+ *   type        字段类型：'string'、'array'或'boolean'(字段缺失时不检查)
+ *   required    是否必填(字符串去掉首尾空格后非空，数组至少一项)
+ *   maxLength   字符串的最大字数
+ *   maxItems    数组的最大项数
+ *   enum        可选值，为函数时以校验上下文为参数返回可选值(返回null表示不检查)
+ *   items       数组中每一项的规则(可用maxLength、pattern、validate)，针对项的value(字符串数组为项本身)
+ *   pattern     { regex, message } 字符串须匹配的正则表达式
+ *   validate    自定义校验函数 (value, data, context) => 错误信息，通过时返回空字符串
+ */
+export const CONTACT_SCHEMA = {
+    name: { type: 'string', required: true, maxLength: 50 },
+    phones: {
+        type: 'array',
+        required: true,
+        maxItems: 20,
+        items: { maxLength: 40, validate: validatePhone }
+    },
+    emails: {
+        type: 'array',
+        maxItems: 20,
+        items: {
+            maxLength: 254,
+            pattern: { regex: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, message: '邮箱格式不正确' }
+        }
+    },
+    company: { type: 'string', maxLength: 100 },
+    title: { type: 'string', maxLength: 50 },
+    postalAddress: { type: 'string', maxLength: 200 },
+    category: { type: 'string', required: true, enum: context => context.categories || null },
+    tags: { type: 'array', maxItems: 50, items: { maxLength: MAX_TAG_LENGTH } },
+    favorite: { type: 'boolean' }
+};
+
+/**
+ * 校验电话号码：支持 +86、区号、400号码、国际号码及 转123 等分机写法，
+ * 单独保存的分机号只需为数字
+ * @param {Object} phone 带标签的号码 { label, value }
+ * @returns {string} 错误信息，通过时为空字符串
+ */
+function validatePhone(phone) {
+    if (phone.label === '分机' && /^\d{1,6}$/.test(phone.value)) {
+        return '';
+    }
+    const parsed = PhoneNumber.parse(phone.value);
+    return parsed.success ? '' : `号码无效：${parsed.error}`;
+}
+
+/**
+ * 联系人数据校验器
+ * 按声明式的字段规则校验联系人数据，返回每个字段(及列表中每一项)的错误信息
+ */
+export class ContactValidator {
+    /**
+     * 创建校验器实例
+     * @param {Object} [schema] 字段规则，默认为CONTACT_SCHEMA
+     */
+    constructor(schema = CONTACT_SCHEMA) {
+        this.schema = schema;
+    }
+
+    /**
+     * 校验联系人数据
+     * @param {Object} data 联系人数据
+     * @param {Object} [options] 校验选项
+     * @param {Object} [options.context] 校验上下文，如 { categories: 可用的类别名称 }
+     * @param {boolean} [options.typesOnly] 只检查字段类型和必填字段是否存在(用于从存储加载的数据)
+     * @returns {Object} { valid, errors }，errors为字段名到错误信息的映射，
+     *   列表中某一项的错误以"字段名.序号"为键(如 phones.1)
+     */
+    validate(data, { context = {}, typesOnly = false } = {}) {
+        const errors = {};
+        if (!data || typeof data !== 'object') {
+            return { valid: false, errors: { name: '联系人数据无效' } };
+        }
+
+        Object.entries(this.schema).forEach(([field, rules]) => {
+            const value = data[field];
+            const label = FIELD_LABELS[field] || field;
+
+            if (value !== undefined && value !== null && !this.matchesType(value, rules.type)) {
+                errors[field] = `${label}的格式无效`;
+                return;
+            }
+            if (typesOnly) {
+                // 必填字段至少要存在
+                if (rules.required && (value === undefined || value === null)) {
+                    errors[field] = `缺少${label}`;
+                }
+                return;
+            }
+
+            if (this.isEmpty(value)) {
+                if (rules.required) {
+                    errors[field] = rules.type === 'array' ? `请至少填写一个${label}` : `请填写${label}`;
+                }
+                return;
+            }
+
+            const error = this.checkValue(value, rules, label, data, context);
+            if (error) {
+                errors[field] = error;
+                return;
+            }
+
+            if (rules.items) {
+                value.forEach((item, index) => {
+                    const itemError = this.checkValue(item, rules.items, label, data, context);
+                    if (itemError) {
+                        errors[`${field}.${index}`] = itemError;
+                    }
+                });
+            }
+        });
+
+        return { valid: Object.keys(errors).length === 0, errors };
+    }
+
+    /**
+     * 按规则检查单个值(数组项针对其value检查长度和格式，自定义校验函数接收整项)
+     * @param {*} value 字段值或数组项
+     * @param {Object} rules 规则
+     * @param {string} label 字段显示名称
+     * @param {Object} data 完整的联系人数据
+     * @param {Object} context 校验上下文
+     * @returns {string} 错误信息，通过时为空字符串
+     */
+    checkValue(value, rules, label, data, context) {
+        const text = value !== null && typeof value === 'object' && !Array.isArray(value) ? String(value.value ?? '') : value;
+
+        if (rules.maxItems !== undefined && Array.isArray(value) && value.length > rules.maxItems) {
+            return `${label}最多${rules.maxItems}个`;
+        }
+        if (typeof text === 'string') {
+            if (rules.maxLength !== undefined && Array.from(text.trim()).length > rules.maxLength) {
+                return `${label}不能超过${rules.maxLength}个字`;
+            }
+            if (rules.pattern && !rules.pattern.regex.test(text.trim())) {
+                return rules.pattern.message;
+            }
+        }
+        if (rules.enum) {
+            const options = typeof rules.enum === 'function' ? rules.enum(context) : rules.enum;
+            if (options && !options.includes(value)) {
+                return `无效的${label}: ${value}`;
+            }
+        }
+        if (rules.validate) {
+            return rules.validate(value, data, context) || '';
+        }
+        return '';
+    }
+
+    /**
+     * 检查值的类型
+     * @param {*} value 字段值
+     * @param {string} [type] 规则中的类型
+     * @returns {boolean} 是否符合
+     */
+    matchesType(value, type) {
+        switch (type) {
+            case 'string':
+                return typeof value === 'string';
+            case 'array':
+                return Array.isArray(value);
+            case 'boolean':
+                return typeof value === 'boolean';
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * 是否为空值(缺失、空白字符串或空数组)
+     * @param {*} value 字段值
+     * @returns {boolean}
+     */
+    isEmpty(value) {
+        return value === undefined || value === null ||
+            (typeof value === 'string' && value.trim() === '') ||
+            (Array.isArray(value) && value.length === 0);
+    }
+
+    /**
+     * 获取第一条错误信息(按字段规则的顺序)，用于只能显示一条提示的场合
+     * @param {Object} errors validate()返回的errors
+     * @returns {string} 错误信息(列表项的错误注明是第几项)，没有错误时为空字符串
+     */
+    getFirstError(errors) {
+        const fields = Object.keys(this.schema);
+        const [key] = Object.keys(errors).sort((a, b) => fields.indexOf(a.split('.')[0]) - fields.indexOf(b.split('.')[0]));
+        if (!key) {
+            return '';
+        }
+        const [field, index] = key.split('.');
+        return index === undefined ? errors[key] : `${FIELD_LABELS[field] || field}第${Number(index) + 1}项：${errors[key]}`;
+    }
+}
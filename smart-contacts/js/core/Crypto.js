@@ -1,13 +1,45 @@
+import { LocalStorageAdapter } from './storage/LocalStorageAdapter.js';
+
 /**
  * 加密工具类
  * 使用Web Crypto API实现AES-GCM加密/解密
- * 负责本地存储数据的安全加密与解密
+ * 密钥由用户口令经PBKDF2派生，不可导出且只保存在内存中
+ * 负责本地存储数据的安全加密与解密，数据通过存储适配器读写
  */
 export class Crypto {
-    constructor() {
-        this.keyName = 'contact-manager-key';
+    /**
+     * 创建加密工具实例
+     * @param {StorageAdapter} [storage] 存储适配器，默认使用localStorage
+     */
+    constructor(storage = new LocalStorageAdapter()) {
+        this.storage = storage;
+        // 旧版本随机生成并以JWK形式保存的密钥(仅用于迁移)
+        this.legacyKeyName = 'contact-manager-key';
+        // PBKDF2派生参数(密钥ID、盐值、迭代次数、校验值)，与数据一同保存
+        this.kdfName = 'contact-manager-kdf';
+        // 轮换前使用过的派生参数，用于以旧口令恢复隔离的数据
+        this.kdfHistoryName = 'contact-manager-kdf-history';
+        // 密钥轮换日志：存在且为committed时说明新密文已全部暂存完毕
+        this.rotationJournalName = 'contact-manager-rotation';
+        // 轮换期间新密文的暂存键后缀
+        this.stagingSuffix = '.rotating';
+        // 建议的密钥轮换周期(天)
+        this.rotationIntervalDays = 90;
         this.ivLength = 12; // AES-GCM推荐的IV长度
+        this.saltLength = 16;
+        this.iterations = 310000; // OWASP推荐的PBKDF2-SHA256迭代次数
+        this.minPassphraseLength = 8;
         this.keyUsages = ['encrypt', 'decrypt'];
+        // 校验值明文：解锁时解密成功即说明口令正确
+        this.verifierText = 'contact-manager-verifier';
+        // 需要加密保存的键值项(contacts为迁移到记录集合之前的整体密文)
+        this.encryptedKeys = ['contacts'];
+        // 需要加密保存的记录集合(每条记录单独加密)
+        this.encryptedStores = ['contacts'];
+        // 口令派生的不可导出密钥，只保存在内存中
+        this.key = null;
+        // 当前密钥ID，写入每个密文的前缀，用于识别密钥版本
+        this.keyId = null;
     }
 
     /**
@@ -19,44 +51,525 @@ export class Crypto {
     }
 
     /**
-     * 从IndexedDB或localStorage获取加密密钥
-     * @returns {Promise<CryptoKey|null>} 加密密钥或null
+     * 获取当前加密状态
+     * @returns {Promise<string>} unsupported(不支持加密)/unlocked(已解锁)/locked(需输入口令)/migrate(需从旧密钥迁移)/setup(首次设置口令)
+     */
+    async getStatus() {
+        if (!this.isSupported()) {
+            return 'unsupported';
+        }
+        if (this.key) {
+            return 'unlocked';
+        }
+        if (await this.storage.getItem(this.kdfName)) {
+            return 'locked';
+        }
+        if (await this.storage.getItem(this.legacyKeyName)) {
+            return 'migrate';
+        }
+        return 'setup';
+    }
+
+    /**
+     * 获取内存中的加密密钥
+     * @returns {Promise<CryptoKey|null>} 加密密钥，未解锁或不支持加密时为null
      */
     async getKey() {
         if (!this.isSupported()) {
             console.warn('Web Crypto API not supported, using plain text storage');
             return null;
         }
+        return this.key;
+    }
 
+    /**
+     * 使用PBKDF2从口令派生AES-GCM密钥
+     * @param {string} passphrase 用户口令
+     * @param {Uint8Array} salt 盐值
+     * @param {number} iterations 迭代次数
+     * @returns {Promise<CryptoKey>} 不可导出的AES-GCM密钥
+     */
+    async deriveKey(passphrase, salt, iterations) {
+        const baseKey = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(passphrase),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            baseKey,
+            { name: 'AES-GCM', length: 256 },
+            false, // 不可导出
+            this.keyUsages
+        );
+    }
+
+    /**
+     * 读取保存的PBKDF2参数
+     * @returns {Promise<Object|null>} { keyId, salt, iterations, verifier, createdAt }
+     */
+    async getKdfParams() {
+        try {
+            const stored = await this.storage.getItem(this.kdfName);
+            return stored ? JSON.parse(stored) : null;
+        } catch (error) {
+            console.error('Failed to read key derivation params:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 首次设置口令：生成盐值、派生密钥并保存派生参数
+     * 如存储中已有未加密的数据(曾在不支持加密的环境中保存)，一并加密
+     * @param {string} passphrase 用户口令
+     * @returns {Promise<boolean>} 是否设置成功
+     */
+    async setupPassphrase(passphrase) {
         try {
-            // 尝试从localStorage获取密钥（以JSON形式存储）
-            const storedKey = localStorage.getItem(this.keyName);
-            if (storedKey) {
-                const keyData = JSON.parse(storedKey);
-                return await crypto.subtle.importKey(
-                    'jwk',
-                    keyData,
-                    { name: 'AES-GCM' },
-                    true,
-                    this.keyUsages
-                );
-            }
-
-            // 如果没有密钥，生成新密钥
-            const newKey = await crypto.subtle.generateKey(
-                { name: 'AES-GCM', length: 256 },
-                true,
+            // 先读出需要加密的明文数据，避免设置后无法识别
+            const plainData = {};
+            for (const storageKey of this.encryptedKeys) {
+                const stored = await this.storage.getItem(storageKey);
+                if (stored && this.isPlainJSON(stored)) {
+                    plainData[storageKey] = stored;
+                }
+            }
+            const plainRecords = {};
+            for (const store of this.encryptedStores) {
+                plainRecords[store] = (await this.storage.getRecords(store))
+                    .filter(record => this.isPlainJSON(record.value));
+            }
+
+            await this.createKey(passphrase);
+
+            for (const [storageKey, plain] of Object.entries(plainData)) {
+                await this.storage.setItem(storageKey, await this.encrypt(plain));
+            }
+            for (const [store, records] of Object.entries(plainRecords)) {
+                if (records.length > 0) {
+                    await this.storage.updateRecords(store, await this.encryptRecords(records));
+                }
+            }
+            return true;
+        } catch (error) {
+            console.error('Failed to set up passphrase:', error);
+            this.key = null;
+            return false;
+        }
+    }
+
+    /**
+     * 生成新盐值并从口令派生密钥，保存派生参数与校验值
+     * @param {string} passphrase 用户口令
+     * @returns {Promise<CryptoKey>} 新密钥
+     */
+    async createKey(passphrase) {
+        const { key, params } = await this.buildKeyParams(passphrase);
+        await this.storage.setItem(this.kdfName, JSON.stringify(params));
+        this.key = key;
+        this.keyId = params.keyId;
+        return key;
+    }
+
+    /**
+     * 生成新盐值和密钥ID并派生密钥(不写入存储)
+     * @param {string} passphrase 用户口令
+     * @returns {Promise<Object>} { key, params }
+     */
+    async buildKeyParams(passphrase) {
+        const salt = crypto.getRandomValues(new Uint8Array(this.saltLength));
+        const key = await this.deriveKey(passphrase, salt, this.iterations);
+        const verifier = await this.encryptWithKey(this.verifierText, key);
+
+        return {
+            key,
+            params: {
+                keyId: 'k' + Date.now().toString(36) + Math.random().toString(36).substr(2, 4),
+                algorithm: 'PBKDF2-SHA256',
+                salt: this.arrayBufferToBase64(salt.buffer),
+                iterations: this.iterations,
+                verifier,
+                createdAt: new Date().toISOString()
+            }
+        };
+    }
+
+    /**
+     * 用保存的派生参数校验口令
+     * @param {string} passphrase 用户口令
+     * @param {Object} params PBKDF2派生参数
+     * @returns {Promise<CryptoKey|null>} 口令正确时返回派生的密钥，否则为null
+     */
+    async verifyPassphrase(passphrase, params) {
+        try {
+            const salt = new Uint8Array(this.base64ToArrayBuffer(params.salt));
+            const key = await this.deriveKey(passphrase, salt, params.iterations);
+            // 解密校验值失败(AES-GCM认证失败)说明口令错误
+            const verified = await this.decryptWithKey(params.verifier, key);
+            return verified === this.verifierText ? key : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * 使用口令解锁
+     * @param {string} passphrase 用户口令
+     * @returns {Promise<boolean>} 口令是否正确
+     */
+    async unlock(passphrase) {
+        const params = await this.getKdfParams();
+        if (!params) {
+            return false;
+        }
+
+        const key = await this.verifyPassphrase(passphrase, params);
+        if (!key) {
+            return false;
+        }
+        this.key = key;
+        // 早期版本的派生参数没有密钥ID，其密文也不带前缀
+        this.keyId = params.keyId || null;
+
+        // 迁移过程中断时，旧密钥仍然存在，继续完成迁移
+        if (await this.storage.getItem(this.legacyKeyName)) {
+            await this.finishLegacyMigration();
+        }
+        return true;
+    }
+
+    /**
+     * 从旧版随机密钥迁移：用旧密钥解密现有数据，以口令派生的新密钥重新加密
+     * @param {string} passphrase 新口令
+     * @returns {Promise<boolean>} 是否迁移成功
+     */
+    async migrateLegacyKey(passphrase) {
+        try {
+            await this.createKey(passphrase);
+            // 旧密钥在所有数据重新加密后才删除，中途失败可在下次解锁时继续
+            return await this.finishLegacyMigration();
+        } catch (error) {
+            console.error('Failed to migrate legacy key:', error);
+            this.key = null;
+            return false;
+        }
+    }
+
+    /**
+     * 将仍由旧密钥加密的数据重新加密，完成后删除旧密钥
+     * @returns {Promise<boolean>} 是否全部迁移成功
+     */
+    async finishLegacyMigration() {
+        try {
+            const legacyKey = await crypto.subtle.importKey(
+                'jwk',
+                JSON.parse(await this.storage.getItem(this.legacyKeyName)),
+                { name: 'AES-GCM' },
+                false,
                 this.keyUsages
             );
 
-            // 导出密钥并存储到localStorage
-            const exportedKey = await crypto.subtle.exportKey('jwk', newKey);
-            localStorage.setItem(this.keyName, JSON.stringify(exportedKey));
+            for (const storageKey of this.encryptedKeys) {
+                const stored = await this.storage.getItem(storageKey);
+                if (!stored) {
+                    continue;
+                }
+                // 已经是新密钥加密的数据无需处理
+                try {
+                    await this.decryptWithKey(stored, this.key);
+                    continue;
+                } catch (error) {
+                    // 新密钥无法解密，继续尝试旧密钥
+                }
+                const plain = this.isPlainJSON(stored) ? stored : await this.decryptWithKey(stored, legacyKey);
+                await this.storage.setItem(storageKey, await this.encrypt(plain));
+            }
 
-            return newKey;
+            await this.storage.removeItem(this.legacyKeyName);
+            return true;
         } catch (error) {
-            console.error('Failed to get encryption key:', error);
-            return null;
+            console.error('Failed to re-encrypt data with the new key:', error);
+            return false;
+        }
+    }
+
+    /**
+     * 更换口令并轮换密钥：用旧密钥解密全部数据，以新密钥重新加密
+     * 采用两阶段提交：新密文先写入暂存键，写入committed日志后再替换正式数据，
+     * 任何时刻中断，旧密文或新密文至少有一份完整可读
+     * @param {string} currentPassphrase 当前口令
+     * @param {string} newPassphrase 新口令
+     * @returns {Promise<Object>} 结果对象，包含成功状态和错误信息
+     */
+    async rotateKey(currentPassphrase, newPassphrase) {
+        const params = await this.getKdfParams();
+        if (!params) {
+            return { success: false, error: '尚未设置口令' };
+        }
+
+        const oldKey = await this.verifyPassphrase(currentPassphrase, params);
+        if (!oldKey) {
+            return { success: false, error: '当前口令错误' };
+        }
+
+        try {
+            const { key: newKey, params: newParams } = await this.buildKeyParams(newPassphrase);
+
+            // 第一阶段：在内存中完成解密与重新加密，全部成功后再写入暂存键
+            const reencrypt = async (stored) => {
+                const plain = await this.decryptWithKey(stored, oldKey);
+                return this.tagCiphertext(newParams.keyId, await this.encryptWithKey(plain, newKey));
+            };
+
+            const stagedItems = {};
+            for (const storageKey of this.encryptedKeys) {
+                const stored = await this.storage.getItem(storageKey);
+                if (stored !== null) {
+                    stagedItems[storageKey] = await reencrypt(stored);
+                }
+            }
+            const stagedStores = {};
+            for (const store of this.encryptedStores) {
+                const records = await this.storage.getRecords(store);
+                stagedStores[store] = [];
+                for (const record of records) {
+                    stagedStores[store].push({ id: record.id, value: await reencrypt(record.value) });
+                }
+            }
+
+            for (const [storageKey, value] of Object.entries(stagedItems)) {
+                await this.storage.setItem(storageKey + this.stagingSuffix, value);
+            }
+            for (const [store, records] of Object.entries(stagedStores)) {
+                await this.storage.replaceRecords(store + this.stagingSuffix, records);
+            }
+            await this.storage.setItem(this.kdfName + this.stagingSuffix, JSON.stringify(newParams));
+
+            // 提交点：日志写入后，恢复流程会以暂存的新密文为准
+            await this.storage.setItem(this.rotationJournalName, JSON.stringify({
+                state: 'committed',
+                fromKeyId: params.keyId || null,
+                toKeyId: newParams.keyId,
+                keys: Object.keys(stagedItems),
+                stores: Object.keys(stagedStores)
+            }));
+
+            // 第二阶段：用暂存数据替换正式数据
+            await this.applyRotation();
+
+            this.key = newKey;
+            this.keyId = newParams.keyId;
+            return { success: true };
+        } catch (error) {
+            console.error('Failed to rotate encryption key:', error);
+            // 提交后失败：新密文已完整暂存，下次启动时由recoverRotation()完成替换
+            if (await this.storage.getItem(this.rotationJournalName)) {
+                this.lock();
+                return { success: false, error: '更换口令未完成，请刷新页面并使用新口令解锁' };
+            }
+            // 提交前失败：丢弃暂存数据，旧密文保持不变
+            await this.discardRotation();
+            return { success: false, error: '更换口令失败，数据未被修改' };
+        }
+    }
+
+    /**
+     * 将暂存的新密文和派生参数写入正式键，并清理日志(可重复执行)
+     * @returns {Promise<void>}
+     */
+    async applyRotation() {
+        const journal = JSON.parse(await this.storage.getItem(this.rotationJournalName));
+
+        for (const storageKey of journal.keys) {
+            const staged = await this.storage.getItem(storageKey + this.stagingSuffix);
+            if (staged !== null) {
+                await this.storage.setItem(storageKey, staged);
+            }
+        }
+        for (const store of journal.stores || []) {
+            const staged = await this.storage.getRecords(store + this.stagingSuffix);
+            await this.storage.replaceRecords(store, staged);
+        }
+
+        const stagedParams = await this.storage.getItem(this.kdfName + this.stagingSuffix);
+        if (stagedParams !== null) {
+            await this.archiveKdfParams(JSON.parse(stagedParams).keyId);
+            await this.storage.setItem(this.kdfName, stagedParams);
+        }
+
+        // 先删除日志，再清理暂存键
+        await this.storage.removeItem(this.rotationJournalName);
+        await this.discardRotation();
+    }
+
+    /**
+     * 将即将被替换的派生参数存入历史(可重复执行)
+     * @param {string} nextKeyId 替换后的密钥ID
+     * @returns {Promise<void>}
+     */
+    async archiveKdfParams(nextKeyId) {
+        const params = await this.getKdfParams();
+        if (!params || params.keyId === nextKeyId) {
+            return;
+        }
+        const history = await this.getKdfHistory();
+        if (!history.some(item => item.keyId === params.keyId)) {
+            history.push(params);
+            await this.storage.setItem(this.kdfHistoryName, JSON.stringify(history));
+        }
+    }
+
+    /**
+     * 读取历史派生参数
+     * @returns {Promise<Object[]>} 派生参数数组(从旧到新)
+     */
+    async getKdfHistory() {
+        try {
+            const stored = await this.storage.getItem(this.kdfHistoryName);
+            return stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.error('Failed to read key derivation history:', error);
+            return [];
+        }
+    }
+
+    /**
+     * 用口令尝试派生当前及历史上的密钥(用于恢复隔离的数据)
+     * @param {string} passphrase 口令
+     * @returns {Promise<Array<{keyId: string|null, key: CryptoKey}>>} 口令匹配的密钥，口令错误时为空数组
+     */
+    async deriveRecoveryKeys(passphrase) {
+        const current = await this.getKdfParams();
+        const candidates = [...(await this.getKdfHistory()), ...(current ? [current] : [])];
+        const keys = [];
+        for (const params of candidates) {
+            const key = await this.verifyPassphrase(passphrase, params);
+            if (key) {
+                keys.push({ keyId: params.keyId || null, key });
+            }
+        }
+        return keys;
+    }
+
+    /**
+     * 依次尝试多个密钥解密(优先使用与密文前缀匹配的密钥)
+     * @param {string} encryptedData 加密的数据
+     * @param {Array<{keyId: string|null, key: CryptoKey}>} keys 候选密钥
+     * @returns {Promise<string>} 解密后的数据，全部失败时抛出异常
+     */
+    async decryptWithKeys(encryptedData, keys) {
+        const { keyId } = this.parseCiphertext(encryptedData);
+        const ordered = [
+            ...keys.filter(item => item.keyId === keyId),
+            ...keys.filter(item => item.keyId !== keyId)
+        ];
+        for (const item of ordered) {
+            try {
+                return await this.decryptWithKey(encryptedData, item.key);
+            } catch (error) {
+                // 继续尝试下一个密钥
+            }
+        }
+        throw new Error('没有可以解密该数据的密钥');
+    }
+
+    /**
+     * 删除轮换暂存数据
+     * @returns {Promise<void>}
+     */
+    async discardRotation() {
+        for (const storageKey of this.encryptedKeys) {
+            await this.storage.removeItem(storageKey + this.stagingSuffix);
+        }
+        for (const store of this.encryptedStores) {
+            await this.storage.replaceRecords(store + this.stagingSuffix, []);
+        }
+        await this.storage.removeItem(this.kdfName + this.stagingSuffix);
+    }
+
+    /**
+     * 启动时恢复被中断的密钥轮换
+     * 已提交则继续替换为新密文，未提交则丢弃暂存数据保留旧密文
+     * @returns {Promise<void>}
+     */
+    async recoverRotation() {
+        try {
+            if (await this.storage.getItem(this.rotationJournalName)) {
+                console.warn('检测到未完成的密钥轮换，继续完成替换');
+                await this.applyRotation();
+            } else {
+                await this.discardRotation();
+            }
+        } catch (error) {
+            console.error('Failed to recover key rotation:', error);
+        }
+    }
+
+    /**
+     * 判断当前密钥是否已超过建议的轮换周期
+     * @returns {Promise<boolean>} 是否需要轮换
+     */
+    async isRotationDue() {
+        const params = await this.getKdfParams();
+        if (!params) {
+            return false;
+        }
+        // 没有创建时间的早期密钥视为需要轮换
+        if (!params.createdAt) {
+            return true;
+        }
+        const ageDays = (Date.now() - new Date(params.createdAt).getTime()) / 86400000;
+        return ageDays >= this.rotationIntervalDays;
+    }
+
+    /**
+     * 锁定：丢弃内存中的密钥
+     */
+    lock() {
+        this.key = null;
+        this.keyId = null;
+    }
+
+    /**
+     * 为密文添加密钥ID前缀
+     * @param {string|null} keyId 密钥ID
+     * @param {string} ciphertext Base64密文
+     * @returns {string} 带前缀的密文(keyId:base64)
+     */
+    tagCiphertext(keyId, ciphertext) {
+        return keyId ? `${keyId}:${ciphertext}` : ciphertext;
+    }
+
+    /**
+     * 拆分密文中的密钥ID前缀(Base64不含冒号，可安全拆分)
+     * @param {string} stored 存储的密文
+     * @returns {Object} { keyId, ciphertext }，无前缀时keyId为null
+     */
+    parseCiphertext(stored) {
+        const separatorIndex = stored.indexOf(':');
+        if (separatorIndex === -1) {
+            return { keyId: null, ciphertext: stored };
+        }
+        return {
+            keyId: stored.slice(0, separatorIndex),
+            ciphertext: stored.slice(separatorIndex + 1)
+        };
+    }
+
+    /**
+     * 判断存储的内容是否为未加密的JSON
+     * @param {string} stored 存储的字符串
+     * @returns {boolean} 是否为JSON明文
+     */
+    isPlainJSON(stored) {
+        try {
+            JSON.parse(stored);
+            return true;
+        } catch (error) {
+            return false;
         }
     }
 
@@ -74,7 +587,14 @@ export class Crypto {
      * @returns {string} Base64字符串
      */
     arrayBufferToBase64(buffer) {
-        return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+        const bytes = new Uint8Array(buffer);
+        // 分段转换：数据较大时一次展开全部字节会超出调用栈大小
+        const chunkSize = 0x8000;
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += chunkSize) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+        }
+        return btoa(binary);
     }
 
     /**
@@ -95,75 +615,103 @@ export class Crypto {
     /**
      * 加密数据
      * @param {string} data 要加密的数据
-     * @returns {Promise<string|null>} 加密后的数据（Base64格式）或null
+     * @returns {Promise<string>} 加密后的数据（Base64格式）
      */
     async encrypt(data) {
+        if (!this.isSupported()) {
+            return data; // 不支持加密时返回原始数据
+        }
+
         const key = await this.getKey();
         if (!key) {
-            return data; // 不支持加密时返回原始数据
+            // 未解锁时拒绝写入，避免明文落盘
+            throw new Error('加密密钥未解锁');
         }
 
-        try {
-            // 生成IV
-            const iv = this.generateIV();
-            
-            // 加密数据
-            const encrypted = await crypto.subtle.encrypt(
-                { name: 'AES-GCM', iv: iv },
-                key,
-                new TextEncoder().encode(data)
-            );
+        return this.tagCiphertext(this.keyId, await this.encryptWithKey(data, key));
+    }
 
-            // 组合IV和加密数据（IV + encrypted）
-            const combined = new Uint8Array(iv.length + encrypted.byteLength);
-            combined.set(iv);
-            combined.set(new Uint8Array(encrypted), iv.length);
+    /**
+     * 使用指定密钥加密数据
+     * @param {string} data 要加密的数据
+     * @param {CryptoKey} key AES-GCM密钥
+     * @returns {Promise<string>} 加密后的数据（Base64格式，IV + 密文）
+     */
+    async encryptWithKey(data, key) {
+        // 生成IV
+        const iv = this.generateIV();
+        
+        // 加密数据
+        const encrypted = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv: iv },
+            key,
+            new TextEncoder().encode(data)
+        );
 
-            // 转换为Base64字符串
-            return this.arrayBufferToBase64(combined.buffer);
-        } catch (error) {
-            console.error('Encryption failed:', error);
-            return data; // 加密失败时返回原始数据
-        }
+        // 组合IV和加密数据（IV + encrypted）
+        const combined = new Uint8Array(iv.length + encrypted.byteLength);
+        combined.set(iv);
+        combined.set(new Uint8Array(encrypted), iv.length);
+
+        // 转换为Base64字符串
+        return this.arrayBufferToBase64(combined.buffer);
     }
 
     /**
      * 解密数据
      * @param {string} encryptedData 加密的数据（Base64格式）
-     * @returns {Promise<string|null>} 解密后的数据或null
+     * @returns {Promise<string>} 解密后的数据，密钥错误或数据损坏时抛出异常
      */
     async decrypt(encryptedData) {
+        if (!this.isSupported()) {
+            return encryptedData; // 不支持加密时数据以明文保存
+        }
+
         const key = await this.getKey();
         if (!key) {
-            return encryptedData; // 不支持解密时返回原始数据
+            throw new Error('加密密钥未解锁');
         }
 
+        const { keyId } = this.parseCiphertext(encryptedData);
+        if (keyId && this.keyId && keyId !== this.keyId) {
+            throw new Error(`密钥版本不匹配: ${keyId}`);
+        }
         try {
-            // 将Base64转换为ArrayBuffer
-            const combinedBuffer = this.base64ToArrayBuffer(encryptedData);
-            const combined = new Uint8Array(combinedBuffer);
+            return await this.decryptWithKey(encryptedData, key);
+        } catch (error) {
+            // 不能把密文当作明文返回，否则调用方会误以为数据损坏而丢弃
+            throw new Error('解密失败，密钥错误或数据已损坏');
+        }
+    }
 
-            // 分离IV和加密数据
-            const iv = combined.slice(0, this.ivLength);
-            const encrypted = combined.slice(this.ivLength);
+    /**
+     * 使用指定密钥解密数据
+     * @param {string} encryptedData 加密的数据（Base64格式，可带密钥ID前缀）
+     * @param {CryptoKey} key AES-GCM密钥
+     * @returns {Promise<string>} 解密后的数据，密钥错误或数据损坏时抛出异常
+     */
+    async decryptWithKey(encryptedData, key) {
+        // 将Base64转换为ArrayBuffer
+        const combinedBuffer = this.base64ToArrayBuffer(this.parseCiphertext(encryptedData).ciphertext);
+        const combined = new Uint8Array(combinedBuffer);
 
-            // 解密数据
-            const decrypted = await crypto.subtle.decrypt(
-                { name: 'AES-GCM', iv: iv },
-                key,
-                encrypted
-            );
+        // 分离IV和加密数据
+        const iv = combined.slice(0, this.ivLength);
+        const encrypted = combined.slice(this.ivLength);
 
-            // 转换为字符串
-            return new TextDecoder().decode(decrypted);
-        } catch (error) {
-            console.error('Decryption failed:', error);
-            return encryptedData; // 解密失败时返回原始数据
-        }
+        // 解密数据
+        const decrypted = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: iv },
+            key,
+            encrypted
+        );
+
+        // 转换为字符串
+        return new TextDecoder().decode(decrypted);
     }
 
     /**
-     * 加密并存储数据到localStorage
+     * 加密并存储数据
      * @param {string} key 存储键名
      * @param {any} data 要存储的数据
      * @returns {Promise<boolean>} 是否成功
@@ -174,8 +722,8 @@ export class Crypto {
             const jsonData = JSON.stringify(data);
             // 加密数据
             const encrypted = await this.encrypt(jsonData);
-            // 存储到localStorage
-            localStorage.setItem(key, encrypted);
+            // 通过存储适配器保存
+            await this.storage.setItem(key, encrypted);
             return true;
         } catch (error) {
             console.error('Failed to encrypt and store data:', error);
@@ -184,14 +732,14 @@ export class Crypto {
     }
 
     /**
-     * 从localStorage读取并解密数据
+     * 读取并解密数据
      * @param {string} key 存储键名
      * @returns {Promise<any|null>} 解密后的数据或null
      */
     async readAndDecrypt(key) {
         try {
-            // 从localStorage读取数据
-            const encryptedData = localStorage.getItem(key);
+            // 通过存储适配器读取数据
+            const encryptedData = await this.storage.getItem(key);
             if (!encryptedData) {
                 return null;
             }
@@ -205,4 +753,105 @@ export class Crypto {
             return null;
         }
     }
-}
\ No newline at end of file
+
+    /**
+     * 逐条加密记录
+     * @param {Array<{id: string, value: string}>} records 明文记录
+     * @returns {Promise<Array<{id: string, value: string}>>} 密文记录
+     */
+    async encryptRecords(records) {
+        const encrypted = [];
+        for (const record of records) {
+            encrypted.push({ id: record.id, value: await this.encrypt(record.value) });
+        }
+        return encrypted;
+    }
+
+    /**
+     * 加密并写入记录集合(新增/覆盖与删除在一次操作中完成)
+     * @param {string} store 集合名
+     * @param {Array<{id: string, data: any}>} puts 要写入的数据
+     * @param {string[]} [deleteIds] 要删除的记录ID
+     * @returns {Promise<boolean>} 是否成功
+     */
+    async encryptAndStoreRecords(store, puts, deleteIds = []) {
+        try {
+            const records = await this.encryptRecords(
+                puts.map(item => ({ id: item.id, value: JSON.stringify(item.data) }))
+            );
+            await this.storage.updateRecords(store, records, deleteIds);
+            return true;
+        } catch (error) {
+            console.error('Failed to encrypt and store records:', error);
+            return false;
+        }
+    }
+
+    /**
+     * 加密并整体替换记录集合
+     * @param {string} store 集合名
+     * @param {Array<{id: string, data: any}>} items 全部数据
+     * @returns {Promise<boolean>} 是否成功
+     */
+    async encryptAndReplaceRecords(store, items) {
+        try {
+            const records = await this.encryptRecords(
+                items.map(item => ({ id: item.id, value: JSON.stringify(item.data) }))
+            );
+            await this.storage.replaceRecords(store, records);
+            return true;
+        } catch (error) {
+            console.error('Failed to encrypt and replace records:', error);
+            return false;
+        }
+    }
+
+    /**
+     * 读取并逐条解密记录集合(无法解密或解析的记录被跳过)
+     * @param {string} store 集合名
+     * @returns {Promise<Array<{id: string, data: any}>>} 解密后的数据
+     */
+    async readAndDecryptRecords(store) {
+        const { items, failures } = await this.decryptRecords(await this.storage.getRecords(store));
+        failures.forEach(failure => {
+            console.error(`Failed to read and decrypt record ${failure.id}:`, failure.error);
+        });
+        return items;
+    }
+
+    /**
+     * 逐条解密记录，区分成功与失败的记录(单条失败不影响其他记录)
+     * @param {Array<{id: string, value: string}>} records 存储中的记录
+     * @returns {Promise<Object>} { items: [{id, data}], failures: [{id, value, error}] }
+     */
+    async decryptRecords(records) {
+        const items = [];
+        const failures = [];
+        for (const record of records) {
+            try {
+                items.push({ id: record.id, data: JSON.parse(await this.decrypt(record.value)) });
+            } catch (error) {
+                failures.push({ id: record.id, value: record.value, error });
+            }
+        }
+        return { items, failures };
+    }
+
+    /**
+     * 获取需要从旧版localStorage迁移到存储适配器的键名
+     * @returns {string[]} 键名数组
+     */
+    getStorageItemNames() {
+        const names = [
+            this.legacyKeyName,
+            this.kdfName,
+            this.kdfHistoryName,
+            this.rotationJournalName,
+            this.kdfName + this.stagingSuffix
+        ];
+        this.encryptedKeys.forEach(storageKey => {
+            names.push(storageKey, storageKey + this.stagingSuffix);
+        });
+        return names;
+    }
+}
@@ -0,0 +1,100 @@
+/**
+ * CSV解析工具类
+ * 按RFC 4180规则解析/生成CSV文本，支持引号包裹的逗号、引号与换行
+ */
+export class CsvParser {
+    /**
+     * 创建CSV解析器实例
+     * @param {string} [delimiter] 字段分隔符，默认为逗号
+     */
+    constructor(delimiter = ',') {
+        this.delimiter = delimiter;
+    }
+
+    /**
+     * 解析CSV文本为二维数组
+     * @param {string} text CSV文本
+     * @returns {string[][]} 行数组，每行为字段数组
+     */
+    parse(text) {
+        // 去除UTF-8 BOM(exportToCSV导出的文件带BOM)
+        if (text.charCodeAt(0) === 0xFEFF) {
+            text = text.slice(1);
+        }
+
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        let i = 0;
+
+        while (i < text.length) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"') {
+                    // 两个连续引号表示转义的引号
+                    if (text[i + 1] === '"') {
+                        field += '"';
+                        i += 2;
+                        continue;
+                    }
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+                i++;
+                continue;
+            }
+
+            if (char === '"') {
+                inQuotes = true;
+            } else if (char === this.delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\r' || char === '\n') {
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+                // CRLF视为一个换行
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+            } else {
+                field += char;
+            }
+            i++;
+        }
+
+        // 处理最后一行(文件末尾没有换行时)
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        // 过滤完全空白的行
+        return rows.filter(r => r.some(value => value.trim() !== ''));
+    }
+
+    /**
+     * 转义单个字段
+     * @param {*} value 字段值
+     * @returns {string} 转义后的字段(始终使用引号包裹)
+     */
+    escapeField(value) {
+        const str = value === null || value === undefined ? '' : String(value);
+        return `"${str.replace(/"/g, '""')}"`;
+    }
+
+    /**
+     * 将二维数组生成CSV文本
+     * @param {Array<Array<*>>} rows 行数组
+     * @returns {string} CSV文本
+     */
+    stringify(rows) {
+        return rows
+            .map(row => row.map(value => this.escapeField(value)).join(this.delimiter))
+            .join('\n');
+    }
+}
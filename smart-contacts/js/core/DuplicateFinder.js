@@ -0,0 +1,185 @@
+import { PhoneNumber } from './PhoneNumber.js';
+
+/**
+ * 判定为疑似重复的原因
+ */
+export const DUPLICATE_REASONS = {
+    phone: '电话号码相同',
+    name: '姓名相同',
+    pinyin: '姓名拼音相同',
+    similar: '姓名相近且单位相同'
+};
+
+/**
+ * 重复联系人查找器
+ * 按规范化后的电话号码、姓名(含拼音)和单位把疑似同一人的联系人分组：
+ * 先按各项特征分桶，同桶内的联系人两两视为疑似重复，再用并查集合并为组，
+ * 避免对全部联系人两两比较
+ */
+export class DuplicateFinder {
+    /**
+     * 创建重复联系人查找器实例
+     * @param {Pinyin} pinyin 拼音工具实例
+     */
+    constructor(pinyin) {
+        this.pinyin = pinyin;
+    }
+
+    /**
+     * 规范化姓名：统一全角/半角和大小写，去掉空白和常见分隔符(如"张 三"、"张三 "视为"张三")
+     * @param {string} name 姓名
+     * @returns {string} 规范化后的姓名
+     */
+    normalizeName(name) {
+        return String(name ?? '').normalize('NFKC').toLowerCase().replace(/[\s·・.\-_'’]/g, '');
+    }
+
+    /**
+     * 规范化电话号码(见PhoneNumber.normalize)，使 138-0013-8000 与 +86 13800138000 相同
+     * @param {string} phone 电话号码
+     * @returns {string} 规范格式，位数太少(不足以判断重复，如短号)时返回空字符串
+     */
+    normalizePhone(phone) {
+        const normalized = PhoneNumber.normalize(phone);
+        return normalized.replace(/\D/g, '').length >= 7 ? normalized : '';
+    }
+
+    /**
+     * 计算两个字符串的编辑距离
+     * @param {string} a 字符串
+     * @param {string} b 字符串
+     * @returns {number} 编辑距离
+     */
+    getDistance(a, b) {
+        const source = Array.from(a);
+        const target = Array.from(b);
+        let previous = Array.from({ length: target.length + 1 }, (_, index) => index);
+        source.forEach((char, i) => {
+            const current = [i + 1];
+            target.forEach((other, j) => {
+                current.push(Math.min(previous[j + 1] + 1, current[j] + 1, previous[j] + (char === other ? 0 : 1)));
+            });
+            previous = current;
+        });
+        return previous[target.length];
+    }
+
+    /**
+     * 判断两个姓名是否相近：三个字及以上的姓名只差一个字(如"张三丰"与"张三峰")
+     * 两个字的姓名差一个字通常是不同的人，不视为相近
+     * @param {string} a 规范化后的姓名
+     * @param {string} b 规范化后的姓名
+     * @returns {boolean} 是否相近
+     */
+    isSimilarName(a, b) {
+        return Math.min(Array.from(a).length, Array.from(b).length) >= 3 && this.getDistance(a, b) <= 1;
+    }
+
+    /**
+     * 获取字符串本身及删去任意一个字后的全部结果
+     * @param {string} text 字符串
+     * @returns {string[]} 删字结果
+     */
+    getDeletionVariants(text) {
+        const chars = Array.from(text);
+        return [text, ...chars.map((_, index) => [...chars.slice(0, index), ...chars.slice(index + 1)].join(''))];
+    }
+
+    /**
+     * 查找疑似重复的联系人
+     * @param {Contact[]} contacts 联系人数组
+     * @returns {Array<{contacts: Contact[], reasons: string[]}>} 疑似重复的组(每组至少两人)，
+     *   reasons为判定原因(见DUPLICATE_REASONS)
+     */
+    findGroups(contacts) {
+        const parents = contacts.map((_, index) => index);
+        const find = index => {
+            while (parents[index] !== index) {
+                parents[index] = parents[parents[index]];
+                index = parents[index];
+            }
+            return index;
+        };
+        const links = [];
+        const link = (a, b, reason) => {
+            links.push({ a, reason });
+            parents[find(a)] = find(b);
+        };
+
+        // 按特征分桶：同一桶内的联系人依次与桶内第一人连接
+        const buckets = { phone: new Map(), name: new Map(), pinyin: new Map() };
+        const similar = new Map();
+        const normalizedNames = contacts.map(contact => this.normalizeName(contact.name));
+        const addToBucket = (bucket, key, index) => {
+            if (key === '') {
+                return;
+            }
+            if (!bucket.has(key)) {
+                bucket.set(key, []);
+            }
+            // 按顺序处理联系人，同一联系人的多个相同特征只需与末尾比较
+            const list = bucket.get(key);
+            if (list[list.length - 1] !== index) {
+                list.push(index);
+            }
+        };
+
+        contacts.forEach((contact, index) => {
+            contact.phones.forEach(phone => addToBucket(buckets.phone, this.normalizePhone(phone.value), index));
+            addToBucket(buckets.name, normalizedNames[index], index);
+            addToBucket(buckets.pinyin, this.pinyin.getFullPinyin(contact.name, true), index);
+            // 只差一个字的两个姓名各删去一个字(或较长的删去一个字)后必有相同的结果，
+            // 按"单位+删字结果"分桶即可找出候选，无需在同一单位内两两比较
+            const company = this.normalizeName(contact.company);
+            if (company !== '' && Array.from(normalizedNames[index]).length >= 3) {
+                this.getDeletionVariants(normalizedNames[index])
+                    .forEach(variant => addToBucket(similar, `${company}\n${variant}`, index));
+            }
+        });
+
+        Object.entries(buckets).forEach(([reason, bucket]) => {
+            bucket.forEach(list => list.slice(1).forEach(index => {
+                // 拼音相同通常是因为姓名相同，此时只记录更明确的原因
+                if (reason !== 'pinyin' || normalizedNames[list[0]] !== normalizedNames[index]) {
+                    link(list[0], index, reason);
+                }
+            }));
+        });
+
+        // 同一候选桶内再比较姓名是否确实相近
+        // (同名的已按姓名连接，每个姓名只取一人比较)
+        similar.forEach(list => {
+            const byName = new Map();
+            list.forEach(index => {
+                if (!byName.has(normalizedNames[index])) {
+                    byName.set(normalizedNames[index], index);
+                }
+            });
+            const entries = [...byName];
+            entries.forEach(([nameA, a], i) => {
+                entries.slice(i + 1).forEach(([nameB, b]) => {
+                    if (this.isSimilarName(nameA, nameB)) {
+                        link(a, b, 'similar');
+                    }
+                });
+            });
+        });
+
+        const groups = new Map();
+        contacts.forEach((contact, index) => {
+            const root = find(index);
+            if (!groups.has(root)) {
+                groups.set(root, { contacts: [], reasons: new Set() });
+            }
+            groups.get(root).contacts.push(contact);
+        });
+        links.forEach(({ a, reason }) => groups.get(find(a)).reasons.add(reason));
+
+        return [...groups.values()]
+            .filter(group => group.contacts.length > 1)
+            .map(group => ({
+                contacts: group.contacts.sort((a, b) => a.createdAt - b.createdAt),
+                reasons: Object.keys(DUPLICATE_REASONS).filter(reason => group.reasons.has(reason))
+            }));
+    }
+}
@@ -0,0 +1,134 @@
+import { PhoneNumber } from './PhoneNumber.js';
+import { PHONE_CARRIERS, AREA_CODES, PHONE_REGIONS, MOBILE_SEGMENTS } from './phoneRegionData.js';
+
+/**
+ * 手机号运营商的显示顺序
+ */
+export const PHONE_CARRIER_NAMES = ['移动', '联通', '电信', '广电'];
+
+/**
+ * 号段数据库未收录归属地的手机号(如较新的19x、166号段)的地区名称
+ */
+export const UNKNOWN_REGION = '未知';
+
+// 号段编码中表示未收录号段的值
+const UNKNOWN_SEGMENT = 0xFFFF;
+
+/**
+ * 电话号码归属地查询
+ * 使用离线的号段数据库：手机号按前3–4位确定运营商、前7位确定归属省市，
+ * 固定电话按区号确定城市；只查询中国大陆的手机号和固定电话
+ */
+export class PhoneLocator {
+    /**
+     * 创建归属地查询实例
+     */
+    constructor() {
+        // 已解码的号段表(手机号前3位 → 第4–7位对应的地区序号)
+        this.segments = new Map();
+        // 查询结果缓存(号码 → 归属地)
+        this.cache = new Map();
+    }
+
+    /**
+     * 查询号码的归属地和运营商
+     * @param {string} value 电话号码(通常为保存的规范格式)
+     * @returns {Object|null} { region: '江苏 南京', province: '江苏', city: '南京', carrier: '移动' }，
+     *   固定电话的carrier为空字符串；能确定运营商但号段未收录归属地的手机号，region和province为UNKNOWN_REGION；
+     *   无法识别或数据库中没有的号码返回null
+     */
+    lookup(value) {
+        if (!this.cache.has(value)) {
+            this.cache.set(value, this.locate(value));
+        }
+        return this.cache.get(value);
+    }
+
+    /**
+     * 按号码类型查询号段数据库
+     * @param {string} value 电话号码
+     * @returns {Object|null} 归属地(见lookup)
+     */
+    locate(value) {
+        const result = PhoneNumber.parse(value);
+        if (!result.success || result.phone.countryCode !== '86') {
+            return null;
+        }
+
+        const { phone } = result;
+        let region = '';
+        let carrier = '';
+        if (phone.type === 'mobile') {
+            const digits = phone.subscriber;
+            // 运营商按最长前缀匹配(如1703为虚拟运营商号段)
+            const prefix = [4, 3, 2].map(length => digits.slice(0, length)).find(key => PHONE_CARRIERS[key]);
+            carrier = prefix ? PHONE_CARRIERS[prefix] : '';
+            const index = this.getSegments(digits.slice(0, 3))[Number(digits.slice(3, 7))];
+            region = index === undefined || index === UNKNOWN_SEGMENT ? '' : PHONE_REGIONS[index];
+            if (!region && carrier) {
+                // 号段数据库缺少较新号段的归属地，明确标为未知，避免在按地区筛选时被遗漏
+                region = UNKNOWN_REGION;
+            }
+        } else if (phone.type === 'landline') {
+            region = AREA_CODES[phone.areaCode] || '';
+        }
+
+        if (!region && !carrier) {
+            return null;
+        }
+        const [province = '', city = ''] = region.split(' ');
+        return { region, province, city, carrier };
+    }
+
+    /**
+     * 获取手机号前3位对应的号段表(首次使用时解码)
+     * @param {string} prefix 手机号前3位
+     * @returns {Uint16Array|Array} 第4–7位(0000–9999)对应的地区序号，未收录的前缀为空数组
+     */
+    getSegments(prefix) {
+        if (!MOBILE_SEGMENTS[prefix]) {
+            return [];
+        }
+        if (!this.segments.has(prefix)) {
+            const table = new Uint16Array(10000).fill(UNKNOWN_SEGMENT);
+            let position = 0;
+            // 一个小写字母(前26个地区)、一个大写字母加一个字母(其余地区)或"."(未收录)，后接连续号段数
+            for (const [, code, count] of MOBILE_SEGMENTS[prefix].matchAll(/([a-z]|[A-Z][a-zA-Z]|\.)(\d*)/g)) {
+                const length = count ? Number(count) : 1;
+                if (code !== '.') {
+                    table.fill(this.decodeRegion(code), position, position + length);
+                }
+                position += length;
+            }
+            this.segments.set(prefix, table);
+        }
+        return this.segments.get(prefix);
+    }
+
+    /**
+     * 将号段编码中的地区代码转换为PHONE_REGIONS中的序号
+     * @param {string} code 地区代码
+     * @returns {number} 地区序号
+     */
+    decodeRegion(code) {
+        const letters = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ';
+        if (code.length === 1) {
+            return letters.indexOf(code);
+        }
+        return 26 + (letters.indexOf(code[0]) - 26) * 52 + letters.indexOf(code[1]);
+    }
+
+    /**
+     * 获取号码归属地的显示文本
+     * @param {string} value 电话号码
+     * @returns {string} 如"江苏 南京 · 移动"、"归属地未知 · 电信"，查询不到时为空字符串
+     */
+    format(value) {
+        const location = this.lookup(value);
+        if (!location) {
+            return '';
+        }
+        const region = location.region === UNKNOWN_REGION ? '归属地未知' : location.region;
+        return [region, location.carrier].filter(Boolean).join(' · ');
+    }
+}
@@ -0,0 +1,311 @@
+/**
+ * 号码类型的显示名称
+ */
+export const PHONE_TYPES = {
+    mobile: '手机',
+    landline: '固定电话',
+    service: '400/800服务号码',
+    local: '本地号码',         // 未带区号的固定电话
+    short: '短号',            // 10086、95588等服务短号，以及单独保存的分机号
+    international: '国际号码'
+};
+
+/**
+ * 两位数的国家代码(国家代码之间互不为前缀：1和7为一位，其余不在此列的为三位)
+ */
+const TWO_DIGIT_COUNTRY_CODES = new Set([
+    '20', '27', '30', '31', '32', '33', '34', '36', '39', '40', '41', '43', '44', '45', '46', '47', '48', '49',
+    '51', '52', '53', '54', '55', '56', '57', '58', '60', '61', '62', '63', '64', '65', '66',
+    '81', '82', '84', '86', '90', '91', '92', '93', '94', '95', '98'
+]);
+
+/**
+ * 本机号码的国家代码(中国大陆)，其他国家和地区的号码按国际号码处理
+ */
+const DOMESTIC_COUNTRY_CODE = '86';
+
+/**
+ * 电话号码
+ * 统一负责电话号码的解析、规范化保存和显示：
+ * 解析得到国家代码、区号、号码和分机号；保存为E.164格式(如 +8613800138000)，
+ * 带分机时按RFC 3966附加";ext="(如 +861012345678;ext=123)，无法转为E.164的本地号码和短号只保存数字；
+ * 显示时按号码类型分组(如 138-0013-8000、010-12345678 转 123)
+ */
+export class PhoneNumber {
+    /**
+     * 创建电话号码实例(通常通过PhoneNumber.parse()创建)
+     * @param {Object} parts 号码各部分
+     * @param {string} parts.type 号码类型(见PHONE_TYPES)
+     * @param {string} [parts.countryCode] 国家代码(不含+)，本地号码和短号为空
+     * @param {string} [parts.areaCode] 区号(不含开头的0)，只有固定电话有
+     * @param {string} parts.subscriber 号码
+     * @param {string} [parts.extension] 分机号
+     */
+    constructor({ type, countryCode = '', areaCode = '', subscriber, extension = '' }) {
+        this.type = type;
+        this.countryCode = countryCode;
+        this.areaCode = areaCode;
+        this.subscriber = subscriber;
+        this.extension = extension;
+    }
+
+    /**
+     * 解析电话号码
+     * 支持 13800138000、+86 138 0013 8000、0086-138…、010-12345678、(0755)12345678、
+     * 4001234567、10086、+1 202-555-0123，分机可写作 转123、分机123、ext 123、x123、#123
+     * 或固定电话后的 -123
+     * @param {string} text 输入的号码
+     * @returns {Object} 成功时为 { success: true, phone }，失败时为 { success: false, error }
+     */
+    static parse(text) {
+        const input = String(text ?? '').normalize('NFKC').trim();
+        if (input === '') {
+            return { success: false, error: '号码不能为空' };
+        }
+
+        const extensionMatch = /^(.*?\d)\s*(?:转|分机|ext\.?|x|#|;ext=|,)\s*(\d{1,6})$/i.exec(input);
+        if (extensionMatch) {
+            const result = PhoneNumber.parseNumber(extensionMatch[1]);
+            if (result.success) {
+                result.phone.extension = extensionMatch[2];
+            }
+            return result;
+        }
+
+        const result = PhoneNumber.parseNumber(input);
+        if (!result.success) {
+            // 010-12345678-123：固定电话后以连字符分隔的最后一段为分机号
+            const dashMatch = /^(.*\d)\s*-\s*(\d{1,5})$/.exec(input);
+            const head = dashMatch ? PhoneNumber.parseNumber(dashMatch[1]) : null;
+            if (head && head.success && head.phone.type === 'landline') {
+                head.phone.extension = dashMatch[2];
+                return head;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * 解析不含分机号的号码
+     * @param {string} text 号码
+     * @returns {Object} { success: true, phone } 或 { success: false, error }
+     */
+    static parseNumber(text) {
+        if (!/^\+?[\d\s\-().\/]+$/.test(text)) {
+            return { success: false, error: '号码只能包含数字、空格、括号、连字符和开头的+' };
+        }
+        const digits = text.replace(/\D/g, '');
+        if (text.startsWith('+')) {
+            return PhoneNumber.parseInternational(digits);
+        }
+        if (digits.startsWith('00')) {
+            return PhoneNumber.parseInternational(digits.slice(2));
+        }
+        // 省略了+的 86 开头手机号(常见于其他软件导出的数据)
+        if (/^861[3-9]\d{9}$/.test(digits)) {
+            return PhoneNumber.parseInternational(digits);
+        }
+        return PhoneNumber.parseDomestic(digits);
+    }
+
+    /**
+     * 解析带国家代码的号码
+     * @param {string} digits 国家代码及之后的数字
+     * @returns {Object} { success: true, phone } 或 { success: false, error }
+     */
+    static parseInternational(digits) {
+        let length = 3;
+        if (/^[17]/.test(digits)) {
+            length = 1;
+        } else if (TWO_DIGIT_COUNTRY_CODES.has(digits.slice(0, 2))) {
+            length = 2;
+        }
+        const countryCode = digits.slice(0, length);
+        const national = digits.slice(length);
+
+        if (countryCode === DOMESTIC_COUNTRY_CODE) {
+            // 国际格式的固定电话省略了区号前的0
+            const result = PhoneNumber.parseDomestic(national);
+            const landline = /^[1-9]/.test(national) ? PhoneNumber.parseDomestic(`0${national}`) : null;
+            if (result.success && ['mobile', 'service'].includes(result.phone.type)) {
+                return result;
+            }
+            if (landline && landline.success && landline.phone.type === 'landline') {
+                return landline;
+            }
+            return { success: false, error: '+86 后应为11位手机号、区号加固定电话号码或400/800号码' };
+        }
+
+        // E.164号码最多15位
+        if (national.length < 4 || digits.length > 15) {
+            return { success: false, error: '国际号码位数不正确' };
+        }
+        return { success: true, phone: new PhoneNumber({ type: 'international', countryCode, subscriber: national }) };
+    }
+
+    /**
+     * 解析国内号码
+     * @param {string} digits 数字(固定电话含区号前的0)
+     * @returns {Object} { success: true, phone } 或 { success: false, error }
+     */
+    static parseDomestic(digits) {
+        const countryCode = DOMESTIC_COUNTRY_CODE;
+        if (/^1[3-9]\d{9}$/.test(digits)) {
+            return { success: true, phone: new PhoneNumber({ type: 'mobile', countryCode, subscriber: digits }) };
+        }
+        if (/^[48]00\d{7}$/.test(digits)) {
+            return { success: true, phone: new PhoneNumber({ type: 'service', countryCode, subscriber: digits }) };
+        }
+        // 北京(010)和02x为两位区号，其余为三位
+        const landline = /^0(10|2\d|[3-9]\d{2})(\d{7,8})$/.exec(digits);
+        if (landline) {
+            return {
+                success: true,
+                phone: new PhoneNumber({ type: 'landline', countryCode, areaCode: landline[1], subscriber: landline[2] })
+            };
+        }
+        if (/^[1-9]\d{2,5}$/.test(digits)) {
+            return { success: true, phone: new PhoneNumber({ type: 'short', subscriber: digits }) };
+        }
+        if (/^[2-9]\d{6,7}$/.test(digits)) {
+            return { success: true, phone: new PhoneNumber({ type: 'local', subscriber: digits }) };
+        }
+
+        if (digits.startsWith('0')) {
+            return { success: false, error: '固定电话应为区号加7–8位号码，如 010-12345678' };
+        }
+        if (digits.startsWith('1')) {
+            return { success: false, error: '手机号码应为1开头的11位数字' };
+        }
+        return { success: false, error: '无法识别的号码，国外号码请以+和国家代码开头' };
+    }
+
+    /**
+     * 将号码转换为保存用的规范格式，无法识别的号码原样保留(去掉首尾空格)
+     * @param {string} text 号码
+     * @returns {string} 规范格式(见toCanonical)
+     */
+    static normalize(text) {
+        const result = PhoneNumber.parse(text);
+        return result.success ? result.phone.toCanonical() : String(text ?? '').trim();
+    }
+
+    /**
+     * 格式化号码用于显示，无法识别的号码原样显示
+     * @param {string} text 号码(通常为保存的规范格式)
+     * @param {string} [style] 显示方式(见toDisplay)
+     * @returns {string} 显示文本
+     */
+    static format(text, style = 'auto') {
+        const result = PhoneNumber.parse(text);
+        return result.success ? result.phone.toDisplay(style) : String(text ?? '');
+    }
+
+    /**
+     * 获取用于拨号和复制的号码，无法识别的号码只保留数字、+、*和#
+     * @param {string} text 号码
+     * @returns {string} 拨号串(见toDial)
+     */
+    static dial(text) {
+        const result = PhoneNumber.parse(text);
+        return result.success ? result.phone.toDial() : String(text ?? '').replace(/[^\d+*#]/g, '');
+    }
+
+    /**
+     * 获取号码用于搜索的数字形式：国内写法(固定电话含0和区号)和带国家代码的写法
+     * @param {string} text 号码
+     * @returns {string[]} 数字形式(不含分隔符)
+     */
+    static getSearchDigits(text) {
+        const result = PhoneNumber.parse(text);
+        if (!result.success) {
+            return [String(text ?? '').replace(/\D/g, '')];
+        }
+        const { phone } = result;
+        const forms = [phone.getNationalDigits() + phone.extension];
+        if (phone.countryCode) {
+            forms.push(phone.toE164().slice(1) + phone.extension);
+        }
+        return [...new Set(forms)];
+    }
+
+    /**
+     * 是否为本国号码(含不带国家代码的本地号码和短号)
+     * @returns {boolean}
+     */
+    isDomestic() {
+        return this.countryCode === '' || this.countryCode === DOMESTIC_COUNTRY_CODE;
+    }
+
+    /**
+     * 获取国内拨打时的数字(固定电话含区号前的0，国际号码不含国家代码)
+     * @returns {string} 数字
+     */
+    getNationalDigits() {
+        return this.type === 'landline' ? `0${this.areaCode}${this.subscriber}` : this.subscriber;
+    }
+
+    /**
+     * 转换为E.164格式(不含分机号)
+     * @returns {string} 如 +8613800138000，本地号码和短号没有E.164格式，返回空字符串
+     */
+    toE164() {
+        return this.countryCode ? `+${this.countryCode}${this.areaCode}${this.subscriber}` : '';
+    }
+
+    /**
+     * 转换为保存用的规范格式：E.164(本地号码和短号为数字)，带分机时附加";ext=分机号"
+     * @returns {string} 规范格式
+     */
+    toCanonical() {
+        const number = this.toE164() || this.subscriber;
+        return this.extension ? `${number};ext=${this.extension}` : number;
+    }
+
+    /**
+     * 格式化为显示文本
+     * @param {string} [style] 'auto'(默认，国内号码用国内写法，其他用国际写法)、
+     *   'international'(国际写法，如 +86 138 0013 8000)或'e164'(规范格式)
+     * @returns {string} 显示文本
+     */
+    toDisplay(style = 'auto') {
+        if (style === 'e164') {
+            return this.toCanonical();
+        }
+        const international = this.countryCode !== '' && (style === 'international' || !this.isDomestic());
+        if (international) {
+            const number = `+${this.countryCode} ${this.groupDigits(' ')}`;
+            return this.extension ? `${number} ext. ${this.extension}` : number;
+        }
+        const number = this.type === 'landline' ? `0${this.areaCode}-${this.subscriber}` : this.groupDigits('-');
+        return this.extension ? `${number} 转 ${this.extension}` : number;
+    }
+
+    /**
+     * 按号码类型分组号码数字
+     * @param {string} separator 分隔符
+     * @returns {string} 分组后的号码(固定电话为"区号 号码"，不含区号前的0)
+     */
+    groupDigits(separator) {
+        const digits = this.subscriber;
+        switch (this.type) {
+            case 'mobile':
+                return [digits.slice(0, 3), digits.slice(3, 7), digits.slice(7)].join(separator);
+            case 'service':
+                return [digits.slice(0, 3), digits.slice(3, 6), digits.slice(6)].join(separator);
+            case 'landline':
+                return `${this.areaCode}${separator}${digits}`;
+            default:
+                return digits;
+        }
+    }
+
+    /**
+     * 获取拨号串：国内号码用国内写法，国际号码用E.164，分机号以","(停顿后拨分机)连接
+     * @returns {string} 拨号串，如 01012345678,123
+     */
+    toDial() {
+        const number = this.isDomestic() ? this.getNationalDigits() : this.toE164();
+        return this.extension ? `${number},${this.extension}` : number;
+    }
+}
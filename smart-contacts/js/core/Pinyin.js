@@ -0,0 +1,236 @@
+import { PINYIN_DICT, PINYIN_EXTRA } from './pinyinData.js';
+
+/**
+ * 姓氏的特殊读音(多音字作为姓氏时的读法)
+ */
+export const SURNAME_READINGS = {
+    单: 'shan', 曾: 'zeng', 解: 'xie', 区: 'ou', 仇: 'qiu', 朴: 'piao', 查: 'zha',
+    盖: 'ge', 乐: 'yue', 缪: 'miao', 覃: 'qin', 召: 'shao', 翟: 'zhai', 种: 'chong',
+    秘: 'bi', 繁: 'po', 重: 'chong', 黑: 'he', 员: 'yun', 宿: 'su', 柏: 'bai',
+    贲: 'ben', 隗: 'wei', 褚: 'chu', 祭: 'zhai', 尉: 'yu', 任: 'ren', 华: 'hua'
+};
+
+/**
+ * 复姓的特殊读音(逐字取常用读音或单姓读音会读错的复姓)
+ */
+export const COMPOUND_SURNAME_READINGS = {
+    长孙: ['zhang', 'sun'], 万俟: ['mo', 'qi'], 单于: ['chan', 'yu'], 澹台: ['tan', 'tai'], 子车: ['zi', 'ju']
+};
+
+/**
+ * 拼音工具类
+ * 提供汉字转拼音、首字母，以及拼音搜索匹配：
+ * 全拼(zhangsan)、首字母(zs)、混合输入(zhang s、zhangs)，可选模糊音(z/zh、c/ch、s/sh、n/l、in/ing)
+ */
+export class Pinyin {
+    constructor() {
+        // 汉字 → 读音数组(常用读音在前)，首次使用时由字典生成
+        this.readings = null;
+    }
+
+    /**
+     * 由字典生成汉字到读音的索引
+     * @returns {Map<string, string[]>} 汉字 → 读音数组
+     */
+    getReadingMap() {
+        if (!this.readings) {
+            this.readings = new Map();
+            [PINYIN_DICT, PINYIN_EXTRA].forEach(dict => {
+                Object.entries(dict).forEach(([syllable, chars]) => {
+                    for (const char of chars) {
+                        const list = this.readings.get(char);
+                        if (list) {
+                            list.push(syllable);
+                        } else {
+                            this.readings.set(char, [syllable]);
+                        }
+                    }
+                });
+            });
+        }
+        return this.readings;
+    }
+
+    /**
+     * 获取单个字符的全部读音
+     * @param {string} char 字符
+     * @param {boolean} [isSurname] 是否作为姓氏(姓氏读音排在最前)
+     * @returns {string[]|null} 读音数组，字母和数字返回其小写形式，其他字符返回null
+     */
+    getCharReadings(char, isSurname = false) {
+        const readings = this.getReadingMap().get(char);
+        if (readings) {
+            const surname = isSurname ? SURNAME_READINGS[char] : null;
+            return surname ? [surname, ...readings.filter(reading => reading !== surname)] : readings;
+        }
+        if (/^[a-z0-9]$/i.test(char)) {
+            return [char.toLowerCase()];
+        }
+        return null;
+    }
+
+    /**
+     * 将文本拆分为可参与拼音匹配的字符(忽略空格和标点)
+     * @param {string} text 文本
+     * @param {boolean} [surname] 第一个汉字是否按姓氏读音处理(用于姓名，复姓按COMPOUND_SURNAME_READINGS处理前两个字)
+     * @returns {Array<{char: string, readings: string[], index: number}>} 字符、读音及其在文本中的位置
+     */
+    toSyllables(text, surname = false) {
+        const chars = [...String(text ?? '')];
+        const compound = surname ? COMPOUND_SURNAME_READINGS[chars.slice(0, 2).join('')] : null;
+        const result = [];
+        chars.forEach((char, index) => {
+            let readings = this.getCharReadings(char, surname && result.length === 0);
+            if (readings && compound && index < 2) {
+                readings = [compound[index], ...readings.filter(reading => reading !== compound[index])];
+            }
+            if (readings) {
+                result.push({ char, readings, index });
+            }
+        });
+        return result;
+    }
+
+    /**
+     * 获取文本的全拼(每个汉字取常用读音)
+     * @param {string} text 文本
+     * @param {boolean} [surname] 第一个汉字是否按姓氏读音处理
+     * @returns {string} 全拼(小写)
+     */
+    getFullPinyin(text, surname = false) {
+        return this.toSyllables(text, surname).map(item => item.readings[0]).join('');
+    }
+
+    /**
+     * 获取文本的拼音首字母
+     * @param {string} text 文本
+     * @param {boolean} [surname] 第一个汉字是否按姓氏读音处理
+     * @returns {string} 首字母组合(小写)
+     */
+    getInitials(text, surname = false) {
+        return this.toSyllables(text, surname).map(item => item.readings[0][0]).join('');
+    }
+
+    /**
+     * 获取按拼音排序用的键(各字常用读音以空格分隔，使"西安"排在"先"之前)
+     * 连续的字母和数字作为一个整体，使"Zhang San"的键为"zhang san"而不是逐个字母
+     * @param {string} text 文本
+     * @param {boolean} [surname] 第一个汉字是否按姓氏读音处理
+     * @returns {string} 排序键(小写)
+     */
+    getSortKey(text, surname = false) {
+        const tokens = [];
+        let previous = null;
+        this.toSyllables(text, surname).forEach(item => {
+            const alphanumeric = /^[a-z0-9]$/i.test(item.char);
+            if (alphanumeric && previous && previous.alphanumeric && previous.index === item.index - 1) {
+                tokens[tokens.length - 1] += item.readings[0];
+            } else {
+                tokens.push(item.readings[0]);
+            }
+            previous = { alphanumeric, index: item.index };
+        });
+        return tokens.join(' ');
+    }
+
+    /**
+     * 生成读音的模糊音变体：z/zh、c/ch、s/sh、n/l 声母互换，in/ing 韵母互换
+     * @param {string} reading 读音
+     * @returns {string[]} 包含原读音在内的全部变体
+     */
+    getFuzzyVariants(reading) {
+        const initials = [reading];
+        const retroflex = reading.match(/^([zcs])(h?)(.*)$/);
+        if (retroflex) {
+            initials.push(retroflex[1] + (retroflex[2] ? '' : 'h') + retroflex[3]);
+        } else if (/^[nl]/.test(reading)) {
+            initials.push((reading[0] === 'n' ? 'l' : 'n') + reading.slice(1));
+        }
+
+        const variants = [];
+        initials.forEach(item => {
+            variants.push(item);
+            if (item.endsWith('ing')) {
+                variants.push(item.slice(0, -1));
+            } else if (item.endsWith('in')) {
+                variants.push(item + 'g');
+            }
+        });
+        return variants;
+    }
+
+    /**
+     * 生成文本参与拼音匹配的候选串：每个字对应其全部读音(可含模糊音)及汉字本身
+     * @param {string} text 文本
+     * @param {Object} [options] 选项
+     * @param {boolean} [options.fuzzy] 是否加入模糊音变体
+     * @param {boolean} [options.surname] 第一个汉字是否按姓氏读音处理
+     * @returns {string[][]} 每个字的候选串
+     */
+    getMatchTokens(text, { fuzzy = false, surname = false } = {}) {
+        return this.toSyllables(text, surname).map(item => {
+            const readings = fuzzy ? item.readings.flatMap(reading => this.getFuzzyVariants(reading)) : item.readings;
+            // 汉字本身也可以参与匹配(如"张s")
+            return [...new Set([item.char.toLowerCase(), ...readings])];
+        });
+    }
+
+    /**
+     * 判断关键词是否与预先生成的候选串连续匹配
+     * 每个字可匹配其任一候选串的前缀(至少一个字符)，因此全拼、首字母和混合输入都能匹配
+     * @param {string[][]} syllables getMatchTokens()的结果
+     * @param {string} query 已规范化的关键词(小写，不含空格和隔音符)
+     * @returns {boolean} 是否匹配
+     */
+    matchTokens(syllables, query) {
+        if (!query) {
+            return false;
+        }
+
+        // 记录已确认无法匹配的(关键词位置, 字序号)，避免重复回溯
+        const failed = new Set();
+        const matchFrom = (pos, index) => {
+            if (pos === query.length) {
+                return true;
+            }
+            if (index === syllables.length) {
+                return false;
+            }
+            const key = pos * (syllables.length + 1) + index;
+            if (failed.has(key)) {
+                return false;
+            }
+            for (const reading of syllables[index]) {
+                // 优先尝试更长的前缀
+                for (let length = Math.min(reading.length, query.length - pos); length > 0; length--) {
+                    if (query.startsWith(reading.slice(0, length), pos) && matchFrom(pos + length, index + 1)) {
+                        return true;
+                    }
+                }
+            }
+            failed.add(key);
+            return false;
+        };
+
+        for (let start = 0; start < syllables.length; start++) {
+            if (matchFrom(0, start)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * 判断关键词是否与文本的拼音(或汉字本身)连续匹配
+     * @param {string} text 文本
+     * @param {string} keyword 关键词(忽略大小写、空格和隔音符')
+     * @param {Object} [options] 选项
+     * @param {boolean} [options.fuzzy] 是否启用模糊音
+     * @param {boolean} [options.surname] 第一个汉字是否按姓氏读音处理
+     * @returns {boolean} 是否匹配
+     */
+    match(text, keyword, options = {}) {
+        const query = String(keyword ?? '').toLowerCase().replace(/[\s']/g, '');
+        return this.matchTokens(this.getMatchTokens(text, options), query);
+    }
+}
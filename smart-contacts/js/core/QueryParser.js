@@ -0,0 +1,267 @@
+/**
+ * 高级搜索可用的字段
+ * 键为联系人属性名，aliases为查询中可使用的字段名(不区分大小写)
+ * type决定匹配方式：text为包含匹配(支持拼音)，phone按数字匹配，exact为完全匹配，date为日期范围
+ */
+export const QUERY_FIELDS = {
+    name: { label: '姓名', aliases: ['name', '姓名'], type: 'text' },
+    phones: { label: '电话', aliases: ['phone', 'tel', '电话', '手机'], type: 'phone' },
+    emails: { label: '邮箱', aliases: ['email', 'mail', '邮箱'], type: 'text' },
+    company: { label: '单位', aliases: ['org', 'company', '单位', '公司'], type: 'text' },
+    title: { label: '职位', aliases: ['title', '职位'], type: 'text' },
+    postalAddress: { label: '地址', aliases: ['addr', 'address', '地址'], type: 'text' },
+    category: { label: '类别', aliases: ['cat', 'category', '类别', '分类'], type: 'exact' },
+    tags: { label: '标签', aliases: ['tag', '标签'], type: 'exact' },
+    createdAt: { label: '创建时间', aliases: ['created', '创建'], type: 'date' },
+    updatedAt: { label: '修改时间', aliases: ['updated', 'modified', '修改'], type: 'date' }
+};
+
+/**
+ * 搜索条件解析器
+ * 语法：空格分隔的条件同时满足；OR连接的条件满足其一(优先于空格结合)；
+ * 条件前加"-"表示排除；"字段:值"只在指定字段中搜索，值可用引号包含空格，用*作通配符；
+ * 日期字段支持 >、>=、<、<=、= 和 起..止 范围，如 created:>2025-01-01
+ * 不含任何语法的输入作为普通关键词整体搜索(与原有搜索行为一致)
+ *
+ * 解析结果的节点：
+ *   { type: 'keyword', value, negate }  普通关键词
+ *   { type: 'field', field, value, negate, ... }  字段条件(附带预先计算的匹配参数)
+ *   { type: 'or', terms }  满足其一
+ *   { type: 'and', terms }  全部满足
+ */
+export class QueryParser {
+    /**
+     * 解析搜索条件
+     * @param {string} text 搜索框中的输入
+     * @returns {Object} 成功时为 { success: true, query }，
+     *   失败时为 { success: false, error, start, end }(start/end为出错部分在输入中的位置)
+     */
+    parse(text) {
+        const input = String(text ?? '');
+        const tokens = [];
+        let pos = 0;
+
+        while (pos < input.length) {
+            if (/\s/.test(input[pos])) {
+                pos++;
+                continue;
+            }
+            const result = this.readToken(input, pos);
+            if (result.error) {
+                return { success: false, error: result.error, start: result.start, end: result.end };
+            }
+            tokens.push(result.token);
+            pos = result.token.end;
+        }
+
+        // 没有使用任何语法时按普通关键词整体搜索，保留"zhang s"这类含空格的输入
+        const plain = tokens.every(token => token.type === 'keyword' && !token.negate && !token.quoted);
+        if (plain) {
+            return { success: true, query: { type: 'keyword', value: input.trim(), negate: false } };
+        }
+        return this.combine(tokens);
+    }
+
+    /**
+     * 读取一个条件或OR运算符
+     * @param {string} input 输入
+     * @param {number} start 起始位置(非空白字符)
+     * @returns {Object} { token } 或 { error, start, end }
+     */
+    readToken(input, start) {
+        let pos = start;
+        let negate = false;
+        if (input[pos] === '-' && pos + 1 < input.length && !/\s/.test(input[pos + 1])) {
+            negate = true;
+            pos++;
+        }
+
+        // 字段名(支持全角冒号)
+        let field = null;
+        let fieldName = '';
+        const fieldMatch = /^([A-Za-z\u4e00-\u9fa5]+)[:：]/.exec(input.slice(pos));
+        if (fieldMatch) {
+            fieldName = fieldMatch[1];
+            field = this.findField(fieldName);
+            if (!field) {
+                const names = Object.values(QUERY_FIELDS).map(item => item.aliases[0]).join('、');
+                return { error: `未知字段 "${fieldName}"，可用字段：${names}`, start: pos, end: pos + fieldName.length };
+            }
+            pos += fieldMatch[0].length;
+        }
+
+        // 值：引号包含的短语，或到下一个空白为止
+        let value;
+        let quoted = false;
+        if (input[pos] === '"' || input[pos] === '“') {
+            const close = input.slice(pos + 1).search(/["”]/);
+            if (close === -1) {
+                return { error: '引号未闭合', start: pos, end: input.length };
+            }
+            quoted = true;
+            value = input.slice(pos + 1, pos + 1 + close);
+            pos += close + 2;
+        } else {
+            const valueStart = pos;
+            while (pos < input.length && !/\s/.test(input[pos])) {
+                pos++;
+            }
+            value = input.slice(valueStart, pos);
+        }
+
+        if (value.trim() === '') {
+            const error = field ? `字段 "${fieldName}" 缺少搜索内容` : (quoted ? '引号中缺少搜索内容' : '"-" 后缺少搜索内容');
+            return { error, start, end: pos };
+        }
+        if (!field && !negate && !quoted && value === 'OR') {
+            return { token: { type: 'or', start, end: pos } };
+        }
+        if (!field) {
+            return { token: { type: 'keyword', value, negate, quoted, start, end: pos } };
+        }
+
+        const term = this.createFieldTerm(field, value);
+        if (term.error) {
+            return { error: term.error, start, end: pos };
+        }
+        return { token: { ...term, type: 'field', field, value, negate, quoted, start, end: pos } };
+    }
+
+    /**
+     * 根据字段名查找字段
+     * @param {string} name 字段名
+     * @returns {string|null} 联系人属性名
+     */
+    findField(name) {
+        const lower = name.toLowerCase();
+        const entry = Object.entries(QUERY_FIELDS).find(([, field]) => field.aliases.includes(lower));
+        return entry ? entry[0] : null;
+    }
+
+    /**
+     * 预先计算字段条件的匹配参数
+     * @param {string} field 联系人属性名
+     * @param {string} value 条件值
+     * @returns {Object} 匹配参数，值无效时为 { error }
+     */
+    createFieldTerm(field, value) {
+        const type = QUERY_FIELDS[field].type;
+        if (type === 'date') {
+            return this.parseDateRange(value);
+        }
+        if (type === 'phone') {
+            const digits = value.replace(/[^\d*]/g, '');
+            if (!/\d/.test(digits)) {
+                return { error: '电话条件需要包含数字，如 phone:138*' };
+            }
+            return { digits, pattern: this.createPattern(digits) };
+        }
+        return { lower: value.toLowerCase(), pattern: this.createPattern(value) };
+    }
+
+    /**
+     * 将含通配符*的值转换为完整匹配的正则表达式
+     * @param {string} value 条件值
+     * @returns {RegExp|null} 不含通配符时返回null
+     */
+    createPattern(value) {
+        if (!value.includes('*')) {
+            return null;
+        }
+        const source = value.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+        return new RegExp(`^${source}$`, 'i');
+    }
+
+    /**
+     * 解析日期条件，得到 [from, to) 时间范围(毫秒，null表示不限)
+     * @param {string} value 条件值，如 >2025-01-01、2025-01-01..2025-03-31
+     * @returns {Object} { from, to }，格式错误时为 { error }
+     */
+    parseDateRange(value) {
+        const range = value.split('..');
+        if (range.length === 2) {
+            const from = this.parseDate(range[0]);
+            const to = this.parseDate(range[1]);
+            if (from === null || to === null) {
+                return { error: '日期格式应为 YYYY-MM-DD，范围如 2025-01-01..2025-03-31' };
+            }
+            if (from > to) {
+                return { error: '日期范围的起始日期不能晚于结束日期' };
+            }
+            return { from, to: this.nextDay(to) };
+        }
+
+        const [, operator, dateText] = /^(>=|<=|>|<|=)?(.*)$/.exec(value);
+        const date = this.parseDate(dateText);
+        if (date === null) {
+            return { error: '日期格式应为 YYYY-MM-DD，可加 >、>=、<、<= 前缀，如 created:>2025-01-01' };
+        }
+        switch (operator) {
+            case '>':
+                return { from: this.nextDay(date), to: null };
+            case '>=':
+                return { from: date, to: null };
+            case '<':
+                return { from: null, to: date };
+            case '<=':
+                return { from: null, to: this.nextDay(date) };
+            default:
+                return { from: date, to: this.nextDay(date) };
+        }
+    }
+
+    /**
+     * 解析日期(本地时间当天零点)
+     * @param {string} text 日期文本，如 2025-01-01 或 2025/1/1
+     * @returns {number|null} 时间戳，无效时返回null
+     */
+    parseDate(text) {
+        const match = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/.exec(text.trim());
+        if (!match) {
+            return null;
+        }
+        const [year, month, day] = match.slice(1).map(Number);
+        const date = new Date(year, month - 1, day);
+        // 排除 2025-02-30 这类会被自动进位的日期
+        if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+            return null;
+        }
+        return date.getTime();
+    }
+
+    /**
+     * 获取次日零点
+     * @param {number} time 某日零点的时间戳
+     * @returns {number} 次日零点的时间戳
+     */
+    nextDay(time) {
+        const date = new Date(time);
+        date.setDate(date.getDate() + 1);
+        return date.getTime();
+    }
+
+    /**
+     * 将条件和OR运算符组合为查询树(OR优先结合)
+     * @param {Object[]} tokens 条件和运算符
+     * @returns {Object} { success: true, query } 或 { success: false, error, start, end }
+     */
+    combine(tokens) {
+        const groups = [];
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+            if (token.type !== 'or') {
+                groups.push([token]);
+                continue;
+            }
+            const next = tokens[i + 1];
+            if (groups.length === 0 || !next || next.type === 'or') {
+                return { success: false, error: 'OR 两侧都需要搜索条件', start: token.start, end: token.end };
+            }
+            groups[groups.length - 1].push(next);
+            i++;
+        }
+
+        const terms = groups.map(group => group.length === 1 ? group[0] : { type: 'or', terms: group });
+        return { success: true, query: terms.length === 1 ? terms[0] : { type: 'and', terms } };
+    }
+}
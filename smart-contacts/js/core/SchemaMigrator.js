@@ -0,0 +1,63 @@
+import { MIGRATIONS } from './migrations.js';
+
+/**
+ * 数据结构迁移器
+ * 按注册顺序逐级执行迁移函数，将旧版本数据升级到当前版本
+ */
+export class SchemaMigrator {
+    /**
+     * 创建迁移器实例
+     * @param {Array<Object>} [migrations] 迁移注册表，默认使用migrations.js中的MIGRATIONS
+     */
+    constructor(migrations = MIGRATIONS) {
+        this.migrations = migrations;
+        this.latestVersion = migrations.length;
+    }
+
+    /**
+     * 判断数据是否需要升级
+     * @param {number} version 数据版本
+     * @returns {boolean} 是否需要升级
+     */
+    needsMigration(version) {
+        return version < this.latestVersion;
+    }
+
+    /**
+     * 将数据升级到最新版本(不修改传入的对象)
+     * @param {Object} payload { schemaVersion, contacts }
+     * @returns {Object} 结果 { payload, applied }，applied为执行过的迁移说明
+     * @throws {Error} 数据版本高于程序版本、缺少迁移或迁移函数出错时抛出
+     */
+    migrate(payload) {
+        if (payload.schemaVersion > this.latestVersion) {
+            throw new Error(`数据版本(${payload.schemaVersion})高于当前程序支持的版本(${this.latestVersion})`);
+        }
+
+        // 深拷贝，保证迁移失败时原始数据不受影响
+        let current = JSON.parse(JSON.stringify(payload));
+        const applied = [];
+
+        while (current.schemaVersion < this.latestVersion) {
+            const step = this.migrations[current.schemaVersion];
+            if (!step || step.version !== current.schemaVersion) {
+                throw new Error(`缺少从版本${current.schemaVersion}升级的迁移`);
+            }
+
+            let next;
+            try {
+                next = step.migrate(current);
+            } catch (error) {
+                throw new Error(`版本${step.version}→${step.version + 1}迁移失败: ${error.message}`);
+            }
+            if (!next || !Array.isArray(next.contacts)) {
+                throw new Error(`版本${step.version}→${step.version + 1}迁移返回了无效数据`);
+            }
+
+            current = { ...next, schemaVersion: step.version + 1 };
+            applied.push(step.description);
+        }
+
+        return { payload: current, applied };
+    }
+}
@@ -0,0 +1,311 @@
+import { PhoneNumber } from './PhoneNumber.js';
+
+/**
+ * 搜索结果的匹配等级(数值越小越靠前)
+ */
+export const SEARCH_RANKS = {
+    exact: 0,      // 姓名完全匹配(含全拼)
+    prefix: 1,     // 姓名前缀匹配(含全拼)
+    initials: 2,   // 姓名首字母、混合拼音或包含匹配
+    field: 3,      // 单位、职位、类别、标签、邮箱、电话匹配
+    address: 4     // 仅地址匹配
+};
+
+/**
+ * 联系人搜索索引
+ * 在内存中为每个联系人预先计算规范化文本、拼音和电话数字，并建立单字/双字倒排表；
+ * 搜索时先由关键词的双字取倒排表交集得到候选，再逐个校验并评定匹配等级，
+ * 因此查询开销取决于候选数量，而不是通讯录的总人数
+ */
+export class SearchIndex {
+    /**
+     * 创建搜索索引实例
+     * @param {Pinyin} pinyin 拼音工具实例
+     */
+    constructor(pinyin) {
+        this.pinyin = pinyin;
+        // 是否索引模糊音(关闭时不生成模糊音变体，减少内存占用)
+        this.fuzzy = false;
+        // 联系人ID → 预先计算的各字段搜索形式(见createEntry)
+        this.entries = new Map();
+        // 倒排表中用整数编号代替联系人ID以节省内存：编号 → 索引条目
+        this.docs = new Map();
+        this.nextDoc = 0;
+        // 单字或双字 → 包含它的联系人编号(升序数组)
+        this.postings = new Map();
+    }
+
+    /**
+     * 规范化文本：转为小写，去掉空白和隔音符(与拼音匹配对关键词的处理一致)
+     * @param {string} text 文本
+     * @returns {string} 规范化后的文本
+     */
+    normalize(text) {
+        return String(text ?? '').toLowerCase().replace(/[\s']/g, '');
+    }
+
+    /**
+     * 提取电话关键词中的数字，关键词不像电话号码时返回空字符串
+     * @param {string} keyword 关键词
+     * @returns {string} 数字
+     */
+    getPhoneDigits(keyword) {
+        return /^[\d\s\-+()]+$/.test(keyword) ? keyword.replace(/\D/g, '') : '';
+    }
+
+    /**
+     * 重建全部索引
+     * @param {Contact[]} contacts 联系人数组
+     * @param {boolean} [fuzzy] 是否索引模糊音，默认沿用当前设置
+     */
+    rebuild(contacts, fuzzy = this.fuzzy) {
+        this.fuzzy = fuzzy;
+        this.entries.clear();
+        this.docs.clear();
+        this.postings.clear();
+        this.nextDoc = 0;
+        contacts.forEach(contact => this.put(contact));
+    }
+
+    /**
+     * 添加或更新一个联系人的索引
+     * @param {Contact} contact 联系人
+     */
+    put(contact) {
+        const existing = this.entries.get(contact.id);
+        // 更新时沿用原编号，新增时编号递增，倒排表只需追加即可保持升序
+        const doc = existing ? existing.doc : this.nextDoc++;
+        this.remove(contact.id);
+
+        const entry = { ...this.createEntry(contact), doc };
+        this.getGrams(entry).forEach(gram => {
+            const docs = this.postings.get(gram);
+            if (!docs) {
+                this.postings.set(gram, [doc]);
+            } else if (docs[docs.length - 1] < doc) {
+                docs.push(doc);
+            } else {
+                docs.splice(this.findDoc(docs, doc), 0, doc);
+            }
+        });
+        this.entries.set(contact.id, entry);
+        this.docs.set(doc, entry);
+    }
+
+    /**
+     * 移除一个联系人的索引
+     * @param {string} id 联系人ID
+     */
+    remove(id) {
+        const entry = this.entries.get(id);
+        if (!entry) {
+            return;
+        }
+        this.getGrams(entry).forEach(gram => {
+            const docs = this.postings.get(gram);
+            docs.splice(this.findDoc(docs, entry.doc), 1);
+            if (docs.length === 0) {
+                this.postings.delete(gram);
+            }
+        });
+        this.entries.delete(id);
+        this.docs.delete(entry.doc);
+    }
+
+    /**
+     * 在升序编号数组中二分查找编号的位置
+     * @param {number[]} docs 升序编号数组
+     * @param {number} doc 编号
+     * @returns {number} 编号所在(或应插入)的位置
+     */
+    findDoc(docs, doc) {
+        let low = 0;
+        let high = docs.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (docs[middle] < doc) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * 预先计算联系人各字段的搜索形式
+     * @param {Contact} contact 联系人
+     * @returns {Object} 索引条目
+     */
+    createEntry(contact) {
+        const prepare = (text, surname = false) => ({
+            text: text.toLowerCase(),
+            tokens: this.pinyin.getMatchTokens(text, { fuzzy: this.fuzzy, surname })
+        });
+        return {
+            contact,
+            name: prepare(contact.name, true),
+            nameFull: this.pinyin.getFullPinyin(contact.name, true),
+            nameInitials: this.pinyin.getInitials(contact.name, true),
+            fields: [contact.company, contact.title, contact.category, ...contact.tags].map(text => prepare(text)),
+            address: prepare(contact.postalAddress),
+            emails: contact.emails.map(email => email.value.toLowerCase()),
+            // 电话按显示格式和各种写法的数字(如 010…、8610…)匹配
+            phones: contact.phones.map(phone => ({
+                value: PhoneNumber.format(phone.value),
+                digits: PhoneNumber.getSearchDigits(phone.value)
+            }))
+        };
+    }
+
+    /**
+     * 计算索引条目包含的全部单字和双字
+     * @param {Object} entry 索引条目
+     * @returns {Set<string>} 单字和双字
+     */
+    getGrams(entry) {
+        const grams = new Set();
+        [entry.name, ...entry.fields, entry.address].forEach(field => {
+            this.addGrams(grams, this.normalize(field.text));
+            this.addTokenGrams(grams, field.tokens);
+        });
+        entry.emails.forEach(email => this.addGrams(grams, this.normalize(email)));
+        entry.phones.forEach(phone => {
+            this.addGrams(grams, this.normalize(phone.value));
+            phone.digits.forEach(digits => this.addGrams(grams, digits));
+        });
+        return grams;
+    }
+
+    /**
+     * 将字符串的单字和相邻双字加入集合
+     * @param {Set<string>} grams 目标集合
+     * @param {string} text 字符串
+     */
+    addGrams(grams, text) {
+        const chars = Array.from(text);
+        chars.forEach((char, index) => {
+            grams.add(char);
+            if (index > 0) {
+                grams.add(chars[index - 1] + char);
+            }
+        });
+    }
+
+    /**
+     * 加入拼音候选串的单字和双字：每个候选串内部的双字，
+     * 以及前一个字候选串中任一字母与后一个字候选串首字母组成的双字，
+     * 保证全拼、首字母和混合输入的关键词双字都能在倒排表中找到
+     * @param {Set<string>} grams 目标集合
+     * @param {string[][]} syllables 每个字的拼音候选串
+     */
+    addTokenGrams(grams, syllables) {
+        syllables.forEach((tokens, index) => {
+            const next = syllables[index + 1] || [];
+            const nextInitials = new Set(next.map(token => Array.from(token)[0]));
+            tokens.forEach(token => {
+                this.addGrams(grams, token);
+                for (const char of token) {
+                    nextInitials.forEach(initial => grams.add(char + initial));
+                }
+            });
+        });
+    }
+
+    /**
+     * 取关键词中全部单字或双字对应倒排表的交集
+     * @param {string} query 规范化后的关键词
+     * @returns {number[]} 候选联系人编号
+     */
+    getCandidates(query) {
+        const grams = new Set();
+        const chars = Array.from(query);
+        if (chars.length === 1) {
+            grams.add(chars[0]);
+        } else {
+            chars.forEach((char, index) => {
+                if (index > 0) {
+                    grams.add(chars[index - 1] + char);
+                }
+            });
+        }
+
+        const lists = [];
+        for (const gram of grams) {
+            const docs = this.postings.get(gram);
+            if (!docs) {
+                return [];
+            }
+            lists.push(docs);
+        }
+        // 从最短的倒排表开始求交集
+        lists.sort((a, b) => a.length - b.length);
+        const [shortest, ...rest] = lists;
+        return shortest.filter(doc => rest.every(docs => docs[this.findDoc(docs, doc)] === doc));
+    }
+
+    /**
+     * 评定联系人与关键词的匹配等级
+     * @param {Object} entry 索引条目
+     * @param {Object} query 关键词的各种形式
+     * @returns {number|null} 匹配等级，不匹配时返回null
+     */
+    rank(entry, query) {
+        const { name, nameFull, nameInitials } = entry;
+        const { keyword, lower, normalized, digits } = query;
+        const matchField = field => field.text.includes(lower) || this.pinyin.matchTokens(field.tokens, normalized);
+
+        if (name.text === lower || nameFull === normalized) {
+            return SEARCH_RANKS.exact;
+        }
+        if (name.text.startsWith(lower) || nameFull.startsWith(normalized)) {
+            return SEARCH_RANKS.prefix;
+        }
+        if (nameInitials.startsWith(normalized) || matchField(name)) {
+            return SEARCH_RANKS.initials;
+        }
+        if (entry.fields.some(matchField) ||
+            entry.emails.some(email => email.includes(lower)) ||
+            // 电话既可原样匹配(含分隔符)，也可只按数字匹配
+            entry.phones.some(phone => phone.value.includes(keyword) ||
+                (digits !== '' && phone.digits.some(forms => forms.includes(digits))))) {
+            return SEARCH_RANKS.field;
+        }
+        if (matchField(entry.address)) {
+            return SEARCH_RANKS.address;
+        }
+        return null;
+    }
+
+    /**
+     * 搜索联系人
+     * @param {string} keyword 关键词
+     * @returns {Array<{contact: Contact, rank: number}>} 匹配结果，按匹配等级排序
+     */
+    search(keyword) {
+        const query = {
+            keyword,
+            lower: keyword.toLowerCase(),
+            normalized: this.normalize(keyword),
+            digits: this.getPhoneDigits(keyword)
+        };
+        if (query.normalized === '') {
+            return [];
+        }
+
+        const candidates = new Set(this.getCandidates(query.normalized));
+        if (query.digits !== '' && query.digits !== query.normalized) {
+            this.getCandidates(query.digits).forEach(doc => candidates.add(doc));
+        }
+
+        const results = [];
+        candidates.forEach(doc => {
+            const entry = this.docs.get(doc);
+            const rank = this.rank(entry, query);
+            if (rank !== null) {
+                results.push({ contact: entry.contact, rank });
+            }
+        });
+        return results.sort((a, b) => a.rank - b.rank);
+    }
+}
@@ -0,0 +1,407 @@
+import { PhoneNumber } from './PhoneNumber.js';
+
+/**
+ * vCard工具类
+ * 负责联系人与vCard 3.0/4.0文本之间的转换
+ * 字段对应：姓名 → FN/N，电话 → TEL，邮箱 → EMAIL，单位 → ORG，职位 → TITLE，
+ * 地址 → ADR(街道部分)，类别和标签 → CATEGORIES(第一项为类别，其余为标签)
+ */
+export class VCard {
+    constructor() {
+        // 电话标签与TEL类型的对应关系(分机没有标准类型，使用扩展类型)
+        // 解析时按此顺序匹配，WORK放在最后，使 WORK,FAX 识别为传真
+        this.phoneTypes = { 传真: 'FAX', 手机: 'CELL', 分机: 'X-EXT', 办公: 'WORK' };
+        // 邮箱标签与EMAIL类型的对应关系
+        this.emailTypes = { 个人: 'HOME', 工作: 'WORK', 其他: 'INTERNET' };
+    }
+
+    /**
+     * 将单个联系人序列化为vCard文本
+     * @param {Contact} contact 联系人实例
+     * @param {string} [version] vCard版本('3.0'或'4.0')
+     * @returns {string} vCard文本(CRLF换行)
+     */
+    serialize(contact, version = '3.0') {
+        const [family, given] = this.splitName(contact.name);
+        const lines = [
+            'BEGIN:VCARD',
+            `VERSION:${version}`,
+            `FN:${this.escapeValue(contact.name)}`,
+            `N:${this.escapeValue(family)};${this.escapeValue(given)};;;`
+        ];
+
+        // 4.0使用tel: URI(规范格式即RFC 3966写法)，3.0使用带国家代码的显示格式
+        contact.phones.forEach(phone => {
+            const type = this.phoneTypes[phone.label] || 'VOICE';
+            lines.push(version === '4.0'
+                ? `TEL;VALUE=uri;TYPE=${type.toLowerCase()}:tel:${PhoneNumber.normalize(phone.value)}`
+                : `TEL;TYPE=${type}:${PhoneNumber.format(phone.value, 'international')}`);
+        });
+        contact.emails.forEach(email => {
+            const type = this.emailTypes[email.label] || 'INTERNET';
+            lines.push(`EMAIL;TYPE=${version === '4.0' ? type.toLowerCase() : type}:${this.escapeValue(email.value)}`);
+        });
+        if (contact.company) {
+            lines.push(`ORG:${this.escapeValue(contact.company)}`);
+        }
+        if (contact.title) {
+            lines.push(`TITLE:${this.escapeValue(contact.title)}`);
+        }
+        if (contact.postalAddress) {
+            lines.push(`ADR:;;${this.escapeValue(contact.postalAddress)};;;;`);
+        }
+        const categories = [contact.category, ...contact.tags].filter(Boolean);
+        if (categories.length > 0) {
+            lines.push(`CATEGORIES:${categories.map(item => this.escapeValue(item)).join(',')}`);
+        }
+        lines.push('END:VCARD');
+
+        return lines.map(line => this.foldLine(line)).join('\r\n');
+    }
+
+    /**
+     * 将多个联系人序列化为一个.vcf文件内容
+     * @param {Contact[]} contacts 联系人数组
+     * @param {string} [version] vCard版本
+     * @returns {string} vCard文本
+     */
+    serializeAll(contacts, version = '3.0') {
+        return contacts.map(contact => this.serialize(contact, version)).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * 解析.vcf文件内容(可包含多个联系人)
+     * @param {string} text vCard文本
+     * @returns {Object[]} 联系人数据数组(name/phones/emails/company/title/postalAddress/category/tags)
+     */
+    parse(text) {
+        const contacts = [];
+        let current = null;
+
+        this.unfoldLines(text).forEach(line => {
+            const property = this.parseLine(line);
+            if (!property) {
+                return;
+            }
+
+            if (property.name === 'BEGIN' && property.value.toUpperCase() === 'VCARD') {
+                current = { fn: '', n: '', phones: [], emails: [], org: '', title: '', adr: '', categories: [] };
+                return;
+            }
+            if (!current) {
+                return;
+            }
+
+            switch (property.name) {
+                case 'END':
+                    contacts.push(this.toContactData(current));
+                    current = null;
+                    break;
+                case 'FN':
+                    current.fn = this.unescapeValue(property.value);
+                    break;
+                case 'N':
+                    current.n = property.value;
+                    break;
+                case 'TEL':
+                    current.phones.push({
+                        label: this.getLabel(this.phoneTypes, property.params.TYPE, '手机'),
+                        value: property.value.replace(/^tel:/i, '').trim(),
+                        preferred: /pref/i.test(property.params.TYPE || '') || property.params.PREF !== undefined
+                    });
+                    break;
+                case 'EMAIL':
+                    current.emails.push({
+                        label: this.getLabel(this.emailTypes, property.params.TYPE, '其他'),
+                        value: this.unescapeValue(property.value).trim()
+                    });
+                    break;
+                case 'TITLE':
+                    current.title = this.unescapeValue(property.value);
+                    break;
+                case 'ADR':
+                    // ADR由7个部分组成，合并非空部分作为地址
+                    current.adr = this.splitComponents(property.value, ';')
+                        .map(part => this.unescapeValue(part).trim())
+                        .filter(Boolean)
+                        .join(' ');
+                    break;
+                case 'ORG':
+                    // ORG的多个组成部分以分号分隔，取第一部分作为单位
+                    current.org = this.unescapeValue(this.splitComponents(property.value, ';')[0] || '');
+                    break;
+                case 'CATEGORIES':
+                    current.categories = this.splitComponents(property.value, ',')
+                        .map(c => this.unescapeValue(c).trim())
+                        .filter(Boolean);
+                    break;
+                default:
+                    break;
+            }
+        });
+
+        return contacts;
+    }
+
+    /**
+     * 将解析出的属性转换为联系人数据
+     * @param {Object} card 解析中间结果
+     * @returns {Object} 联系人数据
+     */
+    toContactData(card) {
+        let name = card.fn.trim();
+        if (!name && card.n) {
+            // 没有FN时由N的姓和名拼接
+            const [family = '', given = ''] = this.splitComponents(card.n, ';').map(part => this.unescapeValue(part));
+            name = this.joinName(family, given);
+        }
+
+        // 首选号码排在最前
+        const phones = [
+            ...card.phones.filter(p => p.preferred),
+            ...card.phones.filter(p => !p.preferred)
+        ].map(({ label, value }) => ({ label, value }));
+
+        return {
+            name,
+            phones,
+            emails: card.emails.filter(email => email.value),
+            company: card.org.trim(),
+            title: card.title.trim(),
+            postalAddress: card.adr,
+            category: card.categories[0] || '',
+            tags: card.categories.slice(1)
+        };
+    }
+
+    /**
+     * 由TYPE参数确定标签
+     * @param {Object} types 标签与类型的对应关系
+     * @param {string} [typeParam] TYPE参数(可能包含多个以逗号分隔的类型)
+     * @param {string} fallback 无法识别时使用的标签
+     * @returns {string} 标签
+     */
+    getLabel(types, typeParam, fallback) {
+        const values = (typeParam || '').toUpperCase().split(',').map(type => type.trim());
+        const entry = Object.entries(types).find(([, type]) => values.includes(type));
+        return entry ? entry[0] : fallback;
+    }
+
+    /**
+     * 展开折行(RFC 6350 3.2)，并合并quoted-printable的软换行
+     * @param {string} text 原始文本
+     * @returns {string[]} 逻辑行数组
+     */
+    unfoldLines(text) {
+        if (text.charCodeAt(0) === 0xFEFF) {
+            text = text.slice(1);
+        }
+
+        const physical = text.split(/\r\n|\r|\n/);
+        const lines = [];
+
+        physical.forEach(line => {
+            const previous = lines[lines.length - 1];
+            if (previous !== undefined && /^[ \t]/.test(line)) {
+                // 以空格或制表符开头的行是上一行的延续
+                lines[lines.length - 1] = previous + line.slice(1);
+            } else if (previous !== undefined && /QUOTED-PRINTABLE/i.test(previous.split(':')[0]) && previous.endsWith('=')) {
+                // quoted-printable行尾的"="表示软换行
+                lines[lines.length - 1] = previous.slice(0, -1) + line;
+            } else {
+                lines.push(line);
+            }
+        });
+
+        return lines.filter(line => line.trim() !== '');
+    }
+
+    /**
+     * 解析单行属性
+     * @param {string} line 逻辑行
+     * @returns {Object|null} { name, params, value }
+     */
+    parseLine(line) {
+        const colonIndex = this.findValueSeparator(line);
+        if (colonIndex === -1) {
+            return null;
+        }
+
+        const [rawName, ...rawParams] = line.slice(0, colonIndex).split(';');
+        // 去掉分组前缀(如 item1.TEL)
+        const name = rawName.replace(/^.*\./, '').toUpperCase();
+        const params = {};
+
+        rawParams.forEach(param => {
+            const [key, ...rest] = param.split('=');
+            if (rest.length === 0) {
+                // vCard 2.1的简写参数，如 TEL;CELL 或 ;QUOTED-PRINTABLE
+                const upper = key.toUpperCase();
+                if (upper === 'QUOTED-PRINTABLE') {
+                    params.ENCODING = upper;
+                } else {
+                    params.TYPE = params.TYPE ? `${params.TYPE},${key}` : key;
+                }
+            } else {
+                const paramName = key.toUpperCase();
+                const paramValue = rest.join('=').replace(/^"|"$/g, '');
+                params[paramName] = params[paramName] ? `${params[paramName]},${paramValue}` : paramValue;
+            }
+        });
+
+        let value = line.slice(colonIndex + 1);
+        if ((params.ENCODING || '').toUpperCase() === 'QUOTED-PRINTABLE') {
+            value = this.decodeQuotedPrintable(value, params.CHARSET);
+        }
+
+        return { name, params, value };
+    }
+
+    /**
+     * 查找属性名与值之间的冒号(跳过参数值引号内的冒号)
+     * @param {string} line 逻辑行
+     * @returns {number} 冒号位置，未找到返回-1
+     */
+    findValueSeparator(line) {
+        let inQuotes = false;
+        for (let i = 0; i < line.length; i++) {
+            if (line[i] === '"') {
+                inQuotes = !inQuotes;
+            } else if (line[i] === ':' && !inQuotes) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * 解码quoted-printable文本
+     * @param {string} value 编码文本
+     * @param {string} [charset] 字符集，默认UTF-8
+     * @returns {string} 解码后的文本
+     */
+    decodeQuotedPrintable(value, charset = 'UTF-8') {
+        const encoder = new TextEncoder();
+        const bytes = [];
+        for (let i = 0; i < value.length; i++) {
+            if (value[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(value.substr(i + 1, 2))) {
+                bytes.push(parseInt(value.substr(i + 1, 2), 16));
+                i += 2;
+            } else {
+                // 未编码的字符按UTF-8写入字节序列
+                bytes.push(...encoder.encode(value[i]));
+            }
+        }
+
+        try {
+            return new TextDecoder(charset).decode(new Uint8Array(bytes));
+        } catch (error) {
+            // 不认识的字符集按UTF-8处理
+            return new TextDecoder('utf-8').decode(new Uint8Array(bytes));
+        }
+    }
+
+    /**
+     * 按分隔符拆分复合值(忽略被反斜杠转义的分隔符)
+     * @param {string} value 原始值
+     * @param {string} separator 分隔符
+     * @returns {string[]} 组成部分
+     */
+    splitComponents(value, separator) {
+        const parts = [];
+        let current = '';
+        for (let i = 0; i < value.length; i++) {
+            if (value[i] === '\\' && i + 1 < value.length) {
+                current += value[i] + value[i + 1];
+                i++;
+            } else if (value[i] === separator) {
+                parts.push(current);
+                current = '';
+            } else {
+                current += value[i];
+            }
+        }
+        parts.push(current);
+        return parts;
+    }
+
+    /**
+     * 转义文本值中的特殊字符
+     * @param {string} value 原始值
+     * @returns {string} 转义后的值
+     */
+    escapeValue(value) {
+        return String(value || '')
+            .replace(/\\/g, '\\\\')
+            .replace(/\n/g, '\\n')
+            .replace(/([,;])/g, '\\$1');
+    }
+
+    /**
+     * 还原文本值中的转义字符
+     * @param {string} value 转义后的值
+     * @returns {string} 原始值
+     */
+    unescapeValue(value) {
+        return value.replace(/\\([\\,;nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+    }
+
+    /**
+     * 按75字节折行(不拆分多字节字符)
+     * @param {string} line 逻辑行
+     * @returns {string} 折行后的文本
+     */
+    foldLine(line) {
+        const encoder = new TextEncoder();
+        const segments = [];
+        let current = '';
+        let currentBytes = 0;
+        // 续行以空格开头，占用一个字节
+        let limit = 75;
+
+        for (const char of line) {
+            const charBytes = encoder.encode(char).length;
+            if (currentBytes + charBytes > limit) {
+                segments.push(current);
+                current = '';
+                currentBytes = 0;
+                limit = 74;
+            }
+            current += char;
+            currentBytes += charBytes;
+        }
+        segments.push(current);
+
+        return segments.join('\r\n ');
+    }
+
+    /**
+     * 拆分姓名为姓和名(中文姓名取第一个字为姓，其他按最后一个空格拆分)
+     * @param {string} name 姓名
+     * @returns {string[]} [姓, 名]
+     */
+    splitName(name) {
+        const trimmed = (name || '').trim();
+        if (/^[一-龥]{2,4}$/.test(trimmed)) {
+            return [trimmed[0], trimmed.slice(1)];
+        }
+        const spaceIndex = trimmed.lastIndexOf(' ');
+        if (spaceIndex === -1) {
+            return [trimmed, ''];
+        }
+        return [trimmed.slice(spaceIndex + 1), trimmed.slice(0, spaceIndex)];
+    }
+
+    /**
+     * 由姓和名拼接姓名(中文不加空格)
+     * @param {string} family 姓
+     * @param {string} given 名
+     * @returns {string} 姓名
+     */
+    joinName(family, given) {
+        if (/[一-龥]/.test(family + given)) {
+            return `${family}${given}`.trim();
+        }
+        return [given, family].filter(Boolean).join(' ');
+    }
+}
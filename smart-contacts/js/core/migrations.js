@@ -0,0 +1,122 @@
+import { PhoneNumber } from './PhoneNumber.js';
+
+/**
+ * 联系人数据结构迁移注册表
+ * 第n项(version为n)将数据从版本n升级到版本n+1，迁移函数接收并返回
+ * { schemaVersion, contacts } 形式的数据(contacts为普通对象数组)
+ * 只能在末尾追加新迁移，已发布的迁移不可修改
+ */
+export const MIGRATIONS = [
+    {
+        version: 0,
+        description: '补全单位字段，统一创建时间为ISO格式',
+        migrate(payload) {
+            const now = new Date().toISOString();
+            return {
+                ...payload,
+                contacts: payload.contacts.map(item => ({
+                    ...item,
+                    address: typeof item.address === 'string' ? item.address : '',
+                    createdAt: item.createdAt && !isNaN(new Date(item.createdAt).getTime())
+                        ? new Date(item.createdAt).toISOString()
+                        : now
+                }))
+            };
+        }
+    },
+    {
+        version: 1,
+        description: '添加删除时间字段(回收站)',
+        migrate(payload) {
+            return {
+                ...payload,
+                contacts: payload.contacts.map(item => ({
+                    ...item,
+                    deletedAt: item.deletedAt || null
+                }))
+            };
+        }
+    },
+    {
+        version: 2,
+        description: '添加最后修改时间字段',
+        migrate(payload) {
+            return {
+                ...payload,
+                contacts: payload.contacts.map(item => ({
+                    ...item,
+                    updatedAt: item.updatedAt || item.createdAt
+                }))
+            };
+        }
+    },
+    {
+        version: 3,
+        description: '单个电话拆分为带标签的电话列表，单位字段由address改为company，新增邮箱、职位和地址',
+        migrate(payload) {
+            return {
+                ...payload,
+                contacts: payload.contacts.map(item => {
+                    const { phone, address, ...rest } = item;
+                    return {
+                        ...rest,
+                        phones: Array.isArray(item.phones)
+                            ? item.phones
+                            : (phone ? [{ label: '手机', value: String(phone) }] : []),
+                        emails: Array.isArray(item.emails) ? item.emails : [],
+                        company: item.company ?? address ?? '',
+                        title: item.title || '',
+                        postalAddress: item.postalAddress || ''
+                    };
+                })
+            };
+        }
+    },
+    {
+        version: 4,
+        description: '添加标签字段',
+        migrate(payload) {
+            return {
+                ...payload,
+                contacts: payload.contacts.map(item => ({
+                    ...item,
+                    tags: Array.isArray(item.tags) ? item.tags : []
+                }))
+            };
+        }
+    },
+    {
+        version: 5,
+        description: '添加常用联系人标记',
+        migrate(payload) {
+            return {
+                ...payload,
+                contacts: payload.contacts.map(item => ({
+                    ...item,
+                    favorite: Boolean(item.favorite)
+                }))
+            };
+        }
+    },
+    {
+        version: 6,
+        description: '电话号码统一保存为E.164格式(分机号以;ext=附加)',
+        migrate(payload) {
+            return {
+                ...payload,
+                contacts: payload.contacts.map(item => ({
+                    ...item,
+                    // phones格式错误的记录保持原样，加载时由校验移入隔离区
+                    phones: Array.isArray(item.phones)
+                        ? item.phones.map(phone => ({ ...phone, value: PhoneNumber.normalize(phone.value) }))
+                        : item.phones
+                }))
+            };
+        }
+    }
+];
+
+/**
+ * 当前程序使用的数据结构版本
+ */
+export const SCHEMA_VERSION = MIGRATIONS.length;
@@ -0,0 +1,488 @@
+/**
+ * 电话号码归属地和运营商数据(中国大陆)
+ * 由 libphonenumber-geo-carrier 2.0.0 收录的 Google libphonenumber 数据(86 号码的中文地理编码和运营商数据)生成，请勿手工修改
+ * PHONE_CARRIERS 为手机号码前3–4位对应的运营商，AREA_CODES 为固定电话区号(不含开头的0)对应的地区，
+ * PHONE_REGIONS 为手机号段的地区列表(按号段数排序)，MOBILE_SEGMENTS 为手机号前3位对应的号段编码：
+ * 按第4–7位(0000–9999)依次排列，一个小写字母表示前26个地区，一个大写字母加一个字母表示其余地区，
+ * "."表示未收录，其后的数字为连续的号段数(省略时为1)
+ */
+export const PHONE_CARRIERS = {
+    15: '移动',
+    130: '联通',
+    131: '联通',
+    132: '联通',
+    133: '电信',
+    135: '移动',
+    136: '移动',
+    137: '移动',
+    138: '移动',
+    139: '移动',
+    145: '联通',
+    147: '移动',
+    153: '电信',
+    155: '联通',
+    156: '联通',
+    166: '联通',
+    167: '联通',
+    171: '联通',
+    172: '移动',
+    173: '电信',
+    174: '电信',
+    175: '联通',
+    176: '联通',
+    177: '电信',
+    178: '移动',
+    180: '电信',
+    181: '电信',
+    182: '移动',
+    183: '移动',
+    184: '移动',
+    185: '联通',
+    186: '联通',
+    187: '移动',
+    188: '移动',
+    189: '电信',
+    190: '电信',
+    191: '电信',
+    192: '广电',
+    193: '电信',
+    195: '移动',
+    196: '联通',
+    197: '移动',
+    198: '移动',
+    199: '电信',
+    1340: '移动',
+    1341: '移动',
+    1342: '移动',
+    1343: '移动',
+    1344: '移动',
+    1345: '移动',
+    1346: '移动',
+    1347: '移动',
+    1348: '移动',
+    1700: '电信',
+    1701: '电信',
+    1702: '电信',
+    1703: '移动',
+    1704: '联通',
+    1705: '移动',
+    1706: '移动',
+    1707: '联通',
+    1708: '联通',
+    1709: '联通'
+};
+
+export const AREA_CODES = {
+    10: '北京',
+    20: '广东 广州',
+    21: '上海',
+    22: '天津',
+    23: '重庆',
+    24: '辽宁 沈阳、铁岭、抚顺',
+    25: '江苏 南京',
+    27: '湖北 武汉',
+    28: '四川 成都、资阳、眉山',
+    29: '陕西 西安、咸阳',
+    33: '河北 秦皇岛',
+    34: '山西 朔州',
+    58: '浙江 舟山',
+    70: '江西 鹰潭',
+    310: '河北 邯郸',
+    311: '河北 石家庄',
+    312: '河北 保定',
+    313: '河北 张家口',
+    314: '河北 承德',
+    315: '河北 唐山',
+    316: '河北 廊坊',
+    317: '河北 沧州',
+    318: '河北 衡水',
+    319: '河北 邢台',
+    350: '山西 忻州',
+    351: '山西 太原',
+    352: '山西 大同',
+    353: '山西 阳泉',
+    354: '山西 晋中',
+    355: '山西 长治',
+    356: '山西 晋城',
+    357: '山西 临汾',
+    358: '山西 吕梁',
+    359: '山西 运城',
+    370: '河南 商丘',
+    371: '河南 郑州',
+    372: '河南 安阳',
+    373: '河南 新乡',
+    374: '河南 许昌',
+    375: '河南 平顶山',
+    376: '河南 信阳',
+    377: '河南 南阳',
+    378: '河南 开封',
+    379: '河南 洛阳',
+    391: '河南 焦作',
+    392: '河南 鹤壁',
+    393: '河南 濮阳',
+    394: '河南 周口',
+    395: '河南 漯河',
+    396: '河南 驻马店',
+    398: '河南 三门峡',
+    410: '辽宁 铁岭',
+    411: '辽宁 大连',
+    412: '辽宁 鞍山',
+    413: '辽宁 抚顺',
+    414: '辽宁 本溪',
+    415: '辽宁 丹东',
+    416: '辽宁 锦州',
+    417: '辽宁 营口',
+    418: '辽宁 阜新',
+    419: '辽宁 辽阳',
+    421: '辽宁 朝阳',
+    427: '辽宁 盘锦',
+    429: '辽宁 葫芦岛',
+    431: '吉林 长春',
+    432: '吉林 吉林',
+    433: '吉林 延边朝鲜族自治州、珲春、延吉',
+    434: '吉林 四平',
+    435: '吉林 通化、梅河口',
+    436: '吉林 白城',
+    437: '吉林 辽源',
+    438: '吉林 松原',
+    439: '吉林 白山',
+    451: '黑龙江 哈尔滨',
+    452: '黑龙江 齐齐哈尔',
+    453: '黑龙江 牡丹江',
+    454: '黑龙江 佳木斯',
+    455: '黑龙江 绥化',
+    456: '黑龙江 黑河',
+    457: '黑龙江 大兴安岭',
+    458: '黑龙江 伊春',
+    459: '黑龙江 大庆',
+    464: '黑龙江 七台河',
+    467: '黑龙江 鸡西',
+    468: '黑龙江 鹤岗',
+    469: '黑龙江 双鸭山',
+    470: '内蒙古 呼伦贝尔',
+    471: '内蒙古 呼和浩特',
+    472: '内蒙古 包头',
+    473: '内蒙古 乌海',
+    474: '内蒙古 乌兰察布',
+    475: '内蒙古 通辽',
+    476: '内蒙古 赤峰',
+    477: '内蒙古 鄂尔多斯',
+    478: '内蒙古 巴彦淖尔',
+    479: '内蒙古 锡林郭勒盟',
+    482: '内蒙古 兴安盟',
+    483: '内蒙古 阿拉善盟',
+    510: '江苏 无锡',
+    511: '江苏 镇江',
+    512: '江苏 苏州',
+    513: '江苏 南通',
+    514: '江苏 扬州',
+    515: '江苏 盐城',
+    516: '江苏 徐州',
+    517: '江苏 淮安',
+    518: '江苏 连云港',
+    519: '江苏 常州',
+    523: '江苏 泰州',
+    527: '江苏 宿迁',
+    530: '山东 菏泽',
+    531: '山东 济南',
+    532: '山东 青岛',
+    533: '山东 淄博',
+    534: '山东 德州',
+    535: '山东 烟台',
+    536: '山东 潍坊',
+    537: '山东 济宁',
+    538: '山东 泰安',
+    539: '山东 临沂',
+    543: '山东 滨州',
+    546: '山东 东营',
+    550: '安徽 滁州',
+    551: '安徽 合肥、巢湖',
+    552: '安徽 蚌埠',
+    553: '安徽 芜湖',
+    554: '安徽 淮南',
+    555: '安徽 马鞍山',
+    556: '安徽 安庆',
+    557: '安徽 宿州',
+    558: '安徽 阜阳',
+    559: '安徽 黄山',
+    561: '安徽 淮北',
+    562: '安徽 铜陵',
+    563: '安徽 宣城',
+    564: '安徽 六安',
+    566: '安徽 池州',
+    570: '浙江 衢州',
+    571: '浙江 杭州',
+    572: '浙江 湖州',
+    573: '浙江 嘉兴',
+    574: '浙江 宁波',
+    575: '浙江 绍兴',
+    576: '浙江 台州',
+    577: '浙江 温州',
+    578: '浙江 丽水',
+    579: '浙江 金华',
+    591: '福建 福州',
+    592: '福建 厦门',
+    593: '福建 宁德',
+    594: '福建 莆田',
+    595: '福建 泉州',
+    596: '福建 漳州',
+    597: '福建 龙岩',
+    598: '福建 三明',
+    599: '福建 南平',
+    631: '山东 威海',
+    632: '山东 枣庄',
+    633: '山东 日照',
+    634: '山东 莱芜',
+    635: '山东 聊城',
+    660: '广东 汕尾',
+    662: '广东 阳江',
+    663: '广东 揭阳',
+    668: '广东 茂名',
+    691: '云南 西双版纳傣族自治州',
+    692: '云南 德宏傣族景颇族自治州',
+    710: '湖北 襄樊',
+    711: '湖北 鄂州',
+    712: '湖北 孝感',
+    713: '湖北 黄冈',
+    714: '湖北 黄石',
+    715: '湖北 咸宁',
+    716: '湖北 荆州',
+    717: '湖北 宜昌',
+    718: '湖北 恩施土家族苗族自治州',
+    719: '湖北 十堰',
+    722: '湖北 随州',
+    724: '湖北 荆门',
+    728: '湖北 仙桃',
+    730: '湖南 岳阳',
+    731: '湖南 长沙、湘潭、株州',
+    734: '湖南 衡阳',
+    735: '湖南 郴州',
+    736: '湖南 常德',
+    737: '湖南 益阳',
+    738: '湖南 娄底',
+    739: '湖南 邵阳',
+    743: '湖南 湘西土家族苗族自治州',
+    744: '湖南 张家界',
+    745: '湖南 怀化',
+    746: '湖南 永州',
+    750: '广东 江门',
+    751: '广东 韶关',
+    752: '广东 惠州',
+    753: '广东 梅州',
+    754: '广东 汕头、潮阳',
+    755: '广东 深圳',
+    756: '广东 珠海',
+    757: '广东 佛山、顺德',
+    758: '广东 肇庆',
+    759: '广东 湛江',
+    760: '广东 中山',
+    762: '广东 河源',
+    763: '广东 清远',
+    766: '广东 云浮',
+    768: '广东 潮州',
+    769: '广东 东莞',
+    770: '广西 防城港',
+    771: '广西 南宁',
+    772: '广西 柳州',
+    773: '广西 桂林',
+    774: '广西 梧州',
+    775: '广西 玉林',
+    776: '广西 百色',
+    777: '广西 钦州',
+    778: '广西 河池',
+    779: '广西 北海',
+    790: '江西 新余',
+    791: '江西 南昌',
+    792: '江西 九江',
+    793: '江西 上饶',
+    794: '江西 抚州',
+    795: '江西 宜春',
+    796: '江西 吉安',
+    797: '江西 赣州',
+    798: '江西 景德镇',
+    799: '江西 萍乡',
+    807: '西藏 索县',
+    812: '四川 攀枝花',
+    813: '四川 自贡',
+    816: '四川 绵阳',
+    817: '四川 南充',
+    818: '四川 达州',
+    825: '四川 遂宁',
+    826: '四川 广安',
+    827: '四川 巴中',
+    830: '四川 泸州',
+    831: '四川 宜宾',
+    832: '四川 内江、资阳',
+    833: '四川 乐山',
+    834: '四川 凉山彝族自治州',
+    835: '四川 雅安',
+    836: '四川 甘孜藏族自治州',
+    837: '四川 阿坝藏族羌族自治州',
+    838: '四川 德阳',
+    839: '四川 广元',
+    851: '贵州 贵阳、遵义、安顺',
+    852: '贵州 遵义',
+    853: '贵州 安顺',
+    854: '贵州 黔南布依族苗族自治州',
+    855: '贵州 黔东南苗族侗族自治州',
+    856: '贵州 铜仁',
+    857: '贵州 毕节',
+    858: '贵州 六盘水',
+    859: '贵州 黔西南布依族苗族自治州',
+    870: '云南 昭通',
+    871: '云南 昆明',
+    872: '云南 大理白族自治州',
+    873: '云南 红河哈尼族彝族自治州',
+    874: '云南 曲靖',
+    875: '云南 保山',
+    876: '云南 文山壮族苗族自治州',
+    877: '云南 玉溪',
+    878: '云南 楚雄彝族自治州',
+    879: '云南 普洱',
+    883: '云南 临沧',
+    886: '云南 怒江傈僳族自治州',
+    887: '云南 迪庆藏族自治州',
+    888: '云南 丽江',
+    891: '西藏 拉萨',
+    892: '西藏 日喀则、仲巴县',
+    893: '西藏 山南',
+    894: '西藏 林芝',
+    895: '西藏 昌都',
+    896: '西藏 那曲、嘉黎县、聂荣县、申扎县、双湖、班戈县、尼玛县',
+    897: '西藏 阿里、普兰县、扎达县',
+    898: '海南 海口',
+    901: '新疆 塔城',
+    902: '新疆 哈密',
+    903: '新疆 和田',
+    906: '新疆 阿勒泰',
+    908: '新疆 克孜勒苏柯尔克孜自治州',
+    909: '新疆 博尔塔拉蒙古自治州',
+    911: '陕西 延安',
+    912: '陕西 榆林',
+    913: '陕西 渭南',
+    914: '陕西 商洛',
+    915: '陕西 安康',
+    916: '陕西 汉中',
+    917: '陕西 宝鸡',
+    919: '陕西 铜川',
+    930: '甘肃 临夏回族自治州',
+    931: '甘肃 兰州',
+    932: '甘肃 定西',
+    933: '甘肃 平凉',
+    934: '甘肃 庆阳',
+    935: '甘肃 武威',
+    936: '甘肃 张掖',
+    937: '甘肃 酒泉',
+    938: '甘肃 天水',
+    939: '甘肃 陇南',
+    941: '甘肃 甘南藏族自治州',
+    943: '甘肃 白银',
+    951: '宁夏 银川',
+    952: '宁夏 石嘴山',
+    953: '宁夏 吴忠',
+    954: '宁夏 固原',
+    955: '宁夏 中卫',
+    970: '青海 海北藏族自治州',
+    971: '青海 西宁',
+    972: '青海 海东',
+    973: '青海 黄南藏族自治州',
+    974: '青海 海南藏族自治州',
+    975: '青海 果洛藏族自治州',
+    976: '青海 玉树藏族自治州',
+    977: '青海 海西蒙古族藏族自治州',
+    979: '青海 海西蒙古族藏族自治州',
+    990: '新疆 克拉玛依',
+    991: '新疆 乌鲁木齐',
+    992: '新疆 伊犁哈萨克自治州',
+    993: '新疆 石河子',
+    994: '新疆 昌吉回族自治州',
+    995: '新疆 吐鲁番',
+    996: '新疆 巴音郭楞蒙古自治州',
+    997: '新疆 阿克苏',
+    998: '新疆 喀什',
+    999: '新疆 伊犁哈萨克自治州'
+};
+
+export const PHONE_REGIONS = [
+    '北京', '上海', '广东 广州', '重庆', '四川 成都', '广东 深圳', '陕西 西安', '广东 东莞',
+    '湖北 武汉', '天津', '江苏 苏州', '浙江 杭州', '河南 郑州', '吉林 长春', '广东 佛山', '江苏 南京',
+    '黑龙江 哈尔滨', '河北 石家庄', '浙江 宁波', '湖南 长沙', '辽宁 沈阳', '山东 青岛', '浙江 温州', '山东 济南',
+    '海南 海口', '福建 福州', '福建 泉州', '云南 昆明', '广西 南宁', '河北 保定', '辽宁 大连', '江苏 无锡',
+    '河北 唐山', '安徽 合肥', '山东 潍坊', '山东 临沂', '浙江 台州', '山东 烟台', '浙江 金华', '河北 邯郸',
+    '山西 太原', '江苏 南通', '江苏 徐州', '广东 中山', '广东 惠州', '贵州 贵阳', '新疆 乌鲁木齐', '山东 济宁',
+    '江西 南昌', '河北 沧州', '广东 汕头', '江苏 常州', '福建 厦门', '浙江 嘉兴', '安徽 阜阳', '山东 菏泽',
+    '河南 南阳', '江苏 盐城', '广东 江门', '浙江 绍兴', '河南 洛阳', '甘肃 兰州', '江西 赣州', '广西 玉林',
+    '河北 邢台', '广东 湛江', '山东 淄博', '广东 珠海', '贵州 遵义', '河北 廊坊', '吉林 吉林', '内蒙古 呼和浩特',
+    '江苏 扬州', '河南 商丘', '河南 周口', '广西 柳州', '四川 绵阳', '河南 新乡', '山东 聊城', '福建 漳州',
+    '山东 泰安', '山东 德州', '河南 安阳', '陕西 榆林', '江苏 泰州', '湖南 衡阳', '陕西 渭南', '广西 桂林',
+    '河南 驻马店', '湖南 常德', '内蒙古 包头', '河北 张家口', '广东 揭阳', '广东 茂名', '内蒙古 鄂尔多斯', '湖北 荆州',
+    '江西 上饶', '四川 南充', '黑龙江 大庆', '湖南 岳阳', '内蒙古 赤峰', '江苏 淮安', '湖北 襄樊', '黑龙江 齐齐哈尔',
+    '河南 焦作', '辽宁 鞍山', '河南 信阳', '河北 秦皇岛', '河北 衡水', '江西 宜春', '湖南 邵阳', '江苏 连云港',
+    '江西 九江', '浙江 湖州', '贵州 毕节', '河南 平顶山', '山东 威海', '江苏 镇江', '山东 枣庄', '山东 滨州',
+    '湖北 黄冈', '宁夏 银川', '山东 东营', '安徽 安庆', '云南 曲靖', '江苏 宿迁', '湖南 郴州', '山西 晋中',
+    '湖北 宜昌', '四川 宜宾', '四川 德阳', '广东 肇庆', '安徽 宿州', '河南 许昌', '山西 运城', '陕西 宝鸡',
+    '安徽 六安', '四川 达州', '广东 清远', '四川 泸州', '山西 临汾', '河北 承德', '安徽 芜湖', '陕西 咸阳',
+    '广东 梅州', '吉林 四平', '辽宁 锦州', '内蒙古 通辽', '四川 乐山', '新疆 伊犁哈萨克自治州', '福建 莆田', '陕西 延安',
+    '湖南 株洲', '福建 宁德', '江西 吉安', '湖北 恩施土家族苗族自治州', '湖南 怀化', '贵州 六盘水', '河南 开封', '湖南 益阳',
+    '湖南 永州', '吉林 松原', '黑龙江 佳木斯', '黑龙江 牡丹江', '山西 长治', '内蒙古 呼伦贝尔', '贵州 黔东南苗族侗族自治州', '河南 濮阳',
+    '安徽 滁州', '湖北 孝感', '广西 梧州', '青海 西宁', '四川 凉山彝族自治州', '湖南 娄底', '福建 龙岩', '云南 红河哈尼族彝族自治州',
+    '山东 日照', '浙江 丽水', '福建 南平', '辽宁 营口', '贵州 黔南布依族苗族自治州', '新疆 喀什', '山西 吕梁', '广东 韶关',
+    '黑龙江 绥化', '吉林 延边朝鲜族自治州', '广东 潮州', '陕西 汉中', '安徽 蚌埠', '福建 三明', '广西 百色', '贵州 黔西南布依族苗族自治州',
+    '湖北 十堰', '广西 河池', '辽宁 丹东', '辽宁 葫芦岛', '吉林 通化', '辽宁 朝阳', '新疆 阿克苏', '浙江 衢州',
+    '四川 内江', '内蒙古 巴彦淖尔', '山西 忻州', '江西 抚州', '山西 大同', '云南 昭通', '广东 汕尾', '贵州 铜仁',
+    '四川 广元', '安徽 宣城', '湖北 荆门', '广东 阳江', '山西 晋城', '辽宁 抚顺', '云南 大理白族自治州', '湖南 湘潭',
+    '吉林 白城', '广东 河源', '甘肃 天水', '安徽 马鞍山', '河南 三门峡', '辽宁 铁岭', '云南 文山壮族苗族自治州', '四川 广安',
+    '四川 自贡', '湖北 黄石', '四川 巴中', '陕西 安康', '安徽 淮南', '辽宁 辽阳', '新疆 昌吉回族自治州', '甘肃 庆阳',
+    '河南 漯河', '广西 钦州', '四川 遂宁', '贵州 安顺', '辽宁 阜新', '辽宁 盘锦', '辽宁 本溪', '内蒙古 兴安盟',
+    '湖北 咸宁', '云南 普洱', '甘肃 定西', '云南 玉溪', '浙江 舟山', '甘肃 酒泉', '四川 眉山', '广东 云浮',
+    '内蒙古 乌兰察布', '新疆 巴音郭楞蒙古自治州', '湖南 湘西土家族苗族自治州', '云南 楚雄彝族自治州', '甘肃 陇南', '黑龙江 鸡西', '四川 资阳', '广西 北海',
+    '安徽 亳州', '江西 萍乡', '安徽 淮北', '吉林 辽源', '云南 保山', '黑龙江 黑河', '吉林 白山', '山西 朔州',
+    '甘肃 武威', '山西 阳泉', '云南 临沧', '甘肃 平凉', '山东 莱芜', '新疆 和田', '内蒙古 锡林郭勒盟', '陕西 商洛',
+    '甘肃 张掖', '甘肃 白银', '江西 景德镇', '西藏 拉萨', '四川 雅安', '四川 攀枝花', '安徽 池州', '湖北 随州',
+    '宁夏 吴忠', '甘肃 临夏回族自治州', '湖南 张家界', '云南 西双版纳傣族自治州', '黑龙江 双鸭山', '河南 鹤壁', '安徽 黄山', '云南 德宏傣族景颇族自治州',
+    '黑龙江 鹤岗', '江西 新余', '黑龙江 伊春', '青海 海东', '内蒙古 乌海', '宁夏 中卫', '宁夏 固原', '宁夏 石嘴山',
+    '云南 丽江', '广西 防城港', '安徽 铜陵', '新疆 石河子', '江西 鹰潭', '陕西 铜川', '黑龙江 七台河', '青海 海西蒙古族藏族自治州',
+    '四川 阿坝藏族羌族自治州', '湖北 鄂州', '新疆 哈密', '四川 甘孜藏族自治州', '甘肃 甘南藏族自治州', '新疆 阿勒泰', '新疆 吐鲁番', '新疆 克拉玛依',
+    '新疆 博尔塔拉蒙古自治州', '黑龙江 大兴安岭', '新疆 塔城', '甘肃 金昌', '广西 贵港', '西藏 日喀则', '青海 海南藏族自治州', '云南 迪庆藏族自治州',
+    '内蒙古 阿拉善盟', '云南 怒江傈僳族自治州', '青海 玉树藏族自治州', '新疆 克孜勒苏柯尔克孜自治州', '西藏 昌都', '青海 海北藏族自治州', '西藏 那曲', '广西 来宾',
+    '西藏 山南', '青海 黄南藏族自治州', '广西 贺州', '西藏 林芝', '青海 果洛藏族自治州', '广西 崇左', '甘肃 嘉峪关', '安徽 巢湖',
+    '西藏 阿里', '湖北 仙桃', '湖北 神农架林区', '湖北 潜江'
+];
+
+export const MOBILE_SEGMENTS = {
+    130: 'xAzFX.3p.i.a2j3AOAlxj2b5p2Alp5Af7c5a5c11DCc3AicwcAccic15AJc2.nEeCXAeBmAuCGq.a30j10AdAgBDARAxAMAnBEAxrAO2BPAi3BSAjCUBOAl3BM3v4x5BaBdBcAvADrAgBDARAgAMAnAdr2a10c10b10j10d10u10p10ABBJEkAHDrAmAkCVw2AO2Al4EIBcAiAjCQERBtEa2ChCjDsBZDQg10AhDg2Cm2Ah2DUAh2b20Af10p3BN3BH2AFBVAq3ApBxAp5l10s10z5Cu2z3AA5Bb2AA3DUAC3Cm3Dg3b10AB5BJ3lEkAU5BN2Az2AUAz4Bg3AF3k10AH4Am4DrCVw6Ak4Aa10DhCx3CW3CS2Dhy10c10Ay5DyBo2Co2DJDeAy3CiDb2En2f10Ar6Cb4AN4DD2Bp3APAs6AP4AG10Ac3AXBj2ALCO2Evy10i10Aw2Fo3BsBF2FdExi10CsEmCsCa3DA2AY2v4BSAi2x3f10o10h6c4FlAcAXBjCOALDiDZDlEvAo5BX2Ao3i10Aw5BI3AwBIBvtDHCwBhBWBlCDCRBGBlt3DHCwBhBvt2m5AI4Bem3AICCBAAZCdDYBeFrCPFf2FGFNCP4At7AQAtEbFj2EU2Fi2BR4Ce2Ck2DwDECI2Dw2e10DVEcEd2DpEdCqDNDVEcd10g3BiCnDf2Cf3Fp2Bi2Cn3Cv3CT2ErBUEjAb5AJ10f10s10n2Cp2EzCFDIECDd2n5AS4DoDm2Ee2DF3DNDn2CX3Cq3BB4Ae10AT3EoBm3BqDtFgDWAu9q3Bz3CG3CHqBu3q4CH2BuDc2EB2EtFqFcEYqb.5a7jBEAOAlxrac.3u.2EI.2Ahb.AfpAqlszAA.2ABAUAzkAHwAaCxycAyDbfArANAsAGAc.2Fo.Cs.coh.AoiAwBvtfmiAtBR.eDVdg2AbAJf2.nDmCXAeATAuBzq.a30j10Ad2AxAg2AMBD2ARAnAg3An2r5AO5Ai5x5Bd2Bc2BPa10Ad3AR2AMBD2Ax2ARAgAx3Ad3ARBEAn2AM2r3AgBDAgj10d10v16Al4Av6BO2BaADAO2BPBMBcEIBdCUBaAjb10BS2Av2v2ADBOx2CM3AhESDUAh4DL2FaDB2FmBT4AnARAxrAd2BDBEAgAMAb4BUAbDGEjFkDGCT2Er2DGBU2FkEj2Aj6BSBM2CUAf10AU5k15BV3Aq7Cc2Cg2Ey2AC4FWEM2EEAJEE3FW2Fj2EU3BR5AdAg2r7Fo2Bs3BF5m20AI10FlFE2Ev2Bj2AX3Ac2ALAXFSAL2DZAc2AT3EoBm3BqDtFgATCJ2Cr2Bm2BqBw2AT3EoBm3BqDtBwAoCeCkBXAoDECIAo2DwAoCeCkBXAoDECIAo2Dwm5AI5CSBb7DhCWCxz8Cx2Aa8CxCuAA5Cu4c10BW3CD3tDHBh2y10AP10i10AF6Bx4o3h2Ay2DeAyBoBg6Ap4BN4Az6BH3p7DzCKCY2CBDjBKCBEb2Cw4DH2Bh2t2Bv4Bl4t2BvtDHCwBhBWBlCDt2AQ2CKAtEbAt4AQBA2BeAZ2BL3CCCdAZDYCCAI2m5AH4DrAB5w10BJ2CV2Am6i10CQERBtAY2CjDsBZDQCae10d10As7AP3BpDDo6AN2h10CiDbAr5Co2DJAHEkAk8l10q2FcBzEYCH2Bu2Bzn4CFAS3DdDon3DdAS4Ez2u10Ae10ATCJ2Cr2Bm2BqDtBwBB5DF2Ee2Dmq3BzEtCG2BuBzFqDmCq3CX2Ec2DV3DN2DpEd3Dn3a10b20u3BBDFDmCqCXEcDNCJCrBwBmBqDt4CrAvADBOCUBPBaBdBa3BSBdBPBOADAj2Av3Cn10Ad3Anr3BnAgClw5Ak3AmABa30j10AdAgBDARAxAMAnBEAxrAO2BPAi3BSAjCUBOAl3BM3v4x5BaBdBcAvADrAgBDARAgAMAnAdr2a10c10b10j10d10u10p10ABBJEkAHDrAmAkCVw2AO2Al4EIBcAiAjg20AhDg2Cm2Ah2DUAh2b20Af4DHAf5p3BN3BH2AFBVAq3ApBxAp5l10s10z5Cu2z3AA5Bb2AA3DUACEwACCm3Dg3b10AB5BJ2l3AU5BN2BG2AUAz4Bg3AF3k10AH4Am4DrCVw6Ak4Aa10DhCx3CW3CS2Dhw10c10Ay5DyBo2Co2DJDeAy3CiDb2En2f10Ar6Cb4AN4DD2Bp3APAs6AP4AG10Ac3AXBj2ALCO2EvBT2CM2Ey2CgDBDLCci10Aw2Fo2AKFoBF4i10BfBiDfCvCfCaBiCvAY2v4BSAi2x3f10o10h6c4FlAcAXBjCOALDiDZDlEvAo5BX2Ao3i10Aw5BI3AwBIBvtDHCwBhBWBlCDCRBGBlt3DHCwBhBvt2m3AI2AZBL2BABem3AICCBAAZCdDYBem10At7AQAtEbf10Ce2Ck2DwDECI2Dw2e10DVEcEd2DpEdCqDNDVEcd10g3BiCnDf2Cf3FpgBi2Cn2gCv2gr10AJ2EN3ElEiEV2AJf10s10n2Cp2EzCFDIECDd2n5AS4DoDm2Ee2DF3DNDn2CX3Cq3BB4Ae10AT3EoBm3BqDtFgDWFnEpCZAu4w2q3Bz3FcEYCGFqqBu3q4CHEtBuDc2EB2CH2CG2q11Db5AN5Cb7En3CL4DM5EZCJ3Ef2EKBm4EO2Cy3FdExDv3Ey2ESCMEw2AC3EwDF2Ee2Dm2Ed2DN2DhCu3AACu2AA3Cx4AaCx2Aa3a20FyFu2Ep3Dq2CZ2Ct2Fn2FA2Ct2Fz2Cl3BDrAn3AR2Ag9AxAl6Ai4x5EI2AO3AR2BE4BD3AxAM3Bn5An2Ad9Clb10j10d10u10Az2k2p2AU2BVAFr10BY5DC3Cz2e10g10AhDg2Cm2Ah2DUAh2DL2FaDB2FmBT4AK9CyDOEhEAAb7DuCeCkBXCeEDCIDaAoDwAf2BHAq2BxAp2BgBNl2w2Ak2AmABCVAHBC10Bk7EZ3AW8CL2Cc2Cg2Ah2AC4DXDK2EVEiEN2EH2DXl2w2CVAmAHABAk2j10DR4Ft2BQ4AO2BPBa2ADBM4s10EKATCrFgEoCrBwBqDtBwCR5CA5y10CcDg2CMCmAh2AC2Ahi5CN4ETBy5Dk5Br4i6AhACCgFaDLCMEyDUFmESAQ4BKCYCKDzEbDjDQDA2AY7DJ4Co6Bp6DD2rDDCT2EGFJFb3EX3y10i7Eg3Aw2Fo2Bs2BF2FdExd10DQ2Cj2EmCsEaChBZ6Cj2BtCs3Em2Ch4e4BG5EW2CEt2FEAcAXBjCOFEAcFSAcEvFlAcAXBjCOALDiDZDlEvDu3ED2EF2Da3i10Aw5BI3AwBIBvtDHCwBhBWBlCDCRBGEq4EWCACE4AV10AE10ER4CQ6At10Fj2EU3FiBR4AoCeCkBXCeDECIEFAoDwDQCjCs2Eu3Ds3Bt2EaBZCa6d10Bi4CvDf3Cf2FpEL3Cn2Cv2g2FHFkDGDx2Ej2BU2ErAJ10h10DT3gBf6n2Cp2nCFDIECDd2n5AS3DdDon3DdAS4EzDon3DdnCFDI2EC2DW3Au7AT3Cr2Bm4BwCG6Fe4CH3FcBzEYEB3FqBu9EtFB4Dc2q4Ag10Bg9BxAU9kCpDIECCF2DoDIDoCpECs5EpDqFLCZEJDWFyFuCtFnFzCtFAFCFxb10Am4Ak2Am2AH2f10Br5BY5a30AS6n4k10Az10b10Az3BN3BqBN3k10Aq9BHc10b10j10d10u5Ae5p10BB3DF2EeDmCq2CXDRBQ2FtCNETDkEgBy6i6ENEVEMDXEiDKFWDK2EHAAmAIBLAADhBb4AnrAdBDAg2ARAxBEAMj10n5Dd5f10z6CSDhCWCSAf3CR2Af2CR3AVmBeAZCdBLBCAECCAIEcDV2DN2DpEd2Dn2AEBAEZCLAWDYBkmDMmBc3EIAj3Av3b10c10n2ASDdCpDoDIEzCFECCeDu2ED2DEEF2Da2BbmBb2Aa3z3b10m2AI3AZBeDYCCBLCN3Cz4DC3Aw2BIBsDvBFCyAKEOExv10q10Bz5FeFBBzDc2CH5Et2Fq2BuCG5Fc2EY2BuCMAhCgESDBDLBTFmDBFab10DrlBJAB2AHAkwAm2f10CSzAACxCuAaBbAADhCWx5AO5Dy4Ci3Db3AN5Bp5Ar5AP5Al3BM3Ai4AF10b10Ap9BVAy2h8CuBLCx4Aa4De2DD2o6Br2i3BY3DCCzBvtDHCwBhBWBlCDBGCAd10v2BOCUBSBaBdAjxAlp8BV2l8BV2An10AXAcAXFSFEALDiDZDlFEAw2BIBsDvBFCyAKEOExc10AG10Cb5Co5d20AQ2CY2BK2CBAQ3Bx5BH5As8r2f20Ay10o10En3Bo7f20Eb2CY2CK2DzBKCBDjDJ2c8h10f10Am10BB10DF10Ee10Dm10Cq10Ae10CX10Ec5DV5DN5Ed5Dp5Dn5a100b60Dp5Dn5Ae10k10BN5Bg5Cc2Cg2Ah3DUAh2CMDg2AhCMEyCmDUEwACDL2FaDB2FmCmBT2ESAO10Bd10Al10Ai10Av10Bc10Aj10BW2Bl3Bh2Bv2CD2Cw3DH2t4Bu4BzDcq4Bz2EtCH2FqCGEYFcDcc10Al10BS10Ai10EI5AO5Aj5Av5BW2Bl3Bh2Bv2CD2Cw3DH2t4AA5z5Cu2Aa2Bb6z3AABb2Aa2CxCWAA2z2Dh3Cx3Aa8Cu2CW2z8Aa2CW2CS3AABb2z2AACxCuAaBbCSCW2Bx4BH6BV3AF7Aq10AU10CsEmBt2ChFvFs2DS4DP4EQ4Em2Cs2BZ2e4s30Ap10Az10Af20k10p20w30f20Db4Dy2Ay4o4AN6c4Bo2De2Ay2h10Ak30BJ5Am5q4Bu6c10AG10En5Cb5h7Cb3As7Ci3CV10Dr10Ek10BJ10e10Ca3ERCj2DAAY3d10Bi4Cn3g6BiCnDf2Cf3Dy2De3Bo5c10Co5o5c20BP7Ba3BM10v30Ba3AD7b40BO10Dh3Cu3Cx4CS6CW3Cud10Bb3AA2CSCxCWDh2p10b30BN5Bg5Bb3AA7Bb10DLAhFaDB2FmCmBT2ESCMDg2AhCMEyCmAC2EwCcBTCg2Ah2DU2Ah2Aq5Ap5Af10k20Az10x10Aw5BI5Ab10Bt2Ch2Ds2Eu2DQ2Be5BL5w10Am10l10BV3AF5AU2Bx4BH4AU2x10Aw10DN5Ed5Ec5DV5BB10AH10s10l5AH5s10Am10x4CU6h10AG10c10AG4o6u30f20Dh2Aa8z2Aa8z27Aa3AB20l30AoCeCkBXAoDECIAo2DwAr10As10d10f10Bp4DD3DJ3o10f5r3frc10Ay10n2Cp2nCF2DoDd2n5AS4Don2CpDdnCF2DoCpDoCC5AZ5BA10Cd5DY5Bu3BzBu4BzBuq3BzBuCG2DcCH2Et2CH2Fq2q4EY2CG2Fc2DcBz3Ep2Dq2CZ2FLEJ2Fna10c10FC2Fx2FyCt2FzDWFzAu6FzCtFuCtAd10AO10Ai10v10h10m10a10i10h10AG10Dy10Bp10BL10l10s10j10b10j10d10u10p10AZ10i10e10g10c10r10Ap10k10p10Ao10l10m10Ak10Cx10BT10Ae10o10n10Cb10q10w10AT10AA10Aa4BCAa5ACEwACEw2AC2EwAC2Co10As10x10d10Ah10AP10w10z20e10DJ10Db10Ay10De10Bo10Ci10c20f10Cw10Bv10Bl10t10o10En10Bj10Ac10f10Aw10AX10o10AN10DD10o10At10Ar10Ab10c10y10Ch10Cj10u10FW3EEEiEEEiEEFWEECX10BR2FjEUFiEUFjEUBR2Bz10AS10Ae10Au10Don4DoDICF3CL3DY2Cd5ATBm2EfCr2Bw2DtBqDuAoDwEFCeCIDECkDaEDAnrAdBnAnAgrAxAgAdt7CD3i10u20g4Cv2Bf3ELr13Ag7BB5Dm2Cq3DF5Ee5BS2xAi3BaBcADBMAT3Bm2BqDtBwEfEKAl5Ai5CX4EcDV4DNBE2Bn2BD5Cls10AM4AR6An6Ax4Dp2Ed2DnBB2DF2CXAd10u10Az2kBHp2AU2BVAFBS2Av2Aj3BM2ADAO2BPx3BdBcBaCUl6Ek2DrCVs10AhDgCcCmESAh2DUAh2DL2DB2CMFmBT3AhDLCmFa2DBFmCmDgES2CM4ACEyEwACEwACAh3FmAh2DUACAh2Af2kAq2BxAp2BgBNmCdAI4mBA2mAVmBeAZCdBLBCAECCAIAZ3BA2Be3CCCLBJ3wDrl5Cc2ACCg2EyEwDg2DBAe10AZ2EZ2CCDY3AW2EQChDSBtEaDPCQDACaERe8AY2Ax3BDBEARAMBn2ClAHw3Am3Ak2CVCJATBmFgEoCrBwBqDtEKDT2Bf3Cv2Df3DiAcAX2DlFEALDZAc2AhCcCg3Ah2EyDUCgBr2i3BY2DC2CzDRBQ2FtET2DkEgBy2EXEh2Ab7EW2CE3Eq2CACR2CMAhDgCmDUDLBTCcACFaAB5Am3AH2Ci3De2Ay5AP4AMAr5ENEVEMDXDKEEFWDK2EHy10FdBs3EOBFCyBFDvExFr3FGFNCP5EQ2Ch2DSFvBt2EaDPAY2DQDsCjCs2Em2CQDA2DsFsBZ3Eu2Cje10FlAcAXBjDiALFSFEDlEvn10EbCY3CK2CB2DjDzCCBCAVAEBL3DMBk2AT3EfFICr3Bq2CADH3BhBWBGCDBGCABvtDHCwBhBWBlCDCRBGDG2FHEjFJCTDOBUDxEAg10Bi4ELFpCn4FlAcAXBjCOALDiDZDlEvAt6BKAQ3Ac2AXBjCOALAc2COAce10AY2DPBtCh2EaCjCaBtCaDSDs2EuAY3DQ2EuCjDQBZCaCsERCQEmCsBw4Bm2Dt4CJ6BmEo3Ak5w5AJ10f10Cf5g5Bu9EBn5AS4DoEz2Cp2ASCF2DoCpDoDd5CFDI2EC2n3Dd2AS5Fc2EBFq3Et3Fe4CG7q3Bz3EBFcEYEt2EY2CH7FB3Dc5q2DW10.14u.4g.12a.Cq.5AQ10.6EK2.AT.30r4Ag5rAn4Ax3BE3Ad7AM3ARBn2ClBDClBD3ARBu3q3EtEYFeFc3EBDc4Et3Fe2CG4Bu4q3FB3EB2EY3CH5q4w10AU10AF10Bg10Aq7BH3Af2Az2BgBHBV4Az10k8BN2Ft2BQ3DR5CQERBtEaDPChCaDsBZDQCf4Cn6Af15Az5DC4Cz3ET2iCM3FmACEwACEwAC2AhCg3CmAhDB3ESDLEy3Ah2Cc4DB2Cm3Dg3ES2l10Ak10Df4Bi6FxDWFuCtFnFzCtEpDqEJBy4CN2BY3EgBr5i2Dk2iEjBUErDxCTEA2DO2EGe10ChDS2BZCQER2EQBZ2AH4Am3ABCV2w4DrEkAk4l2s2BJ3AB3Bx5BN5Au4FyDW2FuCtFnFzCt2FAFCCZEpDqAuCZDxFbEGFkEXDGCTBUErEjAb7EhDOEAAC3Fa2AhDLDUFmCmCMAhDgCmDUDLBTCcACFaAB5AH5DrlBJABsAHAkwCVAmEk2DrCVBJ3Am3s10DQ2EmERAYCsEuEmDsERCaDAAYBt2Eu2AYBZChBZ3AYEREmFvEQCa2e10CsEmCsCa3DA2AY2EFCeCkBXDwDECIDuDw2EDCeCkBXCkDECIDaDw2AQ10DjCBBKCKCYCKDzBKCBDjg10FdDvBIBsDvBFCyAKBsExEODvEOBsCyBFAK2EOExAw2CyEOAKBI3AwBIAK5ExBs4Ej2CT2FkDxBU2DODGEFCeCkBXDwDECIDa2DwEFCeCkBXEDDECIDuEDDwFlAcAXBjCOALDiDZDlEvFlEvFEFSCOALDiDZCOEvFlEvFEBjCOALDiDZDlEvDT4Cv6Cn2Bi3Cf2Fp3Df2EL2Bf6Br2i3EgBQ2FtDRBY2DC2ETBy2CzCNDkAt2AQEbCYCKDzBKCBDjd20i10y10AoCeCkDuAo6AJ17EN2EVFw2EsEHEsDX2FWEMFWAb7Fb3BR2FjEUFiEUFjBR3EG2EX2DxEh2EA2DOFKFUFfFRCP6CT2Er2DG2BU2Ej2Ab10',
+    131: 'Ao2DwEFEDCIDECkDaCeDuAoDwBXAoCIDECkBXCeBvCACECwEWtBhEqBl2BvtDHCwBhBWCRCDBWBGAc2AXBjFSALDiFEDlAXAc2AXBjFSALDiFEDlBji14BQETCzByBYBrq2Bzq3EBq2Buq2BzqEBq3Bz2d40z3AAAa3Cx2Dhq2BzCHEBDcqEtqBuq2BzCHBuCGqEtFcEYAVmBeAZAEBLBCAECCAIBg2Aq2pAUBV2p2Bx2BN2ApAUAf2Ap2j30d10Ax5AR5BD5AM5Ag10Ax5BE5r10Ad10AnrAdBnClAgARAxBEAMAnrAdBnClAgARAxBEAMAnrAdBnClAgARAxBEAMAnrAdBnClBDARAxBEAMDwAoDwAo2CIDECkCeEDDuAoDwEFBXCIDECkDaCeAVBABeCL2BLBkAE2DYAVmBeAZCdBLBCAECCAIAZm6AWCdBAAVBAEZCLAWDYBkBCDMBAq2Bz3qEYq2BuDNAeBBDFEeDmCqCXEcDVCXDpBBDFEeDmCqEdEcDnn2ASDdCpDoDIEzCFECn10q2BzCHCGDcEBFBFeBuq4Fqq2EtFcEYAP5h5En2Ay2AMc5AN4AG2Cb2Bp2Bb6Aa4CUBOv8Al10ADxvAOBdAlAiAvBcAjADxvBPBdAlBSAvBcAjAB2s7AmAk10DrlBJABsAHAkwCVAmEklBJABDrAHAkEkCVAmCS3CxCSCx3CW2Ak6Dr4w10Am7CV3AH8CV2Am3AH2Ak5r4fr2o3AN5o4ARo7DD3AP5h5Cb3Bo2AG5Cw4BhBW2CDBWBGBvtDHEqEWCACECDCRBGBvtDHEqBhCACECDCRBGBvtDHCwBhBWBlCDCRBGBlt2EqEWCACEBvt2Ff4FrCPFr2CP2z10l5w5Aa10Dh2z3Cu5BZELCvDsCfCj2EuDQCvAY2ERCvAY3BtChAYEmCa2Cs2EaDPDSCf2CjBZDsCsCQEQFvFsCaDA2CaDPEmChEaDfBiCQBfAb5FbDG2DxEhCT2ErBUEjAb7DGCTBUEAAbEjErEhAbEXFbAb5FkAbd10DW3FyCt5DqBi4Cf4Df2Bf6DT4AJ4DXAJ9EiFDDKElAJ2g10Cn4Bi2CfCvBf2CP10Ae5u5Au10j10d20Bi6Df4g10z5Cu2CWDhAACS3z2Bb3CSCuAa5z5Aa4DhAa2z3CW2AA2Aa6AoBXEDBXAo6DuCkDwEFDECIDECkDaCeDuDaDwEFCeCIDECkDwCeAn10BD4Ag6r10Ad10Ax10FsFvEQ3e5y10Db10Bo10c10AP10Co10De4Ay6As10o10h10Ar10f3rfh25c10As2AP3AMAGAy3Bq4Bw5Eff10ARo9f8r2Ar5c5d10EjBUDGErAbEhEGDOEXEAAb10Br2i8ETCNDRBQDkBY2By2DCq2BzCHCGDcEBFBFeBuq2BzCHFqDcBzEtFcEYFlAcAXBjCOALDiDZDlEvj20p5Af5k3BH3AFAU3Aq3Bx3AFAz3q2BzCHCG3EtFcBuq2Bu3qEt2FcBuq2EBCHCGqEBEYFeBuq2EBCHFcDcBzBuFcEYDrlBJABsAHAkwCVAmEkw9z3CxCuAaBbCxDhAaj20Ab10At3AQ3CB3DjEb2CY2CK2BK2DzAtAk10s10l10EkABBJABDrAHCVAm3FHEXFbFJFkAbFkCTFbDxCNDR3EgDC2BQ3Dki2Cz2Eg2Br3FtBy3i2ETBY3BvtDHCwBhBWBlCDCRBGBvtDHEqEWCACECDCRBGBvtDHCwBhBWBlCDCRBGAc2AXBjFSALFEFSDlFEFlAcAXBjCOALDiDZDlEvAw2BIBs2DvCyAK3FdAwBIBsDvBFCyAKEOExBZ2Cj2Eu2Ds2DQ2Ca4DA2AY4Ea3DP3Bt4ER2CQ2Em3Cs3Eu3Cj2Ds2BZ3At2AQEbCYCKDzBKCBDjDe4Ay6DxAbDGCTBUEADOEjErEho10y10DWFCFuEJAuFx2EpFLFAg10Cv8Bf2AJ2EiEHDXEEEMElDKDXAJ5El2EHEEDXc10AG10FNCPFfFRFGFrCPFrCPFrDy5o5FzAuCtFnDWFyEpDqCZCta50b50a44Bqa29Efa25b100Aa4Dh3CS3Aa4Cxz5CW3CxmCx2Cu3Bb6AA4FlAcAXBjFEALDiDZDlEvFlAcAXBjCOALDiFSDlEvAt2AQEbCYCKDzBKCBDjBk10s10l6CZw3z3BCCSBACuAA3Ae2BBDFEeDmCqCXEcDVu7Ae2CXAS3DdASDoDIEzCFECCCBe3CLAAAa2Cx2q2BzCHCGDcEBFBFeBuAt2AQEbAQCKCYAtCBCKa10b10AN10i20BIAwBIBsDvBFCyAKEOExBs2Dv2Cy2AK4u5Ae5BBDF2Ee3Dm4CqCX4Ec2DV3nAS2DdnDoDIEzCFECn3CpASDoDIEzASDoq3CHBuDc2EtqBuBp10r7Cor2AG10As10c10a4Cra19Efa9Dta9Bqa5v7Al2CUx6Ai3BSAOBO3BS2EIBc2AjAx10Ad10b50h20c10Bo10De3Ay7AP10c10f30o20Ar10c10h10f10Ay10Cb10h10i10Ae5BB5Ee5BB5u10DF8Ee2Ae10Dm5CX5Cq7Ec3DV7DN3Dp7EcEdDNEd5Dn5An10r10Ad10Bn10Cl10Ag10AR10Ax10BE10AM10j30d10BE5AM5j10Ac2AXBj2ALFEDZDlEvDlAcAXBjCOALDiDZDlEvDlAcAXBjFEALDiFSFE2Ac2AXBjFSALDiBjDlFEAo3EDBXCIDECkDaCeDuEDDwEFCeCIDECk2CeDuBXDwEFDaCICk2DwCeBX2Dw2DuCIDE2DaCeDuCeDwEFBXCIDECkDaEDBD10Bs2FoBI4Cy3Dv4AK4BF2Aw5BFEx2EO2FdAwBIBsDvBFCyAKEOExBFBIAKDvEO2Cy2Ex2DNAeBBDFEeDmCqCXEcDVuDpu3BBAeEdAeDnn2ASDdCpDoDIEzCFECAS3nASn5q2BzCHCGDcEBFBFeBuDuEDDwEFDaCIDECkBXCeCJATBmFgEfCrBwBqDtEKDt2EfFIBq5BmCJ8FgEKBvtDHCwBhBWBlCDBGEqBvtDHCwEqBWCD2BhBGEqtCEEWCRCA2CEtBGBvtDHCwBhBWBlCDCRBGAhACCgDBDLCMEyEwFmESCMAhDgCmDUAhBTCcACFaCN5i5Dk3ET2Br5BY3Cz3By3FtBQ2DR2Eg3DC2iy10l10AB5Ek5s10Ek5Ak5BJ5Ak5Bz4q6FBFeBz2q3EY2FqBu6CH4FcDc2EBEt3CG3AV4AI3AE3m6BA3Be3EZ2Bk6AZ3CL3BC4Cd4AW4DM2BL4DY2CC4BC5AW5m4BL3AE3CC5Bk3Cd2AIBA3mDY2DM2AICo8rCoAP5f4ro10As10Ay5c5Cb5Ay5c10Bp10h5f5y10Fr4CP6FNFf2FRFGFUFKFr2FfAJ10EVAJEiEHDXEEEMElDKEsAJEsEiENDKEEDXFWEl2BR2FjEUFiEUFjEUBR2Au10DWFuEp2DqCZEJFAFCFxCtFAFCFxEp2DqAu3FzAuCtFnDWFyEpDqCZCtm20d20Be2EZBA2CC2AI3DYAE2BLAVCLDMAVAZ2BC2Cd2AW3Bk3p10k20a50BH4CD2BV3BWEq5p5BW2Ap3Ei2BqDtEKk10AF2DK2EiBG3Bg2t30Bh10Bm5Dt4FIAz7BGAU2BNBmBNBm2Ap5w10p5Bg2DHBg2Ap10Asr2AsrAs5AP5ARo4h10c10f7Asr2c5o5As3r2c15f20Ar5De2Bo3DJo4Cb5AG5Ay5n2ASDdCpDoDIEzCFECc6DeDy3q2BzCHCGDcEBBzFeBuq3CHFqBuEt2FcEYo10f5h15k12p8Aq3DHDKCrBm2CJEKADxvAOBdAlAiAvBcAjx2vBPCUBS2xEIAjCMAhDgCmDUDLBTCcACFaCcEyFmDBCgAhESEw2DBc10f20a100f10i10FtBrETDREgDCCzByDkCNh10r10f10DI3ASn3CF3n2CFAS5Ez2u4Ae4BBCq4CXEcDVDNDpEdDnAV10b10AW10l20Ar5h5DJ2CorEn2DD2Db2f20c10DDCi3DDDb4CiCnCvBfBiELDTDfCfgFpg10AP2AN2c6r10q2BzCHCGDcEBBzFeBuq2BzCHFqBuCGEtFcEYCqCXBBCq2EcCqCXCqDVu6Ae4f10EMAJ2EsEVFwDK2EsEVEi2DX2EMEE2FDEHElCt2FCEp4Dq2CZAu5DWFuCtFA2FnCZDqEJCZAu3DqAuEj3BU3Er3CT4DG3Fk2Dx2Ab2FJFHAb2EXEADOEhEo5Bq5CJBw8DtAf5p5AU5k5Aq5Az5Bx5AF2BH3p3AUBHAfk4AU2p8AU2k5BN3BH8Aq2BV4Bx6Af8Aq2g20Cf5EL2Fp3Cn5Bi5g10Ac2AXBjAX3Bj3Ac2AXBjAc6DuEDDwEFCeCIDECkDaCeCkBXDwEFDuCIDECkBXCeDuBXDwEDDwCIDECkDaCex5BO2AD3x10v10BM2BOCU2AO5BMBSBPBO2Bd5Al5BS2BMBP2Ai10Av10Ba3EIBc6Aj10Bf3DT3EL2Fp2DNAeBBDFEeDmCqCXEcDVDNDp2DFCqBBAeEd2Dnn2ASDdCpn3CFnFsFvDA2AY3Ca3q2BzCHCGDcEBFBFeBuCjEu2DQ5DsBZCJATBmFgEoCrBwBqDtEKAT2EfFIBw3AT2CrER2CQDTEm3Cs3CM10Ah10Dg10Cm5DL2DBCg2DU10DL6BTCcACFaBTEyFmDBCgAhESEw2BTBI4EO5AKAw4Cy3Dv3Bs4Ex4BIAKx2BOv3BS2BM2x10v10BM2BOCUEIBav4x2vAOxAlAiBSvBPAh10ES10Ew10BS2BOBPADv5Al6AiBcAOCUDr10l10BJ10AB10s10AH10Ak10w10CV10Am10At10CKAQ2EbCYCKCYCB2DjAQ3EbCYCKDzBKCBDj2EbAQEbCYCKDzCKCBDjFvFsChDSCaAYDPCQEaEuBt3EQ2CQERDs3Cj3BZ3Ca4ChDSDPEaDA2Em2EuERDQ3Cs3AY4y10Aa10Bb10AA4DhAA3CW2CS3CuCx2Dh4z4Cu2Bb4n4AS2nASCFDIn2CpDdnDoASCFnECASCFDo2n2DInCpECqBu3q4FcEtEY2Fc2BuEtFqCG2BuBx2p8k7AF3BN3Aq7AU3BV3Ap4AU2k2AF2p2AqApDD5Ci5De4AP6As10c10o10a100b100j20i20Bzq4EYFcDc2CG3Bu4EtDc3CH3Dc3q4f10CWCSDhCxDMCxCuz3AAAa6Bb2AAj10i10a10m10d10Ae10i10f10z3Bb2Cu2AA3w3ABl2s4v10x5v2Av3CUBO2Bd2BSAiAj3ADxvAOBdAlAiAvBcAjBaxvBPAOAlBSAvAOAjAn2ClBnrBEBDAdrAdBrBYDCDkByBQCNDR2EgBfg5DTELg2AmAB2w7s5l5b50ClBDAR2AgBnAxBEAgAMu20n10AS10b30a10Cw5Ap5a10ESFmCMCmFaAC2Ew2CgBT2Ah3DB2CcCg2d20f10Co2AN2Db2En2DD2Dy4Ay2De2DJ2c10h10AG3o7As5AP5f10c10h10Ay4De3Ay3AN4DD2Bp4Co5Bo5Ar4Cb3En3Db3AdCiDJ2Dy3h5As5AP10o3Ci3Bp4AG5Ar5f5o5CMAhDgCmACDLBTCcACFaEwEyFmDBCgAhESEwCg2DUCcDgCmBTAhDBAhBTFat2DHBh2BW2CDCRBGt2DHEqEWCACEt2BGEr3EX2EGFJDx2DOAb4Ej3CT2FbBU3EAEhDG2Fk2FHFoAKBIBFAKBFAw3DvFdAwBIBsDvBFCyAKEOBsAT10Cr4CJ6Bm10EfFgDt3Bw3EKEfAT3Bm6BqAg3An2r5Cl3Bn4Ad3AxBEBDARBEAMBEAn3rAgBDARAgAMAnAdr2Ad3AR2AMBD2Ax2c11hAR4hAR3AG10o10f10Ay5De5Cb5AP2AM3As5DJ5Bo5Dy5Ci5Db5x6BOAj3Ai7Av3v5BaAO2BP2BM2BOBd2BaBSBOBcADBMAOBPBdAjAvBSBOBcADw10l10Ak10Am10AH10Bx2AF2Af3p3k2AU2Aq2Az2BH2CAEWEq2EWCACE2CRBGn2ASn17z4Cu3CxCS2Bb3CxBCCuBb3CWAB5Ak5j10Am10l15s5BJ5AH5Ak10Am5Ak5Am5AB5w10Dr5CV5Ek5Ak5s10x3BO2ADAiAj3AD2Bc2BdBa2Av3AD2AOCUBMBaBd2BP2BM2BOCUEIBaAiBOAlvx2BPAOxAlAiBSvBPv4BcAO5BS5x5Ai5Av5BM2Bc2Bdv5Al5BaAj4Br5BY5Cz4DC4ET2By5CN5DR4BQ3Ft3Eg5Dk4iBs3Fd2ExBF3FoCy3EOExDv4FoBI4AK3Aw2AKAw10FdAwBIBsDvBFCyAKEOExBbAaBbzAaCu2DhAa2CxzCxCuCxCSBbCWCSCuAa2CSCu2AACSAACxDhCxBbAaCWBbAAAaBbzCSDb5Ci5o5AN5Ar10Co5Ay5c10y10n2Cp2nCFDIECDd2n4Dd2DIECCpDoCFDo2AS5Ez2Az2AF4Bg2BN2k2Bg2AfBN5Bx3Az2BV2BH3k5Af5Aq5AU5Au5CtFLEpDqEJFzAuCtFnDWFyEpDqCZCtBE2BnAnr6Cl2BD3AxAg4Ad7BDAMBEAx4AR5BnAg3Adr6An4AM3BnrBDDI3CpDo6EC3DdnAS2CF2n11Dd4nEz2Cp2nBP5Ba5BM5CU5Aj5BO5Av5Bd5BS2BO3CUAv2Aj2Al5AD5Al5Ai5x5EI2Bc8BS2BM3AO5BS5AU6Af4AF10Bg10Aq10Af2Az2Bg2kAp3Az10k10Af10p20m2Cd2AVAI4AZ3BA2BkBe2CL2DY3AW2DMCC4AVAE2BL4BC2BkDMBtChCaAYCsCjDQBZDsERCh2DS2DA3Ea2ChCj2Cs2Em3Ds3ER2CQ2EQBt2AY3e10DP2DQ2Eu2BZ2Ca2Al6AD4Bd3v2Ba3BM2l5w5s5Ak5DrlBJABsAHAkwCVAmEO2AK3ExAw4BI3Bs3BF3CyAn2BDARrAMBErAxAgBo5Dy5AdAgBDAxAdAMBE2AxAgl10Am10BJ10AB15BJ5AH10Ak10DrlBJABsAHAkwCVAmEkw9s10g20Bi3Cn4DT3Df6Cf4p4AF2BH2BN2Ap10BH3BNBx2Az4Dr4CV3Ek3w5s5Ak5l5t10CE4CA2BhBG3BhtDHBh2BW3BG2BhtDHBh2BW2CDBG2Ab5BUDGEGFHFJEA4Dx2Fb2EG2DO4Er4DG2AbEj4FkBU3FkErAb9Eh4CT3EXFHFJBB10Cq5Dp5Ee5DF5Ec5Dm5DN5DV5Dn5Ed5DV5DN5Aj4Ba2Al4Av3Ai4x3BP2BOx2v5c20Ar10Cb10AG5AN5Bp10o10f9rAN5AG5Co10u10Ae10Dm5Dp2Ec3Ed5Dn5Cq5Ee5AT6CrEKFgEoATFIEo4EK2FgBm7CJ2Dt2Bq5Dt3Cr2Bw5Ef2CJ3AoBXEDCIAo6DuCkDwEFBXCIDECkDaCeDuDaDwEFCeCIDECkDwCeCJ5FgBq2Dt2AT4Bm6Bw3Cr2EK2Eo2EfAM3ClAd5BEAn4Ag5BnBD4r5ClBEBnAx3AR4Axh10De5Ay5AP10Ay10Db5As5Dy5DD5En5o5DJ5Ci5As5Db5Bo10d30g10AV3Cd4EZ3Be5CL5AW5AE5Bk5CC5AE5BC5DY4DM6DhCW2CxBLCWAaAA3DNAeBBDFEeDmCqCXEcDVuDpu3BBAeEdAeDnn2ASDdCpn5Cu5z3CS2q2BzCHCGDcEBFBFeBuj10EQ2DA2DSDQEmCsEu2EaDPAY2Ca2e4DsDQCjBZERCQe4BR2FjEUFiEUFjEUBR2At2AQEbCYCKDzBKCBDjAt2AQEbCYCKDzBKCBDjESCm3DB3Cg3Ew2Dg2CmAhDLDUACESCMAhDgCmDUDLBTCcACFaEy2FmDBCgAhESEw2EyFr3Ff2CP5EsDKEiAJDXEVENEHDXEHFW2EE2ElFDEMEl2FDn5EzAS4DICF3Do5ECDdAS4Ez2Cp3Cn2Bi2Cf3Df3Af3Az2AU5Af10k3AF5AU2Az10Aq3BH2BN2BV3Bg6Bx4DR5BQ5DC4By6Cz4Dk6BY5CN5Eg3Ft2iETBr3Ac2AXFS2FEDiAcCOEvFlAcAXBj2ALFEDZDlEvFlAcAXBjCOALDiDZDlEvFo2DvBIFdBF3DvCyFdAwBIBsDvBFCyAKEOExDs3Eu2Cs2AY3DP2DS3CaEaBt3DQ2DA3Cj2Ca3Ch2BZ2Em3CQER2DQEaCjBtChDsBZCsERCQe10ER2EmCQBtEaAY3DSEmCs2Ch3DQDPDs2DQBt2BZ2EuCjDACa2y10Dc4Bu6CG6Et3EY4Fq2Fe3EB3FB2CH7Bu2Et2q15Fc3Bz8DWFuEpCZDqFLEJFAFCFxAu10FzAuCtFnDWFyEpDqCZCt',
+    132: 'b100DW4FyCZFu2FzFnCt3Ep3Dq2CZ2Au20g50Cn4Bi6c10Ay10Bo5f5As5o15c5Bo5Cb5h10Cb5o20Bv4Bh6t8CR2DH4BG6Cw7BW3DuAoDwEFBXCIDECkCeEDDuAoDwEFBXCIDECkDaCeBl5CD5m5AE5m10BA10u5Ae5DNAeBBDFEeDmCqCXEcDVDNDpBB2DF2EeEdEcDnn2ASDdCpDoDIEzCFECDI9ECq2BzCHCGDcEBqFeBuq4Fqq2EtFcEYCJATBmFgEoCrBwBqDtEKATCrEfFIBq2CJBqEf2BW2CA2CRCE3EqCAz4CWAa5Azk9AzAf9ADxvAOBdAlAiAvBcAjx3BPAl2BS4CMAhDgCmDUDLBTCcACFaAhEyFmDBCgDLESEwACAhDrlBJABsAHAkwCVAmEklBJABsAHAkwCVAmz2AACxCuAaBbCSDhCWd30BM2BOCUEIBav4xv9Bz2q8Bz4q6EBFeBz2q3EY2EBBu6CH4Dc3EB2Et2CG3AwFoBIBsDvBFCyAKAw2i10BY3By3DkBr3BvtDHCwBhBWBlCDCRBGBvt2EqEWCACEt3j20FlAcAXBjCOALDiDZDlEvAc2AXBjCOALDiDZDlFEFdAwBIBsDvBFCyAKEOExl5s5e2BtDQFsEue4ERChDPBtFvEaAY4CjBZDsCsCQEQDSEmCaDACG3CHBu5EYEbAtAQEbCBCKCYBK3CF5Ez5DxAbDGCTBUEADOEjErEhAbEXFbEGAb2FJFHFkAby10CtFCFuEJEpDqFxCZFLFACnCvBfBiELDTDfCfBiFpCf4Df4Cv2EVAJEiEHDXEEEMElDKEsElFwElENEsFDAJFW2ENBR2FjEUFiFhFjFhBR4FjEUFh2FjFhBR2FNCPFfFRFGFr3CPFrAo3Dw2CICkDEBXCeAu4DWAu5v30BS10BP2Aj2BdBa2BO2Avx10EIBc2CU2Aj2AOAiBcBP3Ai4BO2Avv10BMAl4Ba2Bd3h2Dy2Cb3AM3Ci2Aro7Ay6AG4Ac10AX2FPBjFSALDiFEDlFEBjAX2Bj2AL2FEFPBjAb20EADOErEXDx3BU3DGCTAbEGFJEj2FHEh2j30d30Eqt3EWCACECRBh2i10q2BzCHCGDcEBEtFeBuq4EYBz2FcCG2m25Be5AW5Cd5EZ3Bk4CL3AI20AE10BL6BC4CL7CC3AT4EfAT2CrAT2DNAeBBDFEeDmCqCXEcDVAeDpAeu4EdAeDnn2ASDdCpDoDIEzCFECn4CpDon4q2BzCHCGDcEBFBFeBuq2BzCHFqDcEBEtFcEYCJATBmFgEfCrBwBqDtEKEfCrEfBq3Bw2Dt2Bm7DtCJ2zAA2DhzCuAa2CuCSh30AR2hAR3hAR3CMAhDgCmDUDLBTCcACFaAhEyFmDBCgAhESEwACAhy20DhAA2CWAAAaBbz2mw10l10Am7Dr3AB10Dr2BJCV2AH2wAk2BJ7Ek3s10l2BJABsAH4AmEkls3AHCV4Ak10AwFoBIEODvBFCyAKFdExByFtCNBQDREgBrBYCzDkByCNETBQDCBQBrBYCzBrBvtDHCwBhBWBlCDCRBGBvtDHEqEWCACECAtBGAGDbAsCoAy2APoCbANArDJ2Cio2EnDe2hFlAcAXBjCOALDiDZDlEvAc2FPBjFSALDiAXDlFSFdAwBIBsDvBFCyAKEOExp10k10Ap10Bx4BN6AqBNAUAp2k2Azp2AF3Aq7AF4Az6Bg3Af7AqBNAUApBxAfkAzp2BV4AU6e10Bt6Ch4Ea4DP4DS5Cj6BZBtChDsEuCsEmFvCaAYDABZ5Ds4EuBf3DQ4Cs6Em4DfEQER3BiBZFsCa5DA3AY7CnCvBfBi3CvCfCvCfa10d20AJENEHDKEMAJ2EVAJEVBS3Aj2x5EIBc2CU2Aj2AO3BP3Ai4BO2Av3BM3v5BMAl4Ba2Bd3l10w10BJ5Am5AB10l2sABsAk2wCVAmAH10Ak10Dr3Ek3CV4l4ABw2s13p10Ap10k10AU2AF8AfBNkp2AFAqAzBgApAz4BGAz5BN6AU4Bx2p8Af15k5AVm9An5Ag5Ad5AM5BD10r10DuAoDwEFBXCIDECkDaCeDuEDDwEFAoCIBXDECkCeAVmBeAZ5CC3Bk9AVBA2CLAW2BkCL2Bed10DNAeBBDFEeDmCqCXEcDVAeDpAeu4EdAeDnn2ASDdCpDoDIEzCFECCp2ASDdCpDoDIEzCFECq2BzCHCGDcEBBu3q2BzCHCGDcCGEtFcEYBm3FgEfCr2BqDtEfFgEf3CrBm3Dt2d10AaBbDhAACxDhCuAA2CuAfBNkApAUAFAqBxBHAzBH2Aq8ADxvAOBdAlAiAvBcAjADxvBPBdAlBSAvBcAjCMAhDgCmDUDLBTCcACFaAhEyFmDBCgAhESEwACAhBT5AhBTCcBTFaCg5AhCgEwCgAhCWzAACSzAaAACWAazAP6Ar4De5Bo5Co2AN5Bp3As5rEnDD3c6AG2AP2Db5Ci5c10o4Dy2DJCb3Ay5f3DyDJAG6o4g10Ft2CN8Eg2ETEgDkBY5CNBQ9Cz10By10Dk2Br8g20CnCvBfBiCn2CvCfCvBfg10e13AY2Bt2Ch2BiDPBZ2CaDSDsBfCjCsAYEmCaFpCfBfBtChCfCsEad20BV3Bg7Ap10EP2FFFQFTFMFOFYEP2Cb6AM2AG2ArrArAG2As2Bo3o10c2Agc2AgDb4c10AN8As2CoAy8DyCoEn2Dy2AP3Cb2Ci5APAMAP2AMAgc9An10r10Ad10BD10r10Ag10Ad5AR5Ax10Ag10BD5AM5An10r10Ad10Bn7BD3Cl10Ag10AR10Ax10BE10AM10DD5Db5En5Bp5AP10Co4Ar6AG5Ci5AP3Ar7DJ5AN10DJ5Ci5AG10Ci5BX6Ck7Dw7Ce7DE7CI6DuAoDwEFBXCIDECkCeEDDuAoDwEFBXCIDECkDaCeAo10BL6BC3AIAZ5AV5AI7BCAI2u5Ae5DNAeBBDFEeDmCqCXEcDVDNDp2DnDVDm2Ed2Dnn2ASDdCpDoDIEzCFECn10q2BzCHCGDcEBFBFeBuBz5q2EtFcEYCJATBmFgEfCrBwBqDtEKBm2EfBq2Cr2Dt3Bu3Bz2q5AABb5CxCu2CSBV6Az4Ap3AU7ADxvAOBdAlAiAvBcAjFtBQ3Cz3CN3ET2i4Eg3CzBr2BY2DCDk3By2DrlBJABsAHAkwCVAmEklBJABsAHAkwCVAmz2AACxCuAaBbCSDhCWAq7Ap3AF4Bg6Bx7AF3BH5BN5p2AqAfAUAFBxBNApkp10u8Ee2Ec2CX2DN2DpEd2DnBB5Cq5Ae5DFDVDm2CXAwFoBIBsAwBFCyAKAwBFi10BQ3DR3ETDC3BvtDHCwBhBWBlCDCRBGBvt2EqEWCACEt3DvAw2BsFd4EOExEOBI2BsAwBFAK4Ac2AXBjFSFEDiFSDlFPAc2AXBjFSFEALFPDlFPFdAwBIBsDvBFCyAKEOExAe10DFEcDVDFDNDmCqBB3CXEcDVEdCXDmCX2DN2h10AT5FgEf3EKEb2BKCB2CKDzBK2DjDxEXBUEGBUEAAb4DxAbDGCTBUEADOEjErEhu10Dp2DnDVCqDnEdBB3DWCZCtFnCt2Ep2DqFACnCvBfBiELDTDfCfCvFpCv4Bf6EVAJEiEHDXFDEMElDKEsFWFwEiENEsEEFWFwEMElBR2FjEUFiFhFjFhBR2DX2AJ8CZFyCZFuEJCtEJFzCt2EJ2Dq3EpDqCZDW2FzAuCtFnDWFyEpDqCZCta50h20a13EfCJ2BwAT2a111f10o5AG5Ar5Bo5c5As2Ci3f5o2AMAG2Db7De3Cb3Ag2Dy2AP3c20f10Be3BA2CC2AI3DY2AE4BL4CL3DM2AV3AZ2BC3Cd4AW2BkEZ2m3BAAWBk2AZd10CE10f20DnCq2CX2DV2Dn3AS5Cp5gCv9AS4CpDon2CF2n2ASDdCpDoDIEzCFECn4CpDoDIEzCF2q9Buq9Buf10c5f5AG4AMh5Bl5k5AT2Bm2Ef2FgEo2EKp10x2vAOBaAlCUBaBcAjx2vBPCUBS2xEIAjs20BxBGAp8p10Bq2Dt2Bw2Cr2CJ2Ar7Ay3As10o15AP5c10AN4o2AsrAG2f20c10Bo2h8AwFoBIBsDvAKCyAKAw2i10BQCNCzDREgDCDkByBYBrc10AM10c10f5c5Aw2BIBsDvBFAwAKAwAKAw2BIBsAwBIAwAKEOAK2AwBIBsDvBFCyAKEOExb40l6Am4s25w5Am10w10Ar5f5AG3c7o10As3r3AsAr2fo3f4hAy2AMAy9c20f10h9oAMAG2AP5Ar2o5c3Ay2c15o4BpAN2rEnBo2AG2Ar2c10As4Ay2BoCi2DDc10l5AHAkw3AB2BJs6Aml3w3Ak2DrAmd40q2BzCHCGDcEBFBFeBuq2BzCHFqDcBuEtFcEYn6DI2CF2n2ASDdCpDoDIEzCFECsBJ2AB2AHs2CV2BJ10AH10BJ2s8AB10s5Ak5CF2AS8n5Do3EzECu4DF3Dp2DNu10Ae10Be8CL2Bn7Cl3BE10m40Cd5AW5BC6BA4DY2DM8b100AaCuCSAaz2AACW2DhAf2k8Af3Ap3p4ADxvAOBdAlAiAvBcAjADxvBPBdAlBSAvBcAjAl5v5BS4BM4x2DrlBJABsAHAkwCVAmEklBJABsAHAkwAkAmAAzmCxAAAamCSAAzCU10x10AD2Bd6BP2BM2BOCUEIBaAiBOAlvx2BaADxAlAiBSAlBPAj10Ba2AlAD2x15BM2v8Al10AwFoBIBsAKBFFdAKAw2ByCN2BQ2EgBrBQCzBQEgBrETDC2Cz2ByiByBvtDHCwBhBWBlCDCRBGBvCwBlEqEWCACECDtDHAGDbAsCoAyrAPoCbANArDyDJAdDD2EnBpDehAc10AX2FP3AL5FdAwBIBsDvBFCyAKEOExAv6Ai4e30Bt2AY4Ca2EaDPCH2Et2EY2FcDc2FqCG3Bu3q2Bz2Cp4Do4Cp3Dd3nDoDI2nECBP2AD2CU2BO2Ba2Cn6Bi4CnCvBfBiELDTDfCfELFpBiCf4Df5Cv3Bf6DTg10BR2FjEUFiFhEUFhBRFhBR2FjEUFiFhEUFhBRFhg30a4ATa9Bwa9FIa9DXa15i20p19BGp10a100AE10AZ10b10w20b50AwAKBIBs2BFAK2DvAwa14DXa9DXa15q2BzCHq2FqEYBu2q4Bu2q4Ac2AXBjCOALCODZAcFSAc2AXBjFSFPCOFPAcFEBFAwBIBsDvBFCyAKEOExa54EVa5Br10i5ET2By3BQ4CN4Dk2BY2Cz2FtDC2i2Ftc20h10c10f10c2f38c10h30o10AN5AG2AMAG2f40r2h4fhf27h35Ar5AG5Dy5Ay5Co3r2AN5As5AP5c40h60a14EVa9EVa9EMa19DXa29EHa9DKa5AU2AF8Af10Aq10FgDtBNAqENAq2Az3BHAf2App2k2AqBGAU10BHAp2CrBW2Ap4p6Bg4p10Az6k4AV12BC2CC2AW2Cd12AE10BL10AI5m5AW10Bk8AE2d20t10Cw5CD5BGBhEWtCA6Bh5BW5t10d50AW2mCLCCDY3DM2r10Ad10BE5BD5r5AM5Ag10AR5AM5AVmAZ2CdBLBCAECCAEm2AV3Cd3BL2BA2EZCLAWDYBkBCDMBkd10DNAeBBDFEeDmCqCXEcDVDNDp2DFu2CqEdDn2n2ASDdCpDoDIEzCFECAS10q2BzCHCGDc2CHEtBuq4FqBuBzEtCGEYCJATBmFgEfCrBwBqDtEKAT2EfFICr2BmBqDtBqd10AAzAACSAAAaDhAa2CWAfBN2ApAUAFAqBxAz7Ap5ADxvAOBdAlAiAvBcAjADxvBPBdAlBSAvBcAjCMAhDgCmDUDLBTCcACFaAhEyFmDBCgAhESEwACAhBT5Ah3BTAhCg5Ah3CgAhz2AACxCuAaBbmDhCWAazAACxzDhBbCWzAaAF5BN5AF2Af8BM2BOCUEIBaAiBOAlvx2vAOxAlAiBSvxBx2AU7Aqp9AqslsABsAHAkwsAmEklsABsAHAkwCVAmmzCuCSAaCxAABbAazCN3i7By2CNBQ2EgBrBYCzDkBQ2ETBYDCBYDkByiByBr9BYBQ4i6Cz10ET3DC4i3Ac20i10Cp10nECCp3DoDI4AS3Dd2DoDI3ECCF3Dd2DoDIEz3Cp5DoDIEz3Cp5DoDIEzCF2EA3Dx8Ab2BU7BvCEDHBlt6y10DWCZFuEJEpDWDqCtFLDqCnCvBfBi3DfCf3g30Cn10Bi10CZ4Ct2DqEp2Dq2CZ2AuCZ7AuCtFnDWFyEpDqCZCtx3Av7Ai10BO10BS4AiBS5BP2Aj2CUBa2BO2AvAj10AO10Ai10v10Al10e30Cs5Ca5AYBiChBtCse5AY10Cj8DPEQCh6DP2Ea2e10Bt6BZ3EQl4wDr5l10s10AB5Ek3wEkl4w6AHAmCV2wCV5Ak10w10l5AHAkw2Am11AW2CL2CCBL2BCBk2An10Ax10Bn5Cl5An5BD5DuAoDwEFBXCIDECkDaCeDuAo2EF2DuBXDaDwEDAVmAZ2CdBLBCAECCAEm10BA2EZCLAWDYBkBCDMBkq2BzCHDc2EBCGEtBuDNAeBBDFEeDmCqCXEcDVBBDpAe2u3EduDnAd10r10q2BzCHCGDcEBFBFeBuq4FqCGBuEtFcEYBm3FgEfCrBwBqDt2BmEf2Bq3Cr4BuCGFqFcEYDcCHEtBzqzAazAa2CSCWmBbCuk10Bg7BV3ADxvAOBdAlAiAvBcAjADxvBPBdAlBSAvBcAjCMAhDgCmDUDLBTCcACFaAhEyFmDBCgAhCcEw2AhDrlBJABsAHAkwCVAmEklBJABsAHAkwCVAmCSzAACxzAaDhAAzAaAP9AMAG10As10Ar10Ay10Cb4AnCbCi2AdCiAG4AMf5DJ5Co5c10Ar5AN5AO4BaADAO4EI2Aj8Av10BS4BcBS4BPCU2Al5Ai2ADBa10Bc5Ai5x10BM8AO2AD5Al5Ay10Bo2Db2As5DDo12ARo12c5Bo10c10EnrEn2rDe4Anc5h2ARh2Ci3AdDbBp5DWEJFuEJCtDWFxEJFLFACnCvBfBiELDTDfCf3g20Cn2BiCfDf2CvBf3BR2FjEUFiFhEUFhBRFiDf3Cv7Bf10g10FzAuCtFnDWFyEpDqCZCtd10xAOBc2EIAiCUBMAlADAj2BOBdxBa2BPBdxAvBSx2ADAjAlBaEICUAnrAdBnrAgARAxAnAMAnrAdAgAdAgrAnBEAMAnrAdBnAg2ARAxAdAMBABbz3CdBbCLAABez2BeCuDMAa2BbAazmDMBLzmzmCLzBCAq4ENAqENEik2Ap4k6Af5AFp4Az5AF2AU3l3ABsAHAkwlAmAB5AHwAm3Ak10w10l10s10An10AM10BE10BD10Ag20AR10Ax10r10Ad10An10AM5BD5Cl10Bn10Ax10DuAoDwEFBXCIDECkDaCeDu3EF3Da2ED2CIAoDwEFAoCIDECkDaCeBXAoDwEFDaCICeCkAoDEAo2DwDuDaCICkCeEDCeBn10i10BrDk2DRBYByBQ2DCFtn2ASDdCpDoDIEzCFECAS10DuAoDwEFBXCIDECkDaCeDu2DwDuDEDaBXCeCkEDCJATBmFgEoCrBwBqDtEKAT2EfFICr2BmBqDtBqDx3Ab5CT2AazAaBLCdAaDhCxCCCWk10Bx3Bg4BV3ADxvAOBdAlAiAvBcAjADxvBPBaAlBSAvBcAjCMAhDgCmDUDLBTCcACFaAhEyFmDBCgCmESEwACAhDrlBJABsAHAkwCVAmEklBJABsAHAkwCVAmAazAACuzAaBbzAIBCb30BM2BOCUEIBaAiBOAlvx2vAOxAlAiBSvADi20wl6AB3AHs6Ak2wATBm3Eo2BqDt3i10CzBrDC2Dk6iDR4ET3BYByBvtDHCwBhBWBlCDCRBGt3EqEWCACEt3Ft2CN4BQ4DC4DR3Eg2FtAc2AXBjCOALDiDZDlAXAc2AXBjCOAL2DZDlAXi10Bw4Cr6m10Cd7DM3m7BA3m3Cd3BA2DM2Bv2DH2CwEWCwBh2BWBl2CDBhBGtCACEt2qBz2CGCHDcCGBuqCHDdECCF2Do3EznCpEP2FFFQFTEPFOEP3g14ELDTg2ELgAc2AXBjAL2AcBjDlAXEVAJElENFWEE2El2EsAc2AXBjAL3BjDlAXBR2FjEUFiFhEUFhBRFiAX3BjAXAL5FNCPFfFRFGFfCPFfCPFfCP2Ff2FGFfFKFrCPFfj10',
+    133: 'AcBTd2.6a2.6b2.10j10.10b20Ac10b20a40BxAFBg2AU2Ap3Az2Af3k4p2b40j20c11fc2DbCiCbEnc3o2f6cANBpDDAPBpAGoANAGArh2AsDJhAs2Dy2hAy5Bo2AyCoDeo2Aro3AP2AGof10AnrAdr2AgAx2AnAMAnrAdBnClAgARAxBEAMAnrAdrAg2AdBD2rAnrAdBnAgBDARAxBEAMAo2DwAoBXCIAoCkCeEDDuAoDwEFBXCIDECkDaCeq2BzCHq3EtCGBuAVmBeAZCdBLBCAECCAIAZm6AWAIBABLBAEZCLAWDYBkBCDMCdu6CqCXAe2DNAeBBDFEeDmCqCXEcDVBBDpBBDFEeDmAeEdAeDnn4Cp2DIEzCFnAS3DdASDoDd3ECq2BzCHCGDcEBFBFeBuq2Bzq4FqFcBuCJATBmFgEfCrBwBqDtEKq2BzCHqDcBuEtEYBuDNDpBBDFEeDmCqCXEcDVz3CxCuAa4CWAF2BH2p6Aq3BxBVAUBgAUBN2ADxvAOBdAlAiAvBcAjADxvBPBdAlBSAvBcAjCMAhDgCmDUDLBTCcACFaAhEyFmDBCgFXESCcACAhDrlBJABsAHAkwCVAmEklBJABsAHAkwCVAmz3CxCuAa4CWAA6BbCSDhAaBNAz2kAzAf5k7Ap3BM2BOCUEIBaAiBOAlvx2vAOxAlAiBSvBPl4Ak6s10DrlBJABsAHAkwCVAmEklBJABsAHAkwCVAmz4Bb3CSDhAaAwFoBIBsDvBFCyAKAw2i10BYBrFZDREgBQCzByDkCNBvtDHCwBhBWBlCDCRBGBvCwBlEqEWCACEBht2y20FlAcAXBjCOALDiDZDlEvFlAcAXBjCOALAcDZDlEvFdAwBIBsDvBFCyAKEOExe10CaAYDACsERCQEQe7Chd3DPDSd10t10At2AQEbCYCKDzBKCBDjBYBri4ETByFtDCDxAbDGCTBUEADOEjErEhAbEXFbEGAb2FJFHFkEjEP2FFFQFTFMFOFYEP2DQAYCaCsFsDsEaBtCjBZCnCvBfBiELDTDfCfgFpg10EVAJEiEHDXEEEMElDKEsAJ3ENAJFDAJFWAJ2BR2FjEUFiEUFjBR3CMEyDgCmDUDgBTEwACAhFNCPFfFRFGFUFKFrCPFrBBu3Ae3EduDnFzAuCtFnDWFyEpDqCZCtb20d10Bq5Cr3Bw2AtAQ2EbCYCKDzBKAQ2DC3Cz3BY2Br2BdxBaCU2Bav2BO2BKDzAQEbCYCKDzBKCBDjh3f5c2CnCvBfBigDTDfg2Bfa60b40j20At9DjAQ6CY3CBEb2CK3DzCBBK2DjAb10Er2BU2Ej2CT2DxFkEXEGFbFHDGFJDOEhDGEAc10f10AnrAdr2AgARAxBEAMAnrAdBnClAgARAxBEAMAnrAd3AgARAxClAgAnrAdBD3ARAxClAMDuAoDwAoBXCIDECkCeEDDuAoDwEFBXCIDECkDaCeq10AACx2DhAaz4CWDh2Aa2AA3Aa3CW2CS2zCu2z2CSu3BB2DVCX2DmDnDNAeBBDFEeDmCqCXEcDVuDpu3BBAeEdAeDnn2ASDdCpDoAS2DdnAQ4CYCKDzBKCYDjq2BzCHCGDcEBFBFeBuq2BzCHFqBz2EtFcEYCJATBmFgEfCrBwBqDtEKCJ2EfCJBm3AT3z6Aa4An10r10Ad10Bn5BD5Ad5r5Ag10AR5BD5Ax10BE7Cl3AM5r5c30o3As7f20h10AG7As3f20AwFoBIBsCyAwCyAK2Exi10BYBr2DREgBQCzByDk2BvtDHCwBhBWBlCDCRBGBvCwDHEqEWCACEBht2BQDC2By3BY2BrETFlAcAXBjCOALDiDZDlEvFlAcAXBjCOALDiDZDlEvAc2AXBjCOALAcDZAXEvFdAwBIBsDvBFCyAKEOExAyAN4Ay5Cb2Co5Bo3o3DJ2Ar5o10Ar3h4AP3Bp4DD3Db3Ci3AG4Dy3c20En2De2AP5DJDWFCFuEJAuDWFxEpFLFACnCvBfBiELDTDfCfgFpg10Bs3CyBF3EO2ExAw4BI2AK4t11CABlEqEWCACEBWCRBGFuFACt3FCFxEpDqEJAu10FzAuCtFnDWFyEpDqCZCtFdAwBIBsDvBFCyAKEOExFoAwBIBsEOBFCyAKDv2d20CTFkDxFHFJFbDOEhEXEGAb5DGErBUEjEAEQDSDPEa2BZ2FsEuDs2ER2DACjDABt2CjFvDQ2Ch2EuCa3AY3Cs2EmeEmeCQe2a20AJ3DXFwFDFWENAJElEHAJEiAJEVEEEMElDKEsn2ASCpDdDoDIEzCFECASDdCFDonCpEzDInECAc2AXBjFSALAcFE2EvAc2AXBjFSALDiFE2Evb20y10BB2DF2Ee2Dm2Cq2Ae10CX2EcDV2DNDpEd2Dnu10EP2FFFQFTFMFOFYEP2h2AsDJAsCo2Dy2DJAy5Bo2AyDe2c2o4AP2AG2Ar2f2En2Cb2f2AnrAdBnrAgARAxBEAMAnrAdBnClAgARAxBEAMAnrAdBnAdAgARAxBDAgj20BR2FjEUFiEUFjBR3AVEZBeCLBkCCDMDYAE2AVmBeAZCdBLBCAECCAIAZm6AWAIBABLBAEZCLAWDYBkBCDMCdu10DNAeBBDFEeDmCqCXEcDVAeDpBBDFEeEdCqEdDmDnn2ASDdCpDoDIEzCFECAS3DdASDon2DdECg10Bf3DT3EL2Fp2FlAcAXBjFSFEDiDZDlEvFSAcAXBjCOALFEDZCOEvBU2CT2DG2DxFbEXEhv3BS4Aj3x4Al3Av3AO4Ai3Bc3CnCvBfBiELDTDfCfgFpBf3Bi2g5EpDqCZAu12CtFnFz2CtDrlBJABsAHAkwCVAmEklBJABsAHAkwsAmEklBJABsAHAkw2AmAk10DrCVsl2BJ4wAD2EICUBMBaBd2BP2BM2BOCUEIBaAiBOAlvc10AN2Db2Ci2Bp2DD2AP10o10AG5h5Ar10CJ2EfFgCr2Bq2DtEKAT3FIEfBw2Bm3BvtDHEqEWCACECDCRBGBvtDHCwBhBWBlCDCRBGAo2DwAoBXCIAoCkCeEDDuAoDwEFBXCIDECkDaCeFr2FfCP7p4BN4Bg2p4BV2BH2Az2Af3Aq3Bx2AF2k6Ap4Af2AU3AfAz4z8Cx2AA3Bb3Cu2CW2AA2Aa2Bb2z2CS2Aa8Dh2CW3CSz6Bb3CS2AA5Bb2Cu3z2Aa3Dh3Cx3Aa4CMAhDgCmAhDLBTCcACFaDUEyFmDBCmFXESCcDLCgCMEyDgCgACFXBTEwDUDBq2FqEY2DcEBFBFeBuq2BzCHCGDcEBBuFeBu2qBzCHCG2Et2FcBuAt2AQEbCYCKDzBKCBDji4FZ2Br2DC2BY2Cz2Dk2By2ET2CN2DR2BQ2Ft2Eg2BI4BsAw8AK6BFd20CTAbDxAb2FbAbEhEXAb6DGErBUEjEAEQDSDPEa2BZ2DSEuDs2ER2DACjDABt2CjFvDQ2Ch2EuCa3AY3Cs2EmeEmeCQe2a20Ad10Bn4r6DI2Ez2Do4DdECASDdCFDonCpEzDInECAS3Ddn6AS3Cpn4CFDob20j10BB2DF2Ee2Dm2Cq2Ae10CX2EcDV2DNDpEd2Dnu10BvtDHCwBhBWBlCDCRBGh10Co6DJDe3c10f10AnrAdBnrAgARAxBEAMAnrAdBnClAgARAxBEAMAnrAdBnAdAgARAxBDAgBD6Axr2ClAo2DwAoBXCIAoCkCeEDDuAoDwEFBXCIDECkDaCeAE10AVmBeAZCdBLBCAECCAIAZm6AI3BLBAEZCLAWDYBkBCDMCd.30o10.30Eh10.20v10x10AO4Ai3Bc3CnCvBfBi3DfCfg2Cn4Df2Cf4CMAhDgCmDUDLBTCcACFaEy2FmDBCgFXESEw2FaDrlBJABsAHAkwAHAmEklBJABsAHAkwlAm11l20AD2BaCUBMBaBd2BP2BM2BOCUEIBaAiBOAlvo10AN2Bp2fBp2DD3s10AH2Ak8AH3BJ3s4w10Dt2EfDtCr2Bq2DtEKAT3Ef2Bw2Bm3BvtDHCwEWCACECDEqBGBvtDHCwBhBWBlCDCRBGBQ7DC2Czy20p4BN4Bg2p4BV2BH2Az2Af3Aq3Bx2AF2k6Ap4Af2AU3AfAz4Cx3Dh2z5Bb6AACS3z5AA2Aa3Cu3CW3Aa4p4k9Af6Az2BNAp2AU3Bg3Bx2AF4Aq2BH2CMAhDgCmACDLBTCcDgFaAhCgFmDBAhFXESEwDUAhCMEyACCmDBFmBTEwAh2q2FqEY2DcEBFBFeBuq2BzCHCGDcEBBuFeBu2qBzCHCG2Et2FcBuAt2AQEbCYCKDzBKCBDjFZi2Br2DC3BY2By3CN2Dk2Eg2ETDR3FtCzBQ3i2FdAwBIBsAKBFCyEOBsBFFoAwBIBsCyBFExAKDv2d20z3AAAa3CxCu2CW4Dh2CS4EQDSDPEa2BZ2ChEuDs2ER2DACjDABt2CjEuDQ2Ch2EuCa3AY3Cs2EmeEmeCQe2a20Av2v3AO2Aj2AiBvtDHCwBhBWBlCDCRBGn10AS2Dd2ASCFDon3b40j10BB2DF2Ee2Dm2Cq2Ae10CX2EcDV2DNDpEd2Dnu10BvtDHCwBhBWBlCDCRBGh10Ay8De2c10f10AnrAdr2AgARAxAd2AnrAdBnClAgARAxBEAMAnrAdr2AgARAxBDAgAnrAdBD3ARAxCl2i10Br2iBY2CzBy2iDkAVBA2CLBkCCDMDYBeAEAVmBeAZCdBLBCAECCAIAZm6AI3BLBAEZCLAWDYBkBCDMBL2d3.6a2.4n.b2.10j10.4av.14Bd10.30v3BS4Aj3x4Al3Av3AO4Ai3Bc3FCFxEp2CZDq2FLEJDW3FyFuAuEpFnFzCtFACMAhDgCmDUDLBTCcACFaEy2FmDBCgFXESEw2FaDrlBJABsAHAkwCVAmEklBJABsAHAkw2Am6s5AB2AH4CV2w2Ak5l5AD2BaCUBMBaBd2BP2BM2BOCUEIBaAiBOAlvAP3Ar7Db4Ci2Cb2En2AV3Be3AZ3Cd2BL3BC3CCBA2EZCL2AW3DY2Bk3DM2m3AE2AI2CJ5CrBqBm3AT7Bm3BvtDHCwBhBWBlCDCRBGBvtDHCwBhBWBlCDCRBGg4CnBiCfDfBfDTAc2AXBjFSALBjFEFSEvAc2AXBjCOALDiFEDlEvp4BN4Bg2p4BV2BH2Az2Af3Aq3Bx2AF2k6Ap4Af2AU3AfAz4z10Cu3DhCS3AA3Cx3Dh2Bb5Aa8CW2BvtDHCwBhBWBlt3BvtDHEqEWCACECDCRBGe20CgAhDgCmEwDLBT2ACAhACAhCgDBESFX2EwAh3CmDgCmFXCMBTEwACAhq2FqEY2DcEBFBFeBuq2BzCHCGDcEBBuFcBu2qBzCHCG2Et2FcButCABlEqEWCACEBWCRBGi3Br3BY3DkByCNDRi17AY3DACae5DQ2EuCj2Ds2BZ3Ea2DPDSBZBt3Ch2d10BtCsEQEmFsFvDPDSChDACs2Em2ER2EQCQCa2BZ2EaBt4DQ2EuEm2Cs5Ch3CaCje8DP2DS2AY6q2BzCHEY3EtFeBuq2BzCHFqDcEYEtBu2q2BzCHFqDcFqq2Buq2BzCHCGDcEBFBFeBuq2BzCHCGDcEBFBFeBunASDIDonCFEzDdCpECq2BzCHCG3EtqBuq2BzCHBu2CGEtqBuq2BzCHBu2CGEtqBuq2BzFc4EtqBuj10BB2DF2Ee2Dm2Cq2Ae10CX2EcDV2DNDpEd2Dnu10q2BzCHCGDcEBFBFeBuAs10Bo5Dy2As3c10f10Cb6Ay4n2ASDdnDoCpCFEzn2CFASDInDdn2ASnw10DuAoDwAoBXCIDECkCeEDDuAoDwEFBXCIDECkDaCeAV3Be3AZ3BCAVmBeAZCdBLBCAECCAImCC3AW3Bk3AIBAEZCLAWDYBkAIDMAIAe10DNAeBBDFEeDmCqCXEcDVuDpu3BBAeEdAeDnn2ASDdCpDoDIEzCFECAO2Bd2v2Ba2BO2q2BzCHCGDcEBFBFeBuAb6Ej2BUErCJATBmFgEfCrBwBqDtEKCJ2EfFIBw2BmAT3Ab10Aj10Av10AO10ADxvAOBdAlAiAvBcAjADxvBPBdAlBSAvBcAjCMAhDgCmDUDLBTCcACFaAhEyFmDBCgFXESEw2AhDrlBJABsAHAkwlAmEklBJABsAHAkw2Ams10AB10w10AD2EICUBPBaBd2BP2BM2BOCUEIBaAiBOAlvAG5h5AN5AG5BS5x5Ai10BM2BcBSBdv5Al10Dr3Am4CV3l10Cwt2EqBhCACEBWCEBGBvtDHCwBhBWBlCDCRBGa10AH10Ak10p4BN4Bg2p4BV2BH2Az2Af3Aq3Bx2AF2k6Ap4Af2AU3AfAz4z10Bb5CS2AA3Dh2Aa2CW3Cx3DhCu3Aa6BB9DFDVEc2CX2Cq2Dm2DFDn5u4EeEd2Dp2DN6CMAhDgDUBTDLACCcCmFaCnCvBfBiELDTDfCfgFpg10FDAJENEHDXEEEMFWDKElAJ10BuqBzCHCG2CHBzFcBu3FBCG2EYFe2CH2q3Bz3CGFcEYFqBu4q4CHEtFBDc2EB2Et2Fcq2c5f5AN3Ar3Ay2DDEnAG3Cb5Bp2o8Bo2As3AG2h4DJf5c5AP2Deh6DbAN2CiBp3AP2Bo2Ay3As7Db2Ci2Dy2CofDJ2x10BO4BM6v10Al10AOBSBO2Ai2Ba2v2BS3Ai5AO2FoAw5Dv3BsFdAwBIBsExBFCyAKEOExb20Dr5CV5l10BJ10AB10Ek3s6CVAH10Ak10w10Ek3s6lAm10An11rAdBnClAgARAxBEAMAg10BE5BDAg4DwAoDwAo2CIDECkCeEDDuAoDwEFBXCIDECkDaCeAR6Ax4AM10r10g10d10DNAeBBDFEeDmCqCXEcDVDNDpBBDFDNEdCqEdDmDnn2ASDdCpDoDIEzCFECAS3DdASDon3ECn2ASCFnCpDoDICpASn2ASn2EzDdCFn2FzCtDq2CZDWAu4Ct2FAFCEp2FxDqCZEJDW2FyFu2Ct2Fn2FzBb2Cx2AADh2CS2CWAU5BVBx2AF2Bg5BVBH2Aq2ADxvAOBdAlAiAvBcAjADxvBPBdAlBSAvBcAjCMAhDgCmDUDLBTCcACFaAhEyFmDBCgFXESEwCgAhCMCmDgCmAhBT2CcACAhBvCwDHEqEWBWCECDBhBGAAzAACu2Aa4CWa100AwFoBIBsDvBFCyAKAw2ByFtCNBQDREgBrBYCzDkFZi2DCi5ETBvtDHCwBhBWBlCDCRBGBvCwDHEqEWCACEBht2FlAcAXBjFSALDiFEDlEvCOAcAXBjCOFEDiDZDlEvFlAcAXBjFSALDiDZDlEvAc2AXBjFSALDiCODlEvFdAwBIBsDvBFCyAKEOExd50At2AQEbCYCKDzBKCBDjAt2AQEbCYCKAQBKCBAtDxAbDGCTBUEADOEjErEhAbEXFbEGAb2FJFHFkEjy10DWFCFuEJCtFzFxEpFLFACn3Bi6Cf3Df4Cv4EVAJEiEHDXEEEMElDKEsEEDKDXAJ4ElAJ2BR2FjEUFiFhFjBR3Au10FNCPFfFRFGFfCPFrCPFrDWFnCtFAFLEp2Dq2CZFzAuCtFnDWFyEpDqCZCtb10a10b10j20x10Bc3CU2Aj2AO3d10v10BMAl4Ba3BO2Bc4Ai6BO4BM6Av6Aj4BP5Al5AOBSBO2Ai2Ba2v2BS6AO4a20b20p4BV3Ap3k9AzAq4Az6AB4Ak4CV2l2DrABs2w2CVAml8DrEkd20DNEdu2DFBBAe2Ee2DnEdDpDNDVEcCXCqDm2AnrAdBnrAgARAxBEAMAnrAdBnClAgARAxBEAMAnrAdAxAdAgARBD2AgAnrAdBnrBDARAxBEAMAnrAdBnBDAgARAxBEAMAnrAdAxAdAgARAgClAgAf7AU3Be3AZ4AI3Am5w2s3m6DM4Ao100zCW2BbCSCu2DhCS2Aq5k5Bx3AF4AU3ADxvAOBdAlAiAvBcAjADxvBPBdAlBSAvBcAjBd2CU3v4AOBa2Bc2BO4Aj2DrlBJABsAHAkwCVAmEklBJABsAHAkwCVAmDhzAACxCuAaBbDhzAaBg4BNp5Ap4BN6Af5Az5BM2BOCUEIBaAiBOAlvx2vAOxAlAiBSvBPCoBo4Cb3Db2DyAyDDBoDyCi3Bp2AN3De4DJ2AyEkl3CVDrAkwsAmBb2AACx2CuAaCxAAzAc2AXFSAc2BjAXAc2FlAc9AX4FPALDiDZFPEvBj5ALFEDZDlEvFPCOFPALCOALDi2Dl2AGDbAsCoAyfAPoCbANArDJ2CifoEnfDeh11FtETDkCNEgi5BrDRBQFZi2CzByBYDCBvtDHCwBhBWBlCDCwBGe3Ca2AY2DABtCh2EaDPDSBtCj2BZ2Ds2EuDQCs2Em2CQEQERf4c3o2hAt2AQEbCYCKDzBKCBDjh2o3f2c3DxAbDGCTBUEADOEjErEhAbEXFbEGAb2FJFHFkEjBvtCAEqBhCACEEWCRBGg10CnCvBfBiELDTDfCfgFpg10CnCvBfBi2DTDfCf2BfCnDTBfBi2DTDfCf2Bfg2CnCvgCvBf3DTAQCY2CKDzBKDj4FLFuCtDqCZ2EpAu3y20c10h10o10f10Ay2En2Ar2De2Ay2o5Bo5AP5As5Ci2Db2DDCb2Cof2Bp3oDy2DDAr3AN2DJ3AG5a50b50p10k10Af10Bx4Ap6pkAfAUAzAqBgAFApBNk5Bg5AF5Aq5AU6p4Az8Af2BV3BH4BN3AnrAdr2AgAx2AnAMAnrAdBnClAgARAxBEAMAnrAdrAg2AdBD2rAnrAdBnAgBDARAxBEAMDuAoDwAoBXCIDECkCeEDDuAoDwEFBXCIDECkDaCeBDrAdBnClBDAR2BEAMAVmBeAZCdBLBCAECCAIAZm6AI3BLBAEZCLAWDYBkBCDMBLm5BL2AE2BADNAeBBDFEeDmCqCXEcDVDNDpBBDFEeDmCqEdEcDnn2ASDdCpDoDIEzCFECAS3DdCpDoDIn3q2BzCHCGDcEBFBFeBuq2BzCHFqq2EtFcEYCJATBmFgEfCrBwBqDtEKBqBwEfFIBm3AT3g10Cx7Dh3At2AQEbAtCKCBBKCYAQi2FZCzDC2DRFtiCNADxvAOBdAlAiAvBcAjADxvBPBdAlBSAvBcAjAt2AQEbCYCKDzBKCBDjAhEyFmDBCgFXESEwCgAhDrlBJABsAHAkwCVAmEklBJABsAHAkwCVAmCSzAACxCuAaBbCSDhCWb30BM2BOCUEIBaAiBOAlvx2vAOxAlAiBSvBPl4Ak6s8Ek2EeCXDn2BB6Ed2u8Cu3CSBb4CW2AwFoBIBsCyBFDvAKAw2DRBQ2Dk3Eg2Br3By4BY4ETBvtDHCwBhBWBlCDCRBGBvCwBlEqEWCACEBht2i17CNBrCzFlAcAXBjFSALDiDZDlEvDV2DpAe7FdAwBIBsDvBFCyAKEOExj10AY2Ca2DP2e4Ch2Bt2Em2Cs2Cj2EuERDQ2EQEaDs2BZ2DrBJl2EkAm2CV2AHDrw9l2AB3Am2AH2BJDxAbDGCTBUEADOEjErEhAbEXFbEGAb2FJFHFkEjd10j10CnCvBfBiELDTDfCfgFpg10EVAJEiAJDXEEAJElDKEsAJFwEiElAJFDDXElDKEsBR2FjEUFiFh2EUBRFid10FNCPFfFRFGCPFKFrCPFry10j10Ae7BB3u7Ee3Cq3DVuCX2EdDNDnBB5EeDmCqEdDpDNEdDnDFEeDmCqCXEcDVAe5u5AU7AF8p5Bx2k8p3Ap7b50a50As5AG5c5f5o10h10f5c5AG2AP3As2Ar3c10h5o5f10Ar5AP5AnrAdr2AgARAxBEAMAnrAdBnClAgARAxBEAMBDrAdrBnAgARAxBEAMBDrAdBnBD2ARAx3Ao2DwAoBXCIDECkCeEDDuAoDwEFBXCIDECkDaCeFPAcFPBjAcALAc4m5BL5CC5BA5AW5Bk5zDhAaBbAA3AaCWCSDNAeBBDFEeDmCqCXEcDVBBDpDF2DpDm2EdEcDnn2ASDdCpDoDIEzCFECAS3DdCpDoDIn3q2BzCHCGDcEBCGFeBuq2BzBu4EtFcEYCJATBmFgEfCrBwBqDtEKCJ2EfDtBwDt3EfATFLAuCtFnFzFyDWDq2CtzAA3zAAAaAAzAaAf10Bx2Aq8ADxvAOBdAlAiAvBcAjADxvBPBdAlBSAvBcAjCMAhDgCmDUDLBTCcACFaAhEyFmDBCgFXESEwCgAhDrlBJABsAHAkwCVAmEklBJABsAHAkwCVAmz2CWCxCuAaBbCSDhAABrFZi8By3EgBY2DCETCNCzAD2BaCUBMBaBd2BP2BM2BOCUEIBaAiBOAlvx2vAOxAlAiBSvBPl10s10DrlBJABsAHAkwCVAmEklBJABsAHAkwCVAmAk5w5AwFoDvBsBIBFCyAKAw2i10BYBr2DRFtBQ2CNDk2BvtDHCwBhBWBlCDCRBGBvtDHEqEWCACEBht2BvtDHCwBW2BlCDCRBGt2CEEqtCABlBhCwBGAc2AXBjFSALDiAcDlEvAc2AXBjCOFEDiAXDlAcFdAwBIBsDvBFCyAKEOExEP2FFFQFTFMFOFYEP2Ds2DQ2Eme5BZ2EaCs3Cj4Eu2Ch3AY5EQBt2DPDADSERCQCaAYAt2AQEbCYCKDzBKCBDjAdrAd3BDCl4DxAbDGCTBUEADOEjErEhAbEXFbEGAb2FJFHFkEjy10FzFCFuEJEpDqFxFADWFACnCvBfBiELDTDfCfgFpCnCvBfBiELDTDfCfgFpEVAJEiEHDXEEEMElDKEsElFwFWENEMFDAJFWFDENCMAhDgCmDUDLBTCcACFaCMEyFmDBCgFXESEwACAhDWFuFAFCFxEp2CZ2EJd10FzAuCtFnDWFyEpDqCZCt',
+    134: 'Af5p3BN2AnrAdBnAM2AdAxAM2AnrAd8AnrAd8AnrAd3AgBnAxBEAdz10AA20Aa10Bb10a20Bg5AFBHAqApAUAz10k8Az22AF10Bx6BV4p10b20x3AD3AiAv2BdDQ3AY7Ag8r2k20Cz10e10CvBiBfCng5BfCz10AnrAdBnClAgARAxBEAMAnrAdBnClAgAdAxBEAMAnrAdBnClAgAdAxBEAMAo2DwAoBXAo2CkCeEDDuAoDwEFBXCIDECkDaCeDw5BX2Du2AoAVmBeAZCdBLBCAECCAIBe5AW5BA2EZCLAWDYBkBCDMBAAY2DACh2EQEm2BtCjp8BHBVApk4Af4Apn4Cpn5DI5CF5Do5CF5Cp5AS5n10AT2EfAT2CrBw4DO5DG5k30ADxvAOBdAlAiAvBcAjADxvBPBdAlBSAvBcAjBx2Bg3AU3BN2k10Ap5Af5p10z10AD6xBS8BP5Bc3BP3Av4BM2BOCUBa6x2vAl3Ai2vBMAl10Ai10BM7Bd3v2BaAvAjBd5BO2x8AwFoBIBsDvBFCyAKAw2i20BvtDHCwBhBWBlCDCRBGBW2DHEqEWCACECwCRBGAF2Aq3BVAz4vCUAj8Ac5Dl5AX10FdAwBIBsDvBFCyAKEOExe10AY2ERDQCaEaAYBtCh2CjBZEuCs2EaDPDSBtERCjBZDsCsCQEQCQFsCaDAe30BU10Dx8EG2CT10AO2CU3AO5CnCvBfBiBfDTBf4AZ5AE5BL5Cd5AV5BL5BR2FjEUFiFhFjFhBR2DC2ET5BQ33f100o5Dy5Db5c5Co10DD5AP25Ar10En10o5f5Ay10h100As20o10Bp10Ay5Ci15AN10De10Cb10Bo10Ay10c5AG5h25f5As30Bo5AN15Ay20Ci10Ar15o15Db10o5Cb5Bp5h15Ar10c40Ci10h40Ay20Ci10f30Bo10AP25En5c20h20o5f55Ca5Ch5Bt5Cj5DA3BZ7DP2ER2EQ2Ea4Cs5DS3Ds2i20Bk5CC5DM5AZ5AE5BC5Ar10AN10Ar30Db10o30f10Co5De5Bo10DD10f10Ar10Dy10As10AN5DD2En3f5Ay5h10c40As5AP2Ay3AG30Ar5f5As10h50Bp10c10f30c15f30c5Ar10o10h20AG10AP10f10Ci7Cb3Ay5Cb5Ar20o40a50Bs2Dv2AK2Cy2BI5Bs3FoFdAwExAG20De3Cb7Ar10AG40c20AP10h10f10As10AN5Bp5Dy5AG5Ay5o5h25f15c10f10Am10l10s20AB5AH15l10gCvBfBiELDTDfgCfBfi10BQ2CN3Dk3i2Bo10Co10c20f60c10h45AP5o10AG10Co5As5AP5Ci5c10Ar10AG10Bp10Cb10DD10o10Ci2Dy8AN10Bp10h10o20Ay10As20h10De10Ay10c10h10c30f10h10AN10f10o10Bo10Db15AG5AN5Ci5DJ10o10DJ5De5c10Ar10Cb10En10d30a70AwFoBIBsDvBFCyAKAw2i10Br5i5AG5h15Dy5Bp5As20c5AN5Aw2BIBsDvBFCyAKEOExe40AYChEuDse6DQ2ER2DACh3Cj2Em2DP2Ds4EQ2Cs5Bt4Fse20a100AYDQERDAChCjDPDSEaBZDsEuCsEQCaBtEmFsFvCQc8AFAUBgBxb6DNCqDmBB2b11EIADBdCUb3An3bBTDBCWAaBzqiBQb4ATDtib3Ac2b8EPbBRb3Fzb20f8pBgBx2pb6CqDnb14ADbCUb3AnrAnb6qb12Ac2b2Dxb6AJbdb23c9AfApk2b5ub15EIADbCUb5Anb2ACb2CGqb12AX2b2Dxb2Bib8FCb20f9kb8ub16ADb16CNb10Bj2b59ab10ADbAjb10zb3DRb10CO2b2Dxb2gb65ADb8Bab3Ajb2vb6vb3AL2b3AbbELb64ADb16Byb10Di2bAb2b2DTb2FFb3FGbEJb10.44xAD2CU.7AhCg.16DZ2.2Ab.2Cf.2EPEs.d.57xADBdCU.2Ah10.13Dl2.2Ab.2g.2EPEs.4Au.54xADBdv.2Ah10.13Ev2.2Ab.2Bf.5d.2Fuh10Bp5Cb5c10Db5c15DD2o8h10Co5o15Ar10FtCz3DR4Eg4i4DC6Br2Dk4ET2CJATBmBwATCrBwBqDtEfBE2An5r3k30p15BN2k3d100Du8ED2Ao10BX10EF6Ce4Ao8Ck2CI10DE5Ck15Da10Ce10Dr5Ek5l10Ak5BJ5CV10l10AH10Ak10s10w10Am10CU5BO2Ba3x8Bd2v10AO7AvBcBd2BaBSBPAD2BSAvBcEIAl8Av2Ai10BS3BcBO2BP4Bc3BM5ADEIAj8AD2w10s10AB20Ak10AH10Ak10l30Ac20AX10Bj10CO10AL15Bj5DZ10Ac20AY10ER3DA2Ea2Ch3Bt10AY3DS2DQ2Eu3Bt2FvAY2DAChBZDsCae20Cj4BZEm2CQ3BZ5EQ2Ds3DP2Cs3DSCa4AA5Cu5z10AA10Cx10z10Aa10Bb10CS10Dh10CW10AW10AV10m4AZm17AZ2m3AZ3Cd10CC20Be20AI10BL20AW10Bk10DYBC4DY5CL20Bk10EZAE2EZAEEZAE3EZBC10Cd10AZ20BA10AE20AV10BA10AV10An11rAdBnClAgARAxBEAMAd10Bn4ClBD5AnrAdARAdBn2AxCl2Ag10AR5Cl3Ad2Ax10r2Ad2BEr5AM5r5u5Dp2DN13Dp10Cq3BB4Dn2CXDpDNBBDFDpCqCXDpDNDn3Dm8Cq10CX10DVEc9BB10AD5BP5BM5Bd5BM5BS5ADxvAOBdAlAiAvBcAjx2vBPvAlBSAvBcAjAl13CU2Ai9Ba3Av3v10x4BO6BU13EA2DG2Eh3Dx5CT5a50Ao8BX2Ce10CI10Ck10Ce10BvtDHCwBhBWBlCDCRBGCA2DHEqEWCACE4t22Cw2Bh4BG2BW7CDCREWDH4CA2CE2Eq2Bc8Aj14EI5BSv2CU7Ba3AO3Al3Ai4Cn4CvCn3Cv2g3CfDfg3Df2g3ELBfg3BfFpBfg5Cv2gBfBiCng2BigCvgBi2Cw4t5EqBh4Bl5EWBW3Bv5BG2DH2CA4CE4CD2t5CR3BR2FjEUFiEUFjBR5FjEUFiFhFjFhBR2iETCz4DC3CN2BY7BQ7i5Dm10DN8Ed2CXDp9Ec8DV2DnCX3Dm6EeDF9Dn10CMCcAhCm3AC6Cc2Cg6Fa2Ey2CcDL3Ah2Ac20AX5Bj15CO10AL10Dl2Di8DZ10Dl10AL5CO5An4r2Cl4r10Ad15AR2Bn3b50Ag9BDAn5AM5AnrAdBnClAgARAxBEAMAd10Bn5rBnr5AdrAgrAg2rAMAg10AR10Ax4r6BE4BDr4Ag5r6g4Cng3Cn2g4Big3Bi2DTCfBf2BiCn3BigDf4Cvg3CvBfCv4BfBig2BfDfg4Cn2Cv2CnDfCn3Dfg5BiAT2BmATEKCrBwBq2EKAT2BmATBwCrBwBq3CJATBmCJ2CrBwBm3AD5BP5BM5Bd5BO5BS5ADxvAOBdAlAiAvBcAjx2vBPvAlBSAvBcAjAO13CU2Ai5Ba5Av5v8Ba2x10i30By15Ft4CN8BQ21DRi8Eg9Br4i10BY10Cz9Dk4ET2DC5i14DC5ByBQ10CN3DR3Eg4Br3BY4Cz9Dk4BB10u30Ae40u10Ae10FdBs3Cy6Aw10BI10Bs10Dv5AK5BF10Cy10AK10EO5Ex2BI3AK10h10f10c10Bo5En3Dy2h10As10f40Ac20AX10Bj10CO10AL10Di10Fl5AX5Dl10AX10b90Ax2BEBDAgAM2BD3An10r10Ad10Bn5BD5An2r2Ad2AxBDAgAMAg8BDAnAR6r4BE3AxAg2Ad4Ax6Cl4AgAd2AM7l5Am5AB10s10AH10CnCvBi2BfDfg2BfCnCfg5Cn2g6Cv2g2CvDTCJATBmBqEoCrBwBqDtEKg2Bf3DfCn2BfDfg4BfgCv2BfDfAf7BV3Ap10AF9ApAo9Du2Da5BX4CMAhDgCmDUDLBTCcACFaAhEyFmDBCgAhESAhACAh6CM3DgCmDUDLCc3CmBT3AC2CMDB3Cg2AhDB2s10l10Ak10AB5l5s10AH10s10w10Ak10Am10ET2BQ5i3By9CN2BY9BvtDHCwBhBWBlCDCRBGCAEq3EWCACE3tBW4BhCAt4DHBG3Bl3CD3Bv3Cw3Bv4CD3EqEWBW5Bl4BhBG4CRFpBiBf3DfCn2BfDfg6Cn2g2DTg3Cv2g2CvBfELg3BfgCfCvBfDfCnCvBi2BfDfg2BfCnCJATBm2ATCrBwATCrBwa30e10z20Aa40Bb10Aa20z10a45Aaa491COa308Bxa153',
+    135: 'c4f3BpDyhDe2CoAyArBo2As2AyDbDDcAGAPo3AGCid10DNDpBBDFEeDnCqCXEcDVAh2CmDLDBBTDgDUCcACCJATBmCrEoCrBwBqDtATAe10n3DICpn2Ezn2ASDd2ECCFDoCpDoAS2a40Ay2DeBo2Ci2c2DDc5f5b40j20As4cAs5DyDJ2CoDyCoDyCoDy2c2As2c3Ay3DeBoCo3DeBoAsDy2BoDe3DJBo5Ay10f10Ay10c10AnrAdBnClAgARAxBEAMr2AdBDARAgARAxAMrAnrAdrClBDAdAgAdAMAVBL2AZ2mBeBACCAIAo2DwEFAoCIDECkDaCeq9CGAVmBeAZCdBLBCAECCAIAZm6AEAICdAEBAEZCLAWDYBkBeDMmu6CquAe2DNAeBBDFEeDmCqCXuDV2DpDnDFAe3EdAeDnn4Cp2DIEzASn5Cpn5q2BzCHCGDcFBFeFcBuCHBz2CHEYBu3EtCGnCFDdCp2AS4nq2BzCHqEYEtFcFqBuuBBu3Ae2u3Aa10AF2BgBHp6Aq3Bx2AUBgAUBN2ADxvAOBdAlAiAvBcAjx2vBPBdAlBSAvBcAjCMAhDgCmDUCMBTCcACCmAh2DgBTCgAhAC3AhDrlBJABsAHAkwsAmEklBJABsAHAkwsAmAa20BNAz2kAzAf5k7Ap3BM2BOCUEIBaBSBPAvvx2vAO2AlAi2vAiCVw7Am2Ekw7s2DrlBJABsAHAkwsAmEklCVABsAHAkwsAmAa7z3AwFoBIBsDvBFBIAKAw2i10BYBriDRBYBr2By2CNBvtDHCwBhBWBlCDCRBGt10CS5Dh5BC2BLAEBkDYBkBAAWAVFlAcAXBjCOALDiDZDlEvALAcAXBjCOALAc3EvFdAwBIBsDvBFCyAKEOExCa3CjEuDsDAEmBt2AY3Cs3EQDQBZ2CQEaER2Ch3BtDPFvd10CDBlBGEqCRCDBlt3CYAQ2EbCYCKDzBKCBDjBYBr2CNEgBQByDk2CNDxAbDGCTBUEADOEjErEhAbBUDGCTBUErFJFHFkEjADBMBa2AO2AiAvADAjh3Bo2DbDyAs2CoCnCvBfBiELDTDfCfgFph5Ci2DJc2z10d10CW5Cx5f10DuAoDwAoBXCIDECkDwCeh5Db2Ay2DeANBp2ANco2Cb2Enf100a10CD4Bl6BJ8AB12Dr3Ak5w2Bx6BHAp3k4Af2Az2BN2AU7BV3AQ10At10j10b10j10d10j10p5BgAq2AF2CG10c10j20AR2Ax2Ag4BEBDAnrAdBnClAgARAxBEAMAnrAdBnClAgARAxAdAMAnrAdAgBD3r2AgAd4Ag2Bn2Ax2DuAoDwEFBXCIDECkDaCeAo5CkDw2BXEDAVmBeAZCdBLBCAECCAImBA2BeAIDYBkAWDMmCL5Bk5Aa3BbCu2z4DNAeBBDFEeDmCqCXEcDVu2BBuAeu2EduDnn2ASDdCpDoDIEzCFECn2ASDdAS2n4CH10Bz10CJATBmFgEoCrBwBqDtEKCJATEfFIEoCrBwBqDtBmCMCmAC2CcAh5z3Aa3Cx2CW2p3AF2Bg2BV2AfAp3Bx2Az3BV2ADxvAOBdAlAiAvBcAjAixvBPBdAlBSAvBcAjCMAhDgCmDUDLBTAC2FaAhEyFmDBAh3AC3DrlBJABsAHAkwCVAmEklBJABsAHAkwsAmCS2Cu2Bb2AA2Dh2uDpBBu2AeCqDmu2j20BdBMBOCUEIBaAiBOAiAjCM2DU2Cg6o15As5l3ABsAHAklsAml3ABAmlAklsAm11AwFoBIBsDvBFCyAKAw2i3Cz6i11BvtDHCwBhBWBlCDCRBGtCwBGEqEWCACEt3FlAcAXBjCOALDiDZDlEvAXAcAXBjCOALAc3ALFlAcAXBjCOALDiDZDlEvAXAcAXBjCOALBjAc2EvFdAwBIBsDvBFCyAKEOExy10e12Cs2Ch2Ca2Bt2AY2DA2EQEuEaCj2DPEmERCQFsFvBZDQDSDs2At2AQEbCYCKDzBKCBDjADxvAO2AvBSAvBcAjAb7EjAb2y10EP2FFEPFTFMFOEP3EVENEiEHDXEEEMElDKEsg10BR2FjFh3FjEUBR2EVAJEiEHDXEEEMElDKEsAJFw2ENAJEE2El2AJBR2FjEUFiEUFjBR3AJ10CP2FfCP6Fry10Fz2Fn2Ct2DWFACt2a300m10AW4AV4BA4AZ4BL2Cd2Be4BA4AW2m20AI4AE4AW2AVmBeAZCdBLBCAECCAIAV4AZ4BC3BAEZCLAWDYBkBCDMBCb100AZ10AE10DM5CL5Bk5BL5AI10m10CL5AE5AW10Be5DM5AI10BC10Be10AW10AV5Bk5m50AI10Cb10Ar10AP10d30c30h10As10Ar20AG10f10h20f20o10Ab46CT4Er2Fb2EA2BU4EG3DG3CT3EjEr2DGCTBUEj5CT5BU5EjCTDGCT4EjEGEjf100AN15Ay15o15Db5De10As15Ar15Bo10Ar10As10AP10h70c100f30o20Bo5o5De10AG15Bp5Ay3Cb7c60o30Bp5Ci5AG25As10AN10Dy5AP10o10Co5DJ5Ay15Cb5h50f40En5DD5f30h40c30h10DJ5Co5As5Bo5o5De5c10Ci3Dy2AP5Ay10c30e50ER2Cs6Bt2e30Cs3Bt3EmCj2Fse40BZEaEQEuDA2Fv2Cj2Ds4DP2Fs2Cj2Ds5DQ5Ca2AY5DS3Ch2DA3DP4FvCs6DA2DP2AN10AG10Bo5Db5Bp10En5Ci5o10DD10As10Ay10Cb10AP10Dy10Co5f10Bp5c10AN10o10h10Ar5AP5Bo10f30c30h30AP5AG5i30By4i6FtBr2CN6DR8Eg5Br8BY8Br5BY3i6Bri7Dw8ED2DuAoCeEFBXCI2Ck2CeEDDEBX3Da5Ao18Ce2CI2Ck6Ce2DuDE2BX2CI3DaEFDuAo2BX2CIDu2ED2Ay10h10Ca10AY5FvDA4Cs2Ch5Eu3DS4Cj4DQ4EQEaBtEQ5DP5Bt5ER5Em5BZ3FsEa6e40ER2Em3Ca2Ch3Ds4Cj4Fs2FvAY4DSDA2DP2Bh3t27CR4Bl5BGBv4t5CAEP2FFFOFTFMEP4Co10h30BW10Bl4t5CECD8Bl2Ar15o5e40CQ6DS4Em6Cs2Bt2Ca7Eu3BZ5DQ2Ea3AY7Cj3ER6DA2DP2e40Ch8FsDSDs5EQ5DP3DA2FsCjCsBtFvEu2Cj2ER2EaFsDS2e10DsBtChDA2DP3Fv2a100v10Al5x5DJ10o5Ay5As5AN15Db5Bp5De10h10Ci10i55Br7i8f30CH2CGEYEt3FB3EY10EB10Dc10CH2CG2EY2Et2FBBu9CG2AG10u2DVuDV2u14DVAe9c20As10Ay20Cb10h20f10AG10FlAcAXBjCOALDiDZDlEvFlAcAXBjCOALDiDZDlEvAXAcAXBjCOALDiBjDlEvAXAcAXBjCOALBjALAc2BjAcAXBjCOALDiDZDlAcAXAcAXBjCOALBjAc5AXBjCOALBjALAc2FlAcAXBjCOALDiDZDlEvAc2AXBjCOALAc2DlEvAXAcAXBjCOAL2Ac3FlAcAXBjCOALDiDZDlEvAc2AXBjAcALAXALAc2FlAcAXBjCOALDiDZDlEvFlAcAXBjCOALDiDZDlEvFlAcAXBjAcALAcDZAcEvFv2Ch4DSFs3e30DQ3EuEQBZ2EaERAYCx2Aa7Dhz10AA8Bb2CS2CW2z2Aa2Cu2Aa3z4AA3Aa10Cx2Aa3Bb5h10Cu3CW4Dh3Cx2z4CS4c50AN5Dy5Ar10f10h10Cb5Co5BS10BO10Ba10AD10Ai5Ba5BP10AO10EI5Bc5BM10CU10Ba10BM10BO5BS5BP5CU5Av4CU2BO2Bd2Al10Ai10Av10Bc10Aj10Ba5BP5BM10BO10CU5BS5EI10Ba10Ai10Av10Bc5AD5Aj10b100Ep10Dq7Fx2FuCt7FC3DW7CZ3Au5Fz2Ct2EJFA2EJ2Fn2Ct2Fy2DW5CZ3Dq2FuFyCtFnEp3FAFCFxAu20s10w20s10Ak10s15Ak5Am10Ak10Am10Dr9CVl10AH2BJ8AB10s10AH10CV5Ek5w10s15BJ5Ds6BZ6Cj4Ch4Ca4Em2AY2Fv2Em2DQ2Ch2DA2DP2Ca2AY2CsDS5Ds3Eu3BZ4Bt2Cj2ERCQ2Fv3Ea4EQ4Fs2e20Be10BA10AE10AV10AZ5Cd5CC5BL5DM3EZ4DY3BC10AZ10Cd10c60AP10c5Db5f10c10Cn10Cv6Cf4Bf10Bi10Fp2DT5Df2gBi5Fp5Df10Cf10g50Bi10g20Df3Bf7Bi5g25AD10x10v10AO10Bd10Al10Ai10BM5x5v10Aj10Bv5DH5t10Cw10Eq10EW10CR2BW5CA3CE10CD5Bv2Bh3t10BG10Bv10Bh6Bl7Bh7AB6CV4w5l5AH10Ek4Dr4Am2l10Ak10Am10Aw15BF5BI5Aw5Bs10EO3Ex3Fd2BsFoBF10Cy5AK15Cy10Aw10Ab20DG10CT5BU15EA10DO10Ej10Er5DG5Eh10Dx10EX7Eh3Fb10EG4Fk6ErEXEG3ErFJFHFkErAS10n40Ep5CZ5Dq5Ct3Fx2Au10CZ5Dq5Au4FuFnDW2Ep2Fz4Fy2FL2FA2DW5Fu3EJ2Ct4Fn4FC2Au20Bp10Db5Bo15c30Cb5En5h30AO5Aj5BO3Bc2BP2Ba2BcCz3BQ5DR2i2DC4Dk3ET2By4CN3BY2a50r5Ad5r10Ad10Anr6Ad3BDBnClBn2BDARAxBEAMAg10AnrAdBnARAgARAxBEAMAx7AR3BDrAdBnAg2ClAg9ARBn2AdAD10x10v10AO10Bd10Al10Ai10Av10Bc10Aj10p10Af15k5Az10k10Az10Ap15AF5k20Af10p11Ap2AU3BV2BH2Az6Aq4Az6Aq4b50Ak30AB20s45Am5Dr4Ek6Dr3CV7BJ10AH10w50BJ5w5l50AH10Am10l20w10x15Ai5v20BP3BS3Ba2AO12BO5Aj5BP5Al15Bd5BS5AN10f40o20Ar30DN10Ae10BB5Cq5Ae10u10Dm3DF5BB2uDN2u7Ae14Dp6DV4DpDn5AI10CC5BL5AW10AV10m30h10Ay10Bo5Bp5Dw6BX7Ao7Du5CI5DE6Da8ED6Ck5Ce5Cz5BQ5Dk8DC2Br10i10d100At20AQ10Eb10CY10CK10Dz10BK10CB10Dj10n20AS20n10Dd10Cp10EC10DI10CF10Ac2AXBjAL2AXAcDlAXAc2AXBjAXALBjAcAXALAX8Ac2Bj4AcAL4Aci6By8BQ7DR14Cz7ET3Dk6DC9m10Be5AI5AE10AV10m5AI5BA5BC5AZ15CC5m10Bk5Cd5Cu3z7Aa8Cx2Aa10CW2CS3Dh2z8Cu5AA5CuBb4CS5Bb5Aa10Cx5Cu5AA3Aa2z3Aa2',
+    136: 'c10AsBoDeAyf6DyDbCbEnh6o3Ar2AGAPAN2Bpf5c5Drl4AB2Ak2AmCVs2AHw5AmAa10z10AA8CS2a40pAF2pAUp2BgAfApAzAf3k4pAzb40j20c4Dbhc4h10c10f20c20Db2Ci3CbEnCb3f10AnrAdBnClAgARAxBEAMAnrAdBDAdAgARAxAdAgAnrAdAxClBDARAg2rDMAEBkCLBAmBeDYCCBkDuAoDwAoBXAo2CkAoCeq9CGAVmBeAZCdBLBCAECCAIBkDMmCLmDYmAWAIBABLBAEZAZAWDYAIBCm2u8Ae2DNAeBBDFEeDmCqCXuDVBBuBBEdAe3EdAeDnn4CpDonEzCFn6DoAS2CFECq2BzCHCGDcEBFqEYBuCHBz2CHBu4EtCGCJATBmFgCJCrBwBqDtEKq2BzCHqDcCGFBqBuuBBuEdAeDmCqCXEcDVBb10AF2BH2p6Aq3BxBVAUBgAUBN2ADxvAOBdAlAiAvBcAjx2vBPEIAlBSAvBcAjCMAhDgCmDUDLBTCcACCmAhEyFmDBCgAhDgACEwAhl2AmABsAHAkwsAml2AmABsAHAkwsAmCS4z2Dh4AA10BNAz2kAzAf5k7Ap3vBMBOCUvBaAixAlvx2vAOAl2Ai2vBMl5AH3s2l5Ak4CVl2AkABsAHAkwsAml2AkABsAHAkwsAmAA5Bb5AwFoBIBsAwBFAwAKAw2i10BYBriFtCzBQDCByETCNBvtDHCwBhBWBlCDCRBGBvCACwt2CACEBGt2Cu5Bb5BC2BLAEm6FlAcAXBjCOALDiDZDlEvAXAcAXBjCOALAc3EvFdAwBIBsDvBFCyAKEOExe10CaAY2CsCQDQEme7DSDsEQDPCjBZd10AVAW2CdBkAEAIBCCdBAAt10CCAWBeBAAVAI2m3DxAbDGCTBUDOFbEjEXEhAb2DGCTAb5EjAjAvx2AOAiv3Ajc10Cng2BiCng2Cfg3CnBfBig3Cfg2AJ10d10z10cf2EncCbh4c10BBu3Ae3u3Au4DWAu5c37AN3As5Ar5Ci10DuCkDwCeBXCIDECk2Cen5AS2Ddn2BBu3Ae3EduDnDNAe6EdBBDVa40c10p2AF2BVBHp4b40j20AP4CbAG5Ay12Bo2De2o19h15f30AnrAdBnClAgARAxBEAMAnrAdAgClAgARAxrAMr2AdAgBD2ARBD2AdDwAoDwCeAo5EDDuAoDwEFBXCIDECkDaCeq8FcEYAVmBeAZCdBLBCAECCAIm7AEAI2AZBAEZCLAWDYBkBCDMAEu6CqCXAe2DNAeBBDFEeDmCqCXEcDVBBDpBBDFEeDmAeEdAeDnn2ASDdCpDoDIEzCFECn2ASDdCpDoDInCFECq2BzCHCGDcEBFBFeBuCHBz2CHBu3FqEtCGCJATBmFgEoCrBwBqDtEKCJATBmFIEoCrBwBqDtEKDNDpBBDFEeDmCqCXEcDVz6Bb4Aq4BxAF2Bg3Ap4AU2BN4ADxvAOBdAlAiAvBcAjADxvBPAl2BSAvBcAjCMAhDgCmDUDLBTCcACFaAhEyFmDBCgAhESAC2AhDrlBJABsAHAkwCVAmEklBJABCVAHAkwsAmAa3CuAa4Cu2AA7Cx3Az4Af6k9AUBM2BOCUEIBaAiBOBavx2vAO2AlAiBSvAjl6s4w7Ak3DrlBJABAH2AkwsAmEklwABAkAHAkwsAmCS3Dh4CW3AwFoBIBsDvBFCyAKAw2ByFtCNBQDREgBrBYCzDkByDRETCNDCBr2BYi2BvtDHCwBhBWBlCDCRBGBvCwBlEqEWCACEBht2y10d10FlAcAXBjCOALDiDZDlEvAXAcAXBjCOALBjAc2EvFdAwBIBsDvBFCyAKEOExe10CaAYDAFvFsEQERCQCsEmd20BvBlBGCwBhBWt4At2AQEbCYCKDzAt3i7BQBY2DxAbDGCTBUEADOEjErEhDGEXFbEGBUCTFJFHFkEjEP2FFFQFTFMFOFYEP2DsEuDQBZCjBtChDPEaDSCnCvBfBiELDTDfCfCnFpg3Big3Cfg2ENAJ4EEAJElDKAJFbEXDGCTBUEADOEjErEhBR2FjEUFiEUFjBR3Ab10FNCPFfFRFGFUFKFrCPFrBkCCBLBemBACLAVCdAWAu5EpDWCtCZFzh10o7AG3f3DyDJEnBo4o5Cb2Ar3c3AN2BpAP2As2Ci10DuAoDwEFDECIBXDaCkCeDd2AS5Cpn2o10f10a40o10Af4k4p2b40j20c10f10BpDDDyCiEnDbEnCoDJ2o4APDeAG2Ay2h10Aro2Boc3CbAs2c10BpDDDyCiCo2APCoDbAsAy7DDDe2AnrAdBnClAgARAxBEAMAnrAdBnClAgARAxBEAMr2AdAgBD2BnBE2BnDuAoDwCkCeAo3ED2DuAoDwEFBXCIDECkDaCeAo8CkDaAVmBeAZCdBLBCAECCAIm7BAAI2AZBAEZCLAWDYBkBCDMAEu8Ae2DNAeBBDFEeDmCqCXEcDVBBuBBDFAe3EdAeDnn2ASDdCpDoDIEzCFECn2ASDdCpDon2CFnq2BzCHCGDcEBFBFeBuq2BzCHFqCGBuEtFcEYCJATBmFIEoCrBwBqDtEfCJATBm2ATCrBwBqDtEfDNAeBBuAeDmEdDVAeDVAA2z8Az2AqAFBx3Bg3AU2Ap2BV2BNk3ADxvAOBdAlAiAvBcAjADxvBPAl2BSAvBcAjCMAhDgCmDUAhBTCcACCgESEyDUAh3BT2ACCmDrlBJABsAHAkwCVAmDrlBJABsAHABwCVAmBb5Aa5Dh2CS3Aa5pAU2BgBVAq3BxkAF3AfAz2BNAp3BM2BOCUEIBaAiBdAOvx2vAO2AlAiAvvBPw10Ak9AmDrlBJABsAHABwCVAms5AH4AmCu4CW3Cx3AwFoBIBsAKBFBIAKAw2i5DCBr2BQByi10BvtDHCwBhBWBlCDCRBGBvt2EqEWCACEBGt2y10d10FlAcAXBjCOALDiDZDlEvAXAcAXBjCOALBjAc2EvFdAwBIBsDvBFCyAKEOExe7CaAYBtCaAYDADsEmEQERCQCs2d30At2AQ2CYCKAtBKCBDji10DxEXDGCTBUEADOEjErEhEX2FbEGFb4FkFbEP2FFFQFTFMFOFYEP2DsEuDQBZCjBtChDSEaDPCnCvBfBiELDTDfCfCnFpgCvBfBigDTg4EVFwEiEHDXEEEMElDKEsAb10BR2EUFhFiFhFjBR3Ab10d10AIBLDMBemBACLAVCdAWAu5DWEpFzCZCto20Dfg3CvgDf2gBfCF10AG10n10AS6Dd4CpDoCFECCpDoDIEzCFECAnr3AxAd2Bn2AMCp10De5Ci5Ar10AP10c20f20h10AG10As10De5AG5c40f50AX10AnrAdBnClAgARAxBEAMAnrAdBnClAgARAxBEAMAgrAdBDAgBDAgAxAdBnCIAoDwCkAo2DEAoBXEDDuAoDwEFBXCIDECkDaCeq10AVmBeAZCdBLBCAECCAIm7AI3AZBAEZCLAWDYBkBCDMAEAk10l10w10n2ASDdCpDoDIEzCFECn2ASDdCpDoDIEzCFECq2BzCHCGDcEBBuFeBuq2BzCHEYCGBuEtFcEYCJATBmFICJCrBwBqDtEfq2Bz3FeBzEtqBuDp4CqDpCq3DVAL6CO6Bj8Cx2z8d20CMAhDgCmDUDLBTCcACFaAhEyFmDBCgAhESEwACAhDk3ETCz4By3CN2BQ7Ex7BI2FoBQ14Dk13Cz3b40g2CvCn2Cf2Bi2Bfg2CfCnBfBiCv2BfCnAa10CM5Ah5DLDUESCmBT3Cc2EwFaDB3EyCg3Ah2BvtDHCwBhBWBlCDCRBGt3EqEWCACEt3y20d30CY5CK5Dz5BK5d20BvCEDHCwBhCABlCDCRBGAt2AQEbCYCKDzBKCBDji10Er10Dx10EP2FFFQFTFMFOFYEP2At15CB5AQ10ENAJ4EEAJElDKAJAv5Bd5BR2FjEUFiEUFjBR3AVBeBAAZBk2CdAECLCCFNCPFfFRFGCP2FrCPFrBLBkDM3AWDM4Au8DWEpDb20c15Bo4CoAr10d10c30f10a40f10AzBV2Aq2Bg5b40j20Ay5Cb2En2Boc4f3h3Bp2DD2Dy2Bo2DJ2Co2Ci4Db4c20h20Ay8Co2AnrAdBnClAgARAxBEAMAnrAdBnClAx4AMr2AdBn2BD2AxrAdCIAoDwCkCeAo3BXEDDuAoDwEFBXCIDECkDaCeAo2DwDuEDCeAoEFCkAoAVmBeAZCdBLBCAECCAIm7AI3AZBAEZCLAWDYBkAWDMAEu8Ae2DNAeBBDFEeDmCqCXEcDVBBDpBBAe6Dnn2ASDdCpDoDIEzCFECn2ASDdCpDoDdASCFECq2BzCHCGDcq3Buq2BzCHqDcEBFeCGBuCJATBmFgEoCrBwBqDtEKCJATBm2ATCrBwBmATEfuAeBBAe4uAeuz10AF2BH2p6Aq3BxBVAUBgAUBN2ADxvAOBdAlAiAvBcAjADxvBPAl2BSAvBcAjCMAhDgCmDUDLBTCcACFaAhEyFmDBCgAhESAC2AhDrlBJABsAHAkwCVAmEklBJABsAHAkwCVAmAa10AA4Bb6BNAz2BNAzAf4Apk4ApkAp4BM2BOCUEIBaAiBOBavx2vAO2AlAiBSvAjEkw8Ams9AmDrlBJABwAHAkwCVAmEkl7CVAmDh2CS2Cx2CW2Cu2AwAKBIBsDvBFCyAKAw2ByFtCNBQDRBr2BYCzBri4DCBrDkBYiETBvtDHCwBhBWBlCDCRBGBvtBlt2CACEBht2y10d10FlAcAXBjCOALDiDZDlEvAXAcAXBjCOALBjAc2EvDvAwBIBsDvBFCyAKEOExe10CaAYDAEm2EQERCQCsChd30At2AQEbCYCKDzBKCBDjy10DxAbDGCTBUEADOEjErEhAb10EP2FFFQFTFMFOFYEP2DsEuDQBZCjBtChDSEaDPCnCvBfBiELDTDfCfCnFpg2Bfg7ENAJEiEHDXEEEMElDKEsAc2AXBjCOAL2Ac2ALBR2Fi3FhFi2FhEUCT5BU2Dx2EhFNFf3FGFUFKFGFf2h10FuFxFAFLEJFyFCDqCtFnh50d10Dy5DJ5c30a40f10AzAU3Bx3AF3b40j20Ar4AP2o4f15h25AG5As5De4AN6o3Cb2Bo3Dy2Ci2Db2Bp2DD2EnDJAnrAdBnClAgARAxBEAMAnrAdBnClAgARAxBEAMAnrAdAMClBD2AxrAMAo2DwCkCeCIDE2DaEDDuAoDwEFBXCIDECkDaCeAoCkDwCeAo3CeAoCkAVmBeAZCdBLBCAECCAIm7AI3AZBAEZCLAWDYBkmDMDYu8Ae2DNAeBBDFuDmCqCXuDVAeuBBDFAe3DVAeDnn2ASDdCpDon2CFn3ASDdCpAS2nDdASq20CJATBmFgEoCrBwBqDtEKEfATEfFIBmEfBwBmATEKuAe4uCquAeuz10AF2BH3Bxp4Aq3BxBVAUBgAUBN2ADxvAOBdAlAiAvBcAjADxvBPAl2BSAvBcAjCMAhDgCmDUAhBTCcACCmAhDUFmDBBTACDBAC2AhDrlBJABsAHAkwsAmEklBJABsAHAkwsAmAa10AA4Bb6BNAz2BNAzAf5k7Ap3BM2BOCUEIBaAiBOBavx2vAO2AlAiBSvAjw4Ak6AB3l7DrlBJABsAHAkwsAkEklEkABsAHAkwsAkDh2CS2Cx2CW2Cu2AwFoBIBsDvBFCyAKAw2ByFtCNBQDRDCBrBYiDki10BvtDHCwBhtBlCDCRBGt2Blt2CACEBht2CZ2DqCZ3Dq4d10FlAcAXBjCOALDiDZDlEvAXAcAXBjCOALBjAc2EvFdAwBIBsDvBFCyAKEOExe10CaAY3EmCa3Cs2d30At2AQEbCYCKDzBKCBDjx5v5DxAbDGCTBUEADOEjErEhAb10EP2FFFQFTFMFOFYEP2DsEuAYBZCjBtChDsBtDPCngBfBigDTDfCfg4Bfg4Cfg2EVAJ2ENEE2El2DKEsAJ10EP5FMFF2FQFTAc2AXBjCOALAXAc2ALAN10i10Au10c90Cb10a40b60j20f10c25f15h30m2AIAZAWAECLBeDMBLAnrAdBnClAgARAxBEAMAgrAdBnAdAgARAxBEAgAd3BnClAg3BEAdEDEFDwEFBXCIDECk2EDDuAoDwEFBXCIDECkDaCeDuAoDwEFBXCIDECkDaEDAVmBeAZCdBLBCAECCAIm7AI3AZBAEZCLAWDYBkBCDMAECr2Bm2Eo2Bm2EfBqu10Ae10n2ASnCpDoDIEzCFECn2ASnASDoDI2CpECq2BzCHCGDcEBqFeBuq2BzCHFqDcBuEtFcEYCJATBm2ATEKBwBmATEKEfATEfFIBmFgBwBmATEKAG5DD5z10Af10AU10ADxvAOBdAlAiAvBcAjADxvBPAl2BSAvBcAjCMAhDgCmCgDLBTCcACFaAhEyDgDBCgAhESACEwAhDrBJ5Ak4Ek2Am8Aa10AA10e20BM2BOCUEIBaAiAvBaAjAk10BJ5CV3Ek2l10Ek2AB8Ak10Cu5Dh5AwFoBIBsAKBFAK2Aw2i20t10BvDH2CwBh2BW2BlCDEp7EJ2FLd10FlAcAXBjCOALDiDZDlEvAXAcAXBjCOALBjAc2ALFdAwBIBsDvBFCyAKEOExd10e20Ca2AY2Ds2Cs2Ch2d10At2AQEbCYCKDzBKCBDjADBSBdAO2AlAiAvBcAjAb10x3AOv6c10ByFtCNBQDRCzBrBYEgDkCnCvBfgBfDTDfCfg3Cvg8AJ10Ac2AXBjCOALBjAc2ALAs10Ac2AXALCOALAXAc2ALAb10h10Au10f30Ay25Bo5o10De8Co12o5AN5a40De5AN5b50j20Aw5BI2BF2AKCb10c10En15AP15AG20BkCL2Be4BC3AnrAdrClAgrAxrAMAnrAdrClAgARAxAdAgBe5m5AW5BC5AZ5AW5m10AVmBeAZCdBLBCAECCAIBeCdDYAV2AW4AEAIBAEZCLAWDYBkmDMmo10DNAeBBu2DmCqCXuDVuDVBBuAeuAeu2Dnn2ASDdCpDoDIEzCFECCpAS2CFCpDoDI2CFECq2BzCHCGDcEBEtFeBuq10CJATBm2AT2BwBmATEKBwAT5Bw2ATEKm10z10p10BH10ADxvAOBdAlAiAvBcAjADxvBPAl2BSAvBcAjCMAhDgCmDUFaBTCcACFaAhCgAhDBCgAhCgAC2DgDr2AH8Ekl9Aa10AP10Ay5AG5c10BPBMBOCUEIBaAiAvBaAjw10CVw9Dr2Ak8w10Am5AH5m10AwFoBIBs2BFBsAKAw2ByFtCNBQDREgBrBYBrDkBrETBrDC5i2t10CR2BG2CA2Bl2t2Ct3Fn4Fu3d10FlAcAXBjCOALDiDZDlEvAXAcAXBjCOALBjAc2ALFdAwBIBsDvBFCyAKEOExe20EREmDQAYEuEaDPDSBtChCjBZDsCsCQEQFvFsCaDAd10At2AQEbCYCKDzBKCBDjADBSBdAO2AlAiAvBcAjAb10x3AOv6c10e10g4ELDTg3Fpg3Big6ENEi2EHDXEE2ElDKElAJ10Ci5Cb5Cs4Em3Cj3o20Ct6FA2FC2Ci5Db5Ar20AP10AG12DD18As20Dy10a60b40j20c10f40Bo15Ay15a40e10a20AVmBeAZCdBLBCAECCAIm4AI3Bk3AE3CLAWDYBkBCAE2e10Eu5BZ5Ch5ER5DQ3DA3CQ3FsDs2Ea3EQ2DS2Fvq2BzCHCGqEBqFeBuq4CHq2EtFcEYCJATBmEKAT2Bw2ATEKAKAwBIBsDvExCyAKEOExf10z5Cx5Aq10Az10ADxvAOBdAlAiAvBcAjADxvBPAl2BSAvBcAjCMAhDgCmDUDLBTCcACFaAhEyFmDBCgAhCgAC2Ahs4l6s10Aa5CS5h30BPBMBOCUEIBaAiAvAlAjf10o10h10Bp10f10AG10AwFoBIBsDvBFCyAKAw2ByFtCNBQEgBr2BYDRCzDk2BYi4BYBy2t10o5Bo5y10v10FlAcAXBjCOALDiDZDlEvAXAcAXBjCOALBjAc2ALDvAwBIBsDvBFCyAKEOExe20Cj2Bt2Em2DPEuBZ2e20At2AQEbCYCKDzBKCBDjx5Al5Ab2DO3Fk5f5c5h10e10CnCvBfBiELDTDfCfCng2CvBfBig3Cfg2EV2EMEHDXEEEMEsDKEsDK3EN2EEEH2EM2f10Ca7AY3DdCp4DIEzDICFASn6AS4DW6Fz4De10o75Co5DJ10a60f40Ay10f20AN20Bp20As20Dy10a40e10a20AVmBeAZCdBLBCAECCAI5AE5CC2BAEZCLAWDYBkBCDM2Cp3Ez7u4Dm3CXu2c10n2ASDdCpDoDIEzCFCp2DoASDdCpDoDI2CFCpq2BzCHCGqEB2FeBu2q2CH2qCGCH2FcCJATBmEo2Bw3EK2BsBI2BsDvBsCyAKAwBsh10AA5CW5Bo5o15ADxvAOBdAlAiAvBcAjADxvBPAl2BSAvBcAjCMAhDgCmDUDgBTCcACFaAhDUCcDBCgAhESCmACAhw7CV3w10Bb10Bt3Ds4Em2DACj2Cs5DP2CaBt5AY5BPBMBOCUEIBaAiAvAlAjd10Ah5CcCmFaAC2Ey2BTESCgEy2AC3Cc2DUDLCM2Ah4z10AA10AwAKBIBsDvBFCyAKAw2By2CN2BQBr3CzBrBy3Br4BY3Br2i8c10y10Al5v4BdAP10Aj2BS2Al6AKAwBIBsDvBFCyAKEOExAwBsBIBsDvAK3BsAwCh2AY2FvCj2FsCa2ER2BZ2DQ2CQDSBt2Ds2EuDAEQEaDPEmCs2BIAwBIBsExAKCyAKEOExEb3BK5CB2x5v5Ab10AI10y10e10a20EJ3Ep2Au5e10Aw7BsAKDvAY4DP2Bt4c5f15Fy3Fx2Au5',
+    137: 'u6CqEdAe2DNAeBBDFEeDmCqBBDmDnCnCvg3DTDfg3AnrAdBnARAgARAx2AMy10Ao2DwEFAoBXDECk2CeAb10AVBe2AZDMBLBCAECCAICLAIAWAVm5CdCa2ChCsEuDQAYBtCjBZa40pkBg2AUp3Az3Af3k4pAzb40j20AG5o2AG3ArAP3oAr5AG2o3Ar2ANocAr4o3APAG2o4APoBpDDAN2AG2AN2o2AP2Ar2DD2o2AGoBpAN2Bpo4APo5APo2Ar2DDo3AGAnrAdBnClAgARAxBEAMAnrAdBDAg2ARAxAdrAnrAdAxAgBDAdAg2rBLAEAVAZDYAEBeCL2AIEDAoDwEFBXCkDECkAoCeq9BzAVmBeAZCdBLBCAECCAIBkDMmCLmDYmAWAIBAmBAm2AWmBkAVm2u6CqCXAe2DNAeBBDFEeDmCqCXEcDVBBDpBBEdEeDmAeEdAeDnAS3DdASDonDIDdECAS3DdASDoDdCFDdECq2BzCHCGDcEBFqFeBuCHBz2CHFcBu3EtCGCJATBm2EoATBwBqATEfq2BzCHqFeCGEBqBuDNDpBBDFAeDmCqCXEcDVz10AF2BH2p6Aq3BxBVAUBgAUBN2ADxvAOBdAlAiAvBcAjx2vBPxAlBSAvBcAjCMAhDgCmDUDLBTCcACFaAhEyFmDBCgAhESAC2AhDrlBJABsAHAkw2AmEklBJABsAHAkw2Amz10CW2Cx3Cu5BNAz2kAzAf5k7Ap3vBMBOCUvBaBSBPEIBdx2vAOxAlAiBSvBMl2BJ2Ak4AB2w10DrlBJABsAHAkw2AmEklBJABsAHAkw2AmCW2Cx2z6BFFoAKBsDvBFCyAKAw2i10BYBriDREgBQDCByDkCNBvtDHCwBhBWBlCDCRBGBvCwBlEqEWCACEBht2y10CdCCAWAEDMAZBeCLBAAIFlAcAXBjCOALDiDZDlEvAXAcAXBjCOALAc3EvFdAwBIBsDvBFCyAKEOExe10CaAY2CsCQDQEme7EuDsEuBtCjBZd10Ab10AQ3EbCYCKDzBKCBDjDxEXFbCTDGEADGEjBUEjAb4BUEAAbEjErAb2EXFkEGAb6Al2x2AOv5e10Cng2BigDTDfCfg5Big3Cfg2Bb10d10BR2FjEUFiEUFjBR3oAGBpANBpo2DDAP2FfCP6FrCPFrBBu5AeEduDnFzAuCt2DWEp2DqCZCtc180h170f190o15Ar15De15Ay15a100f15h5Cb5AG5h15o5a150c50Dy10As10Db10En5DD5Ay5Co5a10i30g4BfgBf3gCng5Bi2gCng4BfgBi2Bf2CnBfg2Big3BiBfBbz3Aa3AA3Da4CI3EFCe2CM2Ah10DU4Dg4Cm2DL3Cc5DY10m5BA5BK3Eb3Dz2BK2AI10CL10AE5BL5Av2BM2Ai5AjCJ4ATCrBwBq2EKCJATBm2BwCrBwBqDtBqAd10Bn4AnBnClAn3Cl2Ad2r2ARAxAnAMAg4BD4An2AR7An3Ax8r2BE4r6AM5Ad3r2AE5Bk5BC5BA5CC10BR2FjFh3FjBR3f10h10Co10f10CR2Bh3t5ADBd2CUAl5AOc20f20h20o10AN10c10o10As10c40f10DD5DJ5h20AG10Ar15AG5AP10o10h10Ay5Db5o10c20AN5Ci5AP10Ci10Cb10o20Db10Co5Ay5Bp15AP5De10c10h40o10f40AN20Ay10Bo20Dy10Ci10En10c10h10An9AMr3AMClAd9ClAd5Bn3BDClBDAR2AM2An2rBnAd4AMAg3BE2AdAM2Ax3e10AY2Eu2BZ2Ds3Che10v10An5AdAMr13Ad10Bn4BDBE3BnBDCl5r2Ad3Ag7AM3AR4Ad6Ax6BD4AC4FaEy2FmDB6Cg4DLAhw10s10l10Ak6BJ4Am5AH5Dr2Ek2CV2AB4k8BV2BU10Ez5Do5Aw10Cg5Fa2Cc3AE5m5AnrAdBnClAgARAxrAMAnrAdAgClBDAd4iCN12Dk7Cd15BL5m10BL5DY5Ao5Ck10Da2ED3Dw3CI4Ce3CU4BdAj5Bc4Ba6EY2CG3Bu5CP2Ff2FGCP2FrCPFrCJATBmFgEoCrBwBqBw2BmATEfBqATBw2BqEoBwEm2CQ8Ek5Dr5BJ10AH20l20Am20l10CV10s20Ak10w10AB10Ak20w10AB10w10Ac20AX10Bj10CO10AL10Di10Bj5DZ5CO10Ac5Dl5l20BJ5AB5w10s10Ak20w10s10Am10Eq5t5BgAfBHBVAp2k2p2CM2Ah8EVAJEiEHDXFD2ElDKEsEu5e5Fh10An8AM2r10AM2Ag8DtATBmBwCrEoCJBmATCru12a2u3bu2jc9Ci8mCiu4nu15BbCq9Awi2CX4AcCXAwAeeAe6AbAe6BRAe4DN10Ae10BB4cBB3foDF3rDF6Ee10Dm10Cq10CX10Ec10DV20a2c8BB10DF10Ee10Dm10Ae10AwEd8AwAe10Dn10n5fn14AS10Dd2nDd7Cp10Do10DI10Ez10CF10EC10n20AS10Dd10AS10Do10AS10Dd10n20q20Bz10CH10CG10Dc10EB2a2EB10FBEB5Fe3Dc2FeDcFe3Bu10CH10CG10Bz10EB10CH10EB10FeDc4Fe15CG20CJ10AT10Bm10Fg7.2AWEo10Cr10Bw17Bq3Dt10EK2BC5.3Bm4.CrBw.3AT10Bm10Fg10m20.3vAj.5CH15m5CH5m17CC5m3EZ4Be6CL4AZ6AW7DY3BA4BL5BABk4AV6AE2BC5AE3DM5Cd5AI10AP10Ci10DJ10AG10Ay10Co10Ak10DrEk2AB7l10w2Am8f20h30o5As5DD5Bo5c20Dy5Co5j80d20Du8ED2Ao10Dw10EF4Da6BX7Ao3CICk8DaDE10Ck10Da10Ce10CJATBmCJEoCrBwBqDtATCJATBmBwEoCrBwBqDtEKBJ5CV5Drl2AH7AnrAdBnBEAgARAxAnAdAgrAdAxAg2ARAxBEAMBM5BP5Aj5AO5Ao10Dw5Ck5t20BI10Bs10Cy10Ex4Fd6Aw10Fd2Bs3Aw5AK2BF8Dv10n70CF10n20Dr6BJ3CVl10BJ10AB10s10AH10Ak10w10CV7w3Am10Ek6AB4l20AB10w10AH10Ak10w20Am10Eh5Ej5Ab10Fb5EX5EG10Ab20FpELBi8Cn3Cf7Df2Cn5g13Cb10f40AG5Bo5c30o10b100Bv10Eq7EW3DH5Cw3CR2Cw10Bh9BGBW10Bl10CD4Bv6CR5BG5CA6CE4AN10h20c10q5Bz15CH3CGEt4FcEB2Dc9z10AK10b100At20AQ10Eb10CY10CK10Dz10CB5CY5At5BK5AQ10Ez10DI4Do6Cy10AK10BF5Bs5BuBz8CH8EY2EtFc2Fe4DcBu3q20Aw20BI8Fd2Bs10Aw10BF10Dv10AK10EO6Ex4EO5Aw5FlAcAXBjCOALDiDZDlEvFlAcAXBjCOALDiDZDlEvAc2AXBjCOALDiAcDlEvAc2AXBjAXALDiAcDlAc3AXBjAcALDiAXDlAc3AXBjAcALAX2Ac8AX4Bj5AL5Ac5AX3AcAXBj3AX3AL4Fk4EA3Eh3Ab10DG5Er5CT20BU10DO5BU25Eh10AF30p5Bx15p50Af60k40g20Df2DT3Cv5Bf10g15Cn8Cf8Bi8FpDf5Cv5Bf6DT3ELk30AU30Ap30BV10DC9ET6By4BYb30z13CW2AA5Dh3Bb4Cx3Aa10BSCU3AiBdAD4Az30BN10BH10BN6BH4Az5Bg15Aq20k37BNAz2p2AU2BV3BN2BHp8AqBHp10Bx5Aq5Az10Ap10s30AH5l15Am5l5Ak9CVw10l10Am3s7AY18Bt2Ca10Ch9FvCa4CjDSBtFsEu2DQ10CQ9FsEa5EQ2DS3Em10BZ8Eu2FyFA2FLEpFxCt12FuEJFn2FCEp2DW3EJ2Ep5FnFu2Fx2Dq8CZ2Ct9FnFL2CZEp7FnCZ3Dq10CZDW3CZ2Bb2AA8s10w10r2AdBnAdAgARAxBEAMr2AdBD6AMr2Ad2AMAgARBDBEAMAgrAdAgBnAgBDAxBDAMv10Ba5BS5Ai10Al10DM5BL5CC10AW10CL10AV30DY5AE5BL10AZ10AE20Cd20BL10AZ10BA30BC10EZ5DY5AI10BL10Bk10m30AVmBeAZCdBLBCAECCAIBe10CCBAEZCLAWDYBkBCDMCCAn2r2AMAdBDBn2Ag2AR2AMAgAx2BE2BDAn7Ad2r13Ad2AgClAR2BEBD4ClBn6Ag10Ax7AR6BE6AM6Ad5An7BDAnAgr11Ad8Bn8Cl3Anr2AdClBnAR2Ax2Ag8AR12Ax12BE8AMBD3BEAM4BDBv10t10DH10Cw10Bh10BW10Bl10CD10CR10BG10t30BvtDHCwBhBWBlCDCRBGCAtDHEqEWCACECDCRBGCA10CE10Bh4BW4t2Cw4Bv2Bl4Eq4EW4Bv2FlAcAXBjCOALDiDZDlDZFlAcAXBjCOALDiDZDlDZFlAcAXBjCOALDiDZDlDZAc2AXBjCOALAc2DlDZAc2AXBjAXALAX3DZAc2AXBj2ALBj4Ac2AXBjAL3AXAc4AXBj2ALAX4Aa7z3b10Bv6Cw4BW3BG7CE4CR2CA4DH3EqEWBh5CJATBmBwEoCrBwBqDtBwCJATBmBwEoCrBwBqDtBwCJATBmBwEoCrBwBqDtBwCJCrBmBwBqCrBwBqDtBwx3BSv5AOCziEgCN7o10h60Ar5As5Ay10Bp5AN5x15Al15Bd10BO5AD5Aj10Ai10Av10v5Ai5v10CU5BS5Bc5AO5Bd5BP5Av10Aj2v8Al10Ai10BM10v12Aj8AD5Ba5x10v10AO5BM5CU5Bd5Al10Ai10BO5Av5Bc5BP5Aj5BS5o10Ay5Ar5AG10c15f5As10o5Db5DJ5DD5h20Ec3DpEd3Ec3Ae10b30Em5DQ5CQ7Ch3Eu4CjEaAY2FvFsBZ4EQ3Ea2DACa2BZDS2AYChCjBZBtq24Bz11CG2EY3Et6Fc2Fe5EBDc5Buq24Bz6EY2Et2FcEB2DcBu2i10CN12Eg4Br30By21DR2Eg2Dk6ET2DC11c20f40o10h25AP5Cu2Dh2Bb3CS3CW5Dh5Aa5AA5z15Aa15Cu10Bb2zAA7CxBb3AAAa5Cxz9',
+    138: 'a4u3a2ca10cbjdupi2egDuAnDuBDEDDu2AVDuBA.DNDpnDoqFqBqEf.EfAfBgADBPCMEyl2AA.2AABaa.Dy.l2FoByETBviAGArFlDZFdaEREaCjaAtaAbayFCCnaEVFwBRCP3Fza40BxAFBg2AU2ApBgApAz2Af3k4p2b40j20f10DeBo2AyANAsCoh3c5hoAsoCbc5f5AG2o3Ar2APoArfAyc9DbANc2CbAs2cCic10j10AnrAdBnClAgARAxBEAMAnrARAxBDAxAd3AnAg3r2BDr2BDrAo2DwAoDuAo2CeDaAoAw5BI2AK2BsBz4qCG3FcEYAVmBeAZCdBLBCAECCAIAZm6AEAImBLBAEZCLAWDYBkAVDMmu8Ae2DNAeBBDFEeDmCqCXEcDVBBuBBDFAe3EdAeDnn4CpnDInCFnAS3DdASDonCpDdECq14Bu6CJATBmFIATCrBwBmDtEfCH3EBFBFeDcFqEt2uBB2DFAe3u3z10AF2BH2p6Aq3BxBVAUBgAUBN2ADxvAOBdAlAiAvBcAjx2vBPxAlBSAvBcAjCMAhDgCmDUDLBTCcACFaAhACDB2CgAhBTAC2Ahl10s10Aa10AA10BNAz2kAzAf5k7Ap3BM2BOCUEIBaAiBOAlvx2vAOvAlAi2AOAil3w3Ak4w3s5w2AB4AH3Am3w10Bb6Dh2CS2AwFoBIAw4AKAw2i10BYBriDREgBQDCByDkCNBvtDHCwBhBWBlCDCRBGBvCwBlCEEWCACEBht2y20FlAcAXBjCOALDiDZDlEvAc2AXBjCOALDiAc2EvFdAwBIBsDvBFCyAKEOExe10CaAYDACsERDQEme7ChDsEaBtCjBZd10Bvt3BWt5Aa6Cu4i10Ab4BUAbDGCTFbAbfc2fcfc4Al2x2AOv5pBgp3k2AzApBVCnCvBfBiCngDfCfg2co2APcoh2cAyENAJEiEHDXEEEMElDKEsAt10z6Cx2CW2AGh4AyAsAyArAsoAyDDANDJANBpcBpDyAPohAsAyofArf2FuAuCtAu3FxEJFLFAa200Af30BV2BH3BN3Bg2BV3BH2BN2Bg3Af10k40p10AU10AF5Aq5Bx5p5AF5Aq5Az10Ap5Az5Ap10p40Af10AF10Aq5Bg5p5k5Ap15Az5k20Az10Af5BN5Ap5k5Aq10p5BxBHBN3AF10BH10BV10AU5p5Bg10b300Dr2AB8l10BJ10AB12s3l5AH10Ak10w10s10Am10j200Bo10c20AG20AN10Cb10Ar10Ay10Bo10AP10f30o10f30Co10Ar10AG10AP10As10f10c10o5Co5Cb5En5Ar10AN5Bp5Ci5DD5c20f10DJ10As10o10AP10h10Ay10Co10c30Db10c10f10Co10En20h10AG10AN10h10De10f10Cb10DD10o10DJ10Db10AG10Bo10AN10De10c10Ci10Bp10f20Dy10De10h20DJ10Ay30c10DD10As10EN10EV4El6Ei10EH10DX10EE10EM10El10DK10Es10An10r10Ad10Bn10Cl10Ag10AR10Ax10BE10AM10An10r10Ad10r10Cl10Ag10AR10Ax10Ag20Ad10r10Ad10Bn8r2Cl4ARr3Ad2BD10AR10Ax10BE10AM7Ax3DuDaDwEFAoCIDECkBXCe2AoDwAo4CkBXEDAo5Dw2EF2CI2DE2Ck2Da2Ce3EDBXED3DwCe3DuAo20Ce4Da3CI3BX7Ck3DE4Ce3ED3Du10Ao10Dw10EF6Ck4BX10CI10DE10Ck10Da6Ce14q20Bz10CH10Dc10Et10CG10Bu30AV10m10Be10AZ10Cd10BL10BC10AE10CC10AI10m40AI10m10AW10AE10AI10BA5AE5Cd5AZ5BA10EZ5CL15AW10DY10Bk10BC10DM10Bk5CC5u60Cq10CX10Ae20DN10Ae10BB10DF10Ee10Dm10Cq10CX10Ec10DV10u10Dp10BB10DF10Ee10Dm10Ae10Ed10Ae10Dn10n20AS10Dd10Cp10Do10DI10Ez10CF10EC10n20AS10Dd10Cp10Do10AS10Dd10n20q20Bz10CH10CG10Dc10EB10FB10Fe10Bu10Et10CG10Bz10EB10Fq10EB5FB5Fe10Dc10Fc10EY10CJ10AT10Bm10Fg7BqBm2Eo5CrEo4Cr10Bw10Bq10Dt10EK3Ef2CrBwBqEf2Bm3CJ2CrBwCJ3AT10Bm10Fg6BwBqEf2CJATBmEo2CrBwBqDtEKCJATBm2BqCrBwBqDtEKCJATBm2EoCrBwBqDtEfCJATBm2DtCrBwBqDtBqCJATBm2DtCrBw4CJATBmCr3Bw4m12CC5m3EZ4Be6CL4AZ6AW7DY3BA4BL5BABk4AV6AE2BC5AE3DM5Cd5AI10AA10z10Cu10Cx10Bb20CS10Aa10Dh10CW10AF20BH10AF5BV4BHp60Aq16AU6Aq2Bx3BVp2Bx10AUBgBVAq6BxAU10Bg10AU10BV4Bg6BN10AD10x10v10AO10Bd10Al10Ai10Av10Bc10Aj10AD10x10v10BP10Ai10Al10BS10Av10Bc10Aj10CM10Ah10Dg10Cm10DU10DL10BT10Cc10AC10Fa10Ah10Ey10Fm10DB10Cg10Ah10ES10AC10Ew10Ah10Dr4CV6l10Ek4BJ6AB10s10AH10Ak10w10s10Am10l20s20AH20Ak10w20Am10z10Dh10Bb10CW10Dh5CW5CS10Cx10Aa10Cu10AA10CW10AA10CS10Cx10AA10Dh10z10Aa10Bb10Cu10Az30k4BN6AF2BH2Af11Bx5Af5BxAfBxAf22Ap10k43BN4Ap3k18Az2Ap30BM20BO10CU10EI10Ba10Ai10Av10Al10v10x20v10AO20Al10Ai10BS10v10Aj10Dg10BT10Ah10DB10CmDLAhCg4DB3CMAhDgCmDUDLBTCcACFaDLEyFmDBCgDLESDg3Cg10AhCM3AC6Ah10BT10Ah10AC10DU5Cm5DL3BT2ES3DgCcFm2CM2Cc2ES2Cc2BT4DUCmAhDLAhCcAh10ES3DLFm2Cc2Ey2CM5DB2DLAhCmDr4CV6l10Ek4BJ6AB10l10AH10Ak10w10s10Am10l20Ek5BJ5w60Am10BM10x10Bd10AO10BO10Ba10Ai10AD10v10Aj10Fo5Aw5Fo10BI10Bs10Dv10BF10Aw10AK10Aw20i60By20Ft5CN10BQ10DR10Eg5Br25BY25Cz5Dk10ET5DC5i5Bv10t10DH10Cw10Bh10BW10Bl10CD10CR10BG10Bv10Cw10BG10CD5CE5CA20CE20t20Bl20DH10CD10CR10BW10Bh20t20y100Fl10Ac10AX10Bj10CO10AL10Di10DZ10Dl10Ev10AL10Ac10AX10Bj10CO10AL10Ac30Ev10Fd10Aw10BI10Bs10Dv10BF10Cy10AK10EO10Ex10e100Ca10AY10DA10Cs10DQ5CQ15EQ5DS5e60ER10DS3EQ2CQ3Fs2Ea10DP10Cj10Ch10Eu10d100EV5Fw3FD2DX10EN10Ek2CV8s10EE10AO3vAl4Bd2Ai2Av2BaBc2BO2BM2Ai2Ba2BP2Aj4BS2Alv4x2At20AQ10Eb10CY10CK10Dz10BK10CB10Dj10i20By10Ft5CN5BQ5DR5Eg5Br10BY10Cz5Dk5ET5DC5i5Dx14BU6DG10CT10BU10DO5CT5DO10Ej10EA4DO2Fb2Er2EX4Eh6Ab100EP2FFFQFTFMFOFYEP2u30Ae30BB10u10cfo3Ay2h3DQ10AY10Ca10Em10BtCjChBZ2AY2Ds2CQDs10Cs10Bt20BZ10Cn10Cv10Bf10Bi10EL3gBi3Cn3DT10Df10Cf10g20Cn10Cv10Bf10Bi10Cf10Bi10Df10Cf10g10Cn10EN10AJ40EE10AJ10El10DK10Fw10EC10CF10AS10Dd10Cp10Do10DI10AS3ECEzn15CF10BR2FjEUFiEUFjBR5FjEUFiEUFjBR3EU10BR2FjEUFiEUFjBR5FjEUFiEUFjBR3EU10BR10q15EY5EB2FcFeEtBz5d100FN2FfFRFGFr5FNCPFfFRFGFUFKFrCPFrCP2FfCP4FrCPFrFNFf3FGCP2FrFf2CP10FNCPFfFRFGFUFKFrCPFrCP8Ff8Fr2FG2DnCXCq8u10BB8Dp2u10EeCXDNDpDV4Dn2DF5Cq5Ae10Dm4Ec3DN3Ae10Ed4CX4Dn2u10Dn10Ep10CZ10Dq10Fy3Fu4FC3Fx3FA2EJ3FL2Fn4Ct2Fz4DW10Ct10Au20',
+    139: 'Auu2CtAT.2cAta4b2pb4cjCbc4DVagcAn3Ao2qDV3ATDVBBz4BmqDmzpBNAjxACAhAmwAaAAAfkx2l3ABzAwiCyDHBvy2Ac2Awe2d2BvaDCAbEXFMFsBfgEVAJBRAhaua41BxAFBg2AU2Ap3Az2Af3k4p2b40j20c11fc2DbCiCbEnc3o2f6cANBpDDAPBpAGoANAGArh2AsDJhAs2Dy2hAy5Bo2AyCoDeo2Aro3AP2AGof10c2fhAyc3BoDeAnrAdBnClAgARAxBEAMAnrAdBnClAgARAxBEAMAnrAdBD3AdAg2rAo2DwAoBXCIAoCkCeEDDuAoDwEFBXCIDECkDaCeq2BzCHCGq2CHCGBuAVmBeAZCdBLBCAECCAIAZm6AWAIBABLBAEZCLAWDYBkBCDMCdu6CqCXAe2DNAeBBDFEeDmCqCXEcDVBBDpBBDFEeDmAeEdAeDnn4Cp2DIEzCFnAS3DdASDoDd3ECq2BzCHCGDcEBFBFeBuq2Bzq4CHCGBuCJATBmFgEoCrBwBqDtEKq2BzCH2DcBuEtCGBuDNDpBBDFEeDmCqCXEcDVz3CxCuAa4CWAF2BH2p6Aq3BxBVAUBgAUBN2ADxvAOBdAlAiAvBcAjADxvBPBdAlBSAvBcAjCMAhDgCmDUDLBTCcACFaAhEyFmDBCgAhESCcACAhDrlBJABsAHAkwCVAmEklBJABsAHAkwCVAmz3CxCuAa4CWAA6BbCSDhAaBNAz2kAzAf5k7Ap3BM2BOCUEIBaAiBOAlvx2vAOxAlAiBSvBPl4Ak6s3w5s2DrlBJABsAHAkwCVAmEklBJABsAHAkwCVAmz4Bb3CSDhAaAwFoBIBsDvBFCyAKAw2i10BYBriDREgBQCzByDkCNBvtDHCwBhBWBlCDCRBGBvCwBlEqEWCACEBht2y20FlAcAXBjCOALDiDZDlEvFlAcAXBjCOALAcDZDlEvFdAwBIBsDvBFCyAKEOExe10CaAYDACsERCQEQe7Chd3DPDSd10BvBlBGCwBht5At2AQEbCYCKDzBKCBDjBYBri4ETByFtDCDxAbDGCTBUEADOEjErEhAbEXFbEGAb4FkEjEP2FFFQFTFMFOFYEP2DQAYCaEmFsDsEaBtCjBZCnCvBfBiELDTDfCfgFpg10EVAJEiEHDXEEEMElDKEsAJFwAJENAJEEAJElAJ2BR2FjEUFiEUFjBR3CMEyDgCmDUDgBTAC2AhFNCPFfFRFGFUFKFrCPFrBBu3Ae3EduDnFzAu2FnDWFyEpDqCZCta200Aq5Bx4BgBN2AU3BH4BgAp10Az5Af5Ap5Af5AF10k20BN5Ap5p15k25p10BN5Aq5k30p20k10Af20Az5Ap5Bg5p5Bg5BN5AF10p10Aq10k10Az10Bx10Af20k40Az10p10b300AJ50EH5Es3DX4DK6Ei5EM3AJ24j100Az10Af30p5Ap5Af5BN5Ap10Bg5Aq5AF10AU5k5DD3Bp3AN4c40h5Ci2Db3Ci2Cb3En2Bo2Dyc10f10h10Co5AG4co20Ar6AP4f10De3Bo4Dy3As6Ay2DJ2f20Ay10c33h5BpDDANCi2Bo2DbCbCo2DyAr2o6f10AGDyAP2DeAs2Ay5o10Ar10c20f10Ar10o10h10Bo10h20o10c30DD10c10f10Ci10Bp5Ay5h10AP10Bo10En10o10As10f10Bp10Ci10o10Db10Dy10AP10Ar10o10As10f10o20c30AG10o10h10Dy10h10c10Ay10Bp10Cb10o10An10r10Ad10BD10r10Ag10AR10Ax10Ad10AM10An10r10Ad10Bn4Ad6Cl3Ag17AR9AdAx10BE4r6AM7r3An10r10Ad10Bn10Cl10Ag10AR10Ax10BE10AM10r20Ad10Ag20BD20AM5Bn4BDr9AdBD2AR3BD2AdAxBnDuDaDwEFAoCIDECkBXCe2AoDwAo4CkBXEDAo5Dw2EF2CI2DE2Ck2Da2Ce3EDBXEDDu2DwEF4Ao17Ck6Dw10ED3Ce4ED10Du10Ao10Dw10EF10BX10CI10DE10Ck10Da10Ce10q70Bu30AV10m10Be10AZ10Cd10BL10BC10AE10CC10AI10EZDY3AW6DM3BA7m10CL4Bk6m20CC5BL3Be2AZ7Cd3AI10Cd2AV3AE5m10BA10EZ10CL10AW10DY10Bk10BC10DM10AI5BL2Be3u60Cq10CX10Ae20DN10Ae10BB10DF10Ee10Dm10Cq10CX10Ec10DV10Ae10Dp10BB10DF10Ee10Dm10Ae10Ed10Ae10Dn10n14ECn5AS10CFCpDdCFDoDd5Do2ECEz2DICp4Do10DI10Ez10CF10EC10n20AS10Dd10Cp10Do10AS10Dd10n20q20Bz10CH10CG10Dc7Fq3Bu3q7FBEB4Fc2EY3Et7Fe3Bu10q20Bz10CH10CG10Fq10EY10Fc10Et10Bu10CJ10AT10Bm10Fg5CrBwBqDtEKEo8EfFICr10Bw10Bq10Dt10EK10FI7CJ3AT3Cr3BwBqDtATEf10CJATBmFg2CrBwBqDt2CJATBmATEoCrBwBqEo2CJATBmATCr2BwBqCrEoCJATEfBw2CrBwBqBw2CJATBm2EoCrBwBqDtEKCJATBmFIEoCrBwBqDtEfCJATBmEfEoCrBwEfDtEfm15BC5AI10AE10CC5BL5Be5Bk5AZ5BA5CL5DM5Cd5DY5AV5AW5AA20z30Cx10CW10Cu10CS10Dh10p4AU2BVp2BVk4Bg4kBVAz4BVBHBxBN2BVAp4Aq2BV2ApBVBNAp2AU2BVAqBxAFBHAf2BV2AF2Af3BVp50Aq20Bx10k6Af4AU10Bg10AU10BN20AD10x10v10AO10Bd10Al10Ai10Av10Bc10Aj10AD10x10v10BP10Aj10Al10BS10Av10Bc10Aj10CM10Ah10Dg10Cm10DU10ES3DL7BT10Cc10AC10Fm5Fa5Ah10Cg5Cm7DL2Fm2Fa2CM5Dg7DU7Ey2BT7DB5Ah7AC15Cc6ESAh10Dr4CV6l10Ek4BJ6AB10s10AH10Ak10w10s10Am10l20s20Am10Ak20w30CS10z10AA10Cx15CS5Cu10Bb10Aa30Bb20Aa30Dh10CW10z30Bg10Az20BH10Az10Af40AF20k60Ap30Ba3CU4BP3BM10BO10CU5BS5EI10Ba10Ai10Av10Al10v10x20v10AO20Al10Ai20v10Av10Ah15Cm5Fm4Dg6Cc7DL3DB2Ah3Cg5Fa4DLAC5DL3CM2DB2Ah3AC5Ew5BT4Ey6ES5CM5Cm4Dg5Ey7DB8Cg8Ah8BT5DU5Ew4AC6BT5Ah15AC5Ew5BT10Dr4CV6l10Ek4BJ6AB10Am10AH10Ak10w10s10Am10l20s20Ak30w30x20Bd10AO10BO10Ba10v30Aj10Aw10AK5Fo5BI10Bs9EODv4Cy3Dv2FdBF9ExCy10AK10Aw20i70BQ5DR4ETEg3DC4Cz3Dk4CN4Ft2BY5By5Br7i3By10Br10Cz5Dk6BY10i3CN6BQ6DR5Eg5DC6i3Ft3ET2Bv7CA3t10DH10Cw10Bh7CE3BW5BG5Bl7CD13CR10BG10Bv10Cw10Bl10Eq10EW10CA10CE10Bh10t20Bv10t10DH10Cw10Bh10BW10Bl10BW10t10BG10y100Fl10Ac10AX10Bj10CO10AL10Di10DZ10Dl10Ev10AX10Ac10AX10Bj10CO10AL10Ac30Ev10Fd10Aw10BI10Bs10Dv10BF10Cy10AK10EO10Ex10e10Ca2AY3DA2EQEaChDs2DQ2Cj2Cs2CQDSBt2DP2ER2Em2EuBZe60Ca10AY10DA10Cs10Ds5Ch5CQ10EQ5DS5e60ER10Cj10Ea10DP10Cj10Ch10Eu10d100At20AQ10At12AQEbCYCKDzBKCBDjAQ5BK5CB5Dj5BK10At10AQ10At6CY3DjAt10AQ7CK3Eb3Dz2BK2CB2DjAt20AQ10Eb5CY5CK5Dz2BK3CB5Dj5i30By10Ft3ET2CN6BQ6DR4Eg3Br10BY10Cz3Dk5i4DC4EG2FbEGFkEADOEr2EhAb10DG10CT10BU10EA10Ab10Ej10Er10Eh10CT10EX10Fb10EG10Ej10DG10FJ10FH10Fk10BU10EP2FFFQFTFMFOFYEP2Ds2Cj2DS2Ch2Bt2BZ3CQ4AY3s10Am5l5AH10Ak10w10l10EP2FFFQFTFMFOFYEP2DQ10AY10Ca10Em10Fs5Fv5Ds10Cs10Bt20BZ10Cn6Bf4g30EL11DT3BiDTELCfFp2Df3Bi7Cf7Cv3g20Cn10Cv10Bf10Bi10EL10DT10Df10Cf10g10Fp10EV10AJ10Ei10EH10DX10EE10EM10El10DK10Es10Ck5Du15Ao10Dw17EF8BX5CI10DE5Ck5Da5Ce5ED5Ce5BR2FjEUFiEUFjBR5FjEUFiEUFjBR5FjEUFiEUFjBR5FjEUFiEUFjBR5FjEUFiEUFjBR3i20By10Ft5CN5BQ5DR5d100CP2FfCP27FfCPFfCPFGCPFKFrCPFrFNCPFfFRFGFUFKFrCPFrEg5Br10BY10Cz5Dk5ET5DC5i5BB10u30Ae30Ed10u10Dn10Ep3FuFyEJDq2CZ2Au20Fz2Fn2DW3Ct3Au3EJFuFxFy2FC2Fz3FnDW3Ct3Ep3CZ2EJDq2FuFyCt3FnFC2FA2Fx2Au20',
+    145: 'a100j60Ao10Ck7BX3Da5CI5Ce5ED5An4BD6r16Ad4Bn4Ax4AM5Cl4r5Ag8Bm10CJATBmFgEoCrBwBqDtEKBq4AT6BX10AR5BE5AnrAdBnClAgARAx.2BB10u78Ae2DNAeBBDFEeDmCqCXEcDVAeDpBBDFEeDmCqEdAeDnAe54BB2DF3Ee3Dm3Cq5Dd5AS5Cp5Do5DI5Ez5CqCX4Ec.4q20b20Ec3DV4DN4Dp4Ed4DnCF5EC5n10Bz5CH5CG5Dc5Bu5Fe5EB5Fc5b140p30BN9pk7Az3AU5AF5Aq10b30Az10Bg10Bx6Af24BH5BV5FA5FL4AuFu5EJ4AuFC5Fx4DWFzAuCtFnDWFyEpDqCZCta1040j20b20CMAhDgCmDUDLBTCcACEwFaEyFmDBCgAhESAh2DLAn9AMr10Ad9AMBn3BDAx4AM2Cl3r2BDAx2AM2Ag10AR4BE4BD2Cp2DI2Do2DIEzASECAS5Dd2CF3n10l10s10w9lDr2BJ2lBJAB4l2ABs3lCVAmEkAH4lAm5Ak8CVEkDuAoBXAoBXCIDECkDaCe2AoBXEFBXCIDECkDaEDDuAoBXAoBXCIAoDaCkCeAV3Be4AZ3m13Cd2BL3CC2BC3AE5CL2AI4BA4DY2EZAW4Bk3DM2d20y10EP2FFFQFTFMFOFYEP2u10DNAeBBDFEeDmCqCXEcDVAeDpBBu2AeCqEdAeDnAe7BBCXEcBz4Dc2CH2CG2q2BzCHCGDcEBFBFeBuq4Fqq2EtFcEYBu3EtFcEYq4CJ2FgEo2Dt2EKEfFIBm5Cr2Bw3x5CU2BM3AO2BdAl3Ai4Av2vAj2xBPBS2BcADxvAOBdAlAiAvBcAjADxvBPxvBSvBcvBa2EIBO2v5CYAtAQEbAtCKDzBKCBDjz5Aa5zAA2CxCu2Bbz2CWz2AACxAa2BbCSDhCWp7Af6BN2k9Ap4AU3AF3Aq4Bx2BH2Az4Bg2BV2FoAwBIBsDvBFCyAKEOExFdAwBIBsDvBFCyAKAwAKg10Cn2CvBi2BfDfg3CnCvBfBiELDTDfCf2Fpi9DkByFtCNBQDREgBrBYCzDkBYBrETBQDCi2Byi2BvtDHCwBhBWBlCDCRBGBvtDHEqEWCACEBht5CwBhBWBlCDCRBGFlAcFPBjFSALFEAXAc4AXBjCOALDiDZDlEvFzAuCtFnDWFyEpDqCZFAAuFCFuEJEpAuFxAuFLCte12ERDQAY3BtCh2BZ2CQCaBtEaDPDSEmCj2EuDsCs2EQFvFsCaDAEVFwEiENDXEEEMFWDKEsEl3EHEEAJ5FNCPFfFRFGFUFKFrCPFrBR2FjEUFiFhEUFjBR2DGDOEjEGAbEAFJFHFkBUDxEXFbCTEhErAb4c17DyDDBpf20AG3Db2As3Co2Ay3AP3Ar4o8Cb2AN2DJCiEnDeh2Bo2h4AGh5AT6Bq4a30j30b20Ah5DgCmFmCgESEF5Ao2CI3l30j30b30BX5DE5l21s2AH2wAm3Drl20b20CIEDAo3CIDE2CkEFDuBXDu6.2Ao10l35Dr5u8Ae6BB2DFEeCq2d20Ef4Cr4FI5Eo4Dt3u10Ae3DFAeDmu4Ae10BB3DNAeDmCqEd2DVu3CXDVDpDn4Ah6Dg2.2FB4Fq4Et2q4Et2EY4EKBm2Fg4CJ3DtEK4Bw5v3BaBdBSx2AOCUx4v12BdAi2AvBS3BMBS6Az3BgAf2.4DgCmAhCmDLAh5At3AQAt5AQBbAAzAA2Bb2CS.2z18AA2p6Af6BNAp4AU3AF4Az2Bg4p5Af5BN2k5Ap3AU4AF3AqBxBHAw10CfBf2DTBiCv2.3g5Bi2Cf2Cvg6CnBi3ETiBYi27CwtDHCwt2CAt2BlBvCwBlEqEWCACEBht12Ac3AX2DlEvFlAcBjAc20Au2CtDWDqAu5Ca3Bt7e4EuAY2Bt3EQ5Fs5Ca5DA5Fv4DS4Bt2ElEV2Ei3EH3ElAb26Fk4DG5BU5c14Ci2As2APAGf12o5AN3DDBpAG5As3c18DbAPf14Cb2Ci2Dehc10a30.10j20b40EyAhDgCmDUDLBTCgACFmCMAhDgCmACEwESCcDBFaAnrAdBnBDAgARAxBEAMAnrAdBDClAgARAxBEAMn2ASDdCpDoDIEzCFEC.10l2BJABsAHAkwlAmDrlEkABs2AkwCVwAo2BXEFBXCIDECkDuCeAo2BXEDBXCIDECkDaCem5AZ2AI2DYAVBeCdBLBCAEBACLAWBkd20y20EP2FFFQFTFMFOFYEP2.10u2Ae2EdBBDmCXEdDnuDNAe2DFEeCqEcDVDpq2BzCHCGq3Bu2EtFq4Fc4EBAT2Bm2FgBwCJCrBq2EfATBmATFIEoBwBqDtEKx2v2AOBdAl2AiAvBcAjADBPBSBMBOCUEIBax2v2AO2BMBO2Bax2vAOBdAi3AvBOAt2AQEbCYCKDzBKCBDjAt2AQEbCYCKDzBKCBDjz2AAAaBbCxCuCWDhCSz3AA2Aa2Bb2CupkAfAzAUBNApAqBgAFk2pAUAzAFBNBVBxBHFdAwBIBsDvBFCyAKEOExFoAwBIBsDvBFCyAKEOExg5CnCfBiCvBfCnCvBfBiELDTDfCfgFpDki4BYDRBriByCNEgCzDCi6DHBWBGCABlCDCwBvtBht2CwBhBvBWCREqEWCEFlAcAXBjCOALDiDZDlEv.10DqEpDWFuCZFzCtFyAuCtFxFnFLCtFAEJAuCtEpDqDQe2EaAYBtCsBZCaCjeChDPDADSDsEuEmEQERAJ2DKENDXFDElFWAJ2.10CP2FfFRFGFUFKFrFNFr.10BR6FjEUFiFhBR3Fj2EU2FiFh2Ab2EhEXDxDGCTBUEjErAb2EjEADOFbFkFJFHEGc3AGArAsf7AGAP2o2h2c3f4hoAGc2fhoAsAN4EklsABsAHAkwCVAHDrlBJlsAHAkwCVAmEkl2wslAkwCVs2ls7Amw4sAHAkwCVAmAk2l8ADBMBSAOBOBaAiAvBcAjBaBO2xvAOBMvxvx3AOBdAi2Av2Ajs10f2ArCiAychoAPAsc5f3h3oAPAGAsANBoCbDbDyc5h2DDDeCoc7f3i10BeBLBCAECCBAEZAWBkDMe2AYBtBZCaCjCQFvFse8AY2f10Br6By2BY2b20AzBxBHpAp2k4z3AA3Aa3CxBgAf2BVAq2AF2AUBNEt2Fq2Bz3EB3AB4Ak6BJ10f10.2000ADvAOBd2Al3BcBPEIAj4BM2CUBSBaAw2BIBsDvBFCyAKEOExc5AG3AyBpf7o2ArAu2CZ2DW2CtEJFLCtk10Af7Bg4p4AqAz3Bx3BH3Ap3BV2AF2AU4BN2Aq2i4DkFtBQETDCiEt3EB7b40l12w3Ak7AB2AH3Dr3e5AY4Btg10.780k20Ap19AqAU10AF10AB9AHs29AHEw5DB5Cc5AC5BT5Cg5Ek10Ak4w3Am3AH10Ak10w10BJ5CV5Am10Ey5Fa5Fm5ES5Ah10DU5CM5Ah15Dg5DL5Cm5AA10Cx5Cu5Aa10Fo5Fd5Ex5BF5BI5Cy5Bs5AK5Dv5EO5BS5x25Bb5CS5Dh5CW5AV5m15Be5AZ5Cd5BL5v45AO10Al5BC5AE5CC5AI5BA5EZ5CL5AW2DY5Bk3DM5Ba5CU5BO5BP5Av5AD5Bd7Ai4Bc4Aj4BMCz3Ft4ET3DC4FZ6Dk3BQ4Eg3By5DR2CN3i10Br4BY6BG5BW5CR5CD5Bl4DH5BvBM6EI4c50AGDbAsCoAyfAPoCbANArDbDJCiAyAPEnoDehBv3Eq4CA4CE4Bh4EW4Cw4t3h20o20c62h6Db2AG20AP7Ci8Ar8AN4Ay3DD4Dy5f85o5Cb5En4De3DJ4Bo5As10DbBp5Co4Fl5AX5FP5Bj5CO5FS5AL5FE5Di5DZ5Dl5Ev5Ac2FV5.3AT3Bm3Bq4y10d10e35Eu5Em5ER5d50DQ5AY5Ch5Ea5DP5Cj5BZ5Ds5Cs5CQ5AQ5Eb5CY5CK5Dz4BK6CB5Dj5At10CT5Dx5EX5FH4Eh4Er5FJ2FFEPFFFQFTFMFOFYFF2Bi10EL5Cf3Df3Cv4Bf4DT3Fp3Cn3g22BR10EG4EA4Fb4Ej4DO4EP2FFFQFTFMFOFYEP2FNCPFfFRFGFUFKFrCPFrFNCPFfFRFGFUFKFrCPFrBi5Cf2Df2Cv2Bf2DT2Fp2Cn4g19BRFj5Fh4AJ7DX3EE7EM3El9DK3Es3FwEN4FNCPFfFRFGFUFKFr2.CZ4EpDW3Ep2Ct4Dq4Ct4Fz4Fn4Fy4Au6EU5Fi5Bd2Al4BM2BO2i10BvtDHtBhBWBlt3.30Fz2Au2CZDWEpEJDqCtDq2CZEp2Au3Fz2CtCZ3DWEp3Au2ByDRDk8.70h13o6c',
+    147: 'z5AA5Bx3Af2BHAq3AFCg5Cc5.10a20.10Dl10.20a100.10b10j10d10u8Ae2e20i10e10g10An2Ag4AdAxAR2AnrAdBnClAgARAxBEAMAnrAdBnClAgARAxBEAMAnrAdBnAgBDARAxrAMDuAoDwEFBXCIDECkDaCeDuAoDwEFBXCIDECkDaCee40u10DNAeBBDFEeDmCqCXEcDVDp2BBDFEeDmEd2Dn2n2ASDdCpDoDIEzCFECc10q2BzCHCGDcEBFBFeBuq2BzCHFqBzFcEtFcEYc30CS10AF2BH2p6Aq3BxBVAUBgAUBN2ADxvAOBdAlAiAvBcAjADxvBPxAlBSAvAj2CMAhDgCmDUDLBTCcACFaAhEyFmDBCgCmESEwACAhDrlBJABsAHAkwCVAmEklBJABsAHAkwCVAmAa10e10BNAz2kAzAf5k7Ap3xBMBOCUEIBaxAvAlvx2vAOAl2AiBSvBPc50AwFoBIBsDvBFCyAKEOExi5EgiETFtDkBYBriDREgBQCzByDkCNBvtDHCwBhBWBlCDCRBGt2CAEqEWCACE2t2c20FlAcAXBjCOALDiDZDlEvAXAcAXBjCOALAcDZDlEvFdAwBIBsDvBFCyAKEOExe15DSEm2Fv2DP10e20At2AQEbCYCKDzBKCBDjAQ7Eb3DxAbDGCTBUEADOEjErEhCTEXFbEGAbBUFJFHFkAby10FC2FuEJ2Fx2FAFLFACnCvBfBiELDTDfCfgFpg10AJ5EEENElDKElEVFwEiEHDXEEEMAJ2EsBR2FjEUFiFhBR6FjEUFiFhFiBR3FNCPFfCPFGCPFr2CPFre10FzAuCtFnDWFyEpAu3a10e390c55f4h4oAyAPAsArAGDbDJCoDyDDANBpCbCiDeBoEnc5f5h3oAyAPAsArAGc4Coc2ANf6Bph2Cbh2o2hoCiAyAPBoAsArAGDbDJohCoDyhDDANBpCbCiDehBoEnoh2AyAPAsAroAGDboDJCoho2c3Dyc4As2AGAy2f4c2As2fAG2ANDDBoBpCoCiAyArAyfArfANBpf3hANCbhAr2APCbh4CihDeho2Bococ2oc3f2Enof2of2c5f5c50EV2Ei2AJ3EHEEElDXEMEEElDK3EsFwENn10Cp10Aw5AK15Aj10Av10Ao2Dw2EFBX2CI2DE2Ck2Da2Ce2EDDu2Co4CbANCoBpBoBp7ANCoDJ4ANDJCoDJBoDJCoBo4ANDJCb2BoBpCbBoANBpCo2DJBo2Cb2BoCbDJBpCbDJCb3Cod10y20EP2FFFQFTFMFOEP3EV7EM3Ei8Fw2EH6EN4Es10AJ5EE3El4DK7DXEE5DX5e10FzCtFyFn2Au5Dq10e100b30e50b20j30e50j20d100l100e110Ea2Em3e5.30Cs3Ds2EQ2Ca3DS3CQ3Ch3FvCj3DQ2Eu2BZ3AY3DP2DA2Bt3t10Am3s2AH5l5BJ5d20CY5Dj5At10BK10g7CfELFpgBf2BigDTDfCfBiELgCvBfBi2DTDfCfgDfe50AQ10BK10Dz5Dj5e10EP2FFFQFTFMFOFFEP2Cn10Cv2Bfg2DTELg2FpCn10Bi10g10Bi10Df10Cf10Cv2BfELDT2gBfgELBfCvBfDTCvDTgELgFpAn2AdBnAnBDARAxBEAMAn2AdBnrBDARAxBEAMAx5Cl5r20AR3BnAdBDAdBEAdAMAg5r5Ag10e30r4BD2Ad4e280d50c50EDCe.8Ao10Dw10Ao10BX10Du5CI5DE10CkED4.2Ck3Da10Ce10Di9AXAc10CO2Dl8Bj4FlAL2CO2AXBU3EA2Ab15CT2DG2Dx3DO3Ej2Eh2EX5FkEr4EG2Fb2FHFJe10.10m10c50e30AE2BeAZAIBLAVBkAIAW.90c100u10DN10BB15Dp5u5Dn5Dm10DV10CX10Ec10e10DNAe19BB6DF2Cq2u5CX3EcDVEc10u10e150n2ASDdCpn3CFnc50AS10CF10n10c100e10q10c40EBBz6FqCG2q15DcBz2FcBzq6EY2Bu2e100CJ10ATCJBmFgEoCrBwBqDtEKBm9AT11Ef10Cr10Bw10Bq10Dt7AT3EK2Bq8c300k2Af2Az2p4k10p8BV3Bg2BHAF2Aq4Ap6Af14p40k10Aq20Bx8Af2k7BV3k10Ap10AU10BN7AUAz2AF10AD10x5v15AO10Bd7v3Al10Ai10Av10Bc9Aj11c100CM10Ah10ACDg9Cm10.3DU3Cg4DLAhES2DL3DB3Ah5CmESACBT2Cc10AC10Ey2Ew8An6AR4r5Ax5Ad5AM5Bn4Cl3BD3AnrAdBnClAgARAxBEAMAg5BE4BD.40l2s2AB2AH2Ak2l6s4Ak2Am3w5s5AB5l10w5AH5Ak10w10Ak5Am15Ek2s8l10c80z20AA10Cx10Cu10Aa10Bb10z5AA5Dh10CW10AA5Cx5Cu5Aa5Bb5CS5Dh5CW5c10BR2FjEUFiFhEUBR3Bw8CrBqCA10AFAqBgAUpBHApAzpkg10Bg7Az23BH6k14Af20k10AzBxBVApAUAfp2k12Af10Aq10AF9BxAU7Bg3BHBxBNBgpAzAfAqAFBVBx4k2AzAp3BV4BH6BgAqBxBHk2BN3ApAqBgAUBNApAzBHBVp12x2Al3BP5BM7AjBM2BO5v3BO2CU5BSCU4EI2Ai8Ba10x10Av10Ai10v10.100a6b2a.j.c4.2r6Aom4u3n3q.AT.x6Ah2z4p2l5i4ti2y.Ac.Awe2z2.At.Ab.EP.g.AJ.BR.CP.Aud5n4ab100c100AD10Aj32Bc2Ai6Ba10Ai10Av10Bd5BP5v2BS8EG10Dx10DO10Er5Eh5c20DO10x5AD5Bd10Aj10c70Aw4Cy3Dv3AK4BF2BI4AK4BF2Bs4ByFtCNBQBr2BYCzDCETc50i10FtCN3BQ3Cz2Dk2Eg2DR2FZETBy4Br4BY3DC2e100BvtDHCwBhBWBlCDCRBGt10DH5CE5Cw4Bv6Bh5Eq5BW8Bv2Bl10CD10CR10BG5Bl5c300Ac4COAL2DZDlEvAc2AXBjCOALEvAcDlEvAX3Ac9Bj4Di2Dl2BjDZFlCO2Di2DZDlAcAL14Di6DZ6Ac7DlAL6c10ANhCiDyoEnDJANArAGf2ANBphDDAscBpcCoArANAyfCbfCofANBpAscAsfDeCoANcArh2cfoc2ArAyfDJDyBpAsfCocfCof2AN2CihArANBp3ofANfArcAscf2CocAsANAsAyBpAGf2u10c10Aw10c30BI5BF5Dv5Cy5AK10EO2Bs8Fd2AK5Ex3Ea10Em10DS10Eu10e5AY5Cj10CQ10Cj3Bt3DA4BZ10DA10Ca10Cs10EQ4Fs3ER3DQ10Ch2BZ2DA2Bt2Cj2Ds10AY10Bt10Ch10b110BL10DM5m5DY5BA5BC10Be5AE5BA5Cd5CL10AVmBeAZCdBLBCAECCAICC10BA2EZCLAWDYBkAZDMAZBk5CL5AV5BC5m5AW5Cd5CC5c10q2BzCHCGDcEBFBFeBuq2Bz2FqDc2EtFcEYBqATBmBqEoCrBwBqDtBqc20At12AQEbCYCKDzBKCBDjCY3CK4Dz3BK4CB3Dj3At21CY5AQ14Eb5CY5CK9AQDz5Dj5BK9AQCB10CE10EW5Bh2CE3CA10BG10CR10Bl2Eq8Bl10Dx8EG2Ab2DGCTBUEAEXEjFkAbDG5Eh5Fb10BU5Ab5EG10DO15Ej5Ab10Eh10EX10Bk10AV10Be10AI5AZ15AE10AW10m10AI10EP2FFFQFTFMFOFYEP2CD10BW10Bh10Cw10Bv2t8Bv10t30CM14Cm2FaDB2Cg15AhCmAh2CmESAh9BT22Cc9AC10Ah2CcCMCgACCmDgDLEyCnBf2BiBfg2Cfg12Bf10Bi9Bf11DT6g4Df6Cn4Cf7BfCn2g5BfEL4Fp2Cv7Bfg30Ah8Cc4AC43BTESEw13.30Ei7EH3DX10Es2DK8Es10EV2Ei2EE2EN4AX20c30n10AS10q2BzCHCGDcEBFBFeBuq2Bz2FqEt3FcEYCrATBmBqEoCrBwBqDtBqBwATBmBq2CrBwBqDtBqBwATBmBq2CrBwBq3BR2FjEUFiFh2BR3AL20CO14DlEvAc38Bj22AL6DZ6AX8Ev4Bs6Fo2EOExAKCyBIBsDv6BF10EOFoCy5ExAK12FdBs9FdBI9CP3FRCPFUFKFrCPFrED2Du3Ao8Dw3EF2BX3CI3DE2Ck5Da4Ce5CP7FR2FrFN2Ff4FKFrFUFGFlAcAXBjCOALDlDZDlEvFdFoBIBsDvBFCyAKEOExFdFoBIBsDvBFCyAKEOExq3Bz7n10CF10d50y20Fn2FuFyFLCt2Ep3CZ3DW3Fz4Dq3Ct3Au14Dq5Ep2CZ3Dq4CZ2FA4Ep10Au5DW5CZ10Ct10',
+    150: 'b100a40EJ6CZ4EJ5CZEp4CtFn4DW5b30c5f5b10j10d10u10AJ20i10e10g10Dq7CZ3AnrAdBnClAgARAxBEAMAnrAdBnClAgARAxBEAMAnrAdBnBD2ARAxBEAMAo2DwAoBXCIAoCkCeEDDuAoDwEFBXCIDECkDaCeCP2Ff3CP2FrCP2AVmBeAZCdBLBCAECCAIm10BLBAEZCLAWDYBkBCDMmu10DNAeBBDFEeDmCqCXEcDVCqDpCq2Ae3EdCqDnn2ASDdCpDoDIEzCFECCp10q3CHqDcEBBu3q10CJATBmCrEoCrBwBqDtEKEf6Bw4Cr10z10AF2BH2p6Aq3BxBVAUBgAUBN2ADxvAOBdAlAiAvBcAjADxvBP2AlBSAvBcAjCMAhDgCmDUBT2CcACFaAhEyFmDBCgAh2AC2CgDrlBJABsAHAkwCVAmEklBJABsAHAkwCVAmz10Bb10BNAz2kAzAf5k7Ap3BPBMBOCUEIBaAiBa3x2vAOCUAlAiAvvAjAlxBSAOCUAlAiAvvAjAi10BO10EI4BS5CU4BP7AwFoBIBsAK6i10BYBriDREgBQDCByDkCNBvtDHCwBhBWBlCDCRBGEq4EWCACEBG3AGDbAsCoAyfAPoCbANAr2DJCi2hEnhDehFlAcAXBjCOALDiDZDlEv2AcAXBjCOALDiDZDlEvFdAwBIBsDvBFCyAKEOExy10DQ5AY5e10EQ2Ca8e10CKAtAQEbCYCKDzBKCBDjBR2FjFhFiFhFjBR2FhEh7EjFk2Eh2DO3FJFHEj3y10Au2FuEJ3Fx2DqFACnCvBfBiELDTDfCfCnFpgCvBfBig3Cfg2EVAJEiEHDXFDEMElDKEsEVFwAJENFD2AJEl3BR2FjEUFiFhBRFhBRFiBR2FjEUFiFhBR3FhFNCPFfFRFGFUFKFrCPFrCq3CX5uCqFzAuCtFnCZFy2DqCZ2a160o10c30EG12EX5DO3BU2Fk3Dx15c5f55c40ANf49Ay7As3f15c15Ay3AG2Dy2Bp3AN4Cb2CiBo2EnAr4DbCo2DeBo2ANo14h15AP4As4DJDDArAG5Db4h40o40AP10As10Ar10DJ4Co6Dy4DD2Cb4AN9EnDe2Bo6En2Bp7Ci3f5h45Ay10Ar5AN5o5AP2As3c10f4o16Co2Ay3h4Dyf10Ar4AN2As4DeCbDD4DbAP3EnBo9AP5Ay5c10f5AN5As10c10Ay2Ar2AGAP2As2AGf10h20f10Ci6Bp2DJ2f10Ar7Dy3o10Ay8Ar2As3AG7Ar2AP3h5x2v8AD20Aj10AD18BPBSBa10Av10Bc5EI5Aj10b100j80FCFuFxFAFLFzFy2Ct2Au10d100h20o10AB8Am2l10Am10CV10Bm10Ef7Dt3AT10EA10Ab10CT2DO8d50EV3Ei4EM3EVEi2EHDXEEEsDK2FDAu10Fu2FzEJ2DW5FA2Fn3Fy2Dq2CtCZ5Dq5b60Br18Cz6i12Eg4r5Ag25r10Ad10An20r10Ad10Bn12Ad3An5Bn3Cl3BD4Ax16BE7AM9Cl8g10CnCvBfBigELDfCfgCng10CnCvBfBiDTgDfCfBfFpBfCvBfBiCnDTDfCfgDfCnBf2BiDfgDfgBiDTCngBfBiCfBiDfgCvBfDTBiBf2CvgDf2DTDfgCvBfBiBfDTDfCfgELg10An10r10Ad10Bn10An3BD2AR2AxAM2Ag10AR10Ax10BE8AxAM11An10r10Ad10Cl2Bn8AnAx2BnAgBD2r3Ag10AR3ClAdCl5Ax10BE6Ag3AxAM6Ad3AxAn4r16Ad10BD4rBD5AnAg3AxAMARAd3Ag10r27An3Ag10An11rAdBnClAgARAxBEAMAd11Ag4BDAxAg3Bnr4Ag5BD10Bn8Ax2Ad15An5Ag10Ao20Dw5Da5Ck10Ao3Du7CI3Ce7DE4BX6Bm7AT3Ef9BqAT10Du2Ce8Ao10Dw10EF4Da6Ce10CI10BX8Ao2Ck10Da10Ce10m20AE10AI10AW5DM5BA5AI5AZ5AV5AI10AW5BL5Bk5AI5AV10m10Be10AZ10Cd10BL10BC10AE10CC10AI10m40Bk10AI20AE10BL10Cd10CC5m5BA10EZ10CL10AW10DY10Bk10BC10DM10AW5Be5u40Ae25BB3Ee2BB10DF5Dp5Dn10DN10Ae10u10DF10Ee10Dm10Cq10CX10Ec10DV10DN10Dp10BB10Ed2BB3DF5Ae10Ec10Cq10CX5Ed5Dp10Dn10n20AS10Dd10Cp10Do10DI10Ez10CF10EC10n20AS10n10Cp10Do10AS10Bm3Bq7Dt10Bq3Bm7q20Bz5Fqq4CH4q6CG2q8Dc10EB2q8FBEY5Et4q7Bu13q20Bz10CH10Fq2CG8Dc15q17EY3FqEB2Bu2EY5EB5CJ5Dt5CrATBq3Cr2EK3Bm5BwDt4Bq10BmEo4Cr12Bw2BqBw10Bq10AT9DtEK9ATCJ14FgBm3FgBmEf9EoFI2Fg3AT2Bw2BqEo10Cr8Dt2Bw10Bq10Dt10EK8Dt2CJ10AT10Bm19DtBq10CJ7Bq3Bw10CJ8Fg2Dt5Bq5Bw9EoAq10k40BgBVp8Ap5AF2Af3AU10Bx2Aq3BN5BH3BV12AF5AzBN4BH5Ap10BV2AF3Bx5k40p10Az10Aq10Af20Bg11Af4Bx2ApBH2AU10Bx10BV9Bg12BN9AD10x10v10AO10Bd10Al10Ai10Av10Bc10Aj10AD10x10v10BP10Ai10Al7AiBaAOBSAj4AD5Av10Bcv2Ai2Av4vAj10CM4AC4Ey2Ah10DgCg4Dg5Cm5Cc5DU4BT6AC10Dg3BT7AhCc4Cm5AC10DU4Cg4Fa2Ah10CM5DgEy4Fm2Ah4DB9Dg5Cg5Cm4DLCM6Ah4ESBT7Fa2Cc5AC5Fm2AC8Ah10Dr10l10Ak10w10s10w10Ak10w10Am5CV5Am10s10l10s10w10s10Am10Ak5Am3CV2w10s10w10Dh5CS5z10Bb5Cx15z10Aa10Bb10Aa20CS5CW5z20Cx10Cu10z5Aa5Bb10Aa5z5AA10Aa20Bg10Az5AF5Bx10BH11BxBgAFAqBVAf2BN2Af10AF9BxAq2Af18Az10Aq20p10k40Ap9AU11BH9Bgv10BM10BO9AjCU3x7EI3AiAD6Ba10Ai10Av10Al10v10x16Bc4v10AO10Ai10Al10Ai10Av10v10Aj10AD10BM10BP10ADxvAOBdAlAiAvBcAjADxvBPBdAlBSAvBcAjBM2BaCU7Ai10Al10Bc5AO5Aj10BS10x6v14BM2BOCUEIBaAiAvAlvBa10Bd14CUx5AiBc4Al4v11BP10Dr4Am6l10BJ10AB10s10AH8Am2Ak10w20Am10Ek2Am8l10AB2w8AB10w10AH10Ak10l20Dr7AH3x20Bd10AO10BM6BO4Ba10Ai10Av10Bc10Aj10Aw10Fo2Fd3AK5BI10Bs10Aw2Dv8BF10Cy10AK10Aw20i50By7Dk6ET3BQ6BY11Cz7DC11DR7CN11FtBy10i20BY7CN15BQ16DC2Dk2FtDRET6Bv10t10DH10Cw10Bh10BW10Bl10CD10CR10BG10Bv10t5BW5Bl10Eq10EW10CA10CE10Bh10t20An10r10Ad10Bn10AnrAdBnAxAgARAxBEClAg10AR10Ax10BE10AM10BD10r10BDAg4Ad5r4AdCl3Ad2r2AdBnAdAgARAxBD2Ag10AR9Ax12BE5AM3Cl11Ac20AX10Bj8DlDiCO10AL10Di10AL10Aq2p8Ah3DU4Ey3AL7Dl4CO7Di7AX5Bj10AL5AX10Dl11Di4Ac20EvDZBj8Aw20BI10Bs10Dv10BF10Cy10AK10EO10Ex10z10Cu10CS10AA5Cu5Aa5z5CW5Dh5Bl10CD5DH5CR5Eq5BG5Bv5An10r10Ad10Bn10AnrAdBnrAgARAxBEAMAg10An4Ag2AR4An10r10Ag10Ds5Cj5Eu5AY5Cs5CQ5Fv2Em4ER4Ch3Ds2BZ2Bt3Fs2Ea8BZ5DP5DS5Bt5DA5Ch5AV10Be10AZ5AW5CL10AE15BC5Aw6AK4Fd5Fo5AK10Aw5BF3Ex2AK5BFFd2EOExBB10Cq10Dp5Ee5d20EBBz9q10t30AQ14CY4CB2CK10BK10AQ25CK5BK12CYDzCB5DjAt15AQ5CY10CK5BKDz4BK10CB10BKDj9d40Ab20Dx2FHEr2DG5CT10BU10EA10EX10Ej5Dx5EG10Eh10o5c5APAG3ANhDeEn3Am10BJ10s10AH5w5l20s7Ek3w10EP6FOFMEP2Ay5AP5As15Bo5DJ4BoCo5Dy4Bp2DD4Bp5Cb5Ci6De3ANAG5Db4cAr10Be5AZ5AE5AI5CL5Cd5AZ20AV20Br15BY11By2Ft2CnCvBfBiCngCnCf2gCnCvBfBiCfgBiCfg2CfCvBfBiDfCvCfBigCvBiBfg2Cn2ELgCnBiBfCvCnBigDTDfCfgBf2DTg3DTELCfg2CfDfg2BiDfBfgBiCf3CvDfBfg3BfDfCnCvBigBfg2DfBfgy10v30AO7Aj3v6BO4Bd9BMADAv19Bc6Aj14AE5m45Bk10CC10BA5BL15Be10g10CT10EA5Dx5p2Bg2Aq2AU2Af2Ax3AM7Fc6Fe4FB3Et7Aj7Bc5CU4AO4BM3Ai7Ba9Ai21AJ14EVFDEi5EH4DX5FD4EMEl4DK4Es4EN3d20Bh10BW10CA10Cw10FHFJEr8DO3Dx7Ab10Ej10FJ2Dx3CT5DG8Fb2FD5EH4DX4EN4Es4El4DK5r10Ad6r3BEAg10AR5An5Ad10Cl4AnCl5AM10BQ5CN2Dk3BM7Ai3AD4BO6AD10Ba5Al24CUx30CZ3Au17Ct2Ep5Dq3FCFxAu6CtCZCt5Ep5Au20h10DyBpDDBoAyAPo3Arf5c5',
+    151: 'An10r10Ad10AnrAdBnAnBDARAxBEAMAn9AdAg10AR13Ax15AM12a20AJ15FD5EN6Fw4a20El7Ei7DX7FD2DK7c10b10j10d10uDm5DV4Ag10An10i10e10g10y10AnrAdBnClAgARAxBEAMAnrAdBnClAgARAxBEAMAnrAdBnBD2ARAxBEAMAo2DwAoBXCIAoCkCeEDDuAoDwEFBXCIDECkDaCey10AVmBeAZCdBLBCAECCAIBk10EM4Es6u5Ae5DNAeBBDFEeDmCqCXEcDVDp5DN2Ed2Dnn2ASDdCpDoDIEzCFECn10q20CJATBmFgEoCrBwBqDtEKBw2EfFIEf2EoCJ13CW10AF2BH2p6Aq3BxBVAUBgAUBN2ADxvAOBdAlAiAvBcAjADxvBPAiAlBSAvBcAjCMAhDgCmDUDLBTCcACFaAhEyFmDBCgAhESAC2AhDrlBJABsAHAkwCVAmEklBJABsAHAkwCVAmCu5AA5Aa10BNAz2kAzAf5k7Ap3ADBMBOCUEIBaAiAvAlAjADAO3Al3AvAlAjAl10Aj10Av10Ba10x10Fo2BIBsDvBFCyAKEOExi10BYBriDREgBQDCByDkCNBvtDHCwBhBWBlCDCRBGEq4EWCACEEq3AGDbAsCoAyfAPoCbANAr2DJCi3En2DehFlAcAXBjCOALDiDZDlEvDZAcAXBjCOALDiDZDlDZFdAwBIBsDvBFCyAKEOExAL10Ea3Eu3Fs2Cj2e30At2AQEbCYCKDzBKCBDjFb5BU5Ej10DO5Fk5y10AuFCFuEJCZ2FxDq2FACngBfBiELDTDfCfELFpg10EVAJEiEHDXFDEMElDKEsFw3ENFwFDDX2Es2BR2FjEUFiFh2BR2FiBR2FjEUFiFhFjBR2FiFNCPFfFRFGFNFGFrCPFfy10EJAuCtFnDWFyEpDqCZCta30Ao13Ce7Du10BX10Dw10ED6EF4CP10t50CA10CE10FNCPFf2FGFfFGFfCPFfd20c25f45h20o15Ay8AP7As12Ar8AGDb3DJ2Co4Dy3DD3AN6Bp6Cb2Ci4DeBo3En2c10Ay5AG2Cb2Dee10Dm10Dp6Dn4Do10DI10q20CJCr3EoCrBwCrDtCrg11CvBfBiBfDTDfCfgFpBv10CA20Cw10Bh10BW10Bl20CR10BG10Cw10t40CE20CD10Bh10a10AJ30Dj10CB10BK20Dz5Eb5CY10a10f20h38o22APf4AGc4BoAs19Ar7Db6DJ4AN2BpCo9BoDy5DD5AN10Bp15Ci5Cb10En2Ci6Ay2a10AQ30EH6EV11DK3y40b20AQ10Eb5CY5CK8BK7Dj5Dz10CB10BR2FjEUFiFhFjBR2FhBR2FjEUFiFhFjBR2Fhj100d100Cq5Dp5BB10CX5Dn2Ed2DnAS20q20AT10Bm10Bw10DG30Dx20Eh20Er37Fk3CT35EG15Dx10DO30An7r13Ad10Bn10Ag8Ad2Ag10AR10Ax10BE10AM10An10r10Ad10Bn11AR6Ad3BD5Cl10AR5Ax10Ag7An6ClARAd5g11CvBfBiELDTDfCfgFpg12BfBiCvDTgCfCvg2CvBfBigCfDfDTgELCfCvBfCnDfBigFpDfCvBfg2ELDTgCfBiDTDfDTBf2BigCvDfCfCn2gBigBfBiCfDfCvgBiELBi2gCfgDTBfCf2An5r16Ad18AMAd10Ag10r11Ax11BE8AM10An10r10Ad10AM10r8ClrAg11r7Cl2Ax10BE10AM10An10r10Ad10Bn10Ad7r3Ag10AR10Ax10BE10AM10An10r10Ad10Bn12AR2Ag3r3BD10AR10Ax10Cl10Ag10Ec7DV3DF4EeCq5CX6Ed2Dn2CF10Cp10q16Fe2EBDcCr10Bq15Dt5Du4Ce3EDAo12Dw5Da5Ck10BX4Da6CI10DE10Ck10Da10Ce10AV10m20AI10m10Be5Bk5AV5AE5AZ10Cd10BL10AV10m10Be10AZ10Cd10BL10BC10AE10CC10AI10BA10Bk5DM5AW20AE5m5CL5AV5AE5m5AI10BA7Be3m10AE10BA10EZ10CL10AW10DY10Bk10AV5BC5DM10AI10u30Ae40CX10BB8Ec5DpDV6DN10Ae10BB10DF10Ee5DN5Dm10Cq10CX10Ec5DN5DV5Dn5u10Dp10BB5Dp5Ae20u10Cq10Ed10Dn20n20AS10Dd10Cp10Do10DI10Ez10CF10EC10n20AS20Cp10Do10Cp10CJBwBmFgEoCrBwCrDtCr3EfCrEo6Ef5Cr5q20Bz12CH8Bz2CG8Dc10EB2Fq5EB2FqDc8EBEtFe4Fc4EY4Bu8q13Et7Bz5q5CH4Bu4q10Fq2Dc10q5Bz5Et9qFc4qFc4qEY10FICr4CJ5AT10Bm10Fg3Bw4Fg8BwEo4Bq5Cr5Bw10Bq10Dt14EK6AT10Bw10Bm5CrEf4Bw10CJ10EK5CJ5EK10Cr10Dt10Ef8FIBmATCJ2Ef2Bw15CJ10Bm10Bq40Dt8Cr12Aq10k40p20BV10AU10BH10AF10BV10BH10Ap10k40p10Az10Aq20Af10Bx12BVAp2Aq2AUBg2Aq3BH2Bx5Bg10AU10Aq2Bx2BV3Ap3BN5Bg5AD10x10v10AO10Bd10Al10Ai10Av10Bc10Aj10BM5BO4EIx10v10BP10ADv4Ai5Al10BS10Av10Eh10CT10CM8BT2Ah10Dg10Cm10DU5Cc3BT2DBAhEy3DLBTDB3BT10Cc10AC10Ah8Fa2Ah10DL5AhEy4FmAhBT8Cm3DB7Cg10Ah10ESDU4CcAC2Ah2DLAC9Ah3AC2DLBTAh3Cg8Ah2Dr10l10BJ6Ak4AB18CV2AH10Ak10w10CV10Am8Ek2l20AH10s10w37Dr3l10Am10CS10Dh10AA10Cx15CW5Aa10z5Bb5Aa20CW10AA10Cx10Cu10Aa15Cu5Bb5Cx5Dh5CS5AA5Aa5FCFy5FLAu13Bg10Az10BV10BH10AU5p5Af20Bx10AU10AF10Aq30k40Ap20BV2BxBN7AD10BM10BO10CU10EI10Ba10Ai10Av10Bc10Aj10Ae10DN5Cq5BB9Dnn10CF10CG2Bu8Bz10Eo10Dt10Cr4EK6x20v10ADxvAOBdAlAiAvBcAjADxvBPAiAlBSAvBcAj11Ai10Al10Ba4AOBO5Bd10v7AO2BPBdBM6CU3BS10BPBMBOCUEIBaAiAvAlvAvxvAOCU2AiAvBcAjBa10v10Av10BP2Al8Bd10AH5Dr5l10BJ10AB10w10AH10Ak10w20Am10CV5Ek5s10l30s10Ak10w10x10Aj10x20AO20Ai30AvBd2AD7Bc10BP10Aw10Fo2Fd3AK5Aw5BI5EO2Ex3Bs5Aw10BF10AK5Cy5AK10Cy10FdBI9ByFtCz8Br11CN11BQ4Dk5i17BYEgBQ12BY21Cz7DR12CN12Dk7i24By15Ft2Eg4ET4Cz20Bv10t10DH10Cw10Bh10BW10Bl10CD10CR10BG10Ee5Cq5Ee5Dm4DVCq9DnEq10EW10Bz16CH4Fg5Ef5Bw10Bm10An10r10Ad20An5AM3BEAg16AR5Ax3Ad4r3BE10AM10An10r10Ad20r10Ag24Cl7r19Ev2Di6Ac12AX8Ac2Bj7ALDl2CO6Ac2AL12Di4CO6AX6Ac7Dl7Ac5ALDZ4Ew10AC10Cc10Dg10CM10Cm10BT10d30Bs5AK5Aw10BI10Bs10Dv10BF10Cy10AK10EO10Ex10Fd7Fo3Aw10AK10Bs10Aw10BF10BI10At5AQ2CY3At10BG10Ca10BZ10EQ5ER5DQ5DA5Cj2DA2AY2ChBtBZ2CQ10AY10Bt10Ch10Ea5Cj5DP5DS5Ds5e5Em5Cs5AY20Cj2Ea8DQ5DP5ER5DS5Ch10Bt10Cj10BZ10Eu5Ds5Em5Cs5CQ10EQ4Bt3Ch3Fv3CQ2Ca5Fs3Eu7Ca10BZ2DA8Ae4Dn6DN5CX3EcDVDp5Ed4Dne20Dc10Fq2Et3FcEY4AT9BmEA8Er2Fb9FHAt20AQ15Eb10CY10CK25Dz25BK15CB15Dj25AQ17CK18At5Dx10DO10DG10CT10BU10EA10DO10Ej10BU35Ej5AE5BC5m10DY5AE5Cd5BC5Ad20An13Ad7BH5BV5BN10AF20Ap5Aq5Bx20Az10p5AU5Bg10k20Af20AU5p5Az5k5Bg5Aq15Ap20g10Cv10Bf10Bi10ELg8FpDT7g2ELDf8gELCf10CngBfBig3Cfg4DfBiBfELCfgBf2v10BO3Ba7Al21Av4AD3v32BMAj19EN10AJ10Ei10EH10EM7Ei2ElFD10DX10El10DK10Es10Ba3Aj7x10v11BMBOCUBdAl2Bc3AI5BC5AI10CC5Bk5Ax6Ad4BE2r5Ad3AM5Ad5Az10AF10Bg10Bx12AF2BNAq5Bx2AF3AU5k10BH5p25DQ5Cj5DA5CQ5Fs2AY8Fv2Ca8Cs5Em5ER2DP2DS2EQ2Ds2e10Ds5Bt5Eu5Ch5Ea5BZ5Bv15DH15Cw10Bh10BW10Bl10CD10CR10BG10e30Eh2DG8EX10Dx10EGFJDO3Fk2EX3Ab30Au20Dq2CtEJ7CZ6DW2FnEpDqEJDWAu7Fx5Fu2Fn3DqFA2FzDW6EJ10CZ10Ep5Ct5',
+    152: 'r5Ad5An5AM5Bv12DH8Cw10Bh10Bl10Bh5Eq5t15CE5a70b30c10b10j10d10g10CP2Ff3CP2FrCP2BR2FjEUFiFhFjBR3i10e10g10y10AnrAdBnClAgARAxBEAMAnrAdBnClAgARAxBEAMAnrAdBnBD2ARAxBEAMAo2DwAoBXCIAoCkCeEDDuAoDwEFBXCIDECkDaCey10AVmBeAZCdBLBCAECCAIAE10BA2EZCLAWDYBkBCDMBCu10Cq7CX3Dp5Ed5n2ASDdCpDoDIEzCFECCp10q2BzCHCGFeEBFBFeBuq4Fqq3FcqCJATBmFgEoCrBwBqDtEKBqCrEfFICr6CJ10z10AF2BH2p6Aq3BxBVAUBgAUBN2ADxvAOBdAlAiAvBcAjADxvBPAiAlBSAvBcAjCMAhDgCmDUDLBTCcACFaAhEyESDBCgAhESAC2AhDrlBJABsAHAkwCVAmEklBJABsAHAkwCVAmCu10CS10BNAz2kAzAf5k7Ap3AiBMBOCUEIBaAiAvCUAjADBMBOCUBOBaAiAvADAjBa10AO2BOCUBa2xAO3Av10Aj5BP5Bd8Ai2Fo2BIBsDvBFCyAKEOExi10BYBriDREgBQDCByDkCNBvtDHCwBhBWBlCDCRBGCw3EqEWCACE2t2AGDbAsCoAyfAPoCbANAr2DJCi2oEn2DehEvAcAXBjCOALDiDZDlEv2AcAXBjCOALDiDZDlEvFdAwBIBsDvBFCyAKEOExFF3FQFTFMFO2FMFFe40At2AQEbCYCKDzBKCBDjAQ10DxAbDGCTBUEADOEjErEhFb3EGFb2FJFHFkFby10EJFCFuEJFx2CZFAFLFAgCvBfBiELDTDfCfgFpg10EVAJEiEHDXFDEMElDKEsFw2EN2FD3ElDK2BR2FjEUFiFhFjBR2EUBR2FjEUFiFhFjBR3FNCPFfFRFGFUFKFrCPFrCgBTAh8FzAuCtFnDWFyEpDqCZCta100t20Bl15Bh15CA10CE10BW10Bh10BG10CM10Dg8CM2Cm10Fa3DL7DUAh5FaCcCg2Cc9FaEy6DU3FaDB7Ah3Cg10BT10d80DX10EN2Ei8EVAJ9EE8EN2DN10b10Bz10Dc3CHCGDcEBCGFeBu3CH2Fq2CGEt2CGAm5Ak5Au5Ct5EJ5CZ5d30ADxvAOBdAlAiAvBcAjADxvBPBdAlBSAvBcAjCMAhDgCmDUDLBTCcACFaAhEyFmDBCgAhESAC2AhDr3CV6DrAk5Am5AH10Bs10AK10BF3Cy2Dv3Cy2BM2BOCUEIBaAiBOAlvx2vAOxBaAiBSvBPAj10b30DJ4De4AG2f7h8AP4c4h4Ay3c5h4o3Ay2c4h6o2As4c4o4c4f6h2As5AP4o3c4f2As2DJ3Co9Dy2DD5AN9Bp13Cb7Ci5De4En3Bo10f5h5c10o5Ay5AG2Db3Cb2Ci3Co10AN10Dy4DD2Bo3Cb2f10Ci3CbAG2BpAN2Bo4En4AG2Co2Bp4Ar4Db4DJDyDe2Bp4Ar4DbDDAsCoc5f24h14Ay4DJ3AP6As19AG5Db6Ar8DJ3o3b100j90CMAhBTCmDUDLBTCcACFad100l10w10Ba16BP3AjAiv5BOCU2AjEv7DZ2AX11BC5AV5BL5AE5Bk5AW5BL5m15AV10BC10AI5CC5AI10AE10AW10BA10AZ10CC10Be10BR2FjEUFiFhFjBR2EUCE10CA10r10Ax5AR5Ax10AM10An10Ad10r10Ax2Ad2BD6AM10An10Ax10AM16Ag4r9ClAn10Ch10Bt7Cs3Cj10AY16Cj2Ca2DP4DS3ER3DQ5Ea5AY10e20g10CnCvBfBiELDTDfCfBfFpg20CnCvBfBiBfDTDfCfELCn2CvBfBiELDTDfCfCnBfCnCvBfBi2DTDfCf2CvCn2BfBiDTCvCf2DfBfCnCvBfBiFpBfDTCfg2Cn2BfBiDfCfBiCfELDTAn10r10Ad10Bn5BDBn4Ad10Ag10AR10Ax10r7Cl3Ag10An10r10Ad10Bn10Cl10Ag10AR6Ax2Cl2Ax10An10AM6Ad4An10r10Ad10BD10Ag40An10Ad10BEBDBn2BD2ARAxBEClAnrAdBnClAgARAxBEAMAnrAnBnClAgARAxBE2Ag10Cl10BD10r6AR4Ad7Ax3An10AM10Ao20Dw4Ao3CI3EF5BXCe2Da2BX10CI10DE8CI2Ck3Ce3Du4Da10ED10Du5ED5Ao10Dw10EF4Ao6BX10CI10DE5Ce5Ck10Da10Ce10AE10AI20Bk10BC5AZ5Be10AZ5AI5BC7BA3AV10Bk10AV10m10Be10AZ10Cd10BL10BC10AE10CC10AI10m10AE10BL10m10DM5AW5AV10m10BA5AW15DM10BA5Bk5BA10EZ10CL10AW10DY10Bk10BA10DM10AV5CL5CMAh3CmBT2CcAC4DB2DUCg2ACAh2Bgp4Bx2BN3BH4AF3BV3k5Af2Aq3Az4Ap6AL5Ac7Dl3Di2DZBj2Dx10EG5DGFk4DN10Ae10BB10DF5Cq3CX2Ee5Ae5Cq5Dm5Cq10DN2Ed5CX2u6Ec5Ee5DV5u10BB5Dp5BB10DF10u10Ae20DF5Ed5BB10DmDn9CF10n10AS10AR5Cl5Ag5BD5BW10t10CD10CR10BG10BM2AD5CU3Bc5AO3xBdv10Aj10Ai10Al10q18CG2Em5Ds5Ea5CQ5q20Bz10CH10CG10Dc10q2CG2EB6q2Bz2FB6Bz5qFe4Bu30Dc2Et8CH10Fq2CG8Dc10q21Fc4EY6Fe4EB5CJ10AT10Bm10Fg7Bq3Eo9EKCr10Bw10Bq10Dt5EK15AT20Ef10FI2Cr8Bq10Ef10Bw10CJ10FI4Dt6y10gBf2BigBigCfg3CvBfBiELDTDfCfg12EH7DK3CJ10EK10Be5m5AZ5AV5AC7DL3ES3DBAC2EyDgCM2k60Ap10BV10Af5Bx5Aq5p5AF20BH10Ap10Af5Aq5Af20p20Az10Aq30Bx12BV2BHp5AU10Bg10AU10BH5BV5BN10AD10x10v10AO10Bd10Al10Ai10Av10Bc10Aj10AD10x10v10BP10ADAiAO4BSAOCUAjAl10BS10Av10Bc10Aj10CM9DgAh10Dg10Cm9DgDU5Ah3AC2DL4Ah3CcACAh5BT6Cc10AC18Fa2Ah10Ey4AC6Ah10DB6Ew4Cg6AC4Ah10Fm4ES4CM2AhDU2AC17Ah10Dr6Ek3ABl10BJ8AB12s10AH10Ak10w10CV4s6Am10w10s30w10AH8Ak4w18l10Am10CS5Cx5z10AA10Cx10Aa20Bb10Aa10Dh10CW10Bb20AA5Cu5Aa20Bb20Aa20Cu10Bg10Az10BV10BH10p10Af20Bx10p10AF10Aq20AU10k40Ap20BN10BP2BOv3Bc4BM10BO10CU10EI10Ba10Ai10Av10BS10Aj10AD10x10v10AO10ADBMAi4Aj4Al10Ai10Av10Bc10Aj10AD10Aj10v10ADxvAOBdAlAiAvBcAjAD2vBPAi2BSAvBcAjBa10Ai10Av10ADAiBOCUBa2BSAvCUAj11BS10BM6BO3BSv6BO4AiBMBOCUEIBaAiAvCUAjADBMBOCUBOBaAiAvAOAjAl10BOAiAj8BP10Ba10Bd8BMADl20Ak10Am12l8AH10Ak10w10s10Am10Ek5Dr5l10BJ10AB7s8AH5l10Am10BJ5CV5l5Ak5EEDX9AD10x10v10AO10Av2Bd8Al10Ai7AOBc2Av10Bc10Aj10Aw5BFCyBs3Fo5BFCyBI13Bs10BF5Cy5Bs5BI5AK20Aw20By13i11Eg7ET5Dk9BY9BQ11DR2CN3Ft2Br2DC6i15By5CNBQ2DR3Eg3DCBY10FtCz6Dk3Br35Eg10CN10ET5Cz10Bv10t10DH10Cw10Bh10BW10Bl10CD10CR10BG10Bv10BW10Bl10Eq10EW10CA10CE10CD10t20AD10x10v10ADxvAOBdAlAiAvBcAjADxvBPBSAlBSAvBcAjAl8Aj2BS6Ba4Bd2Av6Aj2Ba10AO10EJCZ13Ep16Fn2Ct8Dq2DW2CZ2Ep2FnCtAu8CtEJAu20FL2Au5FC3Fu3CZ3FyFC3Ac20AX10Bj10CO10AL14Di6AXAcAXBjCOALBjDZDlBjDl10AL10Ac20AL20CO10AL10Di10DZ10AX10Ev10Fd10Aw10BI10Bs10Dv10BF10Cy10AK10Cy5BF5Ex8EO2z20AA10Cx5CS5z5Aa5CW5Dh5Bb5Cx5Dh5CW5CS5Aa5AY10e10AY10ER5EQ5DQ10BZ5Ca5Fs5Fv5AY10Bt10Ch10Cs10DA10Ds10Eu10Em10Ch3Cs3Cj2CQ2Ea10DP10DS10Ca10CQ10Cj10BZ10Eu5Ds3Ch2Cs10CQ10EQ3BZ7Fv3BZ7Fs3Em7Ca10DA10AY5Cj5DA5BZ5AnrAd2Ag2ARAxAM2Anr2AdAM2ARAxAn2Ab2Ej5Fk3Dx5FH3EAErBK10DS7EQ3DQ5DA5DP7Eu3At20AQ5CK5CY10Dz5Dj5At15BK15CB10At20AQ10CY10CK10Dz5CB5BK10CK5CB5Dz10m5Bk5CL5Be5Dx10Ab10DG2FbBU2EX2Fk2BUCT10BU10EA10EG3FbFk2Eh4Dx10BU30Ab40Er10DO10AD3Ba3Al4CUAi3x4BSBdBc3AO3v3AiEP2FFFQFTFMFOFYEP4FFFQFTFMFOFYEP2CnCvBfBiELDTDfCfgFpCn2BfBig5BfCnBf2BiCfgBig2CnDi3Ac4AL3AX4Ac6y30AW10Bk10BC10AE10m5Be5AI10AW10DY5BL5m10Cd10g11Cv7g2Bf10Bi10g2BfBiELgDfCfg2DT6ELgDfgDf7ELg2Cf10g2Bfg5BfELg2ELBiCvFpgCfg2Bv5CD5Cw15DH5Dq10Au10Dq8DW8EJ6FyCt7EJ5Au5CZ5EJ5EV4EN3EM3AJ10Ei6El4EH5Es5DX7El3FD5DK5EM4Fw3EH3DX2El8DK8EV3Es9EM3EH3Es5AJ14Ei5FD5DK5DX10Aa10m5Be7BC3AW5BC5AZ5Bk5AW5Az20Bg10AF10Af5Aq5p10k10p10Bj23Dl7Fl9ALDi8Ac32DuAoDwEFBXCIDECkDaEDCe10Bj2AL4Dl4BR2FjEUFiFhFiBREUFhFNCP2FRFGCPFKFrCP6FGCP5FfCPFf8Bn5Ax5AM10An10BE10AK20FdAwBIBsDvBFCyAKEOExCs10Ch5BZ5Bt5Cj5BV5p5Af5AU5Bg5AF5BH5Bx5Aq10k10y10Ct5Au15Ct10Fy2Ct2Ep4Fx2DqFxCtFnFyAu5FzCZ3Fu3Dq3DW10Fx2FLFA3Fu3FzDqCt3FC3Fy3Fn7DW2Fz',
+    153: 'a40b60a40BxAFBg2AU2Ap3Az2Af3k4p2b40j20c10o5c5o5c5Bo10f20o10BpANo8Ci4Db6AnrAdBnClAgARAxBEAMAnrAdrAg2AnAxBDrAnrAdBnBD2ARAxBEAMDuAoDwEFBXCIDECkDaEDDuAoDwEFBXCIDECkDaCeq2BzCHq3EtCGBuAVm2AZCdDMBCAEAI2AVm4AI5AWCLEZCLAWDYBkAVDMCdu3Ae2Dm3EcDVDNAeBBDFEeDmCqCXEcDVDNDp2DF2EeCqEdEeDnn2ASDdCpDoDIEzCFECn9Cpq2BzCHCGDcEBFBFeBuq2Bzq4FqFcBuCJATBmFgEoCrBwBqDtEKq2BzCHqDcBuEtEYBuDNBBCX3DmEeDpEdDnAazAAAaAADhBb2CWAaAF2BH2p6Aq3BxBVAUBgAUBN2ADxvAOBdAlAiAvBcAjADxvBPBdAlBSAvBcAjCMAhDgCmDUDLBTCcACFaAhEyFmDBCgFXESEwACAhDrlBJABsAHAkwCVAmEklBJABsAHAkwAkAmz2AACxCuAaBbCSDhCWAACSzDhCSCxCuzAaAABNAz2kAzAf5k7Ap3BM2BOCUEIBaAiBOAlvx2vAOxAlAiBSvBPl10s10DrlBJABsAHAkwCVAmEklBJABsAHAkw2AmCWzAABbCWAa2zAAzAwFoBIBsDvBFCyAKEOExi10BYBriDREgBQCzByDkCNBvtDHCwBhBWBlCDCRBGBvCwBlEqEWCACEBht2AGDbAsCoAyfAPoCbANAr2DJCiAroEnDe2hFlAcAXBjCOALDiDZDlEvAc2AXAc7FdAwBIBsDvBFCyAKEOExe10CaAYDACsERCQEQe7ChCa3DPDSAY5Eu5t10At2AQEbCYCKDzBKCBDjBYBri4ETByFtDCDxAbDGCTBUEADOEjErEhAbEXFbEGAb2FJFHFkAby10DQAYCaEmFsDsEaBtCjBZCnCvBfBiELDTDfCfELFpg10EVAJEiEHDXEEEMElDKEsEHFwElENDXFDEMElDKEEBR2FjEUFiFh2EUBRFiCMEyDgCmDUDLBTEwACAhFNCPFfFRFGFfFKFrCPFrAe5u5FAAuCtFnDWFyEpDqCZCtd100a100p10BH4k6Af10Bx5BN2Bg2Azp2Aq2BHk2BNAf2Az10Ap3Aq7BV6Bg4AU6AF4Ap6p4a100CU3BM4AjBc2x3CU2Ba5v6AO4BS5BP3AjBOAi6Al4s10l10Ak5AH5w6CV4AB5Am5v3BS4Aj3x4Al3Av3AO4Ai3Bc3ADxvAOBdAlAiAvBcAjADxvBPBdAlBSAvBcAjv5x5AD10Ba10Bd10CU10b200BO10Bc6EIAv3BP2Aj2BM6BS10Av3BO5AD2Aj10AO2Al8v10x6v4Ai10Cn9Bi8Cf12Df10Cvg10Cv9Bf10DTg10DT8Fp2g10j20d80a100c10AG3As2En4ANc20h10AN5Ay9AG6De2DJ8h20Dy2Co4As4Ci10Bo3DyDD6c10f9DDh4De2Cb4AP5ArAy4f20Ar7AP3An2AgBn2AgClBnBEBnAn2AgBn.AgClBnBEBnAn2AgBn.AgClBnBE2An2AgBn.AgAn.BE2FXDgDLESDUCcCMFmAh2AC2BTCmFaBTCg3DBAI11m4AIAE2BeAIm20w10Ek2CV8DrAH5AB14Dr3Ek3BJ4w4Ak16DrlBJABsAHAkwCVAmEklBJABsAHAkwlAm11AT10u4Ae4BBDFEeDmCqCXEcDVDNDpEdDnn2ASDdDo2DICF3n3DdDo3EzCF2FeFqBzCHCGDcEYCGFcBuEBq2EtqCHqBuBzCGCJATBmFgEfCrBwBqDtEKCJEf2Bw7Bm3Bq7Cz6CN4i36FZByBQDC7CN2ET2BY8Br2BQ6Br4Eg3i4DR2CzBy4Dk6e10CaAYDACsERCQEQe3AY4ChDS3DPDSCj5DQ5CjBt4BZ4EuEa4DP3DA3Cs8EQCaDs4Em5FvBZ5Bt5Ch8ER2At2AQEbCYCKDzBKCBDjAtAQ2EbCYCKDzBKCBDjAtAQ2EbCYCKDzBKCBDjAt2AQEbCYCKDzBKCBDjAt2AQEbCYCKDzBKCBDjAtAQ2EbCYCKDzBKCBDjAtDzAQEbCYCKCYBKCBDjAtAQ2EbCYCKDzBKCBDjAtCBAQEbCYCKDzBKAQDjAtDjAQCKCBDzCYBKCKAQa30d30n2CFDdCp4Do2AS8DI2u2Ae2BBDFEe2Dm2CqCX2EcDVDNDp2EdDnjrAoATaAdBnDwa2nqAeBBuDmCqDVu2mAIxAixAZCCx2.dAbAtEPeAYCQEPe2DO3FHFJCT3Er3EA3Ej3BU3EG3Fk2Eh2DG2Fb2Ab6EX2DxqEYEBEtBzFcCHCGqBzBuCHDcCHqDcCGBzqBuj20Cn2Bi4Cf4g20Df5Cv3Bf6DT6CJATBmFgEfCrBwBqDtEKCJATEf2Bq4Dt2CJATBm2Bw3Cr3Ao2DwEFCeBXCeCk2CeAnrAdBnClAgARAxBEAMAnrAdrARAgAdAxAgrAnrAdBD3ARAxBEAMDuAo3BXCIDECk2EDDuAoDwEFBXCIDECkDaCeAo2DwEFAo3CkAoCeAVmBeAZCdBLBCAECCAIm4AICdmAW3BLBACL2AWDYBkBCDMCdCz2DC2BY3CN3ET2BQ3Br3Eg2FZ2By3Dk2DR2FtEXEAErDGFbFHCT3AbFkEGFJBU3EhDOEjDxd20CJATBmFgEoCrBwBqDtEKCJ2EfFIEf3Dt3CJ2Cr6Dt2Az3BV2Ap5Aq4p6Af5k5ADxvAOBdAlAiAvBcAjADxvBPBdAlBSAvBcAjBm3Bq2AT4BmCJDtEfFgEoBw2BqDtEKBY4CN3ET3Cz6DCBrDRiETBy3Eg2Dk2BQ2EVDKDXEHEVENEi2ENEsCn2Bi4Cf2Df4Bf4DT4BM2BOCUEIBaAiBOAlvx2vAOCUAlAiBSvBPl10s10Dr4AH6Ek5AH2l3Am4BJ6ElDKDXEHElEsFw2EN2i20CzBQCNETByDkEgFZDRFtBY7DC3CuzAACxpAaBbCSDhCWDrlBJABAqAHAkwCVAmEksbAhpAwpFapAfCiBpitcAcyCAcAXgCPBRAuAJCfEpCZCtAJh5c5AG5AP5As2Ay3Ar5o5h5o5En2Bp3At2AQEbCKCYDzBKCBDjAtCKAQEbDzCKCYBK2Djf20y10g30EVAJEiEHDXEEEMElDKEsEEEHElENAJFDDXFWEl2At2AQEbDjCKDzBKCBCYCg6ESCcCgAhEVFDEiEHDXEEEMElDKEsAJ7FWElENBcCUAvBa2x2AjBdva20b10d30ED2Du3Ao7Dw4EF3BX4CI3DE3Ck4Da3Ce4.100j20i10By3i3BQ8BY6CN8Ft2iEg6Dk5DCi3DRi2ET3Cz7i6DkBriBr2BvtDHCwBhBWBlCDCRBGAnrAdBnClBDARAxBEAMBvtDHEqEWCACECACRBGBvtDHCwBhBWBlCDCRBGAo4BX.BX.Ao.DuAoDwEDBXCIDECkDaCeAJ3EHEVEEEMENDKEiAVmBeAZCdBLBCAECCAIm4AV3BL2DYBCBACL2AWDYBkBCDM2Bq5Cr4FIFgATBw6EK2CJ2BmEf3Dt4n2Dd2Do2n2DdDot2BhEqEWCACEBWBlCEq2BzCHCGDcEBEYEtBuBz3CHFqDc.4yc2.7AP10El.7AJ2zDhBbCxzDhBb2CS2AfBVkBgAUAFAqBxpAzBx2Bg2kAU2AF3ADxvAOBdAlAiAvBcAjAvAjvBPBaBdBSBMCUBaCMAhDgCmDUDLBTCcACFaAhEyFmDBCgFXESEwACAhDrlBJABsAHAkwCVAmEkl2ABs2AkwlAmCWDhAACuAa2CWzAAAaDY4AW6DM3BA7BC5EZ5CL4Bk6AE7BL3Bk5BAm4Dk2Ft.i.i.3EVAJEiEHDXEEEMFwDKEsEVAJEiEHDXEEEM2FwEsEVFwEiEHDXEEEMElDKENCz5i3BYCNi2Cz4BQ2By2BQ2i2Br3DkByDRBvtDHCwBhBWBlCDCRBGc5As3Ay2Bo2Db2Ci2AN2Cb2DJ2Dy2De2Co2DD2Ac2AXBjAX6AL10FdAwBIBsDvBFCyAKEOExAJ2EiEHEVEEEMFWDKEsCaDQ2CsDPBZ2e3Cj3BtCh3DSDPDSBvtDHCwBhBWBlCDCRBGBvBW2EqEWCACEBGCAEWAQAtAQEbCBCKDzBKCYDjAQ10DxAbDGCTBUEADOEjErEhy10EP2FFFQFTFMFOFYEP2FWFw2ENEsEEEl2ENFwCnCvBfBiELDTDfCfCnFpg10EVAJEiEHDXEEEMElDKEsEVDXEiEN2ElDKFwEs2BR2FjEUFiFhFjEUFhFiBR10CP5Ff2FrFGFrBT5FXCg2ACCmFzAuFuAuFCEJFxFLAu2Aw2BIBsDvBFCyAKEOExFoAw2BI2Bs2Dv2ExBI5Bs2AK3FoBF2Cy3AK2EOFdAw4AK2BIBsBFFdAn3r7Ad3Ag5AR4ClBn2Ax5BE4AM3BD3Cq2DFDNCqDNDpDmEcDVa10u10e3AY3Bt2Cj2Cs2EmDP2BZ2DseEuDAChDSFs.FvEQEa2FvAF8pBgAq10Bx10BH9ApAz10ENAJ2Ei2EH3DX3EE4EM2FW3ElDK2Es2EV2Fw2ENAJ2EiEHDX2EE2FDEsENFwEV2DK2ElFWEM2Au2EpCtFCCtDq2CZFCFnFxAuEJ2FzFuFyFACt3FzFnCZCtEpDqCZCtCJEoEfFIAT2EoATBqBmCP2FfFRFGFr2FNFKFUCf6Bi5g5Bf5Fp2EL2DT3Cv2ELCvFpCf2DTgDfBfBiELCvFpBiCfDTCnDfBfg26Cn4Cf3Fp2Df2Bf4EL2DT2Bi3Cv3AnrAdBnClAgARAxBEAMAnrAdBnClAgARAxBEAMAnrAdBnClAgARAxBEAMAnrAdBD2AgBDAxrAMAnrAd2rAg2Axr2n3Dd3DI2EC2AS3Cp2Do2EzCF2nDd2CpDI2CF3ECAT10Bm2Bq3Bm3Bq2l10s10AB3AmDr2CVAk2EkAm10l10AH8CVEkAk10DrlBJABsAHAkwCVAmEklBJABsAHAkwsAmw10s10l10w10Ak8CV2w2BJ2s6w4Ak6AB3l7DrlBJABsAHAkwCVAmEklBJABsAHAkwsAm11Cm5BT5CM5Cg5BT20Cg10DB10AC10FX2DL2FXDLCmAhES2EyFm2CMAC4Cm2Ah6DL2DU2Af10p10AF10BV10k5AfAUk3AU8BN5BgApBx5Ap10k5AU3k2AF2AUAf7z2AACxCuAaBbCSDhCWz10AA10AaAA5Aa4AA6Aa20Bb4Cx2z5Cu5Aa4AA4CS3Dh2CW2Aa3c10As10Dy5DJ5DD5En5c30AN5Bp5c10As10f10AN10Bo5c5Ar10f30Cb5c5f10AN5Co5h10Ar10AG10Ay10h10AG5Ay5h10Ar5Ci2AP3h10Ar10o10Bp10Db10Cb5De5o5As5AP10o10AP10o5As5Bp5AP5t10Bv3t3Bl3BGt4Bh3BW3CD3CR3EW3BGEq3CA3CE3BGDuAoDwEFBXCIDECkDaEDDuAoDwEFBXCIDECkDaEDDuAoDwEFBXCIDECkDaEDDuAoDwAoCeCIDECkBXCe2Ao4CIAoCkCe2p20Af10k10Aq5BH3Ap12Bg5AF15Aq10Bx5BN5p20k10BH2Ap8AU3BV2AF15Bx5BH5Bg5Aq5Az5AU7BV8Bv5Bh5t10Eq3BW5CRBGBvt3BhBWBlCDCRBGBvt2EqEWCACEBht2CE5CA5CR3BG3EW4CD4Bl6t20Ab27Dx2DG3CT6BU9EA3DO3Er4Eh3FkEX4Fb5DxAbDGCTBUEADOEjErEhAbEXFbEGAb4FkAbEX4EAFb2EADG2An8Cl3r10Ad9Bn5r7BEAMAx2AR2Ag12AR8BD7Ax10BE8AM7k20Af10k10Af5Ap5BV10Ap10Bg5k5Ap5Af5Ap10p5Af5AF15AU10BV5Bx2BH3k5BH5Bg5Aq5BH5Ap10k10Ap10l10Ak7EkBJDrBJ6CV4AB10l5EkBJCVDrAkAH8l2s10Dr5Ek5w10Am10r10AnrAdBnClAgARAxBEAM3AdAR7Ax5BDAx5r5An2Ag12BD2Bnr7BE5ClAn4r20c10Aa10BI4Bs2BFCy2AwFoBI2BsDvBFAK2BsBFEVENEiEHDXEEEMFwDKEsFtDR3BQ3Eg3CJ3Fg2DtBwEo3CJATBmFgEoCrBwBqDtEKDtEf2FICr2EKBm2EKBq6Cr2EKBqACCM2ACFX2CmCcFXACFXCm2ACFXDU2CcBT2Ah30CMAhDgCmDUDLBTCcACFaCMEyFmDBCgDLESEwCm2Aa20z2Cx2CuzCxCu2zAj10AD5x5Bc3CUAjBP5AvCUBOCUAjBaAiBOBcvx2vAOAjAlAiAjvBPAv8Al5BO3x.Ai2v10AO3Ba3ADv4Aj2AD2Al5i10CNBQ4Eg6Cz4Dk3ET2BvtDHCwBhBWBlCDCRBGBvCwBlEqEWCACEBht2i20h10Ar10z4Aa6EMEEEV2Es6Ca2Cs2CQ2EQe4AY3DS2DABZChDACjEuDsEm2DQERFsBt2CQDADSDPDsEmEuCsBtAYCQ3DA3DS2DP2Ds2Em3Eu3EQ2m10DK10BR10AJ10Ei7EH5EiDX4EM2EEEVEE5EMElDKEsFw2EN3FD2EE3BR2FjEUFiFhFjEUFhFiFj3EU3Fi2Fh2EM10El4DK6EV5FwEN4Az10Aq10BN5BH5AU10p5Az5AF10Bx8BH2Bg5p25l20AB8BJ2Dr2CV2Ek3s3w20AH10Am10Ak8s12Dn3Ed2Dp3u5Ae17l10s5Am5w10AN10Ar10h10Ay5Ci4Cbr2AdBnrAgARAxBEAMAnrAdBnClAgARAxBEAMAnrAdr2AgARAxBErAnrAdr2AgARAxBErAo2DwAoBXCIAoCkDaEDDuAoDwEFBXCIDECkDaCeDuAoDwEFBXCIDECkDaCeAnrAdr2AgARAxBErAnrBDrBDAgARAxBDr3BDrAxAgARAxBDrl10AB2BJAH5Ak2h10DD2AP5Dy3c10CnCvBfBigDTDfCfELFpCnCvBfBigDTDfCfELFpCJATBmFgEoCrBwBqDtEKCJATEfFIBm4Bq2EJ3DqCZEJDq2CZ2CM10DL2FX4CmFX3Ew10DB6ES4BT2Fa3DBES2Ew2CMAhDgCmDUDLBTCcACFaCmEyFmDBCgDLESEwDg2Cc10AC5DgCm2Ah2Cg10Bh10Bl10Cw5CA4CE3DHEqCRBWBlCDCEBGt10Cs6Cj4AY7Ca3DuEDCeEFAoEDDECkDaCeDuAoDwEFBXCIDECkAoCeDuEDDwEFBXCIDECkDaAoi19BQ2CN2DR2Dk2Cz2ETBvtDHCwBhBWBlCDCRBGBvCwBlEqEWCACEBht12Bt5Fv2Fs2ERFoBI5Cy2DvBFFdBs3AK4DvBFFdAwBIBsDvBFCyAKEOExt10e17DQ3BZ4Ea4Ch2FvEQBZCjeFsCaChDQERDuAoDwEFBXCIDECkDaCeg7Cn3DxAbDGCTBU3DGEh2EX2FbAb2DxCT2Ab2t10g10CnCvBfBiELDTDfCfgFpg10FpCf3Cn3Bi2Dfg6Cn2Bi2DT2EL2Cv3Bf3Bi4Cf3Cn3CJATBmFgEoCrBwBqDtEKAT3Bq7FxAuFuFLEJFyDWFLFCEJe10FsDSChCa3FvDPDAEmCs2Cj3AY3Bt2DsEREaEQBZ2EuDQ2CQe5ChCsCQAYBtEE2EiEHDKFDDXElFWEsEV2Fw2ENDKAJEM2ENAK5Bs3BFCyBI9AwAr10Bm4Bw2Dt2Ef2CJAT8CJBm2EoBw2Bq3Ef2ErCT2Ab4BUEh2DO2BU2Dx3EjAbBUi7By4BQ3DR2Eg2DkETAC6DUDL3BT5Cc5BT3FXCmDLCmFX2DLz2AA3zCWAa23Dh3Cx3CS2DhCW3AACxAaDhBbCSz2DuAoDwEFBXCIDECkDaCeDuAo3DaDwDEEFBXEDBQ3Br4By3FZ2i15BY3EV5DK5AJ8Es2Ei5El2Es3EH5El3EN2DX5El4ENEE5FD4ENEM8Fw2m2AI2DM2BeCd3EX4BUEA3Er3EXFbEXDG4FbBUFw4ENDK2EM2EECnCvBfBiELDTDfCfgFpl10s3AB2Am5z2AAAa2AA4CW2z5BbDh3AqBx2AUBH2AF4CJATBmFgEfCrBwBqDtEKFb2CT8AbDGFbBUEh3AbDO2Ah20Dg10Cm10DU10CMAhDgCmDUDLBTCcACFaDLEyFmDBCgDLESEwDL2DrlBJABsAHAkwCVAmEkl4AH3ABAkz2AACxCuAaBbCSDhCWz13CWAACu2Dh2BbAA9BbAa4Bb3Aa33AF5AU4BHAq5AF5Bx8BH2l20s6AB4w14AH3Ak3Am10e5Cs2Cj2DPEmEuDADSDsEQCQAY2DQAwBI2Bs2BFCyAKDvAKFdAwBIBsDvBFCyAKEOExg10AC10Cc10DO2EjDx4Ab29EhAbDxAbDxAbDGCTBUEADOEjErEhAr10o10g10CnCvBfBiELDTDfCfgFp2Cf2Cn3Cv2Bf3Bi3Df2DT2EL2g9CnCc10BT5AC5CD3BG4Bl3CA4CE4CR2t5CACEt3',
+    155: 'n10Cp10EC5DI5Do10Cp5EC5CP16Ff4FNFR2CP7BR2FjEUFiFhEUFhBR2y10a30k10AFBHBxAq2k25y30f5Ar5b10j10d10u10CR10u2Ae3Cq3DNDnBy2CN3Cz5e4BZ3Eu2Csg10An4Cl3An2AgAnrAdBnClAgARAxBEAMBE10Ag5BDAg4Ce4Ao5EDDuAoDwEFBXCIDECkDaCeAo10AVmBeAZCdBLBCAECCAIAV10BA2EZCLAWDYBk2DM2u6CqCXAe2DNAeBBDFEeDmCqCXEcDVBBDp2DNAe3EdAeDnn2ASDdCpDoDIEzCFECn10q2BzCHCGDcEBqFeBuq4Fqq2EtFcEYCJATBmFgEoCrBwBqDtEKCJATEfFIEoCrBwBqDtBmDNDpBBDFAe2CqCXCq2Cg4BT6Bx3k2Aq5BV3k2BHAFBxAf2ADxvAOBdAlAiAvBcAjADxvBPBdAlBSAvBcAjCMAhDgCmDUDLBTCcACFaBTEyFmDBCgCmESEwACBTDrlBJABsAHAkwCVAmEklBJABs2AkCVlDrz2AACxCuAaBbCSDhCWn2AS2CFnCF4BV3k17BPBMBOCUEIBaAiAvAlvAD3Ba4Al3Ba3AD4Al3AD3Al4Ba3FP3AX7Ac2AX2Di3FlAL2z2AACxCWAaBbCSDhCuBFFoAK8Ft3Br4BQ3BYBriDREgBQDCByDkCNBvtDHCwBhBWBlCDCRBGCR3EqEWCACEBht2f10Ar10FlAcAXBjCOALDiDZDlEvAc2AXBjCOALAcCOAc2FdAwBIBsDvBFCyAKEOExAY7CjDA2Bt6AYBtChCQCh5DP2DS2EQCjBZEuCsCQEQCa3DABZ2Cj2e6At2AQEbCYCKDzBKCBDjx10DxAbDGCTBUEADOEjErEhAbEXBUEGAb2FJFHFkAby10DWFCFuEJ3FxDqFLFACnCvBfBiELDTDfCfgFpBf5DT5EVAJEiEHDXEEEMElDKEsEMFwEMENEMFDEMFWAJ2BR2EU2Fi2EUBR5FjEUFiFhEU2BR2FNCPFfFRFGFUFKFrCPFrBBu3Ae3u2DnFzAuCtFnDWFyEpDqCZCta80j20An10r10Ad10r20Ag10r10Ax10r10Ag7AM3Ag5BD5r10Ad9BEBn6Cl4r8Cl2Ag10AR5BE5An8Ax2AM8Ax2Cl6BE4Ao10CI5Du10Ao5ED6AoDE3Ao8Ce2DuAoDwEFBXCIDECkDaCeAo10EF5BX5Ao10CkED4CIDECeDaBXBe3CCBCEZ2BA2CCAE10AVBC9CLBC3AWm5AW7Bk3m10AW4Bk3EZ3BA10Be10AV10Be20CC7DY3AI10DY2CC3CL5m50BL10CL5m5DM15AI5AZ23CL2EZ2Bk3AW10Bk10m10AV10m10Be10AZ8Cd2AW7AVAW2m10BC2Bk4DY2CL2AE4BA6CC4BL3BeDMEZAI10AW20DY9Bk11AW10BACL7BC2AV17Be13BC3AE7At20AQ10EbBK7DzDjCY4AQCY2CBCY2CB4At6AQ7CB3BK10CB10Dj10d20DS3EQ3DsCh3Cs8CQEmBt3Cje6Fv2DPAY7BZ5Eu4Eae10DAe4Bt5Cs10c51Ar9cDe2AN7cAr9cAr6Bo3cBo5DJCo2DJj100d100u55Ae35Dp10Ao10BX5CI5BX10CI10Ao10DE5BX5EF2Du8Ce5Da10Ce5Ck8CI2BG10CA10BW10CD10t10AS8Cp2Do3n5DI2Dd10n10Ez2EC2DI2ECCF3i100e50AY10Bt2EQ4DS2Eu2BZ5Cs4eBt6EuCh2FvEQ2DS3BZ5g10CnCvBfBiELDTDfCf2Fpg50Bf30An10r10Ad10Bn5AgBn4Ax10Ag10AR10Ax10Ag10AM10An10r10Ad10Bn10Cl10Ag10AR10Ax10BE10AM10An10r10Ad10Bn10r10Ag10AR10Ax20AM10An11rAdBnClAgARAxBEAMAd10An5Agr4AR5Ag5BD5Ag5r10Ax10BE5Ag5r10Ao10CI10Dw10Da10BX5Ao5CI10DE5CI5Ck10Ce10ED8BX2Du10Ao10BX10EF5Ao5BX10CI10DE10Ck10Da10Ce10Ao10CI10BX5Ce5Ao5BX5Da10Ao20Ck10Ao20AV10m10Be10AZ10Cd10BL10BC10AE10CC10AI10m40AE10AI10AW10m2AE8AI10BA10AV10BA10EZ10CL10AW10DY10Bk10AI5Cd2AVBL2DM10AE10Ef3Cr3CJ4Bm20Bq10Eo5Bq2CJ3Cr7CJ3Bw10AT7Bq3Dt2Ef2FgBm5Dt2EfAT7DN2CX2Dp4Dn2Ae10BB10DF3Ed3DF4EeDN5Dn4u10Cq5Dp5CX10Ec3Dn7u10Cq5DN3Dp7u15Ae41BB5EdDFEd2DmCq4CX3Ec2Dn5DVDN4n2AS4CF3n11AS6CFn2CF11n2AS2CpnDIEzCFn31CF10DI10Be5BC2m13AI5DM3AZ2BC6AE4Bk2AV2Bk6r10Ag10An20Ad10q2BzCHq2EBFBFeBuq10Bz5q2Et3CH3q2EYFqFc2EYCG3q7Dc4qDcq4Bz10Et5CG2EY3Fc15q28Bz7q24Dc4Fc2q10f8De2f14Def2DefAsCJ10AT10Bm15Fg5Eo10Cr10Bw10Bq10Dt11EK9CJ6Cr4Bm5Eo3Bq5Ef2Fg2Dt4FIAT5EKBw12Bq20AT18Ef2Bw10Br4i6Cz17BY13i10CN14BQ6DR3ET5DC2Ft2CN2By6Eg3Dk7x8CU2AD10BP10AO5CUEI4x9AjBS7Ba3BP3BM7Av3AD6AjBc10Aj10CM5DL5Cc8Ah2Cm8DU2AC18Cc2Ew10AC10Cm5DL5CM7AC3Dg2ACEw7AD10Ba10Al10AD10BS2AOAl4Aj2BPx10Bd5BcAO4BP2BS8Bc5x5Aj10AD10x10v5Ba5AO5BP4CUBd2Al4Ba3BPAl10Ai7Ba2AlAv8BOEIBc2BS4BM3BSAj10AD10x10v7BO3BP10Av7BM3AD10BS10Av10Aj20CM10Ah10DB5Ew5Cm10Ah10DL10BT10Cc10AC10Cc5AC5Cg10Ey4Ew4Dg2Cc10DB3CMCm2AC4Cg4CMAh9AC6BT2Fa2Ey2Cg2CmDLEw8AC12Ah10s10l10BJ10AB10s10AH5w5Ak10w10CV5s5Am10l20s25CV2Ak20Am3w30Aa20Ct10DW4Ct2FnEpDWEpEJ5Dq5Aa10Ab32EA3BU5AV10AZ20Bq5Bw14Cr2Dt2Cr7Eo7CJ4ATBmCJATCrBwBqDtATCJATBm3CrBw2CrBmAT14Cr3Bm3AT2Bq4Fg2FIEf6Bm5ATBm2CrBw6Bm10Fq4q6EB10EY3Et7q10EYFeBzCH5FqEtAD10BM7Aj3BO7Av13x30AD12Ba8Aj10BP10BMAv9BOAj9CU5x2Aj3EI4v2Av4Ba10Ai2Aj8Av10Al10v10AD3Av2BP5x8Al2Aj10BP7AO3Bd4AO4CU2Al7BM3BS3Ai3BO4Av7EI2BOBc5v5Aj10AV5m5CC4Be6EZAZ8Cd4BLAI6mBe2AZ2BC2AE2DYBC10BA4AE6Be4BkAE4AZEZCL2AVAW3AVDY4Bk8u25BB4DF4CX5DN2Ae2BBDFDp2Dn2Cq12Dp6Ae2Dn10Dp2Ae20n20Cp6CF4AS29ECDd10n8CF2Do10DI7EC3Dd10EC5Ez5AS30Cp10CF10n30DqEJ3Dq6CZ10Dq3Ct7FuDWFyDq7CZ10Fy3Ct2CZ5AJEVEi5EH4DX3FD2El3DKEMDK3EN2Es4EM9AJAK13Aw2Fd3Dv2BI5BF3Ex2BF5AwBFAwBFEOBy9CNCz10By10Cw10CR5t5Bh10By20CN10BQ10Dk4Br4DREg11Br10BY8Cz12Dk10Br20ET8i4BQ8Cz5By2DC3CN7DC13BY10i11DR9Bv10t10DH10Cw10Bh10BW10Bl10CD10CR10BG10Bv10Cw10Bl10t10DH10CA10CE10Bh10t20Bv10t10CE20Bh18BG2BW20t20Bv10Bl10CD10CR10BG10CA10t10Bh5CE5CD5EW5Eq10AX3FP4AL3FV2Ac3FVAcFVAc2AX10Bj20AL3FE4AL3Di10FP2AX3FP2AX2FPDl10Ev10Ac3FVDi2FVAcFVAc11AX4FP3FVAc6Bj6COFSFVAc2FVAcFVAc2AL10Di8Ac2DZ6Dl2Ev2Ac4Di3Ac13Fd4BF6Aw9BsBI4Bs19BF3AK4BF10Cy9BsAK10Bs2BF3AK5Ex9AKt10Bv3CA4DH4Bh14BW3BG2BW3Eq6CEEq4EW8CA15BG3t22Bl10CD8CR16CE14BG4CA6t7BGBhBlDu3BX5AoDu2Ao5DE2Da2DuCe9Du8Da2Ao3BX17EF6Ck4BX4CI2DECkDaEDCI7DE9Ck9Da6DE5BX4Ce10Bt5Fs5BZ6DA4eDs4Eu5Cs2EmCh5Ca2e5CQ5EQ3ER3Cs4Bt10FsDs3Ch6Ca5DQ3CQ2DA3Eu4Em3AS10n40CF10Dd9DoCp10Do5DI5EC7Ez3AQ10At8CY2AQ4AtCK2At3CK3EbCK2EbCK3Do3Cp3DI2EC2DI5Dd5CF4CpDo5BK10CB10Dj10Br15DC5CN6i9BY3By4Cz2Dk3Br2BQ4DR6FtCz9ET9Eg4By5ET2Dk11Ab26DG4AvCUAv3Al4AvCz30By10FZ9EgBY10Aj20BO10BM15BO5Bc10v10Av10x10Aj2EI5v3Aj12Bd8BO10AO10AD8Ba2Al13Ai7Av10v10x10n6AS4CF3AS2DI3Cp12Ez8EC2Cp8CF2n10AS6n3CpCF5Ez2ASDI2BzEt2EY2q5CG6Fc2Dc2Cn10Cv10Bf10Bi10EL4Df5DT11Df10Cf10g10Fp2DfBiEL5BiCn20Bi30Cf30Cv20EV6Fw2EN2AJ10Ei9ElEH5EN2DK3DX8El2EE7FD3EM10El8FW2DK10Es4AJEN5EH2Es4EM4g10Bf4Bi2DT4Cv20DT8Bf2g10Cv8Df2g20BR3EUBRFhBR7EU2FhBR7EU2FhBR6EU6BRFiBR3EUFi2Fh4BR3EUFiFhBR4y40Bf12DT2Cn2g3Cv8EL3Bi5EL5g5Cn3Fp2Bf10g10Cn10g10Cv10CP7FfFG2CP10Ff11FK2FRCPFGFKCP3FNCP4FfCP4Ff6FRFG2FrFK3FG4CP3At3AQ4CY3EbCKCB8Dz3BK4Dj3AT30Bm20Ef4Bw8Bq23Dt4CJ5Ef6k10At9EbAQ10Eb2BK7DjCY5CKDz4CB10EJDWCt8EJDq8DWEJDW2CZ6DWDqCZ2EJCZDq3CZCt',
+    156: 'a140BxAFBg2AU2Ap3Az2Af3k4p2b40j20c11fc2DbCiCbEnc3o2f6cANBpDDAPBpAGoANAGArh2AsDJhAs2Dy2hAy5Bo2AyCoDeo2Aro3AP2AGof10c2fhAyc3BoDeAnrAdBnClAgARAxBEAMAd10BD10Ao2BXAoBXCIAoCkCeEDDuAoBXEFBXCIDECkDaCeq2BzCHq3EtCGBuAVmBeAZCdBLBCAECCAIAZ3Be2Cd5mBAEZCLAWDYBkDM2AIu6CqCXAe2DNAeBBDFEeDmCqCXEcDVBBDpBBDFEeDmAeEdAeDnn2ASDdCpDoDIEzCFECn10q2BzCHCGDcEBFBFeBuq2BzCHFqDcqEtFcEYCJATBmFgEoCrBwBqDtEKq2BzCH2DcBuEtFcBuDNDpBBDFEeDmCqCXEcDVAaCuAADhAaCxBbCWzCSAF2BH2p6Aq3BxBVAUBgAUBN2ADxvAOBdAlAiAvBcAjADxvBPBdAlBSAvBcAjCMAhDgCmDUDLBTCcACFaAhEyFmDBCgAhESEwACAhDrlBJABsAHAkwCVAmEklBJABsAHAkwlAmBbzAACxCuAaBbCSDhCWAAz2AaBb2z2AaAABNAz2kAzAf5k7Ap3BM2BOCUEIBaAiBOBdvx2vAOxAlAiBSvBPl4Ak6s3w5s2DrlBJABsAHAkwCVAmEklBJABsAHAkw2AmAAzAAz2AAAaAAAazAKFoBIBsExBFCyAKEOFdi10BYBriDREgBQCzByDkCNBvtDHCwBhBWBlCDCRBGBvCwBlEqEWCACEBht2y20FlAcAXBjCOALDiDZDlEvAc2AXBjFSFEDiDZDlEvFdAwBIBsDvBFCyAKEOExe10CaAYDACsERCQEQe7ChAY2BtDPDSd10t10At2AQEbCYCKDzBKCBDjBYBri4ETByFtDCDxAbDGCTBUEADOEjErEhAbEXFbEGAb2FJFHFkAbEP2FFFQFTFMFOFYEP2DQAYCaEmFsDsEaBtCjBZCnCvBfBiELDTDfCfBiFpg10EVAJEiEHDXEEEMElDKEsEVAJEiENDKFDDXFWElENBR2FjEUFiFhEUFhBRFiCMBT2CmCgBT2EwAh2FNCPFfFRFGFUFKFrCPFrBBu3Ae3EduDnFzAuCtFnDWFyEpDqCZCtv10x9Ai11Bc12AjAi2v13Ai7Aj4Bc2Bd4BM5BE20a100An10r10Ad10Bn10AR5Cl5Ag10AR5Cl5Ax10BE5Ag5AM10An10r10Ad10r10Ag20AR10Ax10Ag10AM10An10r10Ad5AM5r10Ad10Ag10Ai3BMx6Bw10BE10An3Ag7ADBMBaCUBSBaBSBaAlCUADBMvCUADBaBSAjBdCUADBaBPCUxBaAiBP2AjADxvAOBdAlAiAvBcAjADxvBPBdAlBSAvBcAjADxvAOBcAlAiAvBcAjADxvAOBcAlAiAvBcAjADxvAOBcAlAixBcAjADBMBSAOBaAlAiAvvAjADBaBSAOBaAlAiAvBPAjt4DHCABh2EW2t17DH3Bh3Cw7BG2Bl2t3Bl3Bv10Bl4Bh2tBh5DH3CD7BW6tEqCEBWCACR5BG2AV10AZ10Cd9CLBL10m5Be2AZCd2m49Beb100g10CnCvBfBiELDTDfCf2Fpg30Cn10Bi10Cf9Df6Cv5Bf6DT2EL2j100v20Bd11Bc9v10CU2Bc8Ai20Bd3BO2x5AT4CJ2BwCJEK2DD3Bp3AN4c40h5Ci2Db3Ci2Cb3En2Bo2Dyc10f10h10i100vCUx6Av2Ai15Bd4BOCUBd4Ai2x3BO2Bd3CU3AO2x10EK4Eo6CJATCJFgEoCrBwBqDtEKCJATEfFIEoEfBwEf2EKa10c18Bo2f10Ar10o10h10Bo10h20o10c8Dbc21DD10c10f10Ci10Bp5Ay5h10AP10Bo10En3As2AN2En3o10As10f10Bp10Ci10o10Db6cDb3Dy3Bo2De2DyBoDyAtEbCYCKDzBK3CBCKCt10DqFCDWEJ2Ct5AT2FgDtCrh5AE10FOEPFFFQFTFFFOFYFFEPCU2Bd8Ai6x24i20Cz7i3By3BY6DRCzDC2BQBr3Eg2BQDk3CN6DRBQ10DR2DC8Br9FtDREg8ETAn10r10Ad10An10r10Ag10AR10Ax10Ad10AM10An10r10Ad10Bn10An10Ag10AR10Ax10BE10AM10An10r10Ad10r10Cl10Ag10AR10Ax10Ag5BE5AM10r10AnrAdBnClAgARAxBEAMAd10Ag20BE3rBEr5Ag5BEr4Ad10r10Ag10x20v10BM13Av12Ai15AO10x10ED6Ao4Du10Ao10BX10EF6Ao4BX10CI10DE10Ck10Da10Ce10q20Bz10q4Et2CH4Fe3FBCG6Dc8Fq2Dc5EY5qEBFc8q4DcEt5Dc5Bz2Bu3AV10m10Be10AZ10Cd10BL10BC10AE10CC10AI10AW10m20Bk10m20BC3AVDMBL5Bk2AI3Cd5m15AE5m10BA10EZ5m5CL10AW10DY10Bk10m10DM10m5BL5u60Cq10CX10Ae20DN10Ae10BB10DF10Ee10Dm10Cq10CX10Ec10DV10DF7DN3Dp10BB6Dp4Ae10DV3Dp2Dn2BB3Ae6Dp2uDnBBDNDp2DnAe5Ed10Dn7Cq3Dn10n20AS10Dd10Cp9nDo8AS2n5DI5n6Ez4CF9nAS7EC3m100q20Bz10CH10CG10Dc7Fq3Bu3q7FBEB4Fc2EY3Et3Fc2Et2Fe3Bu10a60x10BcAv3x16FAEJCtFCDq4FyCtCJ10AT10Bm10Fg10Eo10Cr10Bw10Bq10Dt10EK10CJ10AT10Ef10FI3Ef2CJ5Dt5Bw5Cr10Bw10Bq10Bw5Dt5Eo10m15BC5m14AVAE5CC5BL5EZ2Be3Bk5AZ5m5CL5DM5Cd5m3DY2AV5AW5x9BcBM4v6Aj5Ai5BdEIAO3BP2Av3Aj10AlBcCUAv3x4CMCc3CgBT2CcACCca10Cc4AC5CcFNFGFf2FGFUCP4p4AU2BVp2BVk4Bg4kBVAz4BVBHBxBN2BVAp4Aq2BV2ApBVBNAp2AU2BVAqBxAFBHAf2BV2AF2Af3BVp40a100AD10xBa9v10AO10BdAi7ADBaAl10Ai10Av10BcAl9Aj10y100CM10Ah10Dg10Cm10DU10DL10BT10Cc10AC10Fa10Ah10Ey10Fm10DB10Cg10DLAh2DLAh6ES10Cc10Ew10Ah10Dr8Ek2l10CV4BJ6AB10s10AH10Ak10w10s10Am10l20s30w30l10Am10CS2z2BbAa5z10Aa4CxAA5Cx5CW2z2CuBbz4AA2Aa5Bb2Cu6AaDh3CWBb5Aa3zCWz5AA4DhAa4zCW2z2CS2CxzAAzAE7AV2AWBA2AZ3AE5Bv2t2BG5CEDq5CZ4FLxAv5BcEIBM2BkAW3AZ4BL2c20BLBeEZAZ4BAAV7BCAE4AT30Bm10Bw4Bm8BwBmCrBm12CrBm2Bq30Bc10AS8Dd2n5Dd5BM10x6Ai16x18DdCFEz11EC7CG9EY2Bz29q50EY10AV2m4Be2AZ2m10Cd2BL2BCAE3CCAIBAEZCLAW2DYBk3DMBd3Bc5Ai2BO10g40Dc10BgBNBHApAUAFAqBVAUAzBO10BT4Cc6Ah6BT2Cc2CMAhDgCmDUDLBTCcACFaAhEyFmDBCgCmESEwCgAhx20Cp10BdxAO2BaAlAiAvBcBMCUBMBPvBdAjADAvADAjvBSvAiAvBcBMCUEIBPBM2xCUEIBaAOBOBSAjx2vAOxAlAiBSvBPADBavAOAl2AiAvAlBcBMCUADBPAlBaxBSv2AOBOBSBaAiAvBcxCUvBPAlvAjADBaBdAjAiBSAlADAvBc2Bax2BdAjg10Cn20Bi10Cf5Df5Cv18Bf17DT5EL5Fp5Al10Av10AD10x20DF10Ae3Cq2Ae5Ed4DmEcDNCqDn2u3Dm2u5Dn10l10s20AB10l10Am20w20l10Be5EZ5CL10AE10AI10AZ20m4BC2AE4AI5Be5CLBkBAAW2BA4AWBA10BY8DC2CN3i7Dk2DR2ET2By9Br13By2Cz4i16BQ5DR4ETEg3DC4Cz3Dk4CN4Ft2DR4Cz3BQ2Dk5Br6By10EgCz6Eg3Br4BQ4BY7Eg2Br3BQ10CN10DC11CzDk4ET4Bv7CA3t10DH10Cw10Bh7CE3BW5BG5Bl7CD13CR10BG10Bv2BlCA3BW4Cw10Bl10Eq10EW10CA10CE10Bh10t20Bv10t10DH10Cw10Bh10CMAhDgCmDUDLBTCcACFaBl6BW14t10BG10Fl3FV7Ac10Bj5AX5Bj10CO2FS3Di10FP5Di10Ac10Dl10FP2Ev5DZEvDZAc2AX2AL2Bj4Ac10AX10Bj10CO4FS3COFS2FE3AL2FE2ALFEALDi10Fl5DZ5Dl10Ev10FP4AX6AcFV2Ac4FV2AcFP5AX5Bj10AL3FVALFE2ALCO2ALFVAL2FE4AL8FEAL3AX4FP6FVAc3FVAc5FVAc2FV6AcFdFo3Fd6Aw10BI10Bs10Dv10BF10Cy10AK10EO10Ex10e10Ca2AY3BtChEQEaChDs2DQ2Cj2Cs2BZDSBt2DP2ER2Em2EuBZe60Ca3Bt7AY15DS2ER3Cs9BtDs3DP2Ch5Eu2Cj8EQ5DS5BZ10Fv2DP2DQ3Ch3AY10e15Bt5DA2BZ6Ch2Cj4DS3Eu3Bt5Cs5Ea3e4FsCQ2EM9FWEH2EE2AJ16DX7Ei2Esd100Al20Ai30BM10Aj4BP6v6Bc2Bd2FCDqEpCt2FxCZ2DW2Bv2BG2t2CE2BG2CY10At10AQ10At2AQ3Eb5CYAtAQEbCK2DzBKCBDjAt2AQCK7AtAQ2CBDz6BK10CB10AtBK2Dj7g10Cn9Dfg10Bi4EL6g10Df6Fp4Bf18Df2Bf10Cf10Dx5Ab15DG7Fk2FHCT7Ab3BU10EA6Fb3FJAb6DO4Ej5Ab5Er5Ab5EX3EG3Eh4CYDz4CKDzBKCBDzAE10BlBG3CR2CE2CA2EpFyFu2DW2CZ2Ct2x10Al16BM9EI3BP2BdCUBcx7AS10AO10v4Ai15AO4BO7x3v6BMBd6Aj6CU5BcBax5Av6Ai10v10An5BD3Cl2AnrAxAR5BE2Ad6Ax4r7AM4rBnAd2AgARAxBEAMAg7Bn3Be2BA2AIEZAICCDYAE2BL2CLBk2AV2AZ2DMAW2BCm5CdBmATEfCJFICrBwBqBmATCn10Cv10Bf10Bi10g10Cf5DT5Df6EL2Fp2g30c3AP2ohDDf2b10j10BdxvAOvAlAixvAjc4f2ho3y10EP2FFFMFTEPFOEP3CYAtAQEbAtCKDzBKCBDjCh2BtBZ2EmDPCQe2CjDQCsEuAY2FvCaFsDAEV2Fw2EVAJFwAJEV2AJ10Ei5AJEiAJEi2EHAJ4EH5DX2AJDXAJDX2AJDX2EE3FDEEFD3EE2EM2EN2EMENEMENEMENEl10DK2AJDK2AJDKAJDK2EsAJENEs2EN2Es3e2EQEaBtDSDsCjERCsDNAeBBDFEeDmCqCXEcDVDNDpBBDFEeDmCqEdCXDnn2ASDdCpDoDIEzCFECv10q2BzCHCGDcEBFBFeBuFJDOFkEGFHEAAbEjEhFbCJATBmFgEoCrBwBqDtEKBDAx2ARAdAMr4ClBDBEBnClAg2AxAn2BR2FjEUFiFhFjEUBRFhAfBNkApAUAFAqBxBHAz2pAfBgBVAqApBVkpFNCPFfFRFGFUFKFrCPFrAO10CMAhDgCmDUDLBTCcACFaACEyFmDBCgAhESEwCgAhDrlBJABsAHAkwCVAmEkAkwABlAHsAmlsz2AACxCuAaBbCSDhCWd100DxEXDGCTAb3EjErBUByFtCNBQi5DkBYBrETDRBQDCCzBYiEgt2DHCwBhBWBlCDCRBGBvCwBlEqEWCACEBht2AGDbAsCoAyfAPoCbANAr2DJCiBpBoEnDyDehFlAcFPBjCOFEDiDZDlEvFoAwBIBsAwBFCyAKDvAKFdAwBIBsDvBFCyAKEOExx2BOBPxAO2BS2AvEIvBc2v3Al2ADBM2BdCUBdAi2Aj2BaAo5BXEFBX3Ao2BXEFCeDECICeCk2BXDECICeCkAo5CI2CkDu2ED2Da2CeCqCX2EcDVDNDpEd2Dnu5Ae5BB3DF2Ee2Dm2CqDqFCFuEJDW2FxDqFLFAAu13DW2Ep5DWEJFn2EpDq2Ct3Dq3EJCZ4Ct2nASCpCFDon3DdASq2BzCHFqBuqEtFcEYa30',
+    157: 'Dr5l15AY10DP5Ds5Ea3Ds3DA2DQ2DP5DA5e5DQ5t10Bv10FxFA2FuFy2CtFn2FLa70DXDKEiEsFDAJFwEVElENb10Dq8FzCtc8BpANb10j10d10u10BX10DE10Du10e10g10d10AnrAdBnClAgARAxBEAMAnrAd2AnAgARr2AMBD10DuAoDwEFBXCIDECkDaEDDuAoDwEFBXCIDECkDaCeBw10AVmBeAZCdBLBCAECCAIAW10DYBAEZCLAWDYBkAVDMCLEz10DNAeBBDFEeDmCqCXEcDVCqDpCq5EdCqDnn2ASDdCpDoDIEzCFECn10q2BzCHCGDcEBFBFeBuq2BzCHFqEB2EtFcEYCJATBmFgEoCrBwBqDtEKEf3FIEf2Bq14Ef4CJ6AF2BH4k2pBHAq3BxBVAUBgAUBN2ADxvAOBdAlAiAvBcAjADxvBPAiAlBSAvBcAjCMAhDgCmDUDLBTCcACFaAhEyFmDBCgDLESAC2AhDrlBJABsAHAkwCVAmEklBJABsAHAkwCVAmz2AAz7g5Bi5BNAz2kAz3BNAfBNk7Ap3AiBMBOCUEIBaAiBPAlvADxvAOxAlAiAvBcAjy10DyBp2BoBp6AB5w5CV2s8EX2Fb2Ej4Fb2DvFoBIBs7y10By5Cz3Dk2Bvt3BhBWBlCDCRBGCA3EqEWCACE2t2AN2AsCoAyfANoCbANArAsDJCi2oEn2DehFlAcAXBjCOALDiDZDlEvy10FdAwBIBsDvBFCyAKEOExEP2FFFQFTFM2FYFFFMEa2ERDQ2EaAYBtChDsCa5EaDPDSDQ2CjBZDsCsCQEQFvFsCaDAe10At2AQEbCYCKDzBKCBDjAt2AQEbCYCKDzBKCBDjDxAbDGCTBUEADOEjErEhDx3EGFJ3FHFk2y10FA2FuEJFAFyFx2FLFAgCvBfBiELDTDfCfgFpgCvBfBigDTDfCfgBiEVAJEiEHDXFDEMElDKEsEHFwFDENAJFDEVElDKEsBR2FjEUFiFhFiBR5FjEUFiFhEUBR3FNCPFR2FG2FK2CPFGFNFf9FzAuCtFnDWFyEpDqCZCta10b10j10r10gCvBfBigDTDfCfg2u10AA10c5f10c5BD10a50AA10b10c25f25j10u5Ae5u10Ad10AB5Ak5v10a20AnrAdBnClAgARAxBEAMAnrAdBnClAgARAxBEAMAnrAdBnClAgARAxBEAMAnrAdBnClAgARAxBEAMAg10Ao3EFBXCIDECkDwCeAV5Bkm4AVmBeAZCdBLBCAECCAIm10BA2EZCLAWDYBkAIDMBku2BBDNEdAe2CXEcDVDNAeBBDFEeDmCqCXEcDVDp2BBDFEeDmCqEdDn2n2ASDdCpDoDIEzCFECn2ASDdCpDoDIEzCFECq2BzCHCGDcEBEtqBuqBuBzCHFqFeCGFBFcEYCJATBmFgEoCrBwBqDtEKCJATEfFIEoCrBwBqDtBmFxFLFAEJDqEpDWAuCtCZCx3Bb4Cu3AF2BH2p6Aq3BxBVAUBgAUBN2ADxvAOBdAlAiAvBcAjADxvBPBdAlBSAvBcAjCMAhDgCmDUDLBTCcACFaAhEyFmDBCgAhESAC2Ahl12AH5BJ3z5Aa5Dh3CS4CW3BNAz2kAzAf5k7Ap3Be4BACLBADYAW2BCAECCAI2DMAZ2mBkCd2BABL4BC3AE6AI2AZ2CC2AI2AW3AZBkCdAn5Ax5AnrAdBnClAdARAxBEAMAwFoBIBsDvBFCyAK2Awi10BYBriDREgBQCzByDkCNBvtDHCwBhBWBlCDCRBGBvtDHEqEWCACE2t4CRCwCABWBlCDBhBGrBnAR5AM3FlAcAXBjCOALDiDZDlEvFtETDCBr2By2BQBY2FdAwBIBsDvBFCyAKEOExe10c2fhcoAyAPoAsArAGfDbfDJCoDyAsDDANBpCbh2CiDeBocEnocfhcoAPf2ArAt2AQEbCYCKDzBKCBDjAt2AQEbCYCKDzBKCBDjEXAbDGCTBUEAAbEjFkAba10y10DqFxFLFAFuEJCZFzEpCtgCvBfBiELDTDfCfgFpg2BfBiELBiDfCfg2ENAJ4FD2ElDKEle10BR2FjEUFiFh2BR3EVAJEiEHDX2EMFwDKEsFNCPFfCPFGCP2FrCPFry10DWFnFCFyAuCtFzEpAu2Ad20Ax30CMAhDgCmDUDLBTCcACFap3Az2k3Af2Ap5BNAUBgAqAFp3Af2Az2k3DvBs3BI5Dvb60DuEDDwEFBXCIDECkDaCeCYCK2DzBK3CB2DjBU3CT2EjDGAb3g2BfBig5Fpj10At5AQ4Ebj10CP2FrFRCPFUFKFr3AqBVAUAp2AfBgBHAFBxAp3BHAF6k13BVAz6Bg4BNAq5p3Bx3AUAf3d70Ac2AXBjCOALDiDZDlEvAc2AXBjCOALDiALDlEvAc2AX2COALAXFlBjFlArh2o2c3DJf2cAGBoBpCoCiAyDyDbw5s5DV2Dp2DN2Ed2Dn2Ee2Dm2Cq2CX2Ec2Ae10BB5DNCqDpDF2a10BNAUBgAqAFk2p3Am4CVl5BM2BOCU3AiAvBPBdx6EIAvBSAjv8BcAjADxvAOBdAlAiAvBcAjADxvBPBdAlBSAvBcAjAl5Ba5BM2Ai6BO2AD2AO4AiAj3AO3Bc3BS2CUEIAv5Aj5AD5Ai3Bd2x9Bdv8BP2BM2BOCUEIBaAiBOAlvx2vAOxAlAiBSvBPBa5Al3Av2a10EP2FFFQFTFMFOEP3s5w5BJ2AB2AH2Ak2CVDri8DkCNByFtCNBQDREgBrBYCzDkBYBrETBrDCBQCzByiCNa10CA2BG2Bh2BlCwCEEWDvEOBsBF6DvCy3Aw6CyExFoFd2AK5Exw7Ak3Am8Dr2s6CV2Ek2Defh2oAs2hc3CooDJf2AsDDAyAPAGBoBpAsEnfCiANDDAyCbcArAPhDeo2DJcDyDbf2cEnfcDbDDEnANCbArfAr2fhAP2hocfc2CoANfDyoBoBpfCbCiDeAGAsEP2FFFQFTFMFOFYEP2DM4BA4AI4EZ4AE4AV4CL4AW4DY4m4BAEZCLDYmAIAEAVAWDMBR2FjEUFiFhFjBR3Bt2AY2Ds2Cj2Cs2EmDPEuEQFvDSDAFsEaCQCa2ER2DQ2BZ2Ch2CtAuFCFnFyCtDWCZDqFud90Fw2EsDK2EHEVAJ2DXAn10r10Ad10Bn10Cl10e5DsCj4AR10Ax10BE10AM10Ag10r10Ad10Bn10Cl10Ag10AR10Ax10BE10AM10An10r10Ad10Ag10An10BD10An3r3AR3BnAx9AgAd3Bn3BE4AM4Cl4Ag2u10Ae10BB10DI10Cp10q2BzCHCGDcEBFBFeBuq2BzCHFqBu2EtFcEYCJATBmFgEoCrBwBqDtEKCJ2EfCJ6BqED10DuAo6Du3Ao10DwAo4Dw5EF2Ce8BXDa5BX4CIAo2CI7DEAo5DE3EDCkED2Ck7Da10Ce10d70m10Cd5CC5AZ10AV10m10Be10AZ10BACL2Cd7AW3BL7AE2BC8AE10CLCC9AV2AI8CL5AE5AV5BL5AV5BC5m13BeAZCdBCAECCBLmBA9AW5AZ3AECdBe8DY2m10Bk7BCAIBLCt6FCAuFA2CZ10Dq10Fn5Ep5Dq3Au3DWEpCZCtAu10DW5Fu5Fz2FnCt3Dq2FLDWEp10CZ10b1000CT10Dx10DG6Eh6Er6DO2Bw3Cr17Eo3Bq7AA10z10Aa10BN2Aq2AU2BVAq2BVAF4Bg4BVBH7BxBNBgBNBx10BN2BgAq2BVAFBxBHBxBV10AF2BNAU6BHBVBxAFAqkAUpBNAfAzk2p7ApElDXEVENAJFDEMDKEHFDAb5EX3BU17CT5EX10Dx10CT20DG16Ab4Dx7Ab3AD10x10v10AO10Bd10Al10Ai10Av10Bc10Aj10Ae10Cq10Dp10n10AS10q2BzCHCGDcEB.FeBuq2BzCHFqEB2EtFcEYCJATBmFgEoCrBwBqDtEKAT2EfAT16FgCM10Ah10Dg10Cm10DU10DL10BT10Cc10AC10Fa10Fm5Ey15e50Cs10CQ10CsEQ3ER2Fv2Fs2l5Dr5l10BJ10AB10s10l4Ak3AH3Ak10l5w5s8AB2Am10Ej5Dx5Ej10Eh10Er4Eh6EG4FH6Er10EG10DO20Fb10CS5Dh5Bb5CW5AA10Cx5Cu5z5Aa15Bb10Aa20Cu5CW5e5BZ5Cs5DS4DsDPCQ9e10Cs2AY2BZ2Ch2Bt2AY5Bt5DA3DP2Ch5j10y10Bf3CfDf3CfCvDTAt7AQ9Eb3CY6CK7Dz7BK9CB6Dj6At35AQ5Aj10BP10Al5v5CU10Ai30Al10AO10Aj10Ai10BM10BO10CU10EI10Ba10Ai10Av10Al10v10AD10x10v10n20q2BzCHCGDcEB.FeBuq2BzCHFqBu2EtFc2CJATBmFgEoCrBwBqDtEo3EfDt6EoBm8Eo2CH4Bz6CH2CG3EY2.3Dc10CG20q10EB4Et6Dc10Bu11.4Bu4FefCoCbCi2Bp2CbfBp2CoBo2CbBofCbCof2CoCbCoANCbfANCbAs2CbBoANCoBpCo2AN3As2f4ANBpfAN5CiAsANCiAsAyAsDyANBoAsANBpAsBpAN2BpBoANBo3CoBoAyANAs3ANAs2Bo2As7ANfBofANcBpEnCoAyCbANAsANBpfDy2CbEnArCoANcBpAyCoCiAyAG3CiArDyCbCiAs3ANArANBpcfANfAs2c2ANBpCoAyAGfAsCicANArDyAsANfBpcfcBp2CoAyAGCiCoArAsCo2ANAyAsANf2cBpcAyCoANfAsAGAyAsANAsAyAs2AGCiArANDyCbfANEnAsfANf2AsBp3CoAyAsBpANAsfAsfCoBpCoAyAsAyAsANfANAGf2cBpAsANfAsfBp2ANfAsANfCifAsArANBpAsANfAs2DyANCbBpfANBpAscANf2As2EnDJDDDeANAsANfcfc10DW6Ct4gCvBfBiELDTDfCfgELgCfBfBiBfDTDfCfBigDXDKEiEHAJFDENEsFwAJEVAJEiEHDXFD2ElDKEsBR2FjEUFiFh2BR5FjEUFiFhEUBR3j10DO10EG7EA3Dq10CZ10FJ5DxEA14Fk10BF10Cy10AK20BF10Byi4EgDCETCzDkByFtCN2Br2BY2DRBQDt2CJBm7Fg3AT7Bw4Eo2FIDt2EKCr10Bf3Bi2DTDfCf3g11CvBfBiBfDTDfCfELFpg10AQ30Eb10CY10CK10Dz10BK10CB10Dj10Bv10t10DH10Cw10Bh10BW10Bl10CD10CR10BG20CE9tCA10CF10Cp10q2BzCHCGDcEBFBFeBuq.BzCHFqDcFcEtFcEYCJATBmFgEoCrBwBqDtEoBw2EfBw17AsfBp2AsBpAN2AsBoe10Cj10e5Ea5CQ2Cj2e2Ch2Bt2Ca10Ch10DS10Bt10BZ10FeDc5Feq3Bu10q30Bu10q40Fl6ALFlEv2Ac10AX10Bj10CO10AL10Di10DZ10Dl10Ev10Ac20AX10Ac12CO8AL20DZ7AL3Dl4Ac6y10AK10Dv3Bs3Cy4BI10Bs10BI3Fo2Ex2EO3BF7AwFd2Cy10AK10EO3BI3AK4Bs10.1000j100a100j100.100c5f5s4l6ApAzAf2pk2p3v10a10b10j10u10e10z5AA5.200i10Dk3DCBy2ET2ByDCCN2Cz2Br2DR2BriBY3iBQEg2BQ2iBy2Br2i3BQCNBY.10Fd2Aw35BI2Dv6Ex5.60EGFkCT2BUEADOEjErFHBU2Ab8y110',
+    158: 'c5o5Ar10c10b70a70b30c5Ay5b10j10d10u10t20i10e10g10d10AnrAdBnClAgARAxBEAMAnrAdBnClAgARAxBEAMAnrAdBnClBDARAxBEAMAo2DwAoBXCIAoEDCeEDDuAoDwEFBXCIDECkDaCed10AVmBeAZCdBLBCAECCAIm10BLBAEZCLAWDYBkBCDMmu10DNAeBBDFEeDmCqCXEcDV2DpDV2Ae3EdDpDnn2ASDdCpDoDIEzCFECn10q2BzCHCGDcEBFBFeBuq4Fq2qEtFcEYCJATBmFgEoCrBwBqDtEKBq2Ef2Bq2BwBqATBqDnDp6DV3Aa10AF2BH2p6Aq3BxBVAUBgAUBN2ADxvAOBdAlAiAvBcAjADxvBPBdAlBSAvBcAjCMAhDgCmDUDLBTCcACFaAhEyFmDBCgAhESEwACAhDrlBJABsAHAkwCVAmEklBJABsAHAkwCVAmAA5Aa5z10BNAz2kAzAf5k7Ap3BM2BOCUEIBaAiBOAlvx2vAOAl2Ai4v10x10AD10BaBd8BPAj5Ba4ADAwFoBIBsDvBFCyAKEOExi10BYBriDREgBQDCByDkCNBvtDHCwBhBWBlCDCRBGCA3EqEWCACE4AGDbAsCoAyfAPoCbANAr2DJCi3EnBoDehFlAcAXBjCOALDiDZDlEvAc2AXBjCOALDiDZDlALFdAwBIBsDvBFCyAKEOExd10ER3DQEQ2AYBtCh2DQ5EaDPDSCQ2CjBZDsCsCQEQFvFsCaDABt5BZ3Cj2At2AQEbCYCKDzBKCBDjDx5Ej2CT2EGAb2DGCTBUAb2EjErAb4EGAb6y10FzFCFuEJCZFzFxDqFLFACnCvBfBiELDTDfCfgFpg10EVAJEiEHEsFDEMElDKEsDK3ENEHFDEi2Es2BR2FjEUFiFh2BR2FiBR2FjEUFiFhBRFhBRFiFNCPFfFRFGFUFKFrCPFrDV6Dn2uDnFzAuCtFnDWFyEpDqCZCta160DJ5AP5AN2Ci3En5f5c5As10Ab15EX2DG4Fk4FJDO4AN10c10As10AP5De5AP10h10Co6Db4Bp7DD3Ar10Dy2Ci8c10o10Bo10o10f5AG5f10Dy4Cb6f10h30f10c10f20c10De7Db3Ay35As15f10o10Ar3AG7c10AG2o8AN14De6Ci10As20Db2De8Ay20h5f5o10c20f30h30o10Ay10o10c10h30f30c10Bp5AP5Co4Dy8DD8Db5DJ4Cb4Ar7AP10En4Bo16AG10AP5As5AG5Ar5x2v2BaAlBdAvvxDb3De3DJBp3c10Dy2Ci2DDCoDDCb2Cof10Ar5AP5o10As5f5h20b100j100d100Ak10l10s10AB10l10s10Be10AV10m10AI10EG2BU10Ej4ErDGCT7Ab5BR2FjEUFiFhFjBR2Fiw5Ak5l5s5w10AB5Am5DKEi2EH3DXEs3d60Br16Cz5ET8CN9i6DR5Fti70Br10Ft2DC8Eg3i7e70Ds5CQ5Ds5Ea5DS5Ea5g11CvBfELCnBiEL2CnBig20CfCvBi2CnDTg2CnCf2Cn2g3EL2gCvg20CnCvBfBigDTDfCfgFpg4Cn2EL2CnCvAn10r10Ad10Bn5BDBn4AnrBnAd2AgARAxBEAMAg9BnAR3r7AM3An6AdAx3Ad13r4An10r10Ad10Bn10Cl4rCl2AdCl2AgAd8AnAR10Ax10BEAn6Ax3AM2r8An10r10Ad10Bn10Cl4Ad3r3Ag10AR9BnAx11BE7Cl2AM10An11rAdBnClAgARAxBEAMAnrAdBnClAgClAxBEAMAnrAd3BDAx2AM2An2Ad2AnAg3AM2Ag10AM14AnAx5AnAgBE3Ad5r10Ao8Du2Ao10DE2Da3EDDu4ED3DEDa6Cp10Do10DI10Dd10CF10Dd10Du2DwBX3Du4Ao4CI2Da4Dw3EFDwCe5EF6Dw3CeBX9EDCI10DE3Dw3Du2DE2Ck10Da10Ce10AZ20AW10Be10AV10Cd10Bk20AV10BL10AV10m10Be10AZ10Cd10BL10BC10AE10CC10AI10m40AE10AI10AW10AE10AI10BA10AV10BA10EZ10CL10AW10DY10Bk10BC10DM10AE10u60Ae10CX10Ae20DN10Ae10BB10DF10Ee10Dm10Cq10CX10Ec10DV10BB10Dp10BB10DF10Ae10Dm10Ae10Ed10Bv10BG10n20AS10Dd10Cp10Do10DI10Ez10CF10EC10n20AS10Dd10Cp10Do10DI10Ez10CF10EC10q5Dc5q5CG5Bz9BuCH2Et7FqCG6Fc3FqDc10Bz20Bu20q16Bu3FqBz9Fcq10Fq2EYEt3CH4q14Dc5FcEt3qCH6q3EY2EB3FcBu8CG3CJ5Bw2BqBmBqAT10Bm10Bq2Bw5BqBw2Eo7BqCrBwCr10Bw3Bm3AT3BmBq3CJ2AT4BmDt10EK10CJ3Eo5FgCJAT10Bm10Fg6CrAT3Eo10Cr10Bm5CrBm4Dt5CrDtCrCJBm6CrBm3BwAT5CrBw4CJ10AT10Bm10Fg2AT8Eo6Bm4Cr10Bw10Bq10Ef4Dt6EK4Bw6k40BVBHAU2BN4Ap2p30k5Bg5BV10AF15BV5Ap20k30Bx10p10Az10Aq50Af35AU5p5Bg5AD10x10v10AO10Bd10Al10Ai10Av10Bc4Aj2Bc4Aj10AD10x10v10BP10Ai10Al10BSAv2CUBM2BPBO3Av10Bc8Ai2Aj10CM10Ah10Cg10Cc10DU7AC3DLAhDgCmACBT2CcACFaBT8DU2Cc4Dg6AC7Ew3Cg6Cm4d10Ey10Cc10DB8Ah2Cg10AhBT9ES5CM2FaDU2Cc2Ew6AC12Ah10Dr10l10BJ10AB10s10AH10Ak10w10CV10Am10w5Ek5l20AB10s10w10Ak10w20Am10z20AA10Cx10z5Aa15Bb10Aa10Dh10CW10Cu10CS10Bb5z5Aa30Bb5Cx5AA10z5Dh5Aa5CW5Bg10Az10BH10AU10Af30Bx10p3Az7AF20Aq20k40Ap17AU3BHBVBN8v10BMvBdx7BO4ADAi5CUBd2CU7EIAi3v5ADBa10Ai10Av6Bdx3Al5Aj4BdAj10x4AOAl5Av5Bd5v10Ai4BOBa5AiAD4BOAO4x4Av2Ai4AD10v5Bc3x2Aj10Ba5AOAj4AD18BSBP5Ajx5ADxvAOBdAlAiAvBcAjBP5BS2AOCU2v10Al5AOAD4Av3Ba7AD10Bd6Aj2BSCUBc5Av5ADAi9AjBO4BPAO4BM2AOCUEIAl4ADAiAj4Al5Ai10x5BP2x13v10Aj10Ak10l10s40Ak10w10s10Am10w10l10BJ10AB10l10w10Ak10w10l10Am10l5Dr5l10CV5Am5s10w10s10w10Cw5CD5BW5BG5CA5CE5Aw4AKEO2Ex2FdAQ5Eb3Dz2CK10CB3Dj7d20Aw10AK5Dv5BI10Bs10By8Dk5DR9ET4CN9i15Ft4BY14i26Eg2By2DC2Eg9Br7DC4By15i9ByBY23Dk8Eg12DC12Bv10t10DH10Cw10Bh10BW10Bl10CD5BG5CR10BG10t30Eq10EW10CA10CE10Bh10t20AG10Db4DD5BoAs10c5Ay15f10AP10o10Cb5Bp5AN10Ar10o5Ay5DJ5AG5Ci6AN4h10c10En2AP8Co4Dy4Ar2De9ch10Bj5AL5Ac10AX10DfCvgBigDTDfCfg2CnCvCfBigELBfDfgDTCf2CvDfBfgBf3DfCfCnELDTBigCv2BiCfDG10BU10Ab10AL5CO5Ac10AX10Bj10CO7Di3AL10Di7Dl3Ac12Dl5AL2AXFl2DlDZ5Ev2Aw20BI10Bs10Cy3AKEx2FoFdEO2BF10Cy10AK10Dv6Fo2BF2Fo3Fd2Ex3EO2z20AA10Cu5CS5z10Bb10CS10Aa30e20EQ5ER5DQ5BZ5Cj2AY2Ch2Ca2Bt2CQ10AY10Bt10Ch10Ea5Cj5e50Ea5DP5Bt10DS5CQ2AY13Ch10Cj10BZ10Eu5Ds5Em5Cs5Ca5CQ5DA10Ca10Ch4AY6Ca10DA10CQ4Fv3Fs3BZ5Cj5Eu5Ca5Em5Cs5e20AY10Bt2Ch2BZ4Cj2Ds10DP5DS5At11CK3Dz5BK13CB8CY8CBDjAt5CY5AQ10Eb7Dz3CK5BK5CB5Dj5Cp10DI10AS10Cw10Bh10BW10Bl10BL10Dq6EpEJCZ2DW3FnCt6Ab30DG10BU10EAEr2Fb3Fk2FJDOEX4EA6CT5Er4EXAb8Ej2BU8EG2s20w10AB10w10s10Ak10w10l10Am10EP2FFFQFTFMFOEP3Bo10ArAy8f51BoDeBpANDyDbAP2Ar2c10m20DY5DM5CC10AE5CL5AW10m10Bk5Be5Bk5AE5CC10CnCvBfBi2CvDfCfBiELCnCvBf2CvBfDfBfCvCf3Bf8gCvBi2CfCnEL2CfgCnCvgBigDTDfCfg2CnCvELBi2DTCv2BiCnFpCvDf2CvCnDf2CvCfg10Er7BU3DO4Eh6Bb5Cu5Cx5CW5DQ5DA5Eu5DP5Ch3Bt3Ca3AYBZ6ER3AY9EQ2Em5Bt5Cs5Ca5Cj5Ch5BA10Bk10CL10AE10BL10AE10AW10Cd10AZ10Bk10CZ9EJCt10Dx8Ej2EX6FH2Fk2Fb5EXEh4DG10Au16DW4CJ3BqCr6Bq10Az9BxAF10Aq10Af10k30AU8BH2p20Bg8BV2BH5Bx5Ap10BV5BN5BgAUAqBxp2Af4AI20AW10Be10AV10FNCPFfFRFGFfFKFrCPFrCP10FNFf4FG2FrFf2BvtDHCwBhBWBlCDCRBGCA3EqEWCACE4BY8ET8CN9DR5Dk9BQ6By5DN10Ae10Dn10DF10CD10DH10Av6AD4AO8AvAjv9BPx2BPAi2ADAlBMCU2Ep5DW5Au17DWCtFnDq8FAFzAu10As5o5h10AG5f5o5f5h5c3Coc',
+    159: 'Ar10Dy3AN7j20b60a60b40c10b10j10d10uCXDn2DpDmDV2CXDVAt2AQEb2CKDzBK3At2AQEb2BK3At2i10e10g10AZ10AnrAdBnClAgARAxBEAMAnrAd2ClAgARAxBEAMAnrAdBDClBD5Ao2DwAoBXCIAoCkCeEDDuAoDwEFBXCIDECkDaCem10AVmBeAZCdBLBCAECCAIAV5AZ5BLBAEZCLAWDYBkBCDMmu10DNAeBBDFEeDmCqCXEcDV2DpEc2Ae3EdDpDnn2ASDdCpDoDIEzCFECn10q2BzCHCGDcEBFBFeBuq2BzCHFqEt3FcEYCJATBmFgEoCrBwBqDtEKCJATEfFIEoCrBwAT3EdDpBBEdAe3CXEcDVAa10AF2BH2p6Aq3BxBVAUBgAUBN2ADxvAOBdAlAiAvBcAjADxvBPBdAlBSAvBcAjCMAhDgCmDUDLBTCcACFaAhEyFmDBCgAhESEwACAhDrlBJABsAHAkwCVAmEklBJABsAHAkwCVAmAa20BNAz2kAzAf5k7Ap3BM2BOCUEIBaAiBOAlvCV5w5s10l10DrlBJABsAHAkwCVAmEklBJABsAHAkwCVAmEG7DOEAEhAwFoBIBsDvBFCyAKAw2i10BYBriDREgBQDCByDkCNBvtDHCwBhBWBlCDCRBGEWEq3EWCACE4AGDbAsCoAyfAPoCbANAr2DJCiAr2EnDe2hFlAcAXBjCOALDiDZDlEvFlAcAXBj2ALDiBj2EvFdAwBIBsDvBFCyAKEOExAi4ADAiCU2xBce10AY5DsCjBtChBZEaEuDADPDSDsCjBtChBZEaEuDADPDSDsCjBtChBZAt2AQEbCYCKDzBKCBDji3DC7DxAbDGCTBUEADOEjErEhAbEXFbEGAb2FJFHFkAbAl2v8AuFCFuEJCZDWFxDqFLFACnCvBfBiCvDTDfDTCvFpgCv2CfBfELCn2Bfgd10BF10BR2FjEUFiFh2FiBRFhBR2FjEUFiFhFjBR2FiFNCPFfFRFGFUFKFrCPFrBBu3Ae3EduDnFzAuCtFnDWFyEpDqCZCtAv2Al2ADAiBPBdx3AiADAj6Baa100DG5DOEh4CT10BU9FkAb25FbEj2ErEXDx4EG2FJFHCTEGEA2BU18Ab10Fk4DG6DO8Ej2Ab20DG8Dx2EA2DO2Ej3ErFkEXCT10Er5Eh5De10c10AP10Ar20AN10AG10h15As5Ay10f20c35o5Ar10Ay10Db10Co3Bo2Dy2Ci3Cb10Ci10o5Bp5f20Ay10Bo10c30o20AP15As7DD3De5Co5o5Ay10h30o3Db3DJDD3Bp3Dy2EnDe3Bo4Ar7AG5c15Ci2Cb3AN5Ci5h10As5AG10Ay3Co2Bo5o20Ar10h10c50Ay10o10AP20c5As5f10De10c10f40c10h10c30h10o5c25b100j30Cm2DLBT7Ah5Cc5d150Ek5Dr5l10Am10s10BqATBmBwBmEoBwCrBqCrBqATCrBwCrEoBwBq2CrCT4EX6BU30EA6Dx4Ab14Eh6CT9EhEX3Fb3FHEG3Dx5FJEA4l10CV10AH10Am10Ft3i7Cz5Dk5i30Br15ETDC4BQ10CN8By2DR2Eg2BY6i70Br30e20AY2DA2Ch2DP2Cj2Ca2BZ2Eu2Ds2DS2e60DTBf2Bi2BfCv2BiDTCnCvBfBiBfDTCv2Bf2Cn2BfBiCn2Bi2Cn2g3BiCvCn3CvBf2CvDfBigDTCn2gBfDfDT4g2CvDTDfCfCvg2BfELBi2BfFpBfBig2CnBiCngCnBfgCvBf2BiCvCn2Big11An3BDAdAM3Cl2r10Ad10Bn7BE3Anr2AdAg2ARAd2AMAg9BDAR9AMAd8Ax2AnrBE2Ag2BE2rAgAn2AdAM2AgAM2BnClAn5r15Ad10Bn6BE3rClr2AdrAgARAdAgAMAg10AR7r3Ax6Ad14Ag4AdAM5AgrAdAn2AgARAdAgAMAnrAd2rAgARAd2AMAnrAd3AgAd3AMBE2Bn8Cl2BE2An3r3Ag10AR5r5Ax5An5BF5Ex5Bs5Dv5AnrAdBnAg2ARAd2AMAnrAdBnClAgARAxBEAMAnrAd3AgARAx3AnrAdBnAMBDARAM3Ag3Ad7BDAd9r3AR2Cl4AM4Ad7BE6An4Ad9rDuDaDwEFAoCIDEDwBXCeAo6DE4Dw6Du7EFCI6BX4Ce5EDCk10AQ10BK10g10BqATBmBwCrBqBwBq2CrDu6DE2Da2Ao6Da4Dw12Ck5EF3BX9EDCI6Ce4DEAo2BX7Ck10Da9CICe10AW10AE10m10Cd10AE5Be5AZ10DY5Be5CL10Be5DM5AW10AV10m10Be10AZ10Cd10BL10BC10AE10CC10AI10Bk10BA10BC10AV10AE10CC10AW10m10AE10BL10m5AV5BA10EZ10CL10AW10DY10Bk10BC10DM10Cd10u60Cq10CX10Ae20DN10Ae10BB10DF10Ee10Dm10Cq10CX10Ec10DV10u10Dp10BB10u10Ae10Dm10Ae10Ed10Ae10Dn10n20AS10Dd10Cp10Do10DI10Ez10CF10EC10n20AS10Dd10Cp10Do10DI10Ez10CF10EC10q20Bz6EB2Fc2CH10CG5q2CH3Dc10EB6q4FBCH5q4FeFc5CG4Bu3q17Dc10Bz10CH8q2Fq5Bz8CG7Fc6Et14Bs10Dv10CJATBmATEoCrBwBqBmEKCJATBmATBwCrBwBqBmEKCJATBm2BwCrBq2DtEKCJATBmBqCr2Bq2DtBqCJATBqCr3BwBqDtBq2ATBmCrDtBw2EoBq2BwATBmBqBwBqBw2EoBwEoATBq2CJ3EoCr2n10AS10n40AS30n10CF10DI5Ez5Aq5AU5AF5Bx5Af10Dl7Bj2DiBqATBmBwCrBqCJATBmBqBI10Cy10xAlBOAO2Ai2AjAiBc4AOBMAi2Al3AOBd2BO3Al2CU2k10Af5k5AF15Bx5Af5p15BV5Aq5BH10Ap10k10p4AU2BVp2BVk4Bg4kBVAz4BVBHBxBN2BVAp4Aq2BV2ApBVBNAp2AU2BVAqBxAFBHAf2BV2AF2Af3BVp50Aq20Bx10k6Af4AU10Bg10AU10BN20AD8CU2x10v10AO8vCUBd5Av5Al10Ai10Av5Bd5Bc6BM4Aj10CU3BM4Ajv2x3CU2Ba5v10BP8AjBOAi10Al5Ba4AlBS9AlAv2ADBPCUBSBcBdxAOv10x2Ba3Al5CM10Ah10Dg10Cm10DU10CMDL5BTCcACFaBT3DBCgAhESACBT2Cc10AC10FaCg9Cc3Cg2Ah3CM2Ey9DBFm3ES3DB14Cg10Ah10ES5DU5Ey2Ew8AC10Ah10Dr5Ek5l10BJ10AB10s10AH10Ak10w10CV5s5Am10l5Ek5l10s10AB10Am10AH10Ak10w10s10Am10z20AA10Cx4AA6Cu4AA2Dh2Bb2Aa10Bb10CS4CW4Dh7Aa5CW5Aa5z20AA10CS5AA5Aa5Cx5Cu5Aa5Bb10Aa10AA5Bb3CS7Dh2CW3Bg10Az20BH10Az10Af40AF20k60Ap30v2ADAv4BPBSCUx4AlBcBa4v10AO2Aj4Bd4Ai8AjBdAl10Ai10Av10CU5EIBS4Aj10x3Ai2BdBP2Aj2Av5Bd5v10Ai5Ba5AD5BOAO4x6Ai4AD10Bd2Av5Ba3Aj10Aiv9CUBPAi8AvBO2Al7Bd3Ba3BPBS3ADxvAOBdAlAiAvBcAjBP2vBPADBS2AvBcAjADBaAO3v4BMEIx4AD5Av4Ba3xAiAjAD10Bd10Bc5x2Ai13Ba10x5BP5Aj4Al16x10BO6AjADBM2v15AO5Ak10l10BJ5CV5AB10w10AH10Ak10w10s10Am10s10l10BJ10AB10s10AH10Ak10w10l10s10Dx4Fb2DO2DG2BU5EX5Fb9DOEj2Er2EA2Fk4Ab20Ba3Bd2Al2x5Aj2Bd4Av2v10CUAj6AvBP2AK20Cy5BF3FoFdBs10Aw10BF10Aw10AK30By17FtCN14BQ9i10DR5Eg2Br4BY6Cz16Dk8ET3DC2i26By4i3Ft2CN3DR3Eg3Cz7Eg4DR3FtDk4DC9BY4Br3ET3BQ11i10Bv5Bl2CDCR2t10DH4BW3BG3Cw8Bh12BW10Bl10CD10CR10BG10CA6CE4t20Eq5Bv2Cw3EW5DH2Bl3BU20CT8Er2Ab5Dx5EG3EX3EA2Ej2AG10Bo15Cb5c35DD5o10Ci10AN10Ar10As15Db5De10AG10Bp8De2o10DJ5Dy5AN5f5Ay3AP7DZ3AL4Bj3Ac10AX10Bj15Ac5AL10Di5Ac15Dl11Ac2AL7Bj6Di4Ac10AX10DM5BC5m5Bk5BC10AI10BA10Bk10d10Aw20Ex10Bs10Ex10BF5Dv5Cy10AK17Fd3BI10Aa10z20Aa4Cu3Cx3Aa10z25AA25n10AS20Dd10CF10Cp10Do5Cp5FnFCCt2Au6m20e50Ea10DP10DS10e10Ca5AY2Ch3Cj5Ea5BZ5DQ5Eu5Ds5Em5Cs5CQ5DP5EQ5ER5AY10Fs3Fv2Bt5Ca5Ch5DA5DS5Cj5DA5BZ5DQ5Eu5Ds5Em5Cs5AY2Cj2DA2BZ2Ch2EQ5ER5AY10Fs3Fv2Ch5Bt10Ca5CQ5At2AQ8At10AQ10Eb2Dj8CY3BK6DjCK8CB2Dz8CB2z10AA10Aa10DJ5o15Bp5DD5c15Co5As10f25Ay5Bo2Cb3As5Dx7Ej3Ab10Er5EG3Ej2FJ2CT8BU10EA3DO3Fb3FHDG5DO5Ej5EA2CT3Er8Fb2Dx3Fk3Eh4CV10l10AH10AB10l10Am10s10w10l10Ak10c30f30h10Ay5AP5Ay5f5h5o5l20s10AB10CV10s10Ak10w10CV10xAD7BSxCn5DTDfCfCn2Cv3BiDT2gBiDT2Bf4CnELg2CnBi2DT3gCn3gBiELCv2gDTgDfCnDTBiCv10g21CnBfDfCngDfELCngCnCvBfBigDTDfCfgELCi10AG10Ay10Cb2De8c10Bo10AP10h25Db5AZ10AE10AW10CC10AV5Bk5BL10Cd10BA10Be10AV10BL5Cd5Be5AW5i10Ac20AL10DZ7Bj2Dif15AG5Ay5De5Az10AU5AF5Af20k60Bg10BH5Bx5p30Ap20BV10BN5Aq15FNCPFf2FGFf2CP2FfDR5Ft2By15BQ8i10BY20Cz10Dk4ET8Eg8BB10u30Ae30Ba2Av2BcBd5u10d10Ep3EJ2FA2DW3Au10Dq3CZ2Ct4FnCZ3Fu2DW2EJ2FzDq3EpAu2Ct4f20h20c10',
+    170: 'a5b5a4c4f2c10.70a30AhAoifj2yde2BxAF2AqAU2Ap2AfAz2Af4k3pApb20f2b4a4f4c5fc10b10j10d10u10p10hAG3f4c2i10e10g10chfo4As2ArAnrAd3Ag4AMAn2Ad2Agr11Ag2AdAnAhiydfj3Ao4DwAo4Ck3f5h4Asm6BCAECCAI4BCm2AW.3m6BkmDMmf2c2h2o2ArAGAe2BB2u6Ae2BBAe7n2ASn5k2.10q9Buqb4a5AT2Bm4AT4Aa2f4c4b3a3c2f2z6AA4AfBNkApAUAFAqBxBHAzk3Bgk3BVpAfADxvAO2AlAiAv2Ajvx2Al2BMAiv3Ah3CmAh6w5Am3lAhl2BJABsAHAkwCVAmEkl2s2AHAkw2Amz2AA3AaAA4Aa10p5k5Af8Ap2vBM2CU2BaAlxv3l2Aoe.5kAf2p2AiAl2xv3xAl2AvBaAjl2w5s5l10AA2cfh3AGArco2Aw8i6Br4t4xAl2AOAj2t3Bh2t11i4AGAs3AyfAPoCbANAr5Bp4hAc5APCb3hAy4AP6BIAwBI3AK3Aw2d7AqApAF4Ap4Ak3At3e7Ap2l2AkAB2BJ3At2e3AH2ABl2At2AQEbCYCKDzBKCBDj.10Ab10c5f5a2v3As3y2Ao3j7g2Bf2g2x9Ai2v3AJ5Aq5o3Aq2pkd3BR2z6ANoAh5Ak4sCP2AB5AH3.10Au2Ams7.4000a.4a2b2c2fjiluAevAhAAAcyrmAoqtnpAwgeAbdAt.15AA2.xAAa2ljzkAzg.2pb2AfdAe.4ohls.cfvAa.16a.b.2l.2ws.40bfAhh.mtrciAwnpBs.vgAoqxaejAb.uAeslBjaybdm.15cAhvzAFoiAtaqbtnAzBxAwApAqAfkAbBNpjBmlxAjfgAeedhAT.15gejAbwardamqitnxpfubflAeafabAPcbAocAhzef.15fabafab2fyefedfdi2ft2hfhfc3fc2f4.15tAoAAuAAjrwfxbp2AfAbvclfegmyAhAwAcqahnAeidcAT.115fAyAbyozmAIkAAaswhAkAfblaAhcbjduptiegAExvAwAr.15bAhvAhemuteangjzuAexAb3Acldm2qBuwsAErAtAocx.15abc2f2h2jdplse2xvuAezAAiqgtnmrAoAhAwAcAbAtAT.15b3c2f2i2Dk2ptCze2aja2uAexvAlAogAbldCNBQEgzAA.15f3.3bBhac.6jAIBRBD.30xvkqyf2oc2uAeiAutpb3gzAAAorAwma3gjedlAb.15a3b3jdbrxcgf3ohfpkeAA.a.3l.21a10c2.5f.2b10h.oAr.1116a20c20BJ3Ak2Am2Dr3BN10BB8u2Ac10c10r10a20j10b10a10p10AEBAAW2EZAIDYDMm2Cy5Fo5m10z10c10b10j10d10u10p10Eg4CN6i10e10g10Ao10AnrAd3Ag2Axr2Ad8r2Ag10r6Ag4m14BAAE5AVmBeAZCdBLBCAEmAIm2AIAV2Cd3BL2BA2EZCLAWDYBkBCDMBku10Ae10l5s5n10w4ABEkCVAH3q20AT10c10z10p30x2vAl3AiAv2AjAA2Bb2CuAa5Ah2Cm4BTAC3CgCm3CgAhBTAC3Ah20Aa5z3Cu2x27Av7Ai6x3v3AiAvAjAlc40f10Ac10Aw10AK8BF2Bvt19Bs7EO3Ab5Ej5b10s20e20y10Dx3EXDxDG5EA4DOFb3DO2At10BU6Er3EXCT5Fk4EXl10w10l10s5Am5CV2AB3Ek5AJ10AI3BkCLm4BeAz10Ak7w3CV2Dr8AH10BJ6CV2AB2a20f30Ap10f10t5Bv4Bhb10f7o3a20j10b20Af20b10h10AACu3AACuBb4h10b10j10d10u10Ap9BxEgDC6i13e10g10An6r4AnrAdAg3Ax4Ad7Ax3Ag6r4Dw5CI5DwAo9mAI9AVmBeAZCdBLBCAEmAIAZ3BA2BemEZmCLBA2EZCLAWDYBkBCDMAVAe20EG3FJ3Eh3DOn10h10q2Bu8o10AT5Bm5m2AZCdBLDYDMBCAE2o10k30x2vAl3AiAv2AjAh13CmAh2BTAC3CgAh2BTCgBT2ACAh2BH7Bx3Aa2AA8z4Aa6v27Aj13Af6AF2AzkAi8Al12As20AG10Ac3Bj7i10BI7BF3t10Bh6BG4Dv5Aw5AU10AF10Aq10Bg8Bx2e4Cs6e10y10d10Ex4Fd4EO2At10Ab10AG5Bp5Ay20Au10g6Bf4Bp2Db6AN7Cb7ArAP7BR10Ar20AP20a20As10a20AB10.20a10.10a20b30AH10l10b30c10b10j10d10u10p10i20e10gBfg8Ao10r10Ad8rAg11c2f2o2f2Ar2AE4AI6m20d10.10Ae10f5AP3Ay2As4AG4Ay2n10.10q10AH2Drw7AT10s5l5sAm4Ak3w2k10Af4k6AF3Af6AF2Ap9Aqp3k3ApAf2AF4p6Aq10Ah10Aa10z10v10Al8v2Aj2Av2Ai6q10x2v4Al2Ai2Ab10AB5s2l3t10x10Au10Ac10Ar7o3f20c3f2h2Aro2h10o10AkAm9Ak2w18l10Ak2l8y10e10l3Ams2Akw3Ak10Am3s17c12h2Ar4f2At10Aw10Dr3ABBJ6Ak2w2ABCV5Ek2CV2BJ2AB4BR10Ek5AkAm2slAG7APAG2Ay7APfAP6ohArfc',
+    176: 'a120b20k10Af2ApAzp3k3a40c8h2b10j10d10u10p6Aq2ApBxj10i10e10g10f10AnrAdBnClAgARAxBEAMr10Ag5BD5DuAoBXEFBXCIDECkDaEDDuAoBXEFBXCIDECkDaCeq10AVmBeAZCdBLBCAECCAIEZAECCAZm5CLBA2EZCLAWDYBkAIDMAIu6CqCXAe2DNAeBBDFEeDmCqCXEcDVBBDpBBDFEeDmAeEdAeDnn2ASDdCpDoDIEzCFECn2ASDdCpDoDIEzCFECq2BzCHCGDcEBFBFeBuq2BzCGFqBuqEtFcEYCJATBmFgEoCrBwBqDtEKFIATEfFIATEfBwBqATBm.10z4CSAA5AfBNkApAUAFAqBxBHAzAqBNBg2BHAFBV2AUAzADxvAOBdAlAiAvBcAjADxvBPBdAlBSAvBcAjCMAhDgCmDUDLBTCcACFaAhEyFmDBCgAhESCcEwAhDrlBJABsAHAkwCVAmEklBJABsAHAkwlAmz2AACxCuAaBbCSDhCWAa4CxBb2zDh2.10CUBa3BM4BO2BM2BOCUEIBaAiBOAlvx2vAOxAlAiBSvBPl5s5DyhDDBoo4BphDrlBJABsAHAkwCVAmEks9AbEXFbEXFkFbAb4AwFoBIBsDvBFCyAKAw2i10BYBrFZDREgBQCzByDkCNBvtDHCwBhBWBlCDCRBGBvCwBlEqEWCACEBhCACEAGDbAsCoAyfAPoCbANArfDJCih2EnfDehFlAcAXBjCOALDiDZDlEvAcFVFPBjFSFEDiDZAc2FdAwBIBsDvBFCyAKEOExe10Em2ERDQChAY2BtChCQEu2e3EaDPDSe2CjBZDsCsCQEQFvFsCaDAt10At2AQEbCYCKDzBKCBDj.10DxAbDGCTBUEADOEjErEhAbFJEG2AbFHFJFHFkBUy10AuFCFuEJAu2FxAuFLFACnCvBfBiELDTDfCfELFpCnCvBfBi2DTDfCfDTFpEVAJEiEHDXEEEMElDKEsDKFwElENAJFD2FW2ENBR2FjEUFiFhEUFhBRFi.10FNCPFfFRFGFUFKFrCPFr.10FzAuCtFnDWFyEpDqCZCta200c10b10j10d10u10p10i20e10Cn2Bi2Cf3DfBf2.100u6CqCXAe2DNAeBBDFEeDmCqCXEcDVBBDpBBDFEeDmAeEdAeDnn2ASDdCpDoDIEzCFECn2ASDdCpDoDIEzCFECq2BzCHCGDcEBFBFeBuq4Fqq2EtFcEYCJATBmFgEoCrBwBqDtEKAT2BmATEoCrBw2AT2.10Ae100.100a100.200c30f20h10o10c30b100j100d100.100Af4BV2AU2AF2AfBNkApAUAFAqBxBHAzAp2AzBgAzk2BVpk11AfBgkApBVAFAqBxBHAzk31Af2ApAqAU2AqAFAzp10.200e100g100.300Ag6ARAn4rAdBnClAgARAxBEAMr7Ax3Ad5BD2BnBEAn.160Du4ED3DE3Ao10Dw4Ck5CeEF3Ao7BX5Da5CI6Ce4.140AV10m10Be10AZ10.10BL10BC10AE10m10.10m100Cd10BA10EZ10CL10.10DY10Bk10AW10DM10.10u30Ae13u3Dm2CX2Ec2DV2u2Dp2Ed2Cq2Dn3BB5.240n10AS10Dd10Cp10Do10.140q20Bz6EY4CH4FqEt3Fc2CG5qBu4Dc4q2EB2Fe2.1440x14Av6EIv4Bc2AO3AD4BS2BP2BO2x3v3Al2AiAjCUBM2BcAj6v10BaAi7BSBMBd2Al8.410c20f9ANf10c6f4.60f5o5h7APAsfo6Ar3AGh3o4Ar2AG.450i4BQ7Dk4By3Cz3DR4BY3DC2.170t26Bh4BW3CD2Bl2CR2BG2CE2EqCABv5.350Ac2AXBjCOALDiCODlEv.190Aw2BIBsDvBFCyAKAwBs.90t26Bh3CDBvt3BhBWCECDCRBGBh2Eq2Bv5BGCDEWBW2BlBWBl4t10CR4CACECABG3.20Cc3DBCgAC5Ah10ESEyDg2DL2BT2DUFaCMCm4AC3CgFm.10AH3AB7Ak9BJw10l10Am5lBJw2sAh2DgCgAhDLBTAC3.20l5s5AkwAmBJls2AHlAB.50CjAYDsCsEaEQFvFsCaDABZDPERDQCaDSBt3Ch2Bt3eAY3eCh.40BY2Br3Ft2ET2CN3BQ2DCi2DRDC2By4DkCz3EgBr.100At12AQEbCYCKDzBKCBDjAQ2CBEbAQCKCYBKCBDjAt2AQCYAtCKDzEbCYDzx3BPv2BSvAl2v10AO10v20Ai10Al10Av10Bd3CUBc6BM2BOCUEIBaAiBP3x3v3Ai2Al2AD4BS6x30Aj10AbDxDGCTAbEADOEjErEhAb3CTBUEABUAbFkAb.20FlAcAXBjCOALDiDZDlALAc2AXBjCOALAX2ALEvAc10.20FdAwBIBsFoBFCyAKEOExAy2h3DeBoDyANDJAr5f2AP3o10CiAs4DDBpc13AGDbAGf4EnCbCoh10f10ohf2c5f11EP2FFFQFTFMFOFYEP4FFFQFTFMFOFYEP2AA2zCuBbz3DhCSCWCxAA2CWAa3zCuz5AA2Aa3EP2FFFQFTFMFOFYEP2zCW2CSDhCuCxAa3y20CuCxBb2AACSAaz3.100g25DTDfCfELFpBf2CvBig2ELCfDTg.60An7BE3r10Ad10Bn3Ad6r3AdBnClAgBDAxBEAMAg10AR7AM5Ax8.20EVDXEiEHDXEEEMElDKEsAJ10EiAJ5EMElDKAJ.170BR2FjEUFiFhEUBR5FjEUFiFhBR4.10EU2FjEU2FhBR4j60Ao12EDDwCkCIBX2CkDwDa2CeDuCe2BXCICkCe.70FNCPFfFRFGFUFKFrCPFrCP2FfFRCP2FGCP2Fr.80Cd4m16DMAZ4mBL3CLBe5AW2AE5AV2m6AI5AV3AW2m10BA3BC3Bk3DY.20FzFCFuEJAu2FxAuFLFAAu2CtFnCZFyEpDqCZ2DW3Ep2DqCt2Dq2CZ2EJAu2DWDqCt3',
+    177: 'a140BxAFBg2AU2Ap3Az2Af3k4p2b30c20b10j10d10u10p2Bx2AfBH2Aq3h9Bpi10e10g10AG5EnAPCiDbANAnrAdBnClAgARAxBEAMAnrAdBnClAgARAxClAMAnrAdBD3ARAxClAMAo2DwAoBXCIAoCkCeEDDuAoDwEFBXCIDECkDaCeq2BzFqqBuqEtFcEYAVmBeAZCdBLBCAEmAIAVm6AWAIBABLBAEZCLAWDYBk2DMCdc9CbuAeBBuEeDmCqCXEcDV.Dp.4CqEdDn2n2ASDdCpDoDIEzCFEC.10BuqBzCHCGDcEBFBFeBuz3Aa4AA2BbCJATBmFgEoCrBwBqDtEKAT2EfFIBmBqBmBqATBqAu10z3CxCuAa4CWAF2BH2p6Aq3BxBVAUBgAUBN2ADxvAOBdAlAiAvBcAjADxvBPBdAlBSAvBcAjCMAhDgCmDUDLBTCcACFaAhEyFmDBCgAhESAC2AhDrlBJABsAHAkwCVAmEklBJABsAHAkwABAmz2AACxCuAaBbCSDhCWAA3CxAa5CWBNAz2kAzAf5k7Ap3BM2BOCUEIBaAiBdAOvl5s5l4AH3Ak3s3w5s2DrlBJABsAHAkwCVAmEklBJABAmAHAkwsAmz3CxCuAaBbCSDhAaAwFoBIBsDvBFCyAKAw2iFtCNBQDREgBrBYCziDkDCETiDCByDRi3Bvt3BhBWBlCDCRBGBvt2EqEWCACECDCRBGAGDbAsCoAyfAPoCbANArDyDJCiDDBpEnBoDehFlAcAXBjCOALDiDZDlEvFlAcAXBjCOALDiDZDlEvFdAwBIBsDvBFCyAKEOExe20Ay4DeAr4Dyd10BW3t7At2AQEbDjCKDzBKCBDjo10DxAbDGCTBUEADOEjErEhFbEXFbEG2AbFJFHFk2FFEPFFFQFTFMFOFYEP2AY7Ca3gCvBfBiELDTDfCfgFpg10EVAJEiEHDXEEEMElDKEsAJFwAJENAJEEAJElAJ2BR2FjEUFiFh2EUBRFiCMEyDgCmDUDgBTAC2AhFNCPFfFRFGFUFKFrCPFrBBAe9FzAuCtFnDWFyEpDqCZCta100e10.11BZ2Ch3FsCse5DSe6AYBtCje2ChCaBZCQCs.10BvBWt2BhBWBl2CRBGEqCD2tEWCACEt2BGBR2FjEUBRFhFiBR3EP2FFFQFTFMFOFF2EPAq4Bx3Aq3BNAq9Ap4BHAp2AU3Az5AUAf4p3Aq2Af2k3AF5Bg5k10BgBV4Az5Bx2BN3p7BgAq7An10Ag10Ad10EYqBzCHCGFqEBFBFcBue2FvDQEaDPDAeDsBZDSDsERe12AY4Ch2Ca2EaCj3e2FsBt4BZ2DP2.2DA2CQ2Cs2FvEQe.Az3AFAqk5BH6Aq2p3k3BVk5p13k3AFAfAUBN.50Ap5BgBV4AU3k7AF2BNp7Af2Az3k5Af3Az3Ap3Bx.10Bx6pAf3Cj5e2DQ2DSAf3AU5k2AF5Az2BN3.10e7BZ2.41DjCBCYDzAQCKAQBKAt2.30b10AnrAdBnARBDAnAdrBEb50AdBnAMAxAg2AnAgrAx.100Ay2Bo2AN2AG2As2.10AV5DMBL2DMmDYAW2DYBk6mBAAI6BCEZ.20g10Cf3Bf3g3DTDf2ELCv2Bi5m10EZCdDMCdmAZAV2BAmj20i3FtCN2DkETDCDRCzEg4DC4BY3Cz2iFtCN2i12Aa6Cx2CW3z11Cu4AA3CS.10b10.40p10Ap6Az6BxAF2Aq5Bt3e2Cae3AY3Bt3e2Cj3DDCoAP8Ay8BoANcDefDJCbBocANcBph10f30o9Cof5c5As7BoDDDJd30.10DS2ChDAeFvEREQ2ed20.30c5DeAsDb2DDArBo2BpANAGCbEnAP2c10h5c2DJCoCb.160j10Bl2DH2Bh3CD3d10Bt10e10Ca5DSDsCs3d10Au20AJ10AG9Cio5h5DyAs9o10f20c10h5c2DbEnCbf20h2c18.10o3Ay3Ar3Boo2BoAy2ANDyDeAr2As3AG3ANDy2CbAs2CbAG2DJ2De2ANCi3CoEn3DD3.10h3CoDb3Bp3g2Bi3Df2g4CvBfBiELDTDfCf2FpCv3DT3ELFpBfgCf8g2.10g2DTCv2.5d10CL2m8Cj2e3BZBteBtCaDUCmDB5Cg2CmAh10.10Ah4Ey.5Cm4AC3.3CmACCcDLAh.5Ag3AxAgr2AdClAng10Bi4Df4Bf2Be2BLBC3Cd2AZ2.10An10r10Ad10Bn10r5Ag15AR10Ax10AnAMAd8AM10An10r10Ad10r2Ag2Bn3Cl2AxAd6BnAx2BnAg10AR5Ad2BD3Bn10r8Cl2BDAM9.10y10.20BD4AR6BD10AR10Ax10r10AM10An2AdBnrAgARAxBEAMAn4Ax2ARAM3An5Ad4rAn4Ad6r3Ag2AR2Ax3AM3r7Cf2g2DTDfBfELBi2AV2CdBeAI2DMAZm5DMAIBL2CdBkAZED10Du10Ao10Dw10EF10BX10CI10DE10Ck10Da10Ce10r10An10Ad10Bn10Ag6Ax2r2Ag10Ac5AX2Bj3AR8Ax2.10r5ClAx4AE2BkBCAV3AIBLBAm10AIAWDYCLBe3AZCdDMm2CLBAAZ3BABkDMm2AVBeCdAI3m4AW2BL3mEZAVm2BeDYBC3Cd2AIm2AI2AE3m3Be2CLBLmCdCLBLmAEAI10.100AV2BLAI7BAAZBe2BA4AZ2m2AE2EZ3BL2AEAW3CdCL4AVAWBLBAAEBCCLAW2EZBkBAAEBA2BkDY3BCAW2DY2BCCdBk6DM2BCm7AJ20u10EaDPCjAY2Bt2e6CsAYDsCaBtBZDQAMAn4.5m2AI2BkAW2AVAZBei5CzBy4DC2BQ3.5FFEPFFFQFTFMFOFYEP2.20u10Ae10BB10u20Dm10Cq10CX10Ec10DV10.10Dp10j10g13BiBf2DfDTBigBvt3BhBWBlCDCRBG.10Ed10.10Dn10n100.20e5BZ2ChCaEaCjAYBte2BZChCaCsCQ.10a10.50q10.30Dc3Bu7q10.30Aa3CxAACuCWz3.40a10.30BLAEBAEZDMCLmBkDYCdCJ10AT10Bm10Fg10Eo10Cr10Bw10Bq10Dt10EK10ChDPDACsCjAYBtBZeDQCj2ERDQAY3BtCh2Ef10FI10Bt2CjCs2AYBtChe2.50g5Bf2Bi2Fpg6DfCfBiCvBf2gBiDf2Cf2g12BeBkDYAWBABCAECLAV2.20b10AMr2AxAgBnBDBEAd2.10AA2Aa9Bb9z13Cu4CS2CWz3AACuCSDhCWAa10AA9Dh2BbAa30p5AqBV3k21Ap3AUAqAU5BNk7Af5AF5Az2Bg5k2BH3k3Aq2p5BH10Bx2Aq8Ei4EH3DX3.50Eq4EW2BG2CR2CD2Bl2BW2Bh2t4Bv2t6An9rAD10x10v10AO10Bd10Al10Ai10Av10Bc10Aj10DUCmBTCcDBCMACCgBTAhACCmBTCcCgDgACDBEyAh.10BP10.20BS10.30CM10Ah10Dg10Cm10DU10DL10BT10Cc10AC10Fa10Ah10Ey10Fm10DB10Cg10Cm7Ah3ES10AC20CMCcDB5Ah2DUDr3s5Dr2l10BJ10AB10s10AH10Ak10w10CV3s5CVEkAm10.80Etq2CGBuCHBzDcqFe.10zCu2z3.4z10AA3z3.4Cx10Aa20Bb3Aa3.4CS3CxAaCW.4Cu5Dh.4CW10.e3AYBt.Ch.2CjBZCaCsCQDSDsEaeDQ.60Cc2Dg3BT4DBEQERCQAYeCseCaDQe.AY3Bt3Cj2ChCa.BZCsDSDP.DA.e13CQeDsEaeDQEREQe2ChCaeDQEREQDSFs.10AE3EZBA2mAWBACL.20k5Ap2AU3v10.20BYCzi3.65i2CzCNBQ.5BM10BO10CU10EI10Ba10.40i10DCBQiDkBr.15AC2CmFaBTDBFmESDgCg.10l10.20d10.30AP4c4f2.30o5Bp3AP6AG6.10AP10AUBg4p6Bx4BVAf4.40g10ChEQAYFsCQ3eBtDQ.20Ek5l23CV2s5w3Dr2Au2EJ3FnFyCtFuDq5CZ3Ct4FxDW3Ep3Au2n10ASECEzDdASCpASCFDInECAS2Dd2DoCpEzCFDIk10p5BV5AF4Aq5BxAf5Az5k2AqAp2BVBxBH2AFAf4AU4BH2Bg4BN4Ap2Bg5BN5.10BV5AF3AqBHr10.10EW2CA3CE3CACEBvt3BhBWBlCDCRBG.20AB5BJ4EkAH5Am2Ak2Ek.20BI10AK5Fo5BI10Bs10Dv10BF10Cy10.10Aw10.10By5DR5By5DR5CN3By2BY5BQ10DRi9Eg5DC3Gb2iBr4Cz2BY2GbBY3i2CzETi13DRDk4GbBQ4AX4DZ3CO3.40Ad4BD6AM4Ax2ARAx3.30Bv10t30Bh10BW10Bl10CD10CR10BG10l2w2BJAHAm2DrAk.20Eq10EW10CA10CE10Bj2AXCO2ALDiDZDlEv.20ACCg2Ah3Cc3AC.10DU3CM2Cm5.20CsDAeDPAY2e2Ds2.20t10BvCA2EqtCE2BWEWtAc5AX3Bj2CO2AL4Di2Dl2Ac7Bj3AX5AL5Dl2AL2AX2Bj2Ac2Bj3Ac4Dl3Ac10AL10y20Fl3DZ2.5Ac10AX10Bj10CO10AL10Di10a20Ev3Dl2.105Fd10Aw10BI10Bs10Dv10BF10Cy10AK10EO10Ex10e10Cj2ERDQ2AY2BtChAY2Ca4EaDPDSe2CjBZDsEmCQEQFvFsCaDA3BZe32DSe3BZ2EQDs2CQ3CjEm2Bt3DP2AY3Ch.Cj6DPFsCQ2Bt6e2Ds2BtCs5DQBt3FsFvBZ4Ca3eCa2eCQDse5CQ3e3DADSCs2EQ2ER2DQ2e4DQEa2DP3FvEREaEQDs2e2DA2Cj2BZ2DADS2Ch4AY3d40g60d110At10d30.10y10d10.20At4CYCKDzBKCBDjAt7BKCBDjAQ7CKCYDzAt20CK2CYCKCB.5At3Dz.6BK2At2BK.5At3Dj.6CY2At2.6i15BQ6DC3DRET4CNFtBYDkBr2i25BQ6Br2Dk2ET5DC2By3.10y10Ab2DxEX.6Ab10DGEGDG2.6CT2EXCT.6BU2DOEG.6EADOEA2.6DO10Ej3EG.6Er10BUEjEh2.106EPFQFFFQFTFMFOEPFTFMg9Bi4DT2ELCvCf3EV3EE3EM3EsDKFwEN3Es2ElDK2EVEi2EH2EEEMElENEsAJ8DKDXy20EPFF2FQFTFMFO2FQEPn10Ca4CQ4.2EQCs4DSe3DPCh2Ea2AY2DA2ERDPDADPeDsDSEQDQERBt5Fve3FsDs2Bz4CH3CG3.10BBu2CXAeEcuDmCqAe3DpEduDnDVu3g3Bi3Df3Cf3Bf3Cv2DTELg30Fpg60Bf8Df2g80EV10AJ10Ei10EH10DX10EE10EM10El10DK10Es10.10Fw10AJ10EN10.60BR20Fj10EU10Fi10Fh10g24CfBfg2Bi3g3CvgBf4.100FGCPFfFRFU2FfFrCPFNCP20Ff2FR2Fr3FG2FN2FUFK4Fr4.20AZCdBem5AVAW.120DqFCFuEJ3Fx2FLFAAu23EJ2FuCt4DW2CtFnEp2Dq2CZCtEp2Dq2CZ4DW2Au20',
+    178: 'b10.20AnrAdBnAg2ARAxBEAM.10q10FIEf2DtBwCrEoBmATCJFrCPFf3FUFGFKCPFr.20a100cANAPCoArBpAyBpDbfb10j10d10u10Af2Bg2BV5AFk2Aq4AF4i3Br2FtCzBQDRie10gCvg2ELDTDfCfgFp.10AnrAdBnClAgARAxBEAMAnrAdBnClAgARAxBEAMAnrAdBD3ARAxClAMDE5ED5DuAoDwEFBXCIDECkDaCe.60CqDpCq2Dm3EdDmDnn2ASDdCpDoDIEzCFEC.20q10CJATBmFgEoCrBwBqDtEK.20pBN2BHAqAp2Az2Bx.20ADxvAOBdAlAiAvBcAjADxvBPBdAlBSAvBcAjCMAhDgCmDUDLBTCcACFa.10DrlBJABsAHAkwCVAmEklBJABsAHAkwCVAmz10AD10Aj10BOCUv8BM2BOCUEIBaAiAvBcAj.10AGAsCocCbDDArBpANCbDyDbDDBoCoDbCoAPBpArcfAPCoArANDJDDBpCb.10BU10AwFoAw8.20Bvt3BhBWBlCDCRBG.20ArDyDJCicfEnoDehDiAcAXBjCOALDiDZDlEvAc2AXDlCOALDl4FdAwBIBsDvBFCyAKEOEx.20Cj3Ea3DPDSDA2CjBZDsCsCQEQFvFsCaDADz6BK4At2AQEbCYCKDzBKCBDjBK4Dj6.20EP2FFFQFTFMFOFYFFFQ.10gCvBfBiELDTDfCfgFpgCvFpBigDTDfCfg2EVAJEiEHDXEEEMElDKEsAJFwEiENEVEEDXElDKEsBR2FjEUFiFhEU2BRFi.10FNCPFfFRFGFUFK2CPFr.10FzAuCtFnDWFyEpDqCZCt.110BR2FjEUFiFhFjEUFiFh.310CJATEKBwEfEoBqBmFgCr.240w5l5.10ofANDbBpcDJDDBofBpocDyANEnAsBpcBooDJANfAPAsDbBpfBoAGcfhANcfhANocBpCbocAPANAshcAGDbAsCoAyfAPoCbAsArCiDJCiBooEnANDehocAPfCiAsANfCocofcBpAsAGCiDbcANAyDJCiCocfANDbDJBp.200BpoArANAPDJCo2cDDoBpArCbANDJCoDJoBpCbfDJ2EnoBo2BpANArAPCiANCoCbCoCb2fCbAN2CoArBpCiANCoArc8fcfof6cfc3f2AyAs2f2.140j10.50CK5CB5.10d100.260BHBxBgApAzAfkBNpAU.10l10.110e25EQDs4e20FsCQ9FvDP4AY3Cs2e5Bt5DQ5Ch5DS4ER2DQ2Ca2.400AS100.100Du5Ck5Ao10Dw6Da4EF3CkCe6BX5CI5.350AV12Cd4Be2BA2m9EZCL7AIBL2AW10DY3AE5BL2Bk10BC10DM3AZ7m10n1000.300AD10x10v10AO10Bd10Al10Ai10Av10Bc10Aj10AD10x10v10BP10Ba10Al10BS10Av10Bc10Aj10.50DL10.20s6Am4.210Am3w7AH7CV3Dr4Ak5EkAB6BJ4l3ABsAHAkw2AmAH5Dr5l6Ak4w8AB2EkAB2l4s3CV3s3Am4.70AA10Aa10Bb10.200BP10BS8AD2Aj10CU10AO10Ba10Bd10BM3CU.BO3CU2Al10x10BM20BO10CU10EI10Ba10Ai10BO10Bc10v10AD10x10v10AO10Ai10BO2Aj5Av3BP5EI3BM2Av10Bc10Bd10AD5Aj5BPADx8Av2Bd8ADxvAOBdAlAiAvBcAjADxvBPBdAlBSAvBcAjAv2Al8Ai10Av10Ba10AO9Ai.10EiEVAJ2EVEsDXDKEV2DCiDkBy2ETiEgCNBY.20Ae10x2v2AOAlBaAiAjAD.210gCvBfBiDfDTgCfgELEj4Dx5DG5Eh4EA4DO2CT4DO2Fb4Fk4FH2Er4EG4FJ2Ab45EX5.510AGANEncfCo2CbDycDbBoANCoDDBofDJfANAsCoDJcANAyfCoBpAsCocAGCocDyfAy2fAyDDfcAyBofBpcDyfCohBpDbhDDcANBpAPCoBphBpDDDecBpANocBpCofoBoCoANDDCbcfANCiBpCoDDBphANfcCoDDBpBoANAGDDArfCoDDANCbANBpBocAsoAyANfAGDDoCoANDJBpfDJEnCbBpCoDbANCiDefCbcANCoBoBpEnAGhCocANDJCbBpcfoBpBoDDCofcCbDJBpDyEnDDBoANBocAPBpCbDJfANAyfBocCoDDBpDeANEnDJCofCiBpDDchCbhAPANAsBpANhfAc5AL2AcDlAc11.50BvCABhCABGCEEWEqt2.20AL20AX10DlCOAL7EvCO3Ac5AX2AL10Di10DZ10Dl10Ev9CO.30Bs10Aw10BF10Cy10AK10BI10AK10.100DWCZ9Au10FxFLFAFuEJFnFCCtDq2.370At10AQ9Eb4CY5CK2.270EP2FFFQEPFMFOEPFF2.70a10.10EP2FFFQFTFMFOFYFFFOEP2FFFQEPFMFO2FFEP.60y20',
+    180: '.10Aq2BV4BH4Aw2BI3BFCyAKDv2AnrAdBD2AgARAxBnAMAnrAd3AgARAxBnAMe10r2AdAgAdrARAxAMBDAw2BICyBF2CyAKDvBFDeo9Bp4Bo2DeANAGAsa40BxAFBg2AU2Ap3Az2Af3k4p2b40j20c10d10u10f10h40As10AnrAdBnClAgARAxBEAMAnrAdBnClAgARAxBEAMAnrAdBD3ARAxBEAMAo2.AoBXCIAoCkCeEDDuAoDwEFBXCIDECkDaCeq2BzCHq3EtCGBuAVmBeAZCdBLBCAECCAIAZm6AWAIBABLBAEZCLAWDYBkBCDMCdu3DFEeDmCqCXAe2DNAeBBDFEeDmCqCXEcDVBBDpBBDFEeDmAeEdAeDnn2ASDdCpDoDIEzCFECn10q2BzCHCGDcEBFBFeBuq2BzqFqq2EtFcEYCJATBmFgEoCrBwBqDtEKAT2EfFIAT6DNDpBBDFEeDmCqCXEcDVz2AACxCuAa3DhCWAF2BH2p6Aq3BxBVAUBgAUBN2ADxvAOBdAlAiAvBcAjADxvBPBdAlBSAvBcAjCMAhDgCmDUDLBTCcACFaAhEyFmDBCgAhESEwACAhDrlBJABsAHAkwCVAmEklBJABsAHAkwlAmz2AACxCuAaBbCSDhCWAA3Aa3BbCSDhCWBNAz2kAzAf5k7Ap3BM2BOCUEIBaxBP3x2vAOxAlAiBSvAjAm6Ak4AB2BJ2s2AH2w2slBJABsAHAkwlAmAHlBJABsAHAkw2Amz4Bb3CSDhAaAwFoBIBsDvBFCyAKAw2i10BYBriDREgBQCzByDkCNBvtDHCwBhBWBlCDCRBGBlCwBlEqEWCACEBht2AGDbAsCoAyfAPoCbANArDDDJCiBoBpEnDyDehFlAcAXBjCOALDiDZDlEvAcFVFPBjFSFEDiBj2COFdAwBIBsDvBFCyAKEOExe10BZ3DQ3AYBtCh2Cj5EaDPDSCaERd10t10At2AQEbCYCKDzBKCBDjBYBQi4ETByFtDCDxAbDGCTBUEADOEjErEhAbEXFbEGAb2FJFHFkAbEP2FFFQFTFMFOFYEP2CQ5AY5gCvBfBiELDTDfCfgFpg10EVAJEiEHDXEEEMElDKEsAJFwEN2AJFDAJFWAJ2BR2FjEUFiFh2BR3CMEyDgCmDUDgBTEwACAhFNCPFfFRFGFUFKFrCPFrDp4Ed3Dn3FzAuCtFnDWFyEpDqCZCta50e20BT3Cm7FaDB4Ah4DLCM3AC4CM2ACERCj4Ca2CQ3AY5DA2Ea2Ds2BZ2Ch3FsFve32AY3Cj3Cs2Bt2c30Aq5Bx4BgBV2AU3BH3BVBgAp10AU5Af5AqAp4Af5AF10k20BN5Ap5p15k25p10Af3BN2Bg2k33p20k5AU2BN3AF4Bx4Af12Az5Ap5BH5p5Bg5BV3BN2BH5AF5p5Af5p6k6Af5AU2BNAz10Bx10Ap5BN2Az3Af10k30DQ2Cj4Fs2Fv2Az10Ap5BN5b10Ca7BZ3b30Aa26Cx4FA2Au8EJ10b100p10k10Az9BgAf10Ap4Af2Aq3Bxb20f10b10Ae10b50Cm4Ah6AF3Ap4Az3b10CM10Ah10j10p9Apk9Af3Ap8Az4AF3BgBN2Af3Aq7Cu2CSCx2Bb5AA8Dh9z2CSCW10b10p5Af5BN3k8AU3kAq3App3Af3AzkAFBN2p5Af2BN3k5Ap6AU4Aq2Bx3AF2Aq3AF5Bx3BH4Az2BgAr20o10c20Bo10AN10o10Bp5c5AG10AP10DJ5Dy5Ay10Ci5En5Ar5c5Co10Cb5Db5Ci5En5DD10De5Bp5c10o10Ar10h20c10h6ch13Ar2As2Ci3DJ3o5Cb3ANBoDD2Ci3En2AP3h20f20Ay15Ar5De5Dy5AG2CbCof2o2Ay2h5o5Bo10Cb10c25As25Bo5AG15f10h10c40h10Bp2AG3f2o3Co3Db2Bp5Cb6Dy4DJ10c10o10h10Ar10AN5As5c20f10c10h30o20AG5CoDyDbBpEnAy10AG10Ci7DDDe2Cb5De3DJ2Ar3APBo3As3AA32Cu8e50Fv2AY8An10r10Ad5BDrAd3BnAg3rBnrBn3Cl3BDrBDrCl3Ag10AR4AgBD2AR3Ax10BE2r5BE3AMr4BD2AM3r30Bn10r10Ag10AR5r5Ax5r20AM3AgAMh5f5AG5Cb2Db3o5Ay3DeCoDDCiDbhANDJDyEnAyCbf5h5BD10AR10r20Cx10AnrAdBnrAgARAxBEAMAnrAdBnrAgARAxBEAMAnrAdBnrAgARAxBEAMBn4Ag2ARAxBEAMBD4Ag2ARAxBEAMr10DX2EH2Es2ENEVEiFw.10EJCZFnEpCtCZFxEJAuDqED10Du10Ao10Dw10EF10BX10CI10DE8BXDECk10Da10Ce10Af8k8Ap6AU6AF7Aq3k2BV2Ap4Az4Bx6BH18Bx4Bg3k3BVAf5BV10AI2BAAVBAAV5m10Be2AIAW4mBe2m4AVAI2m2AZBk4AVm7CLBkAI3mBL2BC2AIAWAVAW2m3AE2AV5m5Bk4m4AI10f20h30DJ5Co5o30Db5Bp5Cu10m2BA2AV3BA3m4AIDM2m3AE2BCmCL6AI2AVAIAVAI4AWm2AW2m2AImAIDYBk4AIBkm2AEBkCW10CS10Cd2DM2AVCdAImDMCdu10Ae5Dp5u7Dp3e8DQCjCaEaEuCsBtBZDACQDSDAi10ByBQDRBrBYCzDkETDCiDqEJCtFxCZAu5FzAu2FnCtEpFyDqCZCtAu3EJ2EpCtDqCZCtDN6u4Ae10BB10DF3u7Ee5u5Dm3Ae7Cq10CX10Ec10DV3Dn7l5s5w5Ak5Am3ABAH2DrBJCVEkl3w2BJDrCVAkEkl10s5Am5Ae10Ed10o10Dn10n20ASnAS.2AS2.3Dd2AS.2Dd2.3Cp2ASCp.CpAS.3Do3n2DoASn3DInASn2DI2n3EznAS.2Ezn.3CFnAS.2CF2.3ECnAS.2ECn.3q120Bz10CH6q2CH2CG7qCG2Dc3BuDc2qDc3EB2qEBq3EB2EYBuEtFqFcEt3FBFqEtFeFcEYBu2FcEYFcFeEYBu10z11Aa2DhBb6AA13Aa7z2AACxCuAaBbCSDhCWa10BIBs3BF2AK4Aw2BIBsFdBFAwAKEOExAw2BIBsEOBFAK2Fo2h10CJ10AT10Bm10Fg7Bq3Eo5ATEo3ATCr10Bw10Bq10Dt10EK5ATEKBqEK2FsDSe4ChCa2FvDPDACs2CQCjEmAY3Ef4Bq2EfBqEfATFI2AT6Bq2Bt2DsEREaEQBZ2eDQe10AY2Ca2Cs2Bt2Cj2Ds2Ch2CQ2BZ2EmEaCs2Bt2Ds2DQCQe2AY2CjCs2Bt2CaBZCQg11CvBfBiELDTDfCfgFpg10Bf6Bi2Cf2g30b30AA13z22Cx2CW3z5CSBb3Cu11Bb16z4Aa20p4kAU2p2k5Bg5BVAzk4BHAFBN2kAp4Aq4ApAFBNAp2AU2BVAqk2BHAf2k3AFAf4Ap8AF5k18Aq2Af3p14Aq20BH5Bx5k6Af4Az5AU5Bg10Az5BN3BV2BN10AF10AD10x10v10AO10Bd10Al10Ai10Av10Bc3CUBcv2Al.2Aj10DUCmBTCcDBCMACCgBTAhEl4EE2AJ4c10BP10Ai2v6AD2BP2AvAj2.5BS10.10zAA2Cx3BbCSDhCW5Dh2Bb2CS2CM10Ah10Dg10Cm10DU10DL10BT10Cc10AC10Fa10Ah10Ey10Fm2Cc6FmCcDB10Cg10CmAhCm2AhDL2AhCm2ES10Ew16Ah3DLBT5DBCMACCgCmDr10l10BJ10AB10s10AH10Ak10w10CV10Am10Ek10l10s10w10l5Ak2AHAm2s10AB5AH5l12w8Am10z20AA10Cx14Cu2Dh3CWCu10Bb10z2Cx2Cu2z2CS2AA10Cu8Aa13zDh7CSBb10Cx14Cu3z43AA10Bg9ApAq5AU3BN2p10ApBH9AF2p8Af10p20Ap2BNAUp2AFAzpAqAfBxk3BHBVAfBgki16CzDk2ETBQ3By4DR3FtCNEg2Br3BY3i6DCET2i31By2BQ8DR5Br3BY2DUCg9BM3CUBMAj2BP.2BO3AvBOAvAi2.2CU10EIx4.5Ba10AP10CW6CS4AP20i13By2FtCNBQDR2EgBr2BY2CzDkETDCig10AA12Dh2Bb6o10BJAkAB2AH2w4Ab10DQERDAEaDsDPe2EQFvz20Aa41Bb15CW3Dh12zAACxCuAaBbCSDhCWBgAU2p9AF8Am5w25g50AB10s35w5s10Am6AH2Ek2Ak5CVw4AB2BJ2AH4Dr2l10k10Ap10BV5Af15k5Aq5Az10Ap10Aq5Az5p5AF5Bg2BV3Ap5s28Ek2Ak8DrCVl5BJ2EkAk2AH15AB5BJ3AH2l15Am10AwFoAw8AKAw5Fo4BI5AK3Aw2Bs5AK3Aw4BIBsDvBFCyAK2Aw3BIBsDvBFCyAK2AwCO10Ac5DZ5Dl10Ac5AL5i15By2FtCN2BQ3DR2Eg2Br3BY3Cz2Dk2ETDC2i6CNBQDRBri6ByBYDkDCAp3AF3BHBV3i6By3CNBQ5DR2EgBr2BY2Cz2Dk2ETi3w20AH10Am20Ak10BJ3DrEk3CVAm2l30Bv10t20Cw5t5Bh10BW10Bl10CD10CR10BG10AH5AB5Ak10s5BJ2DrCVEkEq10EW10CA10CE10Ac2AXBjCOALDiDZDlFEAc2AXBj2ALDiAL2DlAc5CO5Cg10t10Ew2Fa2CM6BT10DLDBFaEwFmDUCcEyFaESBW6CA4Bl6EWCR3Bv4t3CE6Eq2t2Bh3BG6CD2CA2BK20AQ10Ac10AL10Ac15DZ3Ev2AX5Bj5.10EP2FFFQFTFMFOFYEP2AcCOAcFlAcFl5Ac10AX10Bj10CO10AL10Di10DZ2ALDZALDZ2Ac3Dl10AL2Ev8AL6CO4Ac10AX10Bj17AX3AL10Di10AL10c10y10Fd2FoFd7Aw10BI10Bs10Dv10BF10Cy10AK10EO10Ex10e20Ds4AY3DP3Bt6Em4e10DS3e4EQ3Cs8Ch2Ea3DA4ER3e40AY7Ea3Cs6BZ4e2DP2DA2DSEQDQ2Ch4Bt6CQ4DQ3e3ER5Ds5e20ApBx2BH3Bg2BN4BV3AF5g10BV2BxBg4BH3EM8EHDXg20Ab7EhAbEhDWFCEJCtDWFxEJAu3Ab9Ehd10CY4Eb3CK3Dz5Dj5Eb10Dj10Dz10At3AQ3BK2CB2Bg3BV3AU4Ab8EhAbFnDq2CtFnDWDqFxEp2d10CB10AQ2CY3At2BKCBDjEb2CK3At2BKCBDjCY10CK10y10z10e7AY3DP2Ca2Cj2BZ2Ch2At4CYCKDzAt13AQ10Eb10CY10CK10Dz10BK10CB10Dj10i12By2BQ2DREgBr3CzBY3DkETDC2iDR5Br2BY2CNi14DkBQ5i10k3Aq3AUAq3e6DQCs3Bt3DSERe2DP2EQDx4Ab3Dx3Ab10DG2DxAb5DG2CT2AbFkAb4CT2BU2Ab4BU4EA2Ab4EA4DO10Ej2Eh2Ab3Ej3Er2Ab5Er2FbEh2FbEXAb3Eh3FkAbEX6FkEX3Ab3Fb7FkAb5DOAb4EGAbEG5Ab10.10n10qBuBzCHqDcCGq2BuAsDeAPoArCoBpBofAG.Ej2FkEhDO.Fk.2EP2FFFQFTFMFOFYEP2g20EVAJEiEHDXEEEl2AJEsFw2EN2DK2EM3EEe3DA4ER3AQ10y20EP2FFFQFTFMFOFFEP2Ca6e4EQ2Fv3Cj5DS2Fs3DA2DP3Ds4Cs6ER2FvFsDSEae2DAEQDP4Bt6e4CQ6Fs2Ca8Ea3Cj7Ch4BZ6g10Cv8g2Bf8g2Bi8g2EL8BiCfDT8g2Df8BiCf9g12Fp8Bf2g100EV10AJ2EEEN2AJ5Ei10EH4EMEH5DX10FD3EE7EM10El10DK4ElDK5Es3Fw2Es5z2CS3Aa6Dh3CW6p5k4AfAF5Ap5Az5Bg3BN2s10AB5AH5l2BJABsAHAkwlAmFnEpCtFzDWFuFyAuEJ2Au3FCCtDqCZ2CtFLDS3DQ4EQ3BR10Fj6FiBRFj2EU6Fi2EU2Fi7BR3Fh10DgEyFmDBCgAhESEwCc2FNCPFfFRFGFUFKFrCPFrEpCZ2EpFAEpFxDq2CtDWDqEJCtFxAu2DWFnAuAt20Ca2BZ2Ch3CQ2DQERDAEaDsDS2DPe2FsAhDgCmDUDLBTCcAC2FaDg10Ah10AC10EpDW3EpDWEJEp2FADq10FNFf2FRFGFf2CPFGFKFNCPFfFRFGFUFKFrCPFrCP7FrFKFGFNCP4FK2FrFfFGCP5FUFKFrFfFrFx3FnFx2FuEJFnFAAu10CtFAFnCtFzFyAuDqAuFACtDW2DqFACt5FzFLFuCZ7Bf10De5o5h10CM11Ey2FmDB2CgDLESEwDB7Fa2EyDL2Cm5DU3Cc4Cg5EyAe10f10DWFCFuEJFnEJFxDqFLFAAu18FyFxFC3DqFuDW4DqCt3EJDqEp2Au2CZCt3CZ5Ep2Au5EJAu4FzFCFuEJDqEJFxEpFLFACt4CZ5CtFzAuCtFnDWFyEpDqCZCt',
+    181: 'a5b5j2s3w2l3c3h2o2f3r2m2Ao2v2x2u2Ae2q2AT2n2Ah2Aa3AA2Cu3p3Ap2Af2k3i3t3Ac2Aw2e4At2d2Ab2g3AJ2BRyCPEPAua40BxAFBg2AU2Ap3Az2Af3k4p2b40j20c10d10u10c35Dy5h20AnrAdBnClAgARAxBEAMAnrAdBnClAgARAxBEAMAnrAdBD3ARAxBEAMDEAo3CeCIAoCkCeEDDuAoDwEFBXCIDECkDaCeq2Bzq7AVmBeAZCdBLBCAECCAIAVm6AWAIBABLBAEZCLAWDYBkAVDMCdu4EeDmCqCXAe2uAeBBuEeDmCqCXEcDVBBDpBBuEeDmAeEdAeDnn2ASDdCpDoDIEzCFECn2ASDdCpDoDIASCFASq2BzCHCGDcEBFBFeBuq3BuFqBu2EtFcEYCJATBmFgEoCrBwBqDtEKEfBqEfFIAT3DtBm2uDpBBuEeDmCqCXEcDVz5Aa4zAF2BH2p6Aq3BxBVAUBgAUBN2ADxvAOBdAlAiAvBcAjADxvBPBdAlBSAvBcAjCMAhDgCmDUDLBTCcACFaAhEyFmDBCgAhESAC2AhDrlBJABsAHAkwCVAmEklBJABsAHAkwAm2z2AACxCuAaBbCSDhCWz8AA2BNAz2kAzAf5k7Ap3BM2BOCUEIBaAiBOAlv.10l10s10w10AH10AAz2AAzAA4AaAwFoBIBsDvBFCyAKAw2ByFtCNBQDREgBrBYCzDk2iETiDCi5Bvt3BhBWBlCDCRBGBvtBlEqEWCACEBht2AGDbAsCoAyfAPoCbANArDDDJCiBoBpEnDyDehFlAcAXBjCOALDiDZDlEvFlAcAXBjCOALDiDZDlEvFdAwBIBsDvBFCyAKEOExe30d10t10At2AQEbCYCKDzBKCBDji8BQDRAb2DGCTBUAbDOEjErEhFkAb2EGBUAbFbEjFkFbEP2FFFQFTFMFOFYEP2e10gCvBfBiELDTDfCfgFpg10EVAJEiEHDXEEEMElDKEsAJFwAJENAJEEAJElAJ2BR2FjEUFiFh2BR3CMEyDgCmDUDgBTAC2AhFNCPFfFRFGFUFKFrCPFruDp3Ed4uDnFzAuCtFnDWFyEpDqCZCta20Dg5Cm5DL2Ey3DB2BTCg2Ah2EyCc2CmDBACCgAC11Cg10Cc4CM6DB7Cm2EwAh10DsBt3DQ2CQ2Em2eAY3BZ3Cj4e10FvFsDS2DA2Ch2DPCQ2DQ2Cs3BZ2DPCa2EQBte14Fve2DSCjDs2FsEaDACh2At20Aq5AF2Bx2BgBN2AU3BH4BgAq2Ap8Az5Af5AU2Aq2AFAf5Az2k28BN5AFAz4p10e20CQ18Ch2AY2Cs3Ea3DP3Cj7Ca5Em5DA7DS3BZ8ER2EQ2Bt4Cs6p5Af7BgAq4Az2AUAp3AFAqBgBVBH2BxAz4BVk2Ap2BVBg2k3p5Afk4BN3k7Aq2BgAz2p3k5Aq2pBNAq3Af5k2pAU2BHBVAq3Az8AU4p8BH2BVBgBNAq2BVBg2Ap2Af10Az2AUAqp2k10BN2p3AFpAUk4BxAq4Af3Az3Ap3kBVBHBgpBNBg9BHb50FvER4EQe15DS2Ea4DA2ChAuFA3FnCt9EpFy2Ct2Fnb60y20e12ChCa2Cj3BZ2Az3BV7k10AU9AFAq3Az7BN2k8Aq10Ap8AF2f10p6Af7AF2BN4pFu4Fx3DqCt2Au10Ct4Fn6AJ2EiEHAJ2EMAJ2EsAJ3ENAJ6DU5Cc5Ah10Dg4Cg6CM2Ey3Dg2Cm3DB3ACDL2AC3AhAf2Aq2k6p10i6By3CN2BQ3DCBYEgGaDCGbi5ByCNBQDREgBrBYCzDkFZi5Aa11AA8z19Cu2b50Af5k5BH4Bx6Bg5Aq5Bt3e2Cae3AYBt5e2Cj3c5f5c40EnDJ4Bp4AsBo10c10h20e4DQ6CQ6Ds2Ch3e19DS2DA2Fve2EQ2eo10f60c10h10DbDDANBoBpAPCbCiDJAsf30o2AG2Bp3EnDDDbc5h2AyArAsBp4En2AP2Ci2Ay10Ar5Cb4DJAr10AG10Co10o20De10AN4Bo4Ci2f55Cb5o10c20AyEnDyDe2Co5f10AG3o3De2En2Ci7DDEn2Bp7Db3c5Ci3DbDeAG10En2Co3Db5BpAs9c20h5Cb4ANAyAP4CoCiDeDbDDAG10ArBo4Bp5Dy10h20o10f10Db4DJ2DD4FzFCFuEJFx3DqFLFACZ7DqFLFAAu30As28EnDJf20Ah10DU10Ey5DB5Cm11ACCcBT3AhAC3BT10Cm2Cc6ACEyAC10CZ6Au6EJ2Ct2Dq2Ct2An10r10Ad10Bn10Cl10Ag10AR10Ax5Ag2Ax3BE5AM2Cl3AM10r10AnrAdBnAnAgrBDrAMAnrAdAn2Ag3rAxAn5Ag3Ad2r6Ag3ARAg6Ad4r10Ad10AC10AM5An4AxBT8AC12Cc10AC10Cm2DLFmDLCM2DBESCgBD5Ag2Bn3Ah10Cc10r5BDAR2Bn2g10AnrAdBnClAgARAxBEAMAnrAdBnAnAg2rAxAMAn2AdBnAg2ARAxrAMAnAd4Ag2AxAM2m2AIBkCLBLBADYBeBkAh4CgDgDBEy2FaCc2AC5BT3AWmBem2BLAIAVAI2CZ4FyCZ5EDDaCeAo3CICeCkEDDu7Ao.DuAo10DwDE.CkAo.3AoDwEFDaBX2Ce.BXAo2EFBX2DaCIBXCeAo2BX2CI3AoCI2AoCI2.Bk2DYBLAI3m3AVBABeCLAVAW2m3Da10Ce10Aq5k15Bg2AU5Bg2AzBV5Aq3Az2k5ApAU2p2Ap4kAUBH2Az2AU4Azp4Az4kAzk3BN4Bg2p7AzBg3k4AzAV10m10BA2CCAECLDYAWmBe2AEBACCmBLCLAWmDYAZBkAI2BkAVCLCdmAVCdBk8BL2BC2CLBk2AZm2AW2AI7m13AI10AG10Dy10f10o10f5o10DeDyDbCb2AyDyDbAG5APCoc10f10o5AG5DW5Ep5Dq5EJ5Ct5Fn4EpFy2Fu3CtCZCt3Ep2FnFCDWCZ2DqEJ2Ct5CZ5Au10EV2EE3EMEl4EM6EH3Ei3DX2Es4ENAJe25Ds2BtBZ6AY4CQ7Em2Eu3i10ByCNBQDR2i5Au14FuAu2FAAu12u10Ae10BB10.30Cq10CX10Ec10.10l3s3w3ABDp10j10g2Bi2Df2g4Cfg2BfCvDf2g2FpCa2Cs2AY3DQ2BZt7Bl2BWEd10c10Dn10n11CpASDdnDoDIEzCFECFFEPFFFQFTFMFO2EP2EWCECR4Bh4l10At2AQCKCYAtAQBKCBCYnCFAS2CpASDIEzCFECDK2EiENDXAJ5EP2FFFQ2FTFOFFEPFFmBAEZCLAWDYBkmDMCdz8AA9Cx3e2DQ2AY3EaBZBtCsDACae7De2AN2BpoAG2As2a10As7AP2Eno10c10o10.10q10.10CH2Bz2qFc2EY2FBFq2FeCG7q2EB2Dc2q14c7o3f7h3Et2Bu8CxAa9Cx2AACuBb2CS2CW2BK10CP2Ff2FU2FrFR2FKAu4DW2FnDq2Aua10BIAw2BsBF2FoAK3Aw2BIBsBF2CyAKAwAKCf2g2BfDTDfg3Au10CJ10AT10Bm10Fg5Bm3.2Eo10Cr10Bw10Bq10DtBq9EK2Bm6EK2AY3Cj2DPAYeEmCQeBtCae3EaDsEQEREf10FI.BmBqATBqATBqAT2AY4BZ3Cj3f10c5o3BpEnc10ArANAPBpEn2DeDJDDAsc10g12BfBi2Df2Cfg32AA3z4Aa5Bb2CuAa4Cxb10AuDW2DqEpDqEpEJ2Au3CtFnDWFyEpDqCZCtz4Bbz2AA7BbAA3Cx6BbCx3Cu2CWCS2CxAA7Bb2Cu3Aa16z3Cu2Bb10z8Cx3AA3Aa9p4AqAU2k8Bg2k3Az5BHBxAz2Aq3Ap3AqBV2AF2BN2AzAU2BVAqBxAf8k4p10Af2Az2BgBN2k2BgAq10BN2p2ApBgkAz3AJ16EN3EsEi3EH3DX4BR2EU3Fj3Fh4EU2FiFh3BR4FjFi7Bv5Bl5CA4BhBW3CR2BG10Fz4Fy3DqCZ2AVDMEZAWBk3BABCAZAt2AQEbAQCKDzBKCBDjv10BvtCDtCE6Bd10Al10AJ10CD4t6Bvt2BW5tCEElEsEiENDKAJ5DUCmDLDBBTACBTACFaCgDgAh2CcDBCMDUEyFaCg2Ah2DgESCmACESAC2i4CNBy2iBQDki4By2CNBQ2GaAc14FV2AL2FE2Ac5AX3Bj2Au4Dq2DWFAFxFuAu4CZ4CtEJCM10Ah10Dg10Cm10DU10DL10BT10Cc10AC10Fa10Ah10Ey10Fm3Cc3AC2FmACDB10Cg10Ah2DLAh2DL2AhCmDLES10AC6Ew4Cg2Ah2AC4DUACBT7DLAh2Dr10l10BJ10AB10s10AH10Ak10w10CV10Am10Ek10l10s10w5Am5l5s5l4AHs3AkEkAk5AH3l2DrlBJAH3ABwCVAmCm2ACDBAh5DUACEyAC2DBAhCcCgDgDBCu4BbCu3z2Cu3AaBbAa3z2Aa4BbAa3AA2Aa4BbAa3Cu7CS3z2Aa3BbCSBb3Aa2Bb4DhBb9CWCS3Bb2CS4CWCS2DhAA2CW8Aa2e5ChCj2DADQERDSDPAYDseEmeBtCaAu3FyDq3Ep3CZ4Ct4Fu2Au4CZ3DW3Au20FoAwBIBsAwBFCyAKDvBIDg6CM2AhEwAa10AY7BZ5DP5e13Ca7FsDs4Ch2Bt3e2FsBR2FjEUFiFhFjBR3EU9FigCvBfBi2DTDfCfELFpg20BM2BdAv3BdAi2AjAw2BIBsAK6BF5BI5i6By2DCBY2i3BQ2GaByDREgi30By2CN3BQ5DR6EgBYCzDCBQ5DC2BYiBy4Br3CN3DkAPCiAP2DJ6i10AP4h2BoCiCo2i6By2CNEgt20BG8BhBWt9CAi12ByCNEgBQDRBYBrDki10Ew2CcDB2BTCM2DgCgCm3EyDUBTAh3CgDrEkBJCVAH2Ak2Am2EjAb2Eh2BUEAFk2ErDx2CT3EADO2Er2At10Au10gCvBfBi2DTDfCfELg2DfBfBi2g2CfBiBfg30AP12Ar2AG3Ci3f10Bp6Db2EnCbAy10DvFoBFAw2AK5BG6CA3tCA5Bl2CECD2d30g8Bf2At10n10AQ10DrAm3Ak4CVEkl10s5BJ3w2AB3AH5w2Ep2Fz2CZ6Dq4FC2Ct2Fu2CZ7Fx2FzEpDqDW7FAAu20p12BH4BgBVkBV2Aq5AU5Af9p3BH2Aq5BV2kBg4kBN3AqBH3AU3BNAqk5Aq5Az3AfAzAf9Azk5BR2FjEUFjFh3BR4FjEUFiEU2Fi3BW2CEBGBl3CDBhCABvt3BhBWBlCDCRBGBvBlt2BhCACECDCRBGBR2FjEUFiFhFiEUBR2Ac5Bj5FE5Ev5o10As10Aw10AK5Fo5BI10Bs10Aw2BIBsDvBFCyAK3BF10Cy7AK13Aw20i52By2CN2Cz2By2CN2DR8BQ10Eg2Br4Eg4BY2DR3i2DC3Ac10AX20Ac13AX2AL2DZ3CO3AL7Bj10AK10Aw10BI5BF4BIBv10t30Bh10BW10Bl10CD10CR10BG10Aw2BIBsAwBFCyAK3Ac5Bj5BG3CA3Bl4Eq10EWt3EWtEW4CA10CE10Ac7AX3AL10Dl5Di5Cg10t10CM10BT10DLDBFaACFmBTCcEyCgESBW10Bl10BW8Bl2BWCABh7tBG6t4DZ5Ev5Dl10Ac10AXBj3AXBj2CO3Bj3AL3DiALDlAL21AX4Dl3CO3DZ5Ac5FE10Fl10Ac7FV3AX10Bj10CO5FS5AL5FE5Di10Ac5DZ5Di5Dl5Ev10AL10Ac10AX10Bj10CO10AL10Ac10Bj5DZ5AX5Dl5Aw2BIBsBF2AK4Fd6AK4Aw10BI10Bs10Dv10BF10Cy10AK10EO10Ex6AK2BFAwEQe10ER2DQ3AYBtCh2e4Ea2DPDSCj3BZDsCsCQEQFvFsCaDAe60DA6Bt8CaCj3CQ16e4DS2e7DS3Cs5DQDs7BZ8CaEaAY6DP7Cj4e10Bv4t9Bl7d20g5Cv2Bf2Cfg20CGqBzBuqDcFqEtFcEYq2BzCHCGDcEBFBFeBuBU5EABU2ErBUd20Ds7e3Cs8Cj2AQ10FJAb2FHAbDxBU4EG3CTAbEABUDO2FbBUAbDGCTBUEADOEXErEhEGAb2EGAb4EGAbEh3BUEhEAFk2ErEGd10At2AQEbCYCKDzBKCBDjAQ5DjBK2CB2BK4CB2AQ2CB2BK5AQ5CK10y10d10Ab10FMEPFFFQFTFMFOFTFF2At5AQ2At13AQ10Eb5AQ2DjEb2CY10CK5At2CK3Dz5AQ2DjDz2BK9DjCB10Dj5CYDj4DR2BQ3i20By6BQ6DR3i12Eg3Br3ETi15By3Ga2BYn10i4CN2DC2GaBQEjAb2CTFbAb2EGDxEGAb3BUFkAb2DOEXEGDG3BUFkAbFbDG3Ab3CTEGCT4ErBU7ErDGEXAb3EA6DO11Ej10ErAb2ErBUEr5Eh3FkEh6At2AQEbCYCKDzBKCBDjAt2AQEbCYCKDzBKCBDj6CB5eDSDPCs2DACQDsAYBtAY2Bt2EQ2EREaeDQAt2AQEbCYCKDzBKCBDjf10o5As5cArohcfofchBGBlCEtBW2Bh2BltFMFF2FQ2FMFF3FMg20EVAJEiEHDXEEEMEl2EsEE3EN2EE2El3AJ10EM5AJ5y20FMEPFFFQFTFMFOFQFFEPAY2Cj3Ca5DS5Ea6Fv2DQ2Fs2Eu14DA3Ca8BZ9BtAY6e32g15Df3Cv2g2Bf2g4Bf2Bi2g2Bi6g2Bi2g4CfBi6g4DTDf5g3Df2Bi5g3Cf2Bi5g7Bi2gCvg59ELg44EV10AJ10Ei10EH10DX10EE10EM10El10DK10Es10f10Fw9AJEEAJ9EN5DKEN4DKEM3Es4ENEiCP9Ff9FU2FRFr2FNFfFK2FG2CPAu4FLDW5Ct5EJ5BR2FjEUFiFhFiFhBR12FjBR3FiFhEU2Fj2EU10Fi10Fh10CP2Ff2FrFK3FG2FfCPFfFKFGFK2FrCPFrAu20Fz4Fy6DW10Ep10Dq10Ct10Cm10Dg6CmAC3DB6DL4CZ5Dq5Fu2Ct8CP15Ff20FN2FrFG4FR3FK4FUDq6FA4CZ10EJ20Ct10AJ2EiEHEsENEMElDXDKAt7BK3At10AQ7CB3As10At15CY5As7DD2APArDeh2Coc15DWCtFuEJ2CZFxDqCZDqAu10Ep5DW5Au3EJ7Dq10CZ10Fx5Fn5FL3Au2Fu5Au13FnDW2EpDqAu2',
+    182: 'e60CioAyBphArc2BpAGf2CoCbcAs2ANArDJCbDDDJoDJhANBpc2DbBoEnCooCoAsDDfca70b30c5Enc4b10j10d10u10j20i10e10g10d10AnrAdBnClAgARAxBEAMr4ClAgARAxBEAMAxrAdBE2BDARAxBEAxDuAoDwEFBXCIDECkDaEDDuAoDwEFBXCIDECkDaCem10AVmBeAZCdBLBCAECCAIAE10BA2EZCLAWDYBkmDMmu10DNAeBBDFEeDmCqCXEcDVDp5DnEd2Dn2n2ASDdCpDoDIEzCFECCF10q2BzCHCGDcEBBuFeBuq2BzCHFqBz2EtFcEYCJATBmFgEoCrBwBqDtEKEf3FIEfBmBw3ATBq5BwCr4AqApAzAfBNk2AUp2AF2BH2p6Aq3BxBVAUBgAUBN2ADxvAOBdAlAiAvBcAjADxvBP2AlBSAvBcAjCMAhDgCmDUDLBTCcACFaAhEyFmDBCgAhESEwACAhDrlBJABsAHAkwCVAmEklBJABsAHAkwCVAmAA10Cu5AA5BNAz2kAzAf5k7Ap3BdBMBOCUEIBaAiBOBcAjADxBOAOAi5AjBO5BP5DyCoDDBoBpAycAsBpBoAb20EX5DG5AwFoBF5AKAw2i10BYBriDREgBQDCByDkCNBvtDHCwBhBWBlCDCRBGt3EqEWCACEt3AGDbAsCoAyfAPoCbANArhDJCicArEnfDehFlAcAXBjCOALDiDZDlEvFlAcAXBjCOALDiDZDlEvFdAwBIBsDvBFCyAKEOExEP2FFFQFTFMFOFFFMFFe10BZ10Cj10AQ10At2AQEbCYCKDzBKCBDj11Ab20y10CtFCFuEJFuFnFx2FLFACnCvBfBiELDTDfCfgFpg10EVAJEiEHDXEEEMElDKEsEVFwEiENDXFDEMFWDKEsBR2FjEUFiFhFjBR2FiBR2FjEUFiFhEUBR2FiFNCPFfFRFGFUFKFrCPFrAQ10FzAuCtFnDWFyEpDqCZCta120cDecArANDJCbANCoANfEnCicBpDDDyBpAsDbCb2f2AsDJCoc2ArBpANAPcCof2cBohBe10BC10AE10AI10At3AQ19CK24Dz9BK29CB4Dj2CB10Ab10FkFJ3BU6FH6Fk4DG10Ab20CT10BU10Ab20Eh10Ej10Dx10CT10BU10EG5Ab10EA5CMCmFaAh3DUDB2ESEwAC2AhDgCcEyACAh2FdFoAK8EV10AJ10Ei10EH10DX10e20.30Bh10Bl20Bv10t5CR5CB50b80y20ocfhBpoAsBpfArDbCbDJCofANBpfcCbDeCicBoAN2EnBphBpCiBoEnAPc2fANCoocf2ANcANc2DecAGArDbDJfCbCofoANBpCbBocANfCbcBp2cf2ANfANcDJCoANf2AsDJANCoAN2cBphDDAyAPANArAsBpANAsAr2DbDJCo2DyCbDbDDANAGBpCbfBof2Dy2fhDbAsfArDJhoCoANBpCbDJofCoAsCiANCo2DDANfcBpANBp3CbfCb2DDhEnoAsEVAJEiEHDXEEEMElDKEsEVAJEiEHDXFwENFD2FWEVAJEiEHDXEEEMElDKEsEVAJEiEHDXEEEMElDKEsCn10Cv7g3Bf10Bi10CnCvBfBiELDTDfCfgFpg10Cn2BfBiDfBiDfBfgELCf8Df2g8FpELCnBiBfBiBfEL5b100j100d100e10DS5EQ5BZ10Ds5DP5e10m5AZ5Eb20CY10Dj10d50CMAhDgCmDUDLBTCcACFaAhEyFmDBCgAhESAC2AhBT3CM10Ah7DgDB4Cc9Ew9Ah9AC18Dg3CcEwACBT2Cg2Ey2Cm3Dg5Ah6CMDg2DBCm10CM4AhAC5Ew2AhCmES5CMAY10Ca10BZ10Bt10Eu3AY2Fv5Ds5EQ5e10Fs3DQ4ER3Em5Cs5Eu5DP5e10Em10Eu10Cs10Eu10Em10Ch10CQ10DA5DS5Ea5Cj5g10Cw10Bh10BW10Bv2BG3CE2t3Eq5EW3BG2Bl10t30AnrAdBnClBDARAxBEAMAnrAdBnClAgARAxBEAMAn4Ag2AnBD7ARBDClBDBnBDAnrAdBD3ARAxBEAMCD10BG10CK5BK25An10r10Ad10Bn10Cl10Ag10AR10Ax10BE10AM10An10r10Cl10Bn5BD5Cl5AR5Ag10Cl5AR5Ax20BE10AM10r10Ad30BD10AR5Ax15Cl10AM10Ao20Dw10EFDa6EF3BX10CI10DE10Ck10Da10ED10Du10Ao10Dw10EF10BX10CI10DE10Ck10Da10Ce10CL10AZ10DY5BC5AW5AV5m5Bk5CC10BL10DM5m5Cd5BA5m10AV10m10Be10AZ10Cd10BL10BC10AE10CC10AI10AV10AE10CC5BC5CL10AE5AW5Be10AZ10AV5AZ5AI10AW10BA20EZ10CL10AW10DY10Bk10BL10DM10m10u50BC5AE5Be5AZ5AW5AV5CnCvBfBiELDTDfCfg2Ct2FxFnDq2Au4DN10Ae10BB10DF10Ee10Dm10Cq10CX10Ec10DV10Ae10Dp10BB10DF10Dm20DN5CX5Ed10DV5Ec5Dn10n20AS10Dd10Cp10Do10DI10Ez10CF10EC10n10DI10e10Em3Cs3Cj2AY2CQCaBtBZChDsDS2DA2AnrAdBnARClAxAgBEAMAnrAdBnBEBDClAxAgAMCE10CA8Bl2cfAN2cBp2f2cq20Bz10CH10CG10Dc10EB9Bu12Dc7BuDcBu10q20Bz10CH6CG4q6Fqq2Fqq16FcBuBz2Et8Bu2q3Bu2q5EYBu5q2EY2CJ10AT10Bm10Fg10Eo4Ef6Cr10Bw10Bq10Dt10EK10Bw2BmBw4Bq2BwAT2Bq3Bm2Bq3Ef10Bq4Cr3Bq2Bwl10Am10AH5Ak5AU2Bg2Aq2AF2p2Af2Az2Ap2BN2k2Bx3BH4BV3q22CG5Bz3CH9FqEY4q4Et2q2BzFcCGBu4EBBu10q10Fe2CG2BuFc2Fe3EvDl2Ac7CS15z5Bb5Aa5z5CS5Aa5z5Cu5Dh5Aa5Bb5AA20Cx5CW5BV10k10Az5BH3Bx2Ap10BH2AF4AUBN2BV5Af4Aq22p30Aq10AF10Bx11Aq3BV2Ap6AU5BxBN2Bg10AU10Ap10AF3BN5k2AD10x10v10AO10Bd10Al10Ai10Av10Bc10Aj10AD10x10v10BP11Aj4BO5Al10BS10Av10Bc10Aj10CM10Ah10Dg10Cm10DU10DL10BT10Cc10AC10Fa10Ah10Ey10Fm2Cg4Fm4DB10Cg10Ah7CmAh2ES10Ew10AC10Ah10Am10l10BJ10AB10s5Am5AH10Ak10w10Am20AH10l20AB10l10AH10Ak10s10l10Am10z20AA10CW5Cx5AA10Aa10Bb10Dh20CW10p10k20AF4BxAq3BH2p2k5Af2AzAp10BN5AU5Aq10Ac20k3Bg4BV7pAz5AF10BH10k7AfAq2Af10k30AFApp3BN3Az2k20Af10Bg5AF5Ap2AFAU2BgAq2AF2Ap4AzBN2AUBg2p5k5Bx5BH5BgBx2BHBV2AF2BNApBV5Az5Bd10BM10BO10CU10EI10Ba10Ai10BO10Bc10Aj10AD10x10BO10AO10Ai10Ba10Ai10Av10Bc10Aj10AD10Aj10BO10ADxvAOBdAlAiAvBcAjADxvBPBdAlBSAvBcAjBa10Ai10BP10AD3AO7Aj10BO10Bd10v4BO6BM2BOCUEIBaAiBOAlvADxvAOBdAlAiBSvBPBc3BP7Aiv5BSBcBOBdAj6Av14Am20l10BJ10AB10s10AH10Ak10w20Am10l20BJ10AB20s20Ek5AH5l10CV5Dr5Ac19DlAL50BT4Ah6Cg8CM2ESAC9AK10Fo4Bs6BI10Bs20BF15BI5AK10Aw10FdAwBIBsDvBFCyAKEOExBr9Ft2Eg3DC6By9BY10i12ET2BQ6Dk3DR8iCz2CN5ByFti23By5FtCN3BQ4DR2Eg2Br5BY4Cz2Dk3ET2DC2FZ3DCDkBrBYBQCNByi2EZ5Be5AV10BA5AE5AW10Bk10Bv10t20Cw10Bh10BW10Bl10CD10CR4CA4Bv2BG10Bv17Cw13BG20CA10CE10Bh10t10CE4t6At40AQ30Ac30AL7Di2COAc10AX10Bj10CO10AL10CODZ2Di4AcDlBjAX28Dl2Fl10Ac10AX10Bj10CO10AL10Di10DZ10Dl10Ev10CO10Ac10AX10Bj10CO10AL10Di10DZ10Dl10Ev10BF4Fd6Aw10BI10Bs10Dv10BF10Cy10AK10Cy4EO5DvCy2Ex8e50Ca10CQ10DQ5AY5Bt5Ea5Ds5DP5Ca10Cj10ER10DQ10AY30Bt10Ch10AY10Bt10DS5ER5Ch10DQ2Eu8DQEQEm8Ea10DP10DS10CQ10Ch10Cj10BZ10Ds10Cs10CQ10EQ10Cs2Fv8Fs10Ca10DA20Bt12Ca8Cs10.10e10BtCsCh8Cj5Ea5Cs2BZ8DA10At20AQ10Eb10CY10CK10Dz10BK10CB10Dj10At20AQ10Eb10CY10CK10Dz10BK10CB10Dj10Dx10Ab10DG10CT10BU10EA10DO10Ej10Er10Eh10EX10Fb10Ab10EG10BU10EA10Ab20FJ2FH3Fk5Ab10EP2FFFQFTFMFOFQFMFFEP2FFFQFTFMFO2EP2y80Bj17DZ3d40Dq2Au3DW5Ct3Fn5Dq2Au10Fx5FyCt4Cn10Cv10Bf10Bi10g10DT9FpDf10Cf10g30Cv6g3ELBf10Bi10CngBfBig3Cfg2DT6g2ELFpDf7g2ELCf8ELFpg10Cn10EV4Ei3EHDX2AJ10Ei10EH10DX10EE10EM7DK3El8Fw2DK10Es10EV2EiEH3DX4EE10DK20AJ10Es25Fw5EN20BR2FjEUFiFh2BR5FjEUFiFhFjBR5FjEUFiFhFjBR2FiBR2FjEUFiFhEUBR5FjEUFiFh2BR5FjEUFiFhFiBR5FjEUFiFhEUBR3Ce10Du10Ce10Dj10FdAw7Fo2FdBI9Bs10BF2Bs2Dv6BF10Cy9AK11EO4Fo2AK4Ex4BF2Dv3AKCPFf3FG2FKFrFf2CP4FK3CP3FNCPFfFG2FU2FrFRFrDg4Ew6BT3Cg2CcCg2DBESCm5DB4CMDU3Cc5Fa2BT10Ey2ESDL2AhCg4Ah13Cc7EyAC9DL5Cm2DB2BTAJ20EV3EE3EM3ElDK3EsFw3EN3El7EN3DX11EN2FD2FW5CZ4Fy2AuFn3Au10Ct9FyFu7Fn2CtAu10DW4FyDq5CZ10FL2Au4FxEp8CZ5Fu5Ct3Dq2',
+    183: 'fCoCiDJfArDbBpAshArBoCoCiDDBoANCbANcv10CU10Aj10Al6AD4BA5CLm5Bk9At10AQ10a70b30c10b10j10d10u10At20i10e10g10An11rAdBnClAgARAxBEAMAn5Ax5An5BDAn4DuAoDwEFBXCIDECkDaEDDuAoDwEFBXCIDECkDaCeAZ7AI3AVmBeAZCdBLBCAECCAIBe5CC4AVBA2EZCLAWDYBkBADMCLu10DNAeBBDFEeDmCqCXEcDVDp2Dn4Ed3Dnn2ASDdCpDoDIEzCFECCF10q2BzCHCGqEBFcFeBuFqq3Fq3EtFcEYCJATBmFgEoCrBwBqDtEKEf3FIEf3Bw13Dr5BJ5AF2BH2p6Aq3BxBVAUBgAUBN2ADxvAOBdAlAiAvBcAjADxvBPBdAlBSAvBcAjCMAhDgCmDUDLBTCcACFaEwEyFmDBCgCmESEw3DrlBJABsAHAkwCVAmEklBJABsAHAkwCVAmz10d10BNAz2kAzAf5k7Ap3BM2BOCUEIBaAiBOAlvx2vAOxAlAiBSvBPAj10DyoDDBoANBpfoBpfAC10BX10EX2Fb8Aw2BIBsDvBFCyAKEOExByFtCNBYDREgBrBYCzDkBy2ET2DCBr3i2BvtDHCwBhBWBlCDCRBGCA3EqEWCACE4AGDbAsCoAyfAPoCbANArfDJCifCbEnfDehFlAcAXBjCOALDiDZDlEvAc2AXAcCOALDlDZDl2Aw2BIBsDvBFCyAKEOExEP2FFFQFTFMFOFYFMFFBZ10CQ4Ds2CQ4Cj5DA5Ca5AY5At2AQEbCYCKDzBKCBDjAt2AQEbCYCKDzBKCBDjDxAbDGCTBUEADOEjErEhBU3EG2EAFJFHFkEXy10EpFCFuEJCtFuFxFyFLFACnCvBfBiELDTDfCfgFpg10EVAJEiEHDXEEEN2DKEsEVFwEiENEHEEAJ2DKEsBR2FjEUFiFhFiBR5FjEUFiFhEUBR3FNCPFfFRCPFK2FrCPFrEeu9FzAuCtFnDWFyEpDqCZCta150AQ20Dz20CB10fc3hc2DJBoAN2DDCbANDJAN2DJBpBohBocCoArDDAsDJoCbBo3BpfBoEnDJCoEnc3Bo2f9AsBpfDJfBp5ArCoc2ANCoAN4BoANAr2CoCbANBoBpcCo2DyCoBpArw5s5DG4Fb6Ej5DG5DOEX4Eh5DOCT6Eh3Ej4BUDOFb4BU19DOAb30CT8EG2Ab8EG2Eh4BUDG5Ab30Aa10By3DR2Cz3Dk2Am5l5Am10d30Cm10ADxvBPAiAlBSAvBcAjDL10Aj20Bd20EnCiDbDyCbAyDeCbDD3CbDD2CbDD2CboCb3DJCbDDCbEnDDhEn2As3DDAs7DD2fEn2ANcoAr4o2AroCbhBpcfANAyBocCiDyDJCiBo3Ar2CohANCoDJoEnhDJfAyDJANEnDJ3oCoo3cfb20AE5BA5Be10Cd7CL3AI6AZ4BL10Be10CC10FdAwBIBsDvBFCyAKEOExDyc2fBof2BoDbAN2AGANBpBoBp2DDANCo3CiCbDDCb2DDAsBpBohBoDbcBoDJEnCiDJEn2Bo2fDb2CbEnDbEncDb3EnDbcDJANDD3cCi2ArfBpCi3fArCbAr2BpAyArDJfAsCoAPBoCbfcoAs3fhAr2DycDDCbf6c2AN2AyAN2Bp4ohBp2EnBpcCo2ANAyCo3CbAN2Cb2ANfCbANf3cf2cCbcDJ3ANcArc2DyAs5cDDCochcCo2Bp5oBp2DbDyDeAyhAsDehAyCiCoDDAsCbDDArchcfc20AsCo6AN7BpAN5c2AN2DDAsBpCoAN2Bo10Bp6DeBp2c5f26b100j80EO10BF5Dv5d100Au2CZEJDW6d10w10AB10l10q2BzCHCGFeEBFe2Buq2FeCHCGFe2CHFe2Ah5AC15Cc5BT5d30Cm10ADxvBPAiAlBSAvBcAjDL10BT10Cc10AC20Ah20Cg20DB5Cg12DL3Ah10Fm2AC18Dg7Cc3i40By3Cz2BQ2BY3By10CN10BQ10DR8CN2Br10e10Em10Eu10e50CQ20Am10l10Bf10Bi10gCvBfBiELDTDfCfgFpDT6g3FpDf7CfgFpg10Cv2Bf4DTEL3Cv2g5EL2FpAn10r10Ad10Ag5BD5Ag20AR10Ax10BE10AM10Ad30Bn10Cl5BE5Ag10AR15Ax5BE5An5AM10r50BD10Ag20Ad10Ag10Ax10r10Ad10Bn12Ax3AM5BD10AR10Ax10BE5Ag5AM10Eb15BK15l10w10CI10DE10Ao10Da10ED10Du10Ao10Dw10EF10BX10CI10DE10Ck10Da10Ce10m2AV4AZ4AW8Bk6BC6m10Be4AZAEmAVBeAW11AE10AI10BA10AV20m10Be10AZ10Cd10BL10BC10AE10CC10AI10Be2CL8AE30CC7CL3Bk10BC10AV10AI10AZ10Cd10BA10m10CL10AW10AZ5DY5Bk10BA10m5DM5m10x10u10Dp10u10Ee10Dn5Dp5CX20Ae10DV10DN10Ae10BB10DF10Ee10Dm10Cq10CX10Ec10DV10Ae10Dp10Ae10Ed5Dn5u10Dm10Cq10Ed10Ec10Dn10n20AS10Dd10Cp10Do10DI10Ez10CF10EC10Cif3CbAN2AscANBoDbBo2fCo2ANfCoDD2DyDDBofANBpAsfc3AycAs2CocAsoEnhCiEnDbDyfArDbCb3ANDDDec4Af2Az2Aqp2k2BxApBNAUBgBHAqAFBxBHBVApBNAUBgBVBHAFBxAqBVz10q20Bz2EtqFcBz5q10Bu5CG3q2Bu10Fc10q7Fqq2EY6Fe4Bu10q30CH10Fe6CH4q10Bu10CH10CG2FeEB2CG13FeCGCJ10AT10Bm10Bq3Bw2FgCr4Eo10Cr10Bw10Bq8Cr2Bm5Dt5EKAT9AE8BL2AI7Bk3BA8AV4AW8m4BC6q20An10r10Ad10BZ10e30.10AY10CQ10Ca10Bt10e5DQ5z20AA10Cx10Cu5CS5Aa10Bb10Aa10Dh10CW10pBgBVkAU2BVk2BVk4Bg4kBVAz4BVk2AF2BVAp4Aq3BVApBVBNAp2Azp2AqBxAFBHAf2BV2AF2Af3BVk20p20AF10BH10Aq10Bx9k7Af3BHAf11Bg3pAp5AU10BH3AfBN6s10AD10x10v10AO10Bd10Al10Ai10Av10Bc10Aj10AD10x10v10BP10Aj10Al10BS10Av10Bc10Aj10CM10Ah10AC2Dg8Cm10DU10DL10BT10Cc10AC10Ew5Fa5Ah10Ey3Ah2Ey5Cm4ES3Fm3DB5CmDLCmDB2Cg10Ah5Cm5ES10AC20Fa4Ah3Cm3l5Dr5l10AB5BJ5AB10s10AH10Ak10w15CV5Am15Ek5l10s10AB10s10AH10Ak10w10CV10Am10Cu5Dh5z10AA10CS5Cx5Aa20Bb10AA5z5Aa10z2CW8ApBgBV28AU4BH6Af2Az2kp2k2AFBH20Bx10Af2Az2AFp2k2Bx11k6AF14Aq10AU2Aq8ApBNAUBgkAqAFBxBHBVAq10AF10Aq10ApBNAUBgBHAF2BxBHBVk10BN5p5Ap10k2Az8Bg3Af7ApAqAUBH2AqAFBxAqBVk30ApBVAUBgBH2AFBxBN2p10x10BM10BO10CU10EI10Ba10Ai10BO10Al10v10AD10x10v10AO10Al20Ai10Av10Bc10BP10CM10BT10DUEy4CM5DB8Cm2AK4BIBs2BF2CyCg10Ai10Ba30AD10x10v10Ai10Ba10Ai10Bc6BO5Av9BP10BS10Dr10l10BJ10AB10s10AH10AB5Ak5w20Am10l5Ek5l10s10AB10s10AH10Dr3Am7w10l10DKAJDXEHFw2ENEVEEElAD16BM4BO10Aj30Ai10Av20AO10Bs8Cy2BI4Fo6BI10Bs10AK10BF10Cy10AK20Ex4AK6By10FtDC6i3CN8i2BQ10DR5i5Eg5i5Br10BY10Cz7ET3Dk8i22ET6By4BY10DC9DkCz10Dk10Eg7Ft3i9BQBr8BY2Bv10t10DH10Cw10Bh10BW10Bl10CD10CR10BG10t10CR5CE5CD5CR3EqEWEq10EW5t5CA10CE10Bh10t10Bv5t5CY25CK5Cm5BT5ADxvBPAiAlBSAvBcAjDg10d40Ac20AX10Bj10CO10AL10Ac40Fl10Ac10AX10Bj10CO10AL10Di10DZ10Dl10Ev10AX4DlAL2Bj3Ac10AX10Bj10CO10AL10Di7AL3DZ6AcAL3Ac6Dl4Ev4AL6Fd5BF8Aw7BI10Bs10Dv11BF8ExBI3BsDv3Cy3AK3BsAK9BsAK6Bs7Aw3e50AY10Ca10Bt10BZ10Cj10e10DP5Em5ER10DQ10Eu3Em3BZ2Ch2Cs5Eu5AY10Bt10Ch20e50Ea10DP10DS10Ea2DS8Bt10Cj10BZ10Ds10Cs10CQ10EQ10Fv10Fs10Ca10DA10Cj5Bt5e20Cj10CQ10DP5DA5Cs10e10Ch10Ds10AQ38Eb8CY21CK18Dz18BK34Dj13CB10CK20Dj20Dx10Ab10DG9ErCT10BU10Fb10DO10Eh6Ej4Er10Eh10Ab30BU9Ab11BU10DO9Dx11Fk3EGFkEGBUEGAbEG10CTEP2FFFQFTFMFOFMFFFQBM10y80Bv20t10CA10CD5BW5CR10Bl10BG10t20Cn10Cv9BiBf10Bi10CnCvBfBig2DfCfgFpDT8BiFpDf9CnCf10Cn3BiCng2Cf3EL8CnFpg20Bf10CnBi4g35Cf10Bi5g5EL4Big5EV9ENAJENEs3EEDK3DXEi10EH2EiDK7EVAJEiEHDK3Es3DK3Es7DX10EVAJEiEHDKEEENEs3FwAJDXDKEN4ElEMEVAJEiEHEE2EsElDKDXAJ4EV4EEElEVFw2AJ6EiEVDK3Ei4AJDXEN3AJEH4DXEEEiAJ3DK4AJ2EEAJ3EE3FwEMAJDX2FwEsEM2AJ2ElDKElEi2AJEl4DKAJEEAJEMEiDX4EsENEEEVEiDXEs4FwENBR2FjEUFiFhFiBR5FjEUFiFh2BR5FjEUFiFhEUBR3DB10CfBiBfBiELgBfCfELgDB5DL5r5Ad5Cl10s10Am10Cu10z10Aa5Bb5CS10Cx5Bb5z5CW5Al10Aj10x10BK10FNCPFfFRFf2FKFfCPFrCP2Ff4FKFR3BW10Bl10Bh4Bl5CECD10BG10Bh10FdAwBIBsDvBFCyAKEOExFdAwBIBsDvBFCyAKEOExe10Ea10DS6EQ2Fs2Ch2Ds2ER2DA2Fv2AY2Ea3Bt2CQ3DP10Cs5e5DQ5DA5Ch10DS10EJ2FuFLDq2Ct2CZFyCZ3EJ4Fu2DqFyDq2EJ4Ct2CZCt2FyCZ4EJ2Dq3Ct2CZ3FuFyEJ5Dq4CZ8Au4Dq2CtFL3AuEp3FC2Fn2Fu6DW10',
+    184: '.70CO10EP10.10a100c3o2BpANBpoCob10j10d10u10p10Cq10i10e10g6DfBi2gAnrAdBnClAgARAxBEAMAnrAdBnClAgARAxBEAMAnrAdBnClAgARAxBEAMAnrAdAgBD3AxAnAMED10DuAoDwEFBXCIDECkDaCeEt10AVmBeAZCdBLBCAECCAIEtFcEYBuFqEBDcFBq2BA2EZCLAWDYBkBCDMBkq10uAeBBuEeDmCqCXEcDVDp6Ed3Dnn2ASDdCpDoDIEzCFECq12BzCHCGDcEBFBFe.EY2Fq4qEtFcEYCJATBmFgEoCrBwBqDtEKCJATEoFIEoCrBwEoBmEKDw3CI3BX3DaAA10Az4k2Af3Bgk10ADxvAOBdAlAiAvBcAjADxvBPBdAlBSAvBcAjCMAhDgCmDUDLBTCcACFaAhEyFmDBCgAhESAC2AhDrlBJABsAHAkwCVAmEklBJABsAHAkwCVAmBb10u10Dm10Ee3Ed3Dn4BM2BOCUEIBaAiAvBcAjEDCk4Ce5Ao10c2o2BpCofBpANArCO3BjAL2Ac2AX2Er9EXFbEXFbEA5Fb2AwFoAw8ByFtCNBQDREgBrBYCzDkET3DC3i4Bvt3BhBWBlCDCRBGt3EqEWCACEt3AGDbAsCoAyfAPoCbANAr2DJCi2oEncDehAc2AXBjCOALDiDZDlEvBs8Ex2FdAwBIBsDvBFCyAKEOExb10e2ER2DP2AY2Ca2e10CQDs2CQ2Fv2Fs2FvBR2FjEUFiFhFi2FhEUAt2AQEbCYCKDzBKCBDjFhBRFjEUFiFhEUBRFiFhDxAbDGCTBUEADOEjErEhEG6FJFHFkEGEP2FFFQFTFMFOFYFFFMCZFAFuEJCZ2FxFnFLFAgCvBfBiELDTDfCfgFpgCvBfBi2DTDfCfBiBfEVAJEiEHDXEEEMElDKEsEVFwDKENAJEEEiElAJ2EUBRFjEUFiFhFiFhBRFiBRFhFjEUFiFhFjFhFiEUFNCPFf3FGFNCP2FrCt2CZCt2DW5FzAuCtFnDWFyEpDqCZCta200.160Dr10l60CJDtBmEoCrBwBqATFIEfl160x100y80g20EV2Ei8Es2DK8AJ50.20d10FwDK3EV2AJElEsEi5AJ3ElEsDK2AJ2EsEi2EHEV2EEEsEV2ENEEDX2AJ2DKEVEHEiENAJEEEsDK2DXEVAJEiEHEsEEEMEN2DXEVAJEiEHENEEEMDX2EsAJ2EiEHDKEEEMEVEsENEVAJDXEHDKEsEEEiFwElEVEsEi3DK2Es2EiANcfhDyCoBpAsCoDDcDbANfANfDJBpCbBpDJhDDDJCo3BpArAN4oANCoDD2BoANhDJCoANDDfCoANDJ2AyDyEnBp2AyAsDDCiDD.40b100j90b10d100Dp10BB10Dp10CX10Ee10Dm10Cq10Dn10u20p100d100i10ByFtCNBQDREgDCBYCzDki80e40b60g2BfBigDTDfCfg3CvBfBiELDTDfCfgFpgCvgBigDTDfCfgFpg70Ah100An10r10Ad10Bn10AnrAd3AgARAxrAMAg10AR10Ax10BE10AM10r20Cl10AnrAdBnAg2ARAxBEAMAn4rAgrAxrAMBD10AnrAdBnAxAgARAxBEAMAnrAdBnAnAgARAxBEAMAnrAdBnClAgARAxBEAMAnrAdBD3Cl2AgAMr100Du2AoEF2Ck3BX2DEAo4Da2DEED2Dw3CI3DECe3Ao20EF3CI7DE4ED3Du5BX6Ck8Ce8Da6Du10Ao10Dw10EF10BX10CI10DE10Ck10Da10Ce10AW2Bk2mBeCdAI3AV4mAZ2BCAE2DYCdDMBADMBAAWBCAVAZCLBLCCEZCCBkAIBeAEm61AV10m10Be10AZ10Cd10BL10BC10AE10CC10AI10AW20AZAV19BA2DY2AWBL2AICC2BL2Be3AI15CC11AE19AZ10BA10Be10CL10AW10AZ5Bk25m20DW10Au60.10Ab20u100Ao100n20AS10Dd10Cp10Do10DI10Ez10CF10EC10AS10CF10n40.40q20Bz3.6EtCH10CG10Fe10EB4.q15Fe5q115CJ4AT4Cr2CJATBmFgEoCrBwEfDtEfEK2Bm4Bw3EKEf8Dt2Cr4Eo5FIAT50Ac100Au10CZ10Ct10Dq2FxFLDW5FnFx2FL2EJ2Fz2Fy2CZ10Dq6FA2Ep7Ct5Au10FC2Fu2Ct3Fn3AA5z5Bb5Cu5z5AA5z70k2Ap8BH10Bx10AF10BV10Aq10Bg10AU10BV10BN10p30BxAFAqAUp5BNkAfAzAppBNAUBgBNBxAFBV3pAF2BHAq2pAfAzApAqBNAUBgkBxApAzkAf2k5p20AD10x10v10AO10Bd10Al10Ai10Av10Bc10Aj10AD10x10v10BP10AO5Ba5Al10BS10Av10Bc4Aj16CM10Ah10Dg10Cm10DU10DL10BT10Cc10AC10Fa10AC10Ey10Fm10DB10Cg10Ah10ES10AC10Ah20Dr10l10BJ10AB10s10AH10Ak10w10CV10Am20l15BJ5l5AB5l5w5AH10s10w15l5Ek2Ak3Dr2AH3AazAa3zAa4z10AA10Cx10Cu10Aa10Bb10CS10Dh10CW10BI10BF10Cy10AK10Ex5BF5Aw50m100v5AO5Av5Al5Ai5Ba5Aj5AD5x60BM2CU3Ai3AO2BM10BO10CU10EI10Ba10Ai10Av10Bd5AOBaAj3AD15CU5Bd10v5BP5AO5BP5Ba5EI5Al5BM5Ai5BS5Av5BO5Bc10Aj5CU5BR2FjEUFiFhFjEUFiEUBR2FjEUFiFhFi2BREUBR30.20Aw30.100FNCPFN2FU2Fr2CPFrFGCPFr2FKFUFGFrFKFUCP30At50Ab30.30p40FH2BU8Ab10FJ2Dx8Ej3Er8Eh3EA6DO3Fk8EGEX8CT5DG5Ej4EG6DO5Fb4EhAw10Fo2Bs5DvAK2BI10Bs10AK10BF10Cy10AK10Aw20By10Dk4BY6CN6Br2DC2BQ4BrEg2Cz3DkBQByCNBYBr2i3FtCzDRBQCNi3DCBrETEgBYDkBy2CNi3BY2DCi6BQ2DRBr2By2DkCN2Czi20.70t20Bv10t30Bh10BW10Bl10CD10CR10BG10Bl5CA5CD5CR5t10Eq10EW10CA10CE10CA5CE5t20AG2EncEnCo2CbDyCoBo3CoDD5CoAsCoAsCoBoCb4DD2Dy2CocDyfAy2fDD2f5BpfBpDyCofCof4DDf5BpDD2BpDJDDo2Ar3oArCoAN2Ci2CbArCiBp4AN11Ar4ANArAN2ArANAy8CoAyc2DJ2cCbBpCoDbAN3f2cf2BpANfBp2Co2Ar3ANf2Bp4f2BpfArBpAN2ofANfAN2cfDJ2AN2fDy5AN4Cof4cf2AN3Ar2ANhfAL10Ac10AX10Bj10CO10AL10Di10Ac30Bh5BW5Bl5CD5CR5BG5Bv5Eq3EW2t60Fd2Bs5BI2DvAw10BI10Bs10Dv10BF10Cy10AK18EO2Ex10z100e20CQ10DQ10.10CQ10AY10Bt10Ch18DS2e40.10Ea10DP10DS10Ea2Bt8e2BZ8Cj10BZ10Ds10Cs10.10Cj5EQ5e20Ca10DA10At15Eb5AQ10CY10CK10Dz10BK10CB10Dj10At25AQ15Eb5CY10CK15Dz10BK15CB5Dj10AQ10Eb10CY10CK10BK20CB10Dj10At20CT7Ab33BU9DG7Fk3FJDx9FHEj4Eh6DO9EX8EG3Ab100y10EP2FFFQFTFMFOFYFFFOEP2FFFQFTFMFOFYFQFOEP30.20y20',
+    185: 'a140pAqBgAz3Ap2AFBHk10b20a20c10b10j10d10u2EdAeDN4CqDVp7Az3j10i10e10g10f10AnrAdBnClAgARAxBEAMr10BD10BX6AoBX2EDDuAoBXEFBXCIDECkDaCeq10AVmBeAZCdBLBCAECCAIm10BA2EZCLAWDYBkBLDMDYu6CqCXAe2DNAeBBDFEeDmCqCXEcDVAeDpAe4CqEdAeDnn2ASDdCpDoDIEzCFECn2ASnCpDoDIASDdECq2BzCHCGDcEBFBFeBuq2EtFq2q2EtFcEYCJATBmFgEoCrBwBqDtEKCJATEfFIEoCrBwBqDtEKAT2BmFIEoCrAT2DtATCuCW2CSCxCu2zCS2AfBNkApAUAFAqBxBHAz2BxAUBgBN2BV2Aq2ADxvAOBdAlAiAvBcAjADxBaBPBdAlBSAvBcAjCMAhDgCmDUDLBTCcACFaAhEyFmDBCgAhESAhEwAhDrlBJABsAHAkwCVAmEklBJABsAHAkCVsAmCWzAACxCuAaBbCSDhCWz10k20BM2BOCUEIBaAiBOAlvBdxvAOCUAiBSAivBPs7l3DyDD2BoBpDyBoBp3DrAB9Ekl5AB4zAA3zAA3DhAAAwFoBIBsAwBFCyAKAw2i10BYBriDREgBQDCByDkCNBvtDHCwBhBWBlCDCRBGBvCwBlEqEWCACEBht2AGDbAsCoAyfAPoCbANArDJ2CiEn4DehFlAcAXBjCOALDiDZDlEvFVAcFPBjFSFEDiDZDlEvFdAwBIBsDvBFCyAKEOEx.10e2ERDQDP2AYBtChe6EaDPDSe2CjBZDsCsCQEQFvFsCaDAt10At2AQEbCYCKDzBKCBDjBYBri5BQCNDCDxAbBUCTBUEADOEjErEhDxAbDGAb4EjAb2y10FAFCFuEJ2Fx2FL2FACnCvBfBiELDTDfCfBfFpg10EVAJEiEHDXEEEMElDKEsEVFwEiENEHFDDXFWAJEsFhBRFjEUFiFhEUBR2Fi.10FNCPFfFRFGFUFKFrCPFr.10FzAuCtFnDWFyEpDqCZCta200As10b10j10d10u10p10fBoAr8i10e10Cn9Bfa130n10a130CaCj3Ca4Cs2a20b100a300c80f10o10b100j100d100CqDV3Dp2CqCXDpDnDNAeBBDFEeDmCqCXEcDVAeDpBBDFuDmCqEdEcDnBB5Dm5u10Cq9CX8Ec5DV9DN9Dp9Edu30Ae40Ed2Dn5BB3.20j100i11Br2CN7BYDC3Cz6BY2Bri4BQ3.60a100Bo6f4c40f10AP7Bo3.30m10CC5BA5AZ5AV5CL4DM5EZBk2BeCL2BA3AEAVDMBe14AE5AZ5AV5m20An10r10Ad10Bn10Cl10Ag10AR10Ax3Ag5.2BEAR5BE4AM10BD6An4r10Ad5Bn5AR4BE4Ad2BE10Ag10ARBn4Ag2Ad3.30Ag7r33Ag10BD10AR20Ag11Bn2An4Ag3AoED2CI6CkCI3Ck4BX13Ce3CIBXCk2BX2AoDuAoBXAoBXCIDECkDaCeDE4Du2Ao2CI2Ao10Du5AoDa4BX5Da5ED10Du10Ao10BX10EF7ED3BX10CI10DE10Ck10Da10Ce10Ck10.40EDBX2EFBXEDBXEF3Ao10Ck7BX3Ao10BX6Du4AV10m10Be10AZ4AE3CC3BA2DMBkBC2BL2DY2BL10BC10AE10CC10AI10m33CL2AI2BC3m4AE3AI2BCm10AW9BLm10AI10BA2m3AE5Cd10BA10EZ4m6CL10m10DY6m2AI2Bk2AW3BCBk4AW10DM2BA3AV5m10u8Eeu31.260n2DoCFDIDoDIEz.2Don9AS10.10Cp10Do10DI10Ez10.10EC10.100q2CG3Bu3CG2q10BzEB2FBEBEYFeEB3CH2FcDcBuCH5CG7FBFeEtq10BzEYq2EBq2EB3Fq2Bu8q10Bu10q30CH10CG10Bzq5EB2Bu2Fcq3Bu6Fq10.10EYEB2Bu7CJ10AT10Bm10Fg10Eo10Cr10Bw10Bq10Dt10EK4Bq2.4BqDt2.7AT10Ef10FIDt2.37Bq10a100k86AF3BHAUBxBV4k24BH3Af4Az3k20Ap2Az8p4BHAUAzBgAp2AF7k2BNp28BH2Az7p2BgAf20BH6p3Ap11Af4kBNAFAq3BN5AU5Bx8Bg2BV8pAq17Ap4AD10x10v10AO10Bd10Al10Ai10Av10Bc10Aj10x2Al11Ai3AvBc7BP2BM4BP10AD3x5BdAlBMBSAO8BS10xBS10Alv18CMAhDgCmDUDLBTCcACFaCMAhCMCmCMAhDL2EwCM2EyFmDB5CgESCm8Cg2Ah3EyCg2EyCc3Ah2DgCmDUDLBTCcACFaBT8Ah2CM9EyDL5Cg5DU7DB2ESAF10AfBg2AU2AFAqBxp2AU4BV4AU2Cm4Ah6.10Ah8ES2CG4q6k30l60s10wAk9s10AmAH4s4ABs10l10BJ3AB19Am.7Dh4CxCuAa4z2CxDh3AA2Aa2z20CS2DhAa7DhCWAA2CSAaBbCW3z4CSz5AA4CWAA8CuCWCx3Cu2Cx2CW2AACSBbAa3CWAa9Bb2AA8CS5AA8zDhz15x25AO18v7Aj9Bav9AiAO5x6AO19Al13Bd7BS5BM5v70BS12Bd4Al12Bc11BSAv5Aj5v42BS8BP4Ai5BPBM10BO10CU10EI10Ba10Ai10x10Al10v10.100c60f30h10o10h10f10o20h9of20o10h10CC5BA5DY5AE5EZ5AE5Cd8AZ2Be3AZBC2AIAZ3BC3AZ6AI8AWBe22z2Cu2CS6Bk10AI8CL2AZ7BC3AW2AI8Be10AZ10DM3AZCC5BCAZ4AE6Be10AI10Cw2Bht6EqBl9EW4CD5BG3CR5CE4t24BG3CA2CREq5CA5BC2BA3m4AVm10t20DH3CwBG2BW4t10BvCwBlEqEWCABh2DHtBvCR4BW3Bv2t29Bh6BW2DHCA2BY7DR3Ft2CN4By6Cz12ET2Br5CNBYDkByi45FZ3BQ2DC5DR3ET2By2Br4CN2Ft2i5By10Cz5BY5i10Dk3BQ7Br5DC5ByDR2ETCN5i11Eg3Br2FtEg3iBv10t10DH10Cw10Bh10BW10Bl10CD4BW2Bh2Cw2CR10BG9EqAI7AZ3m8AE2AVBC2m4AWBk2Eq6DH2t2EW2Bv2CRCE2EW3CA10CE3CRCE6Bh4Eq2BG2tCR5Bl8CD8AG10DbBp2Ayh6As8h2Coh19f10AP7f3o10Cb5o5AN8h2Ar29DeCi4h6f10o10f20h20Fl3Ac2Fl2Ac5FV2Ac6AX3FP3AX4Bj10COFSCO3AcDiDZDlEvFE2AL5FEAL2DiAX3Di6DZ6Ac14Ev3FEEvAc3Ev2AG3Db4Cb2EnAN5DJ3Ci2AP10o15h3f2DDBpDeCb4Dy3c8Bo2Dy3c16DeAc3Dl2Ac2FlAc2FdFoEOExAw3AKDv.Aw10BI4Dv.5Bs4BF.5AX3Bj2Ac5CE10Cy4BF.5AK10Ac2AX2AL3AcCOEvAXAcAX3ALDiEvALAcd150e12EQ8Bt5Eu5Ch3e7DQ5e5EREaDQ2DPEmDAEaEQChDPBt19e10Em2Cs2EQe5Eae9DP2Bt2DPAY3Ds2CQDP2Em5FvFsCh5e5BZ6DA3eCj8Ea2BZ5DSAY4Ds2e8Cs6e4EQFvFsDAEu2EmDQEaDSAY10e20CaEm7CQERe10ChDsCjAY2e5EuBtDsCjAYCs2DAe2ChBt4DQDAER2Btn10At2AQ8d30e20At10CY8CKAtAQ19EbAt4CYCK2BKCBDjCK10Dz2AtBKDjBKCY4AQ8CBEbAt9EbDj4Dz6AT10Bm10AT10AQ13EbDz2CB3CK11CB2Dz5BKEb2AQ10At20DxEX2Fb2EG2FJ2FH2CTEADOFkErEjEhFkAbDG2CT2Ab3BUFkFbAb10FlFS4DiCO3EvFlAX2Ac7FlDi4Ac5FlAc9Dl4AXAc15o10h10f30c40DDDec3f4cf10FFEPFFFQFTFMFOFYFTEPc10BUAbFbBUAb2EjErBUDxFMFOFYFQFTFMFOFYEP2y20d10AcALAXBjCOALAX2AcEvFVAc2FEBjAX5DTCf4.65Cf9FpBf10Df2DT5CfFp2Cn9ELCv10Bf10Bi10g10DTBi9Df3Bi3Cv4Cf5g5Bf4g6Fpg38ELCv2Bi7CfBfCfDT.7g50EEFDEMElDKFWENFwAJ2Ab5BUAbBU3AL2AXBjAc2AXBj3t11Bh6BG3CuCx2AA2CS4CxBb2z2AACuz2Bb2El10At3EbAt5CYFlBj3AL3Ac2Evc10f30CW2DhCx2Cu2Aa3Cx4Cu2CS4Bb4z6d20c10FhBRFjEUFiBR5FjBR2EUBR5FiAv4x4Bc2Bk4AW5AVBAm12AW3Bkm36AE7BM7x3Al10Aj5Bd3Al3BMBOCUEIBaxAvAjAlCxAA4zAa7Dh2Aa2AA6Cx7Aa4zAaz4Dh3z2AA3Aa2Cu7CW3FNCPFfFRFGFUFKFrCPFrCP10FN.2FfFGFf2Fr.Ffd10Dhz13Cxz4Cx5DhCx3Dh2z10t20f10c10De2AG2f4Ar2d50BW6Bv14Au20FzAuCtFnEpFyEpDqCZCtDWFCFuDWAuCtEpCt3DWAuCtAu3Ep2CZCtDhCW2zAa2BbCu2Cx.30AYBtDSe2EQ5',
+    186: 'a140pAqk4Af3AzAF3BH2Af5b20a20c8h2b10j10d10u10p7Az3j10i7ByBQCze10g10f8o2AnrAdBnClAgARAxBEAMAnrAdBnClAgr4AnrAdBnClBD5BXAoCI2Ao5EDDuAoBXEFBXCIDECkDaCeq2BzCHCGq2BuCGBuAVmBeAZCdBLBCAECCAIAZm6AW2BABLBAEZCLAWDYBkBCDMCdu6CqCXAe2DNAeBBDFEeDmCqCXEcDVBBDpBBDFEeDmAeEdAeDnn2ASDdCpDoDIEzCFECn7AS3q2BzCHCGDcEBFBFeBuq2BzCHFqDcEt2FcEYCJATBmFgEoCrBwBqDtEKCJ2EfFIEoCrBwBqATDtDNDpBBuAeDmCqCXEcDVAaCuAADhAaCxBbCWzCSAfBNkApAUAFAqBxBHAzAU3BgBN2BV2Bx2ADxvAOBdAlAiAvBcAjADAjBaBPADAlBSAvBcAjCMAhDgCmDUDLBTCcACFaCgEyFmDBCgAhESCcACCmDrlBJABsAHAkwCVAmEklBJABsAHAkwlAmBbzAACxCuAaBbCSDhCWAAz2AaBbAaz2AaAABg2Ap4Aq3pk10BM2BOCUEIBaAiBOAOAjBdBMBOAOCUAiBSAvCUBPl4Am4s5w5s2DrlBJABsAHAkCV2AmEkDrBJAB3s2Am2CuzAAz2Aa2CxAazAwFoBIBsDvBFCyAKAw2i10BYBrETDREgBQCzByDkCNBvtDHCwBhBWBlCDCRBGBvCwBlEqEWCACEBhCACEAGDbAsCoAyfAPoCbANArDDDJCiDyBoEnBpDehFlAcAXBjCOALDiDZDlEvFVAcFPBjFSFEALAXAc2FdAwBIBsDvBFCyAKEOExe5EuCs2AY2Ca2ERDQAY3BtChBt2CjEmCh2EaDPDSBZ2CjBZDsCsCQEQFvFsCaDAt2BWEqEWCACECDDHBGAt2AQEbCYCKDzBKCBDjBYBrCNDCiFtiByEgDCDxAbDGCTBUEADOEjErEhAbEXFbEGCTDGFJFHFkBUy10AuFCFuEJCZCtFxDqFLFACnCvBfBiELDTDfCfBfFpCnCvBfBi3DfCfgCvEVAJEiEHDXEEEMElDKEsAJFwElENAJFDElFWAJ2BR2FjEUFiFhEUFhBRFiCMDLDgCmCgAhBTEw2ACFNCPFfFRFGFUFKFrCPFrBBu3Ae3EduDnFzAuCtFnDWFyEpDqCZCta300c20e4DS3Eu3a20DuAoBX3CIDECkDaCeBd2CU3BO3Av2AImBeAZBCBLBCAECCAIa10Bv2EqEWBlt5a50q2Dc8a10CJATBmATBq2BwBqDtEKCJATEfBm2BqBwBqDt2BLDMBA3m4AVAl8Ai2AO6BMx12AD2xvAOBdAlAiAvBcAjx3BPx2BSAD3x20e3Cje6a10Ai2AvAl5BS2b100f20h10c10AM4AxBD2Ad3Ag5An5BEAM9Ax5Ad6BD4Ag5BE6r4a200c30f10c60b100j100d70CCmBeAZBeAI2AECCAICdBe4AV4BAAEBAEZCLAWDYBkBCDMAEu10DNAeBBDF2DmCqCXEcDVBBDpBBDF3AeEdAeDnu5Ae5u2Ae3EcDVDNDpEd7CX4BB6Ec3DVAZ5AE7CC2AI4Be2m10k15p4Azk8Az2Bk5BCBL2AIDMBLAI2EZ2CC2Bk2Bem10AE3CL2AE5AW5EZ2m2AIBe7BA2DMAZ7AI3Aq5Af5k20Af10BVp6Bx3CFASDo8n13AS3DI4w5l5n4Dd6i20Br10BvtDHCwBhBWBlCDCRBGBvCwBlEqEWCACEBhCACEBv3Cwt6CR3Bl2Bh5i30e40Bi5Cn4CfBi4DTBiCn4Cf3Df3BfDfBf2CF5Cp4nEu10Em5eEmeEm2g10CnCvBfBig2CvCfBfgCnCvBfBig3Cfg42CF4DIEC4Ez2Cp9AS10An10r10Ad10BD10AR6BD2BE2Ag6BD2BE2AR10Ax7Ag2ARj20An10r10Ad10Bn10Cl10Ag10AR10Ax10BE10AM10An6BEAM3r10Ad10Bn10Cl10Ag10AR10Ax10BE10AM10r10Ag10Ad10Ag15r5BD10AR2Ad3An2AxBEAMAx5AR5r15Ag10Ax3BE2An5Ag3Ad2BX4CIBX2DEBX2Ao12BXAoBXCIDECkDaCeDuAoBXEFCeCIDECkDaCeDu6DECkDaCeCk4Da5CkCe4BX5DaED10Du5BX5Ao10BX10EF10BX10CI7Ao3DE9EDCk9AoDa9EFCe9EDDu7BX3Ao10BX10Ce10Da7DE3CI10Ao10Ck10Ao20AV10m10Be10AZ10Cd10BL10BC10AE10CC10AI10m4AVAW5m20AZ3AEAI3BC2mAV4AE3AI2BCm30AI10BA2m3AE5m3AV3Be3AZBA10EZ7AI3CL10AW10DY5mDYmDY2Bk10BCCd2BL2AVCC2DMAEDMAE2DM7BA2EZCL2Bk3DY2u60Cq10DVCXEdCX7Ae20DN10Ae10BB10DF10Ee10Dm10Cq10CX10Ec10DV10u10Dp10BB10DF10Ee3Ec2Ee5Dm3Dp2Dm5Ae10Ed10Ae10Dn10Cp2Do2DI2n2CF2n10AS8Dd12Cp10Do10DI10Ez10CF10EC10CG2BuCHq6j10b50.10Cp6Do4Cp2n8q15FcEYq3Bz3Bu2CH2CG2BuCH10CG10Dc10EB10FB5CH4DcFe10Bu10q40Fq10q10Bz4qBu5Et10Fc10EY10CJ10AT6BwBq3Bm5CrBwBqBmFg7CJAT3Eo10Cr10Bw10Bq10Dt4ATDt5EK6AT2Bm2Bq4EKEf2EK3Bw10Ef5Bm3CrBwFI2BwFI2BwBq4Dt4Ef2Bm4Cr10Bm5Eo2Bq3AT4Dt6Ac2FPAL2AX5Ac7FVFEBjj30DuAo2BX3Ck2DaCeFEAcAXFVCOFE.4DuAoBXCI3DECkDaCeAA10z20Bb2AA2Aa4AA7z5AA10Cu9Aaz10CxCuAA3z5Cx9AaCWBbCW5AaCWBbz10AA2CS7BbAa2Dh7zAf4AU2BVAp2BVk4Bg4kBVAz4BVBHBxBN3Ap4Aq2Ap4BNAp2AU2kAqBxAFBHAf2AF4Af3AFp10BH4AF3Aq3p11AFBNAz7p10BH4Aq16Bx6Bg3AFAUBHk3Af5AU10Bg10BVBg2BN2AU5BN10p10AD10x10v10AO10Bd10Al3AjAlAjAl4AiBaAiAOAi3AvAiBSAv10Bc10Aj10Ew2CgEwACBT2Cc3Ah10Dg3AC6CgBP10b10x10BS10Ai5Bd2Av3Al3BO3Ai3Al3x5Aj3CM5AhCM4Ah10Dg10Cm10DU5AhDU4DL10BT10Cc5AhCc4AC10Fa5AhFa4Ah10Ey3AhEyAhEy4Fm5Dg3Ew2DB5AhDBAhDB2Cg5AhCg4AhDL2Ah4Cm2AhES3AhES6Ew5AhEw4Cc3ACCcAC4BTCgDg2EwAh6Dr10l10BJ10AB10s10AH10Ak10w10CV10Am10Ek10l10s10Ak5w5s10AH10Ak10w10l10Am10Aa10z10AA10zBb4Cx5AaBbCWDhCSCu5Aa10Bb10Aa5CS5Aa5Dh5Aa5CW5Al10x10v10CUBM3BOBM4x5AOAixAvAl12Ai10Av4xAv2x5Bc8Aj10Af10Az10pAz4BH2Af3Bc7BS3v10AD10v40AF10k26AU4k30p3BV7Ap15Bx5Ba3CU3BOBP3BM10BO10CU10EI10Ba10Ai10x10Al10v10h20o10f10Ar4Ay3ArAy2c5f5c30f10c10h10As10f10o10Ay2Boo2c20AN5f20c3Dy2AyDyc3AP5Ar5f3DD4cf2Bo5o5h10o10AsDbcAGDeDJfCoAyCiAN5oEnCb3Bp2fBp2h5AP10l5w5l10BJ10AB10s10AH10Ak10w10s10l5Am5l25s5AB10l10AH3s7Ak10w10s10x10Ab12EG3EXAb2EX2Ab3FJ2FbAb2Fb2Aj3BM7v4Aj26v20Aj10t10Fo4AKFoExFdFoExDH3CwBG2BW4t10BvCwBlEqCRCACEBhCAtBW10Bl10t10Cw10DH10By10Ft3DRCzEg2Dk3CN10BQ9DR5BYiDRByDRBQEg7CzEg2BYDCCNDRBrBQDk2BrCzBY10Cz10Dk4By2Dk3DCDR3Cz6BY2Br2By4DC2iETDRET2Cz2ET3CNi10DC4Cz2DCFt2BQ6Br3CN2DC3ET2BY2i3By3ET2i15BYi9Bv10t10DH10Cw10BvBhDHCwBhBWBlCDCRBGBW10Bl10CD5BWBlCD3CR10BG10i10CN2ByEgiBr2Dk3BYCN3DCBY3iEgEq5DH3t2EW5t2EWt2CA10CE10Bh10t10Bv10AG10Db3oDbhoDbo2As10CoAy2CoArCo3hArAy7Cb2Bof10AP4fEnAyCiBpAyo7As2DDCbDyc8CoBoAG2c4AN2Ar4h2DJDbAsDeAr10DJhDJAr2DJAr2hArCi3hfhf4Ar5AP5o10Enhc2Enf15De2c2De4c2h10Fl5Ac7FV2Ac6AX5FP3AX2Bj10CO5FS5FE4AL6Di10DZ10Dl10Ev2AcEv2AcEv4Ai10AO14BO5x2BP3xBd2BOBdxv7Aj3Ba3AD8vBS3xBS4Av7x2Avx10v10Fd2BIAwFdAwFdAKFd2Aw10BI10Bs10Dv2AwDv2AwDv4BF10Cy2BIAwCyAwCyAKCy2AK10EO2AwEO2AwEO4Ex3AwExAwExAKEx2o5h5Ay2Bo3Ar5c10f10h4c15Arh6f4d30h20ER2eERAYeAYeERAYDQ5eDQeDQ2o3f17AY10Bt10g10Bf4gCfBiCn3f50Ea5e2DsBtBZDP5eDP3eDS3eDSeDS4Ch10g10Cj10BZ10Ds5eDs3eCs7eCs2CaCQe3CQCa2CQ2EQ2eEQAYEQe2EQ2Fve2Ca2AY3e2Fse2Fs2Ca3e2Ca10DA3eDAeDA4e5DsBt2BZ2At2CYDjAQAt4EbAS4CpASCp4n2ASDdCpDoDIEzCFECb10Bv2CRCw4Bh3Bl2BW2t36At6CY4At10AQ10EbCY2BK2Eb5CYAtAQEbAtCKDzBKCBDjCK2CBAQ2CK5DzAQ4Dz5CKBK9CB10DjAQ4Dj5AT10Bm10Bw3Bq4Cr2BwAS3Ddn21AS5n10q20Bz10Ab5DxAbDx3Ab12DG8CTAb3CT6BU10Ab5EAAb2EA2Ab2FH3DOAbDO3Ab3Ej7Ab5ErAbEr3Ab2Eh3Fk5Ay4BoDeBoDyANDJAr5AP5co9As5DDBpANc12AGDbAGCoAyAGArEnCbANAGh9f10ohf2c7Cif8EP2FFFQFTFMFOFYEP4FFFQFTFMFOFYEP2f3o10Ar8c4hf4y50Cf5Cv2Cn2ELFC3Au7FuAuFuAuFuAu5EJAu2EJ7Cf2Df2Bf5DT3Cv3DT2CnBf2Fx2Au2FxFy.2Ep2CYDjAt4DzEb2DjFLAu2FL2DW3Au2FA5CtAu4Cn10Cv10Bf10Bi10EL5gCv2g2DT2gDT2g3DT2Df3gDfCvDfCvDf2Cf10g10Fp5gBiCn2BfBh10Bv10t10DH4BhBl5tCwDH2BW2CD2CRBGCA8Eq2Cw8CE2CD9BGCR10BG10EV4AJ16Ei5AJ5EH5DKEsEH2AJDX5EEDXEMEl2EE4AJFD2AJ2FDEM5EEDXFW2AJEl4AJFW3AJ2DK4AJEEDXElAJEs4AJ2EsEl3AJCz4i4BY2FwAJ9Ad2r3Ag2BDBnAMEN4AJENEiEVFwAJCf2CnEL2BfCvCfDT.AB5l5AC10Aa6BbDhCW2l7Ak2Amk4Az3p3Cz6BY2CN2BR10Fj5BR5EU10Fi3EUFiBR2.3Fh3BRFhBRFh.3z2AA2Aa3AA3z4Bb3z3m11AZ4BeAE3AIDC3Dk3BQ2BrEgi10By4EgFt2DR3i10BQ3By2Br2i3d50Dc9CGCP10Ff3CP4Ff2CPm5Cd5Bm2EK3Fg2CJ3CMDg2DU3Cc4CMEwCg3EwAC4BC5BA2AECCAIFNFr2FRFGFUFKFrFGFrAc10j20DNDp2DN3DV3DnBb4Aa6AT7CJ3AB4l6Ae15EcDVDNDpEdu10Dn10Fz5Au15Ct5FuFxFuFnFCFn5CtDWDqCZCtDW10Fy5DWEpAuFuFnEp10Dq10CZ10Ct10',
+    187: 'Cn10Cv8g2Bf10Bi10g10DT6EL2g2Df8Fp2Cf8g22a70b30c5CiANc3b10j10d10CB10Aw5DvCyDv2Aw6DvCyDv2Awi10e10g10Au4FCFuCt2Fn2Anr2BnClAgARAxBEAMAnrAdBnClAgARAxBEAMAnrAdBnClBDARAxBEAMAo2DwAoBXCIAoCkDaEDDuAoDwEFBXCIDECkDaCem10AVmBeAZCdBLBCAECCAIm10BA2EZCLAWDYBkmDMmu10DNAeBBDFEeDmCqCXEcDVCqDpCqEd5AeDnn2ASDdCpDoDIEzCFECn10q2BzCHCGDcEBFBFeBuq7EtFcEYCJATBmFgEoCrBwBqDtEKEf3FIEf6Dt10z10AF2BH2p6Aq3BxBVAUBgAUBN2ADxvAOBdAlAiAvBcAjADxvBPAiAlBSAvBcAjCMAhDgCmDUDLBTCcACFaAhEyFmDBCgAhESEwACAhDrlBJABsAHAkwCVAmEklBJABsAHAkwCVAmz2AACxCuAaBbCSDhCW11BNAz2kAzAf5k7Ap3vBMBOCUEIBaAiAjBcBdx2vBPAjAlAiBSvBPAi10BP5BS2Ai3g20EMElFwDK2Es3EN2FdFoBIBsDvBFCyAKEOExi10BYBriDREgBQDCByDkCNBvtDHCwBhBWBlCDCRBGCE3EqEWCACE2t2ANDbAsCoBofo2CbANArfDJCiBpoEnDbBoDbFlAcAXBjCOALDiDZDlEvFlAcAXBjCOALDiDZDlEvFdAwBIBsDvBFCyAKEOExEP2FFFQFTFMFO2FMFFe10Eu10DQ10.10At2AQEbCYCKDzBKCBDjDz5CB5DxAbDGCTBUEADOEjErEhEG4Eh2FJFHFk2y10CtFCFuEJCtDWFxFyFLFACnCvBfBiELDTDfCfgFpg10EVAJEiEHDXEEEMElDKEsAJFwAJENAJEEAJElAJ2BR2FjEUFiFh2BR5FjEUFiFh2BR2EUFNCPFfFRFGFUFKFrCPFrCc2Ah5Ew3FzAuCtFnDWFyEpDqCZCta30g22BfBig4ELFpg3BigDTDfCfgELg30t20Bv10DH5Cw5Bh10BW10Bl10CD10CR10BG10CM10Cc5BT5Ew10Cg10CMBTACEwCgDg5AC20BD10Ag10r10AR5Ax5r10Ad10Bn10Cl10BD10Ax20Ag10AM10Ad10Ag10AM10Bz9CH6EY4Etq2BzCHCGFeEB2FeCHq2Fc2FqFc2EtFcEYqBz5Fe3EBCMAh2DgCmDU2DLBT2Cc2AC3FaEyFmCgAh19Dg9AhCm7DU3AhCMBT3AC2CgAhESCMDBCMAhDgCmDUDLBTCcACFaAhEyFmDBCgAhESACDU2Cj20Cl5Bn5BD5Ag5Cj5BZ5d90i10Cn10g11CvBfBiELDTDfCfBfFpCv4gDT3ELFpBf10b30ArAsCbDbf2CiBooAr2DbCo3As3AN4CiBoBp2BoANBooDbDDCbDJANBpCbBp2c3CbDDCbBo2f2ArCbf2Bp2Cif2o2Bo3Bp2DbAsf3Cbo3cArDDf3ANCoBpCbcDDfc2Coc2f2Co2En3BoCbAr2f4As2AN2DJBpc2AN2ArAs3o2DDc3f2DDEno2DbCo2c3Arc2ANof2c2As2DKFw4Es2EMEs2EHEi9DX6EM2AJ5DK7Fx3FLFyEJ5FoBF4Aw5AK3BI17Bs10FdAwBIBsEOBFCyAKEOExBF4Bs6BF10AK14ExAK5Aw10b100j70Eb10CY10Dz10d100p3kAf2AzAp2AU2Aq4AFBxBHBV2qCG9CHEB4Dc12Bz2q3BzCHCGDcEB2Feq5FqqEt2FcEYv10FJ3Ej4Eh3EG6DG4Ab20EA20Ej4BU5FJCMAhDgCmDUDLBTCcACFad40DL5BT16CMCc16Ah2AC2BTCcDgCmCgAh2AC12CM6Ew15Fa2EyFaEy7FmCg6By20BY10i8Br7CN12DC10Cz9Eg11Ft5ET8Ca10Ds5EQ5Fs5Eu5Em10e10Ea10DP10DS10Cs10CQ10g11CvBfBiELDTDfCfgFpg21CvBfBiELDTDfCfgBig10Df8EL2Cf9FpgCvBfBi2DTg2BfELgBiBfBiBfDTg3FpAn10r10Ad10Bn10Cl10Ag10AR10Ax10BE10AM10An10r10Ad10Bn10Cl10Ag10AR10Ax10BE10AM10An10r10Ad10Bn10Cl10Ag10AR10Ax10BE10AM10Ax10r10Ad10Ag10BD20AR10Ax10Ad10AM10BT2Cc2Ew2AC4Ao10Dw10EF5Du5BX9CI4Ao7DE2Dw8Ck10Ao13ED7Du8Dw2Ao10Dw10EF5DaAo4BX5ED5CI10DE5Ce5Ck10Da10Ce4Ck2Ce4m10AW15AI15DY5DM5AE20AV20CC10AV10m10Be10AZ10Cd10BL10BC10AE10CC10AI10AV10m10Be10AZ10AI5Bk5AZ10BC10AE10AW10BL5CC5AE5AI5BA10EZ10CL10AW10DY10Bk10Be5AW5DM10m5CC5u10Ee5Ec5DV4CX2Ae3DngCvBfBig2DfCfBig12CvBfBiELDTDfCfELg2CvBfBigDTDfCfBfFpgCvBfBiELDTDfCfBiFpEc10EV2Ei2EH2DX2EE2DN10Ae10BB10DF10Ee10Dm10Cq10CX10Ec10DV10Ae10Dp10DNDpBBCqDn6Ed10u10Ae10Dq5Fx2FLFA2DW3FuFCCZ4CtCZ4CtEp4FCCtFn2Au5Ct2n20AS10Dd10Cp10Do10DI10Ez10CF10EC10n20AS10Dd10Cp10Do10CF10Eb5CY5CK5Dz5BK5Dj5q20Bz10CH10CG10Dc10EB7q13Fe2q6Fe2Bu10q8Dc2q10Bz10CH4CG4q2Fq2q7FqDc10Bu9qEt9Fc2Bz9EY2Dc4EY4CJ10BmATBmBw7Bm10Cr10CJBm2Cr2EK2Eo3Cr10Bw10Bq10Dt3Cr5Fg2EK7AT3Bw10AT10Ef4Bm5BwFI4CJ6Eo4CJ5ATBK10CB20Dj20AE10AZ10AW10Be10m10AV5Cd5BL10AI5BA5CC10CL5Bk5Cu10z10AA10Cx10Aa30z10Dh10AA5CW5BV10k10Az2BH4Bx4Ap10BH2AF5AU2Aq5Af5Aq21p30Aq10AF10Bx14BV2Ap2Bg4AU5Aq3Bg10AU10Ap10AF3BN5k2AD10x10v10AO10Bd10Al10Ai10Av10Bc10Aj10AD10x10v10BP10Ai10Al10BS10Av10Bc10Aj10CM10Ah10Dg10Cm10DU10DL10BT10Cc10AC10Fa10Ah10Ey10Fm10DB10Cg10Ah10ES10Ew10AC10Ah10Dr5w5l10BJ10AB10s10AH5l5Am10w10Am20l30s20AH5l5Ak10w10s5l5Am5Dr5CS10z10AA10Cx10Aa20Bb10Dh5Bb5Dh10Aa10CS20Cx5Dh5Bb10z5Bb5Cu10Bb10CT10Er8FH2DG7Fk2FJBx3Bg7BV5Az5AF10BH10Aq10Af10p10Ap10p10k10Bx10BV10Aq10AU3Bg5AF2pk4Af2Ap3AF4Bx2AqBHBV2Af10Bx2BH3ApBVAU3Af2Az2Ap2k14vBP9BM10BO10CU10EI10Ba10Ai10Aj10Bc10vBd5x24v10AO10x10AD3BP4BS3Ai16Av4Bc10Aj10AD6Al2BP2Ai10v10ADxvAOBdAlAiAvBcAjADxvBPBdAlBSAvBcAjBd10Ai20x10v10Bd10x10v10BM2BOCUEIBaAiBOAlvx2vAOxAlAiBSvBPAl10BS3BPBc2BOBPAl2BS10Av9AiAO10Dr10l10BJ10AB10Ak5w5AH10Ak10w10CV10Am10Ek10l10BJ10AB5BJ5l10s10CB20Cd5m5BL10AD10BM10BO10CU10Al5Bd5Ba10BP10x10Bc10Aj10Aw10Fo3BF3FoDv3BI10Bs10Cy2BIBsBF2Cy2AK2BF10Cy10AK10FoAwBIBsDvBFCyAKBsBFFdAwBIBsDvBFCyAKEOExi19Cz6Eg7ET12By14BQ8CN8BY14Ft4i8Cz20Dk6DR12BQ18Br14DC5Dk25Bv10t10DH10Cw10Bh10BW10Bl10CD10CR10BG10t10Bv5DH3Cw3Bh5BW4Eq4Bl5CD4CR4BG4EW4CA4CE11CA10t20FlCO4Bj2AL3AX20Ac10CO10AL10Di8AXAcDZ7Ev3Dl10Ac30AX10AL40Ac10Dl8Ac12Fl10Ac10AX10Bj10CO10AL10Di10DZ10Dl10Ev10Ac20AX10Bj10CO10AL10Di10DZ10FlAcAXBjCOBjDiDZDlEvALAX2BjCOAL2Ac3Fd2AK8Aw10BI10Bs10Dv10BF10Cy10AK10EO5BFAw4Ex3Cy5BF2e30AY30BZ10Bt10Ch10DA10Ca10AY10DA10Cs20CQ10AY10Bt10Ch10e40ER10e10Ea10DP10DS10Ch10e10Cj10BZ10Ds10Em10CQ5DA5EQ10Fv10Fs10Ca10Bt10AY10BZ5DP8DS4Bt3Ds5Fs2ER2FvEm5Ds5Cs10BZ10Bt10Ch10DA5DQ5At20AQ10Eb10CY10CK10Dz10BK10CB10Dj10At15AQ20CY5CK5BK15At20AQ20Ab20DG10CT10BU4Ab6EA10DO2Fk6FH2Ej10Er10EX10EA9Ab11Fb5CT4AbEG10Ab20AQ5Eb3CB2CK3Dj7DB2CgAh7.10y40g10y50BA5BC15BA5m5Bk10BC10AZ20DM5Be15DY5CL5Cn10Cv5ELDfCfELFpBf10Bi10gCvBfBiBfDTDfCfgFpCn2BfBiBfDT4ELDf8Bi2Cf10Bf6Cf2CnBigBf2BigBi2CfgELCg12ACAh2ES3Ah2DB10Bi10g60EV10AJ10Ei10EH10DX10EE13EM7El10DK10Es10Fw4EMEV2Es7DK6AJ5Ei5EN14EMDK2EV2DXEV5EE5EH5DK5El4EiAJ15EM3DX2Ei4EsBR2FjEUFiFhFjBR5FjEUFiFhFjBR5FjEUFiFh2BR5FjEUFiFhEUBR3AfAUAq2Ap2pAF2kBH10Af10Ap10p20BN10Ap10Aq20Bg2Aq2BHAFBxAz2BVAF10AU10Bg10k10Az10CP2Ff4FKFfCP12Ff3FRFf3FrFGFrCP10DH2Cw2Eq5EW5CA10CE13Bl3FoAwBIBsDvBFCyAKEOExFdAwBs2DvBFCyAKEOExAt10AQ10CY10BK10CY5CB5CK10At5AQ5At20EP2FFFQFTFMFO2FMFFFCFx4DWFuFnEp2FLFuCtAu7Fz4EJ2CtFn3EJ15Dq2EJCt2CZ6EJ4FA4Fu3DW3FC3Fn4Ct3Ep6CZ4Dq6Ct2EpFz',
+    188: 'a20b20q10Af10BV6Bx3Af.10Ea2Bt8Ea5DS5a50AzAf3k4p2b40c10b10j10d10u10ANBpDDAPBpAGhANAGArh2AsDJhAs2f2hi10e10g10AnrAdBnClAgARAxBEAMAnrAdBnClAgARAxBEAMAnrAdBnClAgARAxBEAMAnrAdBnClBDARAxBEAMDuAoDwEFBXCIDECkDaEDDuAoDwEFBXCIDECkDaCeCLBLCCBC2BkAIBeAEmAVmBeAZCdBLBCAECCAIDYCdDMBL2BAAWBCAVAZBA2EZCLAWDYBkmDMCdu10DNAeBBDFEeDmCqCXEcDVAeDpBB4AeEdAeDnn2ASDdCpDoDIEzCFECCF10q2BzCHCGDcEBFBFeBuq4Fqq2EtFcEYCJATBmFgEoCrBwBqDtEKEf3FIEf3FIAT6BwCJ5z3CxCuAA3DhCWAF2BH2p6Aq3BxBVAUBgAUBN2ADxvAOBdAlAiAvBcAjADxvBPBdAlBSAvBcAjCMAhDgCmDUDLBTCcACFaAhEyFmDBCgCmESAC2AhDrlBJABsAHAkwCVAmEklBJABsAHAkwCVAmz2AACxCuAaBbCSDhCWDh10BNAz2kAzAf5k7Ap3BM2BOCUEIBaAiBOAlvx2vAOxAlAiBSvBPl4Ak6DyAyDDBof3Bp3DrlBJABsAHAkwCVAmEklBJABsAHAkwCVAmEGEXFbFHEG4FJFbAwFoBIBsDvBFCyAKAw2i10BYBriDREgBQCzByDkCNBvtDHCwBhBWBlCDCRBGt3EqEWCACEt3AGDbAsCoAyfAPoCbANArAsDJCiBpoEnDe2hFlAcAXBjCOALDiDZDlEvFlAcAXBjCOALDiDZDlEvFdAwBIBsDvBFCyAKEOExe10CaAYDACsERCQEQBtChEREm2DQ2ChEaDPDSDPDSCjBZDsCsCQEQFvFsCaDAChEa2DsDP3DS3At2AQEbCYCKDzBKCBDjBYBri4ETByFtDCDxAbDGCTBUEADOEjErEhAbDx2EGFJFHFJFHAbFky10EpFCFuEJEpDWFxDqFLFACnCvBfBiELDTDfCfgFpg10EVAJEiEHDXEEEMElDKEsAJFwAJENAJEEAJElAJ2BR2FjEUFiFhFjBR5FjEUFiFhEUBR3FNCPFfFRFGFUFKFrCPFru10FzAuCtFnDWFyEpDqCZCta180CoEnBpCbcCiDef2BoAq9AfAnrAdBnClAgARAxBEAMAnrAdBnClAgARAxBEAMAb10Eh4BU6AZ10j50a20DDCocAr2CoDJAsDJcAsCoANcBp4hArAy2ANBp4AGAsBpAs3Bp2Ci2fDy2BpAN3fAN2f2EnAsAr2CbDycCo2DeCoAGANAyCoArAsfAyfCbf4CofcCofcANAs5ArCoAyc6AG2DJAGAyEnANfANArAN2Bp2ANfBp2hAsf2cCoArCoCiANAyf6q2BzCHCGDcEBFBFeBuEBBuBzCH2EBBzCHCG2Fe2BzCHCG2BuCHFeBul10w30Ak7s3ADxvAOBdAlAiAvBcAjAL4AX6CMAhDgCmDUESBTCcACFaAhEyFmDBCgAhESAC2AhES10AL10CW5Aa5AD10AO10AfpBxAFAqBgApAzk2BM2BOCUEIBaBS2AlvBI4AK6b20ANBpCoAGfhfAsc3hfcAyfoArfcb10Bv5BhBWBl3t10b110DbDJ3De5c3Cb4Ci2Cb4f8AP6As2f3o6f3c12Ay4En3f9h4c38h3Dy7Bp3As7h7Db3c3En2Bp3DD2DeAy4Co3As2c15f15h5Cb2DeAs2c3AN2Bpf3Ci2EnCb2Ci6h2AN9h5c5AN3o6f10b30.30g20Bh5Bv6Bh4Bl2CE3j80f10Bo5h5Co5AG4o7f6o8f17o3De3Bo4h3As6f2DJ2f20Ay10AG10c10h3f10h5BpfANh2Bo2DJCbCo2hAr2h6f10oDyc2Ar3Ay3AN2o5As3o2c3Ar10c17f10Ar4AG2Ar4o5As3Co2h10DD2AP3Bo5h20o9AGAr5c10AG5AP2c8o3Db7c10f9Ci5o3AN3DD3Bp2Ay5h10AP5h5i10Br10BQ3FtBY6Eg3i12BrBQBYBy9ET3i8DR2Bs6Cy5BF5AK3ExFdAwBIBsDvBFCyAKEOExe35Cs5CQ2Cj3e3Bt2Ca10EQCh9e5Cj5Fs2ER3Fv2DQ3EQ2BZ8g11CvBfBiELDTDfCfgFpg11CvBfBig2DfCf2CvgCvBfBigDTDfCfg13CvBfBigDTDfCfELFpgCvBfBiELDTDfCfgFpgCvBfBigELDfCfg2ho2As3oAshcAn10r10Ad10Bn5BD5Cl5BD5Ag10AR5r5Ax5Ad5BE5An5AM10An10r10Ad10Bn10Cl10Ag10AR10Ax10BE10AM10An10r10Ad10Bn10Cl10Ag10AR10Ax10BE10AM8AgAMAn10r10Ad10Ag10AM10BD10AR10Ax10BD10Anr2Ad2AgARBD2AMDu10Ao10Ck10CI5DE5Du5Ce5CI10DE10Ck10Ao10ED10Du10Ao10Dw10EF4Ao6BX10CI10DE10Ck10Da10Ce10.100AV10m10Be10AZ10Cd10BL10BC10AE10CC10AI10m30AW10BeDY2CLAV2Cd2BL2Bk6CdAV3AE10AZ7AV3AI10m10BA20EZ10CL10AW10DY10Bk10Be7m3DM10Cd10u10Cq10gCvBfBigBiDfCfg4BfBigDTgBig3CvBfBiBfg2CfgBiDm10u10CX10Ae20DN10Ae10BB10DF10Ee10Dm10Cq10CX10Ec10DV10BB10Dp10BB10u30Ae10Ed10Ae10Dn10n20AS10Dd10Cp10Do10DI10Ez10CF10EC10n20AS10Dd10Cp10n10DI10Dd10CF10AC10q20Bz10CH10CG10Dc5q5EBq4EB5FB2qFB2q5Fe7q3Bu10q20BzCGFqFeEtEB3Bu2Bz10Fqq5Fq2Bu2Dc10Bu10Et5q5Fcq3Fc6EYq3EY6CJ10AT10Bm10Fg10Eo10Cr10Bw10Bq10Dt10EK10Cr5Ef5CJATBm2Bw2EfCrEoDt.30Dz5CK5BK5CB5DO4CT6Be2m8BL5AI5An8BE2r10Ad9AMBn4ClBD5AnrAdBnClAgARAxBEAMAg7AxBEAxEX4DG6Er4Ej6DOEA3Dx6FkFJFHEXFb3EG3AA10z5AA5Bb10AA5z15AA10CW10z10CS10Cu10p20Az4BVBHBxBN2BVAp4Aq2BV2ApBVBNAp2AU2BVAqBxAFBHAf2BV2AF2Af3BVp50Aq20Bx10k6Af4AU10Bg10AU10BN10k10AD10x10v10AO10Bd10Al10Ai10Av10Bc10Aj10AD10x10v10BP10Aj10Al10BS10Av10Bc10Aj10CM10Ah10Dg10Cm10DU10DL10BT10Cc10AC10Fa10Ah10Ey10Fm10DB10Cg10Cm3DL7ES10AC20Ah10Dr5Ek5l10BJ10AB10s10AH10Ak10w10CV3w3l4Am10s10l10BJs5l4AB8Ek2s10AH10Ak10w20Am10CS10z10AA10Cx10Aa20Bb10Aa10Dh10Aa10AA10z10AV2AEAIAZ2BeBkBLAIBCCdCLAWBAm5Cg10BP10BS10Ab10BVBxAFAqpAUBHBNkBgk4p3ApAzAfBg10Az20BH10Az10Af40AF20k60Ap30Ba3Ai2BM2BP3BM10BO10CU10EI10Ba10Ai10Av10Al10v10AV10CC10DYBk9AW10CL7BC4AE9Cd10Be5BA5Bc5Ba15AD10Ba20ADxvAOBdAlAiAvBcAjADxvBPAl2BSAvBcAjAl20Bd20x6BS4Bd10x4AixBSAi3v10BM2BOCUEIBaAiBOAlvx2vAOxAlAiBSvBPBa10ADxvAOAiAlBPBS2BOAi10x10Aj10AX10l6Am4Eq6EW4t13Bv2t2Bh3l5Am5s5AB5w10CV5s5Am10Ek2AB3Dr5l10BJ5w5AB10l5Am5l2Am8s10l20s10Fk10EX10Fb5DO2Fb3CT7Ab3Dx5CT5Dx12FHEr6FHEj9FJDG8BUEAAm5Ak5Aw10AK5Fo5BI7Fd3Bs7EO3Dv7AwAK2BF7Ex3Cy7Fo3AK10Aw8AKFoFdAwBIBsDvBFCyAKEOExBy10Ft2ET3i5CN10BQ7i3DR2i8Eg4iBy2i2BYBr10BY10Cz5i4BrDk9CzDk7CN6Cz4DR3i9BrDR2i4DC9By2i2BrBY5By5i4CN5BQ6DR3Cz4Eg3DC3FtDk4Br5ET2Bv10t10DH10Cw10Bh10BW10Bl10CD10CR10BG10t30Eq10EW10CA10CE10t30d60BD2Cl2AR6BE2AM5Ax3w5CV2AB3f3AN7y20Aa10Bb5Aa5AA5Aa15y40Fl2AL8Ac10AX10Bj10CO10AL10Di10DZ10Dl10Ev10Ac20AX10Bj10AX2Bj2CO6AL10Ac30AX3Ac7Fd10Aw10BI10Bs10Dv10BF10Cy10AK10EO10Ex10e80AY5Ca5Cj5Ch5Ca10AY10ER5DA5Cs10Ds5e5Cj10AY10Bt10Ch10BZ10DQ5CQ5Eu5Em5Cs5e5Bt5BZ7DA3AY5e5Ea5Ds5DP5DQ5DS5EQ5CQ5Fs5Fv5d100e20.70At30AQ10Eb10CY10CK10Dz10BK10CB10Dj10At15Eb5AQ10Dz10CY10CK10e5DA5BK10CB10Dj10Dx8EX2Ab10DG10CT10BU10EA10DO10Ej10Er8AbFkEh8BU2pkAzAf2ApBNAUBgAqAFpBxBHk5BVBd5Bc4x9AD2DZAX2BjCOALDiDZAL2.10s10AH10a10l10EP2FFEPFTEP5y90t10BW5BG5t5Bh5t10Bv5BG5CD7CR5Eq2CA5EWBl10Ct2Ep3FADW4FCFyCtCZ3Dq2Fu2Cn10Cv9FpBf10Bi10CnCvBfBigDTDfCfgELCnBf2BiCvDTBiCfCnELDf8DT2Cf9DTCn2BfBiDT2EL2BiBfg20Cv2BfBiCfgDfCfBiBfj10At10AQ10Eb5CY5s8Dr2DP5Ds5CQ10FLFxFAFCFyAu2CtFzFnEN5DK5AJ10Ei5EMDKEl3EVEH4EsFWElEs2DX5AJ5EE5FwEl9DX2ElEM2AJ3DXDKEEEMElDKAJElAJ2FwAJENElDKDXEEEVAJEiEHDXEEEMElDKEsAJ5EEEMEl3EVFwEiEHDKENEMEEDXEsDK2EiElEHFDEMEVElEsENAJ3DXFDEiDKEHEV3ElEHEiDKENFDDXAJFD2EV2ENDXFwAJDKFDAL10DZ10AL10BD5Ax5BR2FjEUFiFhEUBR5FjEUFiFhFiBR5FjEUFiFh2BR3Cm10AC5Cc5AC5DL5Dg10Cc10EG8AbFkEA5Ab3BUFkd20EG2DO18Eh10k11BH3AzBN3Az2k30FNCPFfCPFGCPFr2CPFrCP2FfCP6FrCP2FfFRCPFUFK2CP2FN2Ff2FU3FK2FrBlCDCREqEWCACECA2BGAL10Di2AX3ALDZ6AXBjAXALDiDZ3AXBjAXBjAXALAXDZ2AXFdAwBIBsDvBFCyAKEOExEP2FFFQFFFMFOFYFOFTCC5AE5y10AyANcAyANf2ANAr2c8ArcBp2ANc2DJfcf2cfBpc2fANBoANch2f6Dyfoc2fCiAyANCbcAsy10FxEpCtDW2Au15Dq5EJ5Fu2CZ5FCFz2FxFLFu2EJFC5Au3FnCt5FnFyFnCtFzDW3Ep3DyDDEnchcf2DeDJAPArAGDbBofCoohBpb10',
+    189: 'a20AA4z6Aa10a10CMAhDgCmDUDLBTCcACFak2BNAfApAzp3kt10DDAN4Bpo2cCiu5Ae5a40BxAFBg2AU2Ap3Az2Af3k4p2b40j20c11fc2DbCiCbEnc3o2f6cANBpDDAPBpAGoANAGArh2AsDJhAs2Dy2hAy5Bo2DJCoDeo2Arf3AP2AGof10c2fhAyc3BoDeAnrAdBnClAgARAxBEAMAnrAdBnClAgARAxBEAMAnrAdBD3AdAg2rAo2DwAoBXCIAoCkCeEDDuAoDwEFBXCIDECkDaCeq2BzCHCGq2BuCGBuAVmBeAZCdBLBCAECCAIAZm6AWAIBABLBAEZCLAWDYBkBCDMCdu6CqCXAe2DNAeBBDFEeDmCqCXEcDVBBDpBBDFEeDmAeEdAeDnn2ASDdCpDoDIEzCFECn2ASDdCpDoDIEzCFECq2BzCHCGDcEBFBFeBuq2BzqFqq2EtFcEYCJATBmFgEoCrBwBqDtEKq2EfFICHDcBuEtqBuDNDpBBDFEeDmCqCXEcDVz3CxCuAa4CWAF2BH2p6Aq3BxBVAUBgAUBN2ADxvAOBdAlAiAvBcAjADxvBPBdAlBSAvBcAjCMAhDgCmDUDLBTCcACFaAhEyFmDBCgFXESEw2AhDrlBJABsAHAkwCVAmEklBJABsAHAkwCVAmz2AACxCuAaBbCSDhCWAA6BbCSDhAaBNAz2kAzAf5k7Ap3BM2BOCUEIBaAiBOAlvx2vAOxAlAiBSvBPl4Ak6s3w5s2DrlBJABsAHAkwCVAmEklBJABsAHAkwCVAmz4Bb3CSDhAaAwFoBIBsDvBFCyAKAw2i10BYBriDREgBQCzByDkCNBvtDHCwBhBWBlCDCRBGBvCwBlEqEWCACEBht2y20FlAcAXBjCOALDiDZDlEvFlFVFPBjFSFEDiDZDlEvFdAwBIBsDvBFCyAKEOExe10CaAYDACsERCQEQe7Chd3DPDSd10BvBlBGCwBht5At2AQEbCYCKDzBKCBDjBYBri4ETByFtDCDxAbDGCTBUEADOEjErEhAbEXFbEGAb2FJFHFkAbEP2FFFQFTFMFOFYEP2DQAYCaEmFsDsEaBtCjBZCnCvBfBiELDTDfCfgFpg10EVAJEiEHDXEEEMElDKEsAJFwAJENAJEEAJElAJ2BR2FjEUFiFhBR4CMEyDgCmDUDgBTEwACAhFNCPFfFRFGFUFKFrCPFrBBu3Ae3EduDnFzAu2FnDWFyEpDqCZCta200Aq5Bx4BgBN2AU3BH4BgAp10Az5Af5Ap5Af5AF10k20BN5Ap5p15k25p10BN5Aq5k30p20k10Af20Az5Ap5Bg5p5Bg5BN5AF10p10Aq10k10Az10Bx10Af20k40Az10p10b300AJ20DK5DX4FwEVAJEiEHDXEEEMElDKEsEVFwElENEsEEEl2DKEsCQCjeDPFvDSe2Fr2Ah10Cg10AJ20j100Az10Af30p5Ap5Af5BN5Ap10Bg5Aq5AF10AU5k5AG6AN4c40h5Ci2Db3Ci2Cb3En2Bo2Dyc10f10h10Co5AG4co20Ar5AGAP4f10De3Bo4Dy3As6Ay2DJ2f20Ay10c33h5BpDDANCi2DJBoDbCbCo2DyAr2o6f10AGANAP2DeAs2Ay5o10Ar10c20f10Ar10h20Bo10h20o10f10c20DD10f20Ci10Bp5f5h10AP10DJ5Bo5De5En5o10As10f10c10AN10o10Db10Dy10AP10Ar10h10As10f10o20c30AG10h20f10h10c10Ay10Bp10Cb10o10b100An10r10Ad10Bn4BD2r2Ad2Cl3Ag17An3BEAR5AdAx10BE4r6BDAM6r3At2CY3Dz2Dj3Bh2Cw2Bl3CE2CAAp5AF5Bx5AU3Az2t9CEAg3r2BD5AR3BnAd6An2rBnrAx5BE3Bn2Cl5r5AM3AgAMo2DyEnDe5AGDDBo2CbAG6AP2cAs6DeAr15Co2AsDe2As10Co3AGCi2Ay3BoDb3DJ3AN7Bo3DD2cDDc10AN5Bp4BoCi2DDh3Ay2DyEn2AN4Bp2DDCi2o10AQ2Eb2CY2Dz2BK2Ap5k5By2BQ4DR2Eg2Ac5FVFPBj6CO2AL4FE3Dl5Ac2DiDu4Ck2Ce4Ao6Da2Ao2Dw6DE4EF3CI4Ck3BX2Da2BX3ED3FNCPFfFRFKCPFr2CPFrFNCPFfFRFGFUFKFrCPFGFn2DW2Ep2Ct2FAEJFCFnFxFzDqCt4FxAu5EJFCCtCZAup5Af3k8Ap6AU6AF7Aq3Bx2BV2Ap4AU4Bx6BH18Bx4Bg6BVp5BV10AV10m10Be10AZ10Cd10BL10BC2m4BCmBC2AE10CC10AI10Ay2f8DJ2En2h16Cb4BoBp5AN3Cb2En2Bp2Enh10Ci3f7Ar10De3f17AI3DM7Cd3BA7AE3EZm3EZ3CL10AW10m3DY3m2DY2AW3Bk7b30u30DF10Ee10Dp10Cq10CX10Ae20DN10Ae10BB10DF3Ae3DF4Ee10Dm10Cq3u3Cq4CX8Dn2Ec7Dn3DV10Bh3EqtCABl3CEBQ7Dk3Aw5BIAK3FoAw6AK2Fo2o10t8CEBlAnr5AR2BDAgEd10CQDQFsFve2BZEQDACai5FtEgBr2Czn20AS10Dd8CF2CpDo4DI2EzCFECAS6Do4n10Dd6ECEzDI2CF3ASCp2AS2ECDdn10p15Af5k10Ap15AU5q2BzCHCGDcEBBu3q2DcqFqq2EtFcEYh10Bg5BV5BGCDCA3CE3Bh2q12BzEt3EBFcEY2Bz5Bu3BzBuCH4Dc3EBCHFBCG5Fe2FqDcFqDc7Fq3Bu3q7FBEB4Fc2EY3Et7Fe3Bu10q20Bz10CH10CG10n30FKFf2FrCPFUFKFrFGFrDy4Co2Bo2Ay2CJ5CrBwBq3AT10Bm10Fg2BwBqDtCrBwBqDtEKEo2EfFIEfCrBwBqDtEKBqCr4CJ5Bw8Ef2BqBm3Bq6Dt2EfFIEo3BqDt2EKAT2Ef2AT2Fg2EKANAy2DyCiEnAG4Bp3DJ2APf4As10f6Bo3EnAG3Bo3Co2De4DD3As5h5Cb3ArAGf10Co2Db3Ar5DJ3Ci2AG3oAyAC10CM5Cc5FX5AC2EyDBEwDg10Cm4BT3CM3Cm10DL5DU5CM10Ah10Cc10AA20z30Cx10CW10Cu10CS10Dh10p4AU2BVp2BVk4Bg4kBVAz4BVBHBxBN2BVAp4Aq2BV2ApBVBNAp2AU2BVAqBxAFBHAf2BV2AF2Af3BVp50Aq20Bx10k6Af4AU10Bg10AU10BN20AD5BS2AD3x10v10CUAO2CUAO6EI2Bd8Al10Ai10BO2Av8Bc5BMBc4Ba3Aj7BS5Av5x10v10BP10AO5Ba5Bdx4Al5BS10Al5AD5BO3v2Bc5Aj10CM10Ah10Dg10Cm10DU10DL10BT10Cc10AC10Fa10Ah10Ey10Fm10DB10Cg10FX10ES10AC5Ew15BT10Dr4CV6l10Ek4BJ6AB10s10AH10Ak10w10s10Am10l20s20Am10Ak20w30CS10z10AA10Cx15CS5Cu10Bb10Aa30Bb20Aa30Dh10CW10z30Bg10Az20BH10Az10Af40AF20k60Ap30Bd2vCU2ADx4BM10BO10CU10EI10Ba10p5k5DBFXEwES2CmCgDUAh2Au2FnDWDqEpAuCtDqEJCz3Dki6b100z10AA10Bb10Dh5CW5z2AACxCuAaBb2AaCWAa6Cu4Aa20AA6Aa2Cu2z2AACxCuAaBbCSDhCWAm6AH4Ak5l5s5w5AB8s2Dr2CV2Ek2BJ2l2Cf2Bi2Cn4Cv2g35Bf5Dr4CV6l10Ek4BJ6AB10Am10AH10Ak10w10s10Am10l20s20Ak30w30l20Ek6BJ4AB5Am5s5Dr5AH6CV4Ak10w10s10l10Aw10AK5Fo5BI10Bs9EODv4Cy3Dv2FdBF9ExCy10AK10Aw20i70BQ5DR4ETEg3DC4Cz3Dk4CN4Ft2BY5By5Br7i3By10Br10Cz5Dk6BY10i3CN6BQ6DR5Eg5DC6i3Ft3ET2Bv10t10DH10Cw10Bh10BW10Bl10CD10CR10BG10Bv10Cw10Bl10Eq10EW10CA10CE10Bh10t20Bv7CA3t10DH10Cw6CD3CwBh7BG3BW10Bl7CR3BW5BG2CE3t10BG10y100Fl7Ac13AX10Bj10CO10AL10Di10DZ7Ac2DZDl10Ev7Ac2ALAX10FV4AcFV3AcFVFP7Dl3Bj10FS8CO2FE10Di4Bj6AL5Dl2FE3Ac20Fd10Aw10BI10Bs10Dv10BF10Cy10AK10EO10Ex10e10Ca2AY3DA2EQEaChDs2DQ2Cj2Cs2CQDSBt2DP2ER2Em2EuBZe60Ca10AY10DA10Cs10Ds5Ch5CQ10EQ5DS5e60ER10Cj10Ea10DP10Cj10Ch10Eu10d100At20AQ10At10CB5BK4CK3Eb3At5CK3CY2Dz3Dj2BK10At10AQ10At6CY3DjAt10AQ7CK3Eb3Dz2BK2CB2DjAt2DjEbCYCKDzDjCB2At10AQ10Eb5CY5CK5Dz2BK3CB5Dj5i30By4BQBy5Ft3ET2CN6BQ6DR4Eg3Br10BQ2BY8Cz3Dk5i4DC4Dx5Ab2DG2Ab11DG5Ab5CT5Ab2CT3BU5Ab5EA5Ab5DO5CT2Ab3Ej5Ab5Er5DxAb4Eh5AbFH3AbFk5DxAb4EX5Ab2EX3Fb5CT2Ab3EG5CTFJ3EhAb10o5Ar5o10h5f5c20EP2FFFQFTFMFOFYEP2Ds2Cj2DS2Ch2Bt2BZ3CQ4AY3s10Am5l5AH10Ak10w10l10EP2FFFQFTFMFOFYEP2DQ10AY10Ca10Em10Fs5Fv5Ds10Cs10Bt20BZ10Cn6Bf4g30EL11DT3BiDTELCfFp2Df3Bi7Cf7Cv3g20Cn10Cv10Bf10Bi10EL10DT10Df10Cf10g10Fp10EV3AJ17Ei9AJEH8EN2DX10EE9ENEM8Fw2El10DK9AJEs5EN5p15Ap15k18BN2BH5Bx5Bg15Az3BV2AF5AU5Aq5BV3Az2BR20Fj10EU10Fi5Fh5i16By3CN2BQ6DR4Eg2Br4BY5CzDk2ET3i2d100CP2FfCP27FfCPFfCPFGCPFKFrCPFrFNCPFfFRFGFUFKFrCPFrFLFx2EJDW3Ct3Ep3CZ2EJDq2FuFLCt3FnCZ2FA2Fx2DW3Ct2CZDq2Fn2Au10h10As4AG2AP4Ay5Bo3Bpc21Dy3AGBp3Cb3Ci2EnDD2Db2ANDDCo2AN2De2DJ2CoArANc10f5DyAy2CifEp3FuFyEJDq2CZ2Au20Fz2Fn2DW3Ct3Au3EJFuFxFy2FC2Fz3FnDW3Ct3Ep3CZ2EJDq2FuFyCt3FnFC2FA2Fx2Au20'
+};
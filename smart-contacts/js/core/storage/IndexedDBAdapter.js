@@ -0,0 +1,117 @@
+import { StorageAdapter } from './StorageAdapter.js';
+
+/**
+ * IndexedDB存储适配器
+ * 每条记录单独保存，编辑一个联系人只写入一条记录；读写均为异步，不阻塞主线程
+ * 数据库结构：
+ * - items：键值项(out-of-line key)
+ * - records：所有集合的记录，主键为[store, id]，按store建立索引
+ */
+export class IndexedDBAdapter extends StorageAdapter {
+    /**
+     * 创建IndexedDB适配器实例
+     * @param {string} [dbName] 数据库名称
+     */
+    constructor(dbName = 'smart-contacts') {
+        super();
+        this.dbName = dbName;
+        this.dbVersion = 1;
+        this.dbPromise = null;
+    }
+
+    /**
+     * 检查浏览器是否支持IndexedDB
+     * @returns {boolean} 是否支持
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * 打开(必要时创建)数据库
+     * @returns {Promise<IDBDatabase>} 数据库连接
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, this.dbVersion);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains('items')) {
+                        db.createObjectStore('items');
+                    }
+                    if (!db.objectStoreNames.contains('records')) {
+                        const records = db.createObjectStore('records', { keyPath: ['store', 'id'] });
+                        records.createIndex('store', 'store');
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch(error => {
+                // 打开失败时允许下次重试
+                this.dbPromise = null;
+                throw error;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * 在事务中执行操作，事务完成后返回结果
+     * @param {string} storeName 对象仓库名
+     * @param {string} mode 事务模式(readonly/readwrite)
+     * @param {Function} operation 接收对象仓库的回调，可返回IDBRequest
+     * @returns {Promise<*>} 请求结果
+     */
+    async transaction(storeName, mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const request = operation(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('IndexedDB事务已中止'));
+        });
+    }
+
+    async getItem(key) {
+        const value = await this.transaction('items', 'readonly', store => store.get(key));
+        return value === undefined ? null : value;
+    }
+
+    async setItem(key, value) {
+        await this.transaction('items', 'readwrite', store => {
+            store.put(String(value), key);
+        });
+    }
+
+    async removeItem(key) {
+        await this.transaction('items', 'readwrite', store => {
+            store.delete(key);
+        });
+    }
+
+    async getRecords(store) {
+        const rows = await this.transaction('records', 'readonly', records =>
+            records.index('store').getAll(store)
+        );
+        return rows.map(row => ({ id: row.id, value: row.value }));
+    }
+
+    async updateRecords(store, puts, deleteIds = []) {
+        // 写入与删除在同一事务中完成，要么全部生效要么全部回滚
+        await this.transaction('records', 'readwrite', records => {
+            puts.forEach(record => records.put({ store, id: record.id, value: record.value }));
+            deleteIds.forEach(id => records.delete([store, id]));
+        });
+    }
+
+    async replaceRecords(store, records) {
+        await this.transaction('records', 'readwrite', objectStore => {
+            // 删除该集合的全部记录后写入新记录
+            objectStore.delete(IDBKeyRange.bound([store, ''], [store, '\uffff']));
+            records.forEach(record => objectStore.put({ store, id: record.id, value: record.value }));
+        });
+    }
+}
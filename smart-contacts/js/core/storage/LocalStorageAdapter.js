@@ -0,0 +1,77 @@
+import { StorageAdapter } from './StorageAdapter.js';
+
+/**
+ * localStorage存储适配器
+ * 键值项直接对应localStorage的键；每个集合的记录以 {id: value} 对象保存在一个键中，
+ * 因此每次写入都会重写整个集合，容量受浏览器约5MB配额限制
+ */
+export class LocalStorageAdapter extends StorageAdapter {
+    /**
+     * 创建localStorage适配器实例
+     * @param {Storage} [storage] Web Storage对象，默认为localStorage(也可传入sessionStorage)
+     */
+    constructor(storage = localStorage) {
+        super();
+        this.storage = storage;
+        // 记录集合的键名前缀，避免与键值项冲突
+        this.recordPrefix = 'records:';
+    }
+
+    async getItem(key) {
+        return this.storage.getItem(key);
+    }
+
+    async setItem(key, value) {
+        this.storage.setItem(key, value);
+    }
+
+    async removeItem(key) {
+        this.storage.removeItem(key);
+    }
+
+    async getRecords(store) {
+        return Object.entries(this.readStore(store)).map(([id, value]) => ({ id, value }));
+    }
+
+    async updateRecords(store, puts, deleteIds = []) {
+        const records = this.readStore(store);
+        puts.forEach(record => {
+            records[record.id] = record.value;
+        });
+        deleteIds.forEach(id => {
+            delete records[id];
+        });
+        this.writeStore(store, records);
+    }
+
+    async replaceRecords(store, records) {
+        const map = {};
+        records.forEach(record => {
+            map[record.id] = record.value;
+        });
+        this.writeStore(store, map);
+    }
+
+    /**
+     * 读取集合对象
+     * @param {string} store 集合名
+     * @returns {Object} id到值的映射
+     */
+    readStore(store) {
+        const stored = this.storage.getItem(this.recordPrefix + store);
+        return stored ? JSON.parse(stored) : {};
+    }
+
+    /**
+     * 写入集合对象(空集合时删除键)
+     * @param {string} store 集合名
+     * @param {Object} records id到值的映射
+     */
+    writeStore(store, records) {
+        if (Object.keys(records).length === 0) {
+            this.storage.removeItem(this.recordPrefix + store);
+        } else {
+            this.storage.setItem(this.recordPrefix + store, JSON.stringify(records));
+        }
+    }
+}
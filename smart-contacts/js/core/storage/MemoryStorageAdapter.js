@@ -0,0 +1,51 @@
+import { StorageAdapter } from './StorageAdapter.js';
+
+/**
+ * 内存存储适配器
+ * 数据只保存在当前页面内存中，刷新即丢失，用于测试和不允许持久化的环境
+ */
+export class MemoryStorageAdapter extends StorageAdapter {
+    constructor() {
+        super();
+        this.items = new Map();
+        this.stores = new Map();
+    }
+
+    async getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    async setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    async removeItem(key) {
+        this.items.delete(key);
+    }
+
+    async getRecords(store) {
+        return Array.from(this.getStore(store), ([id, value]) => ({ id, value }));
+    }
+
+    async updateRecords(store, puts, deleteIds = []) {
+        const records = this.getStore(store);
+        puts.forEach(record => records.set(record.id, record.value));
+        deleteIds.forEach(id => records.delete(id));
+    }
+
+    async replaceRecords(store, records) {
+        this.stores.set(store, new Map(records.map(record => [record.id, record.value])));
+    }
+
+    /**
+     * 获取(必要时创建)集合
+     * @param {string} store 集合名
+     * @returns {Map<string, string>} 集合
+     */
+    getStore(store) {
+        if (!this.stores.has(store)) {
+            this.stores.set(store, new Map());
+        }
+        return this.stores.get(store);
+    }
+}
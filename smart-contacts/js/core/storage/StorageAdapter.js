@@ -0,0 +1,88 @@
+/**
+ * 存储适配器基类
+ * 定义持久化存储的统一异步接口，具体实现由子类提供：
+ * - 键值项(item)：保存密钥参数等单个字符串
+ * - 记录(record)：按集合(store)保存的独立记录，如每个联系人一条
+ */
+export class StorageAdapter {
+    /**
+     * 读取键值项
+     * @param {string} key 键名
+     * @returns {Promise<string|null>} 保存的值，不存在时为null
+     */
+    async getItem(key) {
+        throw new Error(`${this.constructor.name}未实现getItem()`);
+    }
+
+    /**
+     * 写入键值项
+     * @param {string} key 键名
+     * @param {string} value 值
+     * @returns {Promise<void>}
+     */
+    async setItem(key, value) {
+        throw new Error(`${this.constructor.name}未实现setItem()`);
+    }
+
+    /**
+     * 删除键值项
+     * @param {string} key 键名
+     * @returns {Promise<void>}
+     */
+    async removeItem(key) {
+        throw new Error(`${this.constructor.name}未实现removeItem()`);
+    }
+
+    /**
+     * 读取集合中的全部记录
+     * @param {string} store 集合名
+     * @returns {Promise<Array<{id: string, value: string}>>} 记录数组
+     */
+    async getRecords(store) {
+        throw new Error(`${this.constructor.name}未实现getRecords()`);
+    }
+
+    /**
+     * 在一次操作中写入和删除集合中的记录
+     * @param {string} store 集合名
+     * @param {Array<{id: string, value: string}>} puts 要写入(新增或覆盖)的记录
+     * @param {string[]} [deleteIds] 要删除的记录ID
+     * @returns {Promise<void>}
+     */
+    async updateRecords(store, puts, deleteIds = []) {
+        throw new Error(`${this.constructor.name}未实现updateRecords()`);
+    }
+
+    /**
+     * 用给定记录整体替换集合内容
+     * @param {string} store 集合名
+     * @param {Array<{id: string, value: string}>} records 新的全部记录
+     * @returns {Promise<void>}
+     */
+    async replaceRecords(store, records) {
+        throw new Error(`${this.constructor.name}未实现replaceRecords()`);
+    }
+
+    /**
+     * 从另一个适配器迁移键值项(目标已存在的项不覆盖)，迁移后删除源数据
+     * @param {StorageAdapter} source 源适配器
+     * @param {string[]} keys 要迁移的键名
+     * @returns {Promise<number>} 迁移的项数
+     */
+    async migrateItemsFrom(source, keys) {
+        let migrated = 0;
+        for (const key of keys) {
+            const value = await source.getItem(key);
+            if (value === null) {
+                continue;
+            }
+            // 先写入目标再删除源，中断后重复执行也不会丢失数据
+            if (await this.getItem(key) === null) {
+                await this.setItem(key, value);
+                migrated++;
+            }
+            await source.removeItem(key);
+        }
+        return migrated;
+    }
+}
@@ -1,4 +1,14 @@
 import { Modal } from './Modal.js';
+import { Contact, PHONE_LABELS, EMAIL_LABELS, TAG_SEPARATORS } from '../core/Contact.js';
+import { PhoneNumber } from '../core/PhoneNumber.js';
+import { ContactValidator } from '../core/ContactSchema.js';
+
+// 错误信息对应的输入框(未列出的字段按同名ID查找)
+const FIELD_INPUTS = {
+    phones: 'phoneList',
+    emails: 'emailList',
+    tags: 'tagEditor'
+};
 
 /**
  * 添加/编辑联系人模态框
@@ -16,7 +26,17 @@ export class AddContactModal extends Modal {
         this.onSave = onSave;
         this.onUpdate = onUpdate;
         this.editingContactId = null;
+        this.phoneList = document.getElementById('phoneList');
+        this.emailList = document.getElementById('emailList');
+        this.tagEditor = document.getElementById('tagEditor');
+        this.tagInput = document.getElementById('tagInput');
+        this.tagSuggestions = document.getElementById('tagSuggestions');
+        // 当前编辑中的标签
+        this.tags = [];
+        // 与ContactManager共用的字段规则，提交前先在表单中校验
+        this.validator = new ContactValidator();
         this.initForm();
+        this.initTagEditor();
     }
 
     /**
@@ -27,6 +47,175 @@ export class AddContactModal extends Modal {
             e.preventDefault();
             this.handleSubmit();
         });
+
+        document.getElementById('addPhoneBtn').addEventListener('click', () => {
+            this.addRow(this.phoneList, PHONE_LABELS).querySelector('input').focus();
+        });
+        document.getElementById('addEmailBtn').addEventListener('click', () => {
+            this.addRow(this.emailList, EMAIL_LABELS).querySelector('input').focus();
+        });
+
+        // 删除某一行电话/邮箱(事件委托)
+        this.form.addEventListener('click', (e) => {
+            const button = e.target.closest('.value-remove');
+            if (button) {
+                button.closest('.value-row').remove();
+            }
+        });
+
+        // 修改输入后清除该项的错误提示
+        this.form.addEventListener('input', (e) => {
+            const target = e.target.closest('.value-row') || e.target.closest('.tag-editor') || e.target;
+            this.clearFieldError(target);
+        });
+    }
+
+    /**
+     * 初始化标签编辑器：回车或逗号添加标签，退格删除最后一个，点击✕删除
+     */
+    initTagEditor() {
+        this.tagInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ',' || e.key === '，') {
+                // 回车不提交表单
+                e.preventDefault();
+                this.addTags(this.tagInput.value);
+            } else if (e.key === 'Backspace' && this.tagInput.value === '' && this.tags.length > 0) {
+                this.tags.pop();
+                this.renderTags();
+            }
+        });
+
+        // 从自动补全列表中选择已有标签时直接添加
+        this.tagInput.addEventListener('input', (e) => {
+            const fromList = !(e instanceof InputEvent) || e.inputType === 'insertReplacementText';
+            const options = Array.from(this.tagSuggestions.options).map(option => option.value);
+            if (fromList && options.includes(this.tagInput.value)) {
+                this.addTags(this.tagInput.value);
+            }
+        });
+
+        this.tagEditor.addEventListener('click', (e) => {
+            const button = e.target.closest('.tag-remove');
+            if (button) {
+                this.tags = this.tags.filter(tag => tag !== button.dataset.tag);
+                this.renderTags();
+            } else {
+                this.tagInput.focus();
+            }
+        });
+    }
+
+    /**
+     * 添加标签(可一次输入以逗号或分号分隔的多个标签)
+     * @param {string} text 输入的文本
+     */
+    addTags(text) {
+        this.tags = Contact.normalizeTags([...this.tags, ...text.split(TAG_SEPARATORS)]);
+        this.tagInput.value = '';
+        this.renderTags();
+    }
+
+    /**
+     * 渲染已添加的标签
+     */
+    renderTags() {
+        this.tagEditor.querySelectorAll('.tag-chip').forEach(chip => chip.remove());
+        this.tags.forEach(tag => {
+            const chip = document.createElement('span');
+            chip.className = 'tag-chip';
+            chip.textContent = tag;
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.className = 'tag-remove';
+            removeButton.dataset.tag = tag;
+            removeButton.title = '删除';
+            removeButton.textContent = '✕';
+            chip.appendChild(removeButton);
+            this.tagEditor.insertBefore(chip, this.tagInput);
+        });
+    }
+
+    /**
+     * 更新标签自动补全列表
+     * @param {string[]} tags 已有的标签
+     */
+    setTagSuggestions(tags) {
+        this.tagSuggestions.innerHTML = '';
+        tags.forEach(tag => this.tagSuggestions.appendChild(new Option(tag, tag)));
+    }
+
+    /**
+     * 根据类别设置更新类别下拉框(保留当前选中的类别)
+     * @param {string[]} names 类别名称(按显示顺序)
+     */
+    setCategories(names) {
+        const select = document.getElementById('category');
+        const selected = select.value;
+        select.innerHTML = '';
+        names.forEach(name => select.add(new Option(name, name)));
+        if (names.includes(selected)) {
+            select.value = selected;
+        }
+    }
+
+    /**
+     * 添加一行带标签的输入(电话或邮箱)
+     * @param {HTMLElement} list 行容器
+     * @param {string[]} labels 可选标签
+     * @param {{label: string, value: string}} [item] 预填的值
+     * @returns {HTMLElement} 新增的行
+     */
+    addRow(list, labels, item = null) {
+        const row = document.createElement('div');
+        row.className = 'value-row';
+
+        const select = document.createElement('select');
+        select.className = 'value-label';
+        labels.forEach(label => select.add(new Option(label, label)));
+
+        const input = document.createElement('input');
+        input.className = 'value-input';
+        input.type = list === this.emailList ? 'email' : 'tel';
+        if (input.type === 'tel') {
+            input.placeholder = '如 138 0013 8000、010-12345678 转 123';
+        }
+
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'value-remove';
+        removeButton.title = '删除';
+        removeButton.textContent = '✕';
+
+        if (item) {
+            select.value = labels.includes(item.label) ? item.label : labels[0];
+            input.value = item.value;
+        }
+
+        row.append(select, input, removeButton);
+        list.appendChild(row);
+        return row;
+    }
+
+    /**
+     * 获取已填写的行(忽略空行，顺序与collectRows的结果一致)
+     * @param {HTMLElement} list 行容器
+     * @returns {HTMLElement[]} 行元素
+     */
+    getFilledRows(list) {
+        return Array.from(list.querySelectorAll('.value-row'))
+            .filter(row => row.querySelector('.value-input').value.trim() !== '');
+    }
+
+    /**
+     * 读取一组行的值(忽略空行)
+     * @param {HTMLElement} list 行容器
+     * @returns {Array<{label: string, value: string}>} 带标签的值列表
+     */
+    collectRows(list) {
+        return this.getFilledRows(list).map(row => ({
+            label: row.querySelector('.value-label').value,
+            value: row.querySelector('.value-input').value.trim()
+        }));
     }
 
     /**
@@ -34,30 +223,52 @@ export class AddContactModal extends Modal {
      * @param {Contact} contact 要编辑的联系人对象
      */
     editContact(contact) {
+        // 先重置再预填充(show()会重置表单，这里直接调用基类的显示方法)
+        this.reset();
         this.editingContactId = contact.id;
         
         // 预填充表单
         document.getElementById('name').value = contact.name;
-        document.getElementById('phone').value = contact.phone;
-        document.getElementById('address').value = contact.address;
+        this.phoneList.innerHTML = '';
+        // 保存的是规范格式(如 +8613800138000)，编辑时显示为常用写法
+        contact.phones.forEach(phone => this.addRow(this.phoneList, PHONE_LABELS, { ...phone, value: PhoneNumber.format(phone.value) }));
+        if (contact.phones.length === 0) {
+            this.addRow(this.phoneList, PHONE_LABELS);
+        }
+        contact.emails.forEach(email => this.addRow(this.emailList, EMAIL_LABELS, email));
+        document.getElementById('company').value = contact.company;
+        document.getElementById('title').value = contact.title;
+        document.getElementById('postalAddress').value = contact.postalAddress;
         document.getElementById('category').value = contact.category;
+        this.tags = [...contact.tags];
+        this.renderTags();
         
         // 修改模态框标题
         document.querySelector('#contactModal .modal-title').textContent = '编辑联系人';
         
         // 显示模态框
-        this.show();
+        super.show();
     }
 
     /**
      * 处理表单提交
      */
     async handleSubmit() {
+        // 输入框中尚未确认的标签一并保存
+        if (this.tagInput.value.trim()) {
+            this.addTags(this.tagInput.value);
+        }
+
+        this.clearErrors();
         const contactData = {
             name: document.getElementById('name').value.trim(),
-            phone: document.getElementById('phone').value.trim(),
-            address: document.getElementById('address').value.trim(),
-            category: document.getElementById('category').value
+            phones: this.collectRows(this.phoneList),
+            emails: this.collectRows(this.emailList),
+            company: document.getElementById('company').value.trim(),
+            title: document.getElementById('title').value.trim(),
+            postalAddress: document.getElementById('postalAddress').value.trim(),
+            category: document.getElementById('category').value,
+            tags: [...this.tags]
         };
 
         // 验证表单数据
@@ -86,8 +297,10 @@ export class AddContactModal extends Modal {
             
             if (result.success) {
                 this.close();
+            } else if (result.errors) {
+                // 在对应的输入框旁显示各字段的错误
+                this.showErrors(result.errors);
             } else {
-                // 显示错误提示
                 this.showError(result.error || '操作失败，请重试');
             }
         } catch (error) {
@@ -97,58 +310,99 @@ export class AddContactModal extends Modal {
     }
 
     /**
-     * 验证表单数据
+     * 验证表单数据(规则见CONTACT_SCHEMA)，不通过时在输入框旁显示错误
      * @param {Object} contactData 联系人数据
      * @returns {boolean} 验证是否通过
      */
     validateForm(contactData) {
-        // 检查必填字段
-        if (!contactData.name || !contactData.phone || !contactData.address) {
-            this.showError('请填写所有必填字段');
-            return false;
+        const { valid, errors } = this.validator.validate(contactData);
+        if (!valid) {
+            this.showErrors(errors);
         }
-        
-        // 简单的手机号验证(可选) - 放宽验证条件
-        if (contactData.phone.length === 11 && !/^1\d{10}$/.test(contactData.phone)) {
-            this.showError('请输入有效的11位手机号码');
-            return false;
+        return valid;
+    }
+
+    /**
+     * 在各输入框旁显示错误信息，并聚焦第一个出错的输入框
+     * @param {Object} errors 字段名(列表项为"字段名.序号")到错误信息的映射
+     */
+    showErrors(errors) {
+        this.clearErrors();
+        const targets = [];
+        Object.entries(errors).forEach(([key, message]) => {
+            const target = this.getErrorTarget(key);
+            if (!target) {
+                this.showError(message);
+                return;
+            }
+            const errorElement = document.createElement('div');
+            errorElement.className = 'field-error';
+            errorElement.textContent = message;
+            target.classList.add('invalid');
+            target.after(errorElement);
+            targets.push(target);
+        });
+
+        // 按在表单中的位置聚焦第一个出错的输入框
+        const [first] = targets.sort((a, b) => a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1);
+        const input = first && (first.matches('input, select') ? first : first.querySelector('input'));
+        if (input) {
+            input.focus();
         }
-        
-        // 至少7位数字的简单验证
-        if (!/^\d{7,}$/.test(contactData.phone)) {
-            this.showError('电话号码至少需要7位数字');
-            return false;
+    }
+
+    /**
+     * 获取错误信息对应的元素
+     * @param {string} key 字段名，列表项为"字段名.序号"(如 phones.1)
+     * @returns {HTMLElement|null} 输入框、列表中的某一行或整个列表
+     */
+    getErrorTarget(key) {
+        const [field, index] = key.split('.');
+        const element = document.getElementById(FIELD_INPUTS[field] || field);
+        if (!element || !this.form.contains(element)) {
+            return null;
         }
-        
-        return true;
+        if (index !== undefined && element.classList.contains('value-list')) {
+            return this.getFilledRows(element)[Number(index)] || element;
+        }
+        return element;
+    }
+
+    /**
+     * 清除某个输入框(或某一行)的错误提示
+     * @param {HTMLElement} target 出错的元素
+     */
+    clearFieldError(target) {
+        // 修改列表中的一行时，一并清除整个列表的错误(如"请至少填写一个电话")
+        const list = target.closest('.value-list');
+        [target, list].filter(Boolean).forEach(element => {
+            element.classList.remove('invalid');
+            const next = element.nextElementSibling;
+            if (next && next.classList.contains('field-error')) {
+                next.remove();
+            }
+        });
+    }
+
+    /**
+     * 清除全部错误提示
+     */
+    clearErrors() {
+        this.form.querySelectorAll('.field-error').forEach(element => element.remove());
+        this.form.querySelectorAll('.invalid').forEach(element => element.classList.remove('invalid'));
     }
 
     /**
-     * 显示错误提示
+     * 显示与具体字段无关的错误(如保存失败)，位于保存按钮上方
      * @param {string} message 错误信息
      */
     showError(message) {
-        // 检查是否已有错误提示元素
-        let errorElement = this.form.querySelector('.error-message');
-        
-        if (!errorElement) {
-            // 创建错误提示元素
-            errorElement = document.createElement('div');
-            errorElement.className = 'error-message';
-            // 插入到表单内部的顶部
-            this.form.insertBefore(errorElement, this.form.firstChild);
-        }
-        
-        // 设置错误信息并显示
+        const actions = this.form.querySelector('.action-buttons');
+        this.form.querySelectorAll('.form-error').forEach(element => element.remove());
+        const errorElement = document.createElement('div');
+        errorElement.className = 'field-error form-error';
         errorElement.textContent = message;
-        errorElement.style.display = 'block';
-        
-        // 5秒后自动隐藏错误提示
-        setTimeout(() => {
-            if (errorElement && errorElement.parentNode === this.form) {
-                errorElement.style.display = 'none';
-            }
-        }, 5000);
+        this.form.insertBefore(errorElement, actions);
     }
 
     /**
@@ -157,13 +411,16 @@ export class AddContactModal extends Modal {
     reset() {
         this.form.reset();
         this.editingContactId = null;
+        // 电话默认保留一行手机号，邮箱默认为空
+        this.phoneList.innerHTML = '';
+        this.emailList.innerHTML = '';
+        this.addRow(this.phoneList, PHONE_LABELS);
+        this.tags = [];
+        this.renderTags();
         // 重置模态框标题
         document.querySelector('#contactModal .modal-title').textContent = '添加联系人';
         // 清空错误信息
-        const errorElement = this.form.querySelector('.error-message');
-        if (errorElement) {
-            errorElement.textContent = '';
-        }
+        this.clearErrors();
     }
 
     /**
@@ -0,0 +1,186 @@
+import { Modal } from './Modal.js';
+import { escapeHtml } from '../utils/html.js';
+
+/**
+ * 分类管理模态框
+ * 继承自Modal基类，提供新建、重命名、修改颜色、调整顺序和删除分类
+ */
+export class CategoryModal extends Modal {
+    /**
+     * 创建分类管理模态框实例
+     * @param {ContactManager} contactManager 联系人管理器实例
+     */
+    constructor(contactManager) {
+        super('categoryModal');
+        this.contactManager = contactManager;
+        this.listContainer = document.getElementById('categoryManagerList');
+        this.form = document.getElementById('categoryForm');
+        this.nameInput = document.getElementById('newCategoryName');
+        this.colorInput = document.getElementById('newCategoryColor');
+        // 正在选择联系人去向的待删除分类ID
+        this.pendingDeleteId = null;
+        this.initCategoryEvents();
+    }
+
+    /**
+     * 初始化分类管理事件
+     */
+    initCategoryEvents() {
+        this.form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const result = await this.contactManager.addCategory(this.nameInput.value.trim(), this.colorInput.value);
+            if (result.success) {
+                this.nameInput.value = '';
+            } else {
+                alert(result.error);
+            }
+            this.render();
+        });
+
+        // 名称、颜色修改后保存(事件委托)
+        this.listContainer.addEventListener('change', (e) => {
+            const row = e.target.closest('.category-row');
+            if (!row) {
+                return;
+            }
+            if (e.target.dataset.field === 'name') {
+                this.update(row.dataset.id, { name: e.target.value.trim() });
+            } else if (e.target.dataset.field === 'color') {
+                this.update(row.dataset.id, { color: e.target.value });
+            }
+        });
+
+        // 排序、删除按钮(事件委托)
+        this.listContainer.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) {
+                return;
+            }
+            const id = button.closest('[data-id]').dataset.id;
+            switch (button.dataset.action) {
+                case 'up':
+                    this.move(id, -1);
+                    break;
+                case 'down':
+                    this.move(id, 1);
+                    break;
+                case 'delete':
+                    this.requestDelete(id);
+                    break;
+                case 'confirm-delete':
+                    this.remove(id, this.listContainer.querySelector('.category-reassign select').value);
+                    break;
+                case 'cancel-delete':
+                    this.pendingDeleteId = null;
+                    this.render();
+                    break;
+            }
+        });
+    }
+
+    /**
+     * 修改分类名称或颜色
+     * @param {string} id 分类ID
+     * @param {Object} changes 要修改的属性
+     */
+    async update(id, changes) {
+        const result = await this.contactManager.updateCategory(id, changes);
+        if (!result.success) {
+            alert(result.error);
+        }
+        this.render();
+    }
+
+    /**
+     * 调整分类顺序
+     * @param {string} id 分类ID
+     * @param {number} offset 移动的位置数
+     */
+    async move(id, offset) {
+        await this.contactManager.moveCategory(id, offset);
+        this.render();
+    }
+
+    /**
+     * 删除分类：没有联系人时确认后直接删除，否则先选择联系人移入的分类
+     * @param {string} id 分类ID
+     */
+    requestDelete(id) {
+        const category = this.contactManager.categories.getById(id);
+        if (!category) {
+            return;
+        }
+        if (this.contactManager.categories.getAll().length === 1) {
+            alert('至少需要保留一个分类');
+            return;
+        }
+        if (this.contactManager.countContactsInCategory(category.name) > 0) {
+            this.pendingDeleteId = id;
+            this.render();
+            return;
+        }
+        if (confirm(`确定要删除分类 "${category.name}" 吗？`)) {
+            this.remove(id);
+        }
+    }
+
+    /**
+     * 执行删除
+     * @param {string} id 分类ID
+     * @param {string} [reassignTo] 联系人移入的分类
+     */
+    async remove(id, reassignTo = null) {
+        const result = await this.contactManager.deleteCategory(id, reassignTo);
+        if (!result.success) {
+            alert(result.error);
+        }
+        this.pendingDeleteId = null;
+        this.render();
+    }
+
+    /**
+     * 渲染分类列表
+     */
+    render() {
+        const categories = this.contactManager.categories.getAll();
+
+        this.listContainer.innerHTML = categories.map((category, index) => {
+            const count = this.contactManager.countContactsInCategory(category.name);
+            const row = `
+                <li class="category-row" data-id="${category.id}">
+                    <input type="color" data-field="color" value="${category.color}" title="标签颜色">
+                    <input type="text" data-field="name" value="${escapeHtml(category.name)}" maxlength="${this.contactManager.categories.maxNameLength}">
+                    <span class="category-count">${count} 人</span>
+                    <button type="button" class="btn btn-icon" data-action="up" title="上移" ${index === 0 ? 'disabled' : ''}>↑</button>
+                    <button type="button" class="btn btn-icon" data-action="down" title="下移" ${index === categories.length - 1 ? 'disabled' : ''}>↓</button>
+                    <button type="button" class="value-remove" data-action="delete" title="删除">✕</button>
+                </li>
+            `;
+            if (category.id !== this.pendingDeleteId) {
+                return row;
+            }
+
+            const targets = categories
+                .filter(item => item.id !== category.id)
+                .map(item => `<option value="${escapeHtml(item.name)}">${escapeHtml(item.name)}</option>`)
+                .join('');
+            return row + `
+                <li class="category-reassign" data-id="${category.id}">
+                    <span>将 ${count} 个联系人移入</span>
+                    <select>${targets}</select>
+                    <button type="button" class="btn btn-danger" data-action="confirm-delete">删除分类</button>
+                    <button type="button" class="btn" data-action="cancel-delete">取消</button>
+                </li>
+            `;
+        }).join('');
+    }
+
+    /**
+     * 重写显示方法：显示前刷新分类列表
+     */
+    show() {
+        this.pendingDeleteId = null;
+        this.render();
+        super.show();
+    }
+}
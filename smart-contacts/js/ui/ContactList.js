@@ -1,3 +1,12 @@
+import { VirtualGrid } from './VirtualGrid.js';
+import { SORT_KEYS } from '../core/ContactManager.js';
+import { escapeHtml } from '../utils/html.js';
+
+/**
+ * 字母索引栏中的分组(非字母开头的姓名归入#)
+ */
+const SECTION_LETTERS = [...'ABCDEFGHIJKLMNOPQRSTUVWXYZ', '#'];
+
 /**
  * 联系人列表UI渲染类
  * 负责联系人列表的展示与交互
@@ -7,15 +16,50 @@
    * 创建联系人列表实例
    * @param {ContactManager} contactManager 联系人管理器实例
    * @param {DetailModal} detailModal 详情模态框实例
+   * @param {DuplicateModal} [duplicateModal] 重复联系人模态框实例(用于合并选中的联系人)
+   * @param {Function} [onBatchChange] 批量操作成功后的回调(接收操作说明，用于提示撤销)
    */
-  constructor(contactManager, detailModal) {
+  constructor(contactManager, detailModal, duplicateModal = null, onBatchChange = null) {
       this.contactManager = contactManager;
       this.detailModal = detailModal;
+      this.duplicateModal = duplicateModal;
+      this.onBatchChange = onBatchChange;
       this.container = document.getElementById('contactList');
+      this.tabsContainer = document.querySelector('.category-tabs');
+      this.tagFilterContainer = document.getElementById('tagFilter');
+      this.locationFilterContainer = document.getElementById('locationFilter');
+      this.favoriteContainer = document.getElementById('favoriteStrip');
+      this.fuzzyCheckbox = document.getElementById('fuzzyPinyin');
+      this.searchInput = document.querySelector('.search-box input');
+      this.searchError = document.getElementById('searchError');
+      this.letterRail = document.getElementById('letterRail');
+      this.letterIndicator = document.getElementById('letterIndicator');
+      this.sortSelect = document.getElementById('sortOrder');
+      this.secondarySortSelect = document.getElementById('sortOrderSecondary');
+      this.selectModeButton = document.getElementById('selectModeBtn');
+      this.batchBar = document.getElementById('batchBar');
       this.currentCategory = 'all';
       this.currentKeyword = '';
-      this.currentSortOrder = 'desc'; // 默认按创建时间降序排序
+      // 标签筛选：选中的标签及匹配方式('or'包含任一，'and'全部包含)
+      this.selectedTags = [];
+      this.tagMode = 'or';
+      // 号码归属地筛选：省份和运营商(空字符串表示不限)
+      this.locationFilter = { province: '', carrier: '' };
+      // 批量选择：是否处于选择模式、选中的联系人ID，以及Shift连选的起点
+      this.selectionMode = false;
+      this.selectedIds = new Set();
+      this.selectionAnchor = null;
+      // 只渲染可见区域的卡片(键盘回车打开详情)
+      this.grid = new VirtualGrid(this.container, {
+          renderItem: (contact, active) => this.renderCard(contact, active),
+          getKey: contact => contact.id,
+          onActivate: contact => this.selectionMode
+              ? this.toggleSelection(contact.id)
+              : this.detailModal.showContact(contact)
+      });
+      this.renderSortOptions();
       this.initEvents();
+      this.initLetterRail();
   }
 
   /**
@@ -23,24 +67,86 @@
      */
     initEvents() {
         // 分类标签点击事件委托
-        document.querySelector('.category-tabs').addEventListener('click', (e) => {
+        this.tabsContainer.addEventListener('click', (e) => {
             if (e.target.classList.contains('tab-btn')) {
-                // 更新活跃状态
-                document.querySelectorAll('.tab-btn').forEach(btn => 
-                    btn.classList.remove('active')
-                );
-                e.target.classList.add('active');
-                // 筛选联系人
+                // 筛选联系人(重新渲染时更新活跃状态)
                 this.currentCategory = e.target.dataset.category;
                 this.render();
             }
         });
 
+        // 标签筛选栏事件委托
+        this.tagFilterContainer.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (!button) {
+                return;
+            }
+            if (button.classList.contains('tag-filter-clear')) {
+                this.selectedTags = [];
+            } else if (button.dataset.tag !== undefined) {
+                const tag = button.dataset.tag;
+                this.selectedTags = this.selectedTags.includes(tag)
+                    ? this.selectedTags.filter(item => item !== tag)
+                    : [...this.selectedTags, tag];
+            }
+            this.render();
+        });
+        this.tagFilterContainer.addEventListener('change', (e) => {
+            if (e.target.classList.contains('tag-mode')) {
+                this.tagMode = e.target.value;
+                this.render();
+            }
+        });
+
+        // 号码归属地筛选栏事件委托
+        this.locationFilterContainer.addEventListener('change', (e) => {
+            const key = e.target.dataset.filter;
+            if (key) {
+                this.locationFilter = { ...this.locationFilter, [key]: e.target.value };
+                this.render();
+            }
+        });
+        this.locationFilterContainer.addEventListener('click', (e) => {
+            if (e.target.classList.contains('tag-filter-clear')) {
+                this.locationFilter = { province: '', carrier: '' };
+                this.render();
+            }
+        });
+
+        // 联系人卡片点击事件委托：星标按钮切换常用状态，其他位置查看详情(选择模式下为选中，按住Shift连选)
+        this.container.addEventListener('click', (e) => {
+            const card = e.target.closest('.contact-card');
+            if (!card) {
+                return;
+            }
+            this.grid.setActiveKey(card.dataset.id);
+            if (e.target.closest('.favorite-toggle')) {
+                this.toggleFavorite(card.dataset.id);
+                return;
+            }
+            if (this.selectionMode) {
+                this.toggleSelection(card.dataset.id, e.shiftKey);
+                return;
+            }
+            const contact = this.contactManager.getContactById(card.dataset.id);
+            if (contact) {
+                this.detailModal.showContact(contact);
+            }
+        });
+
+        // 常用联系人栏：点击查看详情
+        this.favoriteContainer.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-id]');
+            const contact = item && this.contactManager.getContactById(item.dataset.id);
+            if (contact) {
+                this.detailModal.showContact(contact);
+            }
+        });
+
         // 搜索框事件 - 添加防抖处理
-        const searchInput = document.querySelector('.search-box input');
         let searchTimeout;
         
-        searchInput.addEventListener('input', (e) => {
+        this.searchInput.addEventListener('input', (e) => {
             const value = e.target.value.trim();
             
             // 清除之前的定时器
@@ -53,62 +159,542 @@
             }, 300);
         });
         
-        // 排序选项变化事件
-        const sortSelect = document.getElementById('sortOrder');
-        sortSelect.addEventListener('change', (e) => {
-            this.currentSortOrder = e.target.value;
+        // 拼音模糊音开关
+        this.fuzzyCheckbox.addEventListener('change', async () => {
+            await this.contactManager.setFuzzyPinyin(this.fuzzyCheckbox.checked);
             this.render();
         });
+        
+        // 排序选项变化事件(保存为用户设置)
+        const saveSortOrder = async () => {
+            await this.contactManager.setSortOrder(this.sortSelect.value, this.secondarySortSelect.value || null);
+            this.render();
+        };
+        this.sortSelect.addEventListener('change', saveSortOrder);
+        this.secondarySortSelect.addEventListener('change', saveSortOrder);
+
+        // 批量选择
+        this.selectModeButton.addEventListener('click', () => this.setSelectionMode(!this.selectionMode));
+        this.batchBar.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-batch]');
+            if (button) {
+                this.handleBatchAction(button.dataset.batch);
+            }
+        });
+        this.batchBar.addEventListener('change', (e) => {
+            if (e.target.dataset.batch === 'category' && e.target.value) {
+                this.handleBatchAction('category');
+            }
+        });
+    }
+
+  /**
+     * 生成主要和次要排序方式的选项
+     */
+    renderSortOptions() {
+        const options = Object.entries(SORT_KEYS)
+            .map(([key, label]) => `<option value="${key}">${label}</option>`)
+            .join('');
+        this.sortSelect.innerHTML = options;
+        this.secondarySortSelect.innerHTML = `<option value="">无</option>${options}`;
     }
 
   /**
-     * 渲染联系人列表
+     * 根据类别设置渲染分类标签(当前类别被删除或重命名时回到"全部")
+     */
+    renderTabs() {
+        const names = this.contactManager.categories.getNames();
+        if (this.currentCategory !== 'all' && !names.includes(this.currentCategory)) {
+            this.currentCategory = 'all';
+        }
+        this.tabsContainer.innerHTML = [['all', '全部'], ...names.map(name => [name, name])]
+            .map(([value, text]) => `
+                <button class="tab-btn${value === this.currentCategory ? ' active' : ''}" data-category="${escapeHtml(value)}">${escapeHtml(text)}</button>
+            `).join('');
+    }
+
+  /**
+     * 渲染标签筛选栏(没有标签时隐藏，已不存在的标签自动取消选中)
+     */
+    renderTagFilter() {
+        const counts = this.contactManager.getTagCounts();
+        this.selectedTags = this.selectedTags.filter(tag => counts.has(tag));
+
+        if (counts.size === 0) {
+            this.tagFilterContainer.innerHTML = '';
+            this.tagFilterContainer.style.display = 'none';
+            return;
+        }
+
+        const buttons = [...counts].map(([tag, count]) => `
+            <button type="button" class="tag-filter-btn${this.selectedTags.includes(tag) ? ' active' : ''}" data-tag="${escapeHtml(tag)}">
+                ${escapeHtml(tag)} <span class="tag-count">${count}</span>
+            </button>
+        `).join('');
+
+        this.tagFilterContainer.style.display = '';
+        this.tagFilterContainer.innerHTML = `
+            <span class="tag-filter-label">标签：</span>
+            ${buttons}
+            <select class="tag-mode" title="多个标签的匹配方式">
+                <option value="or" ${this.tagMode === 'or' ? 'selected' : ''}>包含任一</option>
+                <option value="and" ${this.tagMode === 'and' ? 'selected' : ''}>全部包含</option>
+            </select>
+            ${this.selectedTags.length > 0 ? '<button type="button" class="btn-link tag-filter-clear">清除</button>' : ''}
+        `;
+    }
+
+  /**
+     * 渲染号码归属地筛选栏(没有可查询归属地的号码时隐藏，已不存在的选项自动取消)
+     */
+    renderLocationFilter() {
+        const { provinces, carriers } = this.contactManager.getPhoneLocationCounts();
+        const { province, carrier } = this.locationFilter;
+        this.locationFilter = {
+            province: provinces.has(province) ? province : '',
+            carrier: carriers.has(carrier) ? carrier : ''
+        };
+
+        if (provinces.size === 0 && carriers.size === 0) {
+            this.locationFilterContainer.innerHTML = '';
+            this.locationFilterContainer.style.display = 'none';
+            return;
+        }
+
+        const renderOptions = (counts, selected, allText) => [
+            `<option value="">${allText}</option>`,
+            ...[...counts].map(([value, count]) => `
+                <option value="${escapeHtml(value)}" ${value === selected ? 'selected' : ''}>${escapeHtml(value)} (${count})</option>
+            `)
+        ].join('');
+
+        this.locationFilterContainer.style.display = '';
+        this.locationFilterContainer.innerHTML = `
+            <span class="tag-filter-label">号码归属地：</span>
+            <select class="tag-mode" data-filter="province" title="按电话号码的归属省份筛选(号段数据库未收录的较新手机号段，如19x、166，归入&quot;未知&quot;)">
+                ${renderOptions(provinces, this.locationFilter.province, '全部地区')}
+            </select>
+            <select class="tag-mode" data-filter="carrier" title="按手机号码的运营商筛选">
+                ${renderOptions(carriers, this.locationFilter.carrier, '全部运营商')}
+            </select>
+            ${this.locationFilter.province || this.locationFilter.carrier ? '<button type="button" class="btn-link tag-filter-clear">清除</button>' : ''}
+        `;
+    }
+
+  /**
+     * 渲染置顶的常用联系人栏(按当前类别筛选，没有时隐藏)
+     */
+    renderFavorites() {
+        const favorites = this.contactManager.getFavorites(this.currentCategory);
+        if (favorites.length === 0) {
+            this.favoriteContainer.innerHTML = '';
+            this.favoriteContainer.style.display = 'none';
+            return;
+        }
+
+        this.favoriteContainer.style.display = '';
+        this.favoriteContainer.innerHTML = `
+            <h4>★ 常用联系人</h4>
+            <div class="favorite-items">
+                ${favorites.map(contact => `
+                    <button type="button" class="favorite-item" data-id="${contact.id}">
+                        <strong>${escapeHtml(contact.name)}</strong>
+                        <span>${escapeHtml(contact.formatPhone())}</span>
+                    </button>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * 切换联系人的常用状态
+     * @param {string} id 联系人ID
+     */
+    async toggleFavorite(id) {
+        const contact = this.contactManager.getContactById(id);
+        if (!contact) {
+            return;
+        }
+        const result = await this.contactManager.setFavorite(id, !contact.favorite);
+        if (!result.success) {
+            alert(result.error);
+        }
+    }
+
+  /**
+     * 显示或清除搜索条件的错误提示，并高亮出错部分
+     * @param {Object} parsed 搜索条件的解析结果
+     */
+    renderSearchError(parsed) {
+        this.searchInput.classList.toggle('invalid', !parsed.success);
+        this.searchError.hidden = parsed.success;
+        if (parsed.success) {
+            this.searchError.innerHTML = '';
+            return;
+        }
+
+        const text = this.currentKeyword;
+        this.searchError.innerHTML = `
+            <span>⚠ ${escapeHtml(parsed.error)}</span>
+            <code class="search-error-query">${escapeHtml(text.slice(0, parsed.start))}<mark>${escapeHtml(text.slice(parsed.start, parsed.end) || ' ')}</mark>${escapeHtml(text.slice(parsed.end))}</code>
+        `;
+    }
+
+  /**
+     * 渲染联系人列表及批量操作栏
      */
     render() {
-        let filteredContacts = this.contactManager.filterContacts(
+        this.renderList();
+        this.renderBatchBar();
+    }
+
+  /**
+     * 按当前类别、搜索条件和筛选条件渲染联系人
+     */
+    renderList() {
+        this.renderTabs();
+        this.renderTagFilter();
+        this.renderLocationFilter();
+        this.renderFavorites();
+        this.fuzzyCheckbox.checked = this.contactManager.fuzzyPinyin;
+        const { primary, secondary } = this.contactManager.sortOrder;
+        this.sortSelect.value = primary;
+        this.secondarySortSelect.value = secondary || '';
+        // 字母索引栏只在按姓名分组时显示
+        this.letterRail.hidden = true;
+
+        // 解析搜索条件(支持 name:张、phone:138*、-cat:个人 等高级语法)，有误时提示出错位置
+        const parsed = this.contactManager.parseQuery(this.currentKeyword);
+        this.renderSearchError(parsed);
+        if (!parsed.success) {
+            this.grid.clear();
+            this.container.innerHTML = '<p class="empty-message">搜索条件有误，请根据提示修改</p>';
+            return;
+        }
+
+        const results = this.contactManager.searchContacts(
             this.currentCategory,
-            this.currentKeyword
+            parsed.query,
+            { tags: this.selectedTags, mode: this.tagMode },
+            this.locationFilter
         );
 
-        // 根据创建时间排序
-        filteredContacts.sort((a, b) => {
-            const dateA = a.createdAt.getTime();
-            const dateB = b.createdAt.getTime();
-            return this.currentSortOrder === 'desc' ? dateB - dateA : dateA - dateB;
-        });
+        const sorted = this.contactManager.sortContacts(results.map(result => result.contact));
+
+        // 主要排序键为姓名时按字母分组，组内顺序由次要排序键决定
+        if (primary === 'name') {
+            this.renderSections(sorted);
+            return;
+        }
+
+        // 搜索时先按匹配等级排序(未按关键词匹配的排在后面)，同等级内保持所选排序
+        const ranks = new Map(results.map(result => [result.contact.id, result.rank ?? Infinity]));
+        const filteredContacts = sorted.sort((a, b) => ranks.get(a.id) - ranks.get(b.id));
 
-        // 根据当前筛选条件显示适当的空状态提示
         if (filteredContacts.length === 0) {
-            let emptyMessage;
-            if (this.currentKeyword) {
-                emptyMessage = `<p class="empty-message">未找到包含"${this.currentKeyword}"的联系人</p>`;
-            } else if (this.currentCategory !== 'all') {
-                emptyMessage = `<p class="empty-message">未找到${this.currentCategory}类别的联系人</p>`;
-            } else {
-                emptyMessage = '<p class="empty-message">暂无联系人数据</p>';
-            }
-            this.container.innerHTML = emptyMessage;
+            this.renderEmpty();
+            return;
+        }
+
+        this.grid.setSections([{ label: null, items: filteredContacts }]);
+    }
+
+    /**
+     * 进入或退出选择模式(退出时清空选择)
+     * @param {boolean} enabled 是否进入选择模式
+     */
+    setSelectionMode(enabled) {
+        this.selectionMode = enabled;
+        this.selectedIds.clear();
+        this.selectionAnchor = null;
+        this.selectModeButton.textContent = enabled ? '完成选择' : '批量选择';
+        this.selectModeButton.setAttribute('aria-pressed', String(enabled));
+        this.container.classList.toggle('selecting', enabled);
+        this.grid.renderWindow(true);
+        this.renderBatchBar();
+    }
+
+    /**
+     * 切换联系人的选中状态；连选时把上次点击的联系人到当前联系人之间(按显示顺序)全部选中
+     * @param {string} id 联系人ID
+     * @param {boolean} [range] 是否连选(按住Shift点击)
+     */
+    toggleSelection(id, range = false) {
+        const items = this.grid.items;
+        const from = range && this.selectionAnchor !== null ? this.grid.indexOfKey(this.selectionAnchor) : -1;
+        const to = this.grid.indexOfKey(id);
+        if (from !== -1 && to !== -1) {
+            items.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(contact => this.selectedIds.add(contact.id));
+        } else if (this.selectedIds.has(id)) {
+            this.selectedIds.delete(id);
+        } else {
+            this.selectedIds.add(id);
+        }
+        this.selectionAnchor = id;
+        this.grid.renderWindow(true);
+        this.renderBatchBar();
+    }
+
+    /**
+     * 获取选中的联系人(按显示顺序)
+     * @returns {Contact[]} 联系人数组
+     */
+    getSelectedContacts() {
+        return this.grid.items.filter(contact => this.selectedIds.has(contact.id));
+    }
+
+    /**
+     * 渲染批量操作栏：选中数量、全选当前筛选结果，以及删除、改类别、增删标签、导出和合并
+     * 选择只保留当前显示的联系人(已删除或被筛选掉的自动取消选中)
+     */
+    renderBatchBar() {
+        if (!this.selectionMode) {
+            this.batchBar.hidden = true;
+            this.batchBar.innerHTML = '';
+            return;
+        }
+
+        const shown = new Set(this.grid.items.map(contact => contact.id));
+        this.selectedIds.forEach(id => {
+            if (!shown.has(id)) {
+                this.selectedIds.delete(id);
+            }
+        });
+        const selected = this.getSelectedContacts();
+        const count = selected.length;
+        const none = count === 0 ? 'disabled' : '';
+        const tags = [...new Set(selected.flatMap(contact => contact.tags))].sort((a, b) => a.localeCompare(b, 'zh-CN'));
+        const categories = this.contactManager.categories.getNames();
+
+        this.batchBar.hidden = false;
+        this.batchBar.innerHTML = `
+            <span class="batch-count">已选 <strong>${count}</strong> / ${shown.size}</span>
+            <button type="button" class="btn-link" data-batch="select-all" ${count === shown.size ? 'disabled' : ''}>全选</button>
+            <button type="button" class="btn-link" data-batch="clear" ${none}>取消选择</button>
+            <span class="batch-actions">
+                <button type="button" class="btn btn-danger" data-batch="delete" ${none}>删除</button>
+                <select data-batch="category" title="将选中的联系人移入类别" ${none}>
+                    <option value="">移入类别…</option>
+                    ${categories.map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('')}
+                </select>
+                <input type="text" class="batch-tag-input" list="tagSuggestions" placeholder="标签" ${none}>
+                <button type="button" class="btn btn-primary" data-batch="add-tag" ${none}>添加标签</button>
+                <select class="batch-tag-remove" title="从选中的联系人中移除标签" ${tags.length === 0 ? 'disabled' : ''}>
+                    ${tags.map(tag => `<option value="${escapeHtml(tag)}">${escapeHtml(tag)}</option>`).join('')}
+                </select>
+                <button type="button" class="btn btn-primary" data-batch="remove-tag" ${tags.length === 0 ? 'disabled' : ''}>移除标签</button>
+                <button type="button" class="btn btn-success" data-batch="export-csv" ${none}>导出CSV</button>
+                <button type="button" class="btn btn-success" data-batch="export-vcard" ${none}>导出vCard</button>
+                <button type="button" class="btn btn-primary" data-batch="merge" ${count < 2 || !this.duplicateModal ? 'disabled' : ''}>合并</button>
+            </span>
+        `;
+    }
+
+    /**
+     * 执行批量操作
+     * @param {string} action 操作名称(见renderBatchBar中的data-batch)
+     */
+    async handleBatchAction(action) {
+        const selected = this.getSelectedContacts();
+        const ids = selected.map(contact => contact.id);
+        let result = null;
+        let message = '';
+
+        switch (action) {
+            case 'select-all':
+                this.grid.items.forEach(contact => this.selectedIds.add(contact.id));
+                this.grid.renderWindow(true);
+                this.renderBatchBar();
+                return;
+            case 'clear':
+                this.selectedIds.clear();
+                this.selectionAnchor = null;
+                this.grid.renderWindow(true);
+                this.renderBatchBar();
+                return;
+            case 'delete':
+                if (!confirm(`确定要删除选中的 ${ids.length} 个联系人吗？删除后可在回收站中恢复。`)) {
+                    return;
+                }
+                result = await this.contactManager.deleteContacts(ids);
+                message = `已将 ${result.count} 个联系人移入回收站`;
+                break;
+            case 'category': {
+                const category = this.batchBar.querySelector('select[data-batch="category"]').value;
+                result = await this.contactManager.setContactsCategory(ids, category);
+                message = `已将 ${result.count} 个联系人移入 "${category}"`;
+                break;
+            }
+            case 'add-tag': {
+                const tag = this.batchBar.querySelector('.batch-tag-input').value.trim();
+                result = await this.contactManager.addTagToContacts(ids, tag);
+                message = `已为 ${result.count} 个联系人添加标签 "${tag}"`;
+                break;
+            }
+            case 'remove-tag': {
+                const tag = this.batchBar.querySelector('.batch-tag-remove').value;
+                result = await this.contactManager.removeTagFromContacts(ids, tag);
+                message = `已从 ${result.count} 个联系人中移除标签 "${tag}"`;
+                break;
+            }
+            case 'export-csv':
+                this.contactManager.exportContacts(ids, 'csv');
+                return;
+            case 'export-vcard':
+                this.contactManager.exportContacts(ids, 'vcard');
+                return;
+            case 'merge':
+                this.duplicateModal.showMerge(selected);
+                return;
+            default:
+                return;
+        }
+
+        if (!result.success) {
+            alert(result.error);
+            this.renderBatchBar();
             return;
         }
+        // 没有联系人需要修改时不产生撤销记录
+        if (result.count > 0 && this.onBatchChange) {
+            this.onBatchChange(message);
+        }
+    }
+
+    /**
+     * 根据当前筛选条件显示适当的空状态提示
+     */
+    renderEmpty() {
+        let emptyMessage;
+        if (this.currentKeyword) {
+            emptyMessage = `<p class="empty-message">未找到符合"${escapeHtml(this.currentKeyword)}"的联系人</p>`;
+        } else if (this.selectedTags.length > 0) {
+            emptyMessage = '<p class="empty-message">没有符合所选标签的联系人</p>';
+        } else if (this.locationFilter.province || this.locationFilter.carrier) {
+            emptyMessage = '<p class="empty-message">没有符合所选号码归属地的联系人</p>';
+        } else if (this.currentCategory !== 'all') {
+            emptyMessage = `<p class="empty-message">未找到${this.currentCategory}类别的联系人</p>`;
+        } else {
+            emptyMessage = '<p class="empty-message">暂无联系人数据</p>';
+        }
+        this.grid.clear();
+        this.container.innerHTML = emptyMessage;
+    }
 
-        // 生成联系人卡片HTML
-        this.container.innerHTML = filteredContacts.map(contact => `
-            <div class="contact-card" data-id="${contact.id}">
-                <h3>${contact.name}</h3>
-                <p class="phone">${contact.formatPhone()}</p>
-                <p class="address">${contact.address}</p>
-                <span class="category-tag ${contact.category}">${contact.category}</span>
+    /**
+     * 生成联系人卡片HTML
+     * @param {Contact} contact 联系人
+     * @param {boolean} [active] 是否为键盘焦点所在的卡片
+     * @returns {string} HTML
+     */
+    renderCard(contact, active = false) {
+        const categories = this.contactManager.categories;
+        const selected = this.selectionMode && this.selectedIds.has(contact.id);
+        return `
+            <div class="contact-card${active ? ' active' : ''}${selected ? ' selected' : ''}" id="contact-card-${contact.id}" data-id="${contact.id}"${this.selectionMode ? ` aria-selected="${selected}"` : ''}>
+                <button type="button" class="favorite-toggle${contact.favorite ? ' active' : ''}" title="${contact.favorite ? '取消常用' : '设为常用联系人'}">${contact.favorite ? '★' : '☆'}</button>
+                <h3>${this.selectionMode ? `<input type="checkbox" class="select-checkbox" tabindex="-1" ${selected ? 'checked' : ''}>` : ''}${escapeHtml(contact.name)}</h3>
+                <p class="phone">${escapeHtml(contact.formatPhone())}</p>
+                <p class="address">${escapeHtml([contact.company, contact.title].filter(Boolean).join(' · '))}</p>
+                <span class="category-tag" style="--tag-color: ${categories.getColor(contact.category)}">${escapeHtml(contact.category)}</span>
+                ${contact.tags.map(tag => `<span class="tag-chip">${escapeHtml(tag)}</span>`).join('')}
             </div>
+        `;
+    }
+
+    /**
+     * 获取联系人姓名所属的字母分组
+     * @param {Contact} contact 联系人
+     * @returns {string} 分组字母(A–Z，其他为#)
+     */
+    getNameLetter(contact) {
+        const key = this.contactManager.pinyin.getSortKey(contact.name, true);
+        return /^[a-z]/.test(key) ? key[0].toUpperCase() : '#';
+    }
+
+    /**
+     * 按姓名拼音分组渲染，每组带吸顶的字母标题，并显示字母索引栏
+     * @param {Contact[]} contacts 已按姓名排序的联系人
+     */
+    renderSections(contacts) {
+        if (contacts.length === 0) {
+            this.renderEmpty();
+            return;
+        }
+
+        const sections = new Map();
+        contacts.forEach(contact => {
+            const letter = this.getNameLetter(contact);
+            if (!sections.has(letter)) {
+                sections.set(letter, []);
+            }
+            sections.get(letter).push(contact);
+        });
+
+        this.grid.setSections([...sections].map(([letter, list]) => ({ label: letter, items: list })));
+
+        this.letterRail.innerHTML = SECTION_LETTERS.map(letter => `
+            <button type="button" data-letter="${letter}" class="${sections.has(letter) ? '' : 'empty'}">${letter}</button>
         `).join('');
+        this.letterRail.hidden = false;
+    }
 
-        // 绑定卡片点击事件(查看详情)
-        this.container.querySelectorAll('.contact-card').forEach(card => {
-            card.addEventListener('click', () => {
-                const contact = this.contactManager.getContactById(card.dataset.id);
-                if (contact) {
-                    this.detailModal.showContact(contact);
-                }
-            });
+    /**
+     * 初始化字母索引栏：点击或按住拖动时跳转到对应分组
+     */
+    initLetterRail() {
+        let dragging = false;
+        const jumpToPointer = (e) => {
+            // 按纵坐标换算字母，手指移出索引栏左右两侧时仍可继续拖动
+            const rect = this.letterRail.getBoundingClientRect();
+            const index = Math.floor((e.clientY - rect.top) / rect.height * SECTION_LETTERS.length);
+            this.jumpToLetter(SECTION_LETTERS[Math.min(Math.max(index, 0), SECTION_LETTERS.length - 1)]);
+        };
+
+        this.letterRail.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            dragging = true;
+            this.letterRail.setPointerCapture(e.pointerId);
+            jumpToPointer(e);
+        });
+        this.letterRail.addEventListener('pointermove', (e) => {
+            if (dragging) {
+                jumpToPointer(e);
+            }
+        });
+        const stop = () => {
+            dragging = false;
+            this.letterIndicator.hidden = true;
+        };
+        this.letterRail.addEventListener('pointerup', stop);
+        this.letterRail.addEventListener('pointercancel', stop);
+
+        // 键盘操作(鼠标和触摸已在pointerdown中处理，此时detail为0)
+        this.letterRail.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-letter]');
+            if (button && e.detail === 0) {
+                this.jumpToLetter(button.dataset.letter);
+                this.letterIndicator.hidden = true;
+            }
+        });
+    }
+
+    /**
+     * 滚动到字母对应的分组，该字母没有联系人时跳到其后最近的分组
+     * @param {string} letter 字母
+     */
+    jumpToLetter(letter) {
+        const index = SECTION_LETTERS.indexOf(letter);
+        const sectionIndex = this.grid.sections.findIndex(section => SECTION_LETTERS.indexOf(section.label) >= index);
+        if (sectionIndex === -1) {
+            return;
+        }
+
+        this.letterIndicator.textContent = letter;
+        this.letterIndicator.hidden = false;
+        this.letterRail.querySelectorAll('button').forEach(button => {
+            button.classList.toggle('active', button.dataset.letter === letter);
         });
+        this.grid.scrollToSection(sectionIndex);
     }
-}
\ No newline at end of file
+}
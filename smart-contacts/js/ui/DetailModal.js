@@ -1,55 +1,210 @@
 import { Modal } from './Modal.js';
+import { FIELD_LABELS } from '../core/Contact.js';
+import { PhoneNumber } from '../core/PhoneNumber.js';
+import { escapeHtml } from '../utils/html.js';
+
+// 变更记录中操作类型的显示文本
+const HISTORY_ACTIONS = {
+    create: '新建',
+    update: '修改',
+    delete: '移入回收站',
+    restore: '从回收站恢复'
+};
 
 /**
  * 联系人详情模态框
  * 继承自Modal基类，显示联系人详情，支持编辑和删除操作
  */
 export class DetailModal extends Modal {
-    constructor(contactManager, addModal) {
+    /**
+     * 创建详情模态框实例
+     * @param {ContactManager} contactManager 联系人管理器实例
+     * @param {AddContactModal} addModal 添加/编辑模态框实例
+     * @param {Function} [onDelete] 删除成功后的回调(接收被删除的联系人)
+     */
+    constructor(contactManager, addModal, onDelete = null) {
         super('detailModal');
         // 缓存DOM元素
         this.detailElements = {
             name: document.getElementById('detailName'),
-            phone: document.getElementById('detailPhone'),
-            address: document.getElementById('detailAddress'),
-            category: document.getElementById('detailCategory')
+            phones: document.getElementById('detailPhones'),
+            emails: document.getElementById('detailEmails'),
+            company: document.getElementById('detailCompany'),
+            title: document.getElementById('detailTitle'),
+            postalAddress: document.getElementById('detailPostalAddress'),
+            category: document.getElementById('detailCategory'),
+            tags: document.getElementById('detailTags')
         };
         this.currentContact = null;
         this.contactManager = contactManager;
         this.addModal = addModal;
+        this.onDelete = onDelete;
+        this.historyContainer = document.getElementById('detailHistory');
+        this.favoriteButton = document.getElementById('detailFavoriteBtn');
         this.initCopyFunction();
         this.initEditButton();
+        this.initTabs();
+        this.initHistoryEvents();
+        this.initFavoriteButton();
+    }
+
+    /**
+     * 初始化常用联系人星标按钮
+     */
+    initFavoriteButton() {
+        this.favoriteButton.addEventListener('click', async () => {
+            if (!this.currentContact) {
+                return;
+            }
+            const result = await this.contactManager.setFavorite(this.currentContact.id, !this.currentContact.favorite);
+            if (result.success) {
+                this.renderDetails(result.contact);
+            } else {
+                alert(result.error);
+            }
+        });
+    }
+
+    /**
+     * 初始化详情/历史标签页切换
+     */
+    initTabs() {
+        this.modal.querySelector('.detail-tabs').addEventListener('click', (e) => {
+            if (e.target.dataset.tab) {
+                this.switchTab(e.target.dataset.tab);
+            }
+        });
+    }
+
+    /**
+     * 切换标签页
+     * @param {string} tab info(详情)/history(历史)
+     */
+    switchTab(tab) {
+        this.modal.querySelectorAll('.detail-tab').forEach(button => {
+            button.classList.toggle('active', button.dataset.tab === tab);
+        });
+        this.modal.querySelectorAll('[data-panel]').forEach(panel => {
+            panel.style.display = panel.dataset.panel === tab ? 'block' : 'none';
+        });
+        if (tab === 'history') {
+            this.renderHistory();
+        }
+    }
+
+    /**
+     * 初始化历史记录中的恢复按钮(事件委托)
+     */
+    initHistoryEvents() {
+        this.historyContainer.addEventListener('click', async (e) => {
+            const button = e.target.closest('.history-restore');
+            if (!button || !this.currentContact) {
+                return;
+            }
+
+            const id = this.currentContact.id;
+            const index = Number(button.dataset.index);
+            let result;
+            if (button.dataset.field) {
+                const entry = this.contactManager.auditLog.getHistory(id)[index];
+                const value = entry.changes[button.dataset.field][button.dataset.side];
+                result = await this.contactManager.restoreField(id, button.dataset.field, value);
+            } else {
+                result = await this.contactManager.restoreVersion(id, index);
+            }
+
+            if (result.success) {
+                this.renderDetails(result.contact);
+                this.renderHistory();
+            } else {
+                alert(`恢复失败：${result.error}`);
+            }
+        });
+    }
+
+    /**
+     * 渲染当前联系人的变更历史
+     */
+    renderHistory() {
+        if (!this.currentContact) {
+            return;
+        }
+        const entries = this.contactManager.getContactHistory(this.currentContact.id);
+        if (entries.length === 0) {
+            this.historyContainer.innerHTML = '<p class="empty-message">暂无变更记录</p>';
+            return;
+        }
+
+        const latestIndex = entries[0].index;
+
+        this.historyContainer.innerHTML = entries.map(entry => {
+            const changes = Object.entries(entry.changes).map(([field, change]) => {
+                const restoreButton = (side) => change[side] === null ? '' :
+                    `<button type="button" class="history-restore" data-index="${entry.index}" data-field="${field}" data-side="${side}">恢复</button>`;
+                const from = entry.action === 'create' ? '' :
+                    `<del>${this.formatHistoryValue(change.from, field)}</del> ${restoreButton('from')} → `;
+                return `
+                    <li>
+                        ${escapeHtml(FIELD_LABELS[field] || field)}：${from}
+                        <ins>${this.formatHistoryValue(change.to, field)}</ins> ${restoreButton('to')}
+                    </li>
+                `;
+            }).join('');
+
+            return `
+                <div class="history-entry">
+                    <div class="history-header">
+                        <span class="history-action">${HISTORY_ACTIONS[entry.action] || entry.action}</span>
+                        <time>${new Date(entry.at).toLocaleString()}</time>
+                        ${entry.index === latestIndex ? '' :
+                            `<button type="button" class="history-restore" data-index="${entry.index}">恢复到此版本</button>`}
+                    </div>
+                    <ul class="history-changes">${changes}</ul>
+                </div>
+            `;
+        }).join('');
     }
 
     /**
-     * 格式化电话号码为 138-8765-4321 格式
-     * @param {string} phone 原始电话号码
+     * 格式化变更记录中的字段值
+     * @param {*} value 字段值
+     * @param {string} [field] 字段名(电话按号码类型格式化)
+     * @returns {string} 转义后的显示文本
+     */
+    formatHistoryValue(value, field = '') {
+        if (value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+            return '（空）';
+        }
+        if (typeof value === 'boolean') {
+            return value ? '是' : '否';
+        }
+        // 电话、邮箱等带标签的列表显示为"标签 值"，标签列表直接显示
+        if (Array.isArray(value)) {
+            const format = field === 'phones' ? PhoneNumber.format : text => text;
+            return value.map(item => escapeHtml(typeof item === 'string' ? item : `${item.label} ${format(item.value)}`)).join('，');
+        }
+        return escapeHtml(typeof value === 'string' ? value : JSON.stringify(value));
+    }
+
+    /**
+     * 格式化电话号码(按号码类型，如 138-8765-4321、010-12345678 转 123)
+     * @param {string} phone 保存的电话号码
      * @returns {string} 格式化后的电话号码
      */
     formatPhoneNumber(phone) {
-        // 移除非数字字符
-        const cleaned = phone.replace(/\D/g, '');
-        
-        // 检查是否是11位手机号码
-        if (cleaned.length === 11) {
-            // 格式化为 xxx-xxxx-xxxx
-            return `${cleaned.substring(0, 3)}-${cleaned.substring(3, 7)}-${cleaned.substring(7)}`;
-        }
-        
-        // 对于非11位号码，返回原始号码
-        return phone;
+        return PhoneNumber.format(phone);
     }
 
     /**
-     * 初始化复制电话号码功能
+     * 初始化复制电话号码功能(每个号码一个复制按钮，事件委托)
      */
     initCopyFunction() {
-        const copyButton = document.querySelector('.btn-icon');
-        if (copyButton) {
-            copyButton.addEventListener('click', () => {
-                this.copyPhoneNumber();
-            });
-        }
+        this.detailElements.phones.addEventListener('click', (e) => {
+            const copyButton = e.target.closest('.btn-icon');
+            if (copyButton) {
+                this.copyPhoneNumber(Number(copyButton.dataset.index));
+            }
+        });
     }
 
     /**
@@ -75,44 +230,92 @@ export class DetailModal extends Modal {
         this.close();
     }
 
+    /**
+     * 导出当前联系人为vCard文件
+     */
+    exportCurrentContact() {
+        if (!this.currentContact) {
+            alert('没有选中的联系人');
+            return;
+        }
+        this.contactManager.exportContactToVCard(this.currentContact.id);
+    }
+
     /**
      * 显示联系人详情
      * @param {Contact} contact 联系人实例
      */
     showContact(contact) {
+        this.renderDetails(contact);
+        this.switchTab('info');
+        super.show();
+    }
+
+    /**
+     * 填充联系人详情字段
+     * @param {Contact} contact 联系人实例
+     */
+    renderDetails(contact) {
         this.currentContact = contact;
         this.detailElements.name.textContent = contact.name;
+        this.favoriteButton.textContent = contact.favorite ? '★' : '☆';
+        this.favoriteButton.classList.toggle('active', contact.favorite);
+        this.favoriteButton.title = contact.favorite ? '取消常用' : '设为常用联系人';
         
-        // 使用类内格式化方法
-        const formattedPhone = this.formatPhoneNumber(contact.phone);
-        this.detailElements.phone.textContent = formattedPhone;
-        
-        this.detailElements.address.textContent = contact.address || '未提供';
+        // 使用类内格式化方法，号码后显示归属地和运营商(如"江苏 南京 · 移动")
+        this.detailElements.phones.innerHTML = contact.phones.map((phone, index) => {
+            const location = this.contactManager.phoneLocator.format(phone.value);
+            return `
+                <li>
+                    <span class="value-label-tag">${escapeHtml(phone.label)}</span>
+                    ${escapeHtml(this.formatPhoneNumber(phone.value))}
+                    ${location ? `<span class="phone-location">${escapeHtml(location)}</span>` : ''}
+                    <button type="button" class="btn btn-icon" data-index="${index}" title="复制">📋</button>
+                </li>
+            `;
+        }).join('');
+
+        this.detailElements.emails.innerHTML = contact.emails.length === 0 ? '<li>未提供</li>' :
+            contact.emails.map(email => `
+                <li>
+                    <span class="value-label-tag">${escapeHtml(email.label)}</span>
+                    <a href="mailto:${escapeHtml(email.value)}">${escapeHtml(email.value)}</a>
+                </li>
+            `).join('');
+
+        this.detailElements.company.textContent = contact.company || '未提供';
+        this.detailElements.title.textContent = contact.title || '未提供';
+        this.detailElements.postalAddress.textContent = contact.postalAddress || '未提供';
         this.detailElements.category.textContent = contact.category;
-        super.show();
+        this.detailElements.tags.innerHTML = contact.tags.length === 0 ? '无' :
+            contact.tags.map(tag => `<span class="tag-chip">${escapeHtml(tag)}</span>`).join('');
     }
 
     /**
      * 复制电话号码到剪贴板
+     * @param {number} [index] 电话在列表中的序号，默认为第一个
      */
-    async copyPhoneNumber() {
+    async copyPhoneNumber(index = 0) {
         if (!this.currentContact) return;
+        const phone = this.currentContact.phones[index];
+        if (!phone) return;
+
+        // 复制可直接拨打的号码(不含分隔符，分机号以逗号连接)
+        const cleanedPhone = PhoneNumber.dial(phone.value);
         
         try {
             // 使用现代的 Clipboard API
             if (navigator.clipboard && window.isSecureContext) {
-                // 复制未格式化的电话号码（纯数字）
-                const cleanedPhone = this.currentContact.phone.replace(/\D/g, '');
                 await navigator.clipboard.writeText(cleanedPhone);
                 this.showCopySuccess();
             } else {
                 // 回退到传统方法
-                this.fallbackCopyText(this.currentContact.phone.replace(/\D/g, ''));
+                this.fallbackCopyText(cleanedPhone);
             }
         } catch (err) {
             console.error('复制电话号码失败:', err);
             // 如果现代API失败，尝试传统方法
-            this.fallbackCopyText(this.currentContact.phone.replace(/\D/g, ''));
+            this.fallbackCopyText(cleanedPhone);
         }
     }
 
@@ -193,7 +396,7 @@ export class DetailModal extends Modal {
         }
 
         // 确认删除
-        const confirmed = confirm(`确定要删除联系人 "${this.currentContact.name}" 吗？此操作无法撤销。`);
+        const confirmed = confirm(`确定要删除联系人 "${this.currentContact.name}" 吗？删除后可在回收站中恢复。`);
         if (!confirmed) {
             return;
         }
@@ -203,9 +406,13 @@ export class DetailModal extends Modal {
             const result = await this.contactManager.deleteContact(this.currentContact.id);
             
             if (result.success) {
-                // 删除成功，关闭模态框
-                alert(`成功删除联系人 "${result.contact.name}"`);
+                // 删除成功，关闭模态框(由回调提示并提供撤销)
                 this.close();
+                if (this.onDelete) {
+                    this.onDelete(result.contact);
+                } else {
+                    alert(`成功删除联系人 "${result.contact.name}"`);
+                }
             } else {
                 // 删除失败
                 alert(`删除失败：${result.error}`);
@@ -0,0 +1,255 @@
+import { Modal } from './Modal.js';
+import { MERGE_FIELDS } from '../core/ContactManager.js';
+import { DUPLICATE_REASONS } from '../core/DuplicateFinder.js';
+import { FIELD_LABELS } from '../core/Contact.js';
+import { PhoneNumber } from '../core/PhoneNumber.js';
+import { escapeHtml } from '../utils/html.js';
+
+// 合并时自动合并去重的多值字段
+const COMBINED_FIELDS = ['phones', 'emails', 'tags'];
+
+/**
+ * 重复联系人模态框
+ * 继承自Modal基类，先列出疑似重复的组，选择一组后逐个字段选择保留的值并合并
+ */
+export class DuplicateModal extends Modal {
+    /**
+     * 创建重复联系人模态框实例
+     * @param {ContactManager} contactManager 联系人管理器实例
+     * @param {Function} [onChange] 合并成功后的回调(接收操作说明，用于提示撤销)
+     */
+    constructor(contactManager, onChange = null) {
+        super('duplicateModal');
+        this.contactManager = contactManager;
+        this.onChange = onChange;
+        this.summaryElement = document.getElementById('duplicateSummary');
+        this.bodyContainer = document.getElementById('duplicateBody');
+        this.backButton = document.getElementById('duplicateBackBtn');
+        this.mergeButton = document.getElementById('duplicateMergeBtn');
+        this.groups = [];
+        // 正在合并的组，以及保留的联系人和各字段的取值来源
+        this.currentGroup = null;
+        this.keepId = null;
+        this.choices = {};
+        // 是否直接合并列表中选中的联系人(合并后关闭，而不是回到重复组列表)
+        this.mergingSelection = false;
+        this.initDuplicateEvents();
+    }
+
+    /**
+     * 初始化事件(事件委托)
+     */
+    initDuplicateEvents() {
+        this.bodyContainer.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action="merge"]');
+            if (button) {
+                this.openGroup(this.groups[Number(button.dataset.index)]);
+            }
+        });
+
+        this.bodyContainer.addEventListener('change', (e) => {
+            const input = e.target;
+            if (input.type !== 'radio') {
+                return;
+            }
+            if (input.name === 'keep') {
+                this.keepId = input.value;
+            } else {
+                this.choices[input.name] = input.value;
+            }
+            this.renderMergePreview();
+        });
+
+        this.backButton.addEventListener('click', () => this.renderGroups());
+        this.mergeButton.addEventListener('click', () => this.handleMerge());
+    }
+
+    /**
+     * 重新查找并显示疑似重复的组
+     */
+    renderGroups() {
+        this.currentGroup = null;
+        this.groups = this.contactManager.findDuplicates();
+        this.backButton.hidden = true;
+        this.mergeButton.hidden = true;
+
+        if (this.groups.length === 0) {
+            this.summaryElement.textContent = '没有发现疑似重复的联系人。';
+            this.bodyContainer.innerHTML = '';
+            return;
+        }
+
+        const count = this.groups.reduce((sum, group) => sum + group.contacts.length, 0);
+        this.summaryElement.textContent = `发现 ${this.groups.length} 组疑似重复，共 ${count} 个联系人。选择一组查看并合并。`;
+        this.bodyContainer.innerHTML = this.groups.map((group, index) => `
+            <div class="duplicate-group">
+                <div class="duplicate-reasons">
+                    ${group.reasons.map(reason => `<span class="tag-chip">${DUPLICATE_REASONS[reason]}</span>`).join('')}
+                </div>
+                <ul class="duplicate-members">
+                    ${group.contacts.map(contact => `
+                        <li>
+                            <strong>${escapeHtml(contact.name)}</strong>
+                            <span>${escapeHtml([contact.category, contact.formatPhone(), contact.company].filter(Boolean).join(' · '))}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+                <button type="button" class="btn btn-primary" data-action="merge" data-index="${index}">合并…</button>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * 打开合并向导：默认保留最早创建的联系人
+     * @param {Object} group 疑似重复的组
+     */
+    openGroup(group) {
+        this.currentGroup = group;
+        this.keepId = group.contacts[0].id;
+        this.choices = {};
+        this.backButton.hidden = false;
+        this.mergeButton.hidden = false;
+        this.summaryElement.textContent = '选择合并后保留的联系人(沿用其ID和修改历史)，以及每个字段要保留的值。电话、邮箱和标签会合并去重，其余联系人移入回收站。';
+        this.renderWizard();
+    }
+
+    /**
+     * 获取字段当前的取值来源(与ContactManager.previewMerge的默认规则一致)
+     * @param {string} field 单值字段
+     * @returns {string} 联系人ID
+     */
+    getChoice(field) {
+        const contacts = this.currentGroup.contacts;
+        if (contacts.some(contact => contact.id === this.choices[field])) {
+            return this.choices[field];
+        }
+        const kept = contacts.find(contact => contact.id === this.keepId);
+        const source = [kept, ...contacts].find(contact => contact[field] !== '') || kept;
+        return source.id;
+    }
+
+    /**
+     * 渲染合并向导：每列一个联系人，单值字段各选一个值，多值字段仅展示
+     */
+    renderWizard() {
+        const contacts = this.currentGroup.contacts;
+        const headerCells = contacts.map(contact => `
+            <th>
+                <label>
+                    <input type="radio" name="keep" value="${contact.id}" ${contact.id === this.keepId ? 'checked' : ''}>
+                    保留此联系人
+                </label>
+                <small>创建于 ${contact.createdAt.toLocaleDateString('zh-CN')}</small>
+            </th>
+        `).join('');
+
+        const choiceRows = MERGE_FIELDS.map(field => {
+            // 各联系人的值都相同时无需选择
+            const same = contacts.every(contact => contact[field] === contacts[0][field]);
+            const choice = this.getChoice(field);
+            const cells = contacts.map(contact => `
+                <td>
+                    ${same ? '' : `<input type="radio" name="${field}" value="${contact.id}" ${contact.id === choice ? 'checked' : ''}>`}
+                    ${escapeHtml(contact[field]) || '<span class="merge-empty">(空)</span>'}
+                </td>
+            `).join('');
+            return `<tr><th>${FIELD_LABELS[field]}</th>${cells}</tr>`;
+        }).join('');
+
+        const combinedRows = COMBINED_FIELDS.map(field => {
+            const cells = contacts.map(contact => `<td>${escapeHtml(this.formatValue(contact[field], field))}</td>`).join('');
+            return `<tr><th>${FIELD_LABELS[field]}</th>${cells}</tr>`;
+        }).join('');
+
+        this.bodyContainer.innerHTML = `
+            <div class="import-preview">
+                <table class="import-table merge-table">
+                    <thead><tr><th></th>${headerCells}</tr></thead>
+                    <tbody>${choiceRows}${combinedRows}</tbody>
+                </table>
+            </div>
+            <h4 class="merge-result-title">合并结果</h4>
+            <dl class="merge-result" id="mergePreview"></dl>
+        `;
+        this.renderMergePreview();
+    }
+
+    /**
+     * 按当前选择显示合并后的联系人
+     */
+    renderMergePreview() {
+        const container = document.getElementById('mergePreview');
+        const choices = {};
+        MERGE_FIELDS.forEach(field => {
+            choices[field] = this.getChoice(field);
+        });
+        const ids = this.currentGroup.contacts.map(contact => contact.id);
+        const preview = this.contactManager.previewMerge(this.keepId, ids, choices);
+        if (!preview.success) {
+            container.innerHTML = `<dd class="import-error">${escapeHtml(preview.error)}</dd>`;
+            return;
+        }
+        container.innerHTML = [...MERGE_FIELDS, ...COMBINED_FIELDS].map(field => `
+            <dt>${FIELD_LABELS[field]}</dt>
+            <dd>${escapeHtml(this.formatValue(preview.data[field], field)) || '-'}</dd>
+        `).join('');
+    }
+
+    /**
+     * 执行合并
+     */
+    async handleMerge() {
+        const choices = {};
+        MERGE_FIELDS.forEach(field => {
+            choices[field] = this.getChoice(field);
+        });
+        const ids = this.currentGroup.contacts.map(contact => contact.id);
+        const result = await this.contactManager.mergeContacts(this.keepId, ids, choices);
+        if (!result.success) {
+            alert(result.error);
+            return;
+        }
+        if (this.onChange) {
+            this.onChange(`已将 ${ids.length} 个联系人合并为 "${result.contact.name}"`);
+        }
+        if (this.mergingSelection) {
+            this.close();
+            return;
+        }
+        this.renderGroups();
+    }
+
+    /**
+     * 格式化多值字段(带标签的列表显示为"标签 值"，电话按号码类型格式化)
+     * @param {*} value 字段值
+     * @param {string} [field] 字段名
+     * @returns {string} 显示文本
+     */
+    formatValue(value, field = '') {
+        if (Array.isArray(value)) {
+            const format = field === 'phones' ? PhoneNumber.format : text => text;
+            return value.map(item => typeof item === 'string' ? item : `${item.label} ${format(item.value)}`).join('; ');
+        }
+        return value;
+    }
+
+    /**
+     * 重写显示方法：每次打开时重新查找
+     */
+    show() {
+        this.mergingSelection = false;
+        this.renderGroups();
+        super.show();
+    }
+
+    /**
+     * 直接打开合并向导合并指定的联系人(如列表中选中的联系人)
+     * @param {Contact[]} contacts 要合并的联系人(至少两个)
+     */
+    showMerge(contacts) {
+        this.mergingSelection = true;
+        this.openGroup({ contacts: [...contacts].sort((a, b) => a.createdAt - b.createdAt), reasons: [] });
+        this.backButton.hidden = true;
+        super.show();
+    }
+}
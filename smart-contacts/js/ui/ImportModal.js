@@ -0,0 +1,242 @@
+import { Modal } from './Modal.js';
+import { CSV_IMPORT_FIELDS } from '../core/ContactManager.js';
+import { FIELD_LABELS } from '../core/Contact.js';
+import { escapeHtml } from '../utils/html.js';
+
+// 预览表格中显示的联系人字段
+const PREVIEW_FIELDS = ['name', 'phones', 'emails', 'company', 'title', 'postalAddress', 'category', 'tags'];
+
+/**
+ * 导入联系人模态框
+ * 继承自Modal基类，提供列映射、数据预览与冲突处理
+ */
+export class ImportModal extends Modal {
+    /**
+     * 创建导入模态框实例
+     * @param {ContactManager} contactManager 联系人管理器实例
+     */
+    constructor(contactManager) {
+        super('importModal');
+        this.contactManager = contactManager;
+        this.mappingContainer = document.getElementById('importMapping');
+        this.summaryElement = document.getElementById('importSummary');
+        this.previewContainer = document.getElementById('importPreview');
+        this.confirmButton = document.getElementById('importConfirmBtn');
+        this.headers = [];
+        this.rows = [];
+        this.mapping = {};
+        // 无需列映射的数据源(如vCard)直接提供联系人数据
+        this.dataList = null;
+        this.records = [];
+        this.initImportEvents();
+    }
+
+    /**
+     * 初始化导入相关事件
+     */
+    initImportEvents() {
+        // 列映射变化时重新生成预览
+        this.mappingContainer.addEventListener('change', (e) => {
+            if (e.target.dataset.field) {
+                this.mapping[e.target.dataset.field] = Number(e.target.value);
+                this.refreshPreview();
+            }
+        });
+
+        // 单行冲突处理方式变化
+        this.previewContainer.addEventListener('change', (e) => {
+            if (e.target.dataset.index !== undefined) {
+                this.records[Number(e.target.dataset.index)].action = e.target.value;
+                this.renderSummary();
+            }
+        });
+
+        // 批量设置冲突处理方式
+        this.summaryElement.addEventListener('change', (e) => {
+            if (e.target.classList.contains('import-bulk-action') && e.target.value) {
+                this.records.forEach(record => {
+                    if (record.duplicate) {
+                        record.action = e.target.value;
+                    }
+                });
+                this.renderPreview();
+                this.renderSummary();
+            }
+        });
+
+        this.confirmButton.addEventListener('click', () => this.handleImport());
+    }
+
+    /**
+     * 显示CSV导入预览
+     * @param {Object} parsed importFromCSV()返回的结果
+     */
+    showCsv(parsed) {
+        this.headers = parsed.headers;
+        this.rows = parsed.rows;
+        this.mapping = { ...parsed.mapping };
+        this.dataList = null;
+        this.renderMapping();
+        this.refreshPreview();
+        this.show();
+    }
+
+    /**
+     * 显示已解析联系人数据的导入预览(无需列映射)
+     * @param {Object[]} dataList 联系人数据数组
+     */
+    showData(dataList) {
+        this.dataList = dataList;
+        this.mappingContainer.innerHTML = '';
+        this.refreshPreview();
+        this.show();
+    }
+
+    /**
+     * 渲染列映射选择器
+     */
+    renderMapping() {
+        const options = this.headers.map((header, index) =>
+            `<option value="${index}">${escapeHtml(header)}</option>`
+        ).join('');
+
+        this.mappingContainer.innerHTML = CSV_IMPORT_FIELDS.map(column => `
+            <label class="import-mapping-item">
+                <span>${column.header}</span>
+                <select data-field="${column.field}">
+                    <option value="-1">（不导入）</option>
+                    ${options}
+                </select>
+            </label>
+        `).join('');
+
+        // 设置当前映射
+        this.mappingContainer.querySelectorAll('select').forEach(select => {
+            select.value = String(this.mapping[select.dataset.field]);
+        });
+    }
+
+    /**
+     * 按当前映射重新计算预览记录
+     */
+    refreshPreview() {
+        const dataList = this.dataList || this.contactManager.mapCsvRows(this.rows, this.mapping);
+        this.records = this.contactManager.previewImport(dataList);
+        this.renderPreview();
+        this.renderSummary();
+    }
+
+    /**
+     * 渲染预览表格
+     */
+    renderPreview() {
+        const headerCells = PREVIEW_FIELDS.map(field => `<th>${FIELD_LABELS[field]}</th>`).join('');
+        const bodyRows = this.records.map((record, index) => {
+            const cells = PREVIEW_FIELDS.map(field =>
+                `<td>${escapeHtml(this.formatValue(record.data[field]))}</td>`
+            ).join('');
+
+            let status;
+            if (record.error) {
+                status = `<span class="import-error">${escapeHtml(record.error)}</span>`;
+            } else if (record.duplicate) {
+                status = `
+                    <select data-index="${index}">
+                        <option value="skip" ${record.action === 'skip' ? 'selected' : ''}>跳过</option>
+                        <option value="overwrite" ${record.action === 'overwrite' ? 'selected' : ''}>覆盖</option>
+                        <option value="keep" ${record.action === 'keep' ? 'selected' : ''}>保留两者</option>
+                    </select>
+                `;
+            } else {
+                status = '<span class="import-ok">新增</span>';
+            }
+
+            const rowClass = record.error ? 'row-error' : (record.duplicate ? 'row-duplicate' : '');
+            return `<tr class="${rowClass}"><td>${index + 1}</td>${cells}<td>${status}</td></tr>`;
+        }).join('');
+
+        this.previewContainer.innerHTML = `
+            <table class="import-table">
+                <thead><tr><th>#</th>${headerCells}<th>处理</th></tr></thead>
+                <tbody>${bodyRows}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * 渲染统计信息与批量冲突处理
+     */
+    renderSummary() {
+        const total = this.records.length;
+        const errors = this.records.filter(r => r.error).length;
+        const duplicates = this.records.filter(r => r.duplicate).length;
+        const toImport = this.records.filter(r => !r.error && r.action !== 'skip').length;
+
+        this.summaryElement.innerHTML = `
+            <span>共 ${total} 条，将导入 ${toImport} 条</span>
+            ${errors ? `<span class="import-error">${errors} 条数据无效</span>` : ''}
+            ${duplicates ? `
+                <label>${duplicates} 条与现有联系人重复，全部
+                    <select class="import-bulk-action">
+                        <option value="">逐条选择</option>
+                        <option value="skip">跳过</option>
+                        <option value="overwrite">覆盖</option>
+                        <option value="keep">保留两者</option>
+                    </select>
+                </label>
+            ` : ''}
+        `;
+        this.confirmButton.disabled = toImport === 0;
+    }
+
+    /**
+     * 执行导入
+     */
+    async handleImport() {
+        try {
+            const result = await this.contactManager.importContacts(this.records);
+            if (result.success) {
+                alert(`导入完成：新增 ${result.added} 个，覆盖 ${result.updated} 个，跳过 ${result.skipped} 个`);
+                this.close();
+            } else {
+                alert(`导入失败：${result.error}`);
+            }
+        } catch (error) {
+            console.error('导入联系人失败:', error);
+            alert('导入失败，请重试');
+        }
+    }
+
+    /**
+     * 格式化预览中的字段值(带标签的列表显示为"标签 值")
+     * @param {*} value 字段值
+     * @returns {string} 显示文本
+     */
+    formatValue(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => typeof item === 'string' ? item : `${item.label} ${item.value}`).join('; ');
+        }
+        return value;
+    }
+
+    /**
+     * 重写重置方法：清空导入状态
+     */
+    reset() {
+        this.headers = [];
+        this.rows = [];
+        this.dataList = null;
+        this.records = [];
+        this.mappingContainer.innerHTML = '';
+        this.previewContainer.innerHTML = '';
+        this.summaryElement.innerHTML = '';
+    }
+
+    /**
+     * 重写关闭方法：关闭后清空预览数据
+     */
+    close() {
+        super.close();
+        this.reset();
+    }
+}
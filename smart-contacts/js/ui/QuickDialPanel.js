@@ -0,0 +1,60 @@
+import { PhoneNumber } from '../core/PhoneNumber.js';
+import { escapeHtml } from '../utils/html.js';
+
+/**
+ * 首页常用联系人快速拨号面板
+ * 列出全部常用联系人，点击号码直接拨打，点击姓名查看详情
+ */
+export class QuickDialPanel {
+    /**
+     * 创建快速拨号面板实例
+     * @param {ContactManager} contactManager 联系人管理器实例
+     * @param {DetailModal} detailModal 详情模态框实例
+     */
+    constructor(contactManager, detailModal) {
+        this.contactManager = contactManager;
+        this.detailModal = detailModal;
+        this.container = document.getElementById('quickDialList');
+        this.initEvents();
+    }
+
+    /**
+     * 初始化事件(事件委托)
+     */
+    initEvents() {
+        this.container.addEventListener('click', (e) => {
+            // 号码链接交给浏览器拨号
+            if (e.target.closest('a')) {
+                return;
+            }
+            const item = e.target.closest('.quick-dial-item');
+            const contact = item && this.contactManager.getContactById(item.dataset.id);
+            if (contact) {
+                this.detailModal.showContact(contact);
+            }
+        });
+    }
+
+    /**
+     * 渲染快速拨号面板
+     */
+    render() {
+        const favorites = this.contactManager.getFavorites();
+        if (favorites.length === 0) {
+            this.container.innerHTML = '<p class="empty-message">在联系人卡片或详情中点击 ☆ 即可添加常用联系人</p>';
+            return;
+        }
+
+        this.container.innerHTML = favorites.map(contact => {
+            const phone = contact.getPrimaryPhone();
+            return `
+                <div class="quick-dial-item" data-id="${contact.id}">
+                    <span class="quick-dial-name">${escapeHtml(contact.name)}</span>
+                    ${phone
+                        ? `<a class="quick-dial-phone" href="tel:${PhoneNumber.dial(phone)}">📞 ${escapeHtml(contact.formatPhone())}</a>`
+                        : '<span class="quick-dial-phone">无电话</span>'}
+                </div>
+            `;
+        }).join('');
+    }
+}
@@ -0,0 +1,173 @@
+import { Modal } from './Modal.js';
+import { escapeHtml } from '../utils/html.js';
+
+/**
+ * 数据恢复模态框
+ * 继承自Modal基类，列出隔离区中无法读取的数据，提供换口令重试、导出原始数据和永久删除
+ */
+export class RecoveryModal extends Modal {
+    /**
+     * 创建数据恢复模态框实例
+     * @param {ContactManager} contactManager 联系人管理器实例
+     */
+    constructor(contactManager) {
+        super('recoveryModal');
+        this.contactManager = contactManager;
+        this.form = document.getElementById('recoveryForm');
+        this.summaryElement = document.getElementById('recoverySummary');
+        this.listContainer = document.getElementById('recoveryList');
+        this.passphraseInput = document.getElementById('recoveryPassphrase');
+        this.retryButton = document.getElementById('recoveryRetryBtn');
+        this.entries = [];
+        this.initRecoveryEvents();
+    }
+
+    /**
+     * 初始化恢复相关事件
+     */
+    initRecoveryEvents() {
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleRetry();
+        });
+
+        document.getElementById('recoveryExportBtn').addEventListener('click', () => {
+            this.contactManager.exportQuarantine();
+        });
+
+        document.getElementById('recoveryDiscardBtn').addEventListener('click', () => this.handleDiscard());
+    }
+
+    /**
+     * 读取隔离区，有数据时显示恢复界面
+     * @returns {Promise<boolean>} 是否存在隔离数据
+     */
+    async open() {
+        this.entries = await this.contactManager.getQuarantine();
+        if (this.entries.length === 0) {
+            return false;
+        }
+        this.render();
+        this.show();
+        return true;
+    }
+
+    /**
+     * 渲染隔离数据列表
+     */
+    render() {
+        const legacy = this.entries.filter(entry => entry.source === 'legacy').length;
+        const records = this.entries.length - legacy;
+        const parts = [];
+        if (records > 0) {
+            parts.push(`${records} 条联系人记录`);
+        }
+        if (legacy > 0) {
+            parts.push('旧版本整体保存的全部联系人');
+        }
+        this.summaryElement.textContent = `${parts.join('和')}无法读取，已移入隔离区，其他联系人不受影响。` +
+            '可以输入以前使用过的口令重试，或导出原始数据留存。';
+
+        const rows = this.entries.map((entry, index) => `
+            <tr>
+                <td>${index + 1}</td>
+                <td>${entry.source === 'legacy' ? '旧版整体数据' : escapeHtml(entry.id)}</td>
+                <td>${escapeHtml(entry.reason)}</td>
+                <td>${this.formatSize(entry.value)}</td>
+                <td>${new Date(entry.quarantinedAt).toLocaleString()}</td>
+            </tr>
+        `).join('');
+
+        this.listContainer.innerHTML = `
+            <table class="import-table">
+                <thead><tr><th>#</th><th>记录</th><th>原因</th><th>大小</th><th>隔离时间</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * 使用输入的口令重试解密
+     */
+    async handleRetry() {
+        this.retryButton.disabled = true;
+        let result;
+        try {
+            result = await this.contactManager.retryQuarantine(this.passphraseInput.value);
+        } catch (error) {
+            console.error('恢复隔离数据失败:', error);
+            result = { success: false, error: '恢复失败，请重试' };
+        } finally {
+            this.retryButton.disabled = false;
+        }
+
+        if (!result.success) {
+            this.showError(result.error);
+            this.passphraseInput.select();
+            return;
+        }
+
+        alert(`已恢复 ${result.recovered} 个联系人` + (result.remaining ? `，仍有 ${result.remaining} 条数据无法读取` : ''));
+        this.passphraseInput.value = '';
+        if (!await this.open()) {
+            this.close();
+        }
+    }
+
+    /**
+     * 确认后永久删除隔离数据
+     */
+    async handleDiscard() {
+        const confirmed = confirm('确定要永久删除无法读取的数据吗？删除后无法恢复，建议先导出原始数据。');
+        if (confirmed) {
+            await this.contactManager.clearQuarantine();
+            this.close();
+        }
+    }
+
+    /**
+     * 格式化数据大小
+     * @param {string} value 原始数据
+     * @returns {string} 大小文本
+     */
+    formatSize(value) {
+        const length = String(value ?? '').length;
+        return length < 1024 ? `${length} B` : `${(length / 1024).toFixed(1)} KB`;
+    }
+
+    /**
+     * 显示错误提示
+     * @param {string} message 错误信息
+     */
+    showError(message) {
+        let errorElement = this.form.querySelector('.error-message');
+
+        if (!errorElement) {
+            errorElement = document.createElement('div');
+            errorElement.className = 'error-message';
+            this.form.insertBefore(errorElement, this.form.firstChild);
+        }
+
+        errorElement.textContent = message;
+        errorElement.style.display = 'block';
+    }
+
+    /**
+     * 重写重置方法：清空口令和错误信息
+     */
+    reset() {
+        this.form.reset();
+        const errorElement = this.form.querySelector('.error-message');
+        if (errorElement) {
+            errorElement.textContent = '';
+        }
+    }
+
+    /**
+     * 重写关闭方法：不在DOM中保留口令
+     */
+    close() {
+        this.reset();
+        super.close();
+    }
+}
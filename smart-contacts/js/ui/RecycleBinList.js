@@ -0,0 +1,134 @@
+import { escapeHtml } from '../utils/html.js';
+
+/**
+ * 回收站列表UI渲染类
+ * 显示已删除的联系人，提供恢复、永久删除、清空回收站和保留期设置
+ */
+export class RecycleBinList {
+    /**
+     * 创建回收站列表实例
+     * @param {ContactManager} contactManager 联系人管理器实例
+     */
+    constructor(contactManager) {
+        this.contactManager = contactManager;
+        this.container = document.getElementById('recycleList');
+        this.retentionSelect = document.getElementById('retentionDays');
+        this.emptyButton = document.getElementById('emptyRecycleBinBtn');
+        this.retentionDays = contactManager.defaultRetentionDays;
+        this.initEvents();
+    }
+
+    /**
+     * 初始化事件
+     */
+    initEvents() {
+        // 卡片上的恢复/永久删除按钮(事件委托)
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) {
+                return;
+            }
+            const id = button.closest('.contact-card').dataset.id;
+            if (button.dataset.action === 'restore') {
+                this.restore(id);
+            } else if (button.dataset.action === 'purge') {
+                this.purge(id);
+            }
+        });
+
+        this.emptyButton.addEventListener('click', () => this.emptyAll());
+
+        this.retentionSelect.addEventListener('change', async () => {
+            this.retentionDays = Number(this.retentionSelect.value);
+            await this.contactManager.setRetentionDays(this.retentionDays);
+            this.render();
+        });
+    }
+
+    /**
+     * 读取保留期设置并渲染(数据加载完成后调用)
+     */
+    async load() {
+        this.retentionDays = await this.contactManager.getRetentionDays();
+        this.retentionSelect.value = String(this.retentionDays);
+        this.render();
+    }
+
+    /**
+     * 恢复联系人
+     * @param {string} id 联系人ID
+     */
+    async restore(id) {
+        const result = await this.contactManager.restoreContact(id);
+        if (!result.success) {
+            alert(result.error);
+        }
+    }
+
+    /**
+     * 永久删除联系人
+     * @param {string} id 联系人ID
+     */
+    async purge(id) {
+        const contact = this.contactManager.recycleBin.find(c => c.id === id);
+        if (!contact || !confirm(`确定要永久删除联系人 "${contact.name}" 吗？此操作无法撤销。`)) {
+            return;
+        }
+        if (!await this.contactManager.purgeContacts([id])) {
+            alert('删除失败，请重试');
+        }
+    }
+
+    /**
+     * 清空回收站
+     */
+    async emptyAll() {
+        const count = this.contactManager.recycleBin.length;
+        if (count === 0 || !confirm(`确定要永久删除回收站中的 ${count} 个联系人吗？此操作无法撤销。`)) {
+            return;
+        }
+        if (!await this.contactManager.emptyRecycleBin()) {
+            alert('清空失败，请重试');
+        }
+    }
+
+    /**
+     * 计算联系人距自动清理的剩余天数
+     * @param {Contact} contact 回收站中的联系人
+     * @returns {string} 提示文本
+     */
+    getExpiryText(contact) {
+        if (this.retentionDays === 0) {
+            return '永久保留';
+        }
+        const expiresAt = contact.deletedAt.getTime() + this.retentionDays * 86400000;
+        const daysLeft = Math.max(0, Math.ceil((expiresAt - Date.now()) / 86400000));
+        return `${daysLeft}天后自动清理`;
+    }
+
+    /**
+     * 渲染回收站列表
+     */
+    render() {
+        const contacts = this.contactManager.getDeletedContacts();
+        this.emptyButton.disabled = contacts.length === 0;
+
+        if (contacts.length === 0) {
+            this.container.innerHTML = '<p class="empty-message">回收站是空的</p>';
+            return;
+        }
+
+        this.container.innerHTML = contacts.map(contact => `
+            <div class="contact-card recycle-card" data-id="${contact.id}">
+                <h3>${escapeHtml(contact.name)}</h3>
+                <p class="phone">${escapeHtml(contact.formatPhone())}</p>
+                <p class="address">删除于 ${contact.deletedAt.toLocaleString()} · ${this.getExpiryText(contact)}</p>
+                <span class="category-tag" style="--tag-color: ${this.contactManager.categories.getColor(contact.category)}">${escapeHtml(contact.category)}</span>
+                <div class="recycle-actions">
+                    <button type="button" class="btn btn-primary" data-action="restore">恢复</button>
+                    <button type="button" class="btn btn-danger" data-action="purge">永久删除</button>
+                </div>
+            </div>
+        `).join('');
+    }
+}
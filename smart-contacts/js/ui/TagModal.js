@@ -0,0 +1,114 @@
+import { Modal } from './Modal.js';
+import { escapeHtml } from '../utils/html.js';
+
+/**
+ * 标签管理模态框
+ * 继承自Modal基类，列出全部标签，支持重命名(改为已有标签即合并)和删除
+ */
+export class TagModal extends Modal {
+    /**
+     * 创建标签管理模态框实例
+     * @param {ContactManager} contactManager 联系人管理器实例
+     * @param {Function} [onChange] 修改成功后的回调(接收操作说明，用于提示撤销)
+     */
+    constructor(contactManager, onChange = null) {
+        super('tagModal');
+        this.contactManager = contactManager;
+        this.onChange = onChange;
+        this.listContainer = document.getElementById('tagManagerList');
+        this.initTagEvents();
+    }
+
+    /**
+     * 初始化标签管理事件(事件委托)
+     */
+    initTagEvents() {
+        this.listContainer.addEventListener('change', (e) => {
+            const row = e.target.closest('.category-row');
+            if (row && e.target.dataset.field === 'name') {
+                this.rename(row.dataset.tag, e.target.value.trim());
+            }
+        });
+
+        this.listContainer.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action="delete"]');
+            if (button) {
+                this.remove(button.closest('.category-row').dataset.tag);
+            }
+        });
+    }
+
+    /**
+     * 重命名标签，新名称已存在时确认合并
+     * @param {string} oldName 原标签
+     * @param {string} newName 新标签
+     */
+    async rename(oldName, newName) {
+        if (newName === oldName) {
+            return;
+        }
+        const merging = this.contactManager.getTagCounts().has(newName);
+        if (merging && !confirm(`标签 "${newName}" 已存在，确定将 "${oldName}" 合并到 "${newName}" 吗？`)) {
+            this.render();
+            return;
+        }
+
+        const result = merging
+            ? await this.contactManager.mergeTags([oldName], newName)
+            : await this.contactManager.renameTag(oldName, newName);
+        this.handleResult(result, merging ? `已将 "${oldName}" 合并到 "${newName}"` : `已将标签 "${oldName}" 重命名为 "${newName}"`);
+    }
+
+    /**
+     * 从全部联系人中删除标签
+     * @param {string} name 标签
+     */
+    async remove(name) {
+        const count = this.contactManager.getTagCounts().get(name) || 0;
+        if (!confirm(`确定要从 ${count} 个联系人中删除标签 "${name}" 吗？`)) {
+            return;
+        }
+        this.handleResult(await this.contactManager.deleteTag(name), `已删除标签 "${name}"`);
+    }
+
+    /**
+     * 处理操作结果：失败时提示，成功时通知调用方
+     * @param {Object} result 结果对象
+     * @param {string} message 成功时的提示
+     */
+    handleResult(result, message) {
+        if (!result.success) {
+            alert(result.error);
+        } else if (this.onChange) {
+            this.onChange(message);
+        }
+        this.render();
+    }
+
+    /**
+     * 渲染标签列表
+     */
+    render() {
+        const counts = this.contactManager.getTagCounts();
+        if (counts.size === 0) {
+            this.listContainer.innerHTML = '<li class="empty-message">还没有联系人使用标签</li>';
+            return;
+        }
+
+        this.listContainer.innerHTML = [...counts].map(([tag, count]) => `
+            <li class="category-row" data-tag="${escapeHtml(tag)}">
+                <input type="text" data-field="name" value="${escapeHtml(tag)}">
+                <span class="category-count">${count} 人</span>
+                <button type="button" class="value-remove" data-action="delete" title="删除">✕</button>
+            </li>
+        `).join('');
+    }
+
+    /**
+     * 重写显示方法：显示前刷新标签列表
+     */
+    show() {
+        this.render();
+        super.show();
+    }
+}
@@ -0,0 +1,55 @@
+/**
+ * 轻提示组件
+ * 在页面底部短暂显示一条消息，可附带一个操作按钮(如"撤销")
+ */
+export class Toast {
+    /**
+     * 创建提示组件实例(提示元素只创建一次，重复显示时复用)
+     */
+    constructor() {
+        this.element = document.createElement('div');
+        this.element.className = 'toast';
+        this.element.setAttribute('role', 'status');
+        this.messageElement = document.createElement('span');
+        this.actionButton = document.createElement('button');
+        this.actionButton.type = 'button';
+        this.actionButton.className = 'toast-action';
+        this.element.append(this.messageElement, this.actionButton);
+        document.body.appendChild(this.element);
+
+        this.action = null;
+        this.timer = null;
+        this.actionButton.addEventListener('click', () => {
+            const action = this.action;
+            this.hide();
+            if (action) {
+                action.handler();
+            }
+        });
+    }
+
+    /**
+     * 显示提示
+     * @param {string} message 提示内容
+     * @param {Object} [action] 操作按钮 { text, handler }
+     * @param {number} [duration] 显示时长(毫秒)
+     */
+    show(message, action = null, duration = 5000) {
+        clearTimeout(this.timer);
+        this.action = action;
+        this.messageElement.textContent = message;
+        this.actionButton.textContent = action ? action.text : '';
+        this.actionButton.style.display = action ? '' : 'none';
+        this.element.classList.add('show');
+        this.timer = setTimeout(() => this.hide(), duration);
+    }
+
+    /**
+     * 隐藏提示
+     */
+    hide() {
+        clearTimeout(this.timer);
+        this.action = null;
+        this.element.classList.remove('show');
+    }
+}
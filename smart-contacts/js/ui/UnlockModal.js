@@ -0,0 +1,198 @@
+import { Modal } from './Modal.js';
+
+/**
+ * 口令解锁模态框
+ * 继承自Modal基类，负责首次设置口令、旧密钥迁移、启动时解锁和更换口令
+ */
+export class UnlockModal extends Modal {
+    /**
+     * 创建解锁模态框实例
+     * @param {Crypto} crypto 加密工具实例
+     */
+    constructor(crypto) {
+        super('unlockModal');
+        this.crypto = crypto;
+        this.form = document.getElementById('unlockForm');
+        this.titleElement = document.querySelector('#unlockModal .modal-title');
+        this.descriptionElement = document.getElementById('unlockDescription');
+        this.currentGroup = document.getElementById('currentPassphraseGroup');
+        this.currentInput = document.getElementById('currentPassphrase');
+        this.passphraseLabel = document.querySelector('label[for="passphrase"]');
+        this.passphraseInput = document.getElementById('passphrase');
+        this.confirmGroup = document.getElementById('passphraseConfirmGroup');
+        this.confirmInput = document.getElementById('passphraseConfirm');
+        this.submitButton = document.getElementById('unlockSubmitBtn');
+        this.cancelButton = document.getElementById('unlockCancelBtn');
+        this.mode = 'unlock';
+        this.resolveUnlock = null;
+        this.initForm();
+    }
+
+    /**
+     * 重写事件初始化：解锁前不允许点击外部关闭
+     */
+    initEvents() {
+        // 不调用基类实现
+    }
+
+    /**
+     * 初始化表单提交事件
+     */
+    initForm() {
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSubmit();
+        });
+
+        // 只有更换口令时可以取消
+        this.cancelButton.addEventListener('click', () => this.finish(false));
+    }
+
+    /**
+     * 显示解锁界面，直到解锁成功(或取消更换口令)
+     * @param {string} mode setup(首次设置)/migrate(旧密钥迁移)/unlock(解锁)/rotate(更换口令)
+     * @returns {Promise<boolean>} 操作成功为true，取消为false
+     */
+    open(mode) {
+        this.mode = mode;
+        this.reset();
+
+        const texts = {
+            setup: {
+                title: '设置访问口令',
+                description: '通讯录数据将使用此口令加密保存。口令不会被存储，遗忘后无法恢复数据，请妥善保管。',
+                button: '设置口令'
+            },
+            migrate: {
+                title: '升级数据加密',
+                description: '旧版本的加密密钥与数据保存在一起，无法起到保护作用。请设置访问口令，现有联系人将使用新口令重新加密。',
+                button: '设置并迁移'
+            },
+            unlock: {
+                title: '解锁通讯录',
+                description: '请输入访问口令以解密通讯录数据。',
+                button: '解锁'
+            },
+            rotate: {
+                title: '更换访问口令',
+                description: '所有数据将使用由新口令派生的新密钥重新加密。',
+                button: '更换口令'
+            }
+        };
+        const text = texts[mode];
+
+        this.titleElement.textContent = text.title;
+        this.descriptionElement.textContent = text.description;
+        this.submitButton.textContent = text.button;
+        this.passphraseLabel.textContent = mode === 'rotate' ? '新口令' : '访问口令';
+        this.confirmGroup.style.display = mode === 'unlock' ? 'none' : 'block';
+        this.confirmInput.required = mode !== 'unlock';
+        this.currentGroup.style.display = mode === 'rotate' ? 'block' : 'none';
+        this.currentInput.required = mode === 'rotate';
+        this.cancelButton.style.display = mode === 'rotate' ? '' : 'none';
+
+        this.show();
+        (mode === 'rotate' ? this.currentInput : this.passphraseInput).focus();
+
+        return new Promise(resolve => {
+            this.resolveUnlock = resolve;
+        });
+    }
+
+    /**
+     * 处理表单提交
+     */
+    async handleSubmit() {
+        const passphrase = this.passphraseInput.value;
+
+        if (this.mode !== 'unlock') {
+            if (passphrase.length < this.crypto.minPassphraseLength) {
+                this.showError(`口令至少需要${this.crypto.minPassphraseLength}个字符`);
+                return;
+            }
+            if (passphrase !== this.confirmInput.value) {
+                this.showError('两次输入的口令不一致');
+                return;
+            }
+        }
+
+        // 密钥派生需要一定时间，期间禁用按钮
+        this.submitButton.disabled = true;
+        let success;
+        let errorMessage = this.mode === 'unlock' ? '口令错误，请重试' : '设置口令失败，请重试';
+        try {
+            if (this.mode === 'rotate') {
+                const result = await this.crypto.rotateKey(this.currentInput.value, passphrase);
+                success = result.success;
+                errorMessage = result.error || errorMessage;
+            } else if (this.mode === 'setup') {
+                success = await this.crypto.setupPassphrase(passphrase);
+            } else if (this.mode === 'migrate') {
+                success = await this.crypto.migrateLegacyKey(passphrase);
+            } else {
+                success = await this.crypto.unlock(passphrase);
+            }
+        } catch (error) {
+            console.error('解锁失败:', error);
+            success = false;
+        } finally {
+            this.submitButton.disabled = false;
+        }
+
+        if (!success) {
+            this.showError(errorMessage);
+            (this.mode === 'rotate' ? this.currentInput : this.passphraseInput).select();
+            return;
+        }
+
+        this.finish(true);
+    }
+
+    /**
+     * 关闭模态框并通知调用方结果
+     * @param {boolean} success 是否成功
+     */
+    finish(success) {
+        this.close();
+        if (this.resolveUnlock) {
+            this.resolveUnlock(success);
+            this.resolveUnlock = null;
+        }
+    }
+
+    /**
+     * 显示错误提示
+     * @param {string} message 错误信息
+     */
+    showError(message) {
+        let errorElement = this.form.querySelector('.error-message');
+
+        if (!errorElement) {
+            errorElement = document.createElement('div');
+            errorElement.className = 'error-message';
+            this.form.insertBefore(errorElement, this.form.firstChild);
+        }
+
+        errorElement.textContent = message;
+        errorElement.style.display = 'block';
+    }
+
+    /**
+     * 重写重置方法：清空输入的口令和错误信息
+     */
+    reset() {
+        this.form.reset();
+        const errorElement = this.form.querySelector('.error-message');
+        if (errorElement) {
+            errorElement.textContent = '';
+        }
+    }
+
+    /**
+     * 重写关闭方法：不在DOM中保留口令
+     */
+    close() {
+        this.reset();
+        super.close();
+    }
+}
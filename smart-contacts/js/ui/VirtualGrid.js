@@ -0,0 +1,420 @@
+/**
+ * 虚拟滚动的卡片网格
+ * 只为可见区域(及上下缓冲行)内的卡片创建DOM，其余部分由容器高度占位；
+ * 支持带吸顶标题的分组、数据更新时保持滚动位置，以及在整个列表中用键盘移动焦点
+ * 列表随页面(window)滚动，卡片和分组标题使用固定高度，以便直接计算每一行的位置
+ */
+export class VirtualGrid {
+    /**
+     * 创建虚拟网格实例
+     * @param {HTMLElement} container 列表容器
+     * @param {Object} options 选项
+     * @param {Function} options.renderItem 生成卡片HTML (item, active) => string
+     * @param {Function} options.getKey 获取条目的唯一标识 item => string
+     * @param {Function} [options.onActivate] 按回车键打开条目时的回调 item => void
+     * @param {number} [options.minColumnWidth] 卡片最小宽度(与CSS网格一致)
+     * @param {string} [options.singleColumnQuery] 只显示一列的媒体查询(与CSS的移动端布局一致)
+     * @param {number} [options.gap] 卡片间距
+     * @param {number} [options.itemHeight] 卡片高度
+     * @param {number} [options.headerHeight] 分组标题高度(含与卡片的间距)
+     * @param {number} [options.overscan] 可见区域上下额外渲染的行数
+     */
+    constructor(container, {
+        renderItem,
+        getKey,
+        onActivate = null,
+        minColumnWidth = 280,
+        singleColumnQuery = '(max-width: 768px)',
+        gap = 20,
+        itemHeight = 170,
+        headerHeight = 46,
+        overscan = 3
+    }) {
+        this.container = container;
+        this.renderItem = renderItem;
+        this.getKey = getKey;
+        this.onActivate = onActivate;
+        this.minColumnWidth = minColumnWidth;
+        this.singleColumnQuery = singleColumnQuery;
+        this.gap = gap;
+        this.itemHeight = itemHeight;
+        this.headerHeight = headerHeight;
+        this.overscan = overscan;
+
+        // 分组 [{ label, items }]，label为null时不显示标题
+        this.sections = [];
+        // 全部条目(按显示顺序)、标识到序号的索引，以及每个条目所在的行和列
+        this.items = [];
+        this.indexByKey = new Map();
+        this.positions = [];
+        // 行布局 [{ type: 'header'|'items', top, height, section, start, count }]
+        this.rows = [];
+        this.columns = 1;
+        this.totalHeight = 0;
+        // 当前已渲染的行范围
+        this.renderedRange = null;
+        // 键盘焦点所在条目的标识
+        this.activeKey = null;
+        this.active = false;
+        this.frame = null;
+
+        this.container.style.setProperty('--card-height', `${itemHeight}px`);
+        this.container.style.setProperty('--header-height', `${headerHeight}px`);
+        this.initEvents();
+    }
+
+    /**
+     * 初始化滚动、尺寸变化和键盘事件
+     */
+    initEvents() {
+        const schedule = () => {
+            if (this.frame === null) {
+                this.frame = requestAnimationFrame(() => {
+                    this.frame = null;
+                    this.renderWindow();
+                });
+            }
+        };
+        window.addEventListener('scroll', schedule, { passive: true });
+
+        // 宽度变化(包括页面从隐藏切换为显示)时重新计算列数
+        const relayout = () => {
+            if (this.active && this.getColumnCount() !== this.columns) {
+                const anchor = this.captureAnchor();
+                this.updateLayout();
+                this.restoreAnchor(anchor);
+                this.renderWindow(true);
+            }
+        };
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(relayout).observe(this.container);
+        } else {
+            window.addEventListener('resize', relayout);
+        }
+
+        this.container.addEventListener('keydown', (e) => this.handleKeydown(e));
+    }
+
+    /**
+     * 设置要显示的分组，保持当前滚动位置和键盘焦点
+     * @param {Array<{label: string|null, items: Array}>} sections 分组
+     */
+    setSections(sections) {
+        const anchor = this.active ? this.captureAnchor() : null;
+        this.active = true;
+        this.sections = sections.filter(section => section.items.length > 0);
+        this.items = this.sections.flatMap(section => section.items);
+        this.indexByKey = new Map(this.items.map((item, index) => [this.getKey(item), index]));
+        if (this.activeKey !== null && this.indexOfKey(this.activeKey) === -1) {
+            this.activeKey = null;
+        }
+
+        this.container.classList.add('contact-virtual');
+        this.container.tabIndex = 0;
+        this.updateLayout();
+        this.restoreAnchor(anchor);
+        this.renderWindow(true);
+    }
+
+    /**
+     * 停用虚拟网格(容器改为显示其他内容，如空状态提示)
+     */
+    clear() {
+        this.active = false;
+        this.sections = [];
+        this.items = [];
+        this.indexByKey = new Map();
+        this.positions = [];
+        this.rows = [];
+        this.renderedRange = null;
+        this.container.classList.remove('contact-virtual');
+        this.container.removeAttribute('tabindex');
+        this.container.removeAttribute('aria-activedescendant');
+        this.container.style.height = '';
+    }
+
+    /**
+     * 按容器宽度计算列数(与CSS的 repeat(auto-fill, minmax(最小宽度, 1fr)) 一致)
+     * @returns {number} 列数
+     */
+    getColumnCount() {
+        if (window.matchMedia && window.matchMedia(this.singleColumnQuery).matches) {
+            return 1;
+        }
+        const width = this.container.clientWidth;
+        return Math.max(1, Math.floor((width + this.gap) / (this.minColumnWidth + this.gap)));
+    }
+
+    /**
+     * 计算每一行(分组标题或一行卡片)的位置
+     */
+    updateLayout() {
+        this.columns = this.getColumnCount();
+        this.rows = [];
+        this.positions = [];
+        let top = 0;
+        let start = 0;
+
+        this.sections.forEach((section, sectionIndex) => {
+            if (section.label !== null) {
+                this.rows.push({ type: 'header', top, height: this.headerHeight, section: sectionIndex });
+                top += this.headerHeight;
+            }
+            for (let offset = 0; offset < section.items.length; offset += this.columns) {
+                const count = Math.min(this.columns, section.items.length - offset);
+                const rowIndex = this.rows.length;
+                for (let col = 0; col < count; col++) {
+                    this.positions.push({ row: rowIndex, col });
+                }
+                this.rows.push({ type: 'items', top, height: this.itemHeight + this.gap, section: sectionIndex, start, count });
+                top += this.itemHeight + this.gap;
+                start += count;
+            }
+        });
+
+        this.totalHeight = top;
+        this.container.style.height = `${top}px`;
+    }
+
+    /**
+     * 获取列表顶部在文档中的位置
+     * @returns {number} 距文档顶部的像素数
+     */
+    getListTop() {
+        return this.container.getBoundingClientRect().top + window.scrollY;
+    }
+
+    /**
+     * 二分查找底部位于指定位置之下的第一行
+     * @param {number} offset 相对列表顶部的位置
+     * @returns {number} 行序号
+     */
+    findRow(offset) {
+        let low = 0;
+        let high = this.rows.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            const row = this.rows[middle];
+            if (row.top + row.height <= offset) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return Math.min(low, Math.max(this.rows.length - 1, 0));
+    }
+
+    /**
+     * 渲染可见区域及缓冲行
+     * @param {boolean} [force] 行范围未变化时也重新渲染(数据已更新)
+     */
+    renderWindow(force = false) {
+        if (!this.active) {
+            return;
+        }
+        if (this.rows.length === 0) {
+            this.container.innerHTML = '';
+            this.renderedRange = null;
+            return;
+        }
+
+        const viewportTop = window.scrollY - this.getListTop();
+        const viewportBottom = viewportTop + window.innerHeight;
+        const first = Math.max(0, this.findRow(Math.max(viewportTop, 0)) - this.overscan);
+        const last = Math.min(this.rows.length - 1, this.findRow(Math.max(viewportBottom, 0)) + this.overscan);
+        if (!force && this.renderedRange && this.renderedRange[0] === first && this.renderedRange[1] === last) {
+            return;
+        }
+        this.renderedRange = [first, last];
+
+        // 同一分组的行放在一个块中，块首总是带有该组的标题，以便标题吸顶
+        const blocks = [];
+        for (let index = first; index <= last; index++) {
+            const row = this.rows[index];
+            let block = blocks[blocks.length - 1];
+            if (!block || block.section !== row.section) {
+                const label = this.sections[row.section].label;
+                const headerOffset = label !== null && row.type === 'items' ? this.headerHeight : 0;
+                block = { section: row.section, label, top: row.top - headerOffset, items: [] };
+                blocks.push(block);
+            }
+            if (row.type === 'items') {
+                for (let i = row.start; i < row.start + row.count; i++) {
+                    block.items.push(i);
+                }
+            }
+        }
+
+        this.container.innerHTML = blocks.map(block => `
+            <div class="virtual-block" style="top: ${block.top}px">
+                ${block.label !== null ? `<h4 class="section-header">${block.label}</h4>` : ''}
+                <div class="contact-grid" style="grid-template-columns: repeat(${this.columns}, minmax(0, 1fr)); gap: ${this.gap}px">
+                    ${block.items.map(index => this.renderItem(this.items[index], this.getKey(this.items[index]) === this.activeKey)).join('')}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * 记录滚动锚点：视口顶部第一张卡片及其与视口顶部的距离
+     * @returns {Object|null} 锚点，列表尚未滚动到视口顶部之上时为null
+     */
+    captureAnchor() {
+        if (this.rows.length === 0) {
+            return null;
+        }
+        const viewportTop = window.scrollY - this.getListTop();
+        if (viewportTop <= 0) {
+            return null;
+        }
+        let index = this.findRow(viewportTop);
+        while (index < this.rows.length && this.rows[index].type !== 'items') {
+            index++;
+        }
+        const row = this.rows[index];
+        return row ? { key: this.getKey(this.items[row.start]), offset: row.top - viewportTop } : null;
+    }
+
+    /**
+     * 恢复滚动锚点：使锚点卡片回到原来相对视口的位置
+     * @param {Object|null} anchor 锚点
+     */
+    restoreAnchor(anchor) {
+        if (!anchor) {
+            return;
+        }
+        const index = this.indexOfKey(anchor.key);
+        if (index !== -1) {
+            const row = this.rows[this.positions[index].row];
+            window.scrollTo(0, this.getListTop() + row.top - anchor.offset);
+        }
+    }
+
+    /**
+     * 查找条目的位置
+     * @param {string} key 条目标识
+     * @returns {number} 序号，不存在时返回-1
+     */
+    indexOfKey(key) {
+        return this.indexByKey.has(key) ? this.indexByKey.get(key) : -1;
+    }
+
+    /**
+     * 设置键盘焦点所在的条目
+     * @param {string|null} key 条目标识
+     */
+    setActiveKey(key) {
+        this.activeKey = key;
+        if (key === null) {
+            this.container.removeAttribute('aria-activedescendant');
+        } else {
+            this.container.setAttribute('aria-activedescendant', `contact-card-${key}`);
+        }
+        this.renderWindow(true);
+    }
+
+    /**
+     * 滚动到指定分组的标题
+     * @param {number} sectionIndex 分组序号
+     */
+    scrollToSection(sectionIndex) {
+        const row = this.rows.find(item => item.section === sectionIndex);
+        if (row) {
+            window.scrollTo(0, this.getListTop() + row.top);
+        }
+    }
+
+    /**
+     * 滚动使指定条目完整可见
+     * @param {number} index 条目序号
+     */
+    scrollToIndex(index) {
+        const row = this.rows[this.positions[index].row];
+        const listTop = this.getListTop();
+        const rowTop = listTop + row.top;
+        // 分组时顶部有吸顶标题遮挡
+        const stickyOffset = this.sections[row.section].label !== null ? this.headerHeight : 0;
+        if (rowTop - stickyOffset < window.scrollY) {
+            window.scrollTo(0, rowTop - stickyOffset);
+        } else if (rowTop + this.itemHeight > window.scrollY + window.innerHeight) {
+            window.scrollTo(0, rowTop + this.itemHeight - window.innerHeight);
+        }
+    }
+
+    /**
+     * 键盘导航：方向键按网格移动，Home/End到首尾，PageUp/PageDown翻页，回车打开
+     * @param {KeyboardEvent} e 键盘事件
+     */
+    handleKeydown(e) {
+        // 卡片内的按钮保留自身的键盘操作
+        if (e.target !== this.container || this.items.length === 0) {
+            return;
+        }
+
+        const current = this.activeKey === null ? -1 : this.indexOfKey(this.activeKey);
+        if (e.key === 'Enter' || e.key === ' ') {
+            if (current !== -1 && this.onActivate) {
+                e.preventDefault();
+                this.onActivate(this.items[current]);
+            }
+            return;
+        }
+
+        const pageRows = Math.max(1, Math.floor(window.innerHeight / (this.itemHeight + this.gap)));
+        let next;
+        switch (e.key) {
+            case 'ArrowRight':
+                next = current + 1;
+                break;
+            case 'ArrowLeft':
+                next = current - 1;
+                break;
+            case 'ArrowDown':
+                next = current === -1 ? 0 : this.moveRows(current, 1);
+                break;
+            case 'ArrowUp':
+                next = current === -1 ? 0 : this.moveRows(current, -1);
+                break;
+            case 'PageDown':
+                next = current === -1 ? 0 : this.moveRows(current, pageRows);
+                break;
+            case 'PageUp':
+                next = current === -1 ? 0 : this.moveRows(current, -pageRows);
+                break;
+            case 'Home':
+                next = 0;
+                break;
+            case 'End':
+                next = this.items.length - 1;
+                break;
+            default:
+                return;
+        }
+
+        e.preventDefault();
+        next = Math.min(Math.max(next, 0), this.items.length - 1);
+        this.scrollToIndex(next);
+        this.setActiveKey(this.getKey(this.items[next]));
+    }
+
+    /**
+     * 计算向上或向下移动若干行后所在的条目(尽量保持列不变，跳过分组标题)
+     * @param {number} index 当前条目序号
+     * @param {number} count 移动的行数(负数向上)
+     * @returns {number} 目标条目序号
+     */
+    moveRows(index, count) {
+        const { row, col } = this.positions[index];
+        const step = count > 0 ? 1 : -1;
+        let target = row;
+        let remaining = Math.abs(count);
+        for (let i = row + step; i >= 0 && i < this.rows.length && remaining > 0; i += step) {
+            if (this.rows[i].type === 'items') {
+                target = i;
+                remaining--;
+            }
+        }
+        const targetRow = this.rows[target];
+        return targetRow.start + Math.min(col, targetRow.count - 1);
+    }
+}
@@ -0,0 +1,17 @@
+/**
+ * HTML工具函数
+ */
+
+/**
+ * 转义HTML特殊字符
+ * 联系人数据、导入的外部数据等插入innerHTML之前都需要转义
+ * @param {*} text 原始文本(null和undefined视为空字符串)
+ * @returns {string} 转义后的文本
+ */
+export function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createManager } from './helpers.js';
+
+const phone = value => [{ label: '手机', value }];
+
+/**
+ * 创建已有若干联系人的管理器
+ * @param {Object[]} list 联系人信息(默认为个人类别)
+ * @returns {Promise<{manager: ContactManager, contacts: Contact[]}>} 管理器和添加的联系人
+ */
+async function createManagerWith(list) {
+    const manager = await createManager();
+    const contacts = [];
+    for (const [index, options] of list.entries()) {
+        const result = await manager.addContact({ phones: phone(`1380000000${index}`), category: '个人', ...options });
+        contacts.push(result.contact);
+    }
+    return { manager, contacts };
+}
+
+test('批量删除选中的联系人，一次保存并可撤销', async (t) => {
+    const { manager, contacts: [zhang, li, wang] } = await createManagerWith([{ name: '张三' }, { name: '李四' }, { name: '王五' }]);
+    const save = t.mock.method(manager, 'saveToStorage');
+
+    const result = await manager.deleteContacts([wang.id, zhang.id, 'missing']);
+
+    assert.deepEqual(result, { success: true, count: 2 });
+    assert.equal(save.mock.callCount(), 1);
+    assert.deepEqual(manager.contacts.map(contact => contact.id), [li.id]);
+    assert.deepEqual(manager.recycleBin.map(contact => contact.id).sort(), [zhang.id, wang.id].sort());
+
+    await manager.undo();
+    assert.deepEqual(manager.contacts.map(contact => contact.name).sort(), ['张三', '李四', '王五'].sort());
+    assert.equal(manager.recycleBin.length, 0);
+});
+
+test('没有选中任何联系人时不删除', async () => {
+    const { manager } = await createManagerWith([{ name: '张三' }]);
+    assert.equal((await manager.deleteContacts(['missing'])).success, false);
+    assert.equal(manager.contacts.length, 1);
+});
+
+test('批量修改类别时与目标类别中的联系人同名的自动重命名', async () => {
+    const { manager, contacts: [, moved, other] } = await createManagerWith([
+        { name: '张三', category: '办公' },
+        { name: '张三' },
+        { name: '李四' }
+    ]);
+
+    const result = await manager.setContactsCategory([moved.id, other.id], '办公');
+
+    assert.deepEqual(result, { success: true, count: 2 });
+    assert.deepEqual(manager.contacts.map(contact => [contact.name, contact.category]), [
+        ['张三', '办公'],
+        ['张三 (2)', '办公'],
+        ['李四', '办公']
+    ]);
+    assert.equal((await manager.setContactsCategory([moved.id], '不存在')).success, false);
+});
+
+test('任一联系人修改后未通过校验时全部不修改，返回该联系人的字段错误', async (t) => {
+    const tags = Array.from({ length: 50 }, (_, index) => `标签${index}`);
+    const { manager, contacts: [zhang, li] } = await createManagerWith([{ name: '张三' }, { name: '李四', tags }]);
+    const save = t.mock.method(manager, 'saveToStorage');
+
+    const result = await manager.addTagToContacts([zhang.id, li.id], '新标签');
+
+    assert.equal(result.success, false);
+    assert.equal(result.id, li.id);
+    assert.ok(result.errors.tags);
+    assert.match(result.error, /^联系人 "李四": /);
+    assert.equal(save.mock.callCount(), 0);
+    assert.deepEqual(manager.getContactById(zhang.id).tags, []);
+    assert.equal(manager.getContactById(li.id).tags.length, 50);
+});
+
+test('导出选中的联系人，按列表中的顺序', async (t) => {
+    const { manager, contacts: [zhang, , wang] } = await createManagerWith([{ name: '张三' }, { name: '李四' }, { name: '王五' }]);
+    const download = t.mock.method(manager, 'downloadCsv', () => true);
+
+    assert.equal(manager.exportContacts([wang.id, zhang.id], 'csv'), true);
+
+    const [exported, filename] = download.mock.calls[0].arguments;
+    assert.deepEqual(exported.map(contact => contact.id), [zhang.id, wang.id]);
+    assert.match(filename, /^通讯录_已选2人_/);
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CategoryManager } from '../js/core/CategoryManager.js';
+import { Crypto } from '../js/core/Crypto.js';
+import { MemoryStorageAdapter } from '../js/core/storage/MemoryStorageAdapter.js';
+
+/**
+ * 创建已加载初始类别的类别管理器
+ * @returns {Promise<CategoryManager>} 类别管理器
+ */
+async function createCategoryManager() {
+    const crypto = new Crypto(new MemoryStorageAdapter());
+    crypto.iterations = 1000;
+    await crypto.setupPassphrase('password1');
+    const categories = new CategoryManager(crypto);
+    await categories.load();
+    return categories;
+}
+
+test('首次加载时创建初始类别', async () => {
+    const categories = await createCategoryManager();
+    assert.deepEqual(categories.getNames(), ['办公', '个人']);
+});
+
+test('类别名称不能为空、重复、保留名称或包含HTML字符', async () => {
+    const categories = await createCategoryManager();
+
+    assert.ok(categories.validateName(''));
+    assert.ok(categories.validateName('办公'));
+    assert.ok(categories.validateName('all'));
+    assert.ok(categories.validateName('<b>家人</b>'));
+    assert.equal(categories.validateName('家人'), null);
+});
+
+test('补全缺少的类别时跳过已有和不符合规则的名称', async () => {
+    const categories = await createCategoryManager();
+
+    assert.equal(await categories.ensure(['个人', '家人', '家人', '<img src=x onerror=alert(1)>', '']), true);
+
+    assert.deepEqual(categories.getNames(), ['办公', '个人', '家人']);
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ContactValidator } from '../js/core/ContactSchema.js';
+import { createManager } from './helpers.js';
+
+const validator = new ContactValidator();
+const context = { categories: ['办公', '个人'] };
+const phone = value => [{ label: '手机', value }];
+
+/**
+ * 校验在有效联系人数据上修改部分字段后的结果
+ * @param {Object} changes 要修改的字段
+ * @param {Object} [options] 校验选项
+ * @returns {Object} 字段名到错误信息的映射
+ */
+function validate(changes, options = { context }) {
+    return validator.validate({ name: '张三', phones: phone('13800138000'), category: '个人', ...changes }, options).errors;
+}
+
+test('有效的联系人数据没有错误', () => {
+    assert.deepEqual(validator.validate({
+        name: '张三',
+        phones: [{ label: '手机', value: '+86 138 0013 8000' }, { label: '分机', value: '123' }],
+        emails: [{ label: '工作', value: 'zhangsan@example.com' }],
+        company: '腾讯',
+        category: '个人',
+        tags: ['同事'],
+        favorite: true
+    }, { context }), { valid: true, errors: {} });
+});
+
+test('必填字段为空时报告各字段的错误', () => {
+    assert.deepEqual(Object.keys(validate({ name: '  ', phones: [], category: '' })), ['name', 'phones', 'category']);
+});
+
+test('列表中每一项的错误以"字段名.序号"为键', () => {
+    const errors = validate({
+        phones: [{ label: '手机', value: '13800138000' }, { label: '手机', value: 'abc' }],
+        emails: [{ label: '工作', value: 'not-an-email' }]
+    });
+
+    assert.deepEqual(Object.keys(errors), ['phones.1', 'emails.0']);
+    assert.equal(errors['emails.0'], '邮箱格式不正确');
+    assert.match(validator.getFirstError(errors), /^电话第2项：/);
+});
+
+test('检查长度、项数、类型和可选的类别', () => {
+    assert.ok(validate({ name: '张'.repeat(51) }).name);
+    assert.equal(validate({ name: '张'.repeat(50) }).name, undefined);
+    assert.ok(validate({ tags: Array.from({ length: 51 }, (_, index) => `标签${index}`) }).tags);
+    assert.ok(validate({ favorite: 'yes' }).favorite);
+    assert.ok(validate({ category: '家人' }).category);
+    // 没有提供可用类别时不检查类别
+    assert.equal(validate({ category: '家人' }, {}).category, undefined);
+});
+
+test('只检查类型时允许空值，但必填字段必须存在且类型正确', () => {
+    const typesOnly = { typesOnly: true };
+    assert.deepEqual(validate({ name: '', phones: [] }, typesOnly), {});
+    assert.deepEqual(Object.keys(validate({ phones: undefined, tags: 'a' }, typesOnly)), ['phones', 'tags']);
+});
+
+test('添加和修改联系人时返回各字段的错误，数据不被修改', async () => {
+    const manager = await createManager();
+
+    const added = await manager.addContact({ name: '张三', phones: phone('abc'), emails: [{ label: '工作', value: 'x' }], category: '个人' });
+    assert.equal(added.success, false);
+    assert.deepEqual(Object.keys(added.errors), ['phones.0', 'emails.0']);
+    assert.equal(manager.contacts.length, 0);
+
+    const { contact } = await manager.addContact({ name: '张三', phones: phone('13800138000'), category: '个人' });
+    await manager.addContact({ name: '李四', phones: phone('13900139000'), category: '个人' });
+    const updated = await manager.updateContact(contact.id, { name: '李四' });
+    assert.equal(updated.success, false);
+    assert.match(updated.errors.name, /已存在同名同类别的联系人/);
+    assert.equal(manager.getContactById(contact.id).name, '张三');
+});
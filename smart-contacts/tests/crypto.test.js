@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Crypto } from '../js/core/Crypto.js';
+import { MemoryStorageAdapter } from '../js/core/storage/MemoryStorageAdapter.js';
+
+const contacts = [{ id: 'c1', data: { name: '张三', phone: '13800000001', address: '', category: '个人' } }];
+
+/**
+ * 创建已设置口令并保存了联系人记录的加密工具
+ * @returns {Promise<Crypto>} 加密工具
+ */
+async function createCrypto() {
+    const crypto = new Crypto(new MemoryStorageAdapter());
+    crypto.iterations = 1000;
+    await crypto.setupPassphrase('password1');
+    await crypto.encryptAndStoreRecords('contacts', contacts);
+    return crypto;
+}
+
+/**
+ * 模拟重新打开页面：恢复中断的轮换，用口令解锁新的加密工具并读取联系人
+ * @param {StorageAdapter} storage 存储适配器
+ * @param {string} passphrase 口令
+ * @returns {Promise<Object[]|null>} 联系人记录，口令错误时为null
+ */
+async function reopen(storage, passphrase) {
+    const crypto = new Crypto(storage);
+    await crypto.recoverRotation();
+    return await crypto.unlock(passphrase) ? crypto.readAndDecryptRecords('contacts') : null;
+}
+
+test('更换口令后只能用新口令解锁，数据重新加密', async () => {
+    const crypto = await createCrypto();
+
+    assert.deepEqual(await crypto.rotateKey('password1', 'password2'), { success: true });
+
+    assert.equal(await reopen(crypto.storage, 'password1'), null);
+    assert.deepEqual(await reopen(crypto.storage, 'password2'), contacts);
+    assert.equal(await crypto.storage.getItem(crypto.rotationJournalName), null);
+});
+
+test('当前口令错误时不更换', async () => {
+    const crypto = await createCrypto();
+
+    const result = await crypto.rotateKey('wrong-password', 'password2');
+
+    assert.equal(result.success, false);
+    assert.deepEqual(await reopen(crypto.storage, 'password1'), contacts);
+});
+
+test('提交前中断时丢弃暂存数据，旧口令和旧密文保持有效', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const crypto = await createCrypto();
+    const setItem = crypto.storage.setItem.bind(crypto.storage);
+    t.mock.method(crypto.storage, 'setItem', (key, value) =>
+        key === crypto.rotationJournalName ? Promise.reject(new Error('存储空间不足')) : setItem(key, value));
+
+    const result = await crypto.rotateKey('password1', 'password2');
+    t.mock.restoreAll();
+
+    assert.deepEqual(result, { success: false, error: '更换口令失败，数据未被修改' });
+    assert.equal(await crypto.storage.getItem(crypto.kdfName + crypto.stagingSuffix), null);
+    assert.deepEqual(await crypto.storage.getRecords('contacts' + crypto.stagingSuffix), []);
+    assert.deepEqual(await reopen(crypto.storage, 'password1'), contacts);
+});
+
+test('提交后中断的轮换在下次启动时完成替换', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(console, 'warn', () => {});
+    const crypto = await createCrypto();
+    t.mock.method(crypto, 'applyRotation', () => Promise.reject(new Error('页面关闭')));
+
+    const result = await crypto.rotateKey('password1', 'password2');
+
+    assert.equal(result.success, false);
+    assert.ok(await crypto.storage.getItem(crypto.rotationJournalName));
+    assert.deepEqual(await reopen(crypto.storage, 'password2'), contacts);
+    assert.equal(await crypto.storage.getItem(crypto.rotationJournalName), null);
+    assert.deepEqual(await crypto.storage.getRecords('contacts' + crypto.stagingSuffix), []);
+});
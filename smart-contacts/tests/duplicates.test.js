@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Contact } from '../js/core/Contact.js';
+import { DuplicateFinder } from '../js/core/DuplicateFinder.js';
+import { Pinyin } from '../js/core/Pinyin.js';
+import { createManager } from './helpers.js';
+
+const finder = new DuplicateFinder(new Pinyin());
+
+/**
+ * 查找疑似重复的联系人，返回各组的姓名和原因
+ * @param {Object[]} list 联系人信息
+ * @returns {Array<{names: string[], reasons: string[]}>} 疑似重复的组
+ */
+function findGroups(list) {
+    const contacts = list.map(options => new Contact({ category: '个人', ...options }));
+    return finder.findGroups(contacts).map(group => ({
+        names: group.contacts.map(contact => contact.name).sort(),
+        reasons: group.reasons
+    }));
+}
+
+const phone = value => [{ label: '手机', value }];
+
+test('不同写法的同一号码判定为重复', () => {
+    assert.deepEqual(findGroups([
+        { name: '张三', phones: phone('138-0013-8000') },
+        { name: '老张', phones: phone('+86 138 0013 8000') },
+        { name: '李四', phones: phone('13900139000') }
+    ]), [{ names: ['张三', '老张'], reasons: ['phone'] }]);
+});
+
+test('位数太少的号码不作为判断依据', () => {
+    assert.deepEqual(findGroups([
+        { name: '张三', phones: phone('110') },
+        { name: '李四', phones: phone('110') }
+    ]), []);
+});
+
+test('姓名忽略空白和全角半角后相同，或拼音相同时判定为重复', () => {
+    assert.deepEqual(findGroups([
+        { name: '张 三' },
+        { name: '张三' },
+        { name: 'Ｌｉｌｙ' },
+        { name: 'lily' },
+        { name: '章三' }
+    ]), [
+        { names: ['张 三', '张三', '章三'], reasons: ['name', 'pinyin'] },
+        { names: ['lily', 'Ｌｉｌｙ'], reasons: ['name'] }
+    ]);
+});
+
+test('同一单位中三个字以上只差一个字的姓名判定为相近', () => {
+    assert.deepEqual(findGroups([
+        { name: '张三丰', company: '武当' },
+        { name: '张四丰', company: '武当' },
+        { name: '张五丰', company: '峨眉' },
+        { name: '李四', company: '武当' },
+        { name: '李五', company: '武当' }
+    ]), [{ names: ['张三丰', '张四丰'], reasons: ['similar'] }]);
+});
+
+test('合并重复联系人时号码去重，其余联系人移入回收站，可以撤销', async () => {
+    const manager = await createManager();
+    const kept = (await manager.addContact({ name: '张三', phones: phone('13800138000'), company: '腾讯', category: '办公' })).contact;
+    const other = (await manager.addContact({
+        name: '张三',
+        phones: phone('+86 138 0013 8000'),
+        emails: [{ label: '工作', value: 'zhangsan@example.com' }],
+        category: '个人'
+    })).contact;
+
+    const [group] = manager.findDuplicates();
+    assert.deepEqual(group.reasons, ['phone', 'name']);
+
+    const result = await manager.mergeContacts(kept.id, [kept.id, other.id]);
+
+    assert.equal(result.success, true);
+    assert.deepEqual(manager.contacts.map(contact => contact.id), [kept.id]);
+    assert.equal(result.contact.phones.length, 1);
+    assert.equal(result.contact.emails[0].value, 'zhangsan@example.com');
+    assert.equal(result.contact.company, '腾讯');
+    assert.deepEqual(manager.recycleBin.map(contact => contact.id), [other.id]);
+
+    await manager.undo();
+    assert.deepEqual(manager.contacts.map(contact => contact.id).sort(), [kept.id, other.id].sort());
+    assert.equal(manager.recycleBin.length, 0);
+});
@@ -0,0 +1,47 @@
+import { ContactManager } from '../js/core/ContactManager.js';
+import { MemoryStorageAdapter } from '../js/core/storage/MemoryStorageAdapter.js';
+
+/**
+ * 创建使用内存存储、已设置口令的联系人管理器(降低PBKDF2迭代次数以加快测试)
+ * @param {Object} [options] 选项
+ * @param {MemoryStorageAdapter} [options.storage] 存储适配器，默认新建
+ * @param {boolean} [options.load] 是否从存储加载数据
+ * @returns {Promise<ContactManager>} 联系人管理器
+ */
+export async function createManager({ storage = new MemoryStorageAdapter(), load = true } = {}) {
+    const manager = new ContactManager(storage);
+    manager.crypto.iterations = 1000;
+    await manager.crypto.setupPassphrase('password1');
+    if (load) {
+        await manager.loadFromStorage();
+    }
+    return manager;
+}
+
+/**
+ * 生成没有版本号的旧版联系人数据(单个phone字段，单位保存在address中)
+ * @param {number} count 数量
+ * @returns {Object[]} 联系人数据
+ */
+export function createLegacyContacts(count) {
+    return Array.from({ length: count }, (_, index) => ({
+        id: `c${index}`,
+        name: `联系人${index}`,
+        phone: `138${String(index).padStart(8, '0')}`,
+        address: '某公司',
+        category: '个人',
+        createdAt: new Date().toISOString()
+    }));
+}
+
+/**
+ * 将联系人数据加密写入存储，并设置数据结构版本
+ * @param {ContactManager} manager 联系人管理器
+ * @param {Object[]} contacts 联系人数据
+ * @param {number} version 数据结构版本
+ * @returns {Promise<void>}
+ */
+export async function storeContacts(manager, contacts, version) {
+    await manager.crypto.encryptAndStoreRecords(manager.storeName, contacts.map(item => ({ id: item.id, data: item })));
+    await manager.writeSchemaVersion(version);
+}
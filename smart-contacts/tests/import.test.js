@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createManager } from './helpers.js';
+
+const phone = value => [{ label: '手机', value }];
+
+/**
+ * 创建已有联系人"张三"(个人)的管理器
+ * @returns {Promise<ContactManager>} 联系人管理器
+ */
+async function createManagerWithContact() {
+    const manager = await createManager();
+    await manager.addContact({ name: '张三', phones: phone('13800000001'), category: '个人' });
+    return manager;
+}
+
+test('预览时去掉姓名首尾空格，按规范化的姓名标记重复', async () => {
+    const manager = await createManagerWithContact();
+    const preview = manager.previewImport([
+        { name: '张三 ', phones: phone('13800000002') },
+        { name: '李四', phones: phone('13800000003'), category: '办公' },
+        { name: ' 李 四', phones: phone('13800000004'), category: '办公' },
+        { name: '', phones: phone('13800000005'), category: '个人' }
+    ]);
+
+    assert.equal(preview[0].data.category, '个人');
+    assert.deepEqual(preview.map(record => record.data.name), ['张三', '李四', '李 四', '']);
+    assert.deepEqual(preview.map(record => record.duplicate), [true, false, true, false]);
+    assert.deepEqual(preview.map(record => record.action), ['skip', 'add', 'skip', 'skip']);
+    assert.ok(preview[3].error);
+});
+
+test('选择覆盖时更新已有联系人，保留其ID和创建时间，只写入变更的记录', async (t) => {
+    const manager = await createManagerWithContact();
+    const original = manager.contacts[0];
+    const preview = manager.previewImport([
+        { name: '张三 ', phones: phone('13800000002'), company: '新公司', category: '个人' },
+        { name: '王五', phones: phone('13800000003'), category: '个人' }
+    ]);
+    preview[0].action = 'overwrite';
+    const save = t.mock.method(manager, 'saveToStorage');
+
+    const result = await manager.importContacts(preview);
+
+    assert.deepEqual(result, { success: true, added: 1, updated: 1, skipped: 0 });
+    assert.equal(manager.contacts.length, 2);
+    const updated = manager.getContactById(original.id);
+    assert.equal(updated.name, '张三');
+    assert.equal(updated.company, '新公司');
+    assert.equal(updated.createdAt.getTime(), original.createdAt.getTime());
+    assert.equal(save.mock.callCount(), 1);
+    assert.deepEqual(save.mock.calls[0].arguments[0].put.map(contact => contact.name).sort(), ['张三', '王五'].sort());
+});
+
+test('选择保留两者时为导入的联系人生成不冲突的姓名', async () => {
+    const manager = await createManagerWithContact();
+    const preview = manager.previewImport([{ name: '张三', phones: phone('13800000002'), category: '个人' }]);
+    preview[0].action = 'keep';
+
+    const result = await manager.importContacts(preview);
+
+    assert.equal(result.added, 1);
+    assert.deepEqual(manager.contacts.map(contact => contact.name), ['张三', '张三 (2)']);
+});
+
+test('跳过的重复记录不修改已有联系人和存储，导入可以撤销', async () => {
+    const manager = await createManagerWithContact();
+    const before = manager.contacts[0].toJSON();
+    const preview = manager.previewImport([
+        { name: '张三', phones: phone('13800000002'), category: '个人' },
+        { name: '赵六', phones: phone('13800000003'), category: '个人' }
+    ]);
+
+    const result = await manager.importContacts(preview);
+
+    assert.deepEqual(result, { success: true, added: 1, updated: 0, skipped: 1 });
+    assert.deepEqual(manager.contacts[0].toJSON(), before);
+    assert.equal((await manager.storage.getRecords(manager.storeName)).length, 2);
+
+    await manager.undo();
+    assert.deepEqual(manager.contacts.map(contact => contact.name), ['张三']);
+    assert.equal((await manager.storage.getRecords(manager.storeName)).length, 1);
+});
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SchemaMigrator } from '../js/core/SchemaMigrator.js';
+import { MIGRATIONS } from '../js/core/migrations.js';
+import { Crypto } from '../js/core/Crypto.js';
+import { MemoryStorageAdapter } from '../js/core/storage/MemoryStorageAdapter.js';
+import { createManager, createLegacyContacts, storeContacts } from './helpers.js';
+
+test('迁移器将无版本号的数据逐级升级到最新版本，不修改传入的数据', () => {
+    const migrator = new SchemaMigrator();
+    const input = {
+        schemaVersion: 0,
+        contacts: [{ id: 'a', name: '张三', phone: '13800138000', category: '办公' }]
+    };
+    const original = JSON.parse(JSON.stringify(input));
+
+    const { payload, applied } = migrator.migrate(input);
+
+    assert.equal(payload.schemaVersion, migrator.latestVersion);
+    assert.equal(applied.length, migrator.latestVersion);
+    assert.equal(payload.contacts.length, 1);
+    assert.deepEqual(input, original);
+});
+
+test('迁移器拒绝高于程序版本的数据', () => {
+    const migrator = new SchemaMigrator();
+    assert.throws(() => migrator.migrate({ schemaVersion: migrator.latestVersion + 1, contacts: [] }));
+});
+
+test('大数据量的Base64转换不会超出调用栈', () => {
+    const crypto = new Crypto(new MemoryStorageAdapter());
+    const bytes = new Uint8Array(1024 * 1024).map((_, index) => index % 251);
+    const restored = new Uint8Array(crypto.base64ToArrayBuffer(crypto.arrayBufferToBase64(bytes.buffer)));
+    assert.deepEqual(restored, bytes);
+});
+
+test('数百个联系人的旧版数据可以备份并升级', async () => {
+    const manager = await createManager({ load: false });
+    await storeContacts(manager, createLegacyContacts(500), 0);
+
+    assert.equal(await manager.loadFromStorage(), true);
+
+    assert.equal(manager.contacts.length, 500);
+    assert.equal(await manager.readSchemaVersion(), manager.migrator.latestVersion);
+    assert.equal((await manager.getQuarantine()).length, 0);
+    assert.equal((await manager.readBackup(0)).length, 500);
+});
+
+test('备份失败时不升级也不隔离，存储中的数据保持不变', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const manager = await createManager({ load: false });
+    await storeContacts(manager, createLegacyContacts(20), 0);
+    const store = manager.crypto.encryptAndStoreRecords.bind(manager.crypto);
+    t.mock.method(manager.crypto, 'encryptAndStoreRecords', (name, ...args) =>
+        name === manager.backupStoreName ? Promise.resolve(false) : store(name, ...args));
+
+    assert.equal(await manager.loadFromStorage(), false);
+
+    assert.equal(await manager.readSchemaVersion(), 0);
+    assert.equal((await manager.getQuarantine()).length, 0);
+    assert.equal((await manager.storage.getRecords(manager.storeName)).length, 20);
+});
+
+test('写入升级后的数据失败时回滚到备份，之后可以重新升级', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const manager = await createManager({ load: false });
+    await storeContacts(manager, createLegacyContacts(20), 0);
+    // 只有第一次整体写入(升级后的数据)失败
+    const replace = t.mock.method(manager.crypto, 'encryptAndReplaceRecords');
+    replace.mock.mockImplementationOnce(() => Promise.resolve(false));
+
+    assert.equal(await manager.loadFromStorage(), false);
+    assert.equal(await manager.readSchemaVersion(), 0);
+    assert.equal((await manager.getQuarantine()).length, 0);
+
+    assert.equal(await manager.loadFromStorage(), true);
+    assert.equal(manager.contacts.length, 20);
+    assert.equal(await manager.readSchemaVersion(), manager.migrator.latestVersion);
+});
+
+test('无法解密的记录移入隔离区，其余记录正常加载', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const manager = await createManager({ load: false });
+    await storeContacts(manager, createLegacyContacts(3), 0);
+    await manager.storage.updateRecords(manager.storeName, [{ id: 'broken', value: 'not-encrypted' }]);
+
+    assert.equal(await manager.loadFromStorage(), true);
+    assert.equal(manager.contacts.length, 3);
+    const quarantine = await manager.getQuarantine();
+    assert.deepEqual(quarantine.map(entry => entry.id), ['broken']);
+});
+
+test('电话号码升级为E.164格式，phones格式错误的记录移入隔离区', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const manager = await createManager({ load: false });
+    // 先用之前的迁移得到版本6的数据
+    const { payload } = new SchemaMigrator(MIGRATIONS.slice(0, 6)).migrate({
+        schemaVersion: 0,
+        contacts: createLegacyContacts(2)
+    });
+    payload.contacts[1].phones = '13800000001';
+    await storeContacts(manager, payload.contacts, 6);
+
+    assert.equal(await manager.loadFromStorage(), true);
+    assert.deepEqual(manager.contacts.map(contact => contact.phones[0].value), ['+8613800000000']);
+    assert.deepEqual((await manager.getQuarantine()).map(entry => entry.id), ['c1']);
+    assert.equal(await manager.readSchemaVersion(), manager.migrator.latestVersion);
+});
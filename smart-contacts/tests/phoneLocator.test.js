@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PhoneLocator, UNKNOWN_REGION } from '../js/core/PhoneLocator.js';
+import { createManager } from './helpers.js';
+
+const locator = new PhoneLocator();
+
+test('手机号按号段查询归属省市和运营商', () => {
+    assert.deepEqual(locator.lookup('+8613800138000'), { region: '北京', province: '北京', city: '', carrier: '移动' });
+    assert.deepEqual(locator.lookup('+8613912345678'), { region: '江苏 常州', province: '江苏', city: '常州', carrier: '移动' });
+    assert.equal(locator.format('+8618912345678'), '江苏 常州 · 电信');
+});
+
+test('固定电话按区号查询城市', () => {
+    assert.deepEqual(locator.lookup('+8675512345678'), { region: '广东 深圳', province: '广东', city: '深圳', carrier: '' });
+    assert.equal(locator.format('+861012345678'), '北京');
+});
+
+test('能确定运营商但号段未收录归属地的手机号标为未知地区', () => {
+    const location = locator.lookup('+8619912345678');
+    assert.equal(location.province, UNKNOWN_REGION);
+    assert.equal(location.carrier, '电信');
+    assert.equal(locator.format('+8619912345678'), '归属地未知 · 电信');
+});
+
+test('国际号码、短号和无法识别的号码查询不到', () => {
+    ['+12025550123', '10086', '+8609991234567', 'abc'].forEach(value => {
+        assert.equal(locator.lookup(value), null, value);
+        assert.equal(locator.format(value), '', value);
+    });
+});
+
+test('按归属地统计和筛选联系人，未知地区排在最后', async () => {
+    const manager = await createManager();
+    const add = (name, ...values) => manager.addContact({
+        name,
+        phones: values.map(value => ({ label: '手机', value })),
+        category: '个人'
+    });
+    await add('张三', '13800138000', '010-12345678');
+    await add('李四', '19912345678');
+    await add('王五', '13912345678');
+    await add('赵六', '10086');
+
+    const { provinces, carriers } = manager.getPhoneLocationCounts();
+    assert.deepEqual([...provinces], [['北京', 1], ['江苏', 1], [UNKNOWN_REGION, 1]]);
+    assert.deepEqual([...carriers], [['移动', 2], ['电信', 1]]);
+
+    const filter = locationFilter => manager.searchContacts('all', '', null, locationFilter)
+        .map(result => result.contact.name);
+    assert.deepEqual(filter({ province: UNKNOWN_REGION }), ['李四']);
+    assert.deepEqual(filter({ carrier: '移动' }), ['张三', '王五']);
+    assert.deepEqual(filter({ province: '北京', carrier: '电信' }), []);
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PhoneNumber } from '../js/core/PhoneNumber.js';
+
+test('各种写法的号码解析为相同的E.164格式', () => {
+    ['13800138000', '+86 138 0013 8000', '0086-138-0013-8000'].forEach(text => {
+        assert.equal(PhoneNumber.normalize(text), '+8613800138000', text);
+    });
+    assert.equal(PhoneNumber.normalize('(0755)12345678'), '+8675512345678');
+    assert.equal(PhoneNumber.normalize('+1 202-555-0123'), '+12025550123');
+});
+
+test('分机号按RFC 3966附加，多种写法结果相同', () => {
+    ['010-12345678 转123', '010-12345678-123', '010 12345678 ext 123', '01012345678#123'].forEach(text => {
+        assert.equal(PhoneNumber.normalize(text), '+861012345678;ext=123', text);
+    });
+});
+
+test('短号保存为数字，无法识别的号码原样保留', () => {
+    assert.equal(PhoneNumber.parse('10086').phone.type, 'short');
+    assert.equal(PhoneNumber.normalize('10086'), '10086');
+    assert.equal(PhoneNumber.parse('abc').success, false);
+    assert.equal(PhoneNumber.parse('').success, false);
+    assert.equal(PhoneNumber.normalize(' abc '), 'abc');
+});
+
+test('按号码类型格式化显示', () => {
+    assert.equal(PhoneNumber.format('+8613800138000'), '138-0013-8000');
+    assert.equal(PhoneNumber.format('+861012345678'), '010-12345678');
+    assert.equal(PhoneNumber.format('+861012345678;ext=123'), '010-12345678 转 123');
+    assert.equal(PhoneNumber.format('+864001234567'), '400-123-4567');
+    assert.equal(PhoneNumber.format('+8613800138000', 'international'), '+86 138 0013 8000');
+    assert.equal(PhoneNumber.format('abc'), 'abc');
+});
+
+test('拨号串使用国内写法，分机号以逗号停顿后拨打', () => {
+    assert.equal(PhoneNumber.dial('+8613800138000'), '13800138000');
+    assert.equal(PhoneNumber.dial('+861012345678;ext=123'), '01012345678,123');
+    assert.equal(PhoneNumber.dial('+12025550123'), '+12025550123');
+});
+
+test('搜索数字同时包含国内写法和带国家代码的写法', () => {
+    assert.deepEqual(PhoneNumber.getSearchDigits('+861012345678'), ['01012345678', '861012345678']);
+    assert.deepEqual(PhoneNumber.getSearchDigits('10086'), ['10086']);
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { QueryParser } from '../js/core/QueryParser.js';
+import { createManager } from './helpers.js';
+
+const parser = new QueryParser();
+
+test('不含语法的输入整体作为普通关键词', () => {
+    assert.deepEqual(parser.parse(' zhang s '), {
+        success: true,
+        query: { type: 'keyword', value: 'zhang s', negate: false }
+    });
+});
+
+test('空格连接的条件全部满足，OR优先结合', () => {
+    const { success, query } = parser.parse('name:张 company:腾讯 OR company:"阿里 巴巴" -tag:同事');
+
+    assert.equal(success, true);
+    assert.equal(query.type, 'and');
+    assert.deepEqual(query.terms.map(term => term.type), ['field', 'or', 'field']);
+    assert.deepEqual(query.terms[1].terms.map(term => term.value), ['腾讯', '阿里 巴巴']);
+    assert.equal(query.terms[2].field, 'tags');
+    assert.equal(query.terms[2].negate, true);
+});
+
+test('字段名不区分大小写并支持中文别名和全角冒号', () => {
+    assert.equal(parser.parse('ORG:腾讯').query.field, 'company');
+    assert.equal(parser.parse('电话：138*').query.field, 'phones');
+    assert.ok(parser.parse('phone:138*').query.pattern.test('13800138000'));
+});
+
+test('日期条件解析为左闭右开的时间范围', () => {
+    const day = (year, month, date) => new Date(year, month - 1, date).getTime();
+
+    const after = parser.parse('created:>2025-01-01').query;
+    assert.equal(after.from, day(2025, 1, 2));
+    assert.equal(after.to, null);
+
+    const range = parser.parse('updated:2025-01-01..2025-03-31').query;
+    assert.equal(range.from, day(2025, 1, 1));
+    assert.equal(range.to, day(2025, 4, 1));
+});
+
+test('语法错误时返回出错部分的位置', () => {
+    const cases = [
+        ['name:张 foo:bar', 7, 10],
+        ['company:"腾讯', 8, 11],
+        ['created:2025-02-30', 0, 18],
+        ['张三 OR', 3, 5],
+        ['phone:abc', 0, 9]
+    ];
+    cases.forEach(([input, start, end]) => {
+        const result = parser.parse(input);
+        assert.equal(result.success, false, input);
+        assert.ok(result.error, input);
+        assert.deepEqual([result.start, result.end], [start, end], input);
+    });
+});
+
+test('按解析后的条件筛选联系人', async () => {
+    const manager = await createManager();
+    await manager.addContact({ name: '张三', phones: [{ label: '手机', value: '13800000001' }], company: '腾讯', category: '办公' });
+    await manager.addContact({ name: '李四', phones: [{ label: '手机', value: '13900000002' }], company: '阿里巴巴', category: '办公' });
+    await manager.addContact({ name: '王五', phones: [{ label: '手机', value: '13800000003' }], company: '腾讯', category: '个人' });
+
+    const search = text => manager.filterContacts('all', manager.parseQuery(text).query).map(contact => contact.name);
+
+    assert.deepEqual(search('company:腾讯 -cat:个人'), ['张三']);
+    assert.deepEqual(search('phone:138* OR company:阿里*'), ['张三', '李四', '王五']);
+    assert.deepEqual(search('name:zs'), ['张三']);
+});
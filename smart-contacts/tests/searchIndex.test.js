@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Contact } from '../js/core/Contact.js';
+import { Pinyin } from '../js/core/Pinyin.js';
+import { SearchIndex, SEARCH_RANKS } from '../js/core/SearchIndex.js';
+
+/**
+ * 创建索引了给定联系人的搜索索引
+ * @param {Object[]} list 联系人信息
+ * @returns {SearchIndex} 搜索索引
+ */
+function createIndex(list) {
+    const index = new SearchIndex(new Pinyin());
+    index.rebuild(list.map(options => new Contact({ category: '个人', ...options })));
+    return index;
+}
+
+const names = results => results.map(result => result.contact.name);
+
+test('按姓名完全匹配、前缀、包含、其他字段、地址的顺序排列结果', () => {
+    const index = createIndex([
+        { name: '赵六', postalAddress: '张三路1号' },
+        { name: '李四', company: '张三科技' },
+        { name: '王张三' },
+        { name: '张三丰' },
+        { name: '张三' },
+        { name: '钱七' }
+    ]);
+
+    const results = index.search('张三');
+
+    assert.deepEqual(names(results), ['张三', '张三丰', '王张三', '李四', '赵六']);
+    assert.deepEqual(results.map(result => result.rank), [
+        SEARCH_RANKS.exact,
+        SEARCH_RANKS.prefix,
+        SEARCH_RANKS.initials,
+        SEARCH_RANKS.field,
+        SEARCH_RANKS.address
+    ]);
+});
+
+test('全拼与姓名完全匹配，首字母匹配排在其后', () => {
+    const index = createIndex([{ name: '张三丰' }, { name: '张三' }]);
+
+    assert.deepEqual(names(index.search('zhangsan')), ['张三', '张三丰']);
+    assert.deepEqual(index.search('zsf').map(result => [result.contact.name, result.rank]), [
+        ['张三丰', SEARCH_RANKS.initials]
+    ]);
+});
+
+test('电话号码可以忽略分隔符按数字搜索', () => {
+    const index = createIndex([
+        { name: '张三', phones: [{ label: '手机', value: '138-0013-8000' }] },
+        { name: '李四', phones: [{ label: '手机', value: '13900139000' }] }
+    ]);
+
+    assert.deepEqual(names(index.search('13800138000')), ['张三']);
+    assert.deepEqual(names(index.search('0013 8000')), ['张三']);
+});
+
+test('增量更新和移除联系人后搜索结果随之变化', () => {
+    const index = createIndex([{ id: 'a', name: '张三' }, { id: 'b', name: '李四' }]);
+
+    index.put(new Contact({ id: 'a', name: '王五', category: '个人' }));
+    index.remove('b');
+
+    assert.deepEqual(names(index.search('张三')), []);
+    assert.deepEqual(names(index.search('李四')), []);
+    assert.deepEqual(names(index.search('王五')), ['王五']);
+});
+
+test('空白关键词不返回结果', () => {
+    const index = createIndex([{ name: '张三' }]);
+    assert.deepEqual(index.search('  '), []);
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Pinyin } from '../js/core/Pinyin.js';
+import { createManager } from './helpers.js';
+
+const pinyin = new Pinyin();
+
+test('排序键以空格分隔各字读音', () => {
+    assert.equal(pinyin.getSortKey('西安'), 'xi an');
+    assert.ok(pinyin.getSortKey('西安').localeCompare(pinyin.getSortKey('先')) < 0);
+});
+
+test('连续的字母和数字作为一个整体', () => {
+    assert.equal(pinyin.getSortKey('Zhang San', true), 'zhang san');
+    assert.equal(pinyin.getSortKey('张San', true), 'zhang san');
+    assert.equal(pinyin.getSortKey('李4号', true), 'li 4 hao');
+    assert.equal(pinyin.getSortKey('A12 b'), 'a12 b');
+});
+
+test('姓名按姓氏读音和复姓读音生成排序键', () => {
+    assert.equal(pinyin.getSortKey('曾小贤', true), 'zeng xiao xian');
+    assert.equal(pinyin.getSortKey('长孙无忌', true), 'zhang sun wu ji');
+    assert.equal(pinyin.getSortKey('单于', true), 'chan yu');
+    assert.equal(pinyin.getSortKey('长孙', false), 'chang sun');
+    assert.ok(pinyin.match('长孙无忌', 'zhangsun', { surname: true }));
+});
+
+test('按姓名排序时拉丁字母姓名与中文姓名按读音混排，其他字符在最后', async () => {
+    const manager = await createManager();
+    for (const name of ['张三', '长孙无忌', 'Zhang San', '曾小贤', '阿明', '123', 'zhao', 'Alice']) {
+        await manager.addContact({ name, phones: [{ label: '手机', value: '13800000001' }], category: '个人' });
+    }
+
+    const sorted = manager.sortContacts(manager.contacts, ['name', null]).map(contact => contact.name);
+    assert.deepEqual(sorted, ['阿明', 'Alice', '曾小贤', '张三', 'Zhang San', '长孙无忌', 'zhao', '123']);
+});